@@ -3,6 +3,7 @@ import PublicLayout from "./layouts/PublicLayout";
 import AdminLayout from "./layouts/AdminLayout";
 import AssisterLayout from "./layouts/AssisterLayout";
 import ProtectedRoute from "./components/shared/ProtectedRoute";
+import StepUpDialog from "./components/shared/StepUpDialog";
 import { AuthProvider } from "./context/AuthContext";
 
 // Pages
@@ -16,6 +17,10 @@ import Security from "./pages/public/Landing/components/Security";
 import CallToAction from "./pages/public/Landing/components/CallToAction";
 import Login from "./pages/public/Login/Login";
 import Signup from "./pages/public/Signup/Signup";
+import AcceptInvitation from "./pages/public/AcceptInvitation/AcceptInvitation";
+import ForgotPassword from "./pages/public/ForgotPassword/ForgotPassword";
+import ResetPassword from "./pages/public/ResetPassword/ResetPassword";
+import VerifyEmail from "./pages/public/VerifyEmail/VerifyEmail";
 import TenderDetail from "./pages/public/Tender/TenderDetail";
 import AdminDashboard from "./pages/admin/Dashboard/Dashboard";
 import TendersList from "./pages/admin/TendersList/TendersList";
@@ -31,15 +36,22 @@ import BidderHistory from "./pages/bidder/BidderHistory";
 
 import SavedTendersPage from "./pages/bidder/SavedTendersPage";
 import BidderProfile from "./pages/bidder/BidderProfile";
+import DocumentVault from "./pages/bidder/DocumentVault";
+import BidDecisions from "./pages/bidder/BidDecisions";
+import SavedSearches from "./pages/bidder/SavedSearches";
+import TeamMembers from "./pages/bidder/TeamMembers";
+import AssisterDirectory from "./pages/bidder/AssisterDirectory";
 import PDFTenderAnalysis from "./pages/bidder/PDFTenderAnalysis";
 import UploadedTenderAnalysis from "./pages/bidder/UploadedTenderAnalysis";
 import CollaborativeProposalWorkspace from "./pages/bidder/CollaborativeProposalWorkspace";
 import TenderCreate from "./pages/admin/TenderCreate/TenderCreate";
 import Analytics from "./pages/admin/Analytics/Analytics";
 import Profile from "./pages/admin/Profile/Profile";
+import Team from "./pages/admin/Team/Team";
 import BidEvaluationList from "./pages/admin/BidEvaluation/BidEvaluationList";
 import BidEvaluation from "./pages/admin/BidEvaluation/BidEvaluation";
 import AssisterDashboard from "./pages/assister/AssisterDashboard";
+import AssisterProfile from "./pages/assister/AssisterProfile";
 
 // Landing Page Component
 function LandingPage() {
@@ -60,6 +72,7 @@ function LandingPage() {
 export default function App() {
   return (
     <AuthProvider>
+      <StepUpDialog />
       <BrowserRouter future={{ v7_startTransition: true, v7_relativeSplatPath: true }}>
         <Routes>
           {/* Public Routes */}
@@ -67,6 +80,10 @@ export default function App() {
             <Route path="/" element={<LandingPage />} />
             <Route path="/login" element={<Login />} />
             <Route path="/signup" element={<Signup />} />
+            <Route path="/invite/:token" element={<AcceptInvitation />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
             <Route path="/tender/:id" element={<TenderDetail />} />
           </Route>
 
@@ -79,6 +96,7 @@ export default function App() {
               <Route path="tender/create" element={<TenderCreate />} />
               <Route path="tender/edit/:tenderId" element={<TenderCreate />} />
               <Route path="analytics" element={<Analytics />} />
+              <Route path="team" element={<Team />} />
               <Route path="profile" element={<Profile />} />
               <Route path="bid-evaluation" element={<BidEvaluationList />} />
               <Route path="bid-evaluation/:tenderId" element={<BidEvaluation />} />
@@ -98,6 +116,11 @@ export default function App() {
             <Route path="/bidder/history" element={<BidderHistory />} />
             <Route path="/bidder/saved-tenders" element={<SavedTendersPage />} />
             <Route path="/bidder/profile" element={<BidderProfile />} />
+            <Route path="/bidder/documents" element={<DocumentVault />} />
+            <Route path="/bidder/bid-decisions" element={<BidDecisions />} />
+            <Route path="/bidder/saved-searches" element={<SavedSearches />} />
+            <Route path="/bidder/team" element={<TeamMembers />} />
+            <Route path="/bidder/assisters" element={<AssisterDirectory />} />
             <Route path="/bidder/pdf-analyze" element={<PDFTenderAnalysis />} />
             <Route path="/bidder/uploaded-tenders/:id/analyze" element={<UploadedTenderAnalysis />} />
             <Route path="/bidder/proposal/:tenderId/collaborate" element={<CollaborativeProposalWorkspace />} />
@@ -108,6 +131,7 @@ export default function App() {
           <Route element={<ProtectedRoute allowedRoles={["assister"]} />}>
             <Route path="/assister" element={<AssisterLayout />}>
               <Route path="dashboard" element={<AssisterDashboard />} />
+              <Route path="profile" element={<AssisterProfile />} />
             </Route>
           </Route>
 
@@ -1,7 +1,12 @@
-import React from 'react';
-import { Search, Filter } from 'lucide-react';
+import React, { useState } from 'react';
+import { Search, Filter, BellPlus } from 'lucide-react';
+
+const ADVANCED_FILTERS = ['authority', 'minValue', 'maxValue', 'minDaysToDeadline', 'maxDaysToDeadline'];
+
+export default function SearchAndFilters({ searchQuery, setSearchQuery, filters, setFilters, onSaveSearch }) {
+  const [showMore, setShowMore] = useState(() => ADVANCED_FILTERS.some((key) => filters[key]));
+  const activeAdvanced = ADVANCED_FILTERS.filter((key) => filters[key]).length;
 
-export default function SearchAndFilters({ searchQuery, setSearchQuery, filters, setFilters }) {
   return (
     <div className="bg-white rounded-xl border border-slate-200 p-4 sm:p-6 mb-4 sm:mb-6">
       <div className="flex flex-col gap-3 sm:gap-4">
@@ -38,11 +43,70 @@ export default function SearchAndFilters({ searchQuery, setSearchQuery, filters,
             <option value="proposalCount">Most Popular</option>
             <option value="estimatedValue">Highest Value</option>
           </select>
-          <button className="px-3 sm:px-4 py-2.5 sm:py-3 border border-slate-300 rounded-lg hover:bg-slate-50 flex items-center justify-center gap-2">
+          <button
+            onClick={() => setShowMore(!showMore)}
+            className={`px-3 sm:px-4 py-2.5 sm:py-3 border rounded-lg flex items-center justify-center gap-2 ${
+              showMore ? 'border-blue-300 bg-blue-50 text-blue-700' : 'border-slate-300 hover:bg-slate-50'
+            }`}
+          >
             <Filter className="w-4 h-4 sm:w-5 sm:h-5" />
-            <span className="text-sm sm:text-base">More</span>
+            <span className="text-sm sm:text-base">More{activeAdvanced > 0 && ` (${activeAdvanced})`}</span>
           </button>
+          {onSaveSearch && (
+            <button
+              onClick={onSaveSearch}
+              className="px-3 sm:px-4 py-2.5 sm:py-3 border border-slate-300 rounded-lg hover:bg-slate-50 flex items-center justify-center gap-2"
+              title="Save this search and get alerts for new matching tenders"
+            >
+              <BellPlus className="w-4 h-4 sm:w-5 sm:h-5" />
+              <span className="text-sm sm:text-base">Save Search</span>
+            </button>
+          )}
         </div>
+
+        {showMore && (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-2 sm:gap-3 pt-1">
+            <input
+              type="text"
+              value={filters.authority}
+              onChange={(e) => setFilters({ ...filters, authority: e.target.value })}
+              placeholder="Authority"
+              className="px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <input
+              type="number"
+              min="0"
+              value={filters.minValue}
+              onChange={(e) => setFilters({ ...filters, minValue: e.target.value })}
+              placeholder="Min value (₹)"
+              className="px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <input
+              type="number"
+              min="0"
+              value={filters.maxValue}
+              onChange={(e) => setFilters({ ...filters, maxValue: e.target.value })}
+              placeholder="Max value (₹)"
+              className="px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <input
+              type="number"
+              min="0"
+              value={filters.minDaysToDeadline}
+              onChange={(e) => setFilters({ ...filters, minDaysToDeadline: e.target.value })}
+              placeholder="At least N days left"
+              className="px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <input
+              type="number"
+              min="0"
+              value={filters.maxDaysToDeadline}
+              onChange={(e) => setFilters({ ...filters, maxDaysToDeadline: e.target.value })}
+              placeholder="Closing within N days"
+              className="px-3 py-2 text-sm border border-slate-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -1,6 +1,7 @@
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import useAuth from '../../hooks/useAuth';
-import { Search, LogOut, Menu, X, LayoutDashboard, TrendingUp, FileCheck, Clock, Building2, Bookmark, Settings } from 'lucide-react';
+import NotificationBell from '../shared/NotificationBell';
+import { Search, LogOut, Menu, X, LayoutDashboard, TrendingUp, FileCheck, Clock, Building2, Bookmark, Settings, FolderLock, Scale, BellRing, Users, UserSearch } from 'lucide-react';
 
 const BidderSidebar = ({ isOpen, setIsOpen }) => {
   const navigate = useNavigate();
@@ -11,9 +12,14 @@ const BidderSidebar = ({ isOpen, setIsOpen }) => {
     { path: '/bidder/dashboard', label: 'Dashboard', icon: LayoutDashboard },
     { path: '/bidder/tenders', label: 'Discover Tenders', icon: Search },
     { path: '/bidder/saved-tenders', label: 'Saved Tenders', icon: Bookmark },
+    { path: '/bidder/saved-searches', label: 'Saved Searches', icon: BellRing },
     { path: '/bidder/analyze', label: 'Tender Analysis', icon: TrendingUp },
     { path: '/bidder/proposal-drafting', label: 'Proposal Drafting', icon: FileCheck },
+    { path: '/bidder/documents', label: 'Document Vault', icon: FolderLock },
+    { path: '/bidder/bid-decisions', label: 'Bid Decisions', icon: Scale },
     { path: '/bidder/history', label: 'History', icon: Clock },
+    { path: '/bidder/team', label: 'Team', icon: Users },
+    { path: '/bidder/assisters', label: 'Assisters', icon: UserSearch },
     { path: '/bidder/profile', label: 'Profile', icon: Settings },
   ];
 
@@ -66,6 +72,7 @@ const BidderSidebar = ({ isOpen, setIsOpen }) => {
                 Bidder
               </p>
             </div>
+            <NotificationBell align="left" />
           </div>
         </div>
 
@@ -1,12 +1,16 @@
 /**
  * Assign Assister Modal
  * Allows bidders to search for and assign assisters to proposal sections
- * with permission selection (EDIT or READ_AND_COMMENT)
+ * with permission selection (EDIT or READ_AND_COMMENT). Only assisters with an
+ * accepted engagement (see the assister directory) can be assigned; those are
+ * listed up front as quick picks.
  */
 
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { Search, X, Loader2, AlertCircle, CheckCircle2, Mail, Lock } from 'lucide-react';
 import { collaborationService } from '../../services/collaborationService';
+import { assisterMarketplaceService } from '../../services/assisterMarketplaceService';
 
 export default function AssignAssisterModal({ isOpen, onClose, sectionId, sectionTitle, proposalId, onAssignSuccess }) {
   const [searchEmail, setSearchEmail] = useState('');
@@ -17,6 +21,26 @@ export default function AssignAssisterModal({ isOpen, onClose, sectionId, sectio
   const [selectedPermission, setSelectedPermission] = useState('READ_AND_COMMENT');
   const [assigning, setAssigning] = useState(false);
   const [success, setSuccess] = useState('');
+  const [engagedAssisters, setEngagedAssisters] = useState([]);
+
+  // Assisters the organization is currently engaged with
+  useEffect(() => {
+    if (!isOpen) return;
+    assisterMarketplaceService
+      .getEngagements()
+      .then((engagements) =>
+        setEngagedAssisters(
+          engagements
+            .filter((engagement) => engagement.status === 'ACCEPTED')
+            .map((engagement) => ({
+              user_id: engagement.assister_id,
+              name: engagement.assister_name,
+              email: engagement.assister_email,
+            }))
+        )
+      )
+      .catch(() => setEngagedAssisters([]));
+  }, [isOpen]);
 
   // Reset states when modal is opened
   useEffect(() => {
@@ -47,7 +71,7 @@ export default function AssignAssisterModal({ isOpen, onClose, sectionId, sectio
       setSearchResults(results);
 
       if (results.length === 0) {
-        setError('No assisters found with that email');
+        setError('No engaged assisters found with that email');
       }
     } catch (err) {
       setError(err.message || 'Failed to search for assisters');
@@ -140,6 +164,37 @@ export default function AssignAssisterModal({ isOpen, onClose, sectionId, sectio
             </div>
           </div>
 
+          {/* Engaged assisters */}
+          {!selectedUser && !searchEmail && (
+            <div className="space-y-2">
+              {engagedAssisters.length > 0 && (
+                <>
+                  <p className="text-xs font-medium text-neutral-600 uppercase tracking-wide">
+                    Engaged with your organization
+                  </p>
+                  <div className="flex flex-wrap gap-2">
+                    {engagedAssisters.map(user => (
+                      <button
+                        key={user.user_id}
+                        onClick={() => handleSelectUser(user)}
+                        className="px-3 py-1.5 border border-neutral-300 rounded-lg text-sm text-neutral-800 hover:border-blue-500 hover:bg-blue-50 transition-colors"
+                      >
+                        {user.name}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+              <p className="text-xs text-neutral-500">
+                Need someone new?{' '}
+                <Link to="/bidder/assisters" className="text-blue-600 hover:underline">
+                  Find an assister in the directory
+                </Link>{' '}
+                and send them a request first.
+              </p>
+            </div>
+          )}
+
           {/* Loading Indicator */}
           {loading && (
             <div className="flex items-center justify-center py-4">
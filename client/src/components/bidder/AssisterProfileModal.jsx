@@ -0,0 +1,174 @@
+/**
+ * Assister Profile Modal
+ * Directory profile of an assister with reviews, and the engagement request form
+ */
+
+import { useEffect, useState } from 'react';
+import { X, Loader2, Briefcase, Send } from 'lucide-react';
+import StarRating from '../shared/StarRating';
+import {
+  assisterMarketplaceService,
+  ENGAGEMENT_STATUS_STYLES,
+} from '../../services/assisterMarketplaceService';
+
+export default function AssisterProfileModal({ assisterId, canRequest, onClose, onRequested }) {
+  const [assister, setAssister] = useState(null);
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!assisterId) return;
+    setAssister(null);
+    setMessage('');
+    setError('');
+    assisterMarketplaceService
+      .getAssister(assisterId)
+      .then(setAssister)
+      .catch((err) => setError(err.response?.data?.error || 'Failed to load assister'));
+  }, [assisterId]);
+
+  if (!assisterId) return null;
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setError('');
+    try {
+      const engagement = await assisterMarketplaceService.requestEngagement(assisterId, message.trim());
+      setAssister((prev) => ({ ...prev, engagement_id: engagement.engagement_id, engagement_status: engagement.status }));
+      if (onRequested) onRequested(engagement);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send request');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b border-neutral-200 p-6 flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-neutral-900">{assister?.name || 'Assister'}</h2>
+            {assister?.headline && <p className="text-sm text-neutral-500 mt-1">{assister.headline}</p>}
+          </div>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-600 transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {!assister ? (
+          <div className="p-6 flex justify-center">
+            {error ? (
+              <p className="text-sm text-red-700">{error}</p>
+            ) : (
+              <Loader2 className="w-5 h-5 animate-spin text-primary-500" />
+            )}
+          </div>
+        ) : (
+          <div className="p-6 space-y-5">
+            <div className="flex flex-wrap items-center gap-4 text-sm text-neutral-600">
+              <span className="flex items-center gap-2">
+                <StarRating value={assister.rating} />
+                {assister.rating ? `${assister.rating} (${assister.review_count})` : 'No reviews yet'}
+              </span>
+              <span className="flex items-center gap-1">
+                <Briefcase className="w-4 h-4" />
+                {assister.completed_engagements} completed engagement{assister.completed_engagements === 1 ? '' : 's'}
+              </span>
+              {!assister.available && <span className="text-amber-700">Not taking new requests</span>}
+            </div>
+
+            {assister.bio && <p className="text-sm text-neutral-700 whitespace-pre-line">{assister.bio}</p>}
+
+            {assister.expertise_tags.length > 0 && (
+              <div>
+                <p className="text-xs font-medium text-neutral-500 uppercase tracking-wide mb-2">Expertise</p>
+                <div className="flex flex-wrap gap-2">
+                  {assister.expertise_tags.map((tag) => (
+                    <span key={tag} className="px-2 py-1 bg-primary-50 text-primary-700 rounded text-xs">
+                      {tag}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {assister.sectors.length > 0 && (
+              <div>
+                <p className="text-xs font-medium text-neutral-500 uppercase tracking-wide mb-2">Sectors</p>
+                <div className="flex flex-wrap gap-2">
+                  {assister.sectors.map((sector) => (
+                    <span key={sector} className="px-2 py-1 bg-neutral-100 text-neutral-700 rounded text-xs">
+                      {sector}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Engagement */}
+            {assister.engagement_status ? (
+              <div className="flex items-center gap-2 text-sm text-neutral-700">
+                Engagement with your organization:
+                <span className={`px-2 py-0.5 rounded text-xs font-medium ${ENGAGEMENT_STATUS_STYLES[assister.engagement_status]}`}>
+                  {assister.engagement_status === 'PENDING' ? 'Request sent' : 'Accepted'}
+                </span>
+              </div>
+            ) : (
+              canRequest &&
+              assister.available && (
+                <form onSubmit={handleRequest} className="border border-neutral-200 rounded-lg p-4 space-y-3">
+                  <label className="block text-sm font-medium text-neutral-700">Request to work together</label>
+                  <textarea
+                    rows={3}
+                    value={message}
+                    onChange={(e) => setMessage(e.target.value)}
+                    placeholder="Tell them about the tender and the sections you need help with"
+                    className="w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                  <p className="text-xs text-neutral-500">
+                    Once they accept, you can assign them to proposal sections.
+                  </p>
+                  <button
+                    type="submit"
+                    disabled={sending}
+                    className="flex items-center gap-2 px-4 py-2 bg-primary-600 hover:bg-primary-700 disabled:opacity-60 text-white text-sm font-medium rounded-lg"
+                  >
+                    {sending ? <Loader2 className="w-4 h-4 animate-spin" /> : <Send className="w-4 h-4" />}
+                    Send request
+                  </button>
+                </form>
+              )
+            )}
+
+            {error && <p className="text-sm text-red-700">{error}</p>}
+
+            {/* Reviews */}
+            <div>
+              <p className="text-xs font-medium text-neutral-500 uppercase tracking-wide mb-2">Reviews</p>
+              {assister.reviews.length === 0 ? (
+                <p className="text-sm text-neutral-500">No reviews yet</p>
+              ) : (
+                <ul className="space-y-3">
+                  {assister.reviews.map((review) => (
+                    <li key={review.review_id} className="border-b border-neutral-100 pb-3 last:border-0">
+                      <div className="flex items-center justify-between">
+                        <StarRating value={review.rating} />
+                        <span className="text-xs text-neutral-500">
+                          {review.organization_name} · {new Date(review.created_at).toLocaleDateString()}
+                        </span>
+                      </div>
+                      {review.comment && <p className="text-sm text-neutral-700 mt-1">{review.comment}</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -6,9 +6,10 @@
  * - Assigned users display
  * - Last edited info
  * - Comment panel integration
+ * - Live viewers, typing indicators and edit locks
  */
 
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import {
   Edit3,
   Users,
@@ -21,11 +22,17 @@ import {
   ChevronRight,
   CheckCircle,
   AlertCircle,
+  Eye,
 } from 'lucide-react';
 import { useCollaboration } from '../../context/CollaborationContext';
 import UserAssignmentModal from './UserAssignmentModal';
 import CommentPanel from './CommentPanel';
 
+// Stop showing "typing" after this long without a keystroke
+const TYPING_IDLE_MS = 3000;
+// Keep renewing the edit lock while typing (the server frees idle locks after a minute)
+const LOCK_RENEW_MS = 15000;
+
 export default function CollaborativeProposalEditor({
   section,
   content,
@@ -44,6 +51,12 @@ export default function CollaborativeProposalEditor({
     canCommentSection,
     getSectionPermission,
     generateDraft,
+    viewSection,
+    setTyping,
+    acquireLock,
+    releaseLock,
+    getSectionViewers,
+    getSectionLock,
   } = useCollaboration();
 
   // State
@@ -62,6 +75,34 @@ export default function CollaborativeProposalEditor({
   const canComment = canCommentSection(sectionId);
   const permission = getSectionPermission(sectionId);
 
+  // Live collaboration: someone else holding the lock makes the section read-only here
+  const viewers = getSectionViewers(sectionId);
+  const lockedBy = getSectionLock(sectionId);
+  const editable = canEdit && !lockedBy;
+  const typingTimerRef = useRef(null);
+  const lastLockRef = useRef(0);
+
+  useEffect(() => {
+    if (!sectionId) return undefined;
+    viewSection(sectionId);
+    lastLockRef.current = 0;
+
+    return () => {
+      if (typingTimerRef.current) {
+        clearTimeout(typingTimerRef.current);
+        typingTimerRef.current = null;
+        setTyping(false);
+      }
+      releaseLock(sectionId);
+    };
+  }, [sectionId, viewSection, setTyping, releaseLock]);
+
+  const claimLock = useCallback(() => {
+    if (Date.now() - lastLockRef.current < LOCK_RENEW_MS) return;
+    lastLockRef.current = Date.now();
+    acquireLock(sectionId);
+  }, [sectionId, acquireLock]);
+
   // Assigned users for this section - use useMemo to stabilize reference
   const sectionAssignees = useMemo(
     () => assignments[sectionId] || [],
@@ -71,8 +112,9 @@ export default function CollaborativeProposalEditor({
 
   // Handle AI draft generation
   const handleGenerateDraft = useCallback(async () => {
-    if (!canEdit || generatingDraft) return;
+    if (!editable || generatingDraft) return;
 
+    claimLock();
     setGeneratingDraft(true);
     setDraftError(null);
 
@@ -88,7 +130,7 @@ export default function CollaborativeProposalEditor({
           if (!confirmed) return;
         }
 
-        onContentChange(result.draft);
+        onContentChange(result.draft, 'AI_DRAFT');
         setShowInstructionsInput(false);
         setCustomInstructions('');
       }
@@ -98,13 +140,24 @@ export default function CollaborativeProposalEditor({
     } finally {
       setGeneratingDraft(false);
     }
-  }, [sectionId, canEdit, generatingDraft, customInstructions, content, generateDraft, onContentChange]);
+  }, [sectionId, editable, generatingDraft, customInstructions, content, generateDraft, onContentChange, claimLock]);
 
   // Handle content change
   const handleContentChange = useCallback((e) => {
-    if (!canEdit) return;
+    if (!editable) return;
     onContentChange(e.target.value);
-  }, [canEdit, onContentChange]);
+
+    claimLock();
+    if (typingTimerRef.current) {
+      clearTimeout(typingTimerRef.current);
+    } else {
+      setTyping(true);
+    }
+    typingTimerRef.current = setTimeout(() => {
+      typingTimerRef.current = null;
+      setTyping(false);
+    }, TYPING_IDLE_MS);
+  }, [editable, onContentChange, claimLock, setTyping]);
 
   return (
     <div className="flex flex-1 overflow-hidden">
@@ -154,6 +207,14 @@ export default function CollaborativeProposalEditor({
                     Last edited by {lastEdit.user_name}
                   </span>
                 )}
+
+                {/* Live viewers */}
+                {viewers.length > 0 && (
+                  <span className="flex items-center gap-1 text-xs text-indigo-600">
+                    <Eye className="w-3 h-3" />
+                    {viewers.map((v) => `${v.name}${v.typing ? ' (typing...)' : ''}`).join(', ')}
+                  </span>
+                )}
               </div>
             </div>
 
@@ -216,7 +277,7 @@ export default function CollaborativeProposalEditor({
         {/* Editor Area */}
         <div className="flex-1 p-6 overflow-y-auto bg-slate-50">
           {/* AI Draft Section (only for edit permission) */}
-          {canEdit && (
+          {editable && (
             <div className="mb-4">
               {showInstructionsInput ? (
                 <div className="p-4 bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-200 rounded-lg">
@@ -289,6 +350,16 @@ export default function CollaborativeProposalEditor({
             </div>
           )}
 
+          {/* Locked by a collaborator */}
+          {canEdit && lockedBy && (
+            <div className="mb-4 p-3 bg-indigo-50 border border-indigo-200 rounded-lg flex items-center gap-2">
+              <Lock className="w-4 h-4 text-indigo-600" />
+              <span className="text-sm text-indigo-800">
+                {lockedBy.name} is editing this section. You can edit again once they stop; their changes appear here when saved.
+              </span>
+            </div>
+          )}
+
           {/* Read-only notice */}
           {!canEdit && (
             <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center gap-2">
@@ -306,14 +377,15 @@ export default function CollaborativeProposalEditor({
             <textarea
               value={content || ''}
               onChange={handleContentChange}
+              onFocus={() => editable && claimLock()}
               placeholder={
                 canEdit
                   ? 'Start typing your response...'
                   : 'No content yet'
               }
-              disabled={!canEdit}
+              disabled={!editable}
               className={`w-full min-h-[400px] p-4 text-slate-800 resize-y focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-lg ${
-                !canEdit ? 'bg-slate-50 cursor-not-allowed' : ''
+                !editable ? 'bg-slate-50 cursor-not-allowed' : ''
               }`}
               style={{ fontFamily: 'system-ui, sans-serif', lineHeight: '1.6' }}
             />
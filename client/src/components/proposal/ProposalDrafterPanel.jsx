@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import {
   Sparkles,
   Wand2,
@@ -14,7 +14,8 @@ import {
   Zap,
   BookOpen,
   PenTool,
-  Target
+  Target,
+  Square
 } from 'lucide-react';
 import { aiService } from '../../services/bidder/aiService';
 
@@ -22,8 +23,8 @@ import { aiService } from '../../services/bidder/aiService';
  * ProposalDrafterPanel - AI-powered proposal draft generation
  *
  * Features:
- * - Generate draft content for current section
- * - Improve existing draft
+ * - Generate draft content for current section (streamed, cancellable)
+ * - Improve existing draft (streamed, cancellable)
  * - Generate content snippets
  * - Section-specific templates
  */
@@ -43,6 +44,11 @@ export default function ProposalDrafterPanel({
   const [copied, setCopied] = useState(false);
   const [showOptions, setShowOptions] = useState(false);
   const [improvementFocus, setImprovementFocus] = useState('professional');
+  const [streaming, setStreaming] = useState(false);
+  const abortRef = useRef(null);
+
+  // Stop an in-flight generation if the panel unmounts (e.g. section switch)
+  useEffect(() => () => abortRef.current?.abort(), []);
 
   // Snippet types for quick generation
   const snippetTypes = [
@@ -62,30 +68,52 @@ export default function ProposalDrafterPanel({
   ];
 
   /**
-   * Generate full section draft
+   * Run a streaming generation: tokens are appended to the preview as they arrive,
+   * onDone replaces them with the final (post-processed) result.
+   * On cancel or mid-stream failure the partial text is kept.
    */
-  const handleGenerateDraft = async () => {
+  const runStream = async (startStream, mapResult, errorMessage) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+
     try {
       setLoading(true);
+      setStreaming(true);
       setError(null);
+      setGeneratedDraft({ draft: '', isStreaming: true });
 
-      const response = await aiService.generateSectionDraft(tenderId, {
-        sectionId,
-        sectionType: sectionType || inferSectionType(sectionTitle),
-        tenderRequirement,
+      await startStream({
+        signal: controller.signal,
+        onToken: (text) => setGeneratedDraft(prev => ({ ...prev, draft: prev.draft + text })),
+        onDone: (result) => setGeneratedDraft(mapResult(result)),
       });
-
-      if (response.data?.data) {
-        setGeneratedDraft(response.data.data);
-      }
     } catch (err) {
-      console.error('Error generating draft:', err);
-      setError('Failed to generate draft. Please try again.');
+      if (!controller.signal.aborted) {
+        console.error(errorMessage, err);
+        setError(`${errorMessage} Please try again.`);
+      }
+      setGeneratedDraft(prev => (prev?.draft ? { ...prev, isPartial: true } : null));
     } finally {
+      setGeneratedDraft(prev => prev && { ...prev, isStreaming: false });
+      abortRef.current = null;
+      setStreaming(false);
       setLoading(false);
     }
   };
 
+  /**
+   * Generate full section draft
+   */
+  const handleGenerateDraft = () => runStream(
+    (handlers) => aiService.generateSectionDraftStream(tenderId, {
+      sectionId,
+      sectionType: sectionType || inferSectionType(sectionTitle),
+      tenderRequirement,
+    }, handlers),
+    (result) => result,
+    'Failed to generate draft.'
+  );
+
   /**
    * Improve existing draft
    */
@@ -95,31 +123,34 @@ export default function ProposalDrafterPanel({
       return;
     }
 
-    try {
-      setLoading(true);
-      setError(null);
-
-      const response = await aiService.improveDraft({
+    await runStream(
+      (handlers) => aiService.improveDraftStream({
         existingDraft: currentContent,
         sectionType: sectionType || inferSectionType(sectionTitle),
         tenderRequirement,
         improvementFocus,
-      });
-
-      if (response.data?.data) {
-        setGeneratedDraft({
-          draft: response.data.data.improvedDraft,
+      }, handlers),
+      (result) => {
+        if (result.success === false) {
+          setError('Failed to improve draft. Please try again.');
+          return null;
+        }
+        return {
+          draft: result.improvedDraft,
           isImproved: true,
           improvementFocus,
-          wordCount: response.data.data.improvedWordCount,
-        });
-      }
-    } catch (err) {
-      console.error('Error improving draft:', err);
-      setError('Failed to improve draft. Please try again.');
-    } finally {
-      setLoading(false);
-    }
+          wordCount: result.improvedWordCount,
+        };
+      },
+      'Failed to improve draft.'
+    );
+  };
+
+  /**
+   * Stop the current generation, keeping what has been written so far
+   */
+  const handleCancel = () => {
+    abortRef.current?.abort();
   };
 
   /**
@@ -213,23 +244,33 @@ export default function ProposalDrafterPanel({
       {/* Main Actions */}
       <div className="p-4 space-y-4">
         {/* Generate Full Draft Button */}
-        <button
-          onClick={handleGenerateDraft}
-          disabled={loading}
-          className="w-full px-4 py-3 bg-gradient-to-r from-purple-600 to-blue-600 text-white rounded-lg hover:from-purple-700 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-medium transition-all"
-        >
-          {loading ? (
-            <>
-              <Loader2 className="w-5 h-5 animate-spin" />
-              Generating...
-            </>
-          ) : (
-            <>
-              <Wand2 className="w-5 h-5" />
-              Generate Full Draft
-            </>
-          )}
-        </button>
+        {streaming ? (
+          <button
+            onClick={handleCancel}
+            className="w-full px-4 py-3 bg-slate-700 text-white rounded-lg hover:bg-slate-800 flex items-center justify-center gap-2 font-medium transition-all"
+          >
+            <Square className="w-4 h-4" />
+            Stop Generating
+          </button>
+        ) : (
+          <button
+            onClick={handleGenerateDraft}
+            disabled={loading}
+            className="w-full px-4 py-3 bg-gradient-to-r from-purple-600 to-blue-600 text-white rounded-lg hover:from-purple-700 hover:to-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 font-medium transition-all"
+          >
+            {loading ? (
+              <>
+                <Loader2 className="w-5 h-5 animate-spin" />
+                Generating...
+              </>
+            ) : (
+              <>
+                <Wand2 className="w-5 h-5" />
+                Generate Full Draft
+              </>
+            )}
+          </button>
+        )}
 
         {/* Improve Existing Draft */}
         {currentContent && currentContent.length > 20 && (
@@ -321,7 +362,11 @@ export default function ProposalDrafterPanel({
             <div className="flex items-center justify-between mb-3">
               <h4 className="font-medium text-green-900 flex items-center gap-2">
                 <Check className="w-4 h-4" />
-                {generatedDraft.isImproved
+                {generatedDraft.isStreaming
+                  ? 'Writing...'
+                  : generatedDraft.isPartial
+                  ? 'Partial Draft'
+                  : generatedDraft.isImproved
                   ? 'Improved Draft'
                   : generatedDraft.isSnippet
                   ? 'Generated Snippet'
@@ -346,6 +391,9 @@ export default function ProposalDrafterPanel({
             <div className="bg-white rounded-lg p-3 mb-3 max-h-60 overflow-y-auto">
               <p className="text-sm text-slate-700 whitespace-pre-wrap">
                 {generatedDraft.draft}
+                {generatedDraft.isStreaming && (
+                  <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-green-500 animate-pulse" />
+                )}
               </p>
             </div>
 
@@ -364,36 +412,38 @@ export default function ProposalDrafterPanel({
             )}
 
             {/* Action Buttons */}
-            <div className="flex items-center gap-2">
-              <button
-                onClick={handleInsert}
-                className="flex-1 px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-medium flex items-center justify-center gap-1"
-              >
-                <FileText className="w-4 h-4" />
-                Insert at Cursor
-              </button>
-              <button
-                onClick={handleReplace}
-                className="flex-1 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium flex items-center justify-center gap-1"
-              >
-                <RefreshCw className="w-4 h-4" />
-                Replace All
-              </button>
-              <button
-                onClick={handleCopy}
-                className="px-3 py-2 border border-slate-300 rounded-lg hover:bg-slate-50 text-sm flex items-center gap-1"
-              >
-                {copied ? (
-                  <>
-                    <Check className="w-4 h-4 text-green-600" />
-                  </>
-                ) : (
-                  <>
-                    <Copy className="w-4 h-4" />
-                  </>
-                )}
-              </button>
-            </div>
+            {!generatedDraft.isStreaming && (
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={handleInsert}
+                  className="flex-1 px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm font-medium flex items-center justify-center gap-1"
+                >
+                  <FileText className="w-4 h-4" />
+                  Insert at Cursor
+                </button>
+                <button
+                  onClick={handleReplace}
+                  className="flex-1 px-3 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm font-medium flex items-center justify-center gap-1"
+                >
+                  <RefreshCw className="w-4 h-4" />
+                  Replace All
+                </button>
+                <button
+                  onClick={handleCopy}
+                  className="px-3 py-2 border border-slate-300 rounded-lg hover:bg-slate-50 text-sm flex items-center gap-1"
+                >
+                  {copied ? (
+                    <>
+                      <Check className="w-4 h-4 text-green-600" />
+                    </>
+                  ) : (
+                    <>
+                      <Copy className="w-4 h-4" />
+                    </>
+                  )}
+                </button>
+              </div>
+            )}
 
             {/* Disclaimer */}
             {generatedDraft.disclaimer && (
@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from 'react';
+import { GitCompare, Loader2, X } from 'lucide-react';
+import TextDiff from '../shared/TextDiff';
+import { collaborationService } from '../../services/bidder/collaborationService';
+
+export const REVISION_SOURCE_LABELS = {
+  HUMAN: 'Edited',
+  AI_DRAFT: 'AI draft',
+  ASSISTER: 'Assister',
+};
+
+const revisionLabel = (rev) =>
+  `r${rev.revision} · ${rev.created_by_name || 'Unknown'} · ${new Date(rev.created_at).toLocaleString()}`;
+
+/**
+ * RevisionCompareModal Component
+ *
+ * Word-level diff between any two saved revisions of a section.
+ *
+ * @param {Object} props
+ * @param {string} props.proposalId
+ * @param {string} props.sectionId
+ * @param {string} props.sectionTitle
+ * @param {Array} props.revisions - Section revisions, newest first
+ * @param {number} props.initialFrom - Older revision to compare from
+ * @param {number} props.initialTo - Newer revision to compare to
+ * @param {Function} props.onClose
+ */
+export default function RevisionCompareModal({
+  proposalId,
+  sectionId,
+  sectionTitle,
+  revisions,
+  initialFrom,
+  initialTo,
+  onClose,
+}) {
+  const [from, setFrom] = useState(initialFrom);
+  const [to, setTo] = useState(initialTo);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    collaborationService
+      .diffSectionRevisions(proposalId, sectionId, from, to)
+      .then((data) => {
+        if (!cancelled) setResult(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || 'Failed to compare revisions');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [proposalId, sectionId, from, to]);
+
+  const renderSelect = (value, onChange, label) => (
+    <label className="flex-1 text-xs font-medium text-slate-500">
+      {label}
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="mt-1 w-full px-2 py-1.5 border border-slate-300 rounded-lg text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {revisions.map((rev) => (
+          <option key={rev.revision} value={rev.revision}>
+            {revisionLabel(rev)}
+            {rev.source !== 'HUMAN' ? ` (${REVISION_SOURCE_LABELS[rev.source]})` : ''}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <div className="flex items-center gap-2">
+            <GitCompare className="w-5 h-5 text-indigo-600" />
+            <h3 className="text-lg font-semibold text-slate-900">
+              Compare revisions{sectionTitle ? ` · ${sectionTitle}` : ''}
+            </h3>
+          </div>
+          <button onClick={onClose} className="p-1.5 hover:bg-slate-100 rounded-lg" title="Close">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="flex gap-3 px-6 pt-4">
+          {renderSelect(from, setFrom, 'From')}
+          {renderSelect(to, setTo, 'To')}
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader2 className="w-6 h-6 text-indigo-500 animate-spin" />
+            </div>
+          ) : error ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : result ? (
+            <>
+              <p className="text-xs text-slate-500 mb-2">
+                Struck-through text is only in r{result.from.revision}; highlighted text was added by r{result.to.revision}.
+              </p>
+              <TextDiff diff={result.diff} />
+            </>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
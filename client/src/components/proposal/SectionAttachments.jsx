@@ -0,0 +1,118 @@
+import { useEffect, useState } from 'react';
+import { Paperclip, X } from 'lucide-react';
+import { documentVaultService } from '../../services/bidder/documentVaultService';
+
+const STATUS_STYLES = {
+  VALID: 'text-green-700',
+  EXPIRING: 'text-amber-700',
+  EXPIRED: 'text-red-700',
+};
+
+/**
+ * Vault documents attached to the active section; attached documents are bundled
+ * into proposal exports and count as proof for documentation requirements
+ */
+export default function SectionAttachments({ proposalId, sectionId, isReadOnly }) {
+  const [attachments, setAttachments] = useState({});
+  const [vault, setVault] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!proposalId) return;
+    documentVaultService.getProposalAttachments(proposalId)
+      .then(setAttachments)
+      .catch((err) => console.error('Failed to load section attachments:', err));
+    documentVaultService.getDocuments()
+      .then(setVault)
+      .catch((err) => console.error('Failed to load vault documents:', err));
+  }, [proposalId]);
+
+  const attached = attachments[sectionId] || [];
+  const available = vault.filter((doc) => !attached.some((a) => a.document_id === doc.document_id));
+
+  const handleAttach = async () => {
+    if (!selected) return;
+    setError(null);
+    try {
+      await documentVaultService.attachToSection(proposalId, sectionId, selected);
+      setAttachments(await documentVaultService.getProposalAttachments(proposalId));
+      setSelected('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to attach document');
+    }
+  };
+
+  const handleDetach = async (documentId) => {
+    setError(null);
+    try {
+      await documentVaultService.detachFromSection(proposalId, sectionId, documentId);
+      setAttachments((prev) => ({
+        ...prev,
+        [sectionId]: (prev[sectionId] || []).filter((a) => a.document_id !== documentId),
+      }));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to remove document');
+    }
+  };
+
+  if (!proposalId || !sectionId || (isReadOnly && attached.length === 0)) return null;
+
+  return (
+    <div className="border-t border-slate-200 px-6 py-3 bg-slate-50">
+      <div className="flex items-center gap-2 text-xs font-semibold text-slate-600 uppercase tracking-wide mb-2">
+        <Paperclip className="w-3.5 h-3.5" />
+        Supporting documents
+      </div>
+
+      {attached.length > 0 && (
+        <ul className="flex flex-wrap gap-2 mb-2">
+          {attached.map((doc) => (
+            <li
+              key={doc.document_id}
+              className="flex items-center gap-1.5 px-2 py-1 bg-white border border-slate-200 rounded text-xs"
+            >
+              <span className="text-slate-800">{doc.title}</span>
+              {doc.status !== 'VALID' && <span className={STATUS_STYLES[doc.status]}>({doc.status.toLowerCase()})</span>}
+              {!isReadOnly && (
+                <button
+                  onClick={() => handleDetach(doc.document_id)}
+                  className="text-slate-400 hover:text-red-600"
+                  title="Remove"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!isReadOnly && (
+        <div className="flex items-center gap-2">
+          <select
+            value={selected}
+            onChange={(e) => setSelected(e.target.value)}
+            className="flex-1 px-2 py-1.5 border border-slate-300 rounded text-xs bg-white"
+          >
+            <option value="">{available.length ? 'Attach from document vault...' : 'No vault documents available'}</option>
+            {available.map((doc) => (
+              <option key={doc.document_id} value={doc.document_id}>
+                {doc.title} ({doc.category}{doc.status !== 'VALID' ? `, ${doc.status.toLowerCase()}` : ''})
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={handleAttach}
+            disabled={!selected}
+            className="px-3 py-1.5 bg-blue-600 text-white text-xs font-medium rounded hover:bg-blue-700 disabled:bg-slate-300"
+          >
+            Attach
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useMemo, useState } from 'react';
+import { AlertTriangle, GitMerge, Loader2, X } from 'lucide-react';
+import TextDiff from '../shared/TextDiff';
+import { diffText, mergeText } from '../../utils/textDiff';
+
+const resolveChunk = (chunk, choice) => {
+  if (choice === 'theirs') return chunk.theirs;
+  if (choice === 'both') {
+    const needsSpace = chunk.mine && chunk.theirs && !/\s$/.test(chunk.mine) && !/^\s/.test(chunk.theirs);
+    return `${chunk.mine}${needsSpace ? ' ' : ''}${chunk.theirs}`;
+  }
+  return chunk.mine;
+};
+
+/**
+ * SectionConflictModal Component
+ *
+ * Shown when a section save is rejected because someone saved a newer revision.
+ * Merges the local edit and the saved version against the text both started from;
+ * the user picks a side for each conflicting passage and can edit the result.
+ *
+ * @param {Object} props
+ * @param {Object} props.conflict - { sectionTitle, base, mine, current: { content, revision, updated_at, last_edited_by_name } }
+ * @param {Function} props.onResolve - Called with the merged content to save against current.revision
+ * @param {Function} props.onDiscard - Drop the local edit and keep the saved version
+ * @param {Function} props.onClose - Close without resolving (local edit stays unsaved)
+ * @param {boolean} props.saving - Whether the merged version is being saved
+ */
+export default function SectionConflictModal({ conflict, onResolve, onDiscard, onClose, saving = false }) {
+  const theirs = conflict.current?.content || '';
+  const merge = useMemo(() => mergeText(conflict.base, conflict.mine, theirs), [conflict.base, conflict.mine, theirs]);
+  const diff = useMemo(() => diffText(theirs, conflict.mine), [theirs, conflict.mine]);
+
+  const buildText = (choices) =>
+    merge.chunks
+      .map((chunk, idx) => (chunk.type === 'resolved' ? chunk.text : resolveChunk(chunk, choices[idx] || 'mine')))
+      .join('');
+
+  const [choices, setChoices] = useState({}); // { chunkIndex: 'mine' | 'theirs' | 'both' }
+  const [result, setResult] = useState(() => buildText({}));
+
+  const choose = (idx, choice) => {
+    const next = { ...choices, [idx]: choice };
+    setChoices(next);
+    setResult(buildText(next));
+  };
+
+  const editor = conflict.current?.last_edited_by_name || 'A collaborator';
+  const savedAt = conflict.current?.updated_at ? new Date(conflict.current.updated_at).toLocaleString() : null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-start justify-between px-6 py-4 border-b border-slate-200">
+          <div className="flex items-start gap-3">
+            <AlertTriangle className="w-5 h-5 text-amber-500 mt-0.5" />
+            <div>
+              <h3 className="text-lg font-semibold text-slate-900">
+                {conflict.sectionTitle ? `"${conflict.sectionTitle}" was changed` : 'This section was changed'}
+              </h3>
+              <p className="text-sm text-slate-600 mt-0.5">
+                {editor} saved a newer version{savedAt ? ` on ${savedAt}` : ''} while you were editing.
+                Review the differences and choose what to keep.
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="p-1.5 hover:bg-slate-100 rounded-lg" title="Close">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-5">
+          {/* Saved version vs local edit */}
+          <div>
+            <h4 className="text-sm font-semibold text-slate-900 mb-1">Saved version compared with yours</h4>
+            <p className="text-xs text-slate-500 mb-2">
+              Struck-through text is only in the saved version; highlighted text is only in yours.
+            </p>
+            <TextDiff diff={diff} className="max-h-60 overflow-y-auto" />
+          </div>
+
+          {/* Conflicting passages */}
+          {merge.conflicts > 0 ? (
+            <div>
+              <h4 className="text-sm font-semibold text-slate-900 mb-2">
+                {merge.conflicts} passage{merge.conflicts === 1 ? '' : 's'} changed on both sides
+              </h4>
+              <div className="space-y-3">
+                {merge.chunks.map((chunk, idx) =>
+                  chunk.type === 'conflict' ? (
+                    <div key={idx} className="border border-amber-200 rounded-lg p-3 bg-amber-50/50">
+                      <div className="grid grid-cols-2 gap-3 text-sm">
+                        <div>
+                          <p className="text-xs font-medium text-slate-500 mb-1">Yours</p>
+                          <p className="whitespace-pre-wrap text-slate-800">{chunk.mine || <em className="text-slate-400">(removed)</em>}</p>
+                        </div>
+                        <div>
+                          <p className="text-xs font-medium text-slate-500 mb-1">Saved by {editor}</p>
+                          <p className="whitespace-pre-wrap text-slate-800">{chunk.theirs || <em className="text-slate-400">(removed)</em>}</p>
+                        </div>
+                      </div>
+                      <div className="flex gap-2 mt-3">
+                        {[
+                          ['mine', 'Keep mine'],
+                          ['theirs', 'Keep theirs'],
+                          ['both', 'Keep both'],
+                        ].map(([value, label]) => (
+                          <button
+                            key={value}
+                            onClick={() => choose(idx, value)}
+                            className={`px-2.5 py-1 text-xs font-medium rounded-md border ${
+                              (choices[idx] || 'mine') === value
+                                ? 'bg-blue-600 border-blue-600 text-white'
+                                : 'border-slate-300 text-slate-700 hover:bg-slate-50'
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ) : null
+                )}
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-green-700 bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+              Your changes and the saved version touch different passages and were merged automatically.
+            </p>
+          )}
+
+          {/* Result */}
+          <div>
+            <h4 className="text-sm font-semibold text-slate-900 mb-2">Merged result</h4>
+            <textarea
+              value={result}
+              onChange={(e) => setResult(e.target.value)}
+              rows={10}
+              className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+              style={{ fontFamily: 'system-ui, sans-serif', lineHeight: '1.6' }}
+            />
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between px-6 py-4 border-t border-slate-200">
+          <button
+            onClick={onDiscard}
+            disabled={saving}
+            className="px-4 py-2 text-sm font-medium text-slate-700 border border-slate-300 rounded-lg hover:bg-slate-50 disabled:opacity-50"
+          >
+            Discard my changes
+          </button>
+          <button
+            onClick={() => onResolve(result)}
+            disabled={saving || !result.trim()}
+            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:bg-blue-400"
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <GitMerge className="w-4 h-4" />}
+            Save merged version
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react';
+import { GitCompare, Loader2, X, Download, ChevronDown, ChevronRight } from 'lucide-react';
+import TextDiff from '../shared/TextDiff';
+import proposalPublishService from '../../services/bidder/proposalPublishService';
+import proposalExportService from '../../services/bidder/proposalExportService';
+
+const CHANGE_BADGES = {
+  ADDED: { label: 'Added', className: 'bg-green-100 text-green-700' },
+  REMOVED: { label: 'Removed', className: 'bg-red-100 text-red-700' },
+  CHANGED: { label: 'Changed', className: 'bg-amber-100 text-amber-700' },
+  UNCHANGED: { label: 'Unchanged', className: 'bg-slate-100 text-slate-500' },
+};
+
+const Delta = ({ value, suffix = '' }) => {
+  if (value === null || value === undefined) return <span className="text-slate-400">n/a</span>;
+  const className = value > 0 ? 'text-green-700' : value < 0 ? 'text-red-600' : 'text-slate-500';
+  return (
+    <span className={className}>
+      {value > 0 ? '+' : ''}
+      {value}
+      {suffix}
+    </span>
+  );
+};
+
+/**
+ * VersionCompareModal Component
+ *
+ * Compares two versions of a proposal section by section: text changes,
+ * word-count and compliance score deltas, exportable as a change summary.
+ *
+ * @param {Object} props
+ * @param {string} props.proposalId
+ * @param {Array<number>} props.versions - Version numbers that have snapshots, newest first
+ * @param {string} props.fileBaseName - Prefix for exported change summary files
+ * @param {Function} props.onClose
+ */
+export default function VersionCompareModal({ proposalId, versions, fileBaseName = 'proposal', onClose }) {
+  const [from, setFrom] = useState(versions[1] ?? versions[0]);
+  const [to, setTo] = useState(versions[0]);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [exporting, setExporting] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    proposalPublishService
+      .compareVersions(proposalId, from, to)
+      .then((data) => {
+        if (cancelled) return;
+        setComparison(data);
+        setExpanded({});
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [proposalId, from, to]);
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const blob = await proposalPublishService.exportChangeSummary(proposalId, from, to, format);
+      proposalExportService.downloadBlob(blob, `${fileBaseName}_changes_v${from}_v${to}.${format}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const sections = (comparison?.sections || []).filter((s) => showUnchanged || s.change !== 'UNCHANGED');
+  const summary = comparison?.summary;
+
+  const renderSelect = (value, onChange, label) => (
+    <label className="flex items-center gap-2 text-sm text-slate-600">
+      {label}
+      <select
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="px-2 py-1.5 border border-slate-300 rounded-lg text-sm text-slate-800 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        {versions.map((v) => (
+          <option key={v} value={v}>
+            Version {v}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-slate-200">
+          <div className="flex items-center gap-2">
+            <GitCompare className="w-5 h-5 text-indigo-600" />
+            <h3 className="text-lg font-semibold text-slate-900">Compare versions</h3>
+          </div>
+          <button onClick={onClose} className="p-1.5 hover:bg-slate-100 rounded-lg" title="Close">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        {/* Version pickers and export */}
+        <div className="flex flex-wrap items-center justify-between gap-3 px-6 py-3 border-b border-slate-100">
+          <div className="flex items-center gap-4">
+            {renderSelect(from, setFrom, 'From')}
+            {renderSelect(to, setTo, 'To')}
+          </div>
+          <div className="flex items-center gap-2">
+            {['pdf', 'docx'].map((format) => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                disabled={!comparison || exporting !== null}
+                className="flex items-center gap-1.5 px-3 py-1.5 text-sm font-medium text-slate-700 border border-slate-300 rounded-lg hover:bg-slate-50 disabled:opacity-50"
+              >
+                {exporting === format ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          {loading ? (
+            <div className="flex items-center justify-center py-16">
+              <Loader2 className="w-6 h-6 text-indigo-500 animate-spin" />
+            </div>
+          ) : error ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : comparison ? (
+            <>
+              {/* Summary */}
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-5">
+                <div className="p-3 rounded-lg bg-slate-50 border border-slate-200">
+                  <p className="text-xs text-slate-500">Sections changed</p>
+                  <p className="text-lg font-semibold text-slate-900">{summary.changed}</p>
+                </div>
+                <div className="p-3 rounded-lg bg-slate-50 border border-slate-200">
+                  <p className="text-xs text-slate-500">Added / removed</p>
+                  <p className="text-lg font-semibold text-slate-900">
+                    {summary.added} / {summary.removed}
+                  </p>
+                </div>
+                <div className="p-3 rounded-lg bg-slate-50 border border-slate-200">
+                  <p className="text-xs text-slate-500">Words</p>
+                  <p className="text-lg font-semibold text-slate-900">
+                    {summary.toWordCount} <span className="text-sm"><Delta value={summary.wordCountDelta} /></span>
+                  </p>
+                </div>
+                <div className="p-3 rounded-lg bg-slate-50 border border-slate-200">
+                  <p className="text-xs text-slate-500">Compliance score</p>
+                  <p className="text-lg font-semibold text-slate-900">
+                    {comparison.to.complianceScore ?? 'n/a'}
+                    {comparison.to.complianceScore !== null && '%'}{' '}
+                    <span className="text-sm"><Delta value={summary.complianceScoreDelta} suffix=" pts" /></span>
+                  </p>
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 text-xs text-slate-600 mb-3">
+                <input
+                  type="checkbox"
+                  checked={showUnchanged}
+                  onChange={(e) => setShowUnchanged(e.target.checked)}
+                  className="rounded border-slate-300"
+                />
+                Show unchanged sections ({summary.unchanged})
+              </label>
+
+              {/* Sections */}
+              {sections.length === 0 ? (
+                <p className="text-sm text-slate-500 text-center py-8">No section content changed between these versions</p>
+              ) : (
+                <ul className="space-y-2">
+                  {sections.map((section) => {
+                    const badge = CHANGE_BADGES[section.change];
+                    const isOpen = expanded[section.sectionId];
+                    const issueDelta = section.fromIssues !== null && section.toIssues !== null
+                      ? section.toIssues - section.fromIssues
+                      : null;
+
+                    return (
+                      <li key={section.sectionId} className="border border-slate-200 rounded-lg">
+                        <button
+                          onClick={() => setExpanded((prev) => ({ ...prev, [section.sectionId]: !isOpen }))}
+                          disabled={!section.diff}
+                          className="w-full flex items-center gap-3 px-4 py-3 text-left hover:bg-slate-50 disabled:hover:bg-transparent"
+                        >
+                          {section.diff ? (
+                            isOpen ? <ChevronDown className="w-4 h-4 text-slate-400" /> : <ChevronRight className="w-4 h-4 text-slate-400" />
+                          ) : (
+                            <span className="w-4" />
+                          )}
+                          <span className="flex-1 font-medium text-sm text-slate-800 truncate">{section.title}</span>
+                          <span className={`text-xs px-2 py-0.5 rounded-full ${badge.className}`}>{badge.label}</span>
+                          <span className="text-xs text-slate-500 w-28 text-right">
+                            {section.toWordCount} words <Delta value={section.wordCountDelta} />
+                          </span>
+                          <span className="text-xs text-slate-500 w-24 text-right" title="Compliance issues in this section">
+                            {section.toIssues ?? 'n/a'} issues{' '}
+                            {issueDelta !== null && issueDelta !== 0 && (
+                              <span className={issueDelta > 0 ? 'text-red-600' : 'text-green-700'}>
+                                {issueDelta > 0 ? '+' : ''}{issueDelta}
+                              </span>
+                            )}
+                          </span>
+                        </button>
+                        {isOpen && section.diff && (
+                          <div className="px-4 pb-4">
+                            <TextDiff diff={section.diff} className="max-h-80 overflow-y-auto" />
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,22 @@
-import React, { useState } from 'react';
-import { History, ChevronDown, Clock, FileText, ArrowRight, Plus } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { History, ChevronDown, Clock, FileText, ArrowRight, Plus, GitCompare, RotateCcw, Loader2 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { ProposalStatusDot } from './ProposalStatusBadge';
+import RevisionCompareModal, { REVISION_SOURCE_LABELS } from './RevisionCompareModal';
+import { collaborationService } from '../../services/bidder/collaborationService';
+
+const SOURCE_BADGE_CLASSES = {
+  HUMAN: 'bg-slate-100 text-slate-600',
+  AI_DRAFT: 'bg-purple-100 text-purple-700',
+  ASSISTER: 'bg-amber-100 text-amber-700',
+};
 
 /**
  * VersionHistory Component
  *
  * Displays version history of a proposal with ability to view previous versions.
+ * Given a section, also lists that section's saved revisions with a diff between
+ * any two of them and one-click restore.
  *
  * @param {Object} props
  * @param {Array} props.versions - Array of version objects
@@ -14,6 +24,12 @@ import { ProposalStatusDot } from './ProposalStatusBadge';
  * @param {Function} props.onVersionSelect - Callback when a version is selected
  * @param {Function} props.onCreateNewVersion - Callback to create new version
  * @param {boolean} props.canCreateVersion - Whether user can create new version
+ * @param {string} props.proposalId - Proposal the section revisions belong to
+ * @param {string} props.sectionId - Section whose revisions are listed (none when omitted)
+ * @param {string} props.sectionTitle - Title shown above the section revisions
+ * @param {boolean} props.canRestore - Whether the user may restore section revisions
+ * @param {boolean} props.hasUnsavedChanges - Warn before a restore replaces unsaved edits
+ * @param {Function} props.onRestore - Called with the saved section response after a restore
  * @param {string} props.className - Additional CSS classes
  */
 export default function VersionHistory({
@@ -22,22 +38,78 @@ export default function VersionHistory({
   onVersionSelect,
   onCreateNewVersion,
   canCreateVersion = false,
+  proposalId,
+  sectionId,
+  sectionTitle,
+  canRestore = false,
+  hasUnsavedChanges = false,
+  onRestore,
   className = ''
 }) {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [loadingRevisions, setLoadingRevisions] = useState(false);
+  const [revisionError, setRevisionError] = useState(null);
+  const [restoring, setRestoring] = useState(null);
+  const [compare, setCompare] = useState(null); // { from, to }
+
+  const showRevisions = Boolean(proposalId && sectionId);
+
+  // Section revisions are fetched each time the panel opens
+  useEffect(() => {
+    if (!isExpanded || !showRevisions) return undefined;
+
+    let cancelled = false;
+    setLoadingRevisions(true);
+    setRevisionError(null);
+
+    collaborationService
+      .getSectionRevisions(proposalId, sectionId)
+      .then((data) => {
+        if (!cancelled) setRevisions(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setRevisionError(err.response?.data?.error || 'Failed to load revisions');
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingRevisions(false);
+      });
 
-  // Generate mock versions if none provided (for demo)
-  const displayVersions = versions.length > 0 ? versions : [
-    {
-      version: currentVersion,
-      status: 'DRAFT',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      isCurrent: true
+    return () => {
+      cancelled = true;
+    };
+  }, [isExpanded, showRevisions, proposalId, sectionId]);
+
+  const latestRevision = revisions[0]?.revision;
+
+  // Compare a revision with the latest one, or the latest with the one before it
+  const openCompare = (revision) => {
+    if (revision === latestRevision) {
+      setCompare({ from: revisions[1].revision, to: revision });
+    } else {
+      setCompare({ from: revision, to: latestRevision });
     }
-  ];
+    setIsExpanded(false);
+  };
 
-  const currentVersionData = displayVersions.find(v => v.version === currentVersion) || displayVersions[0];
+  const handleRestore = async (revision) => {
+    const message = hasUnsavedChanges
+      ? `Restore revision ${revision}? Your unsaved changes to this section will be replaced.`
+      : `Restore revision ${revision}? It will be saved as the newest revision of this section.`;
+    if (!window.confirm(message)) return;
+
+    try {
+      setRestoring(revision);
+      setRevisionError(null);
+      const response = await collaborationService.restoreSectionRevision(proposalId, sectionId, revision);
+      onRestore?.(response);
+      setIsExpanded(false);
+    } catch (err) {
+      setRevisionError(err.response?.data?.error || 'Failed to restore revision');
+    } finally {
+      setRestoring(null);
+    }
+  };
 
   const formatDate = (dateString) => {
     const date = new Date(dateString);
@@ -102,7 +174,7 @@ export default function VersionHistory({
               animate={{ opacity: 1, y: 0, scale: 1 }}
               exit={{ opacity: 0, y: -10, scale: 0.95 }}
               transition={{ duration: 0.15 }}
-              className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-xl border border-slate-200 z-50 overflow-hidden"
+              className={`absolute right-0 mt-2 ${showRevisions ? 'w-96' : 'w-80'} bg-white rounded-xl shadow-xl border border-slate-200 z-50 overflow-hidden`}
               role="listbox"
               aria-label="Select version"
             >
@@ -113,13 +185,13 @@ export default function VersionHistory({
                   Version History
                 </h3>
                 <p className="text-xs text-slate-500 mt-1">
-                  {displayVersions.length} version{displayVersions.length !== 1 ? 's' : ''}
+                  {versions.length} version{versions.length !== 1 ? 's' : ''}
                 </p>
               </div>
 
               {/* Version List */}
               <div className="max-h-64 overflow-y-auto">
-                {displayVersions.map((version, index) => {
+                {versions.map((version) => {
                   const isCurrent = version.version === currentVersion;
 
                   return (
@@ -180,6 +252,89 @@ export default function VersionHistory({
                 })}
               </div>
 
+              {/* Section Revisions */}
+              {showRevisions && (
+                <div className="border-t border-slate-100">
+                  <div className="px-4 py-2 bg-slate-50 border-b border-slate-100">
+                    <h4 className="text-xs font-semibold text-slate-600 uppercase tracking-wide truncate">
+                      Section revisions{sectionTitle ? ` · ${sectionTitle}` : ''}
+                    </h4>
+                  </div>
+
+                  {revisionError && (
+                    <p className="px-4 py-2 text-xs text-red-600">{revisionError}</p>
+                  )}
+
+                  {loadingRevisions ? (
+                    <div className="flex items-center justify-center py-6">
+                      <Loader2 className="w-5 h-5 text-indigo-500 animate-spin" />
+                    </div>
+                  ) : revisions.length === 0 ? (
+                    <p className="px-4 py-6 text-center text-xs text-slate-500">
+                      No saved revisions of this section yet
+                    </p>
+                  ) : (
+                    <ul className="max-h-72 overflow-y-auto divide-y divide-slate-100">
+                      {revisions.map((rev) => {
+                        const isLatest = rev.revision === latestRevision;
+
+                        return (
+                          <li key={rev.revision} className="px-4 py-2.5">
+                            <div className="flex items-center justify-between gap-2">
+                              <div className="flex items-center gap-2 min-w-0">
+                                <span className="text-sm font-semibold text-slate-800">r{rev.revision}</span>
+                                <span className={`text-[11px] px-1.5 py-0.5 rounded ${SOURCE_BADGE_CLASSES[rev.source] || SOURCE_BADGE_CLASSES.HUMAN}`}>
+                                  {REVISION_SOURCE_LABELS[rev.source] || rev.source}
+                                </span>
+                                {isLatest && (
+                                  <span className="text-[11px] bg-indigo-100 text-indigo-600 px-1.5 py-0.5 rounded">
+                                    Latest
+                                  </span>
+                                )}
+                              </div>
+
+                              <div className="flex items-center gap-1 flex-shrink-0">
+                                {revisions.length > 1 && (
+                                  <button
+                                    onClick={() => openCompare(rev.revision)}
+                                    className="p-1 rounded hover:bg-slate-100 text-slate-500 hover:text-slate-700"
+                                    title={isLatest ? 'Compare with the previous revision' : 'Compare with the latest revision'}
+                                  >
+                                    <GitCompare className="w-4 h-4" />
+                                  </button>
+                                )}
+                                {canRestore && !isLatest && (
+                                  <button
+                                    onClick={() => handleRestore(rev.revision)}
+                                    disabled={restoring !== null}
+                                    className="p-1 rounded hover:bg-slate-100 text-slate-500 hover:text-indigo-600 disabled:opacity-50"
+                                    title="Restore this revision"
+                                  >
+                                    {restoring === rev.revision ? (
+                                      <Loader2 className="w-4 h-4 animate-spin" />
+                                    ) : (
+                                      <RotateCcw className="w-4 h-4" />
+                                    )}
+                                  </button>
+                                )}
+                              </div>
+                            </div>
+
+                            <div className="flex items-center gap-1 mt-0.5 text-xs text-slate-400">
+                              <Clock className="w-3 h-3" />
+                              <span className="truncate">
+                                {rev.created_by_name || 'Unknown'} · {formatRelativeTime(rev.created_at)}
+                                {rev.restored_from ? ` · restored r${rev.restored_from}` : ''}
+                              </span>
+                            </div>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </div>
+              )}
+
               {/* Create New Version Button */}
               {canCreateVersion && (
                 <div className="border-t border-slate-100 p-3">
@@ -206,6 +361,18 @@ export default function VersionHistory({
           </>
         )}
       </AnimatePresence>
+
+      {compare && (
+        <RevisionCompareModal
+          proposalId={proposalId}
+          sectionId={sectionId}
+          sectionTitle={sectionTitle}
+          revisions={revisions}
+          initialFrom={compare.from}
+          initialTo={compare.to}
+          onClose={() => setCompare(null)}
+        />
+      )}
     </div>
   );
 }
@@ -2,6 +2,7 @@ import { useState } from "react";
 import { Sparkles, Send } from "lucide-react";
 import ChatMessage from "./ChatMessage";
 import ChatInput from "./ChatInput";
+import useAIChat from "../../../hooks/useAIChat";
 
 const MOCK_RESPONSES = {
   "suggest sections": "I recommend these standard tender sections:\n\n1. Introduction & Background\n2. Scope of Work\n3. Eligibility Criteria\n4. Technical Specifications\n5. Submission Guidelines\n6. Evaluation Criteria\n7. Terms & Conditions\n\nWould you like me to draft any specific section?",
@@ -10,19 +11,34 @@ const MOCK_RESPONSES = {
   "draft": "I can help draft content for the selected section. Please specify:\n\n- What key points to include?\n- Desired level of detail?\n- Any specific requirements or constraints?\n\nI'll create a professional draft for you to review.",
 };
 
-export default function AIChatPanel({ context }) {
-  const [messages, setMessages] = useState([
-    {
-      id: 1,
-      role: "assistant",
-      content: `👋 Hi! I'm your AI tender assistant.\n\nI can help you:\n• Suggest standard sections\n• Draft section content\n• Improve clarity and structure\n• Ensure completeness\n\nTry: "Suggest sections" or "Draft eligibility criteria"`,
-      timestamp: new Date(),
-    },
-  ]);
+/**
+ * With a tenderId, questions are answered from the tender (RAG, streamed) and
+ * answers carry citations that call onCitationClick; without one the panel
+ * falls back to canned drafting tips.
+ */
+export default function AIChatPanel({ context, tenderId, onCitationClick }) {
+  const { messages, setMessages, isStreaming, sendMessage } = useAIChat(tenderId, {
+    initialMessages: [
+      {
+        id: 1,
+        role: "assistant",
+        content: tenderId
+          ? "👋 Hi! Ask me anything about this tender. Answers link back to the sections they come from."
+          : `👋 Hi! I'm your AI tender assistant.\n\nI can help you:\n• Suggest standard sections\n• Draft section content\n• Improve clarity and structure\n• Ensure completeness\n\nTry: "Suggest sections" or "Draft eligibility criteria"`,
+        timestamp: new Date(),
+      },
+    ],
+  });
   const [input, setInput] = useState("");
 
   const handleSend = () => {
-    if (!input.trim()) return;
+    if (!input.trim() || isStreaming) return;
+
+    if (tenderId) {
+      sendMessage(input);
+      setInput("");
+      return;
+    }
 
     // Add user message
     const userMessage = {
@@ -76,15 +92,15 @@ export default function AIChatPanel({ context }) {
           </div>
           <div>
             <h3 className="text-sm font-semibold text-neutral-900">AI Assistant</h3>
-            <p className="text-xs text-neutral-500">Mock responses</p>
+            <p className="text-xs text-neutral-500">{tenderId ? "Answers cite the tender" : "Mock responses"}</p>
           </div>
         </div>
       </div>
 
       {/* Messages */}
       <div className="flex-1 overflow-y-auto p-4 space-y-4">
-        {messages.map((message) => (
-          <ChatMessage key={message.id} message={message} />
+        {messages.map((message, index) => (
+          <ChatMessage key={message.id || index} message={message} onCitationClick={onCitationClick} />
         ))}
       </div>
 
@@ -1,6 +1,7 @@
 import { User, Sparkles } from "lucide-react";
+import CitedText from "./CitedText";
 
-export default function ChatMessage({ message }) {
+export default function ChatMessage({ message, onCitationClick }) {
   const isUser = message.role === "user";
 
   return (
@@ -23,7 +24,11 @@ export default function ChatMessage({ message }) {
             ? "bg-blue-600 text-white"
             : "bg-white border border-neutral-200 text-neutral-900"
         }`}>
-          <p className="whitespace-pre-wrap">{message.content}</p>
+          {!isUser && message.citations?.length > 0 ? (
+            <CitedText text={message.content} citations={message.citations} onCitationClick={onCitationClick} />
+          ) : (
+            <p className="whitespace-pre-wrap">{message.content}</p>
+          )}
         </div>
         {message.timestamp && (
           <p className="text-xs text-neutral-400 mt-1 px-1">
@@ -0,0 +1,52 @@
+import { Fragment } from "react";
+
+/**
+ * Renders AI answer text with inline citation markers ([1], [2]) as clickable links
+ * citations: [{ marker, chunkId, sectionId, sectionTitle, excerpt }]
+ */
+export default function CitedText({ text, citations = [], onCitationClick, className = "" }) {
+  const byMarker = new Map(citations.map((c) => [c.marker, c]));
+  const parts = (text || "").split(/(\[\d{1,2}\])/g);
+
+  return (
+    <div className={className}>
+      <p className="text-sm whitespace-pre-wrap leading-relaxed">
+        {parts.map((part, idx) => {
+          const match = part.match(/^\[(\d{1,2})\]$/);
+          const citation = match && byMarker.get(Number(match[1]));
+
+          if (!citation) return <Fragment key={idx}>{part}</Fragment>;
+
+          return (
+            <button
+              key={idx}
+              type="button"
+              onClick={() => onCitationClick?.(citation)}
+              title={citation.sectionTitle || "Tender Overview"}
+              className="inline-flex items-center align-super mx-0.5 px-1 rounded text-[10px] font-semibold text-blue-700 bg-blue-100 hover:bg-blue-200 transition-colors"
+            >
+              {citation.marker}
+            </button>
+          );
+        })}
+      </p>
+
+      {citations.length > 0 && (
+        <div className="mt-2 pt-2 border-t border-slate-200 space-y-1">
+          <p className="text-[11px] font-medium text-slate-500">Sources</p>
+          {citations.map((citation) => (
+            <button
+              key={citation.marker}
+              type="button"
+              onClick={() => onCitationClick?.(citation)}
+              title={citation.excerpt}
+              className="w-full text-left text-xs text-blue-700 hover:underline truncate"
+            >
+              [{citation.marker}] {citation.sectionTitle || "Tender Overview"}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
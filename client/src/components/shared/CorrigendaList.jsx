@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { ChevronDown, ChevronRight, Calendar, FileText } from "lucide-react";
+import TextDiff from "./TextDiff";
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString("en-IN", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+function ChangeDetail({ change }) {
+  if (change.change_type === "DEADLINE") {
+    return (
+      <div className="flex items-start gap-2 text-sm">
+        <Calendar className="w-4 h-4 text-neutral-500 mt-0.5 flex-shrink-0" />
+        <div>
+          <p className="font-medium text-neutral-900">Submission deadline changed</p>
+          <p className="text-neutral-600">
+            <span className="line-through text-red-600">
+              {change.previous_deadline ? formatDateTime(change.previous_deadline) : "Not set"}
+            </span>
+            {" → "}
+            <span className="text-green-700 font-medium">{formatDateTime(change.new_deadline)}</span>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const renamed = change.previous_title !== change.new_title;
+
+  return (
+    <div className="text-sm">
+      <div className="flex items-start gap-2 mb-2">
+        <FileText className="w-4 h-4 text-neutral-500 mt-0.5 flex-shrink-0" />
+        <p className="font-medium text-neutral-900">
+          {renamed ? (
+            <>
+              <span className="line-through text-red-600">{change.previous_title}</span>
+              {" → "}
+              <span className="text-green-700">{change.new_title}</span>
+            </>
+          ) : (
+            change.new_title
+          )}
+        </p>
+      </div>
+      <TextDiff diff={change.diff} />
+    </div>
+  );
+}
+
+/**
+ * Numbered corrigenda of a tender, newest first; each expands to show
+ * the deadline change and a diff of every amended section
+ */
+export default function CorrigendaList({ corrigenda }) {
+  const [expandedId, setExpandedId] = useState(corrigenda[0]?.corrigendum_id || null);
+
+  if (corrigenda.length === 0) return null;
+
+  return (
+    <ul className="divide-y divide-neutral-200">
+      {corrigenda.map((corrigendum) => {
+        const expanded = expandedId === corrigendum.corrigendum_id;
+        return (
+          <li key={corrigendum.corrigendum_id} className="py-3">
+            <button
+              onClick={() => setExpandedId(expanded ? null : corrigendum.corrigendum_id)}
+              className="w-full flex items-start justify-between gap-3 text-left"
+            >
+              <div className="flex items-start gap-2">
+                {expanded ? (
+                  <ChevronDown className="w-4 h-4 text-neutral-500 mt-0.5" />
+                ) : (
+                  <ChevronRight className="w-4 h-4 text-neutral-500 mt-0.5" />
+                )}
+                <div>
+                  <p className="text-sm font-semibold text-neutral-900">
+                    Corrigendum #{corrigendum.corrigendum_number}: {corrigendum.title}
+                  </p>
+                  {corrigendum.reason && <p className="text-xs text-neutral-600 mt-0.5">{corrigendum.reason}</p>}
+                </div>
+              </div>
+              <span className="text-xs text-neutral-500 flex-shrink-0">
+                {formatDateTime(corrigendum.issued_at)}
+              </span>
+            </button>
+            {expanded && (
+              <div className="mt-3 ml-6 space-y-4">
+                {corrigendum.changes.map((change) => (
+                  <ChangeDetail key={change.change_id} change={change} />
+                ))}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
@@ -0,0 +1,139 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Bell } from "lucide-react";
+import { notificationService } from "../../services/notificationService";
+
+const POLL_INTERVAL_MS = 60000;
+
+const timeAgo = (value) => {
+  const minutes = Math.floor((Date.now() - new Date(value)) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+/**
+ * Bell with unread count and a dropdown of recent notifications
+ * @param {"left"|"right"} align - edge of the bell the dropdown lines up with
+ */
+export default function NotificationBell({ align = "right" }) {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const fetchCount = () =>
+      notificationService
+        .getUnreadCount()
+        .then(setUnreadCount)
+        .catch(() => {});
+
+    fetchCount();
+    const timer = setInterval(fetchCount, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [open]);
+
+  const handleToggle = async () => {
+    const next = !open;
+    setOpen(next);
+    if (!next) return;
+
+    try {
+      const result = await notificationService.getNotifications();
+      setNotifications(result.notifications);
+      setUnreadCount(result.unread_count);
+    } catch (err) {
+      console.error("Failed to load notifications:", err);
+    }
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.read_at) {
+      try {
+        await notificationService.markRead([notification.notification_id]);
+        setUnreadCount((count) => Math.max(0, count - 1));
+      } catch (err) {
+        console.error("Failed to mark notification as read:", err);
+      }
+    }
+    setOpen(false);
+    if (notification.link) navigate(notification.link);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationService.markRead();
+      setUnreadCount(0);
+      setNotifications((prev) => prev.map((n) => ({ ...n, read_at: n.read_at || new Date().toISOString() })));
+    } catch (err) {
+      console.error("Failed to mark notifications as read:", err);
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={handleToggle}
+        className="relative p-2 rounded-full hover:bg-neutral-100 transition-colors"
+        title="Notifications"
+      >
+        <Bell className="w-5 h-5 text-neutral-600" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[18px] h-[18px] px-1 bg-primary-600 text-white text-[10px] font-semibold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          className={`absolute ${align === "left" ? "left-0" : "right-0"} mt-2 w-80 bg-white rounded-md shadow-lg border border-neutral-200 z-50`}
+        >
+          <div className="flex items-center justify-between px-4 py-2 border-b border-neutral-200">
+            <span className="text-sm font-semibold text-neutral-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-primary-600 hover:underline">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-8 text-center text-sm text-neutral-500">You're all caught up</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-neutral-100">
+              {notifications.map((n) => (
+                <li key={n.notification_id}>
+                  <button
+                    onClick={() => handleOpen(n)}
+                    className={`w-full text-left px-4 py-3 hover:bg-neutral-50 ${n.read_at ? "" : "bg-primary-50/40"}`}
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <p className={`text-sm text-neutral-900 ${n.read_at ? "" : "font-semibold"}`}>{n.title}</p>
+                      <span className="text-xs text-neutral-400 whitespace-nowrap">{timeAgo(n.created_at)}</span>
+                    </div>
+                    {n.body && <p className="text-xs text-neutral-600 mt-0.5 line-clamp-2">{n.body}</p>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -12,7 +12,9 @@ import {
   LogOut,
   Building2,
   ClipboardList,
+  Users,
 } from "lucide-react";
+import useAuth from "../../hooks/useAuth";
 
 const adminMenu = [
   { label: "Dashboard", href: "/admin/dashboard", icon: LayoutDashboard, rootPath: "/admin/dashboard" },
@@ -20,6 +22,7 @@ const adminMenu = [
   { label: "Create Tender", href: "/admin/tender/create", icon: FileText, rootPath: "/admin/tender" },
   { label: "Bid Evaluation", href: "/admin/bid-evaluation", icon: FileCheck, rootPath: "/admin/bid-evaluation" },
   { label: "Analytics", href: "/admin/analytics", icon: BarChart3, rootPath: "/admin/analytics" },
+  { label: "Team", href: "/admin/team", icon: Users, rootPath: "/admin/team" },
   { label: "Profile", href: "/admin/profile", icon: Settings, rootPath: "/admin/profile" },
 ];
 
@@ -63,10 +66,10 @@ export default function Sidebar({ role = "admin" }) {
     : bidderMenu;
 
   const user = JSON.parse(localStorage.getItem("tms_user") || "{}");
+  const { logout } = useAuth();
 
   const handleLogout = () => {
-    localStorage.removeItem("tms_user");
-    localStorage.removeItem("tms_token");
+    logout();
     navigate("/login");
   };
 
@@ -0,0 +1,24 @@
+import { Star } from "lucide-react";
+
+/**
+ * Five stars for a 1-5 rating. Pass onChange to let the user pick a rating.
+ */
+export default function StarRating({ value = 0, onChange, size = "w-4 h-4" }) {
+  return (
+    <div className="flex items-center gap-0.5">
+      {[1, 2, 3, 4, 5].map((star) => {
+        const filled = star <= Math.round(value || 0);
+        const icon = (
+          <Star className={`${size} ${filled ? "fill-amber-400 text-amber-400" : "text-neutral-300"}`} />
+        );
+        return onChange ? (
+          <button key={star} type="button" onClick={() => onChange(star)} title={`${star} of 5`}>
+            {icon}
+          </button>
+        ) : (
+          <span key={star}>{icon}</span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,103 @@
+import { useEffect, useState } from "react";
+import { ShieldCheck, X } from "lucide-react";
+import { authService } from "../../services/authService";
+
+/**
+ * Answers `tms:step-up-required` events from the API clients: asks for a
+ * two-factor code (or the password without two-factor), confirms it with the
+ * server and lets the original request retry.
+ */
+export default function StepUpDialog() {
+  const [request, setRequest] = useState(null); // { method, resolve, reject }
+  const [value, setValue] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const onStepUp = (e) => {
+      setRequest(e.detail);
+      setValue("");
+      setError("");
+    };
+    window.addEventListener("tms:step-up-required", onStepUp);
+    return () => window.removeEventListener("tms:step-up-required", onStepUp);
+  }, []);
+
+  if (!request) return null;
+
+  const usesCode = request.method === "totp";
+
+  const handleCancel = () => {
+    request.reject(new Error("Identity confirmation was cancelled"));
+    setRequest(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError("");
+    try {
+      const token = localStorage.getItem("tms_token");
+      await authService.stepUp(token, usesCode ? { code: value.trim() } : { password: value });
+      request.resolve();
+      setRequest(null);
+    } catch (err) {
+      setError(err.message || "Confirmation failed");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-[60] p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-sm w-full">
+        <div className="border-b border-neutral-200 p-5 flex items-center justify-between">
+          <h2 className="text-lg font-bold text-neutral-900 flex items-center gap-2">
+            <ShieldCheck className="w-5 h-5 text-primary-600" />
+            Confirm it's you
+          </h2>
+          <button onClick={handleCancel} className="text-neutral-400 hover:text-neutral-600 transition-colors">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-5 space-y-4">
+          <p className="text-sm text-neutral-600">
+            {usesCode
+              ? "This action needs a fresh code from your authenticator app (or a recovery code)."
+              : "This action needs your password again."}
+          </p>
+          <input
+            type={usesCode ? "text" : "password"}
+            inputMode={usesCode ? "numeric" : undefined}
+            autoComplete={usesCode ? "one-time-code" : "current-password"}
+            autoFocus
+            required
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            placeholder={usesCode ? "123456" : "Password"}
+            className="w-full px-3 py-2 border border-neutral-300 rounded-md"
+          />
+          {error && <p className="text-sm text-red-700">{error}</p>}
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={handleCancel}
+              className="px-4 py-2 rounded-md border border-neutral-300 text-sm text-neutral-700 hover:bg-neutral-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700 disabled:bg-neutral-300"
+            >
+              {submitting ? "Confirming..." : "Confirm"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,326 @@
+import { useEffect, useState } from "react";
+import { Clock, Loader2, Mail, ShieldCheck, Trash2, UserPlus, Users, X } from "lucide-react";
+import useAuth from "../../hooks/useAuth";
+import { organizationService } from "../../services/organizationService";
+import { ORG_ROLES, ORG_ROLE_DESCRIPTIONS, ORG_ROLE_LABELS, TEAM_MANAGER_ROLES } from "../../utils/constants";
+
+// Owners and admins can only be granted or changed by owners
+const OWNER_MANAGED_ROLES = ["OWNER", "ADMIN"];
+
+/**
+ * Members of the signed-in user's organization with their org roles and open
+ * invitations. Owners and admins invite by email, change roles and remove members.
+ */
+export default function TeamMembersPanel() {
+  const { user } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("CONTRIBUTOR");
+  const [inviting, setInviting] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [twoFactorPolicy, setTwoFactorPolicy] = useState(null);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+
+  // The member list is authoritative for the signed-in user's role (the stored user may predate a role change)
+  const myRole = members.find((m) => m.user_id === user?.id)?.org_role ?? user?.orgRole;
+  const canManage = TEAM_MANAGER_ROLES.includes(myRole);
+  const isOwner = myRole === "OWNER";
+  const assignableRoles = ORG_ROLES.filter((role) => isOwner || !OWNER_MANAGED_ROLES.includes(role));
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const memberList = await organizationService.getMembers();
+        setMembers(memberList);
+
+        const role = memberList.find((m) => m.user_id === user?.id)?.org_role;
+        if (TEAM_MANAGER_ROLES.includes(role)) {
+          const [invitationList, policy] = await Promise.all([
+            organizationService.getInvitations(),
+            organizationService.getTwoFactorPolicy(),
+          ]);
+          setInvitations(invitationList);
+          setTwoFactorPolicy(policy);
+        }
+      } catch (err) {
+        setError(err.response?.data?.error || "Failed to load members");
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [user?.id]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const invitation = await organizationService.inviteMember(inviteEmail.trim(), inviteRole);
+      setInvitations((prev) => [invitation, ...prev.filter((i) => i.email !== invitation.email)]);
+      setInviteEmail("");
+      setNotice(
+        invitation.email_sent
+          ? `Invitation sent to ${invitation.email}`
+          : `Invitation to ${invitation.email} was saved but the email could not be sent. Try inviting again later.`
+      );
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to send invitation");
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRoleChange = async (member, orgRole) => {
+    setBusyId(member.user_id);
+    setError(null);
+    setNotice(null);
+    try {
+      const updated = await organizationService.updateMemberRole(member.user_id, orgRole);
+      setMembers((prev) => prev.map((m) => (m.user_id === updated.user_id ? updated : m)));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to change role");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.name} from your organization? They keep their account but lose access to your proposals.`)) {
+      return;
+    }
+
+    setBusyId(member.user_id);
+    setError(null);
+    setNotice(null);
+    try {
+      await organizationService.removeMember(member.user_id);
+      setMembers((prev) => prev.filter((m) => m.user_id !== member.user_id));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to remove member");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    setBusyId(invitation.invitation_id);
+    setError(null);
+    setNotice(null);
+    try {
+      await organizationService.revokeInvitation(invitation.invitation_id);
+      setInvitations((prev) => prev.filter((i) => i.invitation_id !== invitation.invitation_id));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to revoke invitation");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleTwoFactorPolicy = async (requireTwoFactor) => {
+    setSavingPolicy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      setTwoFactorPolicy(await organizationService.updateTwoFactorPolicy(requireTwoFactor));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update two-factor requirement");
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const canEditMember = (member) =>
+    canManage && member.user_id !== user?.id && (isOwner || !OWNER_MANAGED_ROLES.includes(member.org_role));
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <Loader2 className="w-6 h-6 text-primary-500 animate-spin" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg px-4 py-3">{error}</div>
+      )}
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 text-sm rounded-lg px-4 py-3">{notice}</div>
+      )}
+
+      {/* Invite */}
+      {canManage && (
+        <form onSubmit={handleInvite} className="bg-white border border-neutral-200 rounded-lg p-5">
+          <h2 className="text-sm font-semibold text-neutral-900 mb-3 flex items-center gap-2">
+            <UserPlus className="w-4 h-4" />
+            Invite a member
+          </h2>
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="email"
+              required
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              placeholder="colleague@company.com"
+              className="flex-1 px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+            <select
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              className="px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              {assignableRoles.map((role) => (
+                <option key={role} value={role}>
+                  {ORG_ROLE_LABELS[role]}
+                </option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={inviting}
+              className="flex items-center justify-center gap-2 px-4 py-2 bg-primary-600 hover:bg-primary-700 disabled:opacity-60 text-white text-sm font-medium rounded-lg"
+            >
+              {inviting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Mail className="w-4 h-4" />}
+              Send invitation
+            </button>
+          </div>
+          <p className="text-xs text-neutral-500 mt-2">{ORG_ROLE_DESCRIPTIONS[inviteRole]}. The link expires after 7 days.</p>
+        </form>
+      )}
+
+      {/* Two-factor policy */}
+      {canManage && twoFactorPolicy && (
+        <div className="bg-white border border-neutral-200 rounded-lg p-5 flex items-center justify-between gap-4">
+          <div>
+            <h2 className="text-sm font-semibold text-neutral-900 flex items-center gap-2">
+              <ShieldCheck className="w-4 h-4" />
+              Require two-factor authentication
+            </h2>
+            <p className="text-xs text-neutral-500 mt-1">
+              {twoFactorPolicy.enrolled} of {twoFactorPolicy.total} members use two-factor. When required, members without
+              it are asked to set it up before sensitive actions.
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-neutral-700 flex-shrink-0">
+            <input
+              type="checkbox"
+              checked={twoFactorPolicy.require_two_factor}
+              disabled={savingPolicy}
+              onChange={(e) => handleTwoFactorPolicy(e.target.checked)}
+              className="w-4 h-4 rounded border-neutral-300 text-primary-600 focus:ring-primary-500"
+            />
+            Required
+          </label>
+        </div>
+      )}
+
+      {/* Members */}
+      <div className="bg-white border border-neutral-200 rounded-lg">
+        <div className="px-5 py-3 border-b border-neutral-200">
+          <h2 className="text-sm font-semibold text-neutral-900 flex items-center gap-2">
+            <Users className="w-4 h-4" />
+            {members.length} member{members.length === 1 ? "" : "s"}
+          </h2>
+        </div>
+        <ul className="divide-y divide-neutral-100">
+          {members.map((member) => (
+            <li key={member.user_id} className="px-5 py-3 flex items-center justify-between gap-4">
+              <div className="flex items-center gap-3 min-w-0">
+                <div className="w-9 h-9 rounded-full bg-primary-100 flex items-center justify-center flex-shrink-0">
+                  <span className="text-primary-700 font-medium text-sm">{member.name?.charAt(0)?.toUpperCase() || "?"}</span>
+                </div>
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-neutral-900 truncate">
+                    {member.name}
+                    {member.user_id === user?.id && <span className="ml-2 text-xs text-neutral-500">(you)</span>}
+                  </p>
+                  <p className="text-xs text-neutral-500 truncate">{member.email}</p>
+                </div>
+              </div>
+              <div className="flex items-center gap-2 flex-shrink-0">
+                {canEditMember(member) ? (
+                  <select
+                    value={member.org_role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    disabled={busyId === member.user_id}
+                    className="px-2 py-1.5 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                    title={ORG_ROLE_DESCRIPTIONS[member.org_role]}
+                  >
+                    {assignableRoles.map((role) => (
+                      <option key={role} value={role}>
+                        {ORG_ROLE_LABELS[role]}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span
+                    className="px-2 py-1 rounded-full bg-neutral-100 text-neutral-700 text-xs font-medium"
+                    title={ORG_ROLE_DESCRIPTIONS[member.org_role]}
+                  >
+                    {ORG_ROLE_LABELS[member.org_role]}
+                  </span>
+                )}
+                {canEditMember(member) && (
+                  <button
+                    onClick={() => handleRemove(member)}
+                    disabled={busyId === member.user_id}
+                    className="p-2 rounded-lg text-neutral-400 hover:text-red-600 hover:bg-red-50"
+                    title="Remove from organization"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* Pending invitations */}
+      {canManage && invitations.length > 0 && (
+        <div className="bg-white border border-neutral-200 rounded-lg">
+          <div className="px-5 py-3 border-b border-neutral-200">
+            <h2 className="text-sm font-semibold text-neutral-900 flex items-center gap-2">
+              <Clock className="w-4 h-4" />
+              Pending invitations
+            </h2>
+          </div>
+          <ul className="divide-y divide-neutral-100">
+            {invitations.map((invitation) => (
+              <li key={invitation.invitation_id} className="px-5 py-3 flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-neutral-900 truncate">{invitation.email}</p>
+                  <p className="text-xs text-neutral-500">
+                    {ORG_ROLE_LABELS[invitation.org_role]}
+                    {invitation.invited_by_name ? ` · invited by ${invitation.invited_by_name}` : ""}
+                    {" · "}
+                    {invitation.expired ? (
+                      <span className="text-red-600">expired</span>
+                    ) : (
+                      `expires ${new Date(invitation.expires_at).toLocaleDateString()}`
+                    )}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(invitation)}
+                  disabled={busyId === invitation.invitation_id}
+                  className="p-2 rounded-lg text-neutral-400 hover:text-red-600 hover:bg-red-50"
+                  title="Revoke invitation"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
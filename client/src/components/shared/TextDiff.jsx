@@ -0,0 +1,33 @@
+const SEGMENT_CLASSES = {
+  added: "bg-green-100 text-green-800",
+  removed: "bg-red-100 text-red-700 line-through",
+  equal: "",
+};
+
+/**
+ * Renders diff segments ({ type: 'equal'|'added'|'removed', text }) from the
+ * textDiff utility (server or utils/textDiff) inline, with additions highlighted
+ * and removals struck through
+ */
+export default function TextDiff({ diff, className = "" }) {
+  if (!diff || diff.segments.length === 0) {
+    return <p className="text-sm text-neutral-500">No text changes</p>;
+  }
+
+  return (
+    <div className={className}>
+      <p className="text-xs text-neutral-500 mb-2">
+        <span className="text-green-700">+{diff.added} words</span>
+        {" · "}
+        <span className="text-red-600">−{diff.removed} words</span>
+      </p>
+      <div className="text-sm text-neutral-700 whitespace-pre-wrap leading-relaxed bg-neutral-50 p-3 rounded border border-neutral-200">
+        {diff.segments.map((segment, idx) => (
+          <span key={idx} className={SEGMENT_CLASSES[segment.type]}>
+            {segment.text}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
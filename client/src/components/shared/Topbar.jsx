@@ -1,6 +1,7 @@
 import { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
-import { Bell, ChevronDown, User, Settings, LogOut } from "lucide-react";
+import { ChevronDown, User, Settings, LogOut } from "lucide-react";
+import NotificationBell from "./NotificationBell";
 
 export default function Topbar() {
   const [showDropdown, setShowDropdown] = useState(false);
@@ -31,10 +32,7 @@ export default function Topbar() {
       {/* Right: User Actions */}
       <div className="flex items-center gap-4">
         {/* Notifications */}
-        <button className="relative p-2 rounded-full hover:bg-neutral-100 transition-colors">
-          <Bell className="w-5 h-5 text-neutral-600" />
-          <span className="absolute top-1 right-1 w-2 h-2 bg-primary-600 rounded-full"></span>
-        </button>
+        <NotificationBell />
 
         {/* User Dropdown */}
         <div className="relative">
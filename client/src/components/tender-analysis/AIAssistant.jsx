@@ -1,5 +1,6 @@
 import React from 'react';
-import { Bot, Sparkles, Search, Send } from 'lucide-react';
+import { Bot, Sparkles, Search, Send, Square } from 'lucide-react';
+import CitedText from '../shared/AIChat/CitedText';
 
 export default function AIAssistant({ 
   searchQuery, 
@@ -9,8 +10,11 @@ export default function AIAssistant({
   handleAIQuestion, 
   chatMessages, 
   aiLoading, 
+  aiStreaming,
+  onCancel,
   userInput, 
-  setUserInput 
+  setUserInput,
+  onCitationClick
 }) {
   return (
     <div className="w-full lg:w-96 lg:min-w-[24rem] bg-white border-t lg:border-t-0 lg:border-l border-slate-200 flex flex-col h-[600px] lg:h-auto">
@@ -48,7 +52,8 @@ export default function AIAssistant({
             <button
               key={idx}
               onClick={() => handleAIQuestion(q)}
-              className="px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-xs text-slate-700 hover:bg-blue-50 hover:border-blue-300 hover:text-blue-700 transition-colors"
+              disabled={aiStreaming}
+              className="px-3 py-1.5 bg-white border border-slate-200 rounded-lg text-xs text-slate-700 hover:bg-blue-50 hover:border-blue-300 hover:text-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               {q}
             </button>
@@ -58,8 +63,10 @@ export default function AIAssistant({
 
       {/* Chat Messages */}
       <div className="flex-1 overflow-y-auto p-4 space-y-4">
-        {chatMessages.map((msg, idx) => (
-          <div key={idx} className={`flex gap-3 ${msg.role === 'user' ? 'flex-row-reverse' : ''}`}>
+        {chatMessages.map((msg, idx) => msg.streaming && !msg.content ? (
+          <TypingIndicator key={msg.id || idx} />
+        ) : (
+          <div key={msg.id || idx} className={`flex gap-3 ${msg.role === 'user' ? 'flex-row-reverse' : ''}`}>
             {msg.role === 'assistant' && (
               <div className="w-8 h-8 bg-gradient-to-br from-blue-500 to-purple-600 rounded-lg flex items-center justify-center flex-shrink-0">
                 <Sparkles className="w-4 h-4 text-white" />
@@ -68,24 +75,21 @@ export default function AIAssistant({
             <div className={`flex-1 p-3 rounded-lg ${
               msg.role === 'user' ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-900'
             }`}>
-              <p className="text-sm whitespace-pre-wrap leading-relaxed">{msg.content}</p>
+              {msg.role === 'assistant' && msg.citations?.length > 0 ? (
+                <CitedText text={msg.content} citations={msg.citations} onCitationClick={onCitationClick} />
+              ) : (
+                <p className="text-sm whitespace-pre-wrap leading-relaxed">
+                  {msg.content}
+                  {msg.streaming && <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-slate-400 animate-pulse" />}
+                </p>
+              )}
+              {msg.stopped && (
+                <p className="mt-1 text-[11px] text-slate-500 italic">Stopped</p>
+              )}
             </div>
           </div>
         ))}
-        {aiLoading && (
-          <div className="flex gap-3">
-            <div className="w-8 h-8 bg-gradient-to-br from-blue-500 to-purple-600 rounded-lg flex items-center justify-center">
-              <Sparkles className="w-4 h-4 text-white animate-pulse" />
-            </div>
-            <div className="flex-1 p-3 rounded-lg bg-slate-100">
-              <div className="flex gap-2">
-                <div className="w-2 h-2 bg-slate-400 rounded-full animate-bounce" />
-                <div className="w-2 h-2 bg-slate-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }} />
-                <div className="w-2 h-2 bg-slate-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }} />
-              </div>
-            </div>
-          </div>
-        )}
+        {aiLoading && <TypingIndicator />}
       </div>
 
       {/* Input */}
@@ -95,17 +99,44 @@ export default function AIAssistant({
             type="text"
             value={userInput}
             onChange={(e) => setUserInput(e.target.value)}
-            onKeyPress={(e) => e.key === 'Enter' && !aiLoading && userInput.trim() && handleAIQuestion(userInput)}
+            onKeyPress={(e) => e.key === 'Enter' && !aiLoading && !aiStreaming && userInput.trim() && handleAIQuestion(userInput)}
             placeholder="Ask me anything about this tender..."
             className="flex-1 px-4 py-3 border border-slate-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           />
-          <button
-            onClick={() => handleAIQuestion(userInput)}
-            disabled={!userInput.trim() || aiLoading}
-            className="px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            <Send className="w-5 h-5" />
-          </button>
+          {aiStreaming ? (
+            <button
+              onClick={onCancel}
+              title="Stop generating"
+              className="px-4 py-3 bg-slate-700 text-white rounded-lg hover:bg-slate-800"
+            >
+              <Square className="w-5 h-5" />
+            </button>
+          ) : (
+            <button
+              onClick={() => handleAIQuestion(userInput)}
+              disabled={!userInput.trim() || aiLoading}
+              className="px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Send className="w-5 h-5" />
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TypingIndicator() {
+  return (
+    <div className="flex gap-3">
+      <div className="w-8 h-8 bg-gradient-to-br from-blue-500 to-purple-600 rounded-lg flex items-center justify-center">
+        <Sparkles className="w-4 h-4 text-white animate-pulse" />
+      </div>
+      <div className="flex-1 p-3 rounded-lg bg-slate-100">
+        <div className="flex gap-2">
+          <div className="w-2 h-2 bg-slate-400 rounded-full animate-bounce" />
+          <div className="w-2 h-2 bg-slate-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }} />
+          <div className="w-2 h-2 bg-slate-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }} />
         </div>
       </div>
     </div>
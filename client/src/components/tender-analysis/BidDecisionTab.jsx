@@ -0,0 +1,272 @@
+import React, { useEffect, useState } from 'react';
+import { Sparkles, Send, CheckCircle2, XCircle, Clock } from 'lucide-react';
+import { bidDecisionService } from '../../services/bidder/bidDecisionService';
+
+const STATUS_STYLES = {
+  DRAFT: 'bg-slate-100 text-slate-700',
+  PENDING_APPROVAL: 'bg-amber-100 text-amber-800',
+  APPROVED: 'bg-green-100 text-green-800',
+  REJECTED: 'bg-red-100 text-red-800',
+};
+
+const EVENT_LABELS = {
+  SUBMITTED: 'Submitted for approval',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+};
+
+const toForm = (decision) => ({
+  scores: decision?.scores || {},
+  decision: decision?.decision || '',
+  justification: decision?.justification || '',
+});
+
+/**
+ * Bid/no-bid scorecard for a tender: AI pre-fill, weighted scores, justification,
+ * submission and approval. An approved BID opens collaborative drafting.
+ */
+export default function BidDecisionTab({ tenderId }) {
+  const [scorecard, setScorecard] = useState(null);
+  const [decision, setDecision] = useState(null);
+  const [form, setForm] = useState(toForm(null));
+  const [reviewComment, setReviewComment] = useState('');
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [card, current] = await Promise.all([
+          bidDecisionService.getScorecard(),
+          bidDecisionService.getDecision(tenderId),
+        ]);
+        setScorecard(card);
+        setDecision(current);
+        setForm(toForm(current));
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load bid decision');
+      }
+    };
+    load();
+  }, [tenderId]);
+
+  const run = async (action, fn) => {
+    try {
+      setBusy(action);
+      setError(null);
+      const updated = await fn();
+      setDecision(updated);
+      setForm(toForm(updated));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Bid decision update failed');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSaveAndSubmit = () =>
+    run('submit', async () => {
+      await bidDecisionService.saveDecision(tenderId, form);
+      return bidDecisionService.submitDecision(tenderId);
+    });
+
+  const handleReview = (approve) =>
+    run(approve ? 'approve' : 'reject', async () => {
+      const updated = await bidDecisionService.reviewDecision(tenderId, { approve, comment: reviewComment });
+      setReviewComment('');
+      return updated;
+    });
+
+  const setScore = (criterion, patch) =>
+    setForm((prev) => ({
+      ...prev,
+      scores: { ...prev.scores, [criterion]: { ...prev.scores[criterion], ...patch } },
+    }));
+
+  if (!scorecard) {
+    return error
+      ? <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      : <div className="text-center py-12 text-slate-500">Loading bid decision...</div>;
+  }
+
+  const status = decision?.status || 'DRAFT';
+  const editable = status === 'DRAFT' || status === 'REJECTED';
+  const criteria = Object.entries(scorecard.criteria).filter(([key]) => scorecard.weights[key] > 0);
+
+  return (
+    <div className="space-y-4">
+      {error && <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>}
+
+      {/* Summary */}
+      <div className="bg-white border border-slate-200 rounded-lg p-4 flex items-center justify-between gap-4">
+        <div>
+          <div className="flex items-center gap-2">
+            <h3 className="font-semibold text-slate-900">Bid / No-Bid</h3>
+            <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[status]}`}>
+              {status.replace('_', ' ')}
+            </span>
+          </div>
+          <p className="text-sm text-slate-600 mt-1">
+            {decision?.total_score != null ? `Weighted score ${decision.total_score}%` : 'Not scored yet'} · Bid threshold{' '}
+            {scorecard.bid_threshold}%
+            {decision?.recommendation && ` · Recommendation: ${decision.recommendation.replace('_', '-')}`}
+          </p>
+        </div>
+        {editable && (
+          <button
+            onClick={() => run('prefill', () => bidDecisionService.prefillDecision(tenderId))}
+            disabled={!!busy}
+            className="flex items-center gap-2 px-3 py-2 text-sm font-medium rounded-lg border border-blue-200 text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50"
+          >
+            <Sparkles className="w-4 h-4" />
+            {busy === 'prefill' ? 'Assessing...' : 'AI Pre-fill'}
+          </button>
+        )}
+      </div>
+
+      {decision?.ai_rationale && (
+        <div className="p-3 bg-blue-50 border border-blue-100 rounded-lg text-sm text-blue-900">{decision.ai_rationale}</div>
+      )}
+
+      {status === 'REJECTED' && decision.review_comment && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+          Rejected by {decision.reviewed_by_name || 'manager'}: {decision.review_comment}
+        </div>
+      )}
+
+      {/* Scorecard */}
+      <div className="bg-white border border-slate-200 rounded-lg divide-y divide-slate-100">
+        {criteria.map(([key, label]) => (
+          <div key={key} className="p-4 grid grid-cols-1 sm:grid-cols-3 gap-3 items-start">
+            <div>
+              <p className="text-sm font-medium text-slate-900">{label}</p>
+              <p className="text-xs text-slate-500">Weight {scorecard.weights[key]}</p>
+            </div>
+            <div className="flex gap-1">
+              {[1, 2, 3, 4, 5].map((n) => (
+                <button
+                  key={n}
+                  disabled={!editable}
+                  onClick={() => setScore(key, { score: n })}
+                  className={`w-8 h-8 rounded text-sm font-medium border transition-colors ${
+                    form.scores[key]?.score === n
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'border-slate-300 text-slate-600 hover:bg-slate-50'
+                  } disabled:cursor-default`}
+                >
+                  {n}
+                </button>
+              ))}
+            </div>
+            <input
+              value={form.scores[key]?.note || ''}
+              onChange={(e) => setScore(key, { note: e.target.value })}
+              disabled={!editable}
+              placeholder="Note"
+              className="px-3 py-1.5 border border-slate-300 rounded text-sm disabled:bg-slate-50"
+            />
+          </div>
+        ))}
+      </div>
+
+      {/* Decision and justification */}
+      <div className="bg-white border border-slate-200 rounded-lg p-4 space-y-3">
+        <div className="flex gap-4 text-sm">
+          {['BID', 'NO_BID'].map((value) => (
+            <label key={value} className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="bid-decision"
+                checked={form.decision === value}
+                onChange={() => setForm((prev) => ({ ...prev, decision: value }))}
+                disabled={!editable}
+              />
+              {value === 'BID' ? 'Bid' : 'No bid'}
+            </label>
+          ))}
+        </div>
+        <textarea
+          value={form.justification}
+          onChange={(e) => setForm((prev) => ({ ...prev, justification: e.target.value }))}
+          disabled={!editable}
+          rows={3}
+          placeholder="Justification for management"
+          className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm disabled:bg-slate-50"
+        />
+        {editable && (
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => run('save', () => bidDecisionService.saveDecision(tenderId, form))}
+              disabled={!!busy}
+              className="px-4 py-2 text-sm border border-slate-300 rounded-lg hover:bg-slate-50 disabled:opacity-50"
+            >
+              {busy === 'save' ? 'Saving...' : 'Save Draft'}
+            </button>
+            <button
+              onClick={handleSaveAndSubmit}
+              disabled={!!busy}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-slate-300"
+            >
+              <Send className="w-4 h-4" />
+              {busy === 'submit' ? 'Submitting...' : 'Submit for Approval'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Approval */}
+      {decision?.can_approve && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 space-y-3">
+          <p className="text-sm font-medium text-amber-900">
+            Awaiting approval · prepared by {decision.prepared_by_name || '—'}
+          </p>
+          <textarea
+            value={reviewComment}
+            onChange={(e) => setReviewComment(e.target.value)}
+            rows={2}
+            placeholder="Comment (required to reject)"
+            className="w-full px-3 py-2 border border-amber-300 rounded-lg text-sm bg-white"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => handleReview(false)}
+              disabled={!!busy || !reviewComment.trim()}
+              className="flex items-center gap-2 px-4 py-2 text-sm border border-red-300 text-red-700 bg-white rounded-lg hover:bg-red-50 disabled:opacity-50"
+            >
+              <XCircle className="w-4 h-4" /> Reject
+            </button>
+            <button
+              onClick={() => handleReview(true)}
+              disabled={!!busy}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-slate-300"
+            >
+              <CheckCircle2 className="w-4 h-4" /> Approve
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* History */}
+      {decision?.events?.length > 0 && (
+        <div className="bg-white border border-slate-200 rounded-lg p-4">
+          <h4 className="text-sm font-semibold text-slate-900 mb-2">Approval history</h4>
+          <ul className="space-y-2">
+            {decision.events.map((event) => (
+              <li key={event.event_id} className="flex items-start gap-2 text-sm">
+                <Clock className="w-4 h-4 text-slate-400 mt-0.5 flex-shrink-0" />
+                <div>
+                  <span className="text-slate-900">{EVENT_LABELS[event.action]}</span>
+                  <span className="text-slate-500">
+                    {' '}by {event.actor_name || '—'} · {new Date(event.created_at).toLocaleString()}
+                    {event.total_score != null && ` · ${event.decision?.replace('_', '-')} at ${event.total_score}%`}
+                  </span>
+                  {event.comment && <p className="text-slate-600">{event.comment}</p>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
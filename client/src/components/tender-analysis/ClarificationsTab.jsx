@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react';
+import { MessageSquare, Clock, Lock, Send } from 'lucide-react';
+import { tenderService } from '../../services/bidder/tenderService';
+
+/**
+ * Pre-bid clarification board: published answers (anonymised) and the
+ * organization's own questions, with a form to ask until the cut-off
+ */
+export default function ClarificationsTab({ tenderId, sections }) {
+  const [board, setBoard] = useState(null);
+  const [error, setError] = useState(null);
+  const [question, setQuestion] = useState('');
+  const [sectionId, setSectionId] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchBoard();
+  }, [tenderId]);
+
+  const fetchBoard = async () => {
+    try {
+      setError(null);
+      const response = await tenderService.getClarifications(tenderId);
+      setBoard(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load clarifications');
+    }
+  };
+
+  const handleAsk = async (e) => {
+    e.preventDefault();
+    if (!question.trim()) return;
+    try {
+      setSubmitting(true);
+      setError(null);
+      await tenderService.askClarification(tenderId, { question, sectionId });
+      setQuestion('');
+      setSectionId('');
+      await fetchBoard();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to submit question');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!board && !error) {
+    return <div className="text-center py-12 text-slate-500">Loading clarifications...</div>;
+  }
+
+  const clarifications = board?.clarifications || [];
+  const published = clarifications.filter(c => c.answer && c.visibility === 'PUBLIC');
+  const mine = clarifications.filter(c => c.is_mine && !(c.answer && c.visibility === 'PUBLIC'));
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {board && (
+        <div className="bg-white rounded-xl border border-slate-200 p-5">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-slate-900">Ask the Issuing Authority</h3>
+            <span className={`flex items-center gap-1 text-xs ${board.is_open ? 'text-slate-500' : 'text-red-600'}`}>
+              <Clock className="w-3.5 h-3.5" />
+              {board.is_open ? 'Questions close' : 'Closed'} {new Date(board.cutoff).toLocaleDateString()}
+            </span>
+          </div>
+          {board.is_open ? (
+            <form onSubmit={handleAsk} className="space-y-3">
+              <select
+                value={sectionId}
+                onChange={(e) => setSectionId(e.target.value)}
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Whole tender</option>
+                {sections.filter(s => s.id).map((s) => (
+                  <option key={s.id} value={s.id}>{s.name}</option>
+                ))}
+              </select>
+              <textarea
+                value={question}
+                onChange={(e) => setQuestion(e.target.value)}
+                rows={3}
+                placeholder="Your question. Published answers do not reveal who asked."
+                className="w-full px-3 py-2 border border-slate-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={submitting || !question.trim()}
+                  className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:bg-slate-300 transition-colors"
+                >
+                  <Send className="w-4 h-4" />
+                  {submitting ? 'Submitting...' : 'Submit Question'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <p className="text-sm text-slate-500">The clarification period for this tender has closed.</p>
+          )}
+        </div>
+      )}
+
+      {mine.length > 0 && (
+        <div>
+          <h3 className="text-sm font-semibold text-slate-700 mb-2">Your Questions</h3>
+          <div className="space-y-3">
+            {mine.map((c) => (
+              <ClarificationCard key={c.clarification_id} clarification={c} />
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-sm font-semibold text-slate-700 mb-2">Published Clarifications ({published.length})</h3>
+        {published.length === 0 ? (
+          <div className="bg-white rounded-xl border border-slate-200 p-8 text-center">
+            <MessageSquare className="w-10 h-10 text-slate-300 mx-auto mb-2" />
+            <p className="text-sm text-slate-500">No clarifications have been published yet</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {published.map((c) => (
+              <ClarificationCard key={c.clarification_id} clarification={c} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ClarificationCard({ clarification }) {
+  return (
+    <div className="bg-white rounded-xl border border-slate-200 p-4">
+      <div className="flex items-center gap-2 mb-2 text-xs text-slate-500">
+        <span className="px-2 py-0.5 bg-slate-100 rounded">{clarification.section_title || 'General'}</span>
+        {clarification.answer && clarification.visibility === 'PRIVATE' && (
+          <span className="flex items-center gap-1 text-amber-700">
+            <Lock className="w-3 h-3" />
+            Private answer
+          </span>
+        )}
+        {!clarification.answer && <span className="text-amber-700">Awaiting answer</span>}
+      </div>
+      <p className="text-sm font-medium text-slate-900">Q: {clarification.question}</p>
+      {clarification.answer && (
+        <p className="text-sm text-slate-700 mt-2 whitespace-pre-wrap">
+          <span className="font-medium">A:</span> {clarification.answer}
+        </p>
+      )}
+      {clarification.answered_at && (
+        <p className="text-xs text-slate-400 mt-2">
+          Answered {new Date(clarification.answered_at).toLocaleDateString()}
+        </p>
+      )}
+    </div>
+  );
+}
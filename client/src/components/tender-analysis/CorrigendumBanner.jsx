@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { FilePen } from 'lucide-react';
+import CorrigendaList from '../shared/CorrigendaList';
+
+/**
+ * Change notice shown when the tender has been amended; unread corrigenda
+ * can be acknowledged once the bidder has reviewed the diff
+ */
+export default function CorrigendumBanner({ corrigenda, onAcknowledge }) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!corrigenda || corrigenda.length === 0) return null;
+
+  const unread = corrigenda.filter(c => !c.acknowledged_at);
+  const latest = corrigenda[0];
+
+  return (
+    <div className={`rounded-xl border p-4 mb-6 ${unread.length > 0 ? 'bg-amber-50 border-amber-200' : 'bg-white border-slate-200'}`}>
+      <div className="flex items-start justify-between gap-4">
+        <div className="flex items-start gap-3">
+          <FilePen className="w-5 h-5 text-amber-600 mt-0.5 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-semibold text-slate-900">
+              This tender has been amended ({corrigenda.length} corrigend{corrigenda.length === 1 ? 'um' : 'a'})
+            </p>
+            <p className="text-sm text-slate-600">
+              Latest: Corrigendum #{latest.corrigendum_number} — {latest.title}
+              {unread.length > 0 && <span className="text-amber-700 font-medium"> · {unread.length} unread</span>}
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2 flex-shrink-0">
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="text-sm font-medium py-1.5 px-3 rounded-lg bg-white border border-slate-300 text-slate-700 hover:bg-slate-50 transition-colors"
+          >
+            {expanded ? 'Hide Changes' : 'View Changes'}
+          </button>
+          {unread.length > 0 && (
+            <button
+              onClick={() => onAcknowledge(unread.map(c => c.corrigendum_id))}
+              className="text-sm font-medium py-1.5 px-3 rounded-lg bg-amber-600 text-white hover:bg-amber-700 transition-colors"
+            >
+              Mark as Read
+            </button>
+          )}
+        </div>
+      </div>
+      {expanded && (
+        <div className="mt-4 pt-2 border-t border-amber-200">
+          <CorrigendaList corrigenda={corrigenda} />
+        </div>
+      )}
+    </div>
+  );
+}
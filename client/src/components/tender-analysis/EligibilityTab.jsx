@@ -0,0 +1,117 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CheckCircle2, XCircle, HelpCircle, RefreshCw } from 'lucide-react';
+import { tenderService } from '../../services/bidder/tenderService';
+
+const TYPE_LABELS = {
+  TURNOVER: 'Turnover',
+  EXPERIENCE_YEARS: 'Experience',
+  SIMILAR_WORK: 'Similar works',
+  CERTIFICATION: 'Certification',
+  REGISTRATION: 'Registration',
+};
+
+const STATUS_META = {
+  PASS: { icon: CheckCircle2, className: 'text-green-600' },
+  FAIL: { icon: XCircle, className: 'text-red-600' },
+  UNKNOWN: { icon: HelpCircle, className: 'text-amber-500' },
+};
+
+const VERDICTS = {
+  ELIGIBLE: { label: 'Eligible', className: 'bg-green-50 border-green-200 text-green-800' },
+  NOT_ELIGIBLE: { label: 'Not eligible', className: 'bg-red-50 border-red-200 text-red-800' },
+  REVIEW: { label: 'Needs review', className: 'bg-amber-50 border-amber-200 text-amber-800' },
+  NO_CRITERIA: { label: 'No structured criteria found', className: 'bg-slate-50 border-slate-200 text-slate-700' },
+};
+
+/**
+ * Eligibility checklist: criteria extracted from the tender matched against
+ * the organization profile, with the evidence behind each result
+ */
+export default function EligibilityTab({ tenderId, isUploaded = false }) {
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchChecklist();
+  }, [tenderId, isUploaded]);
+
+  const fetchChecklist = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await tenderService.getEligibility(tenderId, isUploaded);
+      setResult(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to check eligibility');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!result && !error) {
+    return <div className="text-center py-12 text-slate-500">Checking eligibility...</div>;
+  }
+
+  if (error) {
+    return <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>;
+  }
+
+  const { summary, checklist } = result;
+  const verdict = VERDICTS[summary.verdict];
+
+  return (
+    <div className="space-y-4">
+      <div className={`flex items-center justify-between gap-4 p-4 border rounded-lg ${verdict.className}`}>
+        <div>
+          <p className="font-semibold">{verdict.label}</p>
+          <p className="text-sm">
+            {summary.passed} met · {summary.failed} not met · {summary.unknown} unknown
+          </p>
+        </div>
+        <button
+          onClick={fetchChecklist}
+          disabled={loading}
+          className="p-2 rounded-lg hover:bg-white/60 transition-colors"
+          title="Re-check"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {checklist.length > 0 && (
+        <ul className="bg-white border border-slate-200 rounded-lg divide-y divide-slate-100">
+          {checklist.map((item) => {
+            const { icon: Icon, className } = STATUS_META[item.status];
+            return (
+              <li key={item.id} className="p-4 flex gap-3">
+                <Icon className={`w-5 h-5 flex-shrink-0 mt-0.5 ${className}`} />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-slate-900">
+                    {TYPE_LABELS[item.type]}
+                    {item.name && <span className="text-slate-600"> · {item.name}</span>}
+                  </p>
+                  <p className="text-sm text-slate-700 mt-0.5">{item.evidence}</p>
+                  <p className="text-xs text-slate-500 mt-1">
+                    "{item.requirement}"{item.source && ` — ${item.source}`}
+                  </p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {summary.unknown > 0 && (
+        <p className="text-xs text-slate-500">
+          Unknown results mean the fact is not recorded yet.{' '}
+          <Link to="/bidder/profile" className="text-blue-600 hover:underline">
+            Complete your organization profile
+          </Link>{' '}
+          to resolve them.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,13 @@
 import React from 'react';
-import { FileText, Clock, Users, BookOpen, AlertCircle } from 'lucide-react';
+import { FileText, Clock, Users, BookOpen, AlertCircle, ClipboardCheck } from 'lucide-react';
 
 export default function OverviewTab({ tender, sections }) {
   const stats = tender.statistics || {};
   const mandatoryCount = sections.filter(s => s.isMandatory).length;
+  const criteria = tender.evaluationCriteria || [];
+  const totalMarks = criteria
+    .filter(c => c.type !== 'PASS_FAIL')
+    .reduce((sum, c) => sum + (Number(c.maxMarks) || 0), 0);
 
   // Calculate competition level
   const getCompetitionLevel = (count) => {
@@ -85,6 +89,43 @@ export default function OverviewTab({ tender, sections }) {
         </div>
       </div>
 
+      {/* Evaluation Rubric */}
+      {criteria.length > 0 && (
+        <div className="bg-white rounded-xl border border-slate-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+              <ClipboardCheck className="w-5 h-5 text-blue-600" />
+              How Bids Are Evaluated
+            </h3>
+            {totalMarks > 0 && <span className="text-sm text-slate-500">{totalMarks} marks total</span>}
+          </div>
+          <div className="space-y-3">
+            {criteria.map((criterion) => (
+              <div key={criterion._id} className="flex items-start justify-between gap-4 p-3 bg-slate-50 rounded-lg">
+                <div>
+                  <div className="font-medium text-slate-900">{criterion.name}</div>
+                  {criterion.description && (
+                    <div className="text-sm text-slate-600 mt-0.5">{criterion.description}</div>
+                  )}
+                  {criterion.sectionTitle && (
+                    <div className="text-xs text-slate-500 mt-1">Section: {criterion.sectionTitle}</div>
+                  )}
+                </div>
+                {criterion.type === 'PASS_FAIL' ? (
+                  <span className="flex-shrink-0 text-xs px-2 py-1 bg-red-100 text-red-700 rounded-full font-medium">
+                    Mandatory pass/fail
+                  </span>
+                ) : (
+                  <span className="flex-shrink-0 text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded-full font-medium">
+                    {criterion.maxMarks} marks
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Section Summary */}
       <div className="bg-white rounded-xl border border-slate-200 p-6">
         <h3 className="text-lg font-bold text-slate-900 mb-4">Document Structure</h3>
@@ -1,11 +1,19 @@
 import React from 'react';
 import { ChevronDown, ChevronUp, CheckCircle, Info } from 'lucide-react';
 
-export default function SectionsTab({ sections, expandedSections, toggleSection }) {
+export default function SectionsTab({ sections, expandedSections, toggleSection, highlightedSectionId }) {
   return (
     <div className="space-y-4">
       {sections.map((section, idx) => (
-        <div key={idx} className="bg-white rounded-xl border border-slate-200 overflow-hidden">
+        <div
+          key={idx}
+          id={section.id ? `tender-section-${section.id}` : undefined}
+          className={`bg-white rounded-xl border overflow-hidden scroll-mt-4 transition-shadow ${
+            section.id && section.id === highlightedSectionId
+              ? 'border-blue-400 ring-2 ring-blue-200'
+              : 'border-slate-200'
+          }`}
+        >
           <button
             onClick={() => toggleSection(idx)}
             className="w-full px-6 py-4 flex items-center justify-between hover:bg-slate-50 transition-colors"
@@ -1,10 +1,13 @@
 import React from 'react';
-import { Sparkles } from 'lucide-react';
+import { Sparkles, MessageSquare, ListChecks, Scale } from 'lucide-react';
 
 export default function TabNavigation({ activeTab, setActiveTab }) {
   const tabs = [
     { id: 'overview', label: 'Overview', icon: null },
     { id: 'sections', label: 'Full Document', icon: null },
+    { id: 'eligibility', label: 'Eligibility', icon: ListChecks },
+    { id: 'bid', label: 'Bid / No-Bid', icon: Scale },
+    { id: 'clarifications', label: 'Clarifications', icon: MessageSquare },
     { id: 'insights', label: 'AI Insights', icon: Sparkles }
   ];
 
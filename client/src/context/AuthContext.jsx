@@ -1,5 +1,6 @@
 import { createContext, useEffect, useMemo, useState } from 'react';
 import { authService } from '../services/authService';
+import { clearSession } from '../services/apiClient';
 
 export const AuthContext = createContext(null);
 
@@ -24,36 +25,63 @@ export function AuthProvider({ children }) {
 		setLoading(false);
 	}, []);
 
-	const persist = (tokenValue, userValue) => {
+	// API clients refresh the access token on their own; keep the context copy current
+	useEffect(() => {
+		const onRefreshed = (e) => setToken(e.detail);
+		window.addEventListener('tms:token-refreshed', onRefreshed);
+		return () => window.removeEventListener('tms:token-refreshed', onRefreshed);
+	}, []);
+
+	const persist = ({ token: tokenValue, refreshToken }, userValue) => {
 		localStorage.setItem('tms_token', tokenValue);
+		localStorage.setItem('tms_refresh_token', refreshToken);
 		localStorage.setItem('tms_user', JSON.stringify(userValue));
 		setToken(tokenValue);
 		setUser(userValue);
 	};
 
+	// Returns the user, or { twoFactorRequired, challengeToken } when a code is needed next
 	const login = async (email, password) => {
 		setError(null);
 		const data = await authService.login(email, password);
-		persist(data.token, data.user);
+		if (data.twoFactorRequired) return data;
+		persist(data, data.user);
+		return data.user;
+	};
+
+	const completeTwoFactorLogin = async (challengeToken, code) => {
+		setError(null);
+		const data = await authService.loginTwoFactor(challengeToken, code);
+		persist(data, data.user);
 		return data.user;
 	};
 
 	const signup = async (payload) => {
 		setError(null);
 		const data = await authService.signup(payload);
-		persist(data.token, data.user);
+		persist(data, data.user);
 		return data.user;
 	};
 
+	// Merge changed fields (e.g. organization after accepting an invitation) into the stored user
+	const updateUser = (changes) => {
+		const next = { ...user, ...changes };
+		localStorage.setItem('tms_user', JSON.stringify(next));
+		setUser(next);
+	};
+
 	const logout = () => {
+		const refreshToken = localStorage.getItem('tms_refresh_token');
+		if (refreshToken) {
+			authService.logout(refreshToken).catch(() => {});
+		}
 		setUser(null);
 		setToken(null);
-		localStorage.removeItem('tms_token');
-		localStorage.removeItem('tms_user');
+		clearSession();
 	};
 
 	const value = useMemo(
-		() => ({ user, token, loading, error, login, signup, logout, setError }),
+		() => ({ user, token, loading, error, login, completeTwoFactorLogin, signup, logout, updateUser, setError }),
 		[user, token, loading, error]
 	);
 
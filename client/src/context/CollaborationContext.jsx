@@ -5,10 +5,13 @@
  * - User permissions
  * - Comments
  * - Activity tracking
+ * - Live presence, section locks and collaborator updates (platform proposals)
  */
 
-import { createContext, useContext, useState, useCallback, useEffect } from 'react';
+import { createContext, useContext, useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { collaborationService } from '../services/bidder/collaborationService';
+import { useProposalChannel } from '../hooks/useProposalChannel';
+import useAuth from '../hooks/useAuth';
 
 const CollaborationContext = createContext(null);
 
@@ -25,9 +28,13 @@ export function CollaborationProvider({
   proposalId = null,
   uploadedTenderId = null,
   tenderType = 'platform', // 'platform' or 'uploaded'
+  onSectionUpdated = null, // ({ sectionId, content, updated_at, user }) when a collaborator saves a section
 }) {
+  const { user } = useAuth();
+
   // Core state
   const [isOwner, setIsOwner] = useState(false);
+  const [isMember, setIsMember] = useState(false); // in the owning organization; unassigned sections are read-only
   const [assignments, setAssignments] = useState({}); // { sectionId: [users] }
   const [userPermissions, setUserPermissions] = useState({}); // { sectionId: permission }
   const [lastEdits, setLastEdits] = useState({}); // { sectionId: { user_name, edited_at } }
@@ -72,6 +79,7 @@ export function CollaborationProvider({
       }
 
       setIsOwner(data.isOwner || false);
+      setIsMember(data.isMember || false);
       setAssignments(data.assignments || {});
       setUserPermissions(data.userPermissions || {});
       setLastEdits(data.lastEdits || {});
@@ -90,6 +98,163 @@ export function CollaborationProvider({
     loadCollaborationData();
   }, [loadCollaborationData]);
 
+  // ==========================================
+  // LIVE CHANNEL
+  // ==========================================
+
+  const onSectionUpdatedRef = useRef(onSectionUpdated);
+  const locksRef = useRef({});
+
+  useEffect(() => {
+    onSectionUpdatedRef.current = onSectionUpdated;
+  }, [onSectionUpdated]);
+
+  /**
+   * Apply collaborator events. The current user's own actions are already
+   * reflected in local state, so only events from others change it.
+   */
+  const handleChannelEvent = useCallback((event) => {
+    const { sectionId } = event;
+
+    switch (event.type) {
+      case 'section_updated': {
+        setLastEdits(prev => ({
+          ...prev,
+          [sectionId]: {
+            user_id: event.user?.user_id,
+            user_name: event.user?.name,
+            edited_at: event.updated_at,
+          },
+        }));
+        // Never overwrite a section the current user is editing
+        if (event.user?.user_id !== user?.id && locksRef.current[sectionId]?.user_id !== user?.id) {
+          onSectionUpdatedRef.current?.(event);
+        }
+        break;
+      }
+
+      case 'comment_added': {
+        const { comment } = event;
+        if (comment.user_id === user?.id) break;
+
+        setComments(prev => {
+          if (!prev[sectionId]) return prev;
+          return {
+            ...prev,
+            [sectionId]: comment.parent_comment_id
+              ? addReplyToComment(prev[sectionId], comment.parent_comment_id, comment)
+              : [...prev[sectionId], comment],
+          };
+        });
+        setCommentCounts(prev => ({
+          ...prev,
+          [sectionId]: {
+            total: (prev[sectionId]?.total || 0) + 1,
+            unresolved: (prev[sectionId]?.unresolved || 0) + 1,
+          },
+        }));
+        break;
+      }
+
+      case 'comment_updated': {
+        setComments(prev => (prev[sectionId] ? {
+          ...prev,
+          [sectionId]: updateCommentInTree(prev[sectionId], event.comment.comment_id, event.comment),
+        } : prev));
+        break;
+      }
+
+      case 'comment_deleted': {
+        if (event.userId === user?.id) break;
+
+        setComments(prev => (prev[sectionId] ? {
+          ...prev,
+          [sectionId]: removeCommentFromTree(prev[sectionId], event.commentId),
+        } : prev));
+        setCommentCounts(prev => ({
+          ...prev,
+          [sectionId]: {
+            total: Math.max(0, (prev[sectionId]?.total || 0) - (event.count || 1)),
+            unresolved: Math.max(0, (prev[sectionId]?.unresolved || 0) - (event.count || 1)),
+          },
+        }));
+        break;
+      }
+
+      case 'comment_resolved': {
+        if (event.userId === user?.id) break;
+
+        setComments(prev => (prev[sectionId] ? {
+          ...prev,
+          [sectionId]: markCommentResolved(prev[sectionId], event.commentId, event.resolved),
+        } : prev));
+        setCommentCounts(prev => ({
+          ...prev,
+          [sectionId]: {
+            ...prev[sectionId],
+            unresolved: Math.max(0, (prev[sectionId]?.unresolved || 0) + (event.resolved ? -1 : 1)),
+          },
+        }));
+        break;
+      }
+
+      default:
+        break;
+    }
+  }, [user?.id]);
+
+  const { connected, presence, locks, send } = useProposalChannel(
+    tenderType === 'platform' ? proposalId : null,
+    handleChannelEvent
+  );
+
+  useEffect(() => {
+    locksRef.current = locks;
+  }, [locks]);
+
+  /**
+   * Tell collaborators which section the current user has open
+   */
+  const viewSection = useCallback((sectionId) => {
+    send({ type: 'view', sectionId });
+  }, [send]);
+
+  const setTyping = useCallback((typing) => {
+    send({ type: 'typing', typing });
+  }, [send]);
+
+  /**
+   * Take (or renew) the edit lock on a section; the server refuses while someone else holds it
+   */
+  const acquireLock = useCallback((sectionId) => {
+    send({ type: 'lock', sectionId });
+  }, [send]);
+
+  const releaseLock = useCallback((sectionId) => {
+    send({ type: 'unlock', sectionId });
+  }, [send]);
+
+  // Other users connected to the proposal channel
+  const collaboratorPresence = useMemo(
+    () => presence.filter(p => p.user_id !== user?.id),
+    [presence, user?.id]
+  );
+
+  /**
+   * Other users currently viewing a section
+   */
+  const getSectionViewers = useCallback((sectionId) => {
+    return collaboratorPresence.filter(p => p.section_id === sectionId);
+  }, [collaboratorPresence]);
+
+  /**
+   * Lock on a section held by another user, or null
+   */
+  const getSectionLock = useCallback((sectionId) => {
+    const lock = locks[sectionId];
+    return lock && lock.user_id !== user?.id ? lock : null;
+  }, [locks, user?.id]);
+
   // ==========================================
   // PERMISSION HELPERS
   // ==========================================
@@ -117,16 +282,16 @@ export function CollaborationProvider({
    */
   const getSectionPermission = useCallback((sectionId) => {
     if (isOwner) return 'OWNER';
-    return userPermissions[sectionId] || null;
-  }, [isOwner, userPermissions]);
+    return userPermissions[sectionId] || (isMember ? 'READ_ONLY' : null);
+  }, [isOwner, isMember, userPermissions]);
 
   /**
    * Check if user has any access to section
    */
   const hasAccessToSection = useCallback((sectionId) => {
-    if (isOwner) return true;
+    if (isOwner || isMember) return true;
     return !!userPermissions[sectionId];
-  }, [isOwner, userPermissions]);
+  }, [isOwner, isMember, userPermissions]);
 
   // ==========================================
   // ASSIGNMENT ACTIONS
@@ -479,6 +644,7 @@ export function CollaborationProvider({
   const value = {
     // State
     isOwner,
+    isMember,
     assignments,
     userPermissions,
     lastEdits,
@@ -515,6 +681,16 @@ export function CollaborationProvider({
     // Activity
     refreshActivity,
 
+    // Live presence and locks
+    connected,
+    presence: collaboratorPresence,
+    viewSection,
+    setTyping,
+    acquireLock,
+    releaseLock,
+    getSectionViewers,
+    getSectionLock,
+
     // Refresh all data
     refresh: loadCollaborationData,
   };
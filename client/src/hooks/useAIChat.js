@@ -1,3 +1,74 @@
-export default function useAIChat() {
-  return null;
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { aiService } from '../services/bidder/aiService';
+
+let messageSeq = 0;
+
+/**
+ * Streaming tender Q&A chat (RAG answers with citations).
+ * Assistant replies render token-by-token; cancel() stops the stream and keeps the partial answer.
+ *
+ * @param {string} tenderId
+ * @param {Object} options - { initialMessages }
+ * @returns {{ messages, setMessages, isStreaming, sendMessage, cancel }}
+ */
+export default function useAIChat(tenderId, { initialMessages = [] } = {}) {
+  const [messages, setMessages] = useState(initialMessages);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const abortRef = useRef(null);
+
+  // Stop any in-flight answer when the page unmounts
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const updateMessage = (id, patch) => {
+    setMessages(prev => prev.map(msg => (
+      msg.id === id ? { ...msg, ...(typeof patch === 'function' ? patch(msg) : patch) } : msg
+    )));
+  };
+
+  /**
+   * Ask a question; the answer streams into a new assistant message
+   * @param {string} question
+   * @param {Object} options - { fallback: () => string } used if the request fails before any output
+   */
+  const sendMessage = useCallback(async (question, { fallback } = {}) => {
+    if (!question?.trim() || abortRef.current) return;
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsStreaming(true);
+
+    const replyId = `ai-${++messageSeq}`;
+    setMessages(prev => [
+      ...prev,
+      { role: 'user', content: question, timestamp: new Date() },
+      { id: replyId, role: 'assistant', content: '', citations: [], streaming: true, timestamp: new Date() },
+    ]);
+
+    try {
+      await aiService.tenderChatStream(tenderId, question, {
+        signal: controller.signal,
+        onToken: (text) => updateMessage(replyId, msg => ({ content: msg.content + text })),
+        onDone: ({ answer, citations }) => updateMessage(replyId, { content: answer, citations: citations || [] }),
+      });
+    } catch (err) {
+      if (controller.signal.aborted) {
+        updateMessage(replyId, msg => ({ content: msg.content || 'Response stopped.', stopped: true }));
+      } else {
+        console.error('Error getting AI response:', err);
+        updateMessage(replyId, msg => ({
+          content: msg.content || fallback?.() || 'Could not process your question at this time.',
+        }));
+      }
+    } finally {
+      updateMessage(replyId, { streaming: false });
+      abortRef.current = null;
+      setIsStreaming(false);
+    }
+  }, [tenderId]);
+
+  const cancel = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  return { messages, setMessages, isStreaming, sendMessage, cancel };
 }
@@ -6,10 +6,13 @@ import proposalOfflineService from '../services/proposalOfflineService';
  *
  * Manages offline storage and sync for proposal drafts.
  * Automatically saves to IndexedDB and syncs when online.
+ * Section edits must be saved with the revision they started from (baseRevision,
+ * baseContent); onSync receives them back so the server can reject stale writes
+ * and the caller can open its merge dialog.
  *
  * @param {Object} options - Configuration options
  * @param {string} options.proposalId - The proposal ID to manage
- * @param {Function} options.onSync - Callback when sync to server is needed
+ * @param {Function} options.onSync - Callback when sync to server is needed; throwing keeps the draft pending
  * @param {boolean} options.autoSync - Whether to auto-sync when online (default: true)
  * @param {number} options.syncInterval - Sync interval in ms (default: 30000)
  *
@@ -61,10 +64,10 @@ export function useOfflineProposal({
     if (!proposalId) return;
 
     const loadOfflineData = async () => {
-      const draft = await proposalOfflineService.getDraft(proposalId);
-      if (draft) {
-        setOfflineData(draft);
-        setPendingChanges(draft.synced ? 0 : 1);
+      const drafts = await proposalOfflineService.getDraftsByProposal(proposalId);
+      if (drafts.length > 0) {
+        setOfflineData(drafts[0]);
+        setPendingChanges(drafts.filter(d => !d.synced).length);
       }
     };
 
@@ -95,6 +98,9 @@ export function useOfflineProposal({
    */
   const saveOffline = useCallback(async (data) => {
     if (!proposalId) return;
+    if (data.sectionId && data.baseRevision === undefined) {
+      throw new Error('Offline section edits need the revision they started from');
+    }
 
     try {
       const draft = await proposalOfflineService.saveDraft(proposalId, {
@@ -128,8 +134,8 @@ export function useOfflineProposal({
     try {
       setIsSyncing(true);
 
-      // Get all unsynced drafts
-      const drafts = await proposalOfflineService.getAllDrafts();
+      // Get this proposal's unsynced drafts
+      const drafts = await proposalOfflineService.getDraftsByProposal(proposalId);
       const unsyncedDrafts = drafts.filter(d => !d.synced);
 
       for (const draft of unsyncedDrafts) {
@@ -137,8 +143,8 @@ export function useOfflineProposal({
           // Call the sync callback (should save to server)
           await syncCallbackRef.current(draft);
 
-          // Mark as synced
-          await proposalOfflineService.markSynced(draft.id);
+          // Mark as synced (unless it was edited again while syncing)
+          await proposalOfflineService.markSynced(draft.id, draft.updatedAt);
 
           console.log(`[Offline] Synced draft: ${draft.id}`);
         } catch (error) {
@@ -171,7 +177,7 @@ export function useOfflineProposal({
     } finally {
       setIsSyncing(false);
     }
-  }, [isOnline, isSyncing]);
+  }, [proposalId, isOnline, isSyncing]);
 
   /**
    * Queue an action for later sync
@@ -190,7 +196,7 @@ export function useOfflineProposal({
    */
   const getOfflineData = useCallback(async () => {
     if (!proposalId) return null;
-    return await proposalOfflineService.getDraft(proposalId);
+    return await proposalOfflineService.getDraftsByProposal(proposalId);
   }, [proposalId]);
 
   /**
@@ -199,7 +205,8 @@ export function useOfflineProposal({
   const clearOfflineData = useCallback(async () => {
     if (!proposalId) return;
 
-    await proposalOfflineService.deleteDraft(proposalId);
+    const drafts = await proposalOfflineService.getDraftsByProposal(proposalId);
+    await Promise.all(drafts.map(d => proposalOfflineService.deleteDraft(d.id)));
     setOfflineData(null);
     setPendingChanges(0);
   }, [proposalId]);
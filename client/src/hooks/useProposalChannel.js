@@ -0,0 +1,115 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getFreshToken } from '../services/apiClient';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5175/api';
+const CHANNEL_BASE = API_URL.replace(/^http/, 'ws').replace(/\/api\/?$/, '');
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+/**
+ * useProposalChannel Hook
+ *
+ * Keeps a WebSocket open to the proposal's live channel and reconnects with
+ * backoff while mounted.
+ *
+ * @param {string|null} proposalId - Platform proposal ID (no channel when null)
+ * @param {Function} onEvent - Called with every server message other than presence
+ *
+ * @returns {Object} { connected, presence, locks, send }
+ */
+export function useProposalChannel(proposalId, onEvent) {
+  const [connected, setConnected] = useState(false);
+  const [presence, setPresence] = useState([]); // [{ user_id, name, section_id, typing }]
+  const [locks, setLocks] = useState({}); // { sectionId: { user_id, name, expires_at } }
+
+  const socketRef = useRef(null);
+  const onEventRef = useRef(onEvent);
+  // Last view/lock messages, replayed after a reconnect
+  const stateRef = useRef({ view: null, lock: null });
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => {
+    if (!proposalId || !localStorage.getItem('tms_token')) return undefined;
+
+    let closed = false;
+    let attempts = 0;
+    let reconnectTimer = null;
+
+    // Access tokens are short-lived, so every (re)connect takes a current one
+    const connect = async () => {
+      const token = await getFreshToken();
+      if (closed || !token) return;
+
+      const socket = new WebSocket(
+        `${CHANNEL_BASE}/ws/proposals/${proposalId}?token=${encodeURIComponent(token)}`
+      );
+      socketRef.current = socket;
+
+      socket.onopen = () => {
+        attempts = 0;
+        setConnected(true);
+        const { view, lock } = stateRef.current;
+        if (view) socket.send(JSON.stringify(view));
+        if (lock) socket.send(JSON.stringify(lock));
+      };
+
+      socket.onmessage = (e) => {
+        let message;
+        try {
+          message = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+
+        if (message.type === 'presence') {
+          setPresence(message.users || []);
+          setLocks(message.locks || {});
+        } else {
+          onEventRef.current?.(message);
+        }
+      };
+
+      socket.onclose = () => {
+        setConnected(false);
+        setPresence([]);
+        setLocks({});
+        if (closed) return;
+
+        const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY_MS);
+        attempts++;
+        reconnectTimer = setTimeout(connect, delay);
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      socketRef.current?.close();
+      socketRef.current = null;
+    };
+  }, [proposalId]);
+
+  /**
+   * Send a message to the channel ({ type: 'view' | 'typing' | 'lock' | 'unlock', ... })
+   */
+  const send = useCallback((message) => {
+    if (message.type === 'view') stateRef.current.view = message;
+    if (message.type === 'lock') stateRef.current.lock = message;
+    if (message.type === 'unlock' && stateRef.current.lock?.sectionId === message.sectionId) {
+      stateRef.current.lock = null;
+    }
+
+    const socket = socketRef.current;
+    if (socket?.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }, []);
+
+  return { connected, presence, locks, send };
+}
+
+export default useProposalChannel;
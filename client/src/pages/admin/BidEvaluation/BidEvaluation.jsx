@@ -3,6 +3,12 @@ import { useEffect, useState } from "react";
 import useAuth from "../../../hooks/useAuth";
 import { evaluationService } from "../../../services/evaluationService";
 import { ChevronLeft, Download, Check, X, AlertCircle } from "lucide-react";
+import EvaluationMethodPanel from "./components/EvaluationMethodPanel";
+import RankingTable from "./components/RankingTable";
+import CriterionScoringPanel from "./components/CriterionScoringPanel";
+import CommitteePanel from "./components/CommitteePanel";
+import CommitteeScoresTable from "./components/CommitteeScoresTable";
+import BidOpeningPanel from "./components/BidOpeningPanel";
 
 export default function BidEvaluation() {
   const { tenderId } = useParams();
@@ -15,23 +21,50 @@ export default function BidEvaluation() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
+  const [config, setConfig] = useState(null);
+  const [ranking, setRanking] = useState(null);
+  const [savingConfig, setSavingConfig] = useState(false);
+  const [committee, setCommittee] = useState(null);
+  const [committeeScores, setCommitteeScores] = useState(null);
+  const [committeeBusy, setCommitteeBusy] = useState(false);
+  const [myScores, setMyScores] = useState({});
+  const [bidOpening, setBidOpening] = useState(null);
+  const [openingBids, setOpeningBids] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
 
   // Evaluation form state
   const [evaluationForm, setEvaluationForm] = useState({
     technical_status: "PENDING",
     technical_score: "",
     remarks: "",
+    bid_amount: "",
+    criterion_scores: {},
   });
 
   useEffect(() => {
     async function loadData() {
       try {
+        const openingData = await evaluationService.getBidOpening(tenderId, token);
+        setBidOpening(openingData);
+
+        const [configData, committeeData] = await Promise.all([
+          evaluationService.getEvaluationConfig(tenderId, token),
+          evaluationService.getCommittee(tenderId, token),
+        ]);
+        setConfig(configData.config);
+        setCommittee(committeeData);
+
+        // Sealed bids stay inaccessible until the opening
+        if (openingData.sealed_bids && !openingData.opened) return;
+
         const bidsData = await evaluationService.getBidsForTender(tenderId, token);
         setBids(bidsData.bids || []);
         setSelectedBid(bidsData.bids?.[0] || null);
 
         const detailsData = await evaluationService.getTenderEvaluationDetails(tenderId, token);
         setTenderDetails(detailsData);
+
+        setRanking(await evaluationService.getRanking(tenderId, token));
       } catch (err) {
         setError(err.message || "Failed to load bid data");
       } finally {
@@ -40,7 +73,7 @@ export default function BidEvaluation() {
     }
 
     if (token && tenderId) loadData();
-  }, [token, tenderId]);
+  }, [token, tenderId, reloadKey]);
 
   // Update form when selected bid changes
   useEffect(() => {
@@ -49,20 +82,72 @@ export default function BidEvaluation() {
         technical_status: selectedBid.technical_status || "PENDING",
         technical_score: selectedBid.technical_score || "",
         remarks: selectedBid.remarks || "",
+        bid_amount: selectedBid.bid_amount || "",
+        criterion_scores: Object.fromEntries(
+          (selectedBid.criterion_scores || []).map((s) => [
+            s.criterion_id,
+            { marks: s.marks ?? "", passed: s.passed, justification: s.justification || "" },
+          ])
+        ),
       });
+      setMyScores(
+        Object.fromEntries(
+          (selectedBid.my_scores || []).map((s) => [
+            s.criterion_id,
+            { marks: s.marks ?? "", passed: s.passed, justification: s.justification || "" },
+          ])
+        )
+      );
     }
   }, [selectedBid]);
 
+  // Members see the other members' scores only after submitting their own
+  const me = committee?.my_membership;
+  useEffect(() => {
+    if (!me?.submitted_at) {
+      setCommitteeScores(null);
+      return;
+    }
+    evaluationService
+      .getCommitteeScores(tenderId, token)
+      .then(setCommitteeScores)
+      .catch((err) => setError(err.message || "Failed to load committee scores"));
+  }, [me?.submitted_at, tenderId, token, bids]);
+
+  // Tenders with a rubric derive the technical score from per-criterion scores
+  const isQCBS = config?.evaluation_method === "QCBS";
+  const usesCriteria = config?.criteria?.length > 0;
+
+  // With a committee, members score independently and only the chair records the consensus
+  const hasCommittee = committee?.members?.length > 0;
+  const isChair = me?.committee_role === "CHAIR";
+  const allSubmitted = hasCommittee && committee.members.every((m) => m.submitted_at);
+  const allSignedOff = hasCommittee && committee.members.every((m) => m.signed_off_at);
+  const scoringIndependently = hasCommittee && me && !me.submitted_at;
+  const canRecordConsensus = !hasCommittee || (isChair && allSubmitted);
+
   const handleEvaluationSubmit = async () => {
     if (!selectedBid) return;
 
     setSubmitting(true);
     try {
-      await evaluationService.updateBidEvaluation(selectedBid.proposal_id, evaluationForm, token);
+      const { criterion_scores, ...form } = evaluationForm;
+      await evaluationService.updateBidEvaluation(
+        selectedBid.proposal_id,
+        {
+          ...form,
+          criterion_scores: usesCriteria
+            ? Object.entries(criterion_scores).map(([criterion_id, score]) => ({ criterion_id, ...score }))
+            : undefined,
+        },
+        token
+      );
 
-      // Reload bids
+      // Reload bids and ranking (a changed consensus also clears committee sign-offs)
       const bidsData = await evaluationService.getBidsForTender(tenderId, token);
       setBids(bidsData.bids || []);
+      setRanking(await evaluationService.getRanking(tenderId, token));
+      if (hasCommittee) setCommittee(await evaluationService.getCommittee(tenderId, token));
 
       // Update selected bid
       const updatedBid = bidsData.bids.find((b) => b.proposal_id === selectedBid.proposal_id);
@@ -74,6 +159,83 @@ export default function BidEvaluation() {
     }
   };
 
+  const handleSaveMyScores = async () => {
+    if (!selectedBid) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await evaluationService.saveMyScores(
+        selectedBid.proposal_id,
+        Object.entries(myScores).map(([criterion_id, score]) => ({ criterion_id, ...score })),
+        token
+      );
+      const bidsData = await evaluationService.getBidsForTender(tenderId, token);
+      setBids(bidsData.bids || []);
+      setSelectedBid(bidsData.bids.find((b) => b.proposal_id === selectedBid.proposal_id));
+    } catch (err) {
+      setError(err.message || "Failed to save your scores");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runCommitteeAction = async (action, failureMessage) => {
+    setCommitteeBusy(true);
+    setError(null);
+    try {
+      setCommittee(await action());
+    } catch (err) {
+      setError(err.message || failureMessage);
+    } finally {
+      setCommitteeBusy(false);
+    }
+  };
+
+  const handleCommitteeSave = (members) =>
+    runCommitteeAction(() => evaluationService.setCommittee(tenderId, members, token), "Failed to save committee");
+
+  const handleSubmitMyScores = () => {
+    if (!window.confirm("Submit your scores? You will not be able to change them afterwards.")) return;
+    runCommitteeAction(() => evaluationService.submitMyScores(tenderId, token), "Failed to submit scores");
+  };
+
+  const handleSignOff = () =>
+    runCommitteeAction(() => evaluationService.signOffEvaluation(tenderId, token), "Failed to sign off");
+
+  const handleConfigSave = async (data) => {
+    setSavingConfig(true);
+    setError(null);
+    try {
+      const configData = await evaluationService.updateEvaluationConfig(tenderId, data, token);
+      setConfig(configData.config);
+
+      // Method and weights change the ranking
+      setRanking(await evaluationService.getRanking(tenderId, token));
+    } catch (err) {
+      setError(err.message || "Failed to save evaluation method");
+    } finally {
+      setSavingConfig(false);
+    }
+  };
+
+  const handleOpenBids = async () => {
+    if (!window.confirm("Open all sealed bids now? The opening is recorded in the audit log and cannot be undone.")) {
+      return;
+    }
+
+    setOpeningBids(true);
+    setError(null);
+    try {
+      await evaluationService.openBids(tenderId, token);
+      setReloadKey((k) => k + 1);
+    } catch (err) {
+      setError(err.message || "Failed to open bids");
+    } finally {
+      setOpeningBids(false);
+    }
+  };
+
   const handleCompleteEvaluation = async () => {
     if (!window.confirm("Mark this tender's evaluation as complete? This action cannot be undone.")) {
       return;
@@ -108,8 +270,10 @@ export default function BidEvaluation() {
     );
   }
 
-  const evaluationStatus = tenderDetails?.tender_evaluation_status;
+  const evaluationStatus = ranking;
   const isCompleted = evaluationStatus?.evaluation_status === "COMPLETED";
+  const h1Bid = ranking?.ranking?.find((r) => r.proposal_id === ranking.h1_proposal_id);
+  const sealed = bidOpening?.sealed_bids && !bidOpening.opened;
 
   return (
     <div className="px-6 py-6 mx-auto max-w-7xl space-y-6">
@@ -123,10 +287,10 @@ export default function BidEvaluation() {
         </button>
         <div>
           <h1 className="text-2xl font-semibold text-neutral-900">
-            {tenderDetails?.tender?.title || "Bid Evaluation"}
+            {config?.title || tenderDetails?.tender?.title || "Bid Evaluation"}
           </h1>
           <p className="text-sm text-neutral-500 mt-1">
-            {bids.length} bid(s) received
+            {sealed ? bidOpening.submitted_bid_count : bids.length} bid(s) received
             {isCompleted && " · Evaluation Completed"}
           </p>
         </div>
@@ -148,183 +312,291 @@ export default function BidEvaluation() {
             <p className="text-sm text-green-600 mt-1">
               L1 (Lowest Qualified Bid): {evaluationStatus?.l1_amount ? `₹${Number(evaluationStatus.l1_amount).toLocaleString("en-IN")}` : "—"}
             </p>
+            {evaluationStatus?.evaluation_method === "QCBS" && (
+              <p className="text-sm text-green-600 mt-1">
+                H1 (Highest Combined Score): {h1Bid ? `${h1Bid.organization_name} · ${Number(h1Bid.combined_score).toFixed(3)}` : "—"}
+              </p>
+            )}
           </div>
         </div>
       )}
 
+      {/* Sealed-bid opening */}
+      <BidOpeningPanel opening={bidOpening} busy={openingBids} onOpen={handleOpenBids} />
+
+      {/* Evaluation Method */}
+      <EvaluationMethodPanel
+        config={config}
+        disabled={isCompleted}
+        saving={savingConfig}
+        onSave={handleConfigSave}
+      />
+
+      {/* Evaluation Committee */}
+      <CommitteePanel
+        committee={committee}
+        disabled={isCompleted}
+        busy={committeeBusy}
+        onSave={handleCommitteeSave}
+        onSubmitScores={handleSubmitMyScores}
+        onSignOff={handleSignOff}
+      />
+
       {/* Main Layout */}
-      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
-        {/* Left Panel: Bid List */}
-        <div className="lg:col-span-1">
-          <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden sticky top-6">
-            <div className="px-4 py-3 border-b border-neutral-200">
-              <h3 className="text-sm font-semibold text-neutral-900">Bids ({bids.length})</h3>
-            </div>
-            <div className="divide-y divide-neutral-200 max-h-96 overflow-y-auto">
-              {bids.map((bid) => (
-                <button
-                  key={bid.proposal_id}
-                  onClick={() => setSelectedBid(bid)}
-                  className={`w-full text-left px-4 py-3 hover:bg-neutral-50 transition-colors ${
-                    selectedBid?.proposal_id === bid.proposal_id ? "bg-neutral-50 border-l-2 border-blue-600" : ""
-                  }`}
-                >
-                  <div className="text-sm font-medium text-neutral-900 truncate">{bid.organization_name}</div>
-                  <div className="text-xs text-neutral-500 mt-0.5">₹{Number(bid.bid_amount).toLocaleString("en-IN")}</div>
-                  <div className="mt-2">
-                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border ${getStatusColor(bid.technical_status)}`}>
-                      {bid.technical_status}
-                    </span>
-                  </div>
-                </button>
-              ))}
+      {!sealed && (
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          {/* Left Panel: Bid List */}
+          <div className="lg:col-span-1">
+            <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden sticky top-6">
+              <div className="px-4 py-3 border-b border-neutral-200">
+                <h3 className="text-sm font-semibold text-neutral-900">Bids ({bids.length})</h3>
+              </div>
+              <div className="divide-y divide-neutral-200 max-h-96 overflow-y-auto">
+                {bids.map((bid) => (
+                  <button
+                    key={bid.proposal_id}
+                    onClick={() => setSelectedBid(bid)}
+                    className={`w-full text-left px-4 py-3 hover:bg-neutral-50 transition-colors ${
+                      selectedBid?.proposal_id === bid.proposal_id ? "bg-neutral-50 border-l-2 border-blue-600" : ""
+                    }`}
+                  >
+                    <div className="text-sm font-medium text-neutral-900 truncate">{bid.organization_name}</div>
+                    <div className="text-xs text-neutral-500 mt-0.5">
+                      {bid.bid_amount ? `₹${Number(bid.bid_amount).toLocaleString("en-IN")}` : "Amount not entered"}
+                    </div>
+                    <div className="mt-2">
+                      <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border ${getStatusColor(bid.technical_status)}`}>
+                        {bid.technical_status}
+                      </span>
+                    </div>
+                  </button>
+                ))}
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Center Panel: Bid Details */}
-        <div className="lg:col-span-2">
-          <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden">
-            <div className="px-6 py-4 border-b border-neutral-200 flex items-center justify-between">
-              <h3 className="font-semibold text-neutral-900">Bid Details</h3>
-              <button className="p-2 hover:bg-neutral-100 rounded-lg text-neutral-600 transition-colors" title="Download">
-                <Download className="w-4 h-4" />
-              </button>
-            </div>
-
-            <div className="p-6">
-              {selectedBid ? (
-                <div className="space-y-6">
-                  <div>
-                    <p className="text-xs text-neutral-500 font-medium mb-1">Organization</p>
-                    <p className="text-lg font-semibold text-neutral-900">{selectedBid.organization_name}</p>
-                  </div>
+          {/* Center Panel: Bid Details */}
+          <div className="lg:col-span-2">
+            <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden">
+              <div className="px-6 py-4 border-b border-neutral-200 flex items-center justify-between">
+                <h3 className="font-semibold text-neutral-900">Bid Details</h3>
+                <button className="p-2 hover:bg-neutral-100 rounded-lg text-neutral-600 transition-colors" title="Download">
+                  <Download className="w-4 h-4" />
+                </button>
+              </div>
 
-                  <div className="grid grid-cols-2 gap-4">
-                    <div>
-                      <p className="text-xs text-neutral-500 font-medium mb-1">Bid Amount</p>
-                      <p className="text-base font-semibold text-neutral-900">
-                        ₹{Number(selectedBid.bid_amount).toLocaleString("en-IN")}
-                      </p>
-                      {selectedBid.proposal_id === evaluationStatus?.l1_proposal_id && (
-                        <p className="text-xs text-green-600 font-medium mt-1">✓ L1 (Lowest Qualified)</p>
-                      )}
-                    </div>
+              <div className="p-6">
+                {selectedBid ? (
+                  <div className="space-y-6">
                     <div>
-                      <p className="text-xs text-neutral-500 font-medium mb-1">Submission Date</p>
-                      <p className="text-base font-semibold text-neutral-900">
-                        {selectedBid.created_at ? new Date(selectedBid.created_at).toLocaleDateString() : "—"}
-                      </p>
+                      <p className="text-xs text-neutral-500 font-medium mb-1">Organization</p>
+                      <p className="text-lg font-semibold text-neutral-900">{selectedBid.organization_name}</p>
                     </div>
-                  </div>
 
-                  {selectedBid.remarks && (
-                    <div className="bg-neutral-50 border border-neutral-200 rounded-lg p-3">
-                      <p className="text-xs text-neutral-500 font-medium mb-2">Remarks</p>
-                      <p className="text-sm text-neutral-700">{selectedBid.remarks}</p>
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <p className="text-xs text-neutral-500 font-medium mb-1">Bid Amount</p>
+                        <p className="text-base font-semibold text-neutral-900">
+                          {selectedBid.bid_amount ? `₹${Number(selectedBid.bid_amount).toLocaleString("en-IN")}` : "—"}
+                        </p>
+                        {selectedBid.proposal_id === evaluationStatus?.l1_proposal_id && (
+                          <p className="text-xs text-green-600 font-medium mt-1">✓ L1 (Lowest Qualified)</p>
+                        )}
+                        {selectedBid.proposal_id === evaluationStatus?.h1_proposal_id && (
+                          <p className="text-xs text-amber-600 font-medium mt-1">✓ H1 (Highest Combined Score)</p>
+                        )}
+                      </div>
+                      <div>
+                        <p className="text-xs text-neutral-500 font-medium mb-1">Submission Date</p>
+                        <p className="text-base font-semibold text-neutral-900">
+                          {selectedBid.created_at ? new Date(selectedBid.created_at).toLocaleDateString() : "—"}
+                        </p>
+                      </div>
                     </div>
-                  )}
-                </div>
-              ) : (
-                <p className="text-sm text-neutral-500">No bid selected</p>
-              )}
+
+                    {selectedBid.remarks && (
+                      <div className="bg-neutral-50 border border-neutral-200 rounded-lg p-3">
+                        <p className="text-xs text-neutral-500 font-medium mb-2">Remarks</p>
+                        <p className="text-sm text-neutral-700">{selectedBid.remarks}</p>
+                      </div>
+                    )}
+
+                    {committeeScores && (
+                      <CommitteeScoresTable
+                        bid={committeeScores.bids.find((b) => b.proposal_id === selectedBid.proposal_id)}
+                        members={committeeScores.members}
+                      />
+                    )}
+                  </div>
+                ) : (
+                  <p className="text-sm text-neutral-500">No bid selected</p>
+                )}
+              </div>
             </div>
           </div>
-        </div>
 
-        {/* Right Panel: Evaluation Form */}
-        <div className="lg:col-span-1">
-          <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden sticky top-6">
-            <div className="px-6 py-4 border-b border-neutral-200">
-              <h3 className="font-semibold text-neutral-900">Evaluate Bid</h3>
-            </div>
+          {/* Right Panel: Evaluation Form */}
+          <div className="lg:col-span-1">
+            <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden sticky top-6">
+              <div className="px-6 py-4 border-b border-neutral-200">
+                <h3 className="font-semibold text-neutral-900">
+                  {scoringIndependently ? "Your Independent Scores" : hasCommittee ? "Consensus" : "Evaluate Bid"}
+                </h3>
+              </div>
 
-            <div className="p-6 space-y-4">
-              {selectedBid ? (
-                <>
-                  {/* Technical Status */}
-                  <div>
-                    <label className="block text-xs font-medium text-neutral-700 mb-2">Decision</label>
-                    <div className="space-y-2">
-                      {["PENDING", "QUALIFIED", "DISQUALIFIED"].map((status) => (
-                        <label key={status} className="flex items-center gap-3 cursor-pointer">
-                          <input
-                            type="radio"
-                            name="status"
-                            value={status}
-                            checked={evaluationForm.technical_status === status}
-                            onChange={(e) =>
-                              setEvaluationForm({ ...evaluationForm, technical_status: e.target.value })
-                            }
-                            disabled={isCompleted}
-                            className="w-4 h-4"
-                          />
-                          <span className="text-sm text-neutral-700">{status}</span>
-                        </label>
-                      ))}
+              <div className="p-6 space-y-4">
+                {selectedBid && scoringIndependently ? (
+                  <>
+                    {usesCriteria && (
+                      <CriterionScoringPanel
+                        criteria={config.criteria}
+                        scores={myScores}
+                        onChange={setMyScores}
+                        disabled={isCompleted}
+                        cutoff={isQCBS ? config.technical_cutoff : null}
+                      />
+                    )}
+                    <div className="pt-4 border-t border-neutral-200">
+                      <button
+                        onClick={handleSaveMyScores}
+                        disabled={submitting}
+                        className="w-full px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:bg-neutral-300 transition-colors"
+                      >
+                        {submitting ? "Saving..." : "Save My Scores"}
+                      </button>
+                    </div>
+                  </>
+                ) : selectedBid && !canRecordConsensus ? (
+                  <p className="text-sm text-neutral-600">
+                    {!me
+                      ? "You are not on the evaluation committee for this tender."
+                      : !isChair
+                        ? "Your scores are submitted. The committee chair records the consensus for each bid."
+                        : "The consensus can be recorded once every committee member has submitted their scores."}
+                  </p>
+                ) : selectedBid ? (
+                  <>
+                    {/* Technical Status */}
+                    <div>
+                      <label className="block text-xs font-medium text-neutral-700 mb-2">Decision</label>
+                      <div className="space-y-2">
+                        {["PENDING", "QUALIFIED", "DISQUALIFIED"].map((status) => (
+                          <label key={status} className="flex items-center gap-3 cursor-pointer">
+                            <input
+                              type="radio"
+                              name="status"
+                              value={status}
+                              checked={evaluationForm.technical_status === status}
+                              onChange={(e) =>
+                                setEvaluationForm({ ...evaluationForm, technical_status: e.target.value })
+                              }
+                              disabled={isCompleted}
+                              className="w-4 h-4"
+                            />
+                            <span className="text-sm text-neutral-700">{status}</span>
+                          </label>
+                        ))}
+                      </div>
                     </div>
-                  </div>
 
-                  {/* Score */}
-                  <div>
-                    <label className="block text-xs font-medium text-neutral-700 mb-2">Score (Optional)</label>
-                    <input
-                      type="number"
-                      min="0"
-                      max="100"
-                      value={evaluationForm.technical_score}
-                      onChange={(e) =>
-                        setEvaluationForm({ ...evaluationForm, technical_score: e.target.value })
-                      }
-                      disabled={isCompleted}
-                      placeholder="0-100"
-                      className="w-full px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
-                    />
-                  </div>
+                    {/* Score */}
+                    {usesCriteria ? (
+                      <CriterionScoringPanel
+                        criteria={config.criteria}
+                        scores={evaluationForm.criterion_scores}
+                        onChange={(criterion_scores) => setEvaluationForm({ ...evaluationForm, criterion_scores })}
+                        disabled={isCompleted}
+                        cutoff={isQCBS ? config.technical_cutoff : null}
+                      />
+                    ) : (
+                      <div>
+                        <label className="block text-xs font-medium text-neutral-700 mb-2">
+                          {isQCBS ? "Technical Score" : "Score (Optional)"}
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={evaluationForm.technical_score}
+                          onChange={(e) =>
+                            setEvaluationForm({ ...evaluationForm, technical_score: e.target.value })
+                          }
+                          disabled={isCompleted}
+                          placeholder="0-100"
+                          className="w-full px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      </div>
+                    )}
 
-                  {/* Remarks */}
-                  <div>
-                    <label className="block text-xs font-medium text-neutral-700 mb-2">Remarks</label>
-                    <textarea
-                      value={evaluationForm.remarks}
-                      onChange={(e) =>
-                        setEvaluationForm({ ...evaluationForm, remarks: e.target.value })
-                      }
-                      disabled={isCompleted}
-                      placeholder="Add comments..."
-                      rows="4"
-                      className="w-full px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
-                    />
-                  </div>
+                    {/* Financial Bid */}
+                    <div>
+                      <label className="block text-xs font-medium text-neutral-700 mb-2">Bid Amount (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={evaluationForm.bid_amount}
+                        onChange={(e) =>
+                          setEvaluationForm({ ...evaluationForm, bid_amount: e.target.value })
+                        }
+                        disabled={isCompleted}
+                        placeholder="Quoted amount"
+                        className="w-full px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
 
-                  {/* Action Buttons */}
-                  <div className="space-y-2 pt-4 border-t border-neutral-200">
-                    <button
-                      onClick={handleEvaluationSubmit}
-                      disabled={submitting || isCompleted}
-                      className="w-full px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:bg-neutral-300 transition-colors"
-                    >
-                      {submitting ? "Saving..." : "Save Evaluation"}
-                    </button>
-
-                    {bids.every((b) => b.technical_status !== "PENDING") && !isCompleted && (
+                    {/* Remarks */}
+                    <div>
+                      <label className="block text-xs font-medium text-neutral-700 mb-2">Remarks</label>
+                      <textarea
+                        value={evaluationForm.remarks}
+                        onChange={(e) =>
+                          setEvaluationForm({ ...evaluationForm, remarks: e.target.value })
+                        }
+                        disabled={isCompleted}
+                        placeholder="Add comments..."
+                        rows="4"
+                        className="w-full px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+                      />
+                    </div>
+
+                    {/* Action Buttons */}
+                    <div className="space-y-2 pt-4 border-t border-neutral-200">
                       <button
-                        onClick={handleCompleteEvaluation}
-                        disabled={submitting}
-                        className="w-full px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:bg-neutral-300 transition-colors"
+                        onClick={handleEvaluationSubmit}
+                        disabled={submitting || isCompleted}
+                        className="w-full px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:bg-neutral-300 transition-colors"
                       >
-                        Complete Evaluation
+                        {submitting ? "Saving..." : "Save Evaluation"}
                       </button>
-                    )}
-                  </div>
-                </>
-              ) : (
-                <p className="text-sm text-neutral-500">Select a bid to evaluate</p>
-              )}
+
+                      {hasCommittee && !allSignedOff && !isCompleted && (
+                        <p className="text-xs text-neutral-500">
+                          Evaluation can be completed once every committee member has signed off.
+                        </p>
+                      )}
+
+                      {bids.every((b) => b.technical_status !== "PENDING") && !isCompleted && (!hasCommittee || allSignedOff) && (
+                        <button
+                          onClick={handleCompleteEvaluation}
+                          disabled={submitting}
+                          className="w-full px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:bg-neutral-300 transition-colors"
+                        >
+                          Complete Evaluation
+                        </button>
+                      )}
+                    </div>
+                  </>
+                ) : (
+                  <p className="text-sm text-neutral-500">Select a bid to evaluate</p>
+                )}
+              </div>
             </div>
           </div>
         </div>
-      </div>
+      )}
+
+      {/* Ranking */}
+      <RankingTable ranking={ranking} />
     </div>
   );
 }
@@ -0,0 +1,59 @@
+import { Lock, Unlock } from "lucide-react";
+
+/**
+ * Sealed-bid opening: while sealed only the number of bids received is shown;
+ * after the opening, who opened the bids, when, and which bids were opened
+ */
+export default function BidOpeningPanel({ opening, busy, onOpen }) {
+  if (!opening?.sealed_bids) return null;
+
+  if (opening.opened) {
+    const record = opening.opening;
+    return (
+      <div className="bg-white border border-neutral-200 rounded-lg px-6 py-4">
+        <div className="flex items-center gap-2 mb-2">
+          <Unlock className="w-4 h-4 text-green-700" />
+          <h3 className="text-sm font-semibold text-neutral-900">Bids Opened</h3>
+        </div>
+        <p className="text-sm text-neutral-600">
+          {record.bid_count} bid(s) opened by {record.opened_by_name || "—"} on{" "}
+          {new Date(record.opened_at).toLocaleString("en-IN")}
+        </p>
+        {record.bids?.length > 0 && (
+          <ul className="mt-2 text-xs text-neutral-500 space-y-0.5">
+            {record.bids.map((b) => (
+              <li key={b.proposal_id}>
+                {b.organization_name} · submitted {new Date(b.submitted_at).toLocaleString("en-IN")}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white border border-neutral-200 rounded-lg px-6 py-8 text-center">
+      <Lock className="w-10 h-10 text-neutral-400 mx-auto mb-3" />
+      <h3 className="text-base font-semibold text-neutral-900">Bids are sealed</h3>
+      <p className="text-sm text-neutral-600 mt-1">
+        {opening.submitted_bid_count} sealed bid(s) received. Submission deadline:{" "}
+        {new Date(opening.submission_deadline).toLocaleString("en-IN")}
+      </p>
+      {!opening.deadline_passed ? (
+        <p className="text-xs text-neutral-500 mt-3">Bids can be opened once the submission deadline has passed.</p>
+      ) : opening.can_open ? (
+        <button
+          onClick={onOpen}
+          disabled={busy}
+          className="mt-4 inline-flex items-center gap-2 px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-lg hover:bg-primary-700 disabled:bg-neutral-300 transition-colors"
+        >
+          <Unlock className="w-4 h-4" />
+          {busy ? "Opening..." : "Open Bids"}
+        </button>
+      ) : (
+        <p className="text-xs text-neutral-500 mt-3">Only the evaluation committee chair can open the bids.</p>
+      )}
+    </div>
+  );
+}
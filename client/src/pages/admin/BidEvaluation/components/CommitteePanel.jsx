@@ -0,0 +1,184 @@
+import { useEffect, useState } from "react";
+import { Plus, Trash2, Users } from "lucide-react";
+
+const memberStatus = (member) => {
+  if (member.signed_off_at) return { label: "Signed off", className: "bg-green-50 text-green-700 border-green-200" };
+  if (member.submitted_at) return { label: "Submitted", className: "bg-blue-50 text-blue-700 border-blue-200" };
+  return { label: "Scoring", className: "bg-neutral-100 text-neutral-600 border-neutral-200" };
+};
+
+/**
+ * Evaluation committee: appoint members and a chair, track each member's
+ * independent scoring and sign-off, and submit / sign off as the current user
+ */
+export default function CommitteePanel({ committee, disabled, busy, onSave, onSubmitScores, onSignOff }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState([]);
+
+  useEffect(() => {
+    if (!committee) return;
+    setDraft(committee.members.map((m) => ({ user_id: m.user_id, committee_role: m.committee_role })));
+  }, [committee]);
+
+  if (!committee) return null;
+
+  const { members, my_membership: me, candidates } = committee;
+  const locked = disabled || members.some((m) => m.submitted_at);
+  const signedOff = members.filter((m) => m.signed_off_at).length;
+
+  const updateRow = (idx, patch) => setDraft(draft.map((row, i) => (i === idx ? { ...row, ...patch } : row)));
+  const setChair = (idx) =>
+    setDraft(draft.map((row, i) => ({ ...row, committee_role: i === idx ? "CHAIR" : "MEMBER" })));
+
+  return (
+    <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full px-6 py-4 flex items-center justify-between hover:bg-neutral-50 transition-colors"
+      >
+        <div className="flex items-center gap-2">
+          <Users className="w-4 h-4 text-neutral-600" />
+          <h3 className="font-semibold text-neutral-900">Evaluation Committee</h3>
+          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-50 text-blue-700 border border-blue-200">
+            {members.length > 0
+              ? `${members.length} members · ${signedOff}/${members.length} signed off`
+              : "Single evaluator"}
+          </span>
+        </div>
+        <span className="text-xs text-neutral-500">{open ? "Hide" : locked ? "View" : "Configure"}</span>
+      </button>
+
+      {open && (
+        <div className="px-6 py-4 border-t border-neutral-200 space-y-4">
+          {locked ? (
+            <ul className="divide-y divide-neutral-200">
+              {members.map((member) => {
+                const status = memberStatus(member);
+                return (
+                  <li key={member.member_id} className="py-2 flex items-center justify-between">
+                    <div>
+                      <span className="text-sm text-neutral-900">{member.name}</span>
+                      {member.committee_role === "CHAIR" && (
+                        <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-semibold bg-amber-100 text-amber-700">
+                          Chair
+                        </span>
+                      )}
+                      <span className="ml-2 text-xs text-neutral-500">{member.email}</span>
+                    </div>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium border ${status.className}`}>
+                      {status.label}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <label className="text-xs font-medium text-neutral-700">
+                  Members <span className="text-neutral-500">(select the chair)</span>
+                </label>
+                <button
+                  onClick={() =>
+                    setDraft([...draft, { user_id: "", committee_role: draft.length === 0 ? "CHAIR" : "MEMBER" }])
+                  }
+                  className="inline-flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700"
+                >
+                  <Plus className="w-3 h-3" />
+                  Add member
+                </button>
+              </div>
+              {draft.length === 0 && (
+                <p className="text-xs text-neutral-500">
+                  No committee appointed. Any authority user can evaluate bids on their own.
+                </p>
+              )}
+              <div className="space-y-2">
+                {draft.map((row, idx) => (
+                  <div key={idx} className="flex items-center gap-3">
+                    <select
+                      value={row.user_id}
+                      onChange={(e) => updateRow(idx, { user_id: e.target.value })}
+                      className="flex-1 px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Select user</option>
+                      {candidates.map((candidate) => (
+                        <option
+                          key={candidate.user_id}
+                          value={candidate.user_id}
+                          disabled={draft.some((d, i) => i !== idx && d.user_id === candidate.user_id)}
+                        >
+                          {candidate.name} ({candidate.email})
+                        </option>
+                      ))}
+                    </select>
+                    <label className="flex items-center gap-1 text-xs text-neutral-700 cursor-pointer">
+                      <input
+                        type="radio"
+                        name="committee_chair"
+                        checked={row.committee_role === "CHAIR"}
+                        onChange={() => setChair(idx)}
+                        className="w-4 h-4"
+                      />
+                      Chair
+                    </label>
+                    <button
+                      onClick={() => setDraft(draft.filter((_, i) => i !== idx))}
+                      className="p-2 text-neutral-500 hover:text-red-600"
+                      title="Remove member"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <p className="text-xs text-neutral-500 mt-2">
+                Members score every bid independently and only see each other's scores after submitting.
+                The committee cannot be changed once scores have been submitted.
+              </p>
+              <div className="flex justify-end pt-3">
+                <button
+                  onClick={() => onSave(draft.filter((row) => row.user_id))}
+                  disabled={busy}
+                  className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:bg-neutral-300 transition-colors"
+                >
+                  {busy ? "Saving..." : "Save Committee"}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {me && !disabled && (
+        <div className="px-6 py-3 border-t border-neutral-200 bg-neutral-50 flex items-center justify-between">
+          <p className="text-xs text-neutral-600">
+            {!me.submitted_at
+              ? "Score every bid, then submit. Submitted scores cannot be changed."
+              : !me.signed_off_at
+                ? "Review the consensus and sign off when you agree with it."
+                : "You have signed off this evaluation."}
+          </p>
+          {!me.submitted_at && (
+            <button
+              onClick={onSubmitScores}
+              disabled={busy}
+              className="px-3 py-1.5 bg-blue-600 text-white text-xs font-medium rounded-lg hover:bg-blue-700 disabled:bg-neutral-300 transition-colors"
+            >
+              Submit My Scores
+            </button>
+          )}
+          {me.submitted_at && !me.signed_off_at && (
+            <button
+              onClick={onSignOff}
+              disabled={busy}
+              className="px-3 py-1.5 bg-green-600 text-white text-xs font-medium rounded-lg hover:bg-green-700 disabled:bg-neutral-300 transition-colors"
+            >
+              Sign Off
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { Check, X } from "lucide-react";
+
+// Spread above this share of the criterion's max marks is flagged for discussion
+const HIGH_SPREAD_RATIO = 0.2;
+
+const renderScore = (criterion, score) => {
+  if (!score) return <span className="text-neutral-400">—</span>;
+  if (criterion.criterion_type === "PASS_FAIL") {
+    return score.passed ? (
+      <Check className="w-4 h-4 text-green-600 inline" />
+    ) : (
+      <X className="w-4 h-4 text-red-600 inline" />
+    );
+  }
+  return score.marks;
+};
+
+/**
+ * Independent committee scores for one bid, per criterion, with their spread
+ * and the chair's consensus
+ */
+export default function CommitteeScoresTable({ bid, members }) {
+  if (!bid) return null;
+
+  const submitted = members.filter((m) => m.submitted_at);
+
+  return (
+    <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden">
+      <div className="px-6 py-4 border-b border-neutral-200">
+        <h3 className="font-semibold text-neutral-900">Committee Scores</h3>
+        <p className="text-xs text-neutral-500 mt-1">
+          {submitted.length} of {members.length} members submitted · hover a score for its justification
+        </p>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-neutral-50 text-xs text-neutral-600">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium">Criterion</th>
+              {submitted.map((member) => (
+                <th key={member.user_id} className="px-3 py-2 text-center font-medium">
+                  {member.name}
+                </th>
+              ))}
+              <th className="px-3 py-2 text-right font-medium">Mean</th>
+              <th className="px-3 py-2 text-right font-medium">Spread (σ)</th>
+              <th className="px-3 py-2 text-right font-medium">Consensus</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-neutral-200">
+            {bid.criteria.map((criterion) => {
+              const isPassFail = criterion.criterion_type === "PASS_FAIL";
+              const { summary } = criterion;
+              const highSpread = isPassFail
+                ? criterion.scores.length > 0 && !summary.unanimous
+                : summary.spread !== null && summary.spread > criterion.max_marks * HIGH_SPREAD_RATIO;
+
+              return (
+                <tr key={criterion.criterion_id} className={highSpread ? "bg-amber-50" : ""}>
+                  <td className="px-4 py-2">
+                    <span className="text-neutral-900">{criterion.name}</span>
+                    <span className="ml-1 text-xs text-neutral-500">
+                      {isPassFail ? "(pass/fail)" : `/ ${criterion.max_marks}`}
+                    </span>
+                  </td>
+                  {submitted.map((member) => {
+                    const score = criterion.scores.find((s) => s.evaluator_user_id === member.user_id);
+                    return (
+                      <td key={member.user_id} className="px-3 py-2 text-center" title={score?.justification || ""}>
+                        {renderScore(criterion, score)}
+                      </td>
+                    );
+                  })}
+                  <td className="px-3 py-2 text-right">
+                    {isPassFail ? `${summary.pass_count}✓ ${summary.fail_count}✗` : summary.mean ?? "—"}
+                  </td>
+                  <td className={`px-3 py-2 text-right ${highSpread ? "text-amber-700 font-medium" : ""}`}>
+                    {isPassFail
+                      ? summary.unanimous ? "Unanimous" : "Split"
+                      : summary.spread === null ? "—" : `${summary.spread} (${summary.std_dev})`}
+                  </td>
+                  <td className="px-3 py-2 text-right font-semibold text-neutral-900" title={criterion.consensus?.justification || ""}>
+                    {renderScore(criterion, criterion.consensus)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { Check, X } from "lucide-react";
+
+/**
+ * Scores one bid against the tender's rubric: marks for scored criteria, pass/fail for
+ * mandatory gates, each with a justification. Shows the rolled-up technical score.
+ * scores: { [criterion_id]: { marks, passed, justification } }
+ */
+export default function CriterionScoringPanel({ criteria, scores, onChange, disabled, cutoff }) {
+  const scored = criteria.filter((c) => c.criterion_type !== "PASS_FAIL");
+  const maxTotal = scored.reduce((sum, c) => sum + Number(c.max_marks), 0);
+  const obtained = scored.reduce((sum, c) => sum + (Number(scores[c.criterion_id]?.marks) || 0), 0);
+  const failed = criteria.filter(
+    (c) => c.criterion_type === "PASS_FAIL" && scores[c.criterion_id]?.passed === false
+  );
+
+  const update = (criterionId, patch) => {
+    onChange({ ...scores, [criterionId]: { ...scores[criterionId], ...patch } });
+  };
+
+  return (
+    <div>
+      <label className="block text-xs font-medium text-neutral-700 mb-2">Evaluation Criteria</label>
+      <div className="space-y-3">
+        {criteria.map((criterion) => {
+          const score = scores[criterion.criterion_id] || {};
+          const isPassFail = criterion.criterion_type === "PASS_FAIL";
+
+          return (
+            <div key={criterion.criterion_id} className="p-2 border border-neutral-200 rounded-lg space-y-2">
+              <div className="flex items-start gap-2">
+                <div className="flex-1 min-w-0">
+                  <p className="text-xs font-medium text-neutral-800">{criterion.name}</p>
+                  {criterion.section_title && (
+                    <p className="text-[11px] text-neutral-500 truncate">Section: {criterion.section_title}</p>
+                  )}
+                </div>
+                {isPassFail ? (
+                  <div className="flex gap-1">
+                    {[
+                      { value: true, label: "Pass", Icon: Check, active: "bg-green-100 text-green-700 border-green-300" },
+                      { value: false, label: "Fail", Icon: X, active: "bg-red-100 text-red-700 border-red-300" },
+                    ].map(({ value, label, Icon, active }) => (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() => update(criterion.criterion_id, { passed: value })}
+                        disabled={disabled}
+                        className={`inline-flex items-center gap-0.5 px-1.5 py-0.5 rounded border text-[11px] font-medium ${
+                          score.passed === value ? active : "border-neutral-200 text-neutral-500"
+                        }`}
+                      >
+                        <Icon className="w-3 h-3" />
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-1">
+                    <input
+                      type="number"
+                      min="0"
+                      max={criterion.max_marks}
+                      value={score.marks ?? ""}
+                      onChange={(e) => update(criterion.criterion_id, { marks: e.target.value })}
+                      disabled={disabled}
+                      className="w-14 px-2 py-1 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <span className="text-xs text-neutral-500">/ {criterion.max_marks}</span>
+                  </div>
+                )}
+              </div>
+              <textarea
+                value={score.justification || ""}
+                onChange={(e) => update(criterion.criterion_id, { justification: e.target.value })}
+                disabled={disabled}
+                placeholder="Justification"
+                rows="2"
+                className="w-full px-2 py-1 border border-neutral-200 rounded-lg text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 resize-none"
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-neutral-500 mt-2">
+        {maxTotal > 0 && (
+          <>
+            {obtained} / {maxTotal} marks · Technical score: {((obtained / maxTotal) * 100).toFixed(2)} / 100
+            {cutoff !== null && cutoff !== undefined && ` (cutoff ${cutoff})`}
+          </>
+        )}
+      </p>
+      {failed.length > 0 && (
+        <p className="text-xs text-red-600 mt-1">
+          Fails mandatory criteria: {failed.map((c) => c.name).join(", ")}. The bid will be disqualified.
+        </p>
+      )}
+    </div>
+  );
+}
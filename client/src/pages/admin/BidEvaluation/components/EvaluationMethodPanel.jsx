@@ -0,0 +1,171 @@
+import { useEffect, useState } from "react";
+import { Settings2 } from "lucide-react";
+
+/**
+ * Evaluation method settings: L1 (lowest qualified price) or QCBS
+ * (technical/financial weights and technical cutoff).
+ * The criteria rubric is fixed when the tender is published and shown read-only.
+ */
+export default function EvaluationMethodPanel({ config, disabled, saving, onSave }) {
+  const [form, setForm] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    if (!config) return;
+    setForm({
+      evaluation_method: config.evaluation_method || "L1",
+      technical_weight: config.technical_weight ?? 70,
+      financial_weight: config.financial_weight ?? 30,
+      technical_cutoff: config.technical_cutoff ?? 70,
+    });
+  }, [config]);
+
+  if (!form) return null;
+
+  const isQCBS = form.evaluation_method === "QCBS";
+  const criteria = config.criteria || [];
+  const totalMarks = criteria.reduce((sum, c) => sum + (Number(c.max_marks) || 0), 0);
+
+  const handleSave = () => {
+    onSave({
+      ...form,
+      technical_weight: Number(form.technical_weight),
+      financial_weight: Number(form.financial_weight),
+      technical_cutoff: Number(form.technical_cutoff),
+    });
+  };
+
+  return (
+    <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full px-6 py-4 flex items-center justify-between hover:bg-neutral-50 transition-colors"
+      >
+        <div className="flex items-center gap-2">
+          <Settings2 className="w-4 h-4 text-neutral-600" />
+          <h3 className="font-semibold text-neutral-900">Evaluation Method</h3>
+          <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-blue-50 text-blue-700 border border-blue-200">
+            {config.evaluation_method === "QCBS"
+              ? `QCBS ${config.technical_weight}:${config.financial_weight}`
+              : "L1 (Lowest Price)"}
+          </span>
+        </div>
+        <span className="text-xs text-neutral-500">{open ? "Hide" : "Configure"}</span>
+      </button>
+
+      {open && (
+        <div className="px-6 py-4 border-t border-neutral-200 space-y-4">
+          <div className="flex gap-6">
+            {[
+              { id: "L1", label: "L1 - lowest qualified bid" },
+              { id: "QCBS", label: "QCBS - quality and cost based" },
+            ].map((option) => (
+              <label key={option.id} className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="radio"
+                  name="evaluation_method"
+                  value={option.id}
+                  checked={form.evaluation_method === option.id}
+                  onChange={(e) => setForm({ ...form, evaluation_method: e.target.value })}
+                  disabled={disabled}
+                  className="w-4 h-4"
+                />
+                <span className="text-sm text-neutral-700">{option.label}</span>
+              </label>
+            ))}
+          </div>
+
+          {isQCBS && (
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-xs font-medium text-neutral-700 mb-2">Technical Weight (%)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="99"
+                  value={form.technical_weight}
+                  onChange={(e) =>
+                    setForm({
+                      ...form,
+                      technical_weight: e.target.value,
+                      financial_weight: e.target.value === "" ? "" : 100 - Number(e.target.value),
+                    })
+                  }
+                  disabled={disabled}
+                  className="w-full px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-neutral-700 mb-2">Financial Weight (%)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="99"
+                  value={form.financial_weight}
+                  onChange={(e) =>
+                    setForm({
+                      ...form,
+                      financial_weight: e.target.value,
+                      technical_weight: e.target.value === "" ? "" : 100 - Number(e.target.value),
+                    })
+                  }
+                  disabled={disabled}
+                  className="w-full px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-neutral-700 mb-2">Technical Cutoff (out of 100)</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={form.technical_cutoff}
+                  onChange={(e) => setForm({ ...form, technical_cutoff: e.target.value })}
+                  disabled={disabled}
+                  className="w-full px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-xs font-medium text-neutral-700 mb-2">
+              Evaluation Criteria <span className="text-neutral-500">(total {totalMarks} marks, set at publishing)</span>
+            </label>
+            {criteria.length === 0 ? (
+              <p className="text-xs text-neutral-500">
+                This tender has no criteria rubric; technical scores are entered directly.
+              </p>
+            ) : (
+              <ul className="space-y-1">
+                {criteria.map((criterion) => (
+                  <li key={criterion.criterion_id} className="flex items-center justify-between text-sm">
+                    <span className="text-neutral-700">
+                      {criterion.name}
+                      {criterion.section_title && (
+                        <span className="text-xs text-neutral-500"> · {criterion.section_title}</span>
+                      )}
+                    </span>
+                    <span className="text-xs text-neutral-500">
+                      {criterion.criterion_type === "PASS_FAIL" ? "Pass / Fail" : `${criterion.max_marks} marks`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="flex justify-end pt-2 border-t border-neutral-200">
+            <button
+              onClick={handleSave}
+              disabled={disabled || saving}
+              className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:bg-neutral-300 transition-colors"
+            >
+              {saving ? "Saving..." : "Save Method"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import { Trophy } from "lucide-react";
+
+const formatAmount = (amount) =>
+  amount === null || amount === undefined ? "—" : `₹${Number(amount).toLocaleString("en-IN")}`;
+
+const formatScore = (score) => (score === null || score === undefined ? "—" : Number(score).toFixed(2));
+
+/**
+ * Bid ranking under L1 or QCBS, with the formula used to compute it
+ */
+export default function RankingTable({ ranking }) {
+  if (!ranking) return null;
+
+  const isQCBS = ranking.evaluation_method === "QCBS";
+  const rows = ranking.ranking || [];
+
+  return (
+    <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden">
+      <div className="px-6 py-4 border-b border-neutral-200 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Trophy className="w-4 h-4 text-amber-500" />
+          <h3 className="font-semibold text-neutral-900">
+            Ranking {isQCBS ? "(QCBS)" : "(L1)"}
+          </h3>
+        </div>
+        <span className="text-xs text-neutral-500">
+          {ranking.is_final ? "Final" : "Preview - updates as bids are evaluated"}
+        </span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-neutral-50 text-xs text-neutral-600">
+            <tr>
+              <th className="px-4 py-2 text-left font-medium">Rank</th>
+              <th className="px-4 py-2 text-left font-medium">Bidder</th>
+              <th className="px-4 py-2 text-right font-medium">Technical (T)</th>
+              {isQCBS && <th className="px-4 py-2 text-right font-medium">Tn</th>}
+              <th className="px-4 py-2 text-right font-medium">Bid Amount (F)</th>
+              {isQCBS && <th className="px-4 py-2 text-right font-medium">Fn</th>}
+              {isQCBS && <th className="px-4 py-2 text-right font-medium">Combined (S)</th>}
+              <th className="px-4 py-2 text-left font-medium">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-neutral-200">
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={isQCBS ? 8 : 5} className="px-4 py-6 text-center text-neutral-500">
+                  No bids evaluated yet
+                </td>
+              </tr>
+            )}
+            {rows.map((row) => (
+              <tr key={row.proposal_id} className={row.qualified ? "" : "text-neutral-400"}>
+                <td className="px-4 py-2 font-semibold">{row.rank ?? "—"}</td>
+                <td className="px-4 py-2">
+                  <span className="text-neutral-900">{row.organization_name}</span>
+                  {row.proposal_id === ranking.h1_proposal_id && (
+                    <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-semibold bg-amber-100 text-amber-700">H1</span>
+                  )}
+                  {row.proposal_id === ranking.l1_proposal_id && (
+                    <span className="ml-2 px-1.5 py-0.5 rounded text-[10px] font-semibold bg-green-100 text-green-700">L1</span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-right">{formatScore(row.technical_score)}</td>
+                {isQCBS && <td className="px-4 py-2 text-right">{formatScore(row.normalized_technical)}</td>}
+                <td className="px-4 py-2 text-right">{formatAmount(row.bid_amount)}</td>
+                {isQCBS && <td className="px-4 py-2 text-right">{formatScore(row.normalized_financial)}</td>}
+                {isQCBS && (
+                  <td className="px-4 py-2 text-right font-semibold text-neutral-900">
+                    {row.combined_score === null ? "—" : Number(row.combined_score).toFixed(3)}
+                  </td>
+                )}
+                <td className="px-4 py-2 text-xs">{row.qualified ? "Ranked" : row.reason}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {ranking.formula && (
+        <div className="px-6 py-3 border-t border-neutral-200 bg-neutral-50">
+          <p className="text-xs text-neutral-500 font-medium mb-1">Formula</p>
+          <p className="text-xs text-neutral-700 font-mono">{ranking.formula}</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,11 +1,16 @@
 import PageHeader from "../../../components/shared/PageHeader";
+import OrganizationSettings from "../Settings/components/OrganizationSettings";
+import SecuritySettings from "../Settings/components/SecuritySettings";
+import TwoFactorSettings from "../Settings/components/TwoFactorSettings";
+import SessionSettings from "../Settings/components/SessionSettings";
+import useAuth from "../../../hooks/useAuth";
 
 export default function Profile() {
+  const { logout } = useAuth();
   const user = JSON.parse(localStorage.getItem("user") || "{}");
   const name = user.name || "Authority User";
   const email = user.email || "user@example.com";
   const organization = user.organization || "Your Organization";
-  const orgId = "ORG-001234";
 
   return (
     <div className="px-6 py-6 mx-auto max-w-5xl">
@@ -44,8 +49,7 @@ export default function Profile() {
           <button
             className="px-3 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700"
             onClick={() => {
-              localStorage.removeItem("user");
-              localStorage.removeItem("role");
+              logout();
               window.location.href = "/login";
             }}
           >
@@ -85,16 +89,6 @@ export default function Profile() {
               readOnly
             />
           </div>
-          <div>
-            <label className="block text-sm text-neutral-600 mb-1">
-              Change Password
-            </label>
-            <input
-              className="w-full px-3 py-2 border border-neutral-300 rounded-md"
-              type="password"
-              placeholder="New password (mock)"
-            />
-          </div>
         </div>
         <div className="mt-4">
           <button className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700">
@@ -103,57 +97,15 @@ export default function Profile() {
         </div>
       </section>
 
-      {/* Organization Information */}
-      <section className="bg-white border border-neutral-200 rounded-lg p-6 mb-8">
-        <h3 className="text-base font-semibold text-neutral-900 mb-4">
-          Organization Information
-        </h3>
-        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm text-neutral-600 mb-1">
-              Organization Name
-            </label>
-            <input
-              className="w-full px-3 py-2 border border-neutral-300 rounded-md"
-              defaultValue={organization}
-            />
-          </div>
-          <div>
-            <label className="block text-sm text-neutral-600 mb-1">
-              Organization Type
-            </label>
-            <input
-              className="w-full px-3 py-2 border border-neutral-200 bg-neutral-100 rounded-md"
-              value="Authority"
-              readOnly
-            />
-          </div>
-          <div>
-            <label className="block text-sm text-neutral-600 mb-1">
-              Industry / Domain
-            </label>
-            <input
-              className="w-full px-3 py-2 border border-neutral-300 rounded-md"
-              placeholder="e.g., Public Works"
-            />
-          </div>
-          <div>
-            <label className="block text-sm text-neutral-600 mb-1">
-              Organization ID
-            </label>
-            <input
-              className="w-full px-3 py-2 border border-neutral-200 bg-neutral-100 rounded-md"
-              value={orgId}
-              readOnly
-            />
-          </div>
-        </div>
-        <div className="mt-4">
-          <button className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700">
-            Save Organization
-          </button>
-        </div>
-      </section>
+      {/* Organization Profile */}
+      <OrganizationSettings />
+
+      {/* Security */}
+      <SecuritySettings />
+      <TwoFactorSettings />
+
+      {/* Sessions */}
+      <SessionSettings />
 
       {/* Preferences */}
       <section className="bg-white border border-neutral-200 rounded-lg p-6">
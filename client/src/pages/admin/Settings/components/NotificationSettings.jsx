@@ -0,0 +1,88 @@
+import { useEffect, useState } from "react";
+import { Bell } from "lucide-react";
+import { notificationService } from "../../../../services/notificationService";
+
+/**
+ * Per-type delivery preferences: in-app (bell) and email
+ */
+export default function NotificationSettings() {
+  const [preferences, setPreferences] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    notificationService
+      .getPreferences()
+      .then(setPreferences)
+      .catch((err) => setError(err.response?.data?.error || "Failed to load notification settings"));
+  }, []);
+
+  const toggle = (type, channel) =>
+    setPreferences((prev) => prev.map((p) => (p.type === type ? { ...p, [channel]: !p[channel] } : p)));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const payload = Object.fromEntries(preferences.map((p) => [p.type, { in_app: p.in_app, email: p.email }]));
+      setPreferences(await notificationService.updatePreferences(payload));
+      setMessage("Notification settings saved");
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save notification settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="bg-white border border-neutral-200 rounded-lg p-6 mb-6">
+      <h3 className="text-base font-semibold text-neutral-900 mb-4 flex items-center gap-2">
+        <Bell className="w-4 h-4" />
+        Notifications
+      </h3>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 text-red-700 text-sm rounded-md px-3 py-2">{error}</div>
+      )}
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-neutral-500">
+            <th className="font-medium pb-2">Event</th>
+            <th className="font-medium pb-2 w-20 text-center">In-app</th>
+            <th className="font-medium pb-2 w-20 text-center">Email</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-neutral-100">
+          {preferences.map((p) => (
+            <tr key={p.type}>
+              <td className="py-2 text-neutral-800">
+                {p.label}
+                {p.digest && <span className="text-xs text-neutral-500"> (daily digest)</span>}
+              </td>
+              <td className="py-2 text-center">
+                <input type="checkbox" className="w-4 h-4" checked={p.in_app} onChange={() => toggle(p.type, "in_app")} />
+              </td>
+              <td className="py-2 text-center">
+                <input type="checkbox" className="w-4 h-4" checked={p.email} onChange={() => toggle(p.type, "email")} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="mt-4 flex items-center gap-3">
+        <button
+          onClick={handleSave}
+          disabled={saving || preferences.length === 0}
+          className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700 disabled:bg-neutral-300"
+        >
+          {saving ? "Saving..." : "Save Notification Settings"}
+        </button>
+        {message && <span className="text-sm text-green-700">{message}</span>}
+      </div>
+    </section>
+  );
+}
@@ -1,3 +1,432 @@
+import { useEffect, useState } from "react";
+import { Building2, Plus, Trash2, Upload } from "lucide-react";
+import { organizationService } from "../../../../services/organizationService";
+import useAuth from "../../../../hooks/useAuth";
+import { TEAM_MANAGER_ROLES } from "../../../../utils/constants";
+
+const PROFILE_FIELDS = [
+  "name",
+  "gstin",
+  "pan",
+  "cin",
+  "year_established",
+  "address_line",
+  "city",
+  "state",
+  "postal_code",
+  "country",
+  "contact_person",
+  "contact_email",
+  "contact_phone",
+  "website",
+  "description",
+  "signatory_name",
+  "signatory_designation",
+];
+
+const CERT_STATUS_STYLES = {
+  VALID: "bg-green-50 text-green-700 border-green-200",
+  EXPIRING: "bg-amber-50 text-amber-700 border-amber-200",
+  EXPIRED: "bg-red-50 text-red-700 border-red-200",
+};
+
+const toForm = (org) => ({
+  ...Object.fromEntries(PROFILE_FIELDS.map((f) => [f, org[f] ?? ""])),
+  turnover: org.turnover.map((t) => ({ financial_year: t.financial_year, amount: t.amount })),
+  projects: org.projects.map((p) => ({
+    title: p.title,
+    client_name: p.client_name || "",
+    contract_value: p.contract_value,
+    completed_on: p.completed_on?.split("T")[0] || "",
+  })),
+  certifications: org.certifications.map((c) => ({
+    name: c.name,
+    issuing_body: c.issuing_body || "",
+    certificate_number: c.certificate_number || "",
+    issued_on: c.issued_on?.split("T")[0] || "",
+    expires_on: c.expires_on?.split("T")[0] || "",
+    status: c.status,
+  })),
+});
+
+function Field({ label, value, onChange, placeholder, type = "text", className = "" }) {
+  return (
+    <div className={className}>
+      <label className="block text-sm text-neutral-600 mb-1">{label}</label>
+      <input
+        type={type}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        className="w-full px-3 py-2 border border-neutral-300 rounded-md text-sm"
+      />
+    </div>
+  );
+}
+
+/**
+ * Organization profile: registration numbers, address, contact, logo, turnover history,
+ * completed projects, certifications and standard signatory. Used by proposal exports,
+ * AI drafting and eligibility matching.
+ */
 export default function OrganizationSettings() {
-  return null;
+  const { user } = useAuth();
+  const canManage = TEAM_MANAGER_ROLES.includes(user?.orgRole);
+  const [form, setForm] = useState(null);
+  const [type, setType] = useState("");
+  const [logoUrl, setLogoUrl] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    organizationService
+      .getMyOrganization()
+      .then((org) => {
+        setForm(toForm(org));
+        setType(org.type);
+        if (org.has_logo) return organizationService.getLogoUrl().then(setLogoUrl);
+      })
+      .catch((err) => setError(err.response?.data?.error || "Failed to load organization profile"));
+  }, []);
+
+  // Release the previous object URL when the logo changes
+  useEffect(() => {
+    return () => {
+      if (logoUrl) URL.revokeObjectURL(logoUrl);
+    };
+  }, [logoUrl]);
+
+  if (!form) {
+    return (
+      <section className="bg-white border border-neutral-200 rounded-lg p-6 mb-6 text-sm text-neutral-500">
+        {error || "Loading organization profile..."}
+      </section>
+    );
+  }
+
+  const set = (field) => (value) => {
+    setSaved(false);
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const updateRow = (list, idx, patch) => {
+    setSaved(false);
+    setForm((prev) => ({ ...prev, [list]: prev[list].map((row, i) => (i === idx ? { ...row, ...patch } : row)) }));
+  };
+  const addRow = (list, row) => setForm((prev) => ({ ...prev, [list]: [...prev[list], row] }));
+  const removeRow = (list, idx) => setForm((prev) => ({ ...prev, [list]: prev[list].filter((_, i) => i !== idx) }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const org = await organizationService.updateMyOrganization({
+        ...form,
+        certifications: form.certifications.map(({ status, ...cert }) => cert),
+      });
+      setForm(toForm(org));
+      setSaved(true);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save organization profile");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleLogo = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      await organizationService.uploadLogo(file);
+      setLogoUrl(await organizationService.getLogoUrl());
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to upload logo");
+    }
+  };
+
+  const handleRemoveLogo = async () => {
+    setError(null);
+    try {
+      await organizationService.deleteLogo();
+      setLogoUrl(null);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to remove logo");
+    }
+  };
+
+  return (
+    <section className="bg-white border border-neutral-200 rounded-lg p-6 mb-6">
+      {/* Only owners and admins can change the profile; everyone else sees it read-only */}
+      <fieldset disabled={!canManage} className="space-y-8 min-w-0">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h3 className="text-base font-semibold text-neutral-900">Organization Profile</h3>
+            <p className="text-sm text-neutral-500 mt-1">
+              Filled into proposal exports and AI drafts automatically.
+              {!canManage && " Only owners and admins can edit it."}
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+            {logoUrl ? (
+              <img src={logoUrl} alt="Organization logo" className="h-12 max-w-[120px] object-contain" />
+            ) : (
+              <div className="h-12 w-12 rounded bg-neutral-100 flex items-center justify-center">
+                <Building2 className="w-6 h-6 text-neutral-400" />
+              </div>
+            )}
+            {canManage && (
+              <label className="inline-flex items-center gap-1 px-3 py-1.5 border border-neutral-300 rounded-md text-xs font-medium text-neutral-700 hover:bg-neutral-50 cursor-pointer">
+                <Upload className="w-3.5 h-3.5" />
+                {logoUrl ? "Replace" : "Upload logo"}
+                <input
+                  type="file"
+                  accept="image/png,image/jpeg"
+                  className="hidden"
+                  onChange={(e) => handleLogo(e.target.files[0])}
+                />
+              </label>
+            )}
+            {canManage && logoUrl && (
+              <button onClick={handleRemoveLogo} className="text-xs text-red-600 hover:underline">
+                Remove
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Registration */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Field label="Organization Name" value={form.name} onChange={set("name")} />
+          <div>
+            <label className="block text-sm text-neutral-600 mb-1">Organization Type</label>
+            <input
+              className="w-full px-3 py-2 border border-neutral-200 bg-neutral-100 rounded-md text-sm"
+              value={type === "AUTHORITY" ? "Authority" : "Bidder"}
+              readOnly
+            />
+          </div>
+          <Field label="GSTIN" value={form.gstin} onChange={set("gstin")} placeholder="22AAAAA0000A1Z5" />
+          <Field label="PAN" value={form.pan} onChange={set("pan")} placeholder="AAAAA0000A" />
+          <Field label="CIN" value={form.cin} onChange={set("cin")} placeholder="U12345MH2010PTC123456" />
+          <Field
+            label="Year Established"
+            type="number"
+            value={form.year_established}
+            onChange={set("year_established")}
+          />
+        </div>
+
+        {/* Address & contact */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <Field label="Address" value={form.address_line} onChange={set("address_line")} className="sm:col-span-2" />
+          <Field label="City" value={form.city} onChange={set("city")} />
+          <Field label="State" value={form.state} onChange={set("state")} />
+          <Field label="Postal Code" value={form.postal_code} onChange={set("postal_code")} />
+          <Field label="Country" value={form.country} onChange={set("country")} />
+          <Field label="Contact Person" value={form.contact_person} onChange={set("contact_person")} />
+          <Field label="Contact Email" type="email" value={form.contact_email} onChange={set("contact_email")} />
+          <Field label="Contact Phone" value={form.contact_phone} onChange={set("contact_phone")} />
+          <Field label="Website" value={form.website} onChange={set("website")} />
+          <div className="sm:col-span-2">
+            <label className="block text-sm text-neutral-600 mb-1">About the Organization</label>
+            <textarea
+              value={form.description}
+              onChange={(e) => set("description")(e.target.value)}
+              rows={3}
+              className="w-full px-3 py-2 border border-neutral-300 rounded-md text-sm"
+            />
+          </div>
+        </div>
+
+        {/* Signatory */}
+        <div>
+          <h4 className="text-sm font-semibold text-neutral-900 mb-3">Standard Signatory</h4>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <Field label="Name" value={form.signatory_name} onChange={set("signatory_name")} />
+            <Field label="Designation" value={form.signatory_designation} onChange={set("signatory_designation")} />
+          </div>
+        </div>
+
+        {/* Turnover */}
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-sm font-semibold text-neutral-900">Annual Turnover (INR)</h4>
+            <button
+              onClick={() => addRow("turnover", { financial_year: "", amount: "" })}
+              className="inline-flex items-center gap-1 text-xs font-medium text-blue-600 hover:underline"
+            >
+              <Plus className="w-3.5 h-3.5" /> Add year
+            </button>
+          </div>
+          {form.turnover.length === 0 ? (
+            <p className="text-sm text-neutral-500">No turnover recorded.</p>
+          ) : (
+            <div className="space-y-2">
+              {form.turnover.map((row, idx) => (
+                <div key={idx} className="flex items-center gap-2">
+                  <input
+                    value={row.financial_year}
+                    onChange={(e) => updateRow("turnover", idx, { financial_year: e.target.value })}
+                    placeholder="2023-24"
+                    className="w-32 px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={row.amount}
+                    onChange={(e) => updateRow("turnover", idx, { amount: e.target.value })}
+                    placeholder="Amount"
+                    className="flex-1 px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <button onClick={() => removeRow("turnover", idx)} className="p-2 text-neutral-400 hover:text-red-600">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Completed projects */}
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-sm font-semibold text-neutral-900">Completed Projects</h4>
+            <button
+              onClick={() => addRow("projects", { title: "", client_name: "", contract_value: "", completed_on: "" })}
+              className="inline-flex items-center gap-1 text-xs font-medium text-blue-600 hover:underline"
+            >
+              <Plus className="w-3.5 h-3.5" /> Add project
+            </button>
+          </div>
+          {form.projects.length === 0 ? (
+            <p className="text-sm text-neutral-500">No completed projects recorded.</p>
+          ) : (
+            <div className="space-y-3">
+              {form.projects.map((project, idx) => (
+                <div key={idx} className="grid grid-cols-1 sm:grid-cols-6 gap-2 items-center">
+                  <input
+                    value={project.title}
+                    onChange={(e) => updateRow("projects", idx, { title: e.target.value })}
+                    placeholder="Project / work order"
+                    className="sm:col-span-2 px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <input
+                    value={project.client_name}
+                    onChange={(e) => updateRow("projects", idx, { client_name: e.target.value })}
+                    placeholder="Client"
+                    className="px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={project.contract_value}
+                    onChange={(e) => updateRow("projects", idx, { contract_value: e.target.value })}
+                    placeholder="Contract value (INR)"
+                    className="px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="date"
+                    value={project.completed_on}
+                    onChange={(e) => updateRow("projects", idx, { completed_on: e.target.value })}
+                    title="Completion date"
+                    className="px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <div className="flex items-center justify-end">
+                    <button onClick={() => removeRow("projects", idx)} className="p-2 text-neutral-400 hover:text-red-600">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Certifications */}
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-sm font-semibold text-neutral-900">Certifications</h4>
+            <button
+              onClick={() =>
+                addRow("certifications", {
+                  name: "",
+                  issuing_body: "",
+                  certificate_number: "",
+                  issued_on: "",
+                  expires_on: "",
+                })
+              }
+              className="inline-flex items-center gap-1 text-xs font-medium text-blue-600 hover:underline"
+            >
+              <Plus className="w-3.5 h-3.5" /> Add certification
+            </button>
+          </div>
+          {form.certifications.length === 0 ? (
+            <p className="text-sm text-neutral-500">No certifications recorded.</p>
+          ) : (
+            <div className="space-y-3">
+              {form.certifications.map((cert, idx) => (
+                <div key={idx} className="grid grid-cols-1 sm:grid-cols-6 gap-2 items-center">
+                  <input
+                    value={cert.name}
+                    onChange={(e) => updateRow("certifications", idx, { name: e.target.value })}
+                    placeholder="ISO 9001:2015"
+                    className="sm:col-span-2 px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <input
+                    value={cert.issuing_body}
+                    onChange={(e) => updateRow("certifications", idx, { issuing_body: e.target.value })}
+                    placeholder="Issued by"
+                    className="px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <input
+                    value={cert.certificate_number}
+                    onChange={(e) => updateRow("certifications", idx, { certificate_number: e.target.value })}
+                    placeholder="Certificate no."
+                    className="px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <input
+                    type="date"
+                    value={cert.expires_on}
+                    onChange={(e) => updateRow("certifications", idx, { expires_on: e.target.value })}
+                    title="Expiry date"
+                    className="px-3 py-2 border border-neutral-300 rounded-md text-sm"
+                  />
+                  <div className="flex items-center justify-end gap-2">
+                    {cert.status && (
+                      <span className={`px-2 py-0.5 text-xs border rounded-full ${CERT_STATUS_STYLES[cert.status]}`}>
+                        {cert.status.charAt(0) + cert.status.slice(1).toLowerCase()}
+                      </span>
+                    )}
+                    <button
+                      onClick={() => removeRow("certifications", idx)}
+                      className="p-2 text-neutral-400 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {error && <div className="p-3 bg-red-50 border border-red-200 rounded text-sm text-red-700">{error}</div>}
+
+        {canManage && (
+          <div className="flex items-center gap-3">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700 disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save Organization"}
+            </button>
+            {saved && <span className="text-sm text-green-700">Saved</span>}
+          </div>
+        )}
+      </fieldset>
+    </section>
+  );
 }
@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { KeyRound, MailCheck } from "lucide-react";
+import useAuth from "../../../../hooks/useAuth";
+import { authService } from "../../../../services/authService";
+
+const EMPTY_FORM = { currentPassword: "", newPassword: "", confirmPassword: "" };
+
+/**
+ * Email verification status and password change
+ */
+export default function SecuritySettings() {
+  const { user, token } = useAuth();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [verificationState, setVerificationState] = useState(null); // 'sending' | 'sent' | error message
+
+  const handleChange = (e) => setForm((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+
+    if (form.newPassword !== form.confirmPassword) {
+      setError("New passwords do not match");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { revokedSessions } = await authService.changePassword(token, form.currentPassword, form.newPassword);
+      setForm(EMPTY_FORM);
+      setMessage(
+        revokedSessions > 0
+          ? `Password changed. Signed out of ${revokedSessions} other session${revokedSessions === 1 ? "" : "s"}.`
+          : "Password changed"
+      );
+    } catch (err) {
+      setError(err.message || "Failed to change password");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setVerificationState("sending");
+    try {
+      await authService.resendVerification(token);
+      setVerificationState("sent");
+    } catch (err) {
+      setVerificationState(err.message || "Failed to send the verification email");
+    }
+  };
+
+  // Users stored before verification existed have no flag; the server treats them as verified
+  const unverified = user?.emailVerified === false;
+
+  return (
+    <section className="bg-white border border-neutral-200 rounded-lg p-6 mb-6">
+      <h3 className="text-base font-semibold text-neutral-900 mb-4 flex items-center gap-2">
+        <KeyRound className="w-4 h-4" />
+        Security
+      </h3>
+
+      {unverified && (
+        <div className="mb-5 flex items-center justify-between gap-4 bg-amber-50 border border-amber-200 rounded-md px-3 py-2">
+          <p className="text-sm text-amber-800 flex items-center gap-2">
+            <MailCheck className="w-4 h-4 flex-shrink-0" />
+            {verificationState === "sent"
+              ? `We sent a new confirmation link to ${user.email}.`
+              : `Please confirm ${user.email} using the link we emailed you.`}
+          </p>
+          {verificationState !== "sent" && (
+            <button
+              onClick={handleResend}
+              disabled={verificationState === "sending"}
+              className="text-sm font-medium text-amber-900 hover:underline disabled:opacity-50 flex-shrink-0"
+            >
+              Resend link
+            </button>
+          )}
+        </div>
+      )}
+      {unverified && verificationState && !["sending", "sent"].includes(verificationState) && (
+        <p className="-mt-3 mb-4 text-sm text-red-700">{verificationState}</p>
+      )}
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm text-neutral-600 mb-1">Current password</label>
+          <input
+            name="currentPassword"
+            type="password"
+            required
+            value={form.currentPassword}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-neutral-300 rounded-md"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-neutral-600 mb-1">New password</label>
+          <input
+            name="newPassword"
+            type="password"
+            required
+            minLength={6}
+            value={form.newPassword}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-neutral-300 rounded-md"
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-neutral-600 mb-1">Confirm new password</label>
+          <input
+            name="confirmPassword"
+            type="password"
+            required
+            value={form.confirmPassword}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-neutral-300 rounded-md"
+          />
+        </div>
+
+        <div className="sm:col-span-3 flex items-center gap-3">
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700 disabled:bg-neutral-300"
+          >
+            {saving ? "Changing..." : "Change password"}
+          </button>
+          {message && <span className="text-sm text-green-700">{message}</span>}
+          {error && <span className="text-sm text-red-700">{error}</span>}
+        </div>
+      </form>
+    </section>
+  );
+}
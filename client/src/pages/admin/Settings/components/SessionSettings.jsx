@@ -0,0 +1,135 @@
+import { useEffect, useState } from "react";
+import { Monitor, Smartphone } from "lucide-react";
+import useAuth from "../../../../hooks/useAuth";
+import { authService } from "../../../../services/authService";
+
+const BROWSERS = [
+  ["Edg/", "Edge"],
+  ["OPR/", "Opera"],
+  ["Firefox/", "Firefox"],
+  ["Chrome/", "Chrome"],
+  ["Safari/", "Safari"],
+];
+const PLATFORMS = [
+  ["Android", "Android"],
+  ["iPhone", "iPhone"],
+  ["iPad", "iPad"],
+  ["Windows", "Windows"],
+  ["Mac OS X", "macOS"],
+  ["Linux", "Linux"],
+];
+
+const describeDevice = (userAgent = "") => {
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker))?.[1];
+  const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker))?.[1];
+  if (!browser && !platform) return userAgent || "Unknown device";
+  return [browser || "Browser", platform].filter(Boolean).join(" on ");
+};
+
+const isMobile = (userAgent = "") => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+/**
+ * Devices signed in to the account, with sign-out per device or everywhere else
+ */
+export default function SessionSettings() {
+  const { token } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [busy, setBusy] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Rendered behind ProtectedRoute, so the token is there on mount; later refreshes don't change the list
+  useEffect(() => {
+    authService
+      .getSessions(token)
+      .then((data) => setSessions(data.sessions))
+      .catch((err) => setError(err.message || "Failed to load sessions"));
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    setBusy(sessionId);
+    setError(null);
+    setMessage(null);
+    try {
+      await authService.revokeSession(token, sessionId);
+      setSessions((prev) => prev.filter((s) => s.session_id !== sessionId));
+    } catch (err) {
+      setError(err.message || "Failed to sign out the session");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setBusy("others");
+    setError(null);
+    setMessage(null);
+    try {
+      const { revoked } = await authService.revokeOtherSessions(token);
+      setSessions((prev) => prev.filter((s) => s.current));
+      setMessage(`Signed out of ${revoked} other session${revoked === 1 ? "" : "s"}`);
+    } catch (err) {
+      setError(err.message || "Failed to sign out other sessions");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const others = sessions.filter((s) => !s.current);
+
+  return (
+    <section className="bg-white border border-neutral-200 rounded-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-base font-semibold text-neutral-900 flex items-center gap-2">
+          <Monitor className="w-4 h-4" />
+          Active sessions
+        </h3>
+        {others.length > 0 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={busy !== null}
+            className="px-3 py-1.5 rounded-md border border-red-200 text-red-700 text-sm font-medium hover:bg-red-50 disabled:opacity-50"
+          >
+            Sign out everywhere else
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 text-red-700 text-sm rounded-md px-3 py-2">{error}</div>
+      )}
+      {message && <p className="mb-4 text-sm text-green-700">{message}</p>}
+
+      <ul className="divide-y divide-neutral-100">
+        {sessions.map((s) => {
+          const Icon = isMobile(s.user_agent) ? Smartphone : Monitor;
+          return (
+            <li key={s.session_id} className="py-3 flex items-center justify-between gap-4">
+              <div className="flex items-center gap-3 min-w-0">
+                <Icon className="w-5 h-5 text-neutral-400 flex-shrink-0" />
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-neutral-900 truncate">
+                    {describeDevice(s.user_agent)}
+                    {s.current && <span className="ml-2 text-xs font-normal text-green-700">This device</span>}
+                  </p>
+                  <p className="text-xs text-neutral-500">
+                    {s.ip_address || "Unknown IP"} · last active {new Date(s.last_seen_at).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+              {!s.current && (
+                <button
+                  onClick={() => handleRevoke(s.session_id)}
+                  disabled={busy !== null}
+                  className="text-sm text-neutral-600 hover:text-red-600 disabled:opacity-50"
+                >
+                  Sign out
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
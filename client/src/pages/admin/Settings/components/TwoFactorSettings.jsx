@@ -0,0 +1,262 @@
+import { useEffect, useState } from "react";
+import { Copy, ShieldCheck, ShieldAlert } from "lucide-react";
+import useAuth from "../../../../hooks/useAuth";
+import { authService } from "../../../../services/authService";
+
+/**
+ * Authenticator-app two-factor: enrollment with QR code, recovery codes and disabling
+ */
+export default function TwoFactorSettings() {
+  const { token, updateUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null); // { secret, otpauth_url, qr_code } while enrolling
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // shown once after enabling or regenerating
+  const [action, setAction] = useState(null); // 'disable' | 'regenerate' while asking for a code
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStatus = async () => {
+    try {
+      const { twoFactor } = await authService.getTwoFactorStatus(token);
+      setStatus(twoFactor);
+    } catch (err) {
+      setError(err.message || "Failed to load two-factor status");
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const run = async (fn) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = () =>
+    run(async () => {
+      const data = await authService.beginTwoFactorSetup(token);
+      setSetup(data.setup);
+      setRecoveryCodes(null);
+      setCode("");
+    });
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await authService.confirmTwoFactorSetup(token, code.trim());
+      setSetup(null);
+      setCode("");
+      setRecoveryCodes(data.recoveryCodes);
+      updateUser({ twoFactorEnabled: true, twoFactorSetupRequired: false });
+      await loadStatus();
+    });
+  };
+
+  const handleCodeAction = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (action === "disable") {
+        await authService.disableTwoFactor(token, code.trim());
+        setRecoveryCodes(null);
+        updateUser({ twoFactorEnabled: false });
+      } else {
+        const data = await authService.regenerateRecoveryCodes(token, code.trim());
+        setRecoveryCodes(data.recoveryCodes);
+      }
+      setAction(null);
+      setCode("");
+      await loadStatus();
+    });
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      required
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="6-digit code"
+      className="w-40 px-3 py-2 border border-neutral-300 rounded-md tracking-widest"
+    />
+  );
+
+  return (
+    <section className="bg-white border border-neutral-200 rounded-lg p-6 mb-6">
+      <h3 className="text-base font-semibold text-neutral-900 mb-4 flex items-center gap-2">
+        <ShieldCheck className="w-4 h-4" />
+        Two-factor authentication
+      </h3>
+
+      {!status ? (
+        <p className="text-sm text-neutral-500">{error || "Loading..."}</p>
+      ) : (
+        <div className="space-y-4">
+          {status.required && !status.enabled && (
+            <div className="flex items-center gap-2 bg-amber-50 border border-amber-200 rounded-md px-3 py-2 text-sm text-amber-800">
+              <ShieldAlert className="w-4 h-4 flex-shrink-0" />
+              Your organization requires two-factor authentication. Set it up to publish tenders, open bids and
+              sign off evaluations.
+            </div>
+          )}
+
+          {status.enabled ? (
+            <div className="flex items-center justify-between gap-4">
+              <p className="text-sm text-neutral-700">
+                <span className="font-medium text-green-700">Enabled</span>
+                {status.enabled_at && ` since ${new Date(status.enabled_at).toLocaleDateString()}`}
+                {" · "}
+                {status.recovery_codes_remaining} recovery code{status.recovery_codes_remaining === 1 ? "" : "s"} left
+              </p>
+              {!action && (
+                <div className="flex gap-3 flex-shrink-0">
+                  <button
+                    onClick={() => setAction("regenerate")}
+                    className="text-sm font-medium text-primary-600 hover:underline"
+                  >
+                    New recovery codes
+                  </button>
+                  {!status.required && (
+                    <button
+                      onClick={() => setAction("disable")}
+                      className="text-sm font-medium text-red-600 hover:underline"
+                    >
+                      Turn off
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          ) : (
+            !setup && (
+              <div className="flex items-center justify-between gap-4">
+                <p className="text-sm text-neutral-600">
+                  Protect your account with a code from an authenticator app at sign-in and before sensitive actions.
+                </p>
+                <button
+                  onClick={handleStart}
+                  disabled={busy}
+                  className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700 disabled:bg-neutral-300 flex-shrink-0"
+                >
+                  Set up
+                </button>
+              </div>
+            )
+          )}
+
+          {setup && (
+            <form onSubmit={handleConfirm} className="border border-neutral-200 rounded-md p-4 space-y-3">
+              <p className="text-sm text-neutral-700">
+                Scan this code with your authenticator app, then enter the 6-digit code it shows.
+              </p>
+              {setup.qr_code ? (
+                <img src={setup.qr_code} alt="Two-factor QR code" className="w-44 h-44 border border-neutral-200 rounded" />
+              ) : (
+                <a href={setup.otpauth_url} className="text-sm text-primary-600 hover:underline">
+                  Open in authenticator app
+                </a>
+              )}
+              <div className="text-sm text-neutral-600">
+                Or enter this key manually:
+                <div className="mt-1 flex items-center gap-2">
+                  <code className="px-2 py-1 bg-neutral-100 rounded font-mono text-neutral-900 break-all">
+                    {setup.secret}
+                  </code>
+                  <button
+                    type="button"
+                    onClick={() => navigator.clipboard?.writeText(setup.secret)}
+                    className="text-neutral-400 hover:text-neutral-600"
+                    title="Copy key"
+                  >
+                    <Copy className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                {codeInput}
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700 disabled:bg-neutral-300"
+                >
+                  {busy ? "Verifying..." : "Enable"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSetup(null)}
+                  className="text-sm text-neutral-600 hover:underline"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {action && (
+            <form onSubmit={handleCodeAction} className="flex flex-wrap items-center gap-3">
+              <span className="text-sm text-neutral-600">
+                {action === "disable"
+                  ? "Enter a current code to turn off two-factor:"
+                  : "Enter a current code to replace your recovery codes:"}
+              </span>
+              {codeInput}
+              <button
+                type="submit"
+                disabled={busy}
+                className={`px-4 py-2 rounded-md text-white text-sm font-semibold disabled:bg-neutral-300 ${
+                  action === "disable" ? "bg-red-600 hover:bg-red-700" : "bg-primary-600 hover:bg-primary-700"
+                }`}
+              >
+                {action === "disable" ? "Turn off" : "Replace codes"}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setAction(null);
+                  setCode("");
+                }}
+                className="text-sm text-neutral-600 hover:underline"
+              >
+                Cancel
+              </button>
+            </form>
+          )}
+
+          {recoveryCodes && (
+            <div className="bg-neutral-50 border border-neutral-200 rounded-md p-4">
+              <p className="text-sm text-neutral-700 mb-3">
+                Save these recovery codes somewhere safe. Each works once if you lose your authenticator app, and
+                they won't be shown again.
+              </p>
+              <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 font-mono text-sm text-neutral-900">
+                {recoveryCodes.map((recoveryCode) => (
+                  <span key={recoveryCode}>{recoveryCode}</span>
+                ))}
+              </div>
+              <button
+                onClick={() => navigator.clipboard?.writeText(recoveryCodes.join("\n"))}
+                className="mt-3 text-sm font-medium text-primary-600 hover:underline flex items-center gap-1"
+              >
+                <Copy className="w-4 h-4" />
+                Copy codes
+              </button>
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-700">{error}</p>}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,14 @@
+import PageHeader from "../../../components/shared/PageHeader";
+import TeamMembersPanel from "../../../components/shared/TeamMembersPanel";
+
+export default function Team() {
+  return (
+    <div className="px-6 py-6 mx-auto max-w-4xl">
+      <PageHeader
+        title="Team"
+        description="Invite colleagues and choose who can create, publish and evaluate tenders."
+      />
+      <TeamMembersPanel />
+    </div>
+  );
+}
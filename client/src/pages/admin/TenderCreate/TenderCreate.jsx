@@ -5,12 +5,14 @@ import { tenderService } from "../../../services/tenderService";
 import Stepper from "./components/Stepper";
 import StepBasicInfo from "./components/StepBasicInfo";
 import StepContentBuilder from "./components/StepContentBuilder";
+import StepEvaluationCriteria from "./components/StepEvaluationCriteria";
 import StepReviewPublish from "./components/StepReviewPublish";
 
 const STEPS = [
   { id: 1, label: "Basic Information" },
   { id: 2, label: "Tender Content & Eligibility" },
-  { id: 3, label: "Review & Publish" },
+  { id: 3, label: "Evaluation Criteria" },
+  { id: 4, label: "Review & Publish" },
 ];
 
 export default function TenderCreate() {
@@ -21,6 +23,7 @@ export default function TenderCreate() {
   const [tenderDraft, setTenderDraft] = useState({
     basicInfo: {},
     sections: [],
+    criteria: [],
     metadata: {},
   });
   const [tenderId, setTenderId] = useState(null);
@@ -50,6 +53,8 @@ export default function TenderCreate() {
             estimatedValue: tender.estimated_value || "",
             submissionStartDate: tender.submission_start_date?.split('T')[0] || "",
             submissionEndDate: tender.submission_deadline?.split('T')[0] || "",
+            clarificationCutoff: tender.clarification_cutoff?.split('T')[0] || "",
+            sealedBids: Boolean(tender.sealed_bids),
             description: tender.description || "",
           },
           sections: (tender.sections || []).map(s => ({
@@ -61,6 +66,14 @@ export default function TenderCreate() {
             mandatory: s.is_mandatory,
             order: s.order_index,
           })),
+          criteria: (tender.evaluation_criteria || []).map(c => ({
+            criterion_id: c.criterion_id,
+            name: c.name,
+            description: c.description || "",
+            criterion_type: c.criterion_type,
+            max_marks: c.max_marks ?? "",
+            section_id: c.section_id || "",
+          })),
           metadata: {},
         });
       } catch (err) {
@@ -88,6 +101,8 @@ export default function TenderCreate() {
             tender_type: tenderDraft.basicInfo.tenderType,
             estimated_value: tenderDraft.basicInfo.estimatedValue,
             submission_start_date: tenderDraft.basicInfo.submissionStartDate,
+            clarification_cutoff: tenderDraft.basicInfo.clarificationCutoff || null,
+            sealed_bids: Boolean(tenderDraft.basicInfo.sealedBids),
           };
 
           if (tenderId) {
@@ -129,6 +144,23 @@ export default function TenderCreate() {
               );
             }
           }
+        } else if (currentStep === 3 && tenderId) {
+          // Step 3: Save the evaluation rubric (replaces any previously saved criteria)
+          const { criteria } = await tenderService.setEvaluationCriteria(
+            tenderId,
+            tenderDraft.criteria.map(c => ({
+              ...c,
+              max_marks: c.criterion_type === "PASS_FAIL" ? null : Number(c.max_marks),
+              section_id: c.section_id || null,
+            })),
+            token
+          );
+          updateTenderDraft("criteria", criteria.map(c => ({
+            ...c,
+            description: c.description || "",
+            max_marks: c.max_marks ?? "",
+            section_id: c.section_id || "",
+          })));
         }
         setCurrentStep(currentStep + 1);
         setIsStepValid(false);
@@ -192,8 +224,8 @@ export default function TenderCreate() {
   };
 
   const handleGoBackToFix = () => {
-    // Navigate back to Step 2 or Step 1 depending on which has issues
-    setCurrentStep(2); // Default to content builder
+    // Navigate back to the rubric step if it is empty, otherwise the content builder
+    setCurrentStep(tenderDraft.criteria.length === 0 ? 3 : 2);
   };
 
   const updateTenderDraft = (field, value) => {
@@ -224,6 +256,15 @@ export default function TenderCreate() {
           />
         );
       case 3:
+        return (
+          <StepEvaluationCriteria
+            data={tenderDraft.criteria}
+            sections={tenderDraft.sections}
+            onUpdate={(data) => updateTenderDraft("criteria", data)}
+            onValidationChange={setIsStepValid}
+          />
+        );
+      case 4:
         return (
           <StepReviewPublish
             data={tenderDraft}
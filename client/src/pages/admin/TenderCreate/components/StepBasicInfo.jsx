@@ -42,6 +42,8 @@ export default function StepBasicInfo({ data, onUpdate, onValidationChange }) {
     estimatedValue: data?.estimatedValue || "",
     submissionStartDate: data?.submissionStartDate || "",
     submissionEndDate: data?.submissionEndDate || "",
+    clarificationCutoff: data?.clarificationCutoff || "",
+    sealedBids: data?.sealedBids || false,
     description: data?.description || "",
   });
 
@@ -101,6 +103,11 @@ export default function StepBasicInfo({ data, onUpdate, onValidationChange }) {
       }
     }
 
+    if (formData.clarificationCutoff && formData.submissionEndDate &&
+        new Date(formData.clarificationCutoff) > new Date(formData.submissionEndDate)) {
+      newErrors.clarificationCutoff = "Clarification cut-off must be on or before the end date";
+    }
+
     if (!formData.description.trim()) {
       newErrors.description = "Description is required";
     } else if (formData.description.length < 20) {
@@ -394,6 +401,50 @@ export default function StepBasicInfo({ data, onUpdate, onValidationChange }) {
             </div>
           </div>
 
+          {/* Clarification Cut-off Date */}
+          <div>
+            <label className="block text-sm font-medium text-neutral-900 mb-2">
+              Clarification Cut-off Date
+            </label>
+            <input
+              type="date"
+              value={formData.clarificationCutoff}
+              onChange={(e) => handleChange("clarificationCutoff", e.target.value)}
+              onBlur={() => handleBlur("clarificationCutoff")}
+              max={formData.submissionEndDate || undefined}
+              className={`w-full md:w-1/2 px-4 py-2.5 border rounded-lg text-neutral-900 focus:outline-none focus:ring-2 transition-colors ${
+                showError("clarificationCutoff")
+                  ? "border-red-300 focus:ring-red-100 focus:border-red-400"
+                  : "border-neutral-300 focus:ring-blue-100 focus:border-blue-500"
+              }`}
+            />
+            {showError("clarificationCutoff") ? (
+              <p className="text-xs text-red-600 mt-1.5">{errors.clarificationCutoff}</p>
+            ) : (
+              <p className="text-xs text-neutral-500 mt-1.5">
+                Last date for bidders to post pre-bid questions. Defaults to the submission end date.
+              </p>
+            )}
+          </div>
+
+          {/* Sealed Bids */}
+          <div>
+            <label className="flex items-start gap-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={formData.sealedBids}
+                onChange={(e) => handleChange("sealedBids", e.target.checked)}
+                className="mt-0.5 w-4 h-4 text-blue-600 border-neutral-300 rounded focus:ring-blue-500"
+              />
+              <span>
+                <span className="block text-sm font-medium text-neutral-900">Sealed bids</span>
+                <span className="block text-xs text-neutral-500 mt-0.5">
+                  Submitted proposals stay inaccessible until the bids are formally opened after the submission end date.
+                </span>
+              </span>
+            </label>
+          </div>
+
           {/* Description */}
           <div>
             <label className="block text-sm font-medium text-neutral-900 mb-2">
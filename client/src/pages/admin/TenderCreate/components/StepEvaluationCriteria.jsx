@@ -0,0 +1,156 @@
+import { useEffect } from "react";
+import { Plus, Trash2, ClipboardCheck, Info } from "lucide-react";
+
+const CRITERION_TYPES = [
+  { id: "SCORED", label: "Scored" },
+  { id: "PASS_FAIL", label: "Mandatory pass/fail" },
+];
+
+const emptyCriterion = () => ({
+  criterion_id: null,
+  name: "",
+  description: "",
+  criterion_type: "SCORED",
+  max_marks: "",
+  section_id: "",
+});
+
+const isCriterionComplete = (criterion) =>
+  Boolean(criterion.name?.trim()) &&
+  (criterion.criterion_type === "PASS_FAIL" || Number(criterion.max_marks) > 0);
+
+export default function StepEvaluationCriteria({ data, sections, onUpdate, onValidationChange }) {
+  const criteria = data?.length ? data : [];
+  const linkableSections = (sections || []).filter((s) => s.section_id);
+  const totalMarks = criteria
+    .filter((c) => c.criterion_type !== "PASS_FAIL")
+    .reduce((sum, c) => sum + (Number(c.max_marks) || 0), 0);
+  const gateCount = criteria.filter((c) => c.criterion_type === "PASS_FAIL").length;
+
+  useEffect(() => {
+    onValidationChange?.(criteria.length > 0 && criteria.every(isCriterionComplete));
+  }, [criteria, onValidationChange]);
+
+  const updateCriterion = (idx, patch) => {
+    onUpdate(criteria.map((c, i) => (i === idx ? { ...c, ...patch } : c)));
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-neutral-900">Evaluation Criteria</h2>
+        <p className="text-sm text-neutral-500 mt-1">
+          Define the rubric bids will be scored against. Bidders see it when the tender is published.
+        </p>
+      </div>
+
+      <div className="flex items-start gap-2 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+        <Info className="w-4 h-4 text-blue-600 mt-0.5 flex-shrink-0" />
+        <p className="text-xs text-blue-800">
+          Scored criteria add up to the technical score. A bid that fails any mandatory
+          pass/fail criterion is disqualified. The rubric cannot be changed after publishing.
+        </p>
+      </div>
+
+      <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden">
+        <div className="px-4 py-3 bg-neutral-50 border-b border-neutral-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <ClipboardCheck className="w-4 h-4 text-neutral-600" />
+            <span className="text-sm font-semibold text-neutral-900">Rubric</span>
+            <span className="text-xs text-neutral-500">
+              {totalMarks} marks{gateCount > 0 ? ` · ${gateCount} pass/fail` : ""}
+            </span>
+          </div>
+          <button
+            onClick={() => onUpdate([...criteria, emptyCriterion()])}
+            className="inline-flex items-center gap-1 text-sm font-medium text-blue-600 hover:text-blue-700"
+          >
+            <Plus className="w-4 h-4" />
+            Add criterion
+          </button>
+        </div>
+
+        {criteria.length === 0 ? (
+          <div className="px-4 py-8 text-center text-sm text-neutral-500">
+            No criteria yet. Add at least one criterion to continue.
+          </div>
+        ) : (
+          <div className="divide-y divide-neutral-200">
+            {criteria.map((criterion, idx) => {
+              const isPassFail = criterion.criterion_type === "PASS_FAIL";
+              return (
+                <div key={criterion.criterion_id || `new-${idx}`} className="p-4 space-y-3">
+                  <div className="flex items-start gap-3">
+                    <span className="text-sm font-mono text-neutral-500 mt-2">
+                      {String(idx + 1).padStart(2, "0")}
+                    </span>
+                    <div className="flex-1 grid grid-cols-12 gap-3">
+                      <input
+                        type="text"
+                        value={criterion.name}
+                        onChange={(e) => updateCriterion(idx, { name: e.target.value })}
+                        placeholder="e.g. Relevant project experience"
+                        className="col-span-6 px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <select
+                        value={criterion.criterion_type}
+                        onChange={(e) =>
+                          updateCriterion(idx, {
+                            criterion_type: e.target.value,
+                            max_marks: e.target.value === "PASS_FAIL" ? "" : criterion.max_marks,
+                          })
+                        }
+                        className="col-span-4 px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {CRITERION_TYPES.map((type) => (
+                          <option key={type.id} value={type.id}>
+                            {type.label}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="1"
+                        value={isPassFail ? "" : criterion.max_marks}
+                        onChange={(e) => updateCriterion(idx, { max_marks: e.target.value })}
+                        disabled={isPassFail}
+                        placeholder={isPassFail ? "—" : "Max"}
+                        className="col-span-2 px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-neutral-50"
+                      />
+                      <textarea
+                        value={criterion.description || ""}
+                        onChange={(e) => updateCriterion(idx, { description: e.target.value })}
+                        placeholder="How this criterion is assessed (optional)"
+                        rows={2}
+                        className="col-span-8 px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <select
+                        value={criterion.section_id || ""}
+                        onChange={(e) => updateCriterion(idx, { section_id: e.target.value })}
+                        className="col-span-4 self-start px-3 py-2 border border-neutral-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">No linked section</option>
+                        {linkableSections.map((section) => (
+                          <option key={section.section_id} value={section.section_id}>
+                            {section.title}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                    <button
+                      onClick={() => onUpdate(criteria.filter((_, i) => i !== idx))}
+                      className="p-2 text-neutral-500 hover:text-red-600"
+                      title="Remove criterion"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -81,6 +81,10 @@ export default function StepReviewPublish({ data, onValidationChange, onPublish,
         passed: hasEvaluationSection && hasEvaluationContent,
         label: "Evaluation Criteria section with content",
       },
+      hasRubric: {
+        passed: Array.isArray(data?.criteria) && data.criteria.length > 0,
+        label: "Evaluation rubric defined",
+      },
     };
 
     setValidationChecks(checks);
@@ -263,6 +267,38 @@ export default function StepReviewPublish({ data, onValidationChange, onPublish,
               )}
             </div>
 
+            {/* Evaluation Rubric */}
+            {data?.criteria?.length > 0 && (
+              <div className="px-8 py-6 border-t border-neutral-200">
+                <h3 className="text-xs uppercase tracking-wide font-semibold text-neutral-700 mb-4">
+                  Evaluation Criteria
+                </h3>
+                <table className="w-full text-sm">
+                  <tbody className="divide-y divide-neutral-200">
+                    {data.criteria.map((criterion, index) => {
+                      const section = data.sections?.find(s => s.section_id && s.section_id === criterion.section_id);
+                      return (
+                        <tr key={criterion.criterion_id || index}>
+                          <td className="py-2 pr-4 align-top">
+                            <p className="font-medium text-neutral-900">{criterion.name}</p>
+                            {criterion.description && (
+                              <p className="text-xs text-neutral-600 mt-0.5">{criterion.description}</p>
+                            )}
+                            {section && (
+                              <p className="text-xs text-neutral-500 mt-0.5">Section: {section.title}</p>
+                            )}
+                          </td>
+                          <td className="py-2 text-right align-top whitespace-nowrap text-neutral-700">
+                            {criterion.criterion_type === "PASS_FAIL" ? "Pass / Fail" : `${criterion.max_marks} marks`}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             {/* Document Footer */}
             <div className="px-8 py-4 bg-neutral-50 border-t border-neutral-200">
               <p className="text-xs text-neutral-500 text-center">
@@ -4,7 +4,10 @@ import useAuth from "../../../hooks/useAuth";
 import { tenderService } from "../../../services/tenderService";
 import PageHeader from "../../../components/shared/PageHeader";
 import TenderStatusBadge from "../../../components/admin/TenderStatusBadge";
-import { FileText, Calendar, Building, Tag, DollarSign, Lock } from "lucide-react";
+import CorrigendaList from "../../../components/shared/CorrigendaList";
+import IssueCorrigendumModal from "./components/IssueCorrigendumModal";
+import ClarificationsPanel from "./components/ClarificationsPanel";
+import { FileText, Calendar, Building, Tag, DollarSign, Lock, FilePen } from "lucide-react";
 
 export default function TenderView() {
   const { tenderId } = useParams();
@@ -13,23 +16,64 @@ export default function TenderView() {
   const [tender, setTender] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [corrigenda, setCorrigenda] = useState([]);
+  const [showCorrigendumModal, setShowCorrigendumModal] = useState(false);
+  const [issuing, setIssuing] = useState(false);
+  const [issueError, setIssueError] = useState(null);
+  const [clarificationBoard, setClarificationBoard] = useState(null);
+  const [clarificationBusy, setClarificationBusy] = useState(false);
+  const [clarificationError, setClarificationError] = useState(null);
 
-  useEffect(() => {
-    async function loadTender() {
-      setLoading(true);
-      setError(null);
-      try {
-        const data = await tenderService.getTender(tenderId, token);
-        setTender(data);
-      } catch (err) {
-        setError(err.message || "Failed to load tender");
-      } finally {
-        setLoading(false);
+  async function loadTender() {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await tenderService.getTender(tenderId, token);
+      setTender(data);
+      if (data.status === "PUBLISHED") {
+        const { corrigenda } = await tenderService.listCorrigenda(tenderId, token);
+        setCorrigenda(corrigenda);
+        setClarificationBoard(await tenderService.listClarifications(tenderId, token));
       }
+    } catch (err) {
+      setError(err.message || "Failed to load tender");
+    } finally {
+      setLoading(false);
     }
+  }
+
+  useEffect(() => {
     if (token && tenderId) loadTender();
   }, [tenderId, token]);
 
+  const handleIssueCorrigendum = async (payload) => {
+    setIssuing(true);
+    setIssueError(null);
+    try {
+      await tenderService.issueCorrigendum(tenderId, payload, token);
+      setShowCorrigendumModal(false);
+      await loadTender();
+    } catch (err) {
+      setIssueError(err.message || "Failed to issue corrigendum");
+    } finally {
+      setIssuing(false);
+    }
+  };
+
+  const runClarificationAction = async (action) => {
+    setClarificationBusy(true);
+    setClarificationError(null);
+    try {
+      await action();
+      setClarificationBoard(await tenderService.listClarifications(tenderId, token));
+    } catch (err) {
+      setClarificationError(err.message || "Failed to update clarifications");
+      throw err;
+    } finally {
+      setClarificationBusy(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="px-6 py-6 mx-auto max-w-5xl">
@@ -69,16 +113,52 @@ export default function TenderView() {
         description="Tender Details (Read-Only)"
         actions={
           tender.status === "PUBLISHED" && (
-            <Link
-              to={`/admin/bid-evaluation/${tender.tender_id}`}
-              className="inline-flex items-center px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold shadow hover:bg-primary-700 transition-colors"
-            >
-              View Bids
-            </Link>
+            <div className="flex gap-2">
+              <button
+                onClick={() => {
+                  setIssueError(null);
+                  setShowCorrigendumModal(true);
+                }}
+                className="inline-flex items-center gap-2 px-4 py-2 rounded-md border border-neutral-300 bg-white text-neutral-700 text-sm font-semibold hover:bg-neutral-50 transition-colors"
+              >
+                <FilePen className="w-4 h-4" />
+                Issue Corrigendum
+              </button>
+              <Link
+                to={`/admin/bid-evaluation/${tender.tender_id}`}
+                className="inline-flex items-center px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold shadow hover:bg-primary-700 transition-colors"
+              >
+                View Bids
+              </Link>
+            </div>
           )
         }
       />
 
+      {corrigenda.length > 0 && (
+        <div className="bg-white border border-amber-200 rounded-lg px-6 py-4 mb-6">
+          <h3 className="text-xs uppercase tracking-wide font-semibold text-amber-700 mb-1">
+            Corrigenda ({corrigenda.length})
+          </h3>
+          <CorrigendaList corrigenda={corrigenda} />
+        </div>
+      )}
+
+      {clarificationBoard && (
+        <ClarificationsPanel
+          board={clarificationBoard}
+          deadline={tender.submission_deadline}
+          busy={clarificationBusy}
+          error={clarificationError}
+          onAnswer={(id, payload) =>
+            runClarificationAction(() => tenderService.answerClarification(id, payload, token))
+          }
+          onSetCutoff={(cutoff) =>
+            runClarificationAction(() => tenderService.setClarificationCutoff(tenderId, cutoff, token)).catch(() => {})
+          }
+        />
+      )}
+
       {/* Document Preview Card */}
       <div className="bg-white border border-neutral-200 rounded-lg overflow-hidden mb-6">
         {/* Header */}
@@ -239,6 +319,16 @@ export default function TenderView() {
           </Link>
         )}
       </div>
+
+      <IssueCorrigendumModal
+        key={corrigenda.length}
+        tender={tender}
+        isOpen={showCorrigendumModal}
+        onClose={() => setShowCorrigendumModal(false)}
+        onIssue={handleIssueCorrigendum}
+        busy={issuing}
+        error={issueError}
+      />
     </div>
   );
 }
@@ -0,0 +1,148 @@
+import { useState } from "react";
+import { MessageSquare, Lock, Globe } from "lucide-react";
+
+function AnswerForm({ clarification, busy, onAnswer }) {
+  const [answer, setAnswer] = useState(clarification.answer || "");
+  const [visibility, setVisibility] = useState(clarification.visibility || "PUBLIC");
+
+  return (
+    <div className="mt-3 space-y-2">
+      <textarea
+        value={answer}
+        onChange={(e) => setAnswer(e.target.value)}
+        rows={3}
+        placeholder="Answer"
+        className="w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4 text-xs text-neutral-700">
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="radio"
+              checked={visibility === "PUBLIC"}
+              onChange={() => setVisibility("PUBLIC")}
+              className="w-4 h-4"
+            />
+            Publish to all bidders (anonymised)
+          </label>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input
+              type="radio"
+              checked={visibility === "PRIVATE"}
+              onChange={() => setVisibility("PRIVATE")}
+              className="w-4 h-4"
+            />
+            Reply privately
+          </label>
+        </div>
+        <button
+          onClick={() => onAnswer(clarification.clarification_id, { answer, visibility })}
+          disabled={busy || !answer.trim()}
+          className="px-3 py-1.5 bg-primary-600 text-white text-xs font-medium rounded-lg hover:bg-primary-700 disabled:bg-neutral-300 transition-colors"
+        >
+          {clarification.answer ? "Update Answer" : "Send Answer"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Pre-bid clarification board for the issuing authority: answer questions
+ * and move the question cut-off
+ */
+export default function ClarificationsPanel({ board, deadline, busy, error, onAnswer, onSetCutoff }) {
+  const [editingId, setEditingId] = useState(null);
+  const [cutoff, setCutoff] = useState(board.cutoff ? board.cutoff.split("T")[0] : "");
+
+  const pending = board.clarifications.filter((c) => !c.answer).length;
+
+  return (
+    <div className="bg-white border border-neutral-200 rounded-lg px-6 py-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-xs uppercase tracking-wide font-semibold text-neutral-700 flex items-center gap-2">
+          <MessageSquare className="w-4 h-4" />
+          Pre-bid Clarifications ({board.clarifications.length})
+          {pending > 0 && (
+            <span className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-700 normal-case tracking-normal">
+              {pending} awaiting answer
+            </span>
+          )}
+        </h3>
+        <div className="flex items-center gap-2 text-xs text-neutral-600">
+          Questions close
+          <input
+            type="date"
+            value={cutoff}
+            max={deadline ? deadline.split("T")[0] : undefined}
+            onChange={(e) => setCutoff(e.target.value)}
+            className="px-2 py-1 border border-neutral-300 rounded text-xs"
+          />
+          <button
+            onClick={() => onSetCutoff(cutoff || null)}
+            disabled={busy}
+            className="px-2 py-1 border border-neutral-300 rounded hover:bg-neutral-50 disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="p-2 mb-3 bg-red-50 border border-red-200 rounded text-xs text-red-700">{error}</div>}
+
+      {board.clarifications.length === 0 ? (
+        <p className="text-sm text-neutral-500">No questions from bidders yet.</p>
+      ) : (
+        <ul className="divide-y divide-neutral-200">
+          {board.clarifications.map((c) => (
+            <li key={c.clarification_id} className="py-3">
+              <div className="flex items-center gap-2 text-xs text-neutral-500 mb-1">
+                <span className="px-2 py-0.5 bg-neutral-100 rounded">{c.section_title || "General"}</span>
+                <span>
+                  {c.organization_name}
+                  {c.asked_by_name && ` · ${c.asked_by_name}`} · {new Date(c.created_at).toLocaleDateString()}
+                </span>
+              </div>
+              <p className="text-sm font-medium text-neutral-900">Q: {c.question}</p>
+              {c.answer && editingId !== c.clarification_id && (
+                <div className="mt-2">
+                  <p className="text-sm text-neutral-700 whitespace-pre-wrap">
+                    <span className="font-medium">A:</span> {c.answer}
+                  </p>
+                  <div className="flex items-center gap-3 mt-1 text-xs text-neutral-500">
+                    {c.visibility === "PUBLIC" ? (
+                      <span className="flex items-center gap-1 text-green-700">
+                        <Globe className="w-3 h-3" /> Published
+                      </span>
+                    ) : (
+                      <span className="flex items-center gap-1 text-amber-700">
+                        <Lock className="w-3 h-3" /> Private
+                      </span>
+                    )}
+                    <span>
+                      {c.answered_by_name} · {new Date(c.answered_at).toLocaleDateString()}
+                    </span>
+                    <button onClick={() => setEditingId(c.clarification_id)} className="text-blue-600 hover:underline">
+                      Edit
+                    </button>
+                  </div>
+                </div>
+              )}
+              {(!c.answer || editingId === c.clarification_id) && (
+                <AnswerForm
+                  clarification={c}
+                  busy={busy}
+                  onAnswer={(id, payload) =>
+                    onAnswer(id, payload)
+                      .then(() => setEditingId(null))
+                      .catch(() => {}) // error is shown above the list
+                  }
+                />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
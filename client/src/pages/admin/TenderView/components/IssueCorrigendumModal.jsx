@@ -0,0 +1,156 @@
+import { useState } from "react";
+import { X } from "lucide-react";
+
+// datetime-local inputs need local time without seconds or zone
+const toLocalInput = (value) => {
+  if (!value) return "";
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * Issue a numbered corrigendum: optionally move the submission deadline
+ * and amend the title/text of any sections
+ */
+export default function IssueCorrigendumModal({ tender, isOpen, onClose, onIssue, busy, error }) {
+  const [title, setTitle] = useState("");
+  const [reason, setReason] = useState("");
+  const [deadline, setDeadline] = useState(toLocalInput(tender.submission_deadline));
+  const [edits, setEdits] = useState({});
+
+  if (!isOpen) return null;
+
+  const sections = tender.sections || [];
+
+  const toggleSection = (section) => {
+    const next = { ...edits };
+    if (next[section.section_id]) {
+      delete next[section.section_id];
+    } else {
+      next[section.section_id] = { title: section.title, content: section.content || "" };
+    }
+    setEdits(next);
+  };
+
+  const updateEdit = (sectionId, patch) =>
+    setEdits({ ...edits, [sectionId]: { ...edits[sectionId], ...patch } });
+
+  const deadlineChanged = deadline && deadline !== toLocalInput(tender.submission_deadline);
+
+  const handleSubmit = () => {
+    onIssue({
+      title,
+      reason,
+      submission_deadline: deadlineChanged ? new Date(deadline).toISOString() : undefined,
+      sections: Object.entries(edits).map(([section_id, edit]) => ({ section_id, ...edit })),
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b border-neutral-200 p-6 flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-neutral-900">Issue Corrigendum</h2>
+            <p className="text-sm text-neutral-500 mt-1">
+              Bidders who saved this tender or started a proposal will be notified of the changes
+            </p>
+          </div>
+          <button onClick={onClose} className="text-neutral-400 hover:text-neutral-600 transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-5">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-1">Title</label>
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder="e.g. Extension of bid due date"
+              className="w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-1">Reason</label>
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+              className="w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-neutral-700 mb-1">Submission Deadline</label>
+            <input
+              type="datetime-local"
+              value={deadline}
+              onChange={(e) => setDeadline(e.target.value)}
+              className="px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {deadlineChanged && <p className="text-xs text-amber-700 mt-1">The deadline will be changed</p>}
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-neutral-700 mb-2">Amend Sections</p>
+            <div className="space-y-3">
+              {sections.map((section) => {
+                const edit = edits[section.section_id];
+                return (
+                  <div key={section.section_id} className="border border-neutral-200 rounded-lg">
+                    <label className="flex items-center gap-2 px-4 py-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(edit)}
+                        onChange={() => toggleSection(section)}
+                        className="w-4 h-4"
+                      />
+                      <span className="text-sm text-neutral-900">{section.title}</span>
+                    </label>
+                    {edit && (
+                      <div className="px-4 pb-4 space-y-2">
+                        <input
+                          value={edit.title}
+                          onChange={(e) => updateEdit(section.section_id, { title: e.target.value })}
+                          className="w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <textarea
+                          value={edit.content}
+                          onChange={(e) => updateEdit(section.section_id, { content: e.target.value })}
+                          rows={6}
+                          className="w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </div>
+
+        <div className="sticky bottom-0 bg-white border-t border-neutral-200 p-6 flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-md border border-neutral-300 bg-white text-neutral-700 text-sm font-medium hover:bg-neutral-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={busy || !title.trim() || (!deadlineChanged && Object.keys(edits).length === 0)}
+            className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-medium hover:bg-primary-700 disabled:bg-neutral-300 transition-colors"
+          >
+            {busy ? "Issuing..." : "Issue Corrigendum"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,291 @@
+/**
+ * Assister Profile
+ * Directory profile bidders browse, engagement requests from bidders, and account security
+ */
+
+import { useEffect, useState } from 'react';
+import { Briefcase, Check, Handshake, Loader2, UserCircle, X } from 'lucide-react';
+import StarRating from '../../components/shared/StarRating';
+import SecuritySettings from '../admin/Settings/components/SecuritySettings';
+import TwoFactorSettings from '../admin/Settings/components/TwoFactorSettings';
+import SessionSettings from '../admin/Settings/components/SessionSettings';
+import NotificationSettings from '../admin/Settings/components/NotificationSettings';
+import {
+  assisterMarketplaceService,
+  ENGAGEMENT_STATUS_STYLES,
+} from '../../services/assisterMarketplaceService';
+
+const toForm = (profile) => ({
+  headline: profile.headline || '',
+  bio: profile.bio || '',
+  expertiseTags: profile.expertise_tags,
+  sectors: profile.sectors,
+  available: profile.available,
+});
+
+export default function AssisterProfile() {
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState(null);
+  const [options, setOptions] = useState({ expertiseTags: [], sectors: [] });
+  const [engagements, setEngagements] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [replies, setReplies] = useState({}); // engagementId -> reply text
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [myProfile, optionList, engagementList] = await Promise.all([
+          assisterMarketplaceService.getMyProfile(),
+          assisterMarketplaceService.getOptions(),
+          assisterMarketplaceService.getEngagements(),
+        ]);
+        setProfile(myProfile);
+        setForm(toForm(myProfile));
+        setOptions(optionList);
+        setEngagements(engagementList);
+      } catch (err) {
+        setError(err.response?.data?.error || 'Failed to load your profile');
+      }
+    };
+    load();
+  }, []);
+
+  const toggleInList = (key, value) =>
+    setForm((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter((item) => item !== value) : [...prev[key], value],
+    }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setMessage(null);
+    setError(null);
+    try {
+      const updated = await assisterMarketplaceService.updateMyProfile(form);
+      setProfile(updated);
+      setForm(toForm(updated));
+      setMessage('Profile saved');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEngagement = async (engagement, action) => {
+    if (action === 'complete' && !window.confirm(`End your engagement with ${engagement.organization_name}? You lose access to their proposal sections.`)) {
+      return;
+    }
+
+    setBusyId(engagement.engagement_id);
+    setError(null);
+    try {
+      const reply = replies[engagement.engagement_id];
+      if (action === 'accept') await assisterMarketplaceService.acceptEngagement(engagement.engagement_id, reply);
+      if (action === 'decline') await assisterMarketplaceService.declineEngagement(engagement.engagement_id, reply);
+      if (action === 'complete') await assisterMarketplaceService.completeEngagement(engagement.engagement_id);
+      setEngagements(await assisterMarketplaceService.getEngagements());
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update engagement');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!form) {
+    return (
+      <div className="flex justify-center py-16">
+        {error ? <p className="text-sm text-red-700">{error}</p> : <Loader2 className="w-6 h-6 text-primary-500 animate-spin" />}
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-slate-900">Profile</h1>
+        <p className="text-slate-600 mt-1">How bidders find you in the assister directory</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg px-4 py-3">{error}</div>
+      )}
+
+      {/* Engagement requests */}
+      <section className="bg-white border border-neutral-200 rounded-lg p-6">
+        <h3 className="text-base font-semibold text-neutral-900 mb-4 flex items-center gap-2">
+          <Handshake className="w-4 h-4" />
+          Engagements
+        </h3>
+        {engagements.length === 0 ? (
+          <p className="text-sm text-neutral-500">No requests yet. Bidders can find you in the directory.</p>
+        ) : (
+          <ul className="divide-y divide-neutral-100">
+            {engagements.map((engagement) => (
+              <li key={engagement.engagement_id} className="py-4 space-y-2">
+                <div className="flex items-start justify-between gap-4">
+                  <div>
+                    <p className="font-medium text-neutral-900">{engagement.organization_name}</p>
+                    <p className="text-xs text-neutral-500">
+                      {engagement.requested_by_name && `${engagement.requested_by_name} · `}
+                      {new Date(engagement.created_at).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${ENGAGEMENT_STATUS_STYLES[engagement.status]}`}>
+                    {engagement.status}
+                  </span>
+                </div>
+                {engagement.message && <p className="text-sm text-neutral-700">{engagement.message}</p>}
+                {engagement.review_rating && (
+                  <div className="flex items-center gap-2 text-sm text-neutral-600">
+                    <StarRating value={engagement.review_rating} />
+                    {engagement.review_comment}
+                  </div>
+                )}
+
+                {engagement.status === 'PENDING' && (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input
+                      type="text"
+                      value={replies[engagement.engagement_id] || ''}
+                      onChange={(e) => setReplies((prev) => ({ ...prev, [engagement.engagement_id]: e.target.value }))}
+                      placeholder="Optional reply"
+                      className="flex-1 min-w-[200px] px-3 py-1.5 border border-neutral-300 rounded-md text-sm"
+                    />
+                    <button
+                      onClick={() => handleEngagement(engagement, 'accept')}
+                      disabled={busyId === engagement.engagement_id}
+                      className="flex items-center gap-1 px-3 py-1.5 bg-primary-600 hover:bg-primary-700 disabled:opacity-60 text-white text-sm font-medium rounded-md"
+                    >
+                      <Check className="w-4 h-4" />
+                      Accept
+                    </button>
+                    <button
+                      onClick={() => handleEngagement(engagement, 'decline')}
+                      disabled={busyId === engagement.engagement_id}
+                      className="flex items-center gap-1 px-3 py-1.5 border border-neutral-300 hover:bg-neutral-50 disabled:opacity-60 text-neutral-700 text-sm font-medium rounded-md"
+                    >
+                      <X className="w-4 h-4" />
+                      Decline
+                    </button>
+                  </div>
+                )}
+                {engagement.status === 'ACCEPTED' && (
+                  <button
+                    onClick={() => handleEngagement(engagement, 'complete')}
+                    disabled={busyId === engagement.engagement_id}
+                    className="text-sm font-medium text-primary-600 hover:underline disabled:opacity-50"
+                  >
+                    Mark as completed
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {/* Directory profile */}
+      <form onSubmit={handleSave} className="bg-white border border-neutral-200 rounded-lg p-6 space-y-5">
+        <div className="flex items-start justify-between gap-4">
+          <h3 className="text-base font-semibold text-neutral-900 flex items-center gap-2">
+            <UserCircle className="w-4 h-4" />
+            Directory profile
+          </h3>
+          <div className="flex items-center gap-3 text-sm text-neutral-600">
+            <span className="flex items-center gap-1">
+              <StarRating value={profile.rating} />
+              {profile.rating ? `${profile.rating} (${profile.review_count})` : 'No reviews yet'}
+            </span>
+            <span className="flex items-center gap-1">
+              <Briefcase className="w-4 h-4" />
+              {profile.completed_engagements}
+            </span>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm text-neutral-600 mb-1">Headline</label>
+          <input
+            type="text"
+            maxLength={120}
+            value={form.headline}
+            onChange={(e) => setForm((prev) => ({ ...prev, headline: e.target.value }))}
+            placeholder="e.g. Bid writer for infrastructure tenders"
+            className="w-full px-3 py-2 border border-neutral-300 rounded-md"
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm text-neutral-600 mb-1">About you</label>
+          <textarea
+            rows={4}
+            maxLength={2000}
+            value={form.bio}
+            onChange={(e) => setForm((prev) => ({ ...prev, bio: e.target.value }))}
+            placeholder="Experience, past tenders, how you like to work"
+            className="w-full px-3 py-2 border border-neutral-300 rounded-md"
+          />
+        </div>
+
+        {[
+          { key: 'expertiseTags', label: 'Expertise', values: options.expertiseTags },
+          { key: 'sectors', label: 'Sectors', values: options.sectors },
+        ].map(({ key, label, values }) => (
+          <div key={key}>
+            <p className="text-sm text-neutral-600 mb-2">{label}</p>
+            <div className="flex flex-wrap gap-2">
+              {values.map((value) => {
+                const selected = form[key].includes(value);
+                return (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => toggleInList(key, value)}
+                    className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                      selected
+                        ? 'bg-primary-600 border-primary-600 text-white'
+                        : 'border-neutral-300 text-neutral-700 hover:border-primary-400'
+                    }`}
+                  >
+                    {value}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+
+        <label className="flex items-center gap-2 text-sm text-neutral-700">
+          <input
+            type="checkbox"
+            checked={form.available}
+            onChange={(e) => setForm((prev) => ({ ...prev, available: e.target.checked }))}
+            className="w-4 h-4 rounded border-neutral-300 text-primary-600 focus:ring-primary-500"
+          />
+          Taking new requests
+        </label>
+
+        <div className="flex items-center gap-3">
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700 disabled:bg-neutral-300"
+          >
+            {saving ? 'Saving...' : 'Save profile'}
+          </button>
+          {message && <span className="text-sm text-green-700">{message}</span>}
+        </div>
+      </form>
+
+      <NotificationSettings />
+      <SecuritySettings />
+      <TwoFactorSettings />
+      <SessionSettings />
+    </div>
+  );
+}
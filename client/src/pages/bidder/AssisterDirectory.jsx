@@ -0,0 +1,370 @@
+import { useEffect, useState } from "react";
+import { Briefcase, Handshake, Loader2, Search, UserSearch } from "lucide-react";
+import BidderLayout from "../../components/bidder-layout/BidderLayout";
+import AssisterProfileModal from "../../components/bidder/AssisterProfileModal";
+import StarRating from "../../components/shared/StarRating";
+import useAuth from "../../hooks/useAuth";
+import { assisterMarketplaceService, ENGAGEMENT_STATUS_STYLES } from "../../services/assisterMarketplaceService";
+import { SECTION_ASSIGNER_ROLES } from "../../utils/constants";
+
+const EMPTY_FILTERS = { q: "", tag: "", sector: "", minRating: "", available: false, sort: "rating" };
+
+const selectClass =
+  "px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500";
+
+/**
+ * Assister directory and the organization's engagements with assisters
+ */
+export default function AssisterDirectory() {
+  const { user } = useAuth();
+  const canManage = SECTION_ASSIGNER_ROLES.includes(user?.orgRole);
+  const [tab, setTab] = useState("directory");
+  const [options, setOptions] = useState({ expertiseTags: [], sectors: [] });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [assisters, setAssisters] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [engagements, setEngagements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openAssisterId, setOpenAssisterId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [reviewing, setReviewing] = useState(null); // { engagementId, rating, comment }
+
+  useEffect(() => {
+    assisterMarketplaceService.getOptions().then(setOptions).catch(() => {});
+    fetchEngagements();
+  }, []);
+
+  // Text search waits for a pause in typing
+  useEffect(() => {
+    const timer = setTimeout(fetchDirectory, filters.q ? 300 : 0);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters]);
+
+  const fetchDirectory = async () => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== "" && value !== false));
+      const result = await assisterMarketplaceService.getDirectory(params);
+      setAssisters(result.assisters);
+      setTotal(result.total);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load assisters");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchEngagements = async () => {
+    try {
+      setEngagements(await assisterMarketplaceService.getEngagements());
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load engagements");
+    }
+  };
+
+  const setFilter = (key, value) => setFilters((prev) => ({ ...prev, [key]: value }));
+
+  const runEngagementAction = async (engagement, action) => {
+    setBusyId(engagement.engagement_id);
+    setError(null);
+    try {
+      await action();
+      await Promise.all([fetchEngagements(), fetchDirectory()]);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update engagement");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancel = (engagement) =>
+    runEngagementAction(engagement, () => assisterMarketplaceService.cancelEngagement(engagement.engagement_id));
+
+  const handleComplete = (engagement) => {
+    if (!window.confirm(`End the engagement with ${engagement.assister_name}? They lose access to your proposal sections.`)) {
+      return;
+    }
+    runEngagementAction(engagement, () => assisterMarketplaceService.completeEngagement(engagement.engagement_id));
+  };
+
+  const handleSubmitReview = (e) => {
+    e.preventDefault();
+    const engagement = engagements.find((item) => item.engagement_id === reviewing.engagementId);
+    runEngagementAction(engagement, async () => {
+      await assisterMarketplaceService.reviewEngagement(reviewing.engagementId, {
+        rating: reviewing.rating,
+        comment: reviewing.comment,
+      });
+      setReviewing(null);
+    });
+  };
+
+  const openCount = engagements.filter((item) => ["PENDING", "ACCEPTED"].includes(item.status)).length;
+
+  return (
+    <BidderLayout>
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-neutral-900">Assisters</h1>
+          <p className="text-neutral-600 mt-1">
+            Find specialists to help with your proposals. Once they accept your request, assign them to sections.
+          </p>
+        </div>
+
+        <div className="flex gap-2 border-b border-neutral-200">
+          {[
+            { key: "directory", label: "Directory", icon: UserSearch },
+            { key: "engagements", label: `Engagements${openCount ? ` (${openCount})` : ""}`, icon: Handshake },
+          ].map(({ key, label, icon: Icon }) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 -mb-px ${
+                tab === key ? "border-primary-600 text-primary-700" : "border-transparent text-neutral-600 hover:text-neutral-900"
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg px-4 py-3">{error}</div>
+        )}
+
+        {tab === "directory" ? (
+          <>
+            <div className="bg-white border border-neutral-200 rounded-lg p-4 flex flex-wrap gap-3 items-center">
+              <div className="relative flex-1 min-w-[200px]">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-neutral-400" />
+                <input
+                  type="text"
+                  value={filters.q}
+                  onChange={(e) => setFilter("q", e.target.value)}
+                  placeholder="Search by name or expertise"
+                  className="w-full pl-9 pr-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+              <select value={filters.tag} onChange={(e) => setFilter("tag", e.target.value)} className={selectClass}>
+                <option value="">All expertise</option>
+                {options.expertiseTags.map((tag) => (
+                  <option key={tag} value={tag}>
+                    {tag}
+                  </option>
+                ))}
+              </select>
+              <select value={filters.sector} onChange={(e) => setFilter("sector", e.target.value)} className={selectClass}>
+                <option value="">All sectors</option>
+                {options.sectors.map((sector) => (
+                  <option key={sector} value={sector}>
+                    {sector}
+                  </option>
+                ))}
+              </select>
+              <select value={filters.minRating} onChange={(e) => setFilter("minRating", e.target.value)} className={selectClass}>
+                <option value="">Any rating</option>
+                {[4, 3, 2].map((rating) => (
+                  <option key={rating} value={rating}>
+                    {rating}+ stars
+                  </option>
+                ))}
+              </select>
+              <select value={filters.sort} onChange={(e) => setFilter("sort", e.target.value)} className={selectClass}>
+                <option value="rating">Top rated</option>
+                <option value="engagements">Most engagements</option>
+                <option value="name">Name</option>
+              </select>
+              <label className="flex items-center gap-2 text-sm text-neutral-700">
+                <input
+                  type="checkbox"
+                  checked={filters.available}
+                  onChange={(e) => setFilter("available", e.target.checked)}
+                  className="w-4 h-4 rounded border-neutral-300 text-primary-600 focus:ring-primary-500"
+                />
+                Available only
+              </label>
+            </div>
+
+            {loading ? (
+              <div className="flex justify-center py-16">
+                <Loader2 className="w-6 h-6 text-primary-500 animate-spin" />
+              </div>
+            ) : assisters.length === 0 ? (
+              <p className="text-center text-neutral-500 py-16">No assisters match these filters</p>
+            ) : (
+              <>
+                <p className="text-sm text-neutral-500">
+                  {total} assister{total === 1 ? "" : "s"}
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {assisters.map((assister) => (
+                    <button
+                      key={assister.user_id}
+                      onClick={() => setOpenAssisterId(assister.user_id)}
+                      className="text-left bg-white border border-neutral-200 rounded-lg p-5 hover:border-primary-400 hover:shadow-sm transition-all"
+                    >
+                      <div className="flex items-start justify-between gap-2">
+                        <div>
+                          <h3 className="font-semibold text-neutral-900">{assister.name}</h3>
+                          {assister.headline && <p className="text-sm text-neutral-600 mt-0.5">{assister.headline}</p>}
+                        </div>
+                        {assister.engagement_status && (
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium flex-shrink-0 ${ENGAGEMENT_STATUS_STYLES[assister.engagement_status]}`}>
+                            {assister.engagement_status === "PENDING" ? "Requested" : "Engaged"}
+                          </span>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-3 mt-3 text-xs text-neutral-600">
+                        <span className="flex items-center gap-1">
+                          <StarRating value={assister.rating} size="w-3.5 h-3.5" />
+                          {assister.rating ? `${assister.rating} (${assister.review_count})` : "New"}
+                        </span>
+                        <span className="flex items-center gap-1">
+                          <Briefcase className="w-3.5 h-3.5" />
+                          {assister.completed_engagements}
+                        </span>
+                        {!assister.available && <span className="text-amber-700">Unavailable</span>}
+                      </div>
+                      {assister.expertise_tags.length > 0 && (
+                        <div className="flex flex-wrap gap-1.5 mt-3">
+                          {assister.expertise_tags.slice(0, 4).map((tag) => (
+                            <span key={tag} className="px-2 py-0.5 bg-primary-50 text-primary-700 rounded text-xs">
+                              {tag}
+                            </span>
+                          ))}
+                          {assister.expertise_tags.length > 4 && (
+                            <span className="text-xs text-neutral-500">+{assister.expertise_tags.length - 4}</span>
+                          )}
+                        </div>
+                      )}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
+          </>
+        ) : (
+          <div className="bg-white border border-neutral-200 rounded-lg divide-y divide-neutral-100">
+            {engagements.length === 0 ? (
+              <p className="text-center text-neutral-500 py-12">
+                No engagements yet. Request an assister from the directory.
+              </p>
+            ) : (
+              engagements.map((engagement) => (
+                <div key={engagement.engagement_id} className="p-5 space-y-3">
+                  <div className="flex items-start justify-between gap-4">
+                    <div>
+                      <button
+                        onClick={() => setOpenAssisterId(engagement.assister_id)}
+                        className="font-semibold text-neutral-900 hover:text-primary-700"
+                      >
+                        {engagement.assister_name}
+                      </button>
+                      <p className="text-xs text-neutral-500 mt-0.5">
+                        {engagement.status === "ACCEPTED" && `${engagement.assister_email} · `}
+                        Requested by {engagement.requested_by_name || "a former member"} on{" "}
+                        {new Date(engagement.created_at).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium ${ENGAGEMENT_STATUS_STYLES[engagement.status]}`}>
+                      {engagement.status}
+                    </span>
+                  </div>
+
+                  {engagement.message && <p className="text-sm text-neutral-700">{engagement.message}</p>}
+                  {engagement.response_message && (
+                    <p className="text-sm text-neutral-600 italic">
+                      {engagement.assister_name}: {engagement.response_message}
+                    </p>
+                  )}
+
+                  {engagement.review_rating && (
+                    <div className="flex items-center gap-2 text-sm text-neutral-600">
+                      <StarRating value={engagement.review_rating} />
+                      {engagement.review_comment}
+                    </div>
+                  )}
+
+                  {canManage && (
+                    <div className="flex gap-3">
+                      {engagement.status === "PENDING" && (
+                        <button
+                          onClick={() => handleCancel(engagement)}
+                          disabled={busyId === engagement.engagement_id}
+                          className="text-sm font-medium text-neutral-600 hover:underline disabled:opacity-50"
+                        >
+                          Cancel request
+                        </button>
+                      )}
+                      {engagement.status === "ACCEPTED" && (
+                        <button
+                          onClick={() => handleComplete(engagement)}
+                          disabled={busyId === engagement.engagement_id}
+                          className="text-sm font-medium text-primary-600 hover:underline disabled:opacity-50"
+                        >
+                          Mark as completed
+                        </button>
+                      )}
+                      {engagement.status === "COMPLETED" && !engagement.review_rating && reviewing?.engagementId !== engagement.engagement_id && (
+                        <button
+                          onClick={() => setReviewing({ engagementId: engagement.engagement_id, rating: 0, comment: "" })}
+                          className="text-sm font-medium text-primary-600 hover:underline"
+                        >
+                          Leave a review
+                        </button>
+                      )}
+                    </div>
+                  )}
+
+                  {reviewing?.engagementId === engagement.engagement_id && (
+                    <form onSubmit={handleSubmitReview} className="border border-neutral-200 rounded-lg p-4 space-y-3">
+                      <StarRating
+                        value={reviewing.rating}
+                        size="w-5 h-5"
+                        onChange={(rating) => setReviewing((prev) => ({ ...prev, rating }))}
+                      />
+                      <textarea
+                        rows={3}
+                        value={reviewing.comment}
+                        onChange={(e) => setReviewing((prev) => ({ ...prev, comment: e.target.value }))}
+                        placeholder="How did the engagement go?"
+                        className="w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      />
+                      <div className="flex gap-3">
+                        <button
+                          type="submit"
+                          disabled={!reviewing.rating || busyId === engagement.engagement_id}
+                          className="px-4 py-2 bg-primary-600 hover:bg-primary-700 disabled:opacity-60 text-white text-sm font-medium rounded-lg"
+                        >
+                          Submit review
+                        </button>
+                        <button type="button" onClick={() => setReviewing(null)} className="text-sm text-neutral-600 hover:underline">
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+              ))
+            )}
+          </div>
+        )}
+      </div>
+
+      {openAssisterId && (
+        <AssisterProfileModal
+          assisterId={openAssisterId}
+          canRequest={canManage}
+          onClose={() => setOpenAssisterId(null)}
+          onRequested={() => {
+            fetchEngagements();
+            fetchDirectory();
+          }}
+        />
+      )}
+    </BidderLayout>
+  );
+}
@@ -0,0 +1,180 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { Scale, SlidersHorizontal } from "lucide-react";
+import BidderLayout from "../../components/bidder-layout/BidderLayout";
+import { bidDecisionService } from "../../services/bidder/bidDecisionService";
+
+const STATUS_FILTERS = [
+  { value: "", label: "All" },
+  { value: "PENDING_APPROVAL", label: "Awaiting approval" },
+  { value: "APPROVED", label: "Approved" },
+  { value: "REJECTED", label: "Rejected" },
+  { value: "DRAFT", label: "Draft" },
+];
+
+const STATUS_STYLES = {
+  DRAFT: "bg-neutral-100 text-neutral-700",
+  PENDING_APPROVAL: "bg-amber-100 text-amber-800",
+  APPROVED: "bg-green-100 text-green-800",
+  REJECTED: "bg-red-100 text-red-800",
+};
+
+/**
+ * Bid/no-bid decisions across tenders, with the organization's scorecard weights
+ */
+export default function BidDecisions() {
+  const [decisions, setDecisions] = useState([]);
+  const [status, setStatus] = useState("PENDING_APPROVAL");
+  const [scorecard, setScorecard] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    bidDecisionService
+      .getScorecard()
+      .then(setScorecard)
+      .catch((err) => setError(err.response?.data?.error || "Failed to load scorecard"));
+  }, []);
+
+  useEffect(() => {
+    bidDecisionService
+      .getDecisions(status ? { status } : {})
+      .then(setDecisions)
+      .catch((err) => setError(err.response?.data?.error || "Failed to load bid decisions"));
+  }, [status]);
+
+  const handleSaveScorecard = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setMessage(null);
+    try {
+      setScorecard(
+        await bidDecisionService.updateScorecard({
+          weights: scorecard.weights,
+          bid_threshold: scorecard.bid_threshold,
+        })
+      );
+      setMessage("Scorecard saved");
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to save scorecard");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const setWeight = (criterion, value) =>
+    setScorecard((prev) => ({ ...prev, weights: { ...prev.weights, [criterion]: Number(value) } }));
+
+  return (
+    <BidderLayout>
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-neutral-900">Bid Decisions</h1>
+          <p className="text-neutral-600 mt-1">Review bid/no-bid decisions before drafting starts</p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg px-4 py-3">{error}</div>
+        )}
+
+        {/* Decisions */}
+        <div className="bg-white border border-neutral-200 rounded-lg">
+          <div className="flex items-center justify-between px-5 py-3 border-b border-neutral-200">
+            <h2 className="text-sm font-semibold text-neutral-900">{decisions.length} decision(s)</h2>
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              className="px-3 py-1.5 border border-neutral-300 rounded-lg text-sm"
+            >
+              {STATUS_FILTERS.map((f) => (
+                <option key={f.value} value={f.value}>{f.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {decisions.length === 0 ? (
+            <div className="px-5 py-12 text-center text-neutral-500">
+              <Scale className="w-10 h-10 mx-auto mb-3 text-neutral-300" />
+              <p className="text-sm">No bid decisions here</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-neutral-100">
+              {decisions.map((d) => (
+                <li key={d.decision_id} className="px-5 py-3 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <Link
+                      to={`/bidder/tenders/${d.tender_id}/analyze`}
+                      className="text-sm font-medium text-neutral-900 hover:text-primary-600 truncate block"
+                    >
+                      {d.tender_title}
+                    </Link>
+                    <p className="text-xs text-neutral-500 mt-0.5">
+                      {d.total_score != null ? `${d.total_score}%` : "Not scored"}
+                      {d.decision && ` · ${d.decision.replace("_", "-")}`}
+                      {d.prepared_by_name && ` · by ${d.prepared_by_name}`}
+                      {d.submission_deadline && ` · closes ${new Date(d.submission_deadline).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium flex-shrink-0 ${STATUS_STYLES[d.status]}`}>
+                    {d.status.replace("_", " ")}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Scorecard */}
+        {scorecard && (
+          <form onSubmit={handleSaveScorecard} className="bg-white border border-neutral-200 rounded-lg p-5">
+            <h2 className="text-sm font-semibold text-neutral-900 mb-1 flex items-center gap-2">
+              <SlidersHorizontal className="w-4 h-4" />
+              Scorecard
+            </h2>
+            <p className="text-xs text-neutral-500 mb-4">
+              Relative weight of each criterion (0 to leave it out) and the score needed for a BID recommendation
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              {Object.entries(scorecard.criteria).map(([key, label]) => (
+                <label key={key} className="flex items-center justify-between gap-3 text-sm text-neutral-700">
+                  {label}
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={scorecard.weights[key] ?? 0}
+                    onChange={(e) => setWeight(key, e.target.value)}
+                    className="w-20 px-2 py-1 border border-neutral-300 rounded"
+                  />
+                </label>
+              ))}
+              <label className="flex items-center justify-between gap-3 text-sm font-medium text-neutral-900">
+                Bid threshold (%)
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={scorecard.bid_threshold}
+                  onChange={(e) => setScorecard((prev) => ({ ...prev, bid_threshold: Number(e.target.value) }))}
+                  className="w-20 px-2 py-1 border border-neutral-300 rounded"
+                />
+              </label>
+            </div>
+            <div className="flex items-center justify-end gap-3 mt-4">
+              {message && <span className="text-sm text-green-700">{message}</span>}
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-lg hover:bg-primary-700 disabled:bg-neutral-300 transition-colors"
+              >
+                {saving ? "Saving..." : "Save Scorecard"}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </BidderLayout>
+  );
+}
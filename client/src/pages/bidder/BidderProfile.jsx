@@ -1,5 +1,10 @@
 import BidderLayout from "../../components/bidder-layout/BidderLayout";
 import useAuth from "../../hooks/useAuth";
+import OrganizationSettings from "../admin/Settings/components/OrganizationSettings";
+import NotificationSettings from "../admin/Settings/components/NotificationSettings";
+import SecuritySettings from "../admin/Settings/components/SecuritySettings";
+import TwoFactorSettings from "../admin/Settings/components/TwoFactorSettings";
+import SessionSettings from "../admin/Settings/components/SessionSettings";
 
 export default function BidderProfile() {
   const { user, logout } = useAuth();
@@ -88,16 +93,6 @@ export default function BidderProfile() {
                 defaultValue={company}
               />
             </div>
-            <div>
-              <label className="block text-sm text-neutral-600 mb-1">
-                Change Password
-              </label>
-              <input
-                className="w-full px-3 py-2 border border-neutral-300 rounded-md"
-                type="password"
-                placeholder="New password"
-              />
-            </div>
           </div>
           <div className="mt-4">
             <button className="px-4 py-2 rounded-md bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700">
@@ -106,23 +101,25 @@ export default function BidderProfile() {
           </div>
         </section>
 
+        {/* Company Profile */}
+        <OrganizationSettings />
+
+        {/* Notifications */}
+        <NotificationSettings />
+
+        {/* Security */}
+        <SecuritySettings />
+        <TwoFactorSettings />
+
+        {/* Sessions */}
+        <SessionSettings />
+
         {/* Preferences */}
         <section className="bg-white border border-neutral-200 rounded-lg p-6">
           <h3 className="text-base font-semibold text-neutral-900 mb-4">
             Preferences
           </h3>
           <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            <div className="flex items-center gap-3">
-              <input
-                id="notify"
-                type="checkbox"
-                className="w-4 h-4"
-                defaultChecked
-              />
-              <label htmlFor="notify" className="text-sm text-neutral-700">
-                Email notifications for new tenders
-              </label>
-            </div>
             <div>
               <label className="block text-sm text-neutral-600 mb-1">
                 Language
@@ -17,21 +17,30 @@ import {
   ArrowUpRight,
   Shield
 } from 'lucide-react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import BidderLayout from '../../components/bidder-layout/BidderLayout';
 import StatsGrid from '../../components/bidder-discovery/StatsGrid';
 import SearchAndFilters from '../../components/bidder-discovery/SearchAndFilters';
 import TenderCard from '../../components/bidder-discovery/TenderCard';
 import { tenderService } from '../../services/bidder/tenderService';
+import { savedSearchService } from '../../services/bidder/savedSearchService';
 
 export default function BidderTenderDiscovery() {
   const navigate = useNavigate();
-  const [searchQuery, setSearchQuery] = useState('');
+  // Initial criteria can come from a saved search (/bidder/tenders?search=...&sector=...)
+  const [searchParams] = useSearchParams();
+  const [searchQuery, setSearchQuery] = useState(searchParams.get('search') || '');
   const [filters, setFilters] = useState({
-    industryDomain: '',
+    industryDomain: searchParams.get('sector') || '',
+    authority: searchParams.get('authority') || '',
+    minValue: searchParams.get('minValue') || '',
+    maxValue: searchParams.get('maxValue') || '',
+    minDaysToDeadline: searchParams.get('minDaysToDeadline') || '',
+    maxDaysToDeadline: searchParams.get('maxDaysToDeadline') || '',
     sortBy: 'publishedAt',
     sortOrder: 'desc'
   });
+  const [saveSearchMessage, setSaveSearchMessage] = useState(null);
   const [selectedView, setSelectedView] = useState('grid');
   const [tenders, setTenders] = useState([]);
   const [statistics, setStatistics] = useState(null);
@@ -108,6 +117,12 @@ export default function BidderTenderDiscovery() {
         limit: 12,
         search: searchQuery,
         industryDomain: filters.industryDomain,
+        sector: filters.industryDomain,
+        authority: filters.authority,
+        minValue: filters.minValue,
+        maxValue: filters.maxValue,
+        minDaysToDeadline: filters.minDaysToDeadline,
+        maxDaysToDeadline: filters.maxDaysToDeadline,
         sortBy: filters.sortBy,
         sortOrder: filters.sortOrder
       };
@@ -132,6 +147,27 @@ export default function BidderTenderDiscovery() {
     }
   };
 
+  const handleSaveSearch = async () => {
+    const name = window.prompt('Name this search', searchQuery || filters.industryDomain || 'My tender search');
+    if (!name) return;
+
+    try {
+      await savedSearchService.createSearch({
+        name,
+        keywords: searchQuery,
+        sector: filters.industryDomain,
+        authority: filters.authority,
+        min_value: filters.minValue,
+        max_value: filters.maxValue,
+        min_days_to_deadline: filters.minDaysToDeadline,
+        max_days_to_deadline: filters.maxDaysToDeadline,
+      });
+      setSaveSearchMessage({ type: 'success', text: `Saved "${name}". You'll be alerted when matching tenders are published.` });
+    } catch (err) {
+      setSaveSearchMessage({ type: 'error', text: err.response?.data?.error || 'Failed to save search' });
+    }
+  };
+
   const handleViewTender = (tender) => {
     // Handle uploaded tenders differently - navigate to PDF analysis view
     if (tender.isUploaded) {
@@ -432,8 +468,24 @@ export default function BidderTenderDiscovery() {
             setSearchQuery={setSearchQuery}
             filters={filters}
             setFilters={setFilters}
+            onSaveSearch={handleSaveSearch}
           />
 
+          {saveSearchMessage && (
+            <div
+              className={`mb-4 px-4 py-3 rounded-lg text-sm border flex items-center justify-between gap-3 ${
+                saveSearchMessage.type === 'success'
+                  ? 'bg-green-50 border-green-200 text-green-800'
+                  : 'bg-red-50 border-red-200 text-red-700'
+              }`}
+            >
+              <span>{saveSearchMessage.text}</span>
+              <button onClick={() => setSaveSearchMessage(null)}>
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+
           {error && (
             <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start gap-3">
               <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
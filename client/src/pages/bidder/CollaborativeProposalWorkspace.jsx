@@ -8,6 +8,9 @@
  * - AI-assisted drafting grounded in tender analysis
  * - Proposal validation against tender requirements
  * - Permission-based access control
+ * - Live presence, edit locks and collaborator updates (platform tenders)
+ * - Conflict-safe saves with a merge dialog when someone saved first (platform tenders)
+ * - Per-section revision history with diffs and restore (platform tenders)
  *
  * Routes:
  * - /bidder/proposal/:tenderId/collaborate (platform tenders)
@@ -29,6 +32,8 @@ import {
   Clock,
   Save,
   RefreshCw,
+  Scale,
+  Radio,
 } from 'lucide-react';
 
 // Layout
@@ -39,11 +44,14 @@ import Loading from '../../components/bidder-common/Loading';
 import { CollaborationProvider, useCollaboration } from '../../context/CollaborationContext';
 import CollaborativeProposalEditor from '../../components/proposal/CollaborativeProposalEditor';
 import ValidationResultsPanel from '../../components/proposal/ValidationResultsPanel';
+import SectionConflictModal from '../../components/proposal/SectionConflictModal';
+import VersionHistory from '../../components/proposal/VersionHistory';
 
 // Services
 import { tenderService } from '../../services/bidder/tenderService';
 import { proposalService } from '../../services/bidder/proposalService';
 import { pdfAnalysisService } from '../../services/bidder/pdfAnalysisService';
+import { bidDecisionService } from '../../services/bidder/bidDecisionService';
 
 /**
  * Section List Component for the sidebar
@@ -55,6 +63,7 @@ function SectionListPanel({
   sectionContents,
   assignments,
   isOwner,
+  presence,
 }) {
   const getSectionStatus = (section) => {
     const sectionId = section.section_id || section._id || section.id || section.key;
@@ -96,6 +105,7 @@ function SectionListPanel({
             (activeSection.section_id || activeSection._id || activeSection.id || activeSection.key) === sectionId;
           const status = getSectionStatus(section);
           const assignees = assignments[sectionId] || [];
+          const viewers = presence.filter((p) => p.section_id === sectionId);
 
           return (
             <button
@@ -134,6 +144,24 @@ function SectionListPanel({
                       {assignees.length}
                     </span>
                   )}
+
+                  {viewers.length > 0 && (
+                    <span
+                      className="flex -space-x-1"
+                      title={`Viewing now: ${viewers.map((v) => v.name).join(', ')}`}
+                    >
+                      {viewers.slice(0, 3).map((viewer) => (
+                        <span
+                          key={viewer.user_id}
+                          className={`w-4 h-4 rounded-full border border-white flex items-center justify-center text-[9px] font-medium text-white ${
+                            viewer.typing ? 'bg-green-500' : 'bg-indigo-400'
+                          }`}
+                        >
+                          {viewer.name?.charAt(0)?.toUpperCase()}
+                        </span>
+                      ))}
+                    </span>
+                  )}
                 </div>
               </div>
 
@@ -165,14 +193,24 @@ function WorkspaceContent({
   onSave,
   saving,
   lastSaved,
+  savedSections,
+  onDraftApplied,
+  onRestoreRevision,
 }) {
-  const { isOwner, assignments, loading: collaborationLoading } = useCollaboration();
+  const {
+    isOwner,
+    assignments,
+    loading: collaborationLoading,
+    connected,
+    presence,
+    canEditSection,
+  } = useCollaboration();
   const [showSidebar, setShowSidebar] = useState(true);
   const [showValidation, setShowValidation] = useState(false);
 
-  // Handle section content change
+  // Handle section content change (source is 'AI_DRAFT' when a generated draft was applied)
   const handleContentChange = useCallback(
-    (newContent) => {
+    (newContent, source) => {
       if (!activeSection) return;
       const sectionId =
         activeSection.section_id || activeSection._id || activeSection.id || activeSection.key;
@@ -180,8 +218,9 @@ function WorkspaceContent({
         ...prev,
         [sectionId]: newContent,
       }));
+      if (source === 'AI_DRAFT') onDraftApplied?.(sectionId);
     },
-    [activeSection, setSectionContents]
+    [activeSection, setSectionContents, onDraftApplied]
   );
 
   // Handle save
@@ -223,6 +262,7 @@ function WorkspaceContent({
             sectionContents={sectionContents}
             assignments={assignments}
             isOwner={isOwner}
+            presence={presence}
           />
         </div>
       )}
@@ -248,6 +288,41 @@ function WorkspaceContent({
           </div>
 
           <div className="flex items-center gap-2">
+            {/* Live channel status */}
+            {tenderType === 'platform' && (
+              <span
+                className={`flex items-center gap-1 px-2 text-xs font-medium ${
+                  connected ? 'text-green-600' : 'text-slate-400'
+                }`}
+                title={connected ? 'Receiving live updates from collaborators' : 'Reconnecting to live updates...'}
+              >
+                <Radio className="w-3.5 h-3.5" />
+                {connected ? 'Live' : 'Offline'}
+              </span>
+            )}
+
+            {/* Section revision history */}
+            {tenderType === 'platform' && activeSection && (
+              <VersionHistory
+                versions={[{
+                  version: proposal?.version || 1,
+                  status: proposal?.status || 'DRAFT',
+                  createdAt: proposal?.created_at || proposal?.createdAt,
+                  updatedAt: proposal?.updated_at || proposal?.updatedAt,
+                  isCurrent: true,
+                }]}
+                currentVersion={proposal?.version || 1}
+                proposalId={proposal?._id || proposal?.proposal_id}
+                sectionId={activeSectionId}
+                sectionTitle={activeSection.title}
+                canRestore={proposal?.status === 'DRAFT' && canEditSection(activeSectionId)}
+                hasUnsavedChanges={
+                  (sectionContents[activeSectionId] ?? '') !== (savedSections[activeSectionId]?.content ?? '')
+                }
+                onRestore={onRestoreRevision}
+              />
+            )}
+
             {/* Save button */}
             <button
               onClick={handleSave}
@@ -333,6 +408,7 @@ export default function CollaborativeProposalWorkspace() {
   // State
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [bidDecision, setBidDecision] = useState(undefined);
   const [tender, setTender] = useState(null);
   const [proposal, setProposal] = useState(null);
   const [sections, setSections] = useState([]);
@@ -340,6 +416,11 @@ export default function CollaborativeProposalWorkspace() {
   const [sectionContents, setSectionContents] = useState({});
   const [saving, setSaving] = useState(false);
   const [lastSaved, setLastSaved] = useState({});
+  // Last version of each section known to be on the server: { sectionId: { revision, content } }
+  const [savedSections, setSavedSections] = useState({});
+  const [conflict, setConflict] = useState(null);
+  // Sections whose unsaved content is an applied AI draft: { sectionId: 'AI_DRAFT' }
+  const draftSourcesRef = useRef({});
 
   // Auto-save timer ref
   const autoSaveTimers = useRef({});
@@ -357,6 +438,13 @@ export default function CollaborativeProposalWorkspace() {
           const tenderData = tenderRes.data?.data?.tender || tenderRes.data?.tender;
           setTender(tenderData);
 
+          // Collaborative drafting needs an approved BID decision
+          const decision = await bidDecisionService.getDecision(tenderId);
+          setBidDecision(decision);
+          if (decision?.status !== 'APPROVED' || decision.decision !== 'BID') {
+            return;
+          }
+
           // Load or create proposal
           let proposalData = null;
           try {
@@ -379,10 +467,14 @@ export default function CollaborativeProposalWorkspace() {
           // Load section contents from proposal
           if (proposalData?.sections) {
             const contents = {};
+            const saved = {};
             proposalData.sections.forEach((ps) => {
-              contents[ps.section_id || ps.sectionId] = ps.content || '';
+              const id = ps.section_id || ps.sectionId;
+              contents[id] = ps.content || '';
+              saved[id] = { revision: ps.revision || 0, content: ps.content || '' };
             });
             setSectionContents(contents);
+            setSavedSections(saved);
           }
 
           // Set first section as active
@@ -445,6 +537,52 @@ export default function CollaborativeProposalWorkspace() {
     };
   }, []);
 
+  const sectionContentsRef = useRef(sectionContents);
+  const savedSectionsRef = useRef(savedSections);
+  useEffect(() => {
+    sectionContentsRef.current = sectionContents;
+    savedSectionsRef.current = savedSections;
+  }, [sectionContents, savedSections]);
+
+  /**
+   * Save a platform section against the revision it was edited from.
+   * When someone saved first, opens the merge dialog instead.
+   * @returns {Promise<boolean>} whether the content was saved
+   */
+  const saveSectionRevision = useCallback(
+    async (sectionId, content, base) => {
+      const proposalId = proposal._id || proposal.proposal_id;
+      try {
+        const res = await proposalService.updateProposalSection(
+          proposalId,
+          sectionId,
+          content,
+          base.revision,
+          draftSourcesRef.current[sectionId]
+        );
+        delete draftSourcesRef.current[sectionId];
+        setSavedSections((prev) => ({
+          ...prev,
+          [sectionId]: { revision: res.data.revision, content: res.data.content },
+        }));
+        return true;
+      } catch (err) {
+        if (err.response?.status !== 409) throw err;
+
+        const section = sections.find((s) => (s.section_id || s._id || s.id) === sectionId);
+        setConflict({
+          sectionId,
+          sectionTitle: section?.title,
+          base: base.content,
+          mine: content,
+          current: err.response.data.current,
+        });
+        return false;
+      }
+    },
+    [proposal, sections]
+  );
+
   // Save section content
   const handleSave = useCallback(
     async (sectionId, content) => {
@@ -454,8 +592,8 @@ export default function CollaborativeProposalWorkspace() {
         setSaving(true);
 
         if (tenderType === 'platform') {
-          const proposalId = proposal._id || proposal.proposal_id;
-          await proposalService.updateProposalSection(proposalId, sectionId, content);
+          const base = savedSections[sectionId] || { revision: 0, content: '' };
+          if (!(await saveSectionRevision(sectionId, content, base))) return;
         } else {
           // For uploaded tenders, save to draft
           await pdfAnalysisService.saveProposalDraft(uploadedTenderId, {
@@ -473,9 +611,78 @@ export default function CollaborativeProposalWorkspace() {
         setSaving(false);
       }
     },
-    [proposal, tenderType, uploadedTenderId]
+    [proposal, tenderType, uploadedTenderId, savedSections, saveSectionRevision]
   );
 
+  // Save the version chosen in the merge dialog on top of the newer saved revision
+  const handleResolveConflict = useCallback(
+    async (content) => {
+      const { sectionId, current } = conflict;
+      try {
+        setSaving(true);
+        setConflict(null);
+        setSectionContents((prev) => ({ ...prev, [sectionId]: content }));
+        const saved = await saveSectionRevision(sectionId, content, {
+          revision: current.revision,
+          content: current.content,
+        });
+        if (saved) {
+          setLastSaved((prev) => ({ ...prev, [sectionId]: new Date() }));
+        }
+      } catch (err) {
+        console.error('[CollaborativeWorkspace] Save error:', err);
+      } finally {
+        setSaving(false);
+      }
+    },
+    [conflict, saveSectionRevision]
+  );
+
+  // Drop the local edit and take the version that was saved first
+  const handleDiscardConflict = useCallback(() => {
+    const { sectionId, current } = conflict;
+    setSectionContents((prev) => ({ ...prev, [sectionId]: current.content }));
+    setSavedSections((prev) => ({
+      ...prev,
+      [sectionId]: { revision: current.revision, content: current.content },
+    }));
+    setConflict(null);
+  }, [conflict]);
+
+  // The next save of a section with an applied AI draft is recorded as an AI draft revision
+  const handleDraftApplied = useCallback((sectionId) => {
+    draftSourcesRef.current[sectionId] = 'AI_DRAFT';
+  }, []);
+
+  // A restored revision is now the saved version of the section
+  const handleRestoreRevision = useCallback((response) => {
+    const sectionId = response.section_id;
+    delete draftSourcesRef.current[sectionId];
+    setSectionContents((prev) => ({ ...prev, [sectionId]: response.content }));
+    setSavedSections((prev) => ({
+      ...prev,
+      [sectionId]: { revision: response.revision, content: response.content },
+    }));
+    setLastSaved((prev) => ({ ...prev, [sectionId]: new Date() }));
+  }, []);
+
+  // A collaborator saved a section: show their content unless there are unsaved
+  // local edits, which the next save merges with theirs
+  const handleRemoteSectionUpdate = useCallback(({ sectionId, content, revision }) => {
+    const saved = savedSectionsRef.current[sectionId];
+    const local = sectionContentsRef.current[sectionId] ?? '';
+    if (local !== (saved?.content ?? '')) return;
+
+    setSectionContents((prev) => ({
+      ...prev,
+      [sectionId]: content,
+    }));
+    setSavedSections((prev) => ({
+      ...prev,
+      [sectionId]: { revision, content },
+    }));
+  }, []);
+
   // Handle back navigation
   const handleBack = () => {
     if (tenderType === 'platform') {
@@ -515,6 +722,40 @@ export default function CollaborativeProposalWorkspace() {
     );
   }
 
+  // Bid decision gate (platform tenders only)
+  if (tenderType === 'platform' && (bidDecision?.status !== 'APPROVED' || bidDecision.decision !== 'BID')) {
+    const gateMessage =
+      bidDecision?.status === 'APPROVED'
+        ? 'Management approved a NO-BID decision for this tender.'
+        : bidDecision?.status === 'PENDING_APPROVAL'
+          ? 'The bid decision for this tender is awaiting approval.'
+          : 'Complete the bid/no-bid scorecard and get it approved before your team starts drafting.';
+
+    return (
+      <BidderLayout>
+        <div className="flex flex-col items-center justify-center h-screen text-center px-4">
+          <Scale className="w-12 h-12 text-slate-400 mb-4" />
+          <p className="text-lg font-medium text-slate-900 mb-2">Bid approval required</p>
+          <p className="text-slate-600 mb-4 max-w-md">{gateMessage}</p>
+          <div className="flex gap-3">
+            <button
+              onClick={handleBack}
+              className="px-4 py-2 border border-slate-300 rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              Go Back
+            </button>
+            <button
+              onClick={() => navigate(`/bidder/tenders/${tenderId}/analyze`)}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              Open Bid Decision
+            </button>
+          </div>
+        </div>
+      </BidderLayout>
+    );
+  }
+
   const tenderTitle =
     tender?.title || tender?.tenderTitle || tender?.metadata?.title || 'Untitled Tender';
 
@@ -523,6 +764,7 @@ export default function CollaborativeProposalWorkspace() {
       proposalId={tenderType === 'platform' ? (proposal?._id || proposal?.proposal_id) : null}
       uploadedTenderId={tenderType === 'uploaded' ? uploadedTenderId : null}
       tenderType={tenderType}
+      onSectionUpdated={handleRemoteSectionUpdate}
     >
       <BidderLayout>
         <div className="flex flex-col h-screen bg-slate-50">
@@ -589,8 +831,21 @@ export default function CollaborativeProposalWorkspace() {
             onSave={handleSave}
             saving={saving}
             lastSaved={lastSaved}
+            savedSections={savedSections}
+            onDraftApplied={handleDraftApplied}
+            onRestoreRevision={handleRestoreRevision}
           />
         </div>
+
+        {conflict && (
+          <SectionConflictModal
+            conflict={conflict}
+            onResolve={handleResolveConflict}
+            onDiscard={handleDiscardConflict}
+            onClose={() => setConflict(null)}
+            saving={saving}
+          />
+        )}
       </BidderLayout>
     </CollaborationProvider>
   );
@@ -6,6 +6,8 @@ import PageHeader from "../../../components/shared/PageHeader";
 import ActiveProposals from "./components/ActiveProposals";
 import SavedTenders from "./components/SavedTenders";
 import RecentlyViewed from "./components/RecentlyViewed";
+import TenderAmendments from "./components/TenderAmendments";
+import ExpiringDocuments from "./components/ExpiringDocuments";
 import { DashboardInsights, NewsWidget } from "../../../components/insights";
 
 export default function Dashboard() {
@@ -67,6 +69,8 @@ export default function Dashboard() {
         {/* Overview Tab */}
         {activeTab === 'overview' && (
           <div className="space-y-8">
+            <TenderAmendments />
+            <ExpiringDocuments />
             <ActiveProposals />
             <SavedTenders />
             <RecentlyViewed />
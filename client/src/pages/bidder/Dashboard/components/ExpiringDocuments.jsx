@@ -0,0 +1,56 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { CalendarClock } from "lucide-react";
+import { documentVaultService } from "../../../../services/bidder/documentVaultService";
+
+/**
+ * Expiry reminders for vault documents that have expired or expire soon
+ */
+export default function ExpiringDocuments() {
+  const navigate = useNavigate();
+  const [documents, setDocuments] = useState([]);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, []);
+
+  const fetchDocuments = async () => {
+    try {
+      setDocuments(await documentVaultService.getExpiringDocuments());
+    } catch (err) {
+      console.error('Failed to fetch expiring documents:', err);
+    }
+  };
+
+  if (documents.length === 0) return null;
+
+  return (
+    <section className="bg-red-50 border border-red-200 rounded-lg p-5">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-neutral-900 flex items-center gap-2">
+          <CalendarClock className="w-5 h-5 text-red-600" />
+          Document Expiry Reminders
+        </h2>
+        <button
+          onClick={() => navigate('/bidder/documents')}
+          className="text-sm font-medium py-1.5 px-3 rounded-lg bg-white border border-red-300 text-red-800 hover:bg-red-100 transition-colors"
+        >
+          Open Vault
+        </button>
+      </div>
+      <ul className="divide-y divide-red-200">
+        {documents.map((doc) => (
+          <li key={doc.document_id} className="py-2 flex items-center justify-between gap-4">
+            <p className="text-sm text-neutral-900 truncate">
+              {doc.title}
+              <span className="text-neutral-500"> · {doc.category}</span>
+            </p>
+            <span className={`text-xs font-medium flex-shrink-0 ${doc.status === 'EXPIRED' ? 'text-red-700' : 'text-amber-700'}`}>
+              {doc.status === 'EXPIRED' ? 'Expired' : 'Expires'} {new Date(doc.valid_until).toLocaleDateString()}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
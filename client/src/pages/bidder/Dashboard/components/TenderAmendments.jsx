@@ -0,0 +1,80 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { FilePen, Check } from "lucide-react";
+import { tenderService } from "../../../../services/bidder/tenderService";
+
+/**
+ * Unread corrigendum notices for tenders the bidder is working on or has saved
+ */
+export default function TenderAmendments() {
+  const navigate = useNavigate();
+  const [notices, setNotices] = useState([]);
+
+  useEffect(() => {
+    fetchNotices();
+  }, []);
+
+  const fetchNotices = async () => {
+    try {
+      const response = await tenderService.getCorrigendumNotices({ unread: true });
+      setNotices(response.data?.data || []);
+    } catch (err) {
+      console.error('Failed to fetch corrigendum notices:', err);
+    }
+  };
+
+  const handleAcknowledge = async (corrigendumId) => {
+    try {
+      await tenderService.acknowledgeCorrigendum(corrigendumId);
+      setNotices(prev => prev.filter(n => n.corrigendum_id !== corrigendumId));
+    } catch (err) {
+      console.error('Failed to acknowledge corrigendum:', err);
+    }
+  };
+
+  if (notices.length === 0) return null;
+
+  return (
+    <section className="bg-amber-50 border border-amber-200 rounded-lg p-5">
+      <h2 className="text-lg font-semibold text-neutral-900 flex items-center gap-2 mb-3">
+        <FilePen className="w-5 h-5 text-amber-600" />
+        Tender Amendments
+        <span className="px-2 py-0.5 bg-amber-100 text-amber-700 rounded-full text-xs font-semibold">
+          {notices.length} new
+        </span>
+      </h2>
+      <ul className="divide-y divide-amber-200">
+        {notices.map((notice) => (
+          <li key={notice.corrigendum_id} className="py-3 flex items-start justify-between gap-4">
+            <div className="min-w-0">
+              <p className="text-sm font-medium text-neutral-900 truncate">{notice.tender_title}</p>
+              <p className="text-sm text-neutral-700">
+                Corrigendum #{notice.corrigendum_number}: {notice.title}
+                <span className="text-neutral-500"> · {notice.change_count} change(s)</span>
+              </p>
+              <p className="text-xs text-neutral-500 mt-0.5">
+                Issued {new Date(notice.issued_at).toLocaleDateString()}
+                {notice.submission_deadline && ` · Deadline ${new Date(notice.submission_deadline).toLocaleDateString()}`}
+              </p>
+            </div>
+            <div className="flex gap-2 flex-shrink-0">
+              <button
+                onClick={() => navigate(`/bidder/tenders/${notice.tender_id}/analyze`)}
+                className="text-sm font-medium py-1.5 px-3 rounded-lg bg-white border border-amber-300 text-amber-800 hover:bg-amber-100 transition-colors"
+              >
+                View Changes
+              </button>
+              <button
+                onClick={() => handleAcknowledge(notice.corrigendum_id)}
+                className="p-1.5 text-neutral-500 hover:text-green-600 hover:bg-green-50 rounded transition-colors"
+                title="Mark as read"
+              >
+                <Check className="w-4 h-4" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,315 @@
+import { useEffect, useState } from "react";
+import { Download, FolderLock, Pencil, Trash2, Upload } from "lucide-react";
+import BidderLayout from "../../components/bidder-layout/BidderLayout";
+import { documentVaultService, DOCUMENT_CATEGORIES } from "../../services/bidder/documentVaultService";
+
+const STATUS_STYLES = {
+  VALID: "bg-green-50 text-green-700 border-green-200",
+  EXPIRING: "bg-amber-50 text-amber-700 border-amber-200",
+  EXPIRED: "bg-red-50 text-red-700 border-red-200",
+};
+
+const EMPTY_UPLOAD = { file: null, title: "", category: "CERTIFICATE", valid_from: "", valid_until: "" };
+
+const toDateInput = (value) => (value ? String(value).slice(0, 10) : "");
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+/**
+ * Organization document vault: reusable supporting documents with validity tracking
+ */
+export default function DocumentVault() {
+  const [documents, setDocuments] = useState([]);
+  const [category, setCategory] = useState("");
+  const [upload, setUpload] = useState(EMPTY_UPLOAD);
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchDocuments();
+  }, [category]);
+
+  const fetchDocuments = async () => {
+    try {
+      setDocuments(await documentVaultService.getDocuments(category ? { category } : {}));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load documents");
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!upload.file) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      const { file, ...metadata } = upload;
+      await documentVaultService.uploadDocument(file, metadata);
+      setUpload(EMPTY_UPLOAD);
+      e.target.reset();
+      await fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to upload document");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await documentVaultService.updateDocument(editing.document_id, {
+        title: editing.title,
+        category: editing.category,
+        valid_from: editing.valid_from || null,
+        valid_until: editing.valid_until || null,
+      });
+      setEditing(null);
+      await fetchDocuments();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update document");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (doc) => {
+    if (!window.confirm(`Delete "${doc.title}" from the vault?`)) return;
+
+    setError(null);
+    try {
+      await documentVaultService.deleteDocument(doc.document_id);
+      setDocuments((prev) => prev.filter((d) => d.document_id !== doc.document_id));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to delete document");
+    }
+  };
+
+  const handleDownload = async (doc) => {
+    try {
+      await documentVaultService.downloadDocument(doc.document_id, doc.file_name);
+    } catch (err) {
+      setError("Failed to download document");
+    }
+  };
+
+  return (
+    <BidderLayout>
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-neutral-900">Document Vault</h1>
+          <p className="text-neutral-600 mt-1">
+            Certificates, financial statements and registrations to attach to your proposals
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg px-4 py-3">{error}</div>
+        )}
+
+        {/* Upload */}
+        <form onSubmit={handleUpload} className="bg-white border border-neutral-200 rounded-lg p-5">
+          <h2 className="text-sm font-semibold text-neutral-900 mb-3 flex items-center gap-2">
+            <Upload className="w-4 h-4" />
+            Upload Document
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
+            <input
+              type="file"
+              accept="application/pdf,image/png,image/jpeg"
+              onChange={(e) => setUpload((prev) => ({ ...prev, file: e.target.files?.[0] || null }))}
+              className="md:col-span-2 text-sm"
+              required
+            />
+            <input
+              type="text"
+              placeholder="Title (defaults to file name)"
+              value={upload.title}
+              onChange={(e) => setUpload((prev) => ({ ...prev, title: e.target.value }))}
+              className="px-3 py-2 border border-neutral-300 rounded-lg text-sm"
+            />
+            <select
+              value={upload.category}
+              onChange={(e) => setUpload((prev) => ({ ...prev, category: e.target.value }))}
+              className="px-3 py-2 border border-neutral-300 rounded-lg text-sm"
+            >
+              {DOCUMENT_CATEGORIES.map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={busy || !upload.file}
+              className="px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-lg hover:bg-primary-700 disabled:bg-neutral-300 transition-colors"
+            >
+              {busy ? "Uploading..." : "Upload"}
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-4 mt-3 text-sm text-neutral-600">
+            <label className="flex items-center gap-2">
+              Valid from
+              <input
+                type="date"
+                value={upload.valid_from}
+                onChange={(e) => setUpload((prev) => ({ ...prev, valid_from: e.target.value }))}
+                className="px-2 py-1 border border-neutral-300 rounded"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Valid until
+              <input
+                type="date"
+                value={upload.valid_until}
+                onChange={(e) => setUpload((prev) => ({ ...prev, valid_until: e.target.value }))}
+                className="px-2 py-1 border border-neutral-300 rounded"
+              />
+            </label>
+            <span className="text-xs text-neutral-400 self-center">PDF, PNG or JPEG up to 10MB</span>
+          </div>
+        </form>
+
+        {/* Documents */}
+        <div className="bg-white border border-neutral-200 rounded-lg">
+          <div className="flex items-center justify-between px-5 py-3 border-b border-neutral-200">
+            <h2 className="text-sm font-semibold text-neutral-900">{documents.length} document(s)</h2>
+            <select
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="px-3 py-1.5 border border-neutral-300 rounded-lg text-sm"
+            >
+              <option value="">All categories</option>
+              {DOCUMENT_CATEGORIES.map((c) => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+          </div>
+
+          {documents.length === 0 ? (
+            <div className="px-5 py-12 text-center text-neutral-500">
+              <FolderLock className="w-10 h-10 mx-auto mb-3 text-neutral-300" />
+              <p className="text-sm">No documents in the vault yet</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-neutral-100">
+              {documents.map((doc) => (
+                <li key={doc.document_id} className="px-5 py-3 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <p className="text-sm font-medium text-neutral-900 truncate">{doc.title}</p>
+                      <span className={`px-2 py-0.5 text-xs border rounded-full ${STATUS_STYLES[doc.status]}`}>
+                        {doc.status}
+                      </span>
+                    </div>
+                    <p className="text-xs text-neutral-500 mt-0.5">
+                      {doc.category} · {doc.file_name} · {formatSize(doc.file_size)}
+                      {doc.valid_until && ` · Valid until ${new Date(doc.valid_until).toLocaleDateString("en-IN")}`}
+                      {doc.attachment_count > 0 && ` · Attached to ${doc.attachment_count} section(s)`}
+                    </p>
+                  </div>
+                  <div className="flex gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => handleDownload(doc)}
+                      className="p-1.5 text-neutral-500 hover:text-primary-600 hover:bg-primary-50 rounded transition-colors"
+                      title="Download"
+                    >
+                      <Download className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() =>
+                        setEditing({
+                          ...doc,
+                          valid_from: toDateInput(doc.valid_from),
+                          valid_until: toDateInput(doc.valid_until),
+                        })
+                      }
+                      className="p-1.5 text-neutral-500 hover:text-primary-600 hover:bg-primary-50 rounded transition-colors"
+                      title="Edit"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(doc)}
+                      className="p-1.5 text-neutral-500 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Edit modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-md p-6 space-y-4">
+            <h3 className="text-lg font-semibold text-neutral-900">Edit Document</h3>
+            <label className="block text-sm text-neutral-700">
+              Title
+              <input
+                type="text"
+                value={editing.title}
+                onChange={(e) => setEditing((prev) => ({ ...prev, title: e.target.value }))}
+                className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm"
+              />
+            </label>
+            <label className="block text-sm text-neutral-700">
+              Category
+              <select
+                value={editing.category}
+                onChange={(e) => setEditing((prev) => ({ ...prev, category: e.target.value }))}
+                className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm"
+              >
+                {DOCUMENT_CATEGORIES.map((c) => (
+                  <option key={c} value={c}>{c}</option>
+                ))}
+              </select>
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              <label className="block text-sm text-neutral-700">
+                Valid from
+                <input
+                  type="date"
+                  value={editing.valid_from}
+                  onChange={(e) => setEditing((prev) => ({ ...prev, valid_from: e.target.value }))}
+                  className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm"
+                />
+              </label>
+              <label className="block text-sm text-neutral-700">
+                Valid until
+                <input
+                  type="date"
+                  value={editing.valid_until}
+                  onChange={(e) => setEditing((prev) => ({ ...prev, valid_until: e.target.value }))}
+                  className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm"
+                />
+              </label>
+            </div>
+            <div className="flex justify-end gap-2 pt-2">
+              <button
+                onClick={() => setEditing(null)}
+                className="px-4 py-2 text-sm text-neutral-700 border border-neutral-300 rounded-lg hover:bg-neutral-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveEdit}
+                disabled={busy || !editing.title.trim()}
+                className="px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-lg hover:bg-primary-700 disabled:bg-neutral-300"
+              >
+                {busy ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </BidderLayout>
+  );
+}
@@ -126,8 +126,15 @@ export default function PdfAnalyze() {
     try {
       // call backend to apply suggestion if endpoint exists
       await proposalService.applySuggestion(proposalId, suggestion.id || suggestion._id || suggestion.suggestionId);
-      // update section content on server
-      await proposalService.updateProposalSection(proposalId, suggestion.sectionId, suggestion.content);
+      // update section content on server; the user confirmed replacing it, so a 409 is
+      // retried on top of the stored revision it reports
+      try {
+        await proposalService.updateProposalSection(proposalId, suggestion.sectionId, suggestion.content, 0);
+      } catch (saveErr) {
+        if (saveErr.response?.status !== 409) throw saveErr;
+        const current = saveErr.response.data.current;
+        await proposalService.updateProposalSection(proposalId, suggestion.sectionId, suggestion.content, current.revision);
+      }
       // refresh suggestions list
       const sRes = await proposalService.getSuggestions(proposalId);
       setSuggestions(sRes.data?.suggestions || sRes.data || []);
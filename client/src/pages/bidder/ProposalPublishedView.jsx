@@ -5,12 +5,14 @@ import ProposalStatusBadge from '../../components/proposal/ProposalStatusBadge';
 import ExportButtons from '../../components/proposal/ExportButtons';
 import ExportModal from '../../components/proposal/ExportModal';
 import VersionHistory from '../../components/proposal/VersionHistory';
+import VersionCompareModal from '../../components/proposal/VersionCompareModal';
 import { ProposalThemeProvider } from '../../context/ProposalThemeContext';
 import ThemeToggle from '../../components/proposal/ThemeToggle';
 import Loading from '../../components/bidder-common/Loading';
 import { proposalService } from '../../services/bidder/proposalService';
 import proposalExportService from '../../services/bidder/proposalExportService';
-import { ArrowLeft, Lock, FileText, Calendar, Building, Download, Eye } from 'lucide-react';
+import proposalPublishService from '../../services/bidder/proposalPublishService';
+import { ArrowLeft, Lock, FileText, Calendar, Building, Download, Eye, GitCompare } from 'lucide-react';
 import '../../styles/proposal-theme.css';
 
 /**
@@ -34,6 +36,10 @@ export default function ProposalPublishedView() {
   const [showExportModal, setShowExportModal] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
 
+  // Version history: { proposalVersions, versionSnapshots } across the proposal's versions
+  const [versionHistory, setVersionHistory] = useState(null);
+  const [showCompare, setShowCompare] = useState(false);
+
   // Fetch proposal data
   useEffect(() => {
     const fetchProposal = async () => {
@@ -60,6 +66,46 @@ export default function ProposalPublishedView() {
     }
   }, [proposalId]);
 
+  // Fetch version history (other versions of this proposal and their snapshots)
+  useEffect(() => {
+    if (!proposalId) return;
+
+    proposalPublishService
+      .getVersionHistory(proposalId)
+      .then((res) => setVersionHistory(res.data))
+      .catch(() => setVersionHistory(null));
+  }, [proposalId]);
+
+  const versions = versionHistory?.proposalVersions?.length
+    ? versionHistory.proposalVersions.map(v => ({
+        version: v.version,
+        status: v.status,
+        createdAt: v.createdAt,
+        updatedAt: v.publishedAt || v.finalizedAt || v.createdAt,
+        proposalId: v.proposalId,
+        isCurrent: v.isCurrent
+      }))
+    : [
+        {
+          version: proposal?.version || 1,
+          status: proposal?.status || 'PUBLISHED',
+          createdAt: proposal?.createdAt,
+          updatedAt: proposal?.submittedAt || proposal?.updatedAt,
+          isCurrent: true
+        }
+      ];
+
+  // Version numbers with a snapshot, newest first
+  const snapshotVersions = [...new Set((versionHistory?.versionSnapshots || []).map(s => s.version_number))]
+    .sort((a, b) => b - a);
+
+  const handleVersionSelect = (versionNumber) => {
+    const target = versions.find(v => v.version === versionNumber);
+    if (target?.proposalId && target.proposalId !== proposalId) {
+      navigate(`/bidder/proposal/published/${target.proposalId}`);
+    }
+  };
+
   // Handle export
   const handleExport = async ({ format, template }) => {
     try {
@@ -136,18 +182,21 @@ export default function ProposalPublishedView() {
                   <ThemeToggle variant="icon" size="sm" />
 
                   <VersionHistory
-                    versions={[
-                      {
-                        version: proposal?.version || 1,
-                        status: proposal?.status || 'PUBLISHED',
-                        createdAt: proposal?.createdAt,
-                        updatedAt: proposal?.submittedAt || proposal?.updatedAt,
-                        isCurrent: true
-                      }
-                    ]}
+                    versions={versions}
                     currentVersion={proposal?.version || 1}
+                    onVersionSelect={handleVersionSelect}
                   />
 
+                  {snapshotVersions.length > 1 && (
+                    <button
+                      onClick={() => setShowCompare(true)}
+                      className="flex items-center gap-2 px-3 py-2 rounded-lg border border-slate-200 bg-white text-slate-700 text-sm font-medium hover:bg-slate-50 hover:border-slate-300 transition"
+                    >
+                      <GitCompare className="w-4 h-4" />
+                      Compare versions
+                    </button>
+                  )}
+
                   <ExportButtons
                     onExportPDF={handleQuickExportPDF}
                     onExportDOCX={handleQuickExportDOCX}
@@ -316,6 +365,15 @@ export default function ProposalPublishedView() {
           tender={tender}
           isExporting={isExporting}
         />
+
+        {showCompare && (
+          <VersionCompareModal
+            proposalId={proposalId}
+            versions={snapshotVersions}
+            fileBaseName={tender?.title?.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 30) || 'proposal'}
+            onClose={() => setShowCompare(false)}
+          />
+        )}
       </BidderLayout>
     </ProposalThemeProvider>
   );
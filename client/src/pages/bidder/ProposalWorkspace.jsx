@@ -5,6 +5,7 @@ import ProposalHeader from '../../components/proposal/ProposalHeader';
 import SectionList from '../../components/proposal/SectionList';
 import ProposalEditor from '../../components/proposal/ProposalEditor';
 import ProposalAIAdvisor from '../../components/proposal/ProposalAIAdvisor';
+import AIChatPanel from '../../components/shared/AIChat/AIChatPanel';
 import Loading from '../../components/bidder-common/Loading';
 import AssignAssisterModal from '../../components/bidder/AssignAssisterModal';
 
@@ -16,10 +17,12 @@ import ExportModal from '../../components/proposal/ExportModal';
 // import PublishWorkflow from '../../components/proposal/PublishWorkflow';
 import PublishConfirmModal from '../../components/proposal/PublishConfirmModal';
 import VersionHistory from '../../components/proposal/VersionHistory';
+import SectionAttachments from '../../components/proposal/SectionAttachments';
 import ThemeToggle from '../../components/proposal/ThemeToggle';
 import ShortcutsHelpModal from '../../components/proposal/ShortcutsHelpModal';
 import OfflineIndicator, { OfflineBanner } from '../../components/proposal/OfflineIndicator';
 import A11yAnnouncer from '../../components/proposal/A11yAnnouncer';
+import SectionConflictModal from '../../components/proposal/SectionConflictModal';
 
 // Hooks
 import useProposalShortcuts from '../../hooks/useProposalShortcuts';
@@ -30,6 +33,7 @@ import useA11yAnnounce from '../../hooks/useA11yAnnounce';
 import { tenderService } from '../../services/bidder/tenderService';
 import { proposalService } from '../../services/bidder/proposalService';
 import proposalExportService from '../../services/bidder/proposalExportService';
+import { mergeText } from '../../utils/textDiff';
 
 // Icons
 
@@ -59,10 +63,16 @@ export default function ProposalWorkspace() {
   const [savingStatus, setSavingStatus] = useState({});
   const [lastSaved, setLastSaved] = useState({});
   const autoSaveTimers = useRef({});
+  // Last version of each section known to be on the server: { sectionId: { revision, content } }.
+  // A ref so debounced saves always send the latest revision.
+  const savedSectionsRef = useRef({});
+  const [conflict, setConflict] = useState(null);
+  const conflictRef = useRef(null);
 
   // UI State
   const [showSidebar, setShowSidebar] = useState(true);
   const [showAIAdvisor, setShowAIAdvisor] = useState(true);
+  const [aiPanelTab, setAiPanelTab] = useState('advisor'); // 'advisor' | 'ask'
   const [fullscreenMode, setFullscreenMode] = useState(false);
   const [submitting, setSubmitting] = useState(false);
 
@@ -92,13 +102,9 @@ export default function ProposalWorkspace() {
   } = useOfflineProposal({
     proposalId: proposal?._id || proposal?.proposal_id,
     onSync: async (data) => {
-      // Sync to server when online
+      // Sync to server when online, against the revision the offline edit started from
       if (data.sectionId && data.content) {
-        await proposalService.updateProposalSection(
-          data.proposalId,
-          data.sectionId,
-          data.content
-        );
+        await syncOfflineSection(data);
       }
     }
   });
@@ -169,7 +175,9 @@ export default function ProposalWorkspace() {
         if (proposalData?.sections) {
           const contents = {};
           proposalData.sections.forEach(ps => {
-            contents[ps.section_id || ps.sectionId] = ps.content || '';
+            const id = ps.section_id || ps.sectionId;
+            contents[id] = ps.content || '';
+            savedSectionsRef.current[id] = { revision: ps.revision || 0, content: ps.content || '' };
           });
           setSectionContents(contents);
         }
@@ -205,6 +213,16 @@ export default function ProposalWorkspace() {
     announce(`Selected section: ${section.title || section.name}`);
   };
 
+  // Jump from a tender Q&A citation to the proposal section answering that tender section
+  const handleCitationClick = (citation) => {
+    const section = sections.find(s => (s._id || s.id || s.section_id) === citation.sectionId);
+    if (section) {
+      handleSelectSection(section);
+    } else {
+      announce('Cited text is from the tender overview, not a section');
+    }
+  };
+
   // Handle assign assister
   const handleOpenAssignAssisterModal = () => {
     if (activeSection) {
@@ -244,27 +262,73 @@ export default function ProposalWorkspace() {
 
     // Save to offline storage
     if (!isOnline) {
+      const base = savedSectionsRef.current[sectionId] || { revision: 0, content: '' };
       saveOffline({
         tenderId,
         proposalId: proposal._id || proposal.proposal_id,
         sectionId,
-        content: value
+        content: value,
+        baseRevision: base.revision,
+        baseContent: base.content
       });
     }
   };
 
+  const openConflict = (value) => {
+    conflictRef.current = value;
+    setConflict(value);
+  };
+
+  /**
+   * Save against a base revision and remember the new one.
+   * Rejects with a 409 response when someone saved first.
+   */
+  const saveRevision = async (proposalId, sectionId, content, baseRevision) => {
+    const res = await proposalService.updateProposalSection(proposalId, sectionId, content, baseRevision);
+    savedSectionsRef.current[sectionId] = { revision: res.data.revision, content: res.data.content };
+    return res.data;
+  };
+
+  /**
+   * Replay an offline edit. If the section changed meanwhile, a clean merge is
+   * saved directly; overlapping changes open the merge dialog.
+   */
+  const syncOfflineSection = async (data) => {
+    const base = { revision: data.baseRevision ?? 0, content: data.baseContent ?? '' };
+    try {
+      await saveRevision(data.proposalId, data.sectionId, data.content, base.revision);
+    } catch (err) {
+      if (err.response?.status !== 409) throw err;
+
+      const current = err.response.data.current;
+      const merge = mergeText(base.content, data.content, current.content);
+      if (merge.conflicts > 0) {
+        const section = sections.find(s => (s._id || s.id || s.section_id) === data.sectionId);
+        openConflict({ sectionId: data.sectionId, sectionTitle: section?.title, base: base.content, mine: data.content, current });
+        return;
+      }
+
+      const merged = merge.chunks.map(chunk => chunk.text).join('');
+      await saveRevision(data.proposalId, data.sectionId, merged, current.revision);
+      setSectionContents(prev => ({ ...prev, [data.sectionId]: merged }));
+    }
+  };
+
   // Save section content
   const saveSection = async (sectionId, content) => {
-    if (!proposal || proposal.status !== 'DRAFT') {
+    // Wait for the merge dialog instead of retrying against a stale revision
+    if (!proposal || proposal.status !== 'DRAFT' || conflictRef.current?.sectionId === sectionId) {
       setSavingStatus(prev => ({ ...prev, [sectionId]: null }));
       return;
     }
 
+    const base = savedSectionsRef.current[sectionId] || { revision: 0, content: '' };
+
     try {
       setSavingStatus(prev => ({ ...prev, [sectionId]: 'saving' }));
 
       const proposalId = proposal._id || proposal.proposal_id;
-      await proposalService.updateProposalSection(proposalId, sectionId, content);
+      await saveRevision(proposalId, sectionId, content, base.revision);
 
       setLastSaved(prev => ({ ...prev, [sectionId]: new Date() }));
       setSavingStatus(prev => ({ ...prev, [sectionId]: 'saved' }));
@@ -274,12 +338,46 @@ export default function ProposalWorkspace() {
         setSavingStatus(prev => ({ ...prev, [sectionId]: null }));
       }, 2000);
     } catch (err) {
-      console.error('Failed to save section:', err);
       setSavingStatus(prev => ({ ...prev, [sectionId]: null }));
+      if (err.response?.status === 409) {
+        const section = sections.find(s => (s._id || s.id || s.section_id) === sectionId);
+        openConflict({ sectionId, sectionTitle: section?.title, base: base.content, mine: content, current: err.response.data.current });
+        announce('This section was changed by someone else. Review the changes to continue.', 'assertive');
+        return;
+      }
+      console.error('Failed to save section:', err);
       announce('Failed to save changes', 'assertive');
     }
   };
 
+  // Save the version chosen in the merge dialog on top of the newer saved revision
+  const handleResolveConflict = async (content) => {
+    const { sectionId, current } = conflict;
+    openConflict(null);
+    setSectionContents(prev => ({ ...prev, [sectionId]: content }));
+    savedSectionsRef.current[sectionId] = { revision: current.revision, content: current.content };
+    await saveSection(sectionId, content);
+  };
+
+  // Drop the local edit and take the version that was saved first
+  const handleDiscardConflict = () => {
+    const { sectionId, current } = conflict;
+    savedSectionsRef.current[sectionId] = { revision: current.revision, content: current.content };
+    setSectionContents(prev => ({ ...prev, [sectionId]: current.content }));
+    openConflict(null);
+  };
+
+  // A section revision was restored: it is now the saved version, so drop any pending autosave
+  const handleRestoreRevision = (response) => {
+    const sectionId = response.section_id;
+    clearTimeout(autoSaveTimers.current[sectionId]);
+    savedSectionsRef.current[sectionId] = { revision: response.revision, content: response.content };
+    setSectionContents(prev => ({ ...prev, [sectionId]: response.content }));
+    setSavingStatus(prev => ({ ...prev, [sectionId]: null }));
+    setLastSaved(prev => ({ ...prev, [sectionId]: new Date() }));
+    announce(`Restored revision ${response.revision}`);
+  };
+
   // Handle export
   const handleExport = async ({ format, template }) => {
     try {
@@ -460,6 +558,15 @@ export default function ProposalWorkspace() {
                   isCurrent: true
                 }]}
                 currentVersion={proposal?.version || 1}
+                proposalId={proposalId}
+                sectionId={activeSectionId}
+                sectionTitle={activeSection?.title}
+                canRestore={proposal?.status === 'DRAFT'}
+                hasUnsavedChanges={
+                  activeSectionId
+                    && (sectionContents[activeSectionId] ?? '') !== (savedSectionsRef.current[activeSectionId]?.content ?? '')
+                }
+                onRestore={handleRestoreRevision}
               />
 
               {/* Export Button */}
@@ -595,12 +702,47 @@ export default function ProposalWorkspace() {
                   <p>No section selected</p>
                 </div>
               )}
+              {activeSection && (
+                <SectionAttachments
+                  proposalId={proposalId}
+                  sectionId={activeSectionId}
+                  isReadOnly={proposal?.status !== 'DRAFT'}
+                />
+              )}
             </div>
 
             {/* Right: AI Advisor */}
             {showAIAdvisor && (
               <div className="w-80 lg:w-96 flex-shrink-0 border-l border-slate-200 flex flex-col">
-                {activeSection ? (
+                <div className="flex border-b border-slate-200 bg-white text-sm" role="tablist">
+                  {[
+                    { id: 'advisor', label: 'Section advisor' },
+                    { id: 'ask', label: 'Ask the tender' },
+                  ].map(tab => (
+                    <button
+                      key={tab.id}
+                      role="tab"
+                      aria-selected={aiPanelTab === tab.id}
+                      onClick={() => setAiPanelTab(tab.id)}
+                      className={`flex-1 px-3 py-2 font-medium border-b-2 transition-colors ${
+                        aiPanelTab === tab.id
+                          ? 'border-blue-600 text-blue-700'
+                          : 'border-transparent text-slate-500 hover:text-slate-700'
+                      }`}
+                    >
+                      {tab.label}
+                    </button>
+                  ))}
+                </div>
+                {/* Kept mounted while hidden so the conversation survives tab switches */}
+                <div className={aiPanelTab === 'ask' ? 'flex-1 min-h-0' : 'hidden'}>
+                  <AIChatPanel
+                    tenderId={tenderId}
+                    context={{ selectedSection: activeSection }}
+                    onCitationClick={handleCitationClick}
+                  />
+                </div>
+                {aiPanelTab === 'ask' ? null : activeSection ? (
                   <ProposalAIAdvisor
                     proposal={proposal}
                     section={activeSection}
@@ -691,6 +833,16 @@ export default function ProposalWorkspace() {
           proposalId={proposal?._id || proposal?.proposal_id}
           onAssignSuccess={handleAssignAssisterSuccess}
         />
+
+        {/* Save Conflict Modal */}
+        {conflict && (
+          <SectionConflictModal
+            conflict={conflict}
+            onResolve={handleResolveConflict}
+            onDiscard={handleDiscardConflict}
+            onClose={() => openConflict(null)}
+          />
+        )}
       </BidderLayout>
     </ProposalThemeProvider>
   );
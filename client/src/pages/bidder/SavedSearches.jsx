@@ -0,0 +1,303 @@
+import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { BellRing, Mail, Pencil, Play, Search, Trash2 } from "lucide-react";
+import BidderLayout from "../../components/bidder-layout/BidderLayout";
+import { savedSearchService, toDiscoveryParams } from "../../services/bidder/savedSearchService";
+
+const CRITERIA_FIELDS = [
+  { key: "keywords", label: "Keywords", type: "text" },
+  { key: "sector", label: "Sector", type: "text" },
+  { key: "authority", label: "Authority", type: "text" },
+  { key: "min_value", label: "Min value (₹)", type: "number" },
+  { key: "max_value", label: "Max value (₹)", type: "number" },
+  { key: "min_days_to_deadline", label: "At least N days left", type: "number" },
+  { key: "max_days_to_deadline", label: "Closing within N days", type: "number" },
+];
+
+const formatValue = (value) => `₹${Number(value).toLocaleString("en-IN")}`;
+
+const describeSearch = (search) => {
+  const parts = [];
+  if (search.keywords) parts.push(`"${search.keywords}"`);
+  if (search.sector) parts.push(search.sector);
+  if (search.authority) parts.push(`by ${search.authority}`);
+  if (search.min_value != null && search.max_value != null) {
+    parts.push(`${formatValue(search.min_value)} – ${formatValue(search.max_value)}`);
+  } else if (search.min_value != null) {
+    parts.push(`from ${formatValue(search.min_value)}`);
+  } else if (search.max_value != null) {
+    parts.push(`up to ${formatValue(search.max_value)}`);
+  }
+  if (search.min_days_to_deadline != null) parts.push(`${search.min_days_to_deadline}+ days left`);
+  if (search.max_days_to_deadline != null) parts.push(`closing within ${search.max_days_to_deadline} days`);
+  return parts.length > 0 ? parts.join(" · ") : "All published tenders";
+};
+
+/**
+ * Saved discovery searches with alert subscriptions, and the alerts they produced
+ */
+export default function SavedSearches() {
+  const navigate = useNavigate();
+  const [searches, setSearches] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSearches();
+    fetchAlerts();
+  }, []);
+
+  const fetchSearches = async () => {
+    try {
+      setSearches(await savedSearchService.getSearches());
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load saved searches");
+    }
+  };
+
+  const fetchAlerts = async () => {
+    try {
+      const result = await savedSearchService.getAlerts();
+      setAlerts(result.alerts);
+      setUnreadCount(result.unread_count);
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to load tender alerts");
+    }
+  };
+
+  const handleToggle = async (search, field) => {
+    setError(null);
+    try {
+      const updated = await savedSearchService.updateSearch(search.saved_search_id, { [field]: !search[field] });
+      setSearches((prev) => prev.map((s) => (s.saved_search_id === updated.saved_search_id ? { ...s, ...updated } : s)));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update saved search");
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const { saved_search_id, ...data } = editing;
+      await savedSearchService.updateSearch(saved_search_id, data);
+      setEditing(null);
+      await fetchSearches();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update saved search");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (search) => {
+    if (!window.confirm(`Delete the saved search "${search.name}" and its alerts?`)) return;
+
+    setError(null);
+    try {
+      await savedSearchService.deleteSearch(search.saved_search_id);
+      setSearches((prev) => prev.filter((s) => s.saved_search_id !== search.saved_search_id));
+      await fetchAlerts();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to delete saved search");
+    }
+  };
+
+  const handleRun = (search) => {
+    navigate(`/bidder/tenders?${new URLSearchParams(toDiscoveryParams(search))}`);
+  };
+
+  const handleOpenAlert = async (alert) => {
+    if (!alert.read_at) {
+      try {
+        await savedSearchService.markAlertsRead([alert.alert_id]);
+      } catch (err) {
+        console.error("Failed to mark alert as read:", err);
+      }
+    }
+    navigate(`/bidder/tenders/${alert.tender_id}/analyze`);
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await savedSearchService.markAlertsRead();
+      await fetchAlerts();
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to update alerts");
+    }
+  };
+
+  return (
+    <BidderLayout>
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-neutral-900">Saved Searches</h1>
+          <p className="text-neutral-600 mt-1">
+            Get alerted in-app and in a daily email digest when matching tenders are published
+          </p>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg px-4 py-3">{error}</div>
+        )}
+
+        {/* Searches */}
+        <div className="bg-white border border-neutral-200 rounded-lg">
+          <div className="px-5 py-3 border-b border-neutral-200">
+            <h2 className="text-sm font-semibold text-neutral-900">{searches.length} saved search(es)</h2>
+          </div>
+
+          {searches.length === 0 ? (
+            <div className="px-5 py-12 text-center text-neutral-500">
+              <Search className="w-10 h-10 mx-auto mb-3 text-neutral-300" />
+              <p className="text-sm">No saved searches yet. Use "Save Search" on Discover Tenders.</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-neutral-100">
+              {searches.map((search) => (
+                <li key={search.saved_search_id} className="px-5 py-3 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-neutral-900 truncate">
+                      {search.name}
+                      {search.unread_count > 0 && (
+                        <span className="ml-2 px-1.5 py-0.5 rounded bg-primary-100 text-primary-700 text-xs">
+                          {search.unread_count} new
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-neutral-500 mt-0.5 truncate">{describeSearch(search)}</p>
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => handleToggle(search, "alerts_enabled")}
+                      className={`p-2 rounded-lg ${search.alerts_enabled ? "text-primary-600 bg-primary-50" : "text-neutral-400 hover:bg-neutral-100"}`}
+                      title={search.alerts_enabled ? "Alerts on" : "Alerts off"}
+                    >
+                      <BellRing className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleToggle(search, "email_digest")}
+                      disabled={!search.alerts_enabled}
+                      className={`p-2 rounded-lg disabled:opacity-40 ${search.email_digest ? "text-primary-600 bg-primary-50" : "text-neutral-400 hover:bg-neutral-100"}`}
+                      title={search.email_digest ? "Daily email digest on" : "Daily email digest off"}
+                    >
+                      <Mail className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleRun(search)}
+                      className="p-2 rounded-lg text-neutral-600 hover:bg-neutral-100"
+                      title="Run search"
+                    >
+                      <Play className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setEditing({ ...search })}
+                      className="p-2 rounded-lg text-neutral-600 hover:bg-neutral-100"
+                      title="Edit"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(search)}
+                      className="p-2 rounded-lg text-red-600 hover:bg-red-50"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Alerts */}
+        <div className="bg-white border border-neutral-200 rounded-lg">
+          <div className="flex items-center justify-between px-5 py-3 border-b border-neutral-200">
+            <h2 className="text-sm font-semibold text-neutral-900">Tender alerts ({unreadCount} unread)</h2>
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-sm text-primary-600 hover:underline">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {alerts.length === 0 ? (
+            <div className="px-5 py-12 text-center text-neutral-500">
+              <BellRing className="w-10 h-10 mx-auto mb-3 text-neutral-300" />
+              <p className="text-sm">No alerts yet</p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-neutral-100">
+              {alerts.map((alert) => (
+                <li key={alert.alert_id}>
+                  <button
+                    onClick={() => handleOpenAlert(alert)}
+                    className={`w-full text-left px-5 py-3 hover:bg-neutral-50 ${alert.read_at ? "" : "bg-primary-50/40"}`}
+                  >
+                    <p className={`text-sm text-neutral-900 ${alert.read_at ? "" : "font-semibold"}`}>{alert.tender_title}</p>
+                    <p className="text-xs text-neutral-500 mt-0.5">
+                      {alert.search_name}
+                      {alert.estimated_value && ` · ${formatValue(alert.estimated_value)}`}
+                      {alert.submission_deadline && ` · closes ${new Date(alert.submission_deadline).toLocaleDateString()}`}
+                      {` · matched ${new Date(alert.matched_at).toLocaleString()}`}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {editing && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg w-full max-w-lg p-6 space-y-3">
+            <h3 className="text-lg font-semibold text-neutral-900">Edit Saved Search</h3>
+            <label className="block text-sm text-neutral-700">
+              Name
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) => setEditing((prev) => ({ ...prev, name: e.target.value }))}
+                className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm"
+              />
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              {CRITERIA_FIELDS.map((field) => (
+                <label key={field.key} className={`block text-sm text-neutral-700 ${field.key === "keywords" ? "col-span-2" : ""}`}>
+                  {field.label}
+                  <input
+                    type={field.type}
+                    min={field.type === "number" ? "0" : undefined}
+                    value={editing[field.key] ?? ""}
+                    onChange={(e) => setEditing((prev) => ({ ...prev, [field.key]: e.target.value }))}
+                    className="mt-1 w-full px-3 py-2 border border-neutral-300 rounded-lg text-sm"
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end gap-2 pt-2">
+              <button
+                onClick={() => setEditing(null)}
+                className="px-4 py-2 text-sm border border-neutral-300 rounded-lg hover:bg-neutral-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveEdit}
+                disabled={busy}
+                className="px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-lg hover:bg-primary-700 disabled:bg-neutral-300"
+              >
+                {busy ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </BidderLayout>
+  );
+}
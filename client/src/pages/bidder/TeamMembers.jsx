@@ -0,0 +1,21 @@
+import BidderLayout from "../../components/bidder-layout/BidderLayout";
+import TeamMembersPanel from "../../components/shared/TeamMembersPanel";
+
+/**
+ * Members of the bidding organization, their roles and invitations
+ */
+export default function TeamMembers() {
+  return (
+    <BidderLayout>
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div>
+          <h1 className="text-2xl font-bold text-neutral-900">Team</h1>
+          <p className="text-neutral-600 mt-1">
+            Invite colleagues and choose who can approve bids, run proposals and edit sections
+          </p>
+        </div>
+        <TeamMembersPanel />
+      </div>
+    </BidderLayout>
+  );
+}
@@ -8,9 +8,14 @@ import OverviewTab from '../../components/tender-analysis/OverviewTab';
 import SectionsTab from '../../components/tender-analysis/SectionsTab';
 import InsightsTab from '../../components/tender-analysis/InsightsTab';
 import AIAssistant from '../../components/tender-analysis/AIAssistant';
+import CorrigendumBanner from '../../components/tender-analysis/CorrigendumBanner';
+import ClarificationsTab from '../../components/tender-analysis/ClarificationsTab';
+import EligibilityTab from '../../components/tender-analysis/EligibilityTab';
+import BidDecisionTab from '../../components/tender-analysis/BidDecisionTab';
 import { tenderService } from '../../services/bidder/tenderService';
 import { aiService } from '../../services/bidder/aiService';
 import { proposalService } from '../../services/bidder/proposalService';
+import useAIChat from '../../hooks/useAIChat';
 
 function TenderAnalysis() {
   const { id } = useParams();
@@ -26,15 +31,25 @@ function TenderAnalysis() {
   const [sections, setSections] = useState([]);
   const [aiInsights, setAiInsights] = useState(null);
   const [tenderSummary, setTenderSummary] = useState(null);
+  const [highlightedSectionId, setHighlightedSectionId] = useState(null);
+  const [corrigenda, setCorrigenda] = useState([]);
   
   // Chat State
-  const [chatMessages, setChatMessages] = useState([
-    {
-      role: 'assistant',
-      content: 'Hello! I\'m your private AI assistant. I can help you understand this tender, analyze requirements, assess your chances, and suggest strategies. What would you like to know?',
-      timestamp: new Date()
-    }
-  ]);
+  const {
+    messages: chatMessages,
+    setMessages: setChatMessages,
+    isStreaming: aiStreaming,
+    sendMessage: sendChatMessage,
+    cancel: cancelChat
+  } = useAIChat(id, {
+    initialMessages: [
+      {
+        role: 'assistant',
+        content: 'Hello! I\'m your private AI assistant. I can help you understand this tender, analyze requirements, assess your chances, and suggest strategies. What would you like to know?',
+        timestamp: new Date()
+      }
+    ]
+  });
   const [userInput, setUserInput] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
 
@@ -65,7 +80,7 @@ function TenderAnalysis() {
         return;
       }
 
-      const { tender: tenderData, sections: sectionsData } = response.data.data;
+      const { tender: tenderData, sections: sectionsData, evaluationCriteria } = response.data.data;
       
       if (!tenderData) {
         console.error('No tender data in response:', response.data);
@@ -94,6 +109,7 @@ function TenderAnalysis() {
           : 'N/A',
         proposalCount: stats.proposalCount || 0, // Real proposal count from DB
         description: tenderData.description,
+        evaluationCriteria: evaluationCriteria || [],
         // Additional statistics for display
         statistics: {
           wordCount: stats.wordCount || 0,
@@ -105,6 +121,7 @@ function TenderAnalysis() {
 
       // Transform sections with real complexity scores from backend
       const transformedSections = (sectionsData || []).map(section => ({
+        id: section._id,
         name: section.title || section.sectionTitle || section.sectionName,
         content: section.content || section.description || 'No content available',
         keyPoints: section.keyPoints || [],
@@ -117,6 +134,8 @@ function TenderAnalysis() {
       setSections(transformedSections);
       setExpandedSections([0]);
 
+      fetchCorrigenda();
+
       // Generate AI insights and fetch tender summary in parallel
       if (tenderData && transformedSections.length > 0) {
         generateAIInsights(tenderData, transformedSections);
@@ -130,6 +149,27 @@ function TenderAnalysis() {
     }
   };
 
+  const fetchCorrigenda = async () => {
+    try {
+      const response = await tenderService.getCorrigenda(id);
+      setCorrigenda(response.data?.data || []);
+    } catch (err) {
+      console.error('Error fetching corrigenda:', err);
+    }
+  };
+
+  const handleAcknowledgeCorrigenda = async (corrigendumIds) => {
+    try {
+      await Promise.all(corrigendumIds.map(cid => tenderService.acknowledgeCorrigendum(cid)));
+      const now = new Date().toISOString();
+      setCorrigenda(prev => prev.map(c =>
+        corrigendumIds.includes(c.corrigendum_id) ? { ...c, acknowledged_at: now } : c
+      ));
+    } catch (err) {
+      console.error('Error acknowledging corrigenda:', err);
+    }
+  };
+
   const generateAIInsights = async (tenderData, sectionsData) => {
     try {
       // Call AI to analyze tender
@@ -189,43 +229,34 @@ function TenderAnalysis() {
     }
   };
 
-  const handleAIQuestion = async (question) => {
+  const handleAIQuestion = (question) => {
     if (!question.trim()) return;
 
-    const newUserMessage = { role: 'user', content: question, timestamp: new Date() };
-    setChatMessages([...chatMessages, newUserMessage]);
     setUserInput('');
-    setAiLoading(true);
-
-    try {
-      // Use RAG-based tender chat with vector similarity search
-      const response = await aiService.tenderChat(id, question);
-
-      let aiResponse = 'Could not process your question at this time.';
+    // Answer streams in via RAG-based tender chat; keyword fallback if the request fails
+    sendChatMessage(question, { fallback: () => generateFallbackResponse(question) });
+  };
 
-      if (response.data && response.data.answer) {
-        aiResponse = response.data.answer;
-      }
+  // Jump from an AI citation to the tender section it was drawn from
+  const handleCitationClick = (citation) => {
+    const index = sections.findIndex(s => s.id && s.id === citation.sectionId);
 
-      setChatMessages(prev => [...prev, {
-        role: 'assistant',
-        content: aiResponse,
-        timestamp: new Date()
-      }]);
-    } catch (err) {
-      console.error('Error getting AI response:', err);
+    if (index === -1) {
+      // Chunk came from the tender title/description rather than a section
+      setActiveTab('overview');
+      return;
+    }
 
-      // Fallback response based on question keywords
-      let fallbackResponse = generateFallbackResponse(question);
+    setActiveTab('sections');
+    setExpandedSections(prev => (prev.includes(index) ? prev : [...prev, index]));
+    setHighlightedSectionId(citation.sectionId);
 
-      setChatMessages(prev => [...prev, {
-        role: 'assistant',
-        content: fallbackResponse,
-        timestamp: new Date()
-      }]);
-    } finally {
-      setAiLoading(false);
-    }
+    // Wait for the tab to render before scrolling
+    setTimeout(() => {
+      document
+        .getElementById(`tender-section-${citation.sectionId}`)
+        ?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }, 50);
   };
 
   const generateFallbackResponse = (question) => {
@@ -329,6 +360,8 @@ function TenderAnalysis() {
           {/* Left: Document View */}
           <div className="flex-1 overflow-y-auto p-4 sm:p-6 min-h-0">
             <div className="max-w-4xl mx-auto">
+              <CorrigendumBanner corrigenda={corrigenda} onAcknowledge={handleAcknowledgeCorrigenda} />
+
               <TabNavigation activeTab={activeTab} setActiveTab={setActiveTab} />
 
               {activeTab === 'overview' && (
@@ -340,9 +373,22 @@ function TenderAnalysis() {
                   sections={sections}
                   expandedSections={expandedSections}
                   toggleSection={toggleSection}
+                  highlightedSectionId={highlightedSectionId}
                 />
               )}
 
+              {activeTab === 'eligibility' && (
+                <EligibilityTab tenderId={id} />
+              )}
+
+              {activeTab === 'bid' && (
+                <BidDecisionTab tenderId={id} />
+              )}
+
+              {activeTab === 'clarifications' && (
+                <ClarificationsTab tenderId={id} sections={sections} />
+              )}
+
               {activeTab === 'insights' && (
                 <InsightsTab aiInsights={aiInsights} tenderSummary={tenderSummary} />
               )}
@@ -358,8 +404,11 @@ function TenderAnalysis() {
             handleAIQuestion={handleAIQuestion}
             chatMessages={chatMessages}
             aiLoading={aiLoading}
+            aiStreaming={aiStreaming}
+            onCancel={cancelChat}
             userInput={userInput}
             setUserInput={setUserInput}
+            onCitationClick={handleCitationClick}
           />
         </div>
       </div>
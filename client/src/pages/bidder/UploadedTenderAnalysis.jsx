@@ -24,8 +24,10 @@ import {
   X,
   Upload,
   Trash2,
+  ListChecks,
 } from 'lucide-react';
 import BidderLayout from '../../components/bidder-layout/BidderLayout';
+import EligibilityTab from '../../components/tender-analysis/EligibilityTab';
 import { pdfAnalysisService } from '../../services/bidder/pdfAnalysisService';
 import api from '../../services/bidder/api';
 
@@ -328,6 +330,13 @@ export default function UploadedTenderAnalysis() {
               >
                 Summary
               </TabButton>
+              <TabButton
+                active={activeTab === 'eligibility'}
+                onClick={() => setActiveTab('eligibility')}
+                icon={ListChecks}
+              >
+                Eligibility
+              </TabButton>
               <TabButton
                 active={activeTab === 'proposal'}
                 onClick={() => setActiveTab('proposal')}
@@ -597,6 +606,11 @@ export default function UploadedTenderAnalysis() {
             </div>
           )}
 
+          {/* Eligibility Tab */}
+          {activeTab === 'eligibility' && (
+            <EligibilityTab tenderId={id} isUploaded />
+          )}
+
           {/* Evaluation Tab */}
           {activeTab === 'evaluation' && (
             <div className="space-y-6">
@@ -0,0 +1,234 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useParams, Link } from "react-router-dom";
+import { Loader2, Users } from "lucide-react";
+import useAuth from "../../../hooks/useAuth";
+import { organizationService } from "../../../services/organizationService";
+import { ORG_ROLE_DESCRIPTIONS, ORG_ROLE_LABELS } from "../../../utils/constants";
+
+const homePath = (role) => (role === "authority" ? "/admin/dashboard" : "/bidder/dashboard");
+
+const inputClass =
+  "w-full px-4 py-3 bg-white/50 backdrop-blur-sm border border-neutral-300 rounded-lg text-neutral-900 placeholder-neutral-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all";
+
+/**
+ * Landing page of an emailed organization invitation (/invite/:token).
+ * New users create their account in the inviting organization; signed-in users
+ * (or users who sign in here) join it with their existing account.
+ */
+export default function AcceptInvitation() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { user, login, signup, logout, updateUser } = useAuth();
+
+  const [invitation, setInvitation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [mode, setMode] = useState("signup"); // 'signup' | 'login'
+  const [name, setName] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    organizationService
+      .getInvitation(token)
+      .then(setInvitation)
+      .catch((err) => setError(err.response?.data?.error || "This invitation link is not valid"))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const joinWithAccount = async () => {
+    const membership = await organizationService.acceptInvitation(token);
+    updateUser(membership);
+  };
+
+  const handleAccept = async () => {
+    setSubmitting(true);
+    setError("");
+    try {
+      await joinWithAccount();
+      navigate(homePath(user.role));
+    } catch (err) {
+      setError(err.response?.data?.error || "Failed to accept the invitation");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError("");
+    try {
+      if (mode === "signup") {
+        const created = await signup({ name, email: invitation.email, password, invitationToken: token });
+        navigate(homePath(created.role));
+      } else {
+        const signedIn = await login(invitation.email, password);
+        if (signedIn.twoFactorRequired) {
+          // The code step lives on the login page; come back to this link once signed in
+          setError("This account uses two-factor authentication. Sign in on the login page, then open this link again.");
+          return;
+        }
+        await joinWithAccount();
+        navigate(homePath(signedIn.role));
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || "Something went wrong");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 text-primary-500 animate-spin" />
+        </div>
+      );
+    }
+
+    if (!invitation) {
+      return (
+        <div className="text-center">
+          <p className="text-sm text-red-700">{error}</p>
+          <p className="mt-4 text-sm text-neutral-600">Ask the person who invited you to send a new invitation.</p>
+        </div>
+      );
+    }
+
+    const errorBox = error && (
+      <div className="p-3 bg-red-50/80 backdrop-blur-sm border border-red-200 rounded-lg">
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    );
+
+    // Already signed in: join with this account (or switch account)
+    if (user) {
+      const sameEmail = user.email?.toLowerCase() === invitation.email.toLowerCase();
+      return (
+        <div className="space-y-4">
+          {sameEmail ? (
+            <p className="text-sm text-neutral-600 text-center">
+              You are signed in as {user.email}. Joining moves your account to {invitation.organization_name}.
+            </p>
+          ) : (
+            <p className="text-sm text-amber-700 text-center">
+              This invitation was sent to {invitation.email}, but you are signed in as {user.email}.
+            </p>
+          )}
+          {errorBox}
+          {sameEmail ? (
+            <button
+              onClick={handleAccept}
+              disabled={submitting}
+              className="w-full px-6 py-3 rounded-lg bg-primary-600 text-white text-base font-semibold shadow-lg hover:bg-primary-700 transition-all disabled:opacity-50"
+            >
+              {submitting ? "Joining..." : `Join ${invitation.organization_name}`}
+            </button>
+          ) : (
+            <button
+              onClick={logout}
+              className="w-full px-6 py-3 rounded-lg border border-neutral-300 text-neutral-700 text-base font-semibold hover:bg-neutral-50 transition-all"
+            >
+              Sign out and continue
+            </button>
+          )}
+        </div>
+      );
+    }
+
+    return (
+      <form onSubmit={handleSubmit} className="space-y-5">
+        <div>
+          <label className="block text-sm font-medium text-neutral-700 mb-2">Email</label>
+          <input type="email" value={invitation.email} disabled className={`${inputClass} opacity-70`} />
+        </div>
+        {mode === "signup" && (
+          <div>
+            <label htmlFor="name" className="block text-sm font-medium text-neutral-700 mb-2">
+              Full name
+            </label>
+            <input
+              id="name"
+              required
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className={inputClass}
+              placeholder="Your name"
+            />
+          </div>
+        )}
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-neutral-700 mb-2">
+            Password
+          </label>
+          <input
+            id="password"
+            type="password"
+            required
+            minLength={mode === "signup" ? 6 : undefined}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className={inputClass}
+            placeholder={mode === "signup" ? "At least 6 characters" : "Enter your password"}
+          />
+        </div>
+        {errorBox}
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full px-6 py-3 rounded-lg bg-primary-600 text-white text-base font-semibold shadow-lg hover:bg-primary-700 hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {submitting ? "Please wait..." : mode === "signup" ? "Create account and join" : "Sign in and join"}
+        </button>
+        <p className="text-center text-sm text-neutral-600">
+          {mode === "signup" ? "Already have an account? " : "New to TenderFlow? "}
+          <button
+            type="button"
+            onClick={() => {
+              setMode(mode === "signup" ? "login" : "signup");
+              setError("");
+            }}
+            className="text-primary-600 font-medium hover:text-primary-700"
+          >
+            {mode === "signup" ? "Sign in instead" : "Create an account"}
+          </button>
+        </p>
+      </form>
+    );
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-primary-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="bg-white/70 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 overflow-hidden">
+          <div className="p-8">
+            <div className="text-center mb-8">
+              <div className="w-12 h-12 mx-auto mb-3 rounded-full bg-primary-100 flex items-center justify-center">
+                <Users className="w-6 h-6 text-primary-600" />
+              </div>
+              <h1 className="text-xl font-semibold text-neutral-900 mb-2">
+                {invitation ? `Join ${invitation.organization_name}` : "Organization invitation"}
+              </h1>
+              {invitation && (
+                <p className="text-sm text-neutral-600">
+                  {invitation.invited_by_name || "A member"} invited you as{" "}
+                  <span className="font-medium">{ORG_ROLE_LABELS[invitation.org_role]}</span>.{" "}
+                  {ORG_ROLE_DESCRIPTIONS[invitation.org_role]}.
+                </p>
+              )}
+            </div>
+            {renderBody()}
+          </div>
+        </div>
+
+        <div className="mt-4 text-center">
+          <Link to="/" className="text-sm text-neutral-600 hover:text-primary-600 transition-colors">
+            ← Back to Home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { authService } from "../../../services/authService";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsLoading(true);
+
+    try {
+      await authService.forgotPassword(email);
+      setSent(true);
+    } catch (err) {
+      setError(err.message || "Could not send the reset link");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-primary-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="bg-white/70 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 overflow-hidden">
+          <div className="p-8">
+            <div className="text-center mb-8">
+              <h1 className="text-2xl font-semibold text-primary-600 mb-2">
+                TenderFlow AI
+              </h1>
+              <h2 className="text-xl font-semibold text-neutral-900 mb-2">
+                Forgot your password?
+              </h2>
+              <p className="text-sm text-neutral-600">
+                Enter your account email and we'll send you a link to choose a new one
+              </p>
+            </div>
+
+            {sent ? (
+              <div className="p-4 bg-green-50/80 border border-green-200 rounded-lg">
+                <p className="text-sm text-green-800">
+                  If an account exists for {email}, a reset link is on its way. The link expires in one hour.
+                </p>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-5">
+                <div>
+                  <label
+                    htmlFor="email"
+                    className="block text-sm font-medium text-neutral-700 mb-2"
+                  >
+                    Email
+                  </label>
+                  <input
+                    id="email"
+                    type="email"
+                    required
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    className="w-full px-4 py-3 bg-white/50 backdrop-blur-sm border border-neutral-300 rounded-lg text-neutral-900 placeholder-neutral-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all"
+                    placeholder="you@example.com"
+                  />
+                </div>
+
+                {error && (
+                  <div className="p-3 bg-red-50/80 backdrop-blur-sm border border-red-200 rounded-lg">
+                    <p className="text-sm text-red-700">{error}</p>
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full px-6 py-3 rounded-lg bg-primary-600 text-white text-base font-semibold shadow-lg hover:bg-primary-700 hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isLoading ? "Sending..." : "Send reset link"}
+                </button>
+              </form>
+            )}
+
+            <p className="mt-6 text-center text-sm text-neutral-600">
+              Remembered it?{" "}
+              <Link
+                to="/login"
+                className="text-primary-600 font-medium hover:text-primary-700 transition-colors"
+              >
+                Back to login
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,21 +2,33 @@ import { useState } from "react";
 import { useNavigate, Link } from "react-router-dom";
 import useAuth from "../../../hooks/useAuth";
 
+const inputClass =
+  "w-full px-4 py-3 bg-white/50 backdrop-blur-sm border border-neutral-300 rounded-lg text-neutral-900 placeholder-neutral-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all";
+
 export default function Login() {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const [formData, setFormData] = useState({
     email: "",
     password: "",
   });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
+  // Set after a correct password when the account has two-factor enabled
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
     setError("");
   };
 
+  const goHome = (user) => {
+    const base = user.role === "authority" ? "/admin" : "/bidder";
+    // Members of organizations that require two-factor set it up first
+    navigate(user.twoFactorSetupRequired ? `${base}/profile` : `${base}/dashboard`);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
@@ -29,12 +41,12 @@ export default function Login() {
     }
 
     try {
-      const user = await login(formData.email, formData.password);
-      if (user.role === "authority") {
-        navigate("/admin/dashboard");
-      } else {
-        navigate("/bidder/dashboard");
+      const result = await login(formData.email, formData.password);
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+        return;
       }
+      goHome(result);
     } catch (err) {
       setError(err.message || "Login failed");
     } finally {
@@ -42,6 +54,32 @@ export default function Login() {
     }
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setIsLoading(true);
+
+    try {
+      const user = await completeTwoFactorLogin(challengeToken, code.trim());
+      goHome(user);
+    } catch (err) {
+      setError(err.message || "Verification failed");
+      // The challenge is short-lived; start over once it expires
+      if (err.message?.includes("expired")) {
+        setChallengeToken(null);
+        setCode("");
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleBack = () => {
+    setChallengeToken(null);
+    setCode("");
+    setError("");
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-primary-50 flex items-center justify-center p-4">
       <div className="w-full max-w-md">
@@ -55,72 +93,127 @@ export default function Login() {
                 Welcome back
               </h2>
               <p className="text-sm text-neutral-600">
-                Enter your credentials to access your account
+                {challengeToken
+                  ? "One more step to confirm it's you"
+                  : "Enter your credentials to access your account"}
               </p>
             </div>
 
-            <form onSubmit={handleSubmit} className="space-y-5">
-              <div>
-                <label
-                  htmlFor="email"
-                  className="block text-sm font-medium text-neutral-700 mb-2"
-                >
-                  Email
-                </label>
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  required
-                  value={formData.email}
-                  onChange={handleChange}
-                  className="w-full px-4 py-3 bg-white/50 backdrop-blur-sm border border-neutral-300 rounded-lg text-neutral-900 placeholder-neutral-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all"
-                  placeholder="you@example.com"
-                />
-              </div>
-
-              <div>
-                <label
-                  htmlFor="password"
-                  className="block text-sm font-medium text-neutral-700 mb-2"
+            {challengeToken ? (
+              <form onSubmit={handleCodeSubmit} className="space-y-5">
+                <div>
+                  <label
+                    htmlFor="code"
+                    className="block text-sm font-medium text-neutral-700 mb-2"
+                  >
+                    Authentication code
+                  </label>
+                  <input
+                    id="code"
+                    name="code"
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    autoFocus
+                    required
+                    value={code}
+                    onChange={(e) => {
+                      setCode(e.target.value);
+                      setError("");
+                    }}
+                    className={`${inputClass} tracking-widest`}
+                    placeholder="123456"
+                  />
+                  <p className="mt-2 text-xs text-neutral-500">
+                    Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                  </p>
+                </div>
+
+                {error && (
+                  <div className="p-3 bg-red-50/80 backdrop-blur-sm border border-red-200 rounded-lg">
+                    <p className="text-sm text-red-700">{error}</p>
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full px-6 py-3 rounded-lg bg-primary-600 text-white text-base font-semibold shadow-lg hover:bg-primary-700 hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  Password
-                </label>
-                <input
-                  id="password"
-                  name="password"
-                  type="password"
-                  required
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="w-full px-4 py-3 bg-white/50 backdrop-blur-sm border border-neutral-300 rounded-lg text-neutral-900 placeholder-neutral-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all"
-                  placeholder="Enter your password"
-                />
-              </div>
-
-              <div className="text-right">
-                <a
-                  href="#"
-                  className="text-sm text-primary-600 hover:text-primary-700 transition-colors"
+                  {isLoading ? "Verifying..." : "Verify"}
+                </button>
+                <button
+                  type="button"
+                  onClick={handleBack}
+                  className="w-full text-sm text-neutral-600 hover:text-primary-600 transition-colors"
                 >
-                  Forgot password?
-                </a>
-              </div>
+                  Use a different account
+                </button>
+              </form>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-5">
+                <div>
+                  <label
+                    htmlFor="email"
+                    className="block text-sm font-medium text-neutral-700 mb-2"
+                  >
+                    Email
+                  </label>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    required
+                    value={formData.email}
+                    onChange={handleChange}
+                    className={inputClass}
+                    placeholder="you@example.com"
+                  />
+                </div>
 
-              {error && (
-                <div className="p-3 bg-red-50/80 backdrop-blur-sm border border-red-200 rounded-lg">
-                  <p className="text-sm text-red-700">{error}</p>
+                <div>
+                  <label
+                    htmlFor="password"
+                    className="block text-sm font-medium text-neutral-700 mb-2"
+                  >
+                    Password
+                  </label>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    required
+                    value={formData.password}
+                    onChange={handleChange}
+                    className={inputClass}
+                    placeholder="Enter your password"
+                  />
                 </div>
-              )}
 
-              <button
-                type="submit"
-                disabled={isLoading}
-                className="w-full px-6 py-3 rounded-lg bg-primary-600 text-white text-base font-semibold shadow-lg hover:bg-primary-700 hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-              >
-                {isLoading ? "Logging in..." : "Login"}
-              </button>
-            </form>
+                <div className="text-right">
+                  <Link
+                    to="/forgot-password"
+                    className="text-sm text-primary-600 hover:text-primary-700 transition-colors"
+                  >
+                    Forgot password?
+                  </Link>
+                </div>
+
+                {error && (
+                  <div className="p-3 bg-red-50/80 backdrop-blur-sm border border-red-200 rounded-lg">
+                    <p className="text-sm text-red-700">{error}</p>
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full px-6 py-3 rounded-lg bg-primary-600 text-white text-base font-semibold shadow-lg hover:bg-primary-700 hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isLoading ? "Logging in..." : "Login"}
+                </button>
+              </form>
+            )}
 
             <p className="mt-6 text-center text-sm text-neutral-600">
               Don't have an account?{" "}
@@ -0,0 +1,139 @@
+import { useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { authService } from "../../../services/authService";
+
+export default function ResetPassword() {
+  const { token } = useParams();
+  const [formData, setFormData] = useState({ password: "", confirmPassword: "" });
+  const [isLoading, setIsLoading] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setError("");
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    setError("");
+    setIsLoading(true);
+    try {
+      await authService.resetPassword(token, formData.password);
+      setDone(true);
+    } catch (err) {
+      setError(err.message || "Could not reset the password");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClass =
+    "w-full px-4 py-3 bg-white/50 backdrop-blur-sm border border-neutral-300 rounded-lg text-neutral-900 placeholder-neutral-400 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent transition-all";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-primary-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="bg-white/70 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 overflow-hidden">
+          <div className="p-8">
+            <div className="text-center mb-8">
+              <h1 className="text-2xl font-semibold text-primary-600 mb-2">
+                TenderFlow AI
+              </h1>
+              <h2 className="text-xl font-semibold text-neutral-900 mb-2">
+                Choose a new password
+              </h2>
+            </div>
+
+            {done ? (
+              <div className="space-y-5">
+                <div className="p-4 bg-green-50/80 border border-green-200 rounded-lg">
+                  <p className="text-sm text-green-800">
+                    Your password has been changed and you have been signed out on all devices.
+                  </p>
+                </div>
+                <Link
+                  to="/login"
+                  className="block w-full px-6 py-3 rounded-lg bg-primary-600 text-white text-center text-base font-semibold shadow-lg hover:bg-primary-700 transition-all"
+                >
+                  Log in
+                </Link>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className="space-y-5">
+                <div>
+                  <label
+                    htmlFor="password"
+                    className="block text-sm font-medium text-neutral-700 mb-2"
+                  >
+                    New password
+                  </label>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    required
+                    minLength={6}
+                    value={formData.password}
+                    onChange={handleChange}
+                    className={inputClass}
+                    placeholder="At least 6 characters"
+                  />
+                </div>
+
+                <div>
+                  <label
+                    htmlFor="confirmPassword"
+                    className="block text-sm font-medium text-neutral-700 mb-2"
+                  >
+                    Confirm password
+                  </label>
+                  <input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type="password"
+                    required
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    className={inputClass}
+                    placeholder="Repeat the new password"
+                  />
+                </div>
+
+                {error && (
+                  <div className="p-3 bg-red-50/80 backdrop-blur-sm border border-red-200 rounded-lg">
+                    <p className="text-sm text-red-700">{error}</p>
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full px-6 py-3 rounded-lg bg-primary-600 text-white text-base font-semibold shadow-lg hover:bg-primary-700 hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isLoading ? "Saving..." : "Set new password"}
+                </button>
+
+                <p className="text-center text-sm text-neutral-600">
+                  Link expired?{" "}
+                  <Link
+                    to="/forgot-password"
+                    className="text-primary-600 font-medium hover:text-primary-700 transition-colors"
+                  >
+                    Request a new one
+                  </Link>
+                </p>
+              </form>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
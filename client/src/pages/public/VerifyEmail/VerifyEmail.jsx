@@ -0,0 +1,79 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Loader2 } from "lucide-react";
+import useAuth from "../../../hooks/useAuth";
+import { authService } from "../../../services/authService";
+
+export default function VerifyEmail() {
+  const { token } = useParams();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState("verifying"); // 'verifying' | 'verified' | 'failed'
+  const [error, setError] = useState("");
+  // Links are one-time; don't spend the token twice (StrictMode runs effects twice)
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    authService
+      .verifyEmail(token)
+      .then(() => setStatus("verified"))
+      .catch((err) => {
+        setError(err.message || "This link is not valid");
+        setStatus("failed");
+      });
+  }, [token]);
+
+  // Keep the stored user in step when the link is opened while signed in
+  useEffect(() => {
+    if (status === "verified" && user && !user.emailVerified) {
+      updateUser({ emailVerified: true });
+    }
+  }, [status, user, updateUser]);
+
+  const home = user ? (user.role === "authority" ? "/admin/profile" : "/bidder/profile") : "/login";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 via-white to-primary-50 flex items-center justify-center p-4">
+      <div className="w-full max-w-md">
+        <div className="bg-white/70 backdrop-blur-xl rounded-2xl shadow-2xl border border-white/20 overflow-hidden">
+          <div className="p-8 text-center">
+            <h1 className="text-2xl font-semibold text-primary-600 mb-6">
+              TenderFlow AI
+            </h1>
+
+            {status === "verifying" && (
+              <div className="flex items-center justify-center gap-2 text-sm text-neutral-600">
+                <Loader2 className="w-5 h-5 animate-spin text-primary-500" />
+                Confirming your email address...
+              </div>
+            )}
+
+            {status === "verified" && (
+              <p className="text-sm text-green-800">Your email address is confirmed.</p>
+            )}
+
+            {status === "failed" && (
+              <div className="space-y-2">
+                <p className="text-sm text-red-700">{error}</p>
+                <p className="text-sm text-neutral-600">
+                  Sign in and send a new link from your profile.
+                </p>
+              </div>
+            )}
+
+            {status !== "verifying" && (
+              <Link
+                to={home}
+                className="mt-6 inline-block px-6 py-3 rounded-lg bg-primary-600 text-white text-base font-semibold shadow-lg hover:bg-primary-700 transition-all"
+              >
+                {user ? "Go to your profile" : "Log in"}
+              </Link>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
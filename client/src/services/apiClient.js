@@ -1,28 +1,183 @@
 // Default to the backend server (5175) unless a VITE_API_URL override is provided.
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:5175/api';
 
-export async function apiRequest(path, { method = 'GET', body, token } = {}) {
-  const headers = { 'Content-Type': 'application/json' };
-  if (token) headers.Authorization = `Bearer ${token}`;
+// Auth endpoints that answer 401 for bad credentials rather than an expired access token
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/signup', '/auth/refresh', '/auth/logout'];
+
+let refreshPromise = null;
+
+export function clearSession() {
+  localStorage.removeItem('tms_token');
+  localStorage.removeItem('tms_refresh_token');
+  localStorage.removeItem('tms_user');
+}
+
+/**
+ * Exchange the stored refresh token for a new access/refresh token pair.
+ * Each refresh token works only once, so concurrent callers share one request and
+ * tabs take turns through a Web Lock: a tab that waited behind another one picks up
+ * the pair that tab stored instead of replaying the rotated token (which the server
+ * treats as theft and answers by revoking the session).
+ * Fires a `tms:token-refreshed` window event with the new access token.
+ * @returns {Promise<string>} the new access token
+ */
+export function refreshSession() {
+  if (!refreshPromise) {
+    const staleToken = localStorage.getItem('tms_refresh_token');
+    const run = () => exchangeRefreshToken(staleToken);
+    refreshPromise = (navigator.locks ? navigator.locks.request('tms-refresh-session', run) : run()).finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+async function exchangeRefreshToken(staleToken) {
+  const refreshToken = localStorage.getItem('tms_refresh_token');
+  if (!refreshToken) throw new Error('Not signed in');
+
+  // Another tab rotated the pair while this one waited for the lock
+  const storedAccessToken = localStorage.getItem('tms_token');
+  if (refreshToken !== staleToken && storedAccessToken) {
+    window.dispatchEvent(new CustomEvent('tms:token-refreshed', { detail: storedAccessToken }));
+    return storedAccessToken;
+  }
 
-  const res = await fetch(`${API_BASE}${path}`, {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : undefined,
+  const res = await fetch(`${API_BASE}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken }),
   });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(data.error || 'Session expired');
+    error.status = res.status;
+    throw error;
+  }
+
+  localStorage.setItem('tms_token', data.token);
+  localStorage.setItem('tms_refresh_token', data.refreshToken);
+  window.dispatchEvent(new CustomEvent('tms:token-refreshed', { detail: data.token }));
+  return data.token;
+}
+
+/**
+ * Stored access token, refreshed first when it expires within a minute
+ * (for connections that can't retry on 401, like WebSockets)
+ */
+export async function getFreshToken() {
+  const token = localStorage.getItem('tms_token');
+  if (!token) return null;
+
+  try {
+    const { exp } = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    if (exp * 1000 - Date.now() > 60000) return token;
+  } catch {
+    return token;
+  }
+  return refreshSession().catch(() => token);
+}
 
-  const contentType = res.headers.get('content-type') || '';
-  const isJson = contentType.includes('application/json');
-  const data = isJson ? await res.json() : await res.text();
+let stepUpPromise = null;
 
+/**
+ * Ask the user to confirm their identity before a sensitive action.
+ * Fires a `tms:step-up-required` window event ({ method, resolve, reject })
+ * that the StepUpDialog answers; concurrent callers share one prompt.
+ * @param {'totp'|'password'} method - what the server expects
+ */
+export function requestStepUp(method) {
+  if (!stepUpPromise) {
+    stepUpPromise = new Promise((resolve, reject) => {
+      window.dispatchEvent(new CustomEvent('tms:step-up-required', { detail: { method, resolve, reject } }));
+    }).finally(() => {
+      stepUpPromise = null;
+    });
+  }
+  return stepUpPromise;
+}
+
+const isStepUpRequired = (status, data) => status === 403 && data?.code === 'STEP_UP_REQUIRED';
+
+function endSession() {
+  clearSession();
+  window.location.href = '/login';
+}
+
+/**
+ * Retry requests that fail with 401 once after refreshing the session;
+ * sign out when the session can't be refreshed. Requests refused with
+ * STEP_UP_REQUIRED are retried once the user confirms their identity.
+ * @param {import('axios').AxiosInstance} instance
+ */
+export function installSessionRefresh(instance) {
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const config = error.config;
+      if (config && !config._steppedUp && isStepUpRequired(error.response?.status, error.response?.data)) {
+        await requestStepUp(error.response.data.method);
+        config._steppedUp = true;
+        return instance(config);
+      }
+
+      if (error.response?.status !== 401 || !config) {
+        return Promise.reject(error);
+      }
+
+      if (config._retried || NO_REFRESH_PATHS.some((path) => config.url?.startsWith(path))) {
+        endSession();
+        return Promise.reject(error);
+      }
+
+      try {
+        const token = await refreshSession();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return instance(config);
+      } catch {
+        endSession();
+        return Promise.reject(error);
+      }
+    }
+  );
+}
+
+export async function apiRequest(path, { method = 'GET', body, token } = {}) {
+  const send = async (accessToken) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (accessToken) headers.Authorization = `Bearer ${accessToken}`;
+
+    const res = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const contentType = res.headers.get('content-type') || '';
+    const isJson = contentType.includes('application/json');
+    const data = isJson ? await res.json() : await res.text();
+    return { res, isJson, data };
+  };
+
+  let result = await send(token);
+  if (result.res.status === 401 && token && !NO_REFRESH_PATHS.includes(path)) {
+    const refreshed = await refreshSession().catch(() => null);
+    if (refreshed) result = await send(refreshed);
+  }
+  if (isStepUpRequired(result.res.status, result.data)) {
+    await requestStepUp(result.data.method);
+    result = await send(localStorage.getItem('tms_token') || token);
+  }
+
+  const { res, isJson, data } = result;
   if (!res.ok) {
     const message = isJson ? data?.error || 'Request failed' : data;
     const error = new Error(message);
     error.status = res.status;
+    error.code = isJson ? data?.code : undefined;
     throw error;
   }
 
   return data;
 }
-
-
@@ -5,6 +5,7 @@
  */
 
 import axios from 'axios';
+import { installSessionRefresh } from '../apiClient';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5175/api';
 
@@ -29,18 +30,8 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('tms_token');
-      localStorage.removeItem('tms_user');
-      window.location.href = '/login';
-    }
-    return Promise.reject(error);
-  }
-);
+// Refresh the session and retry on 401; sign out when that fails
+installSessionRefresh(api);
 
 export const assisterService = {
   /**
@@ -70,10 +61,12 @@ export const assisterService = {
 
   /**
    * Update section content (if permission is EDIT)
+   * A stale baseRevision is rejected with 409 and the stored `current` response
    */
-  async updateSectionContent(proposalId, sectionId, content) {
+  async updateSectionContent(proposalId, sectionId, content, baseRevision) {
     const response = await api.put(`/assister/proposals/${proposalId}/sections/${sectionId}`, {
       content,
+      baseRevision,
     });
     return response.data?.data;
   },
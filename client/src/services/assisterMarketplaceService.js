@@ -0,0 +1,82 @@
+import api from './bidder/api';
+
+/**
+ * Assister marketplace: directory, assister profiles, engagements and reviews
+ */
+export const assisterMarketplaceService = {
+  // { expertiseTags, sectors }
+  getOptions: async () => {
+    const response = await api.get('/assisters/options');
+    return response.data;
+  },
+
+  // Bidders. params: { q, tag, sector, minRating, available, sort, limit, offset } -> { assisters, total }
+  getDirectory: async (params = {}) => {
+    const response = await api.get('/assisters', { params });
+    return response.data;
+  },
+
+  // Profile with latest reviews and the open engagement with the viewer's organization
+  getAssister: async (assisterId) => {
+    const response = await api.get(`/assisters/${assisterId}`);
+    return response.data.assister;
+  },
+
+  // Assisters: own directory profile
+  getMyProfile: async () => {
+    const response = await api.get('/assisters/me');
+    return response.data.assister;
+  },
+
+  // { headline, bio, expertiseTags[], sectors[], available }
+  updateMyProfile: async (data) => {
+    const response = await api.put('/assisters/me', data);
+    return response.data.assister;
+  },
+
+  // The organization's engagements (bidders) or the assister's own
+  getEngagements: async () => {
+    const response = await api.get('/assisters/engagements');
+    return response.data.engagements;
+  },
+
+  requestEngagement: async (assisterId, message) => {
+    const response = await api.post(`/assisters/${assisterId}/engagements`, { message });
+    return response.data.engagement;
+  },
+
+  acceptEngagement: async (engagementId, message) => {
+    const response = await api.post(`/assisters/engagements/${engagementId}/accept`, { message });
+    return response.data.engagement;
+  },
+
+  declineEngagement: async (engagementId, message) => {
+    const response = await api.post(`/assisters/engagements/${engagementId}/decline`, { message });
+    return response.data.engagement;
+  },
+
+  cancelEngagement: async (engagementId) => {
+    const response = await api.post(`/assisters/engagements/${engagementId}/cancel`);
+    return response.data.engagement;
+  },
+
+  // Ends an accepted engagement; the assister loses section access
+  completeEngagement: async (engagementId) => {
+    const response = await api.post(`/assisters/engagements/${engagementId}/complete`);
+    return response.data.engagement;
+  },
+
+  // { rating (1-5), comment }
+  reviewEngagement: async (engagementId, review) => {
+    const response = await api.post(`/assisters/engagements/${engagementId}/review`, review);
+    return response.data.review;
+  },
+};
+
+export const ENGAGEMENT_STATUS_STYLES = {
+  PENDING: 'bg-amber-100 text-amber-800',
+  ACCEPTED: 'bg-green-100 text-green-800',
+  DECLINED: 'bg-red-100 text-red-700',
+  CANCELLED: 'bg-neutral-100 text-neutral-600',
+  COMPLETED: 'bg-blue-100 text-blue-800',
+};
@@ -9,4 +9,61 @@ export const authService = {
 
   me: (token) =>
     apiRequest('/auth/me', { method: 'GET', token }),
+
+  // Ends the session on the server; the access token stops working too
+  logout: (refreshToken) =>
+    apiRequest('/auth/logout', { method: 'POST', body: { refreshToken } }),
+
+  // Active sessions of the signed-in user ({ sessions: [{ session_id, user_agent, ip_address, last_seen_at, current }] })
+  getSessions: (token) =>
+    apiRequest('/auth/sessions', { method: 'GET', token }),
+
+  revokeSession: (token, sessionId) =>
+    apiRequest(`/auth/sessions/${sessionId}`, { method: 'DELETE', token }),
+
+  // Sign out every other device
+  revokeOtherSessions: (token) =>
+    apiRequest('/auth/sessions', { method: 'DELETE', token }),
+
+  // Emails a reset link if the account exists (the response doesn't say)
+  forgotPassword: (email) =>
+    apiRequest('/auth/password/forgot', { method: 'POST', body: { email } }),
+
+  resetPassword: (resetToken, password) =>
+    apiRequest('/auth/password/reset', { method: 'POST', body: { token: resetToken, password } }),
+
+  // Signs out the user's other sessions ({ revokedSessions })
+  changePassword: (token, currentPassword, newPassword) =>
+    apiRequest('/auth/password', { method: 'PUT', token, body: { currentPassword, newPassword } }),
+
+  verifyEmail: (verificationToken) =>
+    apiRequest('/auth/verify-email', { method: 'POST', body: { token: verificationToken } }),
+
+  resendVerification: (token) =>
+    apiRequest('/auth/verify-email/resend', { method: 'POST', token }),
+
+  // Second login step: { token, refreshToken, user }
+  loginTwoFactor: (challengeToken, code) =>
+    apiRequest('/auth/login/2fa', { method: 'POST', body: { challengeToken, code } }),
+
+  // Confirm identity before sensitive actions: { code } with two-factor, otherwise { password }
+  stepUp: (token, credentials) =>
+    apiRequest('/auth/step-up', { method: 'POST', token, body: credentials }),
+
+  getTwoFactorStatus: (token) =>
+    apiRequest('/auth/2fa', { method: 'GET', token }),
+
+  // { setup: { secret, otpauth_url, qr_code } }
+  beginTwoFactorSetup: (token) =>
+    apiRequest('/auth/2fa/setup', { method: 'POST', token }),
+
+  // { recoveryCodes }
+  confirmTwoFactorSetup: (token, code) =>
+    apiRequest('/auth/2fa/confirm', { method: 'POST', token, body: { code } }),
+
+  disableTwoFactor: (token, code) =>
+    apiRequest('/auth/2fa/disable', { method: 'POST', token, body: { code } }),
+
+  regenerateRecoveryCodes: (token, code) =>
+    apiRequest('/auth/2fa/recovery-codes', { method: 'POST', token, body: { code } }),
 };
@@ -1,4 +1,12 @@
-import api from './api';
+import api, { streamSSE } from './api';
+
+/**
+ * Map SSE events from the streaming AI endpoints to token/done callbacks
+ */
+const toStreamHandler = ({ onToken, onDone }) => (type, data) => {
+  if (type === 'token') onToken?.(data.text);
+  else if (type === 'done') onDone?.(data);
+};
 
 export const aiService = {
   /**
@@ -14,6 +22,13 @@ export const aiService = {
     return response;
   },
 
+  /**
+   * Streaming variant of tenderChat - answer tokens arrive as they are generated
+   * @param {Object} handlers - { signal, onToken(text), onDone({ answer, citations }) }
+   */
+  tenderChatStream: (tenderId, question, { signal, ...handlers } = {}) =>
+    streamSSE('/ai/query/stream', { tenderId, question }, { signal, onEvent: toStreamHandler(handlers) }),
+
   /**
    * Analyze tender for insights (match score, strengths, concerns)
    */
@@ -60,6 +75,16 @@ export const aiService = {
     return response;
   },
 
+  /**
+   * Streaming variant of generateSectionDraft
+   * @param {Object} handlers - { signal, onToken(text), onDone(draftResult) }
+   */
+  generateSectionDraftStream: (tenderId, options, { signal, ...handlers } = {}) =>
+    streamSSE('/bidder/tenders/' + tenderId + '/generate-section-draft/stream', options, {
+      signal,
+      onEvent: toStreamHandler(handlers),
+    }),
+
   /**
    * Generate AI draft for all sections of a tender
    * @param {string} tenderId - Tender UUID
@@ -83,6 +108,16 @@ export const aiService = {
     return response;
   },
 
+  /**
+   * Streaming variant of improveDraft
+   * @param {Object} handlers - { signal, onToken(text), onDone(improveResult) }
+   */
+  improveDraftStream: (options, { signal, ...handlers } = {}) =>
+    streamSSE('/bidder/proposals/_/improve-draft/stream', options, {
+      signal,
+      onEvent: toStreamHandler(handlers),
+    }),
+
   /**
    * Generate a content snippet for inline assistance
    * @param {Object} options - { snippetType, context, length }
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { clearSession, installSessionRefresh, refreshSession } from '../apiClient';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5175/api';
 
@@ -23,17 +24,81 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('tms_token');
-      localStorage.removeItem('tms_user');
+// Refresh the session and retry on 401; sign out when that fails
+installSessionRefresh(api);
+
+/**
+ * POST to a Server-Sent Events endpoint and dispatch events as they arrive.
+ * Resolves when the stream ends; rejects on HTTP errors, `error` events or abort.
+ * @param {string} path - API path, e.g. '/ai/query/stream'
+ * @param {Object} body - JSON request body
+ * @param {Object} options - { signal, onEvent(type, data) }
+ */
+export async function streamSSE(path, body, { signal, onEvent } = {}) {
+  const send = (token) =>
+    fetch(API_URL + path, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+  let response = await send(localStorage.getItem('tms_token'));
+
+  if (response.status === 401) {
+    const token = await refreshSession().catch(() => null);
+    if (token) {
+      response = await send(token);
+    }
+    if (response.status === 401) {
+      clearSession();
       window.location.href = '/login';
     }
-    return Promise.reject(error);
   }
-);
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let type = 'message';
+      const dataLines = [];
+      for (const line of rawEvent.split('\n')) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      }
+
+      // Heartbeat comments carry no data
+      if (dataLines.length === 0) continue;
+
+      const data = JSON.parse(dataLines.join('\n'));
+      if (type === 'error') {
+        throw new Error(data.error || 'Stream failed');
+      }
+      onEvent?.(type, data);
+    }
+  }
+}
 
 export default api;
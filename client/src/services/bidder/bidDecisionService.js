@@ -0,0 +1,49 @@
+import api from './api';
+
+/**
+ * Bid/no-bid scorecard, decisions and approvals
+ */
+export const bidDecisionService = {
+  getScorecard: async () => {
+    const response = await api.get('/bidder/bid-scorecard');
+    return response.data.data;
+  },
+
+  // { weights: { [criterion]: 0-100 }, bid_threshold: 0-100 }
+  updateScorecard: async (data) => {
+    const response = await api.put('/bidder/bid-scorecard', data);
+    return response.data.data;
+  },
+
+  getDecisions: async (params = {}) => {
+    const response = await api.get('/bidder/bid-decisions', { params });
+    return response.data.data;
+  },
+
+  // null when no decision has been started for the tender
+  getDecision: async (tenderId) => {
+    const response = await api.get(`/bidder/tenders/${tenderId}/bid-decision`);
+    return response.data.data;
+  },
+
+  // { scores: { [criterion]: { score, note } }, decision, justification }
+  saveDecision: async (tenderId, data) => {
+    const response = await api.put(`/bidder/tenders/${tenderId}/bid-decision`, data);
+    return response.data.data;
+  },
+
+  prefillDecision: async (tenderId) => {
+    const response = await api.post(`/bidder/tenders/${tenderId}/bid-decision/prefill`);
+    return response.data.data;
+  },
+
+  submitDecision: async (tenderId) => {
+    const response = await api.post(`/bidder/tenders/${tenderId}/bid-decision/submit`);
+    return response.data.data;
+  },
+
+  reviewDecision: async (tenderId, { approve, comment }) => {
+    const response = await api.post(`/bidder/tenders/${tenderId}/bid-decision/review`, { approve, comment });
+    return response.data.data;
+  },
+};
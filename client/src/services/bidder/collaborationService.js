@@ -150,6 +150,41 @@ export const collaborationService = {
     return response.data?.data;
   },
 
+  // ==========================================
+  // PLATFORM TENDER - SECTION REVISIONS
+  // ==========================================
+
+  /**
+   * Revision history of a section, newest first
+   * @returns {Promise<Array>} [{ revision, source, restored_from, created_at, created_by_name, length }]
+   */
+  async getSectionRevisions(proposalId, sectionId) {
+    const response = await api.get(`/collaboration/proposals/${proposalId}/sections/${sectionId}/revisions`);
+    return response.data?.data || [];
+  },
+
+  /**
+   * Word-level diff between two revisions of a section
+   * @returns {Promise<Object>} { from, to, diff: { segments, added, removed } }
+   */
+  async diffSectionRevisions(proposalId, sectionId, from, to) {
+    const response = await api.get(`/collaboration/proposals/${proposalId}/sections/${sectionId}/revisions/diff`, {
+      params: { from, to },
+    });
+    return response.data?.data;
+  },
+
+  /**
+   * Restore a revision as the newest revision of the section
+   * @returns {Promise<Object>} saved section response ({ content, revision, updated_at, ... })
+   */
+  async restoreSectionRevision(proposalId, sectionId, revision) {
+    const response = await api.post(
+      `/collaboration/proposals/${proposalId}/sections/${sectionId}/revisions/${revision}/restore`
+    );
+    return response.data?.data;
+  },
+
   // ==========================================
   // PLATFORM TENDER - VALIDATION
   // ==========================================
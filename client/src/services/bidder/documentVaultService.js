@@ -0,0 +1,73 @@
+import api from './api';
+
+export const DOCUMENT_CATEGORIES = ['CERTIFICATE', 'FINANCIAL', 'REGISTRATION', 'EXPERIENCE', 'LEGAL', 'OTHER'];
+
+/**
+ * Organization document vault and proposal section attachments
+ */
+export const documentVaultService = {
+  getDocuments: async (params = {}) => {
+    const response = await api.get('/bidder/documents', { params });
+    return response.data.data;
+  },
+
+  // Documents already expired or expiring within `days` (server default 60)
+  getExpiringDocuments: async (days) => {
+    const response = await api.get('/bidder/documents/expiring', { params: days ? { days } : {} });
+    return response.data.data;
+  },
+
+  // metadata: { title, category, valid_from, valid_until }
+  uploadDocument: async (file, metadata = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    Object.entries(metadata).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+    const response = await api.post('/bidder/documents', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data.data;
+  },
+
+  updateDocument: async (documentId, metadata) => {
+    const response = await api.put(`/bidder/documents/${documentId}`, metadata);
+    return response.data.data;
+  },
+
+  deleteDocument: async (documentId) => {
+    await api.delete(`/bidder/documents/${documentId}`);
+  },
+
+  // Saves the file through a temporary object URL (the download needs the auth header)
+  downloadDocument: async (documentId, fileName) => {
+    const response = await api.get(`/bidder/documents/${documentId}/download`, { responseType: 'blob' });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName || 'document';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  },
+
+  // { [section_id]: documents[] }
+  getProposalAttachments: async (proposalId) => {
+    const response = await api.get(`/bidder/proposals/${proposalId}/documents`);
+    return response.data.data;
+  },
+
+  attachToSection: async (proposalId, sectionId, documentId) => {
+    const response = await api.post(`/bidder/proposals/${proposalId}/sections/${sectionId}/documents`, {
+      document_id: documentId,
+    });
+    return response.data.data;
+  },
+
+  detachFromSection: async (proposalId, sectionId, documentId) => {
+    await api.delete(`/bidder/proposals/${proposalId}/sections/${sectionId}/documents/${documentId}`);
+  },
+};
@@ -136,6 +136,48 @@ export const proposalPublishService = {
     }
   },
 
+  /**
+   * Compare two versions of a proposal: per-section diffs, word-count and compliance score deltas
+   *
+   * @param {string} proposalId - The proposal ID
+   * @param {number} fromVersion - Earlier version number
+   * @param {number} toVersion - Later version number
+   * @returns {Promise<Object>} - { from, to, sections, summary }
+   */
+  compareVersions: async (proposalId, fromVersion, toVersion) => {
+    try {
+      const response = await api.get(`/bidder/proposals/${proposalId}/versions/compare`, {
+        params: { from: fromVersion, to: toVersion }
+      });
+      return response.data?.data;
+    } catch (error) {
+      console.error('[Publish Service] Compare versions failed:', error);
+      throw new Error(error.response?.data?.error || 'Failed to compare versions');
+    }
+  },
+
+  /**
+   * Download the comparison of two versions as a change summary
+   *
+   * @param {string} proposalId - The proposal ID
+   * @param {number} fromVersion - Earlier version number
+   * @param {number} toVersion - Later version number
+   * @param {'pdf'|'docx'} format - File format
+   * @returns {Promise<Blob>} - The change summary file
+   */
+  exportChangeSummary: async (proposalId, fromVersion, toVersion, format = 'pdf') => {
+    try {
+      const response = await api.get(`/bidder/proposals/${proposalId}/versions/compare/export`, {
+        params: { from: fromVersion, to: toVersion, format },
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      console.error('[Publish Service] Export change summary failed:', error);
+      throw new Error('Failed to export change summary');
+    }
+  },
+
   /**
    * Check if a status transition is valid
    *
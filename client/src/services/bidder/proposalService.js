@@ -22,10 +22,12 @@ export const proposalService = {
     return response;
   },
 
-  updateProposalSection: async (proposalId, sectionId, content) => {
+  // baseRevision: revision the editor last saw; a stale one is rejected with 409 and the stored `current` response
+  // source: 'AI_DRAFT' when the content is an applied AI draft (recorded on the revision)
+  updateProposalSection: async (proposalId, sectionId, content, baseRevision, source) => {
     const response = await api.put(
       `/bidder/proposals/${proposalId}/sections/${sectionId}`,
-      { content }
+      { content, baseRevision, source }
     );
     return response;
   },
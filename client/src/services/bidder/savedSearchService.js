@@ -0,0 +1,54 @@
+import api from './api';
+
+/**
+ * Saved discovery searches and the tender alerts they produce
+ */
+export const savedSearchService = {
+  getSearches: async () => {
+    const response = await api.get('/bidder/saved-searches');
+    return response.data.data;
+  },
+
+  // { name, keywords, sector, min_value, max_value, min_days_to_deadline, max_days_to_deadline, authority, alerts_enabled, email_digest }
+  createSearch: async (data) => {
+    const response = await api.post('/bidder/saved-searches', data);
+    return response.data.data;
+  },
+
+  updateSearch: async (id, data) => {
+    const response = await api.put(`/bidder/saved-searches/${id}`, data);
+    return response.data.data;
+  },
+
+  deleteSearch: async (id) => {
+    await api.delete(`/bidder/saved-searches/${id}`);
+  },
+
+  // { alerts, unread_count }
+  getAlerts: async (params = {}) => {
+    const response = await api.get('/bidder/tender-alerts', { params });
+    return response.data.data;
+  },
+
+  // Marks every alert as read when alertIds is omitted
+  markAlertsRead: async (alertIds) => {
+    const response = await api.post('/bidder/tender-alerts/read', alertIds ? { alert_ids: alertIds } : {});
+    return response.data.data;
+  },
+};
+
+/**
+ * Discovery query params (/bidder/tenders) for a saved search
+ */
+export const toDiscoveryParams = (search) => {
+  const params = {
+    search: search.keywords,
+    sector: search.sector,
+    authority: search.authority,
+    minValue: search.min_value,
+    maxValue: search.max_value,
+    minDaysToDeadline: search.min_days_to_deadline,
+    maxDaysToDeadline: search.max_days_to_deadline,
+  };
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+};
@@ -13,6 +13,47 @@ export const tenderService = {
     return response;
   },
 
+  // ==========================================
+  // CORRIGENDA
+  // ==========================================
+
+  // Get amendments issued for a tender, with section diffs
+  getCorrigenda: async (tenderId) => {
+    const response = await api.get(`/bidder/tenders/${tenderId}/corrigenda`);
+    return response;
+  },
+
+  // Get change notices for tenders with a proposal or saved by the user
+  getCorrigendumNotices: async (params = {}) => {
+    const response = await api.get('/bidder/corrigenda/notices', { params });
+    return response;
+  },
+
+  // Mark a change notice as read
+  acknowledgeCorrigendum: async (corrigendumId) => {
+    const response = await api.post(`/bidder/corrigenda/${corrigendumId}/acknowledge`);
+    return response;
+  },
+
+  // ==========================================
+  // PRE-BID CLARIFICATIONS
+  // ==========================================
+
+  // Get public answers and the organization's own questions
+  getClarifications: async (tenderId) => {
+    const response = await api.get(`/tenders/${tenderId}/clarifications`);
+    return response;
+  },
+
+  // Ask a question about the tender or one of its sections
+  askClarification: async (tenderId, { question, sectionId }) => {
+    const response = await api.post(`/tenders/${tenderId}/clarifications`, {
+      question,
+      section_id: sectionId || null,
+    });
+    return response;
+  },
+
   // ==========================================
   // SAVED TENDERS
   // ==========================================
@@ -50,6 +91,17 @@ export const tenderService = {
     return response;
   },
 
+  // ==========================================
+  // ELIGIBILITY
+  // ==========================================
+
+  // Pass/fail/unknown checklist of eligibility criteria against the organization profile
+  getEligibility: async (tenderId, isUploaded = false) => {
+    const path = isUploaded ? `/bidder/uploaded-tenders/${tenderId}/eligibility` : `/bidder/tenders/${tenderId}/eligibility`;
+    const response = await api.get(path);
+    return response;
+  },
+
   // Other methods (authority-side, not used by bidder UI but keeping for completeness)
   createTender: async (data) => {
     const response = await api.post('/tenders', data);
@@ -4,6 +4,7 @@
  */
 
 import axios from 'axios';
+import { installSessionRefresh } from './apiClient';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5175/api';
 
@@ -26,18 +27,8 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
-// Response interceptor to handle errors
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('tms_token');
-      localStorage.removeItem('tms_user');
-      window.location.href = '/login';
-    }
-    return Promise.reject(error);
-  }
-);
+// Refresh the session and retry on 401; sign out when that fails
+installSessionRefresh(api);
 
 export const collaborationService = {
   /**
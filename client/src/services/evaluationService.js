@@ -5,6 +5,17 @@ export const evaluationService = {
   getTendersForEvaluation: (token) =>
     apiRequest('/evaluation/tenders', { token }),
 
+  // Sealed-bid status and opening record
+  getBidOpening: (tenderId, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/bid-opening`, { token }),
+
+  // Open the sealed bids (after the submission deadline)
+  openBids: (tenderId, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/bid-opening`, {
+      method: 'POST',
+      token
+    }),
+
   // Get bids for a specific tender
   getBidsForTender: (tenderId, token) =>
     apiRequest(`/evaluation/tenders/${tenderId}/bids`, { token }),
@@ -34,4 +45,58 @@ export const evaluationService = {
   // Get evaluation details for a tender
   getTenderEvaluationDetails: (tenderId, token) =>
     apiRequest(`/evaluation/tenders/${tenderId}/details`, { token }),
+
+  // Get evaluation method (L1 / QCBS), weights, cutoff and the criteria rubric
+  getEvaluationConfig: (tenderId, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/config`, { token }),
+
+  // Update evaluation method, weights and cutoff
+  updateEvaluationConfig: (tenderId, data, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/config`, {
+      method: 'PUT',
+      body: data,
+      token
+    }),
+
+  // Get bid ranking with the scoring formula
+  getRanking: (tenderId, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/ranking`, { token }),
+
+  // Evaluation committee members, own membership and appointable users
+  getCommittee: (tenderId, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/committee`, { token }),
+
+  // Appoint the committee: [{ user_id, committee_role }]
+  setCommittee: (tenderId, members, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/committee`, {
+      method: 'PUT',
+      body: { members },
+      token
+    }),
+
+  // Save own independent scores for a bid
+  saveMyScores: (proposalId, scores, token) =>
+    apiRequest(`/evaluation/bids/${proposalId}/my-scores`, {
+      method: 'PUT',
+      body: { scores },
+      token
+    }),
+
+  // Submit own scores (final)
+  submitMyScores: (tenderId, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/committee/submit`, {
+      method: 'POST',
+      token
+    }),
+
+  // Independent scores with variance and consensus (after submitting)
+  getCommitteeScores: (tenderId, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/committee/scores`, { token }),
+
+  // Sign off the consensus
+  signOffEvaluation: (tenderId, token) =>
+    apiRequest(`/evaluation/tenders/${tenderId}/committee/sign-off`, {
+      method: 'POST',
+      token
+    }),
 };
@@ -0,0 +1,35 @@
+import api from './bidder/api';
+
+/**
+ * Notifications of the signed-in user (every role) and their delivery preferences
+ */
+export const notificationService = {
+  // { notifications, unread_count }
+  getNotifications: async (params = {}) => {
+    const response = await api.get('/notifications', { params });
+    return response.data;
+  },
+
+  getUnreadCount: async () => {
+    const response = await api.get('/notifications/unread-count');
+    return response.data.unread_count;
+  },
+
+  // Marks every notification as read when notificationIds is omitted
+  markRead: async (notificationIds) => {
+    const response = await api.post('/notifications/read', notificationIds ? { notification_ids: notificationIds } : {});
+    return response.data.updated;
+  },
+
+  // [{ type, label, in_app, email, digest }]
+  getPreferences: async () => {
+    const response = await api.get('/notifications/preferences');
+    return response.data.preferences;
+  },
+
+  // { [type]: { in_app, email } }
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/notifications/preferences', { preferences });
+    return response.data.preferences;
+  },
+};
@@ -0,0 +1,90 @@
+import api from './bidder/api';
+
+/**
+ * Organization profile of the signed-in user (AUTHORITY and BIDDER)
+ */
+export const organizationService = {
+  getMyOrganization: async () => {
+    const response = await api.get('/organizations/me');
+    return response.data.organization;
+  },
+
+  // Profile fields plus turnover[] / certifications[] (each list replaces the stored one)
+  updateMyOrganization: async (data) => {
+    const response = await api.put('/organizations/me', data);
+    return response.data.organization;
+  },
+
+  // Logo as an object URL (the endpoint needs the auth header, so <img src> cannot load it directly)
+  getLogoUrl: async () => {
+    const response = await api.get('/organizations/me/logo', { responseType: 'blob' });
+    return URL.createObjectURL(response.data);
+  },
+
+  uploadLogo: async (file) => {
+    const formData = new FormData();
+    formData.append('logo', file);
+    await api.put('/organizations/me/logo', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+
+  deleteLogo: async () => {
+    await api.delete('/organizations/me/logo');
+  },
+
+  // Members with their org role (OWNER | ADMIN | BID_MANAGER | CONTRIBUTOR | VIEWER)
+  getMembers: async () => {
+    const response = await api.get('/organizations/me/members');
+    return response.data.members;
+  },
+
+  updateMemberRole: async (userId, orgRole) => {
+    const response = await api.put(`/organizations/me/members/${userId}`, { orgRole });
+    return response.data.member;
+  },
+
+  removeMember: async (userId) => {
+    await api.delete(`/organizations/me/members/${userId}`);
+  },
+
+  getInvitations: async () => {
+    const response = await api.get('/organizations/me/invitations');
+    return response.data.invitations;
+  },
+
+  // Emails a one-time link; the result's email_sent is false if sending failed
+  inviteMember: async (email, orgRole) => {
+    const response = await api.post('/organizations/me/invitations', { email, orgRole });
+    return response.data.invitation;
+  },
+
+  revokeInvitation: async (invitationId) => {
+    await api.delete(`/organizations/me/invitations/${invitationId}`);
+  },
+
+  // Invitation details from the emailed link (no sign-in needed)
+  getInvitation: async (token) => {
+    const response = await api.get(`/organizations/invitations/${token}`);
+    return response.data.invitation;
+  },
+
+  // Join the inviting organization with the signed-in account
+  acceptInvitation: async (token) => {
+    const response = await api.post(`/organizations/invitations/${token}/accept`);
+    return response.data.membership;
+  },
+
+  // { require_two_factor, total, enrolled }
+  getTwoFactorPolicy: async () => {
+    const response = await api.get('/organizations/me/two-factor');
+    return response.data.policy;
+  },
+
+  updateTwoFactorPolicy: async (requireTwoFactor) => {
+    const response = await api.put('/organizations/me/two-factor', { requireTwoFactor });
+    return response.data.policy;
+  },
+};
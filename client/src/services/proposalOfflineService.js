@@ -4,6 +4,10 @@
  * IndexedDB-based offline storage for proposal drafts.
  * Automatically syncs when back online.
  *
+ * Section drafts are stored one per section (id `${proposalId}:${sectionId}`) with the
+ * revision and content they were based on, so replaying them goes through the same
+ * stale-write check as online saves.
+ *
  * Uses the 'idb' library for a Promise-based IndexedDB API.
  */
 
@@ -50,7 +54,8 @@ export const proposalOfflineService = {
    * Save a proposal draft to IndexedDB
    *
    * @param {string} proposalId - The proposal ID
-   * @param {Object} data - Draft data to save
+   * @param {Object} data - Draft data to save; section drafts carry
+   *   { sectionId, content, baseRevision, baseContent }
    * @returns {Promise<void>}
    */
   saveDraft: async (proposalId, data) => {
@@ -58,8 +63,11 @@ export const proposalOfflineService = {
       const db = await initDB();
 
       const draft = {
-        id: proposalId,
+        id: data.sectionId ? `${proposalId}:${data.sectionId}` : proposalId,
         ...data,
+        proposalId,
+        // Revision the edit started from; 0 means the section was not saved yet
+        ...(data.sectionId ? { baseRevision: data.baseRevision ?? 0, baseContent: data.baseContent ?? '' } : {}),
         updatedAt: new Date().toISOString(),
         synced: false
       };
@@ -93,6 +101,24 @@ export const proposalOfflineService = {
     }
   },
 
+  /**
+   * Get all drafts (whole-proposal and per-section) of a proposal
+   *
+   * @param {string} proposalId - The proposal ID
+   * @returns {Promise<Array>}
+   */
+  getDraftsByProposal: async (proposalId) => {
+    try {
+      const db = await initDB();
+      const drafts = await db.getAll(STORE_DRAFTS);
+
+      return drafts.filter(d => d.id === proposalId || d.proposalId === proposalId);
+    } catch (error) {
+      console.error('[Offline] Failed to get drafts by proposal:', error);
+      return [];
+    }
+  },
+
   /**
    * Get all drafts for a tender
    *
@@ -152,15 +178,16 @@ export const proposalOfflineService = {
   /**
    * Mark a draft as synced
    *
-   * @param {string} proposalId - The proposal ID
+   * @param {string} id - The draft ID
+   * @param {string} [updatedAt] - only mark it when not edited again since this version was sent
    * @returns {Promise<void>}
    */
-  markSynced: async (proposalId) => {
+  markSynced: async (id, updatedAt) => {
     try {
       const db = await initDB();
-      const draft = await db.get(STORE_DRAFTS, proposalId);
+      const draft = await db.get(STORE_DRAFTS, id);
 
-      if (draft) {
+      if (draft && (!updatedAt || draft.updatedAt === updatedAt)) {
         draft.synced = true;
         draft.syncedAt = new Date().toISOString();
         await db.put(STORE_DRAFTS, draft);
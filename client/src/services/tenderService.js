@@ -33,4 +33,25 @@ export const tenderService = {
   
   reorderSections: (tenderId, orderedSectionIds, token) => 
     apiRequest(`/tenders/${tenderId}/sections/order`, { method: 'PUT', token, body: { orderedSectionIds } }),
+
+  getEvaluationCriteria: (tenderId, token) =>
+    apiRequest(`/tenders/${tenderId}/criteria`, { token }),
+
+  setEvaluationCriteria: (tenderId, criteria, token) =>
+    apiRequest(`/tenders/${tenderId}/criteria`, { method: 'PUT', token, body: { criteria } }),
+
+  listCorrigenda: (tenderId, token) =>
+    apiRequest(`/tenders/${tenderId}/corrigenda`, { token }),
+
+  issueCorrigendum: (tenderId, payload, token) =>
+    apiRequest(`/tenders/${tenderId}/corrigenda`, { method: 'POST', token, body: payload }),
+
+  listClarifications: (tenderId, token) =>
+    apiRequest(`/tenders/${tenderId}/clarifications`, { token }),
+
+  answerClarification: (clarificationId, payload, token) =>
+    apiRequest(`/tenders/clarifications/${clarificationId}/answer`, { method: 'PUT', token, body: payload }),
+
+  setClarificationCutoff: (tenderId, clarification_cutoff, token) =>
+    apiRequest(`/tenders/${tenderId}/clarifications/cutoff`, { method: 'PUT', token, body: { clarification_cutoff } }),
 };
@@ -1,2 +1,27 @@
 // Application constants
 export const CONSTANTS = {};
+
+// Member roles inside an organization, most privileged first
+export const ORG_ROLES = ['OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR', 'VIEWER'];
+
+export const ORG_ROLE_LABELS = {
+  OWNER: 'Owner',
+  ADMIN: 'Admin',
+  BID_MANAGER: 'Bid manager',
+  CONTRIBUTOR: 'Contributor',
+  VIEWER: 'Viewer',
+};
+
+export const ORG_ROLE_DESCRIPTIONS = {
+  OWNER: 'Everything, including managing owners and admins',
+  ADMIN: 'Manages members, approves bids and runs proposals',
+  BID_MANAGER: 'Approves bid decisions, creates and submits proposals, assigns sections',
+  CONTRIBUTOR: 'Edits the proposal sections assigned to them',
+  VIEWER: 'Read-only; can be given comment access on sections',
+};
+
+// Org roles that manage members and invitations
+export const TEAM_MANAGER_ROLES = ['OWNER', 'ADMIN'];
+
+// Org roles that assign proposal sections and engage assisters
+export const SECTION_ASSIGNER_ROLES = ['OWNER', 'ADMIN', 'BID_MANAGER'];
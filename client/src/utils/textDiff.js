@@ -0,0 +1,147 @@
+/**
+ * Text diff and three-way merge
+ * Word-level longest common subsequence, the same approach as the server's
+ * utils/textDiff.js, so diffs render with the shared TextDiff component.
+ * Falls back to line-level for very large inputs.
+ */
+
+// Upper bound on LCS table cells (~8 MB) before falling back to line-level diffing
+const MAX_CELLS = 2_000_000;
+
+const tokenizeWords = (text) => (text || '').split(/(\s+)/).filter((t) => t.length > 0);
+const tokenizeLines = (text) => (text || '').split(/(?<=\n)/).filter((t) => t.length > 0);
+
+const tokenize = (...texts) => {
+  const words = texts.map(tokenizeWords);
+  const [base, ...others] = words;
+  const tooLarge = others.some((tokens) => (base.length + 1) * (tokens.length + 1) > MAX_CELLS);
+  return tooLarge ? texts.map(tokenizeLines) : words;
+};
+
+/**
+ * For each token of `a`, the index of the token of `b` it is matched with (or -1)
+ */
+function lcsMatches(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const matches = new Array(n).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      matches[i++] = j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+/**
+ * Diff two texts into consecutive segments
+ * @returns {{ segments: Array<{ type: 'equal'|'added'|'removed', text: string }>, added: number, removed: number }}
+ */
+export function diffText(oldText, newText) {
+  const [a, b] = tokenize(oldText, newText);
+  const matches = lcsMatches(a, b);
+
+  const segments = [];
+  let added = 0;
+  let removed = 0;
+  const push = (type, text) => {
+    if (type === 'added' && text.trim()) added++;
+    if (type === 'removed' && text.trim()) removed++;
+
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      segments.push({ type, text });
+    }
+  };
+
+  let j = 0;
+  a.forEach((token, i) => {
+    if (matches[i] === -1) {
+      push('removed', token);
+      return;
+    }
+    while (j < matches[i]) push('added', b[j++]);
+    push('equal', token);
+    j++;
+  });
+  while (j < b.length) push('added', b[j++]);
+
+  return { segments, added, removed };
+}
+
+/**
+ * Three-way merge of two edits made from the same base text.
+ * Regions changed on one side only take that side; regions changed differently
+ * on both sides become conflicts for the user to resolve.
+ * @param {string} base - text both edits started from
+ * @param {string} mine - local edit
+ * @param {string} theirs - edit that was saved first
+ * @returns {{ chunks: Array<{ type: 'resolved', text: string } | { type: 'conflict', base: string, mine: string, theirs: string }>, conflicts: number }}
+ */
+export function mergeText(base, mine, theirs) {
+  const [b, m, t] = tokenize(base, mine, theirs);
+  const toMine = lcsMatches(b, m);
+  const toTheirs = lcsMatches(b, t);
+
+  const chunks = [];
+  let conflicts = 0;
+  const pushResolved = (text) => {
+    if (!text) return;
+    const last = chunks[chunks.length - 1];
+    if (last?.type === 'resolved') {
+      last.text += text;
+    } else {
+      chunks.push({ type: 'resolved', text });
+    }
+  };
+
+  // Walk the base tokens kept by both sides; everything between two of them is a changed region
+  let bi = 0;
+  let mi = 0;
+  let ti = 0;
+  for (let i = 0; i <= b.length; i++) {
+    const isAnchor = i === b.length || (toMine[i] !== -1 && toTheirs[i] !== -1);
+    if (!isAnchor) continue;
+
+    const mEnd = i === b.length ? m.length : toMine[i];
+    const tEnd = i === b.length ? t.length : toTheirs[i];
+    const baseText = b.slice(bi, i).join('');
+    const mineText = m.slice(mi, mEnd).join('');
+    const theirsText = t.slice(ti, tEnd).join('');
+
+    if (mineText === theirsText || mineText === baseText) {
+      pushResolved(theirsText);
+    } else if (theirsText === baseText) {
+      pushResolved(mineText);
+    } else {
+      chunks.push({ type: 'conflict', base: baseText, mine: mineText, theirs: theirsText });
+      conflicts++;
+    }
+
+    if (i < b.length) pushResolved(b[i]);
+    bi = i + 1;
+    mi = mEnd + 1;
+    ti = tEnd + 1;
+  }
+
+  return { chunks, conflicts };
+}
@@ -3,6 +3,7 @@ import cors from 'cors';
 import morgan from 'morgan';
 import { env, loadEnv } from './config/env.js';
 import { pool } from './config/db.js';
+import { EmbeddingIndexService } from './services/embeddingIndex.service.js';
 
 // Load environment variables
 loadEnv();
@@ -289,6 +290,660 @@ async function runMigrations() {
 
     console.log('[DB] Migration: Created uploaded_proposal_comment table if not exists');
 
+    // Track embedding provider per chunk so stale vectors can be rebuilt
+    await pool.query(`
+      ALTER TABLE tender_content_chunk
+      ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_chunk_embedding_model ON tender_content_chunk(embedding_model);
+    `);
+
+    console.log('[DB] Migration: Added embedding_model to tender_content_chunk');
+
+    // Full-text index for hybrid (lexical + vector) retrieval
+    await pool.query(`
+      ALTER TABLE tender_content_chunk
+      ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR
+        GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_chunk_content_tsv ON tender_content_chunk USING GIN (content_tsv);
+    `);
+
+    console.log('[DB] Migration: Added content_tsv full-text index to tender_content_chunk');
+
+    // QCBS evaluation: tender weights/cutoff, technical criteria, per-bid marks, ranking snapshot
+    await pool.query(`
+      ALTER TABLE tender
+      ADD COLUMN IF NOT EXISTS evaluation_method VARCHAR(20) DEFAULT 'L1' CHECK (evaluation_method IN ('L1', 'QCBS')),
+      ADD COLUMN IF NOT EXISTS technical_weight DECIMAL(5, 2),
+      ADD COLUMN IF NOT EXISTS financial_weight DECIMAL(5, 2),
+      ADD COLUMN IF NOT EXISTS technical_cutoff DECIMAL(5, 2);
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_evaluation_criterion (
+        criterion_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        max_marks DECIMAL(6, 2) NOT NULL CHECK (max_marks > 0),
+        order_index INT DEFAULT 1,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bid_criterion_score (
+        score_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        proposal_id UUID NOT NULL REFERENCES proposal(proposal_id) ON DELETE CASCADE,
+        criterion_id UUID NOT NULL REFERENCES tender_evaluation_criterion(criterion_id) ON DELETE CASCADE,
+        marks DECIMAL(6, 2) NOT NULL CHECK (marks >= 0),
+        evaluator_user_id UUID REFERENCES "user"(user_id),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (proposal_id, criterion_id)
+      );
+    `);
+    await pool.query(`
+      ALTER TABLE IF EXISTS tender_evaluation_status
+      ADD COLUMN IF NOT EXISTS evaluation_method VARCHAR(20) DEFAULT 'L1',
+      ADD COLUMN IF NOT EXISTS h1_proposal_id UUID REFERENCES proposal(proposal_id),
+      ADD COLUMN IF NOT EXISTS h1_score DECIMAL(7, 3),
+      ADD COLUMN IF NOT EXISTS ranking JSONB,
+      ADD COLUMN IF NOT EXISTS scoring_formula TEXT;
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_evaluation_criterion_tender_id ON tender_evaluation_criterion(tender_id);
+      CREATE INDEX IF NOT EXISTS idx_bid_criterion_score_proposal_id ON bid_criterion_score(proposal_id);
+    `);
+
+    console.log('[DB] Migration: Added QCBS evaluation tables and columns');
+
+    // Evaluation rubric: pass/fail criteria, linked tender sections, per-score justification
+    await pool.query(`
+      ALTER TABLE tender_evaluation_criterion
+      ADD COLUMN IF NOT EXISTS description TEXT,
+      ADD COLUMN IF NOT EXISTS criterion_type VARCHAR(20) DEFAULT 'SCORED' CHECK (criterion_type IN ('SCORED', 'PASS_FAIL')),
+      ADD COLUMN IF NOT EXISTS section_id UUID REFERENCES tender_section(section_id) ON DELETE SET NULL;
+    `);
+    await pool.query(`
+      ALTER TABLE tender_evaluation_criterion ALTER COLUMN max_marks DROP NOT NULL;
+      ALTER TABLE tender_evaluation_criterion DROP CONSTRAINT IF EXISTS tender_evaluation_criterion_max_marks_check;
+      ALTER TABLE tender_evaluation_criterion DROP CONSTRAINT IF EXISTS chk_criterion_max_marks;
+      ALTER TABLE tender_evaluation_criterion
+      ADD CONSTRAINT chk_criterion_max_marks CHECK (criterion_type = 'PASS_FAIL' OR max_marks > 0);
+    `);
+    await pool.query(`
+      ALTER TABLE bid_criterion_score
+      ADD COLUMN IF NOT EXISTS passed BOOLEAN,
+      ADD COLUMN IF NOT EXISTS justification TEXT;
+      ALTER TABLE bid_criterion_score ALTER COLUMN marks DROP NOT NULL;
+    `);
+
+    console.log('[DB] Migration: Added evaluation rubric columns');
+
+    // Evaluation committee: members, independent scores, submission and sign-off
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS evaluation_committee_member (
+        member_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        committee_role VARCHAR(20) NOT NULL DEFAULT 'MEMBER' CHECK (committee_role IN ('CHAIR', 'MEMBER')),
+        submitted_at TIMESTAMP,
+        signed_off_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (tender_id, user_id)
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS evaluator_criterion_score (
+        score_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        proposal_id UUID NOT NULL REFERENCES proposal(proposal_id) ON DELETE CASCADE,
+        criterion_id UUID NOT NULL REFERENCES tender_evaluation_criterion(criterion_id) ON DELETE CASCADE,
+        evaluator_user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        marks DECIMAL(6, 2) CHECK (marks >= 0),
+        passed BOOLEAN,
+        justification TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (proposal_id, criterion_id, evaluator_user_id)
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_committee_member_tender_id ON evaluation_committee_member(tender_id);
+      CREATE INDEX IF NOT EXISTS idx_evaluator_score_proposal_id ON evaluator_criterion_score(proposal_id);
+    `);
+
+    console.log('[DB] Migration: Created evaluation committee tables');
+
+    // Corrigenda: numbered amendments with previous/new values, and bidder acknowledgements
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_corrigendum (
+        corrigendum_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+        corrigendum_number INT NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        reason TEXT,
+        issued_by UUID REFERENCES "user"(user_id),
+        issued_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (tender_id, corrigendum_number)
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_corrigendum_change (
+        change_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        corrigendum_id UUID NOT NULL REFERENCES tender_corrigendum(corrigendum_id) ON DELETE CASCADE,
+        change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('DEADLINE', 'SECTION')),
+        section_id UUID REFERENCES tender_section(section_id) ON DELETE SET NULL,
+        previous_deadline TIMESTAMP,
+        new_deadline TIMESTAMP,
+        previous_title VARCHAR(255),
+        new_title VARCHAR(255),
+        previous_content TEXT,
+        new_content TEXT
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_corrigendum_ack (
+        corrigendum_id UUID NOT NULL REFERENCES tender_corrigendum(corrigendum_id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        acknowledged_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (corrigendum_id, user_id)
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_corrigendum_tender_id ON tender_corrigendum(tender_id);
+      CREATE INDEX IF NOT EXISTS idx_corrigendum_change_corrigendum_id ON tender_corrigendum_change(corrigendum_id);
+      CREATE INDEX IF NOT EXISTS idx_corrigendum_change_section_id ON tender_corrigendum_change(section_id);
+    `);
+
+    console.log('[DB] Migration: Created tender corrigendum tables');
+
+    await pool.query(`
+      ALTER TABLE tender ADD COLUMN IF NOT EXISTS clarification_cutoff TIMESTAMP;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_clarification (
+        clarification_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+        section_id UUID REFERENCES tender_section(section_id) ON DELETE SET NULL,
+        organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+        asked_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+        question TEXT NOT NULL,
+        answer TEXT,
+        visibility VARCHAR(10) CHECK (visibility IN ('PUBLIC', 'PRIVATE')),
+        answered_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+        answered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_clarification_tender_id ON tender_clarification(tender_id);
+      CREATE INDEX IF NOT EXISTS idx_clarification_organization_id ON tender_clarification(organization_id);
+    `);
+
+    console.log('[DB] Migration: Created tender clarification table');
+
+    await pool.query(`
+      ALTER TABLE tender ADD COLUMN IF NOT EXISTS sealed_bids BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_bid_opening (
+        opening_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tender_id UUID NOT NULL UNIQUE REFERENCES tender(tender_id) ON DELETE CASCADE,
+        opened_by UUID REFERENCES "user"(user_id),
+        opened_at TIMESTAMP DEFAULT NOW(),
+        bid_count INT NOT NULL,
+        bids JSONB NOT NULL DEFAULT '[]'
+      );
+    `);
+
+    console.log('[DB] Migration: Added sealed bid opening');
+
+    await pool.query(`
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS gstin TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS pan TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS cin TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS year_established INT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS address_line TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS city TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS state TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS postal_code TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS country TEXT DEFAULT 'India';
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS contact_person TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS contact_email TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS contact_phone TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS website TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS description TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS signatory_name TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS signatory_designation TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS logo BYTEA;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS logo_mime_type TEXT;
+      ALTER TABLE organization ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organization_turnover (
+        turnover_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+        financial_year TEXT NOT NULL,
+        amount NUMERIC(15, 2) NOT NULL CHECK (amount >= 0),
+        UNIQUE (organization_id, financial_year)
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organization_certification (
+        certification_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        issuing_body TEXT,
+        certificate_number TEXT,
+        issued_on DATE,
+        expires_on DATE,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_org_turnover_organization_id ON organization_turnover(organization_id);
+      CREATE INDEX IF NOT EXISTS idx_org_certification_organization_id ON organization_certification(organization_id);
+    `);
+
+    console.log('[DB] Migration: Added organization profile');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organization_document (
+        document_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+        category TEXT NOT NULL CHECK (category IN ('CERTIFICATE', 'FINANCIAL', 'REGISTRATION', 'EXPERIENCE', 'LEGAL', 'OTHER')),
+        title TEXT NOT NULL,
+        file_name TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        file_size INT NOT NULL,
+        content BYTEA NOT NULL,
+        valid_from DATE,
+        valid_until DATE,
+        uploaded_by UUID REFERENCES "user"(user_id),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS proposal_section_document (
+        proposal_id UUID NOT NULL REFERENCES proposal(proposal_id) ON DELETE CASCADE,
+        section_id UUID NOT NULL REFERENCES tender_section(section_id) ON DELETE CASCADE,
+        document_id UUID NOT NULL REFERENCES organization_document(document_id) ON DELETE CASCADE,
+        attached_by UUID REFERENCES "user"(user_id),
+        attached_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (proposal_id, section_id, document_id)
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_org_document_organization_id ON organization_document(organization_id);
+      CREATE INDEX IF NOT EXISTS idx_org_document_valid_until ON organization_document(valid_until);
+      CREATE INDEX IF NOT EXISTS idx_section_document_document_id ON proposal_section_document(document_id);
+    `);
+
+    console.log('[DB] Migration: Created organization document vault');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organization_project (
+        project_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        client_name TEXT,
+        contract_value NUMERIC(15, 2) NOT NULL,
+        completed_on DATE,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_org_project_organization_id ON organization_project(organization_id);
+    `);
+
+    console.log('[DB] Migration: Created organization completed projects');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bid_scorecard (
+        organization_id UUID PRIMARY KEY REFERENCES organization(organization_id) ON DELETE CASCADE,
+        weights JSONB NOT NULL,
+        bid_threshold INT NOT NULL DEFAULT 60 CHECK (bid_threshold BETWEEN 0 AND 100),
+        updated_by UUID REFERENCES "user"(user_id),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bid_decision (
+        decision_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+        organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+        scores JSONB NOT NULL DEFAULT '{}',
+        weights JSONB NOT NULL,
+        total_score NUMERIC(5, 2),
+        recommendation TEXT CHECK (recommendation IN ('BID', 'NO_BID')),
+        ai_rationale TEXT,
+        ai_generated_at TIMESTAMP,
+        decision TEXT CHECK (decision IN ('BID', 'NO_BID')),
+        justification TEXT,
+        status TEXT NOT NULL DEFAULT 'DRAFT' CHECK (status IN ('DRAFT', 'PENDING_APPROVAL', 'APPROVED', 'REJECTED')),
+        prepared_by UUID REFERENCES "user"(user_id),
+        submitted_at TIMESTAMP,
+        reviewed_by UUID REFERENCES "user"(user_id),
+        reviewed_at TIMESTAMP,
+        review_comment TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (tender_id, organization_id)
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS bid_decision_event (
+        event_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        decision_id UUID NOT NULL REFERENCES bid_decision(decision_id) ON DELETE CASCADE,
+        action TEXT NOT NULL CHECK (action IN ('SUBMITTED', 'APPROVED', 'REJECTED')),
+        actor_id UUID REFERENCES "user"(user_id),
+        decision TEXT,
+        total_score NUMERIC(5, 2),
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_bid_decision_organization_id ON bid_decision(organization_id, status);
+      CREATE INDEX IF NOT EXISTS idx_bid_decision_event_decision_id ON bid_decision_event(decision_id);
+    `);
+
+    console.log('[DB] Migration: Created bid/no-bid decisions');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS saved_search (
+        saved_search_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        name VARCHAR(150) NOT NULL,
+        keywords TEXT,
+        sector VARCHAR(100),
+        min_value NUMERIC(15, 2),
+        max_value NUMERIC(15, 2),
+        min_days_to_deadline INT,
+        max_days_to_deadline INT,
+        authority VARCHAR(255),
+        alerts_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        email_digest BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tender_alert (
+        alert_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        saved_search_id UUID NOT NULL REFERENCES saved_search(saved_search_id) ON DELETE CASCADE,
+        tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+        matched_at TIMESTAMP DEFAULT NOW(),
+        read_at TIMESTAMP,
+        emailed_at TIMESTAMP,
+        UNIQUE (saved_search_id, tender_id)
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_saved_search_user_id ON saved_search(user_id);
+      CREATE INDEX IF NOT EXISTS idx_tender_alert_saved_search_id ON tender_alert(saved_search_id, read_at);
+    `);
+
+    console.log('[DB] Migration: Created saved searches and tender alerts');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notification (
+        notification_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        body TEXT,
+        link TEXT,
+        dedupe_key TEXT,
+        in_app BOOLEAN NOT NULL DEFAULT TRUE,
+        read_at TIMESTAMP,
+        emailed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS notification_preference (
+        user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        in_app BOOLEAN NOT NULL,
+        email BOOLEAN NOT NULL,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (user_id, type)
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_user_id ON notification(user_id, created_at DESC);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_dedupe ON notification(user_id, dedupe_key) WHERE dedupe_key IS NOT NULL;
+    `);
+
+    console.log('[DB] Migration: Created notifications and delivery preferences');
+
+    // Revision counter for conflict-safe section saves
+    await pool.query(`
+      ALTER TABLE proposal_section_response
+      ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+    `);
+    console.log('[DB] Migration: Added revision to proposal_section_response');
+
+    // Per-save revision history for sections
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS proposal_section_revision (
+        revision_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        proposal_id UUID NOT NULL REFERENCES proposal(proposal_id) ON DELETE CASCADE,
+        section_id UUID NOT NULL REFERENCES tender_section(section_id),
+        revision INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        source TEXT NOT NULL DEFAULT 'HUMAN' CHECK (source IN ('HUMAN', 'AI_DRAFT', 'ASSISTER')),
+        restored_from INTEGER,
+        created_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (proposal_id, section_id, revision)
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_section_revision_section ON proposal_section_revision(proposal_id, section_id, revision DESC);
+    `);
+    await pool.query(`
+      INSERT INTO proposal_section_revision (proposal_id, section_id, revision, content, created_by, created_at)
+      SELECT proposal_id, section_id, revision, content, last_edited_by, updated_at
+      FROM proposal_section_response
+      ON CONFLICT (proposal_id, section_id, revision) DO NOTHING;
+    `);
+    console.log('[DB] Migration: Created proposal_section_revision');
+
+    // Org-scoped member roles and email invitations
+    await pool.query(`
+      ALTER TABLE "user"
+      ADD COLUMN IF NOT EXISTS org_role TEXT NOT NULL DEFAULT 'OWNER'
+        CHECK (org_role IN ('OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR', 'VIEWER'));
+    `);
+    await pool.query(`
+      ALTER TABLE "user" ALTER COLUMN org_role SET DEFAULT 'CONTRIBUTOR';
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS organization_invitation (
+        invitation_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+        email TEXT NOT NULL,
+        org_role TEXT NOT NULL CHECK (org_role IN ('OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR', 'VIEWER')),
+        token_hash TEXT NOT NULL UNIQUE,
+        invited_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+        expires_at TIMESTAMP NOT NULL,
+        accepted_at TIMESTAMP,
+        accepted_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_org_invitation_pending
+      ON organization_invitation(organization_id, LOWER(email))
+      WHERE accepted_at IS NULL AND revoked_at IS NULL;
+    `);
+    console.log('[DB] Migration: Added org_role and organization_invitation');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_session (
+        session_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        refresh_token_hash TEXT NOT NULL UNIQUE,
+        previous_token_hash TEXT,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_seen_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_session_user ON user_session(user_id);
+      CREATE INDEX IF NOT EXISTS idx_user_session_previous ON user_session(previous_token_hash);
+    `);
+    console.log('[DB] Migration: Added user_session');
+
+    // Existing accounts are backfilled as verified when the column is added
+    await pool.query(`
+      ALTER TABLE "user" ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP DEFAULT NOW();
+      ALTER TABLE "user" ALTER COLUMN email_verified_at DROP DEFAULT;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_token (
+        token_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL CHECK (purpose IN ('PASSWORD_RESET', 'EMAIL_VERIFICATION')),
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_token_user ON user_token(user_id, purpose);
+    `);
+    console.log('[DB] Migration: Added email verification and user_token');
+
+    await pool.query(`
+      ALTER TABLE "user"
+      ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+      ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_recovery_code (
+        code_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        code_hash TEXT NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_recovery_code_user ON user_recovery_code(user_id);
+    `);
+    await pool.query(`
+      ALTER TABLE organization
+      ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE user_session
+      ADD COLUMN IF NOT EXISTS reauthenticated_at TIMESTAMP DEFAULT NOW();
+    `);
+    console.log('[DB] Migration: Added two-factor authentication');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS assister_profile (
+        user_id UUID PRIMARY KEY REFERENCES "user"(user_id) ON DELETE CASCADE,
+        headline TEXT,
+        bio TEXT,
+        expertise_tags TEXT[] NOT NULL DEFAULT '{}',
+        sectors TEXT[] NOT NULL DEFAULT '{}',
+        available BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_assister_profile_tags ON assister_profile USING GIN (expertise_tags);
+      CREATE INDEX IF NOT EXISTS idx_assister_profile_sectors ON assister_profile USING GIN (sectors);
+    `);
+    await pool.query(`
+      INSERT INTO assister_profile (user_id, headline)
+      SELECT user_id, specialty FROM "user" WHERE role = 'ASSISTER'
+      ON CONFLICT (user_id) DO NOTHING;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS assister_engagement (
+        engagement_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        assister_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+        requested_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+        message TEXT,
+        response_message TEXT,
+        status TEXT NOT NULL DEFAULT 'PENDING'
+          CHECK (status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'CANCELLED', 'COMPLETED')),
+        created_at TIMESTAMP DEFAULT NOW(),
+        responded_at TIMESTAMP,
+        ended_at TIMESTAMP
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_assister_engagement_open
+        ON assister_engagement(assister_id, organization_id)
+        WHERE status IN ('PENDING', 'ACCEPTED');
+      CREATE INDEX IF NOT EXISTS idx_assister_engagement_org ON assister_engagement(organization_id, status);
+    `);
+    // Assisters already working on an organization's sections keep their access
+    await pool.query(`
+      INSERT INTO assister_engagement (assister_id, organization_id, requested_by, status, responded_at)
+      SELECT DISTINCT ON (a.user_id, a.organization_id) a.user_id, a.organization_id, a.assigned_by, 'ACCEPTED', NOW()
+      FROM (
+        SELECT pc.user_id, p.organization_id, pc.assigned_by
+        FROM proposal_collaborator pc
+        JOIN proposal p ON pc.proposal_id = p.proposal_id
+        UNION ALL
+        SELECT upc.user_id, ut.organization_id, upc.assigned_by
+        FROM uploaded_proposal_collaborator upc
+        JOIN uploaded_tender ut ON upc.uploaded_tender_id = ut.uploaded_tender_id
+      ) a
+      JOIN "user" u ON u.user_id = a.user_id AND u.role = 'ASSISTER'
+      ON CONFLICT (assister_id, organization_id) WHERE status IN ('PENDING', 'ACCEPTED') DO NOTHING;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS assister_review (
+        review_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        engagement_id UUID NOT NULL UNIQUE REFERENCES assister_engagement(engagement_id) ON DELETE CASCADE,
+        assister_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+        reviewer_id UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_assister_review_assister ON assister_review(assister_id);
+    `);
+    console.log('[DB] Migration: Added assister marketplace');
+
+    // Rebuild embeddings when the provider, model or dimension changed. A dimension change
+    // always triggers it: until the column is resized every ingest and query would fail.
+    const state = await EmbeddingIndexService.getIndexState();
+    if (state.config.provider === 'hash') {
+      console.warn('[Embedding] EMBEDDING_PROVIDER=hash: retrieval is NOT semantic. Use only for tests.');
+    }
+
+    const dimensionChanged = state.columnDimension && state.columnDimension !== state.config.dimension;
+    if (env.EMBEDDING_REINDEX_ON_STARTUP === 'true' || dimensionChanged) {
+      if (dimensionChanged) {
+        console.warn(
+          `[Embedding] Index column is VECTOR(${state.columnDimension}) but ${state.config.signature} ` +
+          `produces ${state.config.dimension}-d vectors; resizing and re-embedding`
+        );
+      }
+      EmbeddingIndexService.reembedIfStale().catch((err) => {
+        console.error('[Embedding] Startup re-embedding failed:', err.message);
+      });
+    } else if (state.needsReindex) {
+      console.warn(
+        `[Embedding] ${state.staleChunks} chunk(s) not embedded with ${state.config.signature}. ` +
+        'Run: node src/scripts/trainRAG.js --action=reembed'
+      );
+    }
+
   } catch (err) {
     console.error('[DB] Migration error:', err.message);
   }
@@ -310,6 +965,9 @@ import uploadedTenderRoutes from './routes/uploadedTender.routes.js';
 import collaborationRoutes from './routes/collaboration.routes.js';
 import reviewerRoutes from './routes/reviewer.routes.js'; // Assister routes
 import insightsRoutes from './routes/insights.routes.js';
+import organizationRoutes from './routes/organization.routes.js';
+import notificationRoutes from './routes/notification.routes.js';
+import assisterRoutes from './routes/assister.routes.js';
 
 // Services that need initialization
 import { AuditLogService } from './services/auditLog.service.js';
@@ -351,7 +1009,10 @@ app.use('/api/pdf', pdfAnalysisRoutes);
 app.use('/api/uploaded-tender', uploadedTenderRoutes);
 app.use('/api/collaboration', collaborationRoutes);
 app.use('/api/assister', reviewerRoutes); // Assister routes (reuses reviewer route handlers)
+app.use('/api/assisters', assisterRoutes); // Assister marketplace (directory, engagements, reviews)
 app.use('/api/insights', insightsRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Initialize audit log table on startup
 AuditLogService.initializeTable().catch(err => {
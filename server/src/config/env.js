@@ -62,8 +62,24 @@ export const env = (() => {
     DATABASE_URL: process.env.DATABASE_URL,
     GROQ_API_KEY: process.env.GROQ_API_KEY,
     JWT_SECRET: process.env.JWT_SECRET,
+    // Login sessions: short-lived access JWTs renewed with rotating refresh tokens
+    ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || '15m',
+    REFRESH_TOKEN_TTL_DAYS: process.env.REFRESH_TOKEN_TTL_DAYS || '30',
     // OpenAI API (for embeddings and proposal drafting)
     OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+    // Embeddings (provider: openai | local | hash; when unset, openai if an API key is set, else local)
+    EMBEDDING_PROVIDER: process.env.EMBEDDING_PROVIDER || '',
+    EMBEDDING_MODEL: process.env.EMBEDDING_MODEL || '',
+    OPENAI_EMBEDDING_MODEL: process.env.OPENAI_EMBEDDING_MODEL || '',
+    EMBEDDING_DIMENSION: process.env.EMBEDDING_DIMENSION || '',
+    EMBEDDING_API_URL: process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1',
+    EMBEDDING_API_KEY: process.env.EMBEDDING_API_KEY,
+    EMBEDDING_CACHE_DIR: process.env.EMBEDDING_CACHE_DIR || '',
+    EMBEDDING_REINDEX_ON_STARTUP: process.env.EMBEDDING_REINDEX_ON_STARTUP || 'false',
+    // RAG retrieval (mode: hybrid | vector; reranker: keyword | cross-encoder | none)
+    RAG_RETRIEVAL_MODE: process.env.RAG_RETRIEVAL_MODE || 'hybrid',
+    RAG_RERANKER: process.env.RAG_RERANKER || 'keyword',
+    RAG_RERANKER_MODEL: process.env.RAG_RERANKER_MODEL || '',
     // Gemini API (for post-processing and formatting)
     GEMINI_API_KEY: process.env.GEMINI_API_KEY,
     // Optional AI tuning
@@ -74,6 +90,21 @@ export const env = (() => {
     CORS_ALLOW_CREDENTIALS: process.env.CORS_ALLOW_CREDENTIALS || 'false',
     RATE_LIMIT_WINDOW_MS: process.env.RATE_LIMIT_WINDOW_MS || '60000',
     RATE_LIMIT_MAX: process.env.RATE_LIMIT_MAX || '30',
+    AUTH_RATE_LIMIT_WINDOW_MS: process.env.AUTH_RATE_LIMIT_WINDOW_MS || '900000',
+    AUTH_RATE_LIMIT_MAX: process.env.AUTH_RATE_LIMIT_MAX || '10',
+    // Public URL of the web client (links in emails)
+    APP_URL: process.env.APP_URL || 'http://localhost:5173',
+    // Outgoing mail (transport: smtp | file; auto-detected when unset)
+    MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || '',
+    MAIL_FROM: process.env.MAIL_FROM || 'Tender Management System <no-reply@tms.local>',
+    MAIL_FILE_DIR: process.env.MAIL_FILE_DIR || 'mail-outbox',
+    SMTP_HOST: process.env.SMTP_HOST || '',
+    SMTP_PORT: process.env.SMTP_PORT || '587',
+    SMTP_SECURE: process.env.SMTP_SECURE || 'false',
+    SMTP_USER: process.env.SMTP_USER || '',
+    SMTP_PASSWORD: process.env.SMTP_PASSWORD,
+    // Saved search alerts
+    TENDER_ALERT_DIGEST: process.env.TENDER_ALERT_DIGEST || 'true',
   };
 })();
 
@@ -1,4 +1,5 @@
 import { AIService } from '../services/ai.service.js';
+import { streamSSE } from '../utils/sse.js';
 
 export async function queryTenderAI(req, res, next) {
   try {
@@ -9,8 +10,36 @@ export async function queryTenderAI(req, res, next) {
     }
 
     try {
-      const answer = await AIService.queryTenderAI(tenderId, question);
-      res.json({ answer });
+      const { answer, citations } = await AIService.queryTenderAIWithCitations(tenderId, question);
+      res.json({ answer, citations });
+    } catch (err) {
+      if (err.message === 'Tender not found') {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.message === 'Tender must be published to query AI') {
+        return res.status(403).json({ error: err.message });
+      }
+      throw err;
+    }
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Streaming variant of queryTenderAI (text/event-stream)
+ * Events: token { text } ... done { answer, citations } | error { error }
+ */
+export async function queryTenderAIStream(req, res, next) {
+  try {
+    const { tenderId, question } = req.body;
+
+    if (!tenderId || !question) {
+      return res.status(400).json({ error: 'tenderId and question are required' });
+    }
+
+    try {
+      await streamSSE(res, (signal) => AIService.streamTenderAIWithCitations(tenderId, question, signal));
     } catch (err) {
       if (err.message === 'Tender not found') {
         return res.status(404).json({ error: err.message });
@@ -0,0 +1,132 @@
+import { AssisterService } from '../services/assister.service.js';
+import { PermissionService } from '../services/permission.service.js';
+
+/**
+ * Status code for assister marketplace errors
+ */
+function assisterErrorStatus(err) {
+  if (err.message === 'Forbidden') return 403;
+  if (err.message.includes('not found')) return 404;
+  if (
+    err.message.includes('already has an open engagement') ||
+    err.message.includes('already been reviewed') ||
+    err.message.includes('no longer pending') ||
+    err.message.startsWith('Only pending') ||
+    err.message.startsWith('Only accepted') ||
+    err.message.startsWith('Only completed')
+  ) {
+    return 409;
+  }
+  if (
+    err.message.includes('must be') ||
+    err.message.startsWith('Unknown') ||
+    err.message.includes('not taking new requests')
+  ) {
+    return 400;
+  }
+  return null;
+}
+
+const handle = (fn) => async (req, res, next) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    const status = assisterErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+};
+
+// Engagements are managed by assisters themselves and by bidders who assign sections
+const assertCanManageEngagements = (user) => {
+  if (user.role === 'ASSISTER') return;
+  if (user.role === 'BIDDER' && PermissionService.canAccessFeature(user, 'section_assign')) return;
+  throw new Error('Forbidden');
+};
+
+/**
+ * Expertise tags and sectors assisters can pick from
+ */
+export const getOptions = handle(async (req, res) => {
+  res.json(AssisterService.getOptions());
+});
+
+/**
+ * Assister directory (bidders). Query: q, tag, sector, minRating, available, sort, limit, offset
+ */
+export const listDirectory = handle(async (req, res) => {
+  const { assisters, total } = await AssisterService.listDirectory(req.query, req.user.organizationId);
+  res.json({ assisters, total });
+});
+
+export const getProfile = handle(async (req, res) => {
+  const assister = await AssisterService.getProfile(req.params.assisterId, req.user.organizationId);
+  res.json({ assister });
+});
+
+// The signed-in assister's own directory profile
+export const getMyProfile = handle(async (req, res) => {
+  const assister = await AssisterService.getProfile(req.user.id);
+  res.json({ assister });
+});
+
+export const updateMyProfile = handle(async (req, res) => {
+  const assister = await AssisterService.updateProfile(req.user.id, req.body);
+  res.json({ assister });
+});
+
+export const listEngagements = handle(async (req, res) => {
+  if (!['ASSISTER', 'BIDDER'].includes(req.user.role)) throw new Error('Forbidden');
+  const engagements = await AssisterService.listEngagements(req.user);
+  res.json({ engagements });
+});
+
+/**
+ * Ask an assister to work with the organization. Body: { message }
+ */
+export const requestEngagement = handle(async (req, res) => {
+  const engagement = await AssisterService.requestEngagement(req.params.assisterId, req.user, req.body.message);
+  res.status(201).json({ engagement });
+});
+
+export const acceptEngagement = handle(async (req, res) => {
+  const engagement = await AssisterService.respondToEngagement(
+    req.params.engagementId,
+    req.user,
+    true,
+    req.body.message
+  );
+  res.json({ engagement });
+});
+
+export const declineEngagement = handle(async (req, res) => {
+  const engagement = await AssisterService.respondToEngagement(
+    req.params.engagementId,
+    req.user,
+    false,
+    req.body.message
+  );
+  res.json({ engagement });
+});
+
+export const cancelEngagement = handle(async (req, res) => {
+  const engagement = await AssisterService.cancelEngagement(req.params.engagementId, req.user.organizationId);
+  res.json({ engagement });
+});
+
+/**
+ * End an accepted engagement; the assister loses access to the organization's sections
+ */
+export const completeEngagement = handle(async (req, res) => {
+  assertCanManageEngagements(req.user);
+  const engagement = await AssisterService.completeEngagement(req.params.engagementId, req.user);
+  res.json({ engagement });
+});
+
+/**
+ * Review a completed engagement. Body: { rating (1-5), comment }
+ */
+export const reviewEngagement = handle(async (req, res) => {
+  const review = await AssisterService.reviewEngagement(req.params.engagementId, req.user, req.body);
+  res.status(201).json({ review });
+});
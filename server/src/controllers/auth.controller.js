@@ -1,11 +1,16 @@
 import { AuthService } from '../services/auth.service.js';
+import { SessionService } from '../services/session.service.js';
+import { AccountService, MIN_PASSWORD_LENGTH } from '../services/account.service.js';
+
+// Recorded on the session so users can recognize it in their sessions list
+const requestMeta = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
 
 export async function signup(req, res, next) {
   try {
-    const { name, email, password, role, organizationName, specialty } = req.body;
+    const { name, email, password, role, organizationName, specialty, invitationToken } = req.body;
 
-    // Input validation
-    if (!name || !email || !password || !role) {
+    // Input validation (an invitation decides the role and organization)
+    if (!name || !email || !password || (!role && !invitationToken)) {
       return res.status(400).json({
         error: 'Missing required fields: name, email, password, role',
       });
@@ -13,7 +18,7 @@ export async function signup(req, res, next) {
 
     // organizationName is optional for ASSISTER
     // but required for AUTHORITY/BIDDER
-    if (['AUTHORITY', 'BIDDER'].includes(role) && !organizationName) {
+    if (!invitationToken && ['AUTHORITY', 'BIDDER'].includes(role) && !organizationName) {
       return res.status(400).json({
         error: 'Missing required field: organizationName',
       });
@@ -26,12 +31,12 @@ export async function signup(req, res, next) {
     }
 
     // Password strength validation
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
     }
 
     // Role validation
-    if (!['AUTHORITY', 'BIDDER', 'ASSISTER'].includes(role)) {
+    if (!invitationToken && !['AUTHORITY', 'BIDDER', 'ASSISTER'].includes(role)) {
       return res.status(400).json({ error: 'Role must be AUTHORITY, BIDDER, or ASSISTER' });
     }
 
@@ -47,7 +52,8 @@ export async function signup(req, res, next) {
       role,
       organizationName,
       specialty,
-    });
+      invitationToken,
+    }, requestMeta(req));
 
     res.status(201).json(result);
   } catch (err) {
@@ -57,6 +63,9 @@ export async function signup(req, res, next) {
     if (err.message.startsWith('Database not migrated for ASSISTER role')) {
       return res.status(400).json({ error: err.message });
     }
+    if (err.message.startsWith('Invitation') || err.message.includes('different email address')) {
+      return res.status(400).json({ error: err.message });
+    }
     next(err);
   }
 }
@@ -70,7 +79,7 @@ export async function login(req, res, next) {
       return res.status(400).json({ error: 'Email and password are required' });
     }
 
-    const result = await AuthService.login(email, password);
+    const result = await AuthService.login(email, password, requestMeta(req));
     res.json(result);
   } catch (err) {
     if (err.message === 'Invalid email or password') {
@@ -80,6 +89,24 @@ export async function login(req, res, next) {
   }
 }
 
+// Second login step for accounts with two-factor authentication
+export async function loginTwoFactor(req, res, next) {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+
+    const result = await AuthService.completeTwoFactorLogin(challengeToken, code, requestMeta(req));
+    res.json(result);
+  } catch (err) {
+    if (err.message === 'Invalid verification code' || err.message.startsWith('Login attempt expired')) {
+      return res.status(401).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
 export async function me(req, res, next) {
   try {
     res.json({ user: req.user });
@@ -87,3 +114,143 @@ export async function me(req, res, next) {
     next(err);
   }
 }
+
+export async function refresh(req, res, next) {
+  try {
+    const result = await SessionService.refresh(req.body.refreshToken, requestMeta(req));
+    res.json(result);
+  } catch (err) {
+    if (['Refresh token is required', 'Invalid refresh token', 'Session expired'].includes(err.message)) {
+      return res.status(401).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+// Ends the session of the given refresh token; succeeds even if it already ended
+export async function logout(req, res, next) {
+  try {
+    await SessionService.revokeByRefreshToken(req.body.refreshToken);
+    res.json({ success: true });
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function listSessions(req, res, next) {
+  try {
+    const sessions = await SessionService.list(req.user.id, req.user.sessionId);
+    res.json({ sessions });
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function revokeSession(req, res, next) {
+  try {
+    await SessionService.revoke(req.user.id, req.params.sessionId);
+    res.json({ revoked: true });
+  } catch (err) {
+    if (err.message === 'Session not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+// Logout everywhere else: every session but the caller's
+export async function revokeOtherSessions(req, res, next) {
+  try {
+    const revoked = await SessionService.revokeAll(req.user.id, req.user.sessionId);
+    res.json({ revoked });
+  } catch (err) {
+    next(err);
+  }
+}
+
+// Errors of one-time links (expired, used, unknown)
+const isLinkError = (err) => err.message.startsWith('This link');
+
+// Always answers the same way so the response doesn't reveal which emails have accounts
+export async function forgotPassword(req, res, next) {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    await AccountService.requestPasswordReset(email);
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function resetPassword(req, res, next) {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    await AccountService.resetPassword(token, password);
+    res.json({ success: true });
+  } catch (err) {
+    if (isLinkError(err)) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+export async function changePassword(req, res, next) {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'Current and new password are required' });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const revokedSessions = await AccountService.changePassword(
+      req.user.id,
+      currentPassword,
+      newPassword,
+      req.user.sessionId
+    );
+    res.json({ success: true, revokedSessions });
+  } catch (err) {
+    if (err.message === 'Current password is incorrect' || err.message.startsWith('New password')) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+export async function verifyEmail(req, res, next) {
+  try {
+    await AccountService.verifyEmail(req.body.token);
+    res.json({ success: true });
+  } catch (err) {
+    if (isLinkError(err)) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+export async function resendVerification(req, res, next) {
+  try {
+    await AccountService.sendVerification({ user_id: req.user.id, name: req.user.name, email: req.user.email });
+    res.json({ success: true });
+  } catch (err) {
+    if (err.message === 'Email is already verified') {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+}
@@ -1,4 +1,6 @@
 import { EvaluationService } from '../services/evaluation.service.js';
+import { EvaluationCommitteeService } from '../services/evaluationCommittee.service.js';
+import { BidOpeningService, SEALED_ERROR } from '../services/bidOpening.service.js';
 
 /**
  * Get list of tenders ready for evaluation
@@ -21,7 +23,7 @@ export async function getBidsForTender(req, res, next) {
     const bids = await EvaluationService.getBidsForTender(tenderId, req.user);
     res.json({ bids });
   } catch (err) {
-    if (err.message.includes('Unauthorized')) {
+    if (err.message.includes('Unauthorized') || err.message === SEALED_ERROR) {
       return res.status(403).json({ error: err.message });
     }
     if (err.message.includes('not found')) {
@@ -40,7 +42,7 @@ export async function initializeTenderEvaluation(req, res, next) {
     const result = await EvaluationService.initializeTenderEvaluation(tenderId, req.user);
     res.json(result);
   } catch (err) {
-    if (err.message.includes('Unauthorized')) {
+    if (err.message.includes('Unauthorized') || err.message === SEALED_ERROR) {
       return res.status(403).json({ error: err.message });
     }
     if (err.message.includes('not found')) {
@@ -56,7 +58,7 @@ export async function initializeTenderEvaluation(req, res, next) {
 export async function updateBidEvaluation(req, res, next) {
   try {
     const { proposalId } = req.params;
-    const { technical_status, technical_score, remarks } = req.body;
+    const { technical_status, technical_score, remarks, bid_amount, criterion_scores } = req.body;
 
     if (!technical_status) {
       return res.status(400).json({ error: 'Technical status is required' });
@@ -73,15 +75,27 @@ export async function updateBidEvaluation(req, res, next) {
 
     const result = await EvaluationService.updateBidEvaluation(
       proposalId,
-      { technical_status, technical_score: normalizedScore, remarks },
+      { technical_status, technical_score: normalizedScore, remarks, bid_amount, criterion_scores },
       req.user
     );
 
     res.json(result);
   } catch (err) {
-    if (err.message.includes('Unauthorized')) {
+    if (
+      err.message.includes('Unauthorized') ||
+      err.message.includes('committee chair') ||
+      err.message === SEALED_ERROR
+    ) {
       return res.status(403).json({ error: err.message });
     }
+    if (
+      err.message.startsWith('Consensus can be recorded') ||
+      err.message.includes('must be') ||
+      err.message.startsWith('Marks for') ||
+      err.message.startsWith('Justification for')
+    ) {
+      return res.status(400).json({ error: err.message });
+    }
     if (err.message.includes('not found')) {
       return res.status(404).json({ error: err.message });
     }
@@ -98,9 +112,16 @@ export async function completeEvaluation(req, res, next) {
     const result = await EvaluationService.completeEvaluation(tenderId, req.user);
     res.json(result);
   } catch (err) {
-    if (err.message.includes('Unauthorized')) {
+    if (err.message.includes('Unauthorized') || err.message.includes('committee chair')) {
       return res.status(403).json({ error: err.message });
     }
+    if (
+      err.message.startsWith('QCBS') ||
+      err.message.startsWith('All evaluation criteria') ||
+      err.message.startsWith('All committee members')
+    ) {
+      return res.status(400).json({ error: err.message });
+    }
     if (err.message.includes('not found')) {
       return res.status(404).json({ error: err.message });
     }
@@ -126,3 +147,222 @@ export async function getTenderEvaluationDetails(req, res, next) {
     next(err);
   }
 }
+
+/**
+ * Get evaluation method, QCBS weights/cutoff and the criteria rubric
+ */
+export async function getEvaluationConfig(req, res, next) {
+  try {
+    const { tenderId } = req.params;
+    const config = await EvaluationService.getEvaluationConfig(tenderId, req.user);
+    res.json({ config });
+  } catch (err) {
+    if (err.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+/**
+ * Update evaluation method and QCBS weights/cutoff
+ */
+export async function updateEvaluationConfig(req, res, next) {
+  try {
+    const { tenderId } = req.params;
+    const config = await EvaluationService.updateEvaluationConfig(tenderId, req.body, req.user);
+    res.json({ config });
+  } catch (err) {
+    if (err.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message === 'Evaluation already completed') {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.message.startsWith('QCBS') || err.message.includes('must be')) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+/**
+ * Get bid ranking (L1 / QCBS) with the scoring formula
+ */
+export async function getRanking(req, res, next) {
+  try {
+    const { tenderId } = req.params;
+    const ranking = await EvaluationService.getRanking(tenderId, req.user);
+    res.json(ranking);
+  } catch (err) {
+    if (err.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+/**
+ * Status code for committee workflow errors
+ */
+function committeeErrorStatus(err) {
+  if (err.message.includes('Unauthorized') || err.message === SEALED_ERROR) return 403;
+  if (err.message.includes('not found')) return 404;
+  if (err.message.includes('already')) return 409;
+  if (
+    err.message.includes('must') ||
+    err.message.includes('needs') ||
+    err.message.includes('is required') ||
+    err.message.startsWith('Submit your own scores') ||
+    err.message.startsWith('Score every criterion') ||
+    err.message.startsWith('The chair has not') ||
+    err.message.startsWith('Committee cannot be changed') ||
+    err.message.startsWith('Each committee member')
+  ) {
+    return 400;
+  }
+  return null;
+}
+
+/**
+ * Get the evaluation committee
+ */
+export async function getCommittee(req, res, next) {
+  try {
+    const committee = await EvaluationCommitteeService.getCommittee(req.params.tenderId, req.user);
+    res.json(committee);
+  } catch (err) {
+    const status = committeeErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Appoint the evaluation committee (members with one chair)
+ */
+export async function setCommittee(req, res, next) {
+  try {
+    const committee = await EvaluationCommitteeService.setCommittee(
+      req.params.tenderId,
+      req.body.members,
+      req.user
+    );
+    res.json(committee);
+  } catch (err) {
+    const status = committeeErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Save the current member's independent scores for a bid
+ */
+export async function saveMyScores(req, res, next) {
+  try {
+    const scores = await EvaluationCommitteeService.saveMyScores(
+      req.params.proposalId,
+      req.body.scores,
+      req.user
+    );
+    res.json({ scores });
+  } catch (err) {
+    const status = committeeErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Submit the current member's scores
+ */
+export async function submitMyScores(req, res, next) {
+  try {
+    const committee = await EvaluationCommitteeService.submitMyScores(req.params.tenderId, req.user);
+    res.json(committee);
+  } catch (err) {
+    const status = committeeErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Independent scores per criterion with variance and consensus
+ */
+export async function getCommitteeScores(req, res, next) {
+  try {
+    const scores = await EvaluationCommitteeService.getCommitteeScores(req.params.tenderId, req.user);
+    res.json(scores);
+  } catch (err) {
+    const status = committeeErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Sign off the consensus scores
+ */
+export async function signOffEvaluation(req, res, next) {
+  try {
+    const committee = await EvaluationCommitteeService.signOff(req.params.tenderId, req.user);
+    res.json(committee);
+  } catch (err) {
+    const status = committeeErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Sealed-bid status: sealed bid count before the opening, the opening record after it
+ */
+export async function getBidOpening(req, res, next) {
+  try {
+    const status = await BidOpeningService.getStatus(req.params.tenderId, req.user);
+    res.json(status);
+  } catch (err) {
+    if (err.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+/**
+ * Open the sealed bids of a tender (after the deadline; committee chair when appointed)
+ */
+export async function openBids(req, res, next) {
+  try {
+    const opening = await BidOpeningService.openBids(req.params.tenderId, req.user, req);
+    res.status(201).json({ opening });
+  } catch (err) {
+    if (err.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (err.message.includes('not found')) {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message.includes('already been opened')) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.message.startsWith('This tender does not use') || err.message.startsWith('Bids cannot be opened')) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+}
@@ -0,0 +1,64 @@
+import { NotificationService } from '../services/notification.service.js';
+
+/**
+ * List the current user's notifications with the unread count
+ */
+export async function listNotifications(req, res, next) {
+  try {
+    const result = await NotificationService.listNotifications(req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+    });
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Unread count only (polled by the notification bell)
+ */
+export async function getUnreadCount(req, res, next) {
+  try {
+    const unread_count = await NotificationService.getUnreadCount(req.user.id);
+    res.json({ unread_count });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Mark notifications as read: { notification_ids } or all when omitted
+ */
+export async function markNotificationsRead(req, res, next) {
+  try {
+    const ids = Array.isArray(req.body?.notification_ids) ? req.body.notification_ids : null;
+    const updated = await NotificationService.markRead(req.user.id, ids);
+    res.json({ updated });
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * In-app / email delivery preferences per notification type
+ */
+export async function getNotificationPreferences(req, res, next) {
+  try {
+    const preferences = await NotificationService.getPreferences(req.user.id);
+    res.json({ preferences });
+  } catch (err) {
+    next(err);
+  }
+}
+
+export async function updateNotificationPreferences(req, res, next) {
+  try {
+    const preferences = await NotificationService.updatePreferences(req.user.id, req.body?.preferences);
+    res.json({ preferences });
+  } catch (err) {
+    if (err.message.startsWith('Unknown notification type')) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+}
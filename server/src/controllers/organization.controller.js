@@ -0,0 +1,88 @@
+import { OrganizationService } from '../services/organization.service.js';
+
+/**
+ * Status code for profile validation / lookup errors
+ */
+function profileErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (
+    err.message.includes('is required') ||
+    err.message.includes('not valid') ||
+    err.message.includes('must') ||
+    err.message.includes('more than once')
+  ) {
+    return 400;
+  }
+  return null;
+}
+
+/**
+ * Get the profile of the current user's organization
+ */
+export async function getMyOrganization(req, res, next) {
+  try {
+    const organization = await OrganizationService.getProfile(req.user.organizationId);
+    res.json({ organization });
+  } catch (err) {
+    const status = profileErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Update the profile (registration numbers, address, contact, signatory,
+ * turnover history and certifications)
+ */
+export async function updateMyOrganization(req, res, next) {
+  try {
+    const organization = await OrganizationService.updateProfile(req.user.organizationId, req.body);
+    res.json({ organization });
+  } catch (err) {
+    const status = profileErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Serve the organization logo
+ */
+export async function getMyOrganizationLogo(req, res, next) {
+  try {
+    const logo = await OrganizationService.getLogo(req.user.organizationId);
+    if (!logo) return res.status(404).json({ error: 'Logo not found' });
+
+    res.setHeader('Content-Type', logo.mimeType);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    res.send(logo.buffer);
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Upload (replace) the organization logo
+ */
+export async function uploadMyOrganizationLogo(req, res, next) {
+  try {
+    await OrganizationService.setLogo(req.user.organizationId, req.file);
+    res.json({ has_logo: true });
+  } catch (err) {
+    const status = profileErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Remove the organization logo
+ */
+export async function deleteMyOrganizationLogo(req, res, next) {
+  try {
+    await OrganizationService.removeLogo(req.user.organizationId);
+    res.json({ has_logo: false });
+  } catch (err) {
+    next(err);
+  }
+}
@@ -8,6 +8,7 @@ import { MultiStepEvaluationService } from '../services/multiStepEvaluation.serv
 import { UploadedTenderService } from '../services/uploadedTender.service.js';
 import { SavedTenderService } from '../services/savedTender.service.js';
 import { ProposalPdfExportService } from '../services/proposalPdfExport.service.js';
+import { OrganizationService } from '../services/organization.service.js';
 import { pool } from '../config/db.js';
 
 export const PDFAnalysisController = {
@@ -299,11 +300,12 @@ Write the improved section content directly (no JSON, just the content).`;
 
       console.log(`[PDF Export] Generating PDF with ${proposalSections.length} sections, template: ${template || 'government'}`);
 
-      // Get user/company info from request if not provided
-      const finalCompanyInfo = companyInfo || {
-        name: req.user?.organizationName || '[BIDDER NAME]',
-        email: req.user?.email || '[EMAIL]',
-      };
+      // Company details come from the organization profile; values typed in for this export win
+      const profileInfo = await OrganizationService.getCompanyInfo(req.user.organizationId);
+      const overrides = Object.fromEntries(
+        Object.entries(companyInfo || {}).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+      );
+      const finalCompanyInfo = { ...profileInfo, ...overrides };
 
       const finalTenderInfo = tenderInfo || {
         title: 'Tender Proposal',
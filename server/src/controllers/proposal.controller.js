@@ -1,4 +1,5 @@
 import { ProposalService } from '../services/proposal.service.js';
+import { SEALED_ERROR } from '../services/bidOpening.service.js';
 
 // BIDDER: create draft
 export async function createProposal(req, res, next) {
@@ -26,7 +27,7 @@ export async function getProposal(req, res, next) {
     res.json(proposal);
   } catch (err) {
     if (err.message === 'Proposal not found') return res.status(404).json({ error: err.message });
-    if (err.message === 'Forbidden') return res.status(403).json({ error: err.message });
+    if (err.message === 'Forbidden' || err.message === SEALED_ERROR) return res.status(403).json({ error: err.message });
     next(err);
   }
 }
@@ -35,19 +36,22 @@ export async function getProposal(req, res, next) {
 export async function upsertSectionResponse(req, res, next) {
   try {
     const { id, sectionId } = req.params;
-    const { content } = req.body;
+    const { content, baseRevision, source } = req.body;
 
     if (!content || !content.trim()) {
       return res.status(400).json({ error: 'content is required' });
     }
 
-    const response = await ProposalService.upsertSectionResponse(id, sectionId, content, req.user);
+    const response = await ProposalService.upsertSectionResponse(id, sectionId, content, req.user, baseRevision, {
+      source: source === 'AI_DRAFT' ? 'AI_DRAFT' : 'HUMAN',
+    });
     res.json(response);
   } catch (err) {
     if (err.message === 'Proposal not found') return res.status(404).json({ error: err.message });
     if (err.message === 'Section does not belong to this tender') return res.status(400).json({ error: err.message });
     if (err.message === 'Forbidden') return res.status(403).json({ error: err.message });
     if (err.message === 'Cannot edit a non-draft proposal') return res.status(403).json({ error: err.message });
+    if (err.message === 'Section was modified by someone else') return res.status(409).json({ error: err.message, current: err.current });
     next(err);
   }
 }
@@ -72,6 +76,7 @@ export async function submitProposal(req, res, next) {
     if (err.message === 'Proposal not found') return res.status(404).json({ error: err.message });
     if (err.message === 'Forbidden') return res.status(403).json({ error: err.message });
     if (err.message === 'Proposal already submitted') return res.status(400).json({ error: err.message, details: err.details });
+    if (err.message === 'Submission deadline has passed') return res.status(409).json({ error: err.message, details: err.details });
     
     next(err);
   }
@@ -112,7 +117,7 @@ export async function listSubmittedProposalsByTender(req, res, next) {
     res.json({ proposals, pagination: { limit, offset } });
   } catch (err) {
     if (err.message === 'Tender not found') return res.status(404).json({ error: err.message });
-    if (err.message === 'Forbidden') return res.status(403).json({ error: err.message });
+    if (err.message === 'Forbidden' || err.message === SEALED_ERROR) return res.status(403).json({ error: err.message });
     next(err);
   }
 }
@@ -125,7 +130,7 @@ export async function getSubmittedProposalDetail(req, res, next) {
     res.json(proposal);
   } catch (err) {
     if (err.message === 'Proposal not found') return res.status(404).json({ error: err.message });
-    if (err.message === 'Forbidden') return res.status(403).json({ error: err.message });
+    if (err.message === 'Forbidden' || err.message === SEALED_ERROR) return res.status(403).json({ error: err.message });
     if (err.message === 'Proposal is not submitted') return res.status(400).json({ error: err.message });
     next(err);
   }
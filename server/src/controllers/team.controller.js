@@ -0,0 +1,102 @@
+import { TeamService } from '../services/team.service.js';
+
+/**
+ * Status code for member / invitation errors
+ */
+function teamErrorStatus(err) {
+  if (err.message === 'Forbidden' || err.message.startsWith('Only owners')) return 403;
+  if (err.message.includes('not found')) return 404;
+  if (err.message === 'Invitation has expired' || err.message === 'Invitation has already been used') return 410;
+  if (
+    err.message.includes('required') ||
+    err.message.includes('must be') ||
+    err.message.includes('cannot') ||
+    err.message.includes('already a member') ||
+    err.message.includes('at least one owner') ||
+    err.message.includes('different email address') ||
+    err.message.startsWith('This invitation is for') ||
+    err.message.startsWith('Make another member')
+  ) {
+    return 400;
+  }
+  return null;
+}
+
+const handle = (fn) => async (req, res, next) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    const status = teamErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+};
+
+/**
+ * Members of the current user's organization
+ */
+export const listMembers = handle(async (req, res) => {
+  const members = await TeamService.listMembers(req.user.organizationId);
+  res.json({ members });
+});
+
+/**
+ * Change a member's org role (owners and admins)
+ */
+export const updateMemberRole = handle(async (req, res) => {
+  const member = await TeamService.updateMemberRole(
+    req.user.organizationId,
+    req.params.userId,
+    req.body.orgRole,
+    req.user
+  );
+  res.json({ member });
+});
+
+/**
+ * Remove a member from the organization (owners and admins)
+ */
+export const removeMember = handle(async (req, res) => {
+  await TeamService.removeMember(req.user.organizationId, req.params.userId, req.user);
+  res.json({ removed: true });
+});
+
+/**
+ * Open invitations of the organization
+ */
+export const listInvitations = handle(async (req, res) => {
+  const invitations = await TeamService.listInvitations(req.user.organizationId);
+  res.json({ invitations });
+});
+
+/**
+ * Invite someone by email with an org role (owners and admins)
+ */
+export const inviteMember = handle(async (req, res) => {
+  const invitation = await TeamService.inviteMember(req.user.organizationId, req.body, req.user);
+  res.status(201).json({ invitation });
+});
+
+/**
+ * Revoke an open invitation (owners and admins)
+ */
+export const revokeInvitation = handle(async (req, res) => {
+  await TeamService.revokeInvitation(req.user.organizationId, req.params.invitationId, req.user);
+  res.json({ revoked: true });
+});
+
+/**
+ * Public details of an invitation link
+ */
+export const getInvitation = handle(async (req, res) => {
+  const invitation = await TeamService.getInvitation(req.params.token);
+  res.json({ invitation });
+});
+
+/**
+ * Accept an invitation with the signed-in account
+ */
+export const acceptInvitation = handle(async (req, res) => {
+  const membership = await TeamService.acceptInvitation(req.params.token, req.user);
+  res.json({ membership });
+});
@@ -1,4 +1,6 @@
 import { TenderService } from '../services/tender.service.js';
+import { CorrigendumService } from '../services/corrigendum.service.js';
+import { ClarificationService } from '../services/clarification.service.js';
 
 /**
  * List tenders (role-based filtering)
@@ -232,3 +234,162 @@ export async function reorderSections(req, res, next) {
     next(err);
   }
 }
+
+/**
+ * Get the evaluation criteria rubric
+ */
+export async function getEvaluationCriteria(req, res, next) {
+  try {
+    const { id } = req.params;
+    const criteria = await TenderService.getEvaluationCriteria(id, req.user);
+    res.json({ criteria });
+  } catch (err) {
+    if (err.message === 'Tender not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+/**
+ * Replace the evaluation criteria rubric (DRAFT tenders only)
+ */
+export async function setEvaluationCriteria(req, res, next) {
+  try {
+    const { id } = req.params;
+    const criteria = await TenderService.setEvaluationCriteria(id, req.body.criteria, req.user);
+    res.json({ criteria });
+  } catch (err) {
+    if (err.message === 'Tender not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (
+      err.message.includes('Unauthorized') ||
+      err.message.includes('Cannot change evaluation criteria')
+    ) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (
+      err.message.includes('must be') ||
+      err.message.includes('needs a name') ||
+      err.message.includes('does not belong')
+    ) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+/**
+ * Issue a corrigendum (amendment) for a published tender
+ */
+export async function issueCorrigendum(req, res, next) {
+  try {
+    const { id } = req.params;
+    const corrigendum = await CorrigendumService.issueCorrigendum(id, req.body, req.user);
+    res.status(201).json({ corrigendum });
+  } catch (err) {
+    if (err.message === 'Tender not found' || err.message === 'Section not found in this tender') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message.includes('Unauthorized')) {
+      return res.status(403).json({ error: err.message });
+    }
+    if (
+      err.message.includes('required') ||
+      err.message.includes('must be') ||
+      err.message.includes('must change') ||
+      err.message.includes('only be issued')
+    ) {
+      return res.status(400).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+/**
+ * List corrigenda of a tender with section diffs
+ */
+export async function listCorrigenda(req, res, next) {
+  try {
+    const { id } = req.params;
+    const corrigenda = await CorrigendumService.listCorrigenda(id, req.user);
+    res.json({ corrigenda });
+  } catch (err) {
+    if (err.message === 'Tender not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+}
+
+/**
+ * Map clarification errors to HTTP status codes
+ */
+function clarificationErrorStatus(message) {
+  if (message === 'Tender not found' || message.includes('not found')) return 404;
+  if (message.includes('Unauthorized')) return 403;
+  if (message.includes('has closed') || message.includes('only be answered')) return 409;
+  if (message.includes('required') || message.includes('must be')) return 400;
+  return null;
+}
+
+/**
+ * Clarification board of a tender (role-filtered)
+ */
+export async function listClarifications(req, res, next) {
+  try {
+    const { id } = req.params;
+    const board = await ClarificationService.listClarifications(id, req.user);
+    res.json(board);
+  } catch (err) {
+    const status = clarificationErrorStatus(err.message);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Post a pre-bid question (bidders, before the cut-off)
+ */
+export async function askClarification(req, res, next) {
+  try {
+    const { id } = req.params;
+    const clarification = await ClarificationService.askQuestion(id, req.body, req.user);
+    res.status(201).json({ clarification });
+  } catch (err) {
+    const status = clarificationErrorStatus(err.message);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Answer a pre-bid question publicly or privately
+ */
+export async function answerClarification(req, res, next) {
+  try {
+    const { id } = req.params;
+    const clarification = await ClarificationService.answerClarification(id, req.body, req.user);
+    res.json({ clarification });
+  } catch (err) {
+    const status = clarificationErrorStatus(err.message);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
+
+/**
+ * Change the clarification cut-off date
+ */
+export async function setClarificationCutoff(req, res, next) {
+  try {
+    const { id } = req.params;
+    const result = await ClarificationService.setCutoff(id, req.body.clarification_cutoff, req.user);
+    res.json(result);
+  } catch (err) {
+    const status = clarificationErrorStatus(err.message);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+}
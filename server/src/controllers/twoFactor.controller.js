@@ -0,0 +1,84 @@
+import { TwoFactorService } from '../services/twoFactor.service.js';
+import { SessionService } from '../services/session.service.js';
+
+/**
+ * Status code for two-factor and step-up errors
+ */
+function twoFactorErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  // Wrong codes are 400, not 401: the session itself is fine and must not be refreshed or ended
+  if (
+    err.message === 'Invalid verification code' ||
+    err.message === 'Incorrect password' ||
+    err.message.includes('required') ||
+    err.message.includes('already enabled') ||
+    err.message.includes('not enabled') ||
+    err.message.startsWith('Start two-factor') ||
+    err.message.startsWith('Enable two-factor') ||
+    err.message.startsWith('Your organization requires')
+  ) {
+    return 400;
+  }
+  return null;
+}
+
+const handle = (fn) => async (req, res, next) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    const status = twoFactorErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+};
+
+export const getStatus = handle(async (req, res) => {
+  const status = await TwoFactorService.getStatus(req.user.id);
+  res.json({ twoFactor: status });
+});
+
+// New secret with otpauth URI and QR code (data URL, or null without the qrcode package)
+export const beginSetup = handle(async (req, res) => {
+  const setup = await TwoFactorService.beginEnrollment(req.user);
+  res.json({ setup });
+});
+
+export const confirmSetup = handle(async (req, res) => {
+  const recoveryCodes = await TwoFactorService.confirmEnrollment(req.user.id, req.body.code);
+  res.json({ recoveryCodes });
+});
+
+export const disable = handle(async (req, res) => {
+  await TwoFactorService.disable(req.user.id, req.body.code);
+  res.json({ disabled: true });
+});
+
+export const regenerateRecoveryCodes = handle(async (req, res) => {
+  const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+  res.json({ recoveryCodes });
+});
+
+/**
+ * Step-up: confirm identity (two-factor code, or password without two-factor)
+ * before sensitive actions
+ */
+export const stepUp = handle(async (req, res) => {
+  await TwoFactorService.reauthenticate(req.user.id, req.body);
+  const stepUpUntil = await SessionService.markReauthenticated(req.user.sessionId);
+  res.json({ stepUpUntil });
+});
+
+// Organization policy: require two-factor for every member
+export const getOrganizationRequirement = handle(async (req, res) => {
+  const policy = await TwoFactorService.getOrganizationRequirement(req.user.organizationId);
+  res.json({ policy });
+});
+
+export const updateOrganizationRequirement = handle(async (req, res) => {
+  const policy = await TwoFactorService.setOrganizationRequirement(
+    req.user.organizationId,
+    req.body.requireTwoFactor === true,
+    req.user
+  );
+  res.json({ policy });
+});
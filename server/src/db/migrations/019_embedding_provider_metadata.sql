@@ -0,0 +1,9 @@
+-- Migration: Track which embedding provider produced each chunk vector
+-- Lets the re-embedding job (EmbeddingIndexService) find vectors from an old provider, model or dimension
+
+-- Signature format: provider:model:dimension (e.g. local:Xenova/all-MiniLM-L6-v2:384)
+ALTER TABLE tender_content_chunk ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_chunk_embedding_model ON tender_content_chunk(embedding_model);
+
+COMMENT ON COLUMN tender_content_chunk.embedding_model IS 'Embedding signature (provider:model:dimension). NULL or mismatched rows are rebuilt by the re-embedding job.';
@@ -0,0 +1,11 @@
+-- Migration: Full-text search over tender content chunks
+-- Used by hybrid retrieval in RAGOrchestrator (lexical + vector, fused with reciprocal rank fusion)
+
+-- Generated column keeps the tsvector in sync with content on every insert/update
+ALTER TABLE tender_content_chunk
+ADD COLUMN IF NOT EXISTS content_tsv TSVECTOR
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_chunk_content_tsv ON tender_content_chunk USING GIN (content_tsv);
+
+COMMENT ON COLUMN tender_content_chunk.content_tsv IS 'English tsvector of content for exact-match heavy queries (EMD amounts, ISO/IS codes, clause numbers).';
@@ -0,0 +1,41 @@
+-- Migration: Quality-and-Cost-Based Selection (QCBS) evaluation
+-- Tenders choose L1 (lowest qualified price) or QCBS (weighted technical + financial score)
+
+ALTER TABLE tender
+ADD COLUMN IF NOT EXISTS evaluation_method VARCHAR(20) DEFAULT 'L1' CHECK (evaluation_method IN ('L1', 'QCBS')),
+ADD COLUMN IF NOT EXISTS technical_weight DECIMAL(5, 2),
+ADD COLUMN IF NOT EXISTS financial_weight DECIMAL(5, 2),
+ADD COLUMN IF NOT EXISTS technical_cutoff DECIMAL(5, 2);
+
+-- Technical criteria marked per bid; technical score = marks obtained / total max marks x 100
+CREATE TABLE IF NOT EXISTS tender_evaluation_criterion (
+    criterion_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    max_marks DECIMAL(6, 2) NOT NULL CHECK (max_marks > 0),
+    order_index INT DEFAULT 1,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bid_criterion_score (
+    score_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    proposal_id UUID NOT NULL REFERENCES proposal(proposal_id) ON DELETE CASCADE,
+    criterion_id UUID NOT NULL REFERENCES tender_evaluation_criterion(criterion_id) ON DELETE CASCADE,
+    marks DECIMAL(6, 2) NOT NULL CHECK (marks >= 0),
+    evaluator_user_id UUID REFERENCES "user"(user_id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (proposal_id, criterion_id)
+);
+
+-- Final ranking snapshot (H1 = highest combined score under QCBS, L1 = lowest qualified price)
+ALTER TABLE tender_evaluation_status
+ADD COLUMN IF NOT EXISTS evaluation_method VARCHAR(20) DEFAULT 'L1',
+ADD COLUMN IF NOT EXISTS h1_proposal_id UUID REFERENCES proposal(proposal_id),
+ADD COLUMN IF NOT EXISTS h1_score DECIMAL(7, 3),
+ADD COLUMN IF NOT EXISTS ranking JSONB,
+ADD COLUMN IF NOT EXISTS scoring_formula TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_criterion_tender_id ON tender_evaluation_criterion(tender_id);
+CREATE INDEX IF NOT EXISTS idx_bid_criterion_score_proposal_id ON bid_criterion_score(proposal_id);
@@ -0,0 +1,21 @@
+-- Migration: Evaluation criteria rubric per tender
+-- Criteria are authored with the tender (before publishing) and shown to bidders.
+-- SCORED criteria carry max marks; PASS_FAIL criteria are mandatory gates with no marks.
+
+ALTER TABLE tender_evaluation_criterion
+ADD COLUMN IF NOT EXISTS description TEXT,
+ADD COLUMN IF NOT EXISTS criterion_type VARCHAR(20) DEFAULT 'SCORED' CHECK (criterion_type IN ('SCORED', 'PASS_FAIL')),
+ADD COLUMN IF NOT EXISTS section_id UUID REFERENCES tender_section(section_id) ON DELETE SET NULL;
+
+ALTER TABLE tender_evaluation_criterion ALTER COLUMN max_marks DROP NOT NULL;
+ALTER TABLE tender_evaluation_criterion DROP CONSTRAINT IF EXISTS tender_evaluation_criterion_max_marks_check;
+ALTER TABLE tender_evaluation_criterion DROP CONSTRAINT IF EXISTS chk_criterion_max_marks;
+ALTER TABLE tender_evaluation_criterion
+ADD CONSTRAINT chk_criterion_max_marks CHECK (criterion_type = 'PASS_FAIL' OR max_marks > 0);
+
+-- Each score records the evaluator's justification; pass/fail criteria store passed instead of marks
+ALTER TABLE bid_criterion_score
+ADD COLUMN IF NOT EXISTS passed BOOLEAN,
+ADD COLUMN IF NOT EXISTS justification TEXT;
+
+ALTER TABLE bid_criterion_score ALTER COLUMN marks DROP NOT NULL;
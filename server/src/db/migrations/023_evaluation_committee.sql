@@ -0,0 +1,31 @@
+-- Migration: Multi-member evaluation committee
+-- Members score bids independently; the chair records the consensus score in bid_criterion_score
+-- and evaluation can only be completed once every member has signed off.
+
+CREATE TABLE IF NOT EXISTS evaluation_committee_member (
+    member_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    committee_role VARCHAR(20) NOT NULL DEFAULT 'MEMBER' CHECK (committee_role IN ('CHAIR', 'MEMBER')),
+    submitted_at TIMESTAMP,
+    signed_off_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tender_id, user_id)
+);
+
+-- Independent per-member scores (the consensus stays in bid_criterion_score)
+CREATE TABLE IF NOT EXISTS evaluator_criterion_score (
+    score_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    proposal_id UUID NOT NULL REFERENCES proposal(proposal_id) ON DELETE CASCADE,
+    criterion_id UUID NOT NULL REFERENCES tender_evaluation_criterion(criterion_id) ON DELETE CASCADE,
+    evaluator_user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    marks DECIMAL(6, 2) CHECK (marks >= 0),
+    passed BOOLEAN,
+    justification TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (proposal_id, criterion_id, evaluator_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_committee_member_tender_id ON evaluation_committee_member(tender_id);
+CREATE INDEX IF NOT EXISTS idx_evaluator_score_proposal_id ON evaluator_criterion_score(proposal_id);
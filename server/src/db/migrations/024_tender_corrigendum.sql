@@ -0,0 +1,39 @@
+-- Migration: Corrigendum / addendum for published tenders
+-- Each corrigendum is numbered per tender and records the previous and new value of every
+-- change (deadline or section text) so the original tender can always be reconstructed.
+
+CREATE TABLE IF NOT EXISTS tender_corrigendum (
+    corrigendum_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+    corrigendum_number INT NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    reason TEXT,
+    issued_by UUID REFERENCES "user"(user_id),
+    issued_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tender_id, corrigendum_number)
+);
+
+CREATE TABLE IF NOT EXISTS tender_corrigendum_change (
+    change_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    corrigendum_id UUID NOT NULL REFERENCES tender_corrigendum(corrigendum_id) ON DELETE CASCADE,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('DEADLINE', 'SECTION')),
+    section_id UUID REFERENCES tender_section(section_id) ON DELETE SET NULL,
+    previous_deadline TIMESTAMP,
+    new_deadline TIMESTAMP,
+    previous_title VARCHAR(255),
+    new_title VARCHAR(255),
+    previous_content TEXT,
+    new_content TEXT
+);
+
+-- Bidders dismiss a change notice once they have read it
+CREATE TABLE IF NOT EXISTS tender_corrigendum_ack (
+    corrigendum_id UUID NOT NULL REFERENCES tender_corrigendum(corrigendum_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    acknowledged_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (corrigendum_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_corrigendum_tender_id ON tender_corrigendum(tender_id);
+CREATE INDEX IF NOT EXISTS idx_corrigendum_change_corrigendum_id ON tender_corrigendum_change(corrigendum_id);
+CREATE INDEX IF NOT EXISTS idx_corrigendum_change_section_id ON tender_corrigendum_change(section_id);
@@ -0,0 +1,23 @@
+-- Migration: Pre-bid clarification board
+-- Bidders ask questions about a published tender (optionally about one section) until the
+-- clarification cut-off; the authority answers publicly (visible to every bidder, without the
+-- asker's identity) or privately (visible only to the asking organization).
+
+ALTER TABLE tender ADD COLUMN IF NOT EXISTS clarification_cutoff TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS tender_clarification (
+    clarification_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+    section_id UUID REFERENCES tender_section(section_id) ON DELETE SET NULL,
+    organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+    asked_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+    question TEXT NOT NULL,
+    answer TEXT,
+    visibility VARCHAR(10) CHECK (visibility IN ('PUBLIC', 'PRIVATE')),
+    answered_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+    answered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_clarification_tender_id ON tender_clarification(tender_id);
+CREATE INDEX IF NOT EXISTS idx_clarification_organization_id ON tender_clarification(organization_id);
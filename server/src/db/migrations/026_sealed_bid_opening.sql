@@ -0,0 +1,15 @@
+-- Migration: Sealed bid opening
+-- In sealed-bid mode submitted proposals stay inaccessible to the authority until the submission
+-- deadline has passed and an authorised user has executed the bid opening, which is recorded
+-- once per tender together with the bids that were opened.
+
+ALTER TABLE tender ADD COLUMN IF NOT EXISTS sealed_bids BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS tender_bid_opening (
+    opening_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tender_id UUID NOT NULL UNIQUE REFERENCES tender(tender_id) ON DELETE CASCADE,
+    opened_by UUID REFERENCES "user"(user_id),
+    opened_at TIMESTAMP DEFAULT NOW(),
+    bid_count INT NOT NULL,
+    bids JSONB NOT NULL DEFAULT '[]'
+);
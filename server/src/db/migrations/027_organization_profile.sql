@@ -0,0 +1,46 @@
+-- Migration: Organization profile
+-- Registration numbers, address, primary contact, logo and standard signatory on the
+-- organization, plus turnover history and certifications. Auto-filled into proposal
+-- exports and AI drafting prompts.
+
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS gstin TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS pan TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS cin TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS year_established INT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS address_line TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS city TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS state TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS postal_code TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS country TEXT DEFAULT 'India';
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS contact_person TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS contact_email TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS contact_phone TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS website TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS signatory_name TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS signatory_designation TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS logo BYTEA;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS logo_mime_type TEXT;
+ALTER TABLE organization ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS organization_turnover (
+    turnover_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+    financial_year TEXT NOT NULL,
+    amount NUMERIC(15, 2) NOT NULL CHECK (amount >= 0),
+    UNIQUE (organization_id, financial_year)
+);
+
+CREATE TABLE IF NOT EXISTS organization_certification (
+    certification_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    issuing_body TEXT,
+    certificate_number TEXT,
+    issued_on DATE,
+    expires_on DATE,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_turnover_organization_id ON organization_turnover(organization_id);
+CREATE INDEX IF NOT EXISTS idx_org_certification_organization_id ON organization_certification(organization_id);
@@ -0,0 +1,33 @@
+-- Migration: Organization document vault
+-- Reusable supporting documents (certificates, balance sheets, registrations, experience
+-- letters) stored once per organization with validity dates, and attachable to proposal
+-- sections so they are bundled into exports and counted by the compliance check.
+
+CREATE TABLE IF NOT EXISTS organization_document (
+    document_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+    category TEXT NOT NULL CHECK (category IN ('CERTIFICATE', 'FINANCIAL', 'REGISTRATION', 'EXPERIENCE', 'LEGAL', 'OTHER')),
+    title TEXT NOT NULL,
+    file_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    file_size INT NOT NULL,
+    content BYTEA NOT NULL,
+    valid_from DATE,
+    valid_until DATE,
+    uploaded_by UUID REFERENCES "user"(user_id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS proposal_section_document (
+    proposal_id UUID NOT NULL REFERENCES proposal(proposal_id) ON DELETE CASCADE,
+    section_id UUID NOT NULL REFERENCES tender_section(section_id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES organization_document(document_id) ON DELETE CASCADE,
+    attached_by UUID REFERENCES "user"(user_id),
+    attached_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (proposal_id, section_id, document_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_document_organization_id ON organization_document(organization_id);
+CREATE INDEX IF NOT EXISTS idx_org_document_valid_until ON organization_document(valid_until);
+CREATE INDEX IF NOT EXISTS idx_section_document_document_id ON proposal_section_document(document_id);
@@ -0,0 +1,15 @@
+-- Migration: Organization completed projects
+-- Completed work orders (client, contract value, completion date) recorded on the
+-- organization profile and matched against similar-work eligibility criteria.
+
+CREATE TABLE IF NOT EXISTS organization_project (
+    project_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    client_name TEXT,
+    contract_value NUMERIC(15, 2) NOT NULL,
+    completed_on DATE,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_org_project_organization_id ON organization_project(organization_id);
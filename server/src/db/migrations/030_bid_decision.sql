@@ -0,0 +1,49 @@
+-- Migration: Bid/no-bid decisions
+-- Organization-configurable weighted scorecard, one bid/no-bid decision per tender and
+-- organization (scores, AI recommendation, justification) and its approval history.
+-- An approved BID decision is required before collaborative drafting opens.
+
+CREATE TABLE IF NOT EXISTS bid_scorecard (
+    organization_id UUID PRIMARY KEY REFERENCES organization(organization_id) ON DELETE CASCADE,
+    weights JSONB NOT NULL,
+    bid_threshold INT NOT NULL DEFAULT 60 CHECK (bid_threshold BETWEEN 0 AND 100),
+    updated_by UUID REFERENCES "user"(user_id),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bid_decision (
+    decision_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+    scores JSONB NOT NULL DEFAULT '{}',
+    weights JSONB NOT NULL,
+    total_score NUMERIC(5, 2),
+    recommendation TEXT CHECK (recommendation IN ('BID', 'NO_BID')),
+    ai_rationale TEXT,
+    ai_generated_at TIMESTAMP,
+    decision TEXT CHECK (decision IN ('BID', 'NO_BID')),
+    justification TEXT,
+    status TEXT NOT NULL DEFAULT 'DRAFT' CHECK (status IN ('DRAFT', 'PENDING_APPROVAL', 'APPROVED', 'REJECTED')),
+    prepared_by UUID REFERENCES "user"(user_id),
+    submitted_at TIMESTAMP,
+    reviewed_by UUID REFERENCES "user"(user_id),
+    reviewed_at TIMESTAMP,
+    review_comment TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (tender_id, organization_id)
+);
+
+CREATE TABLE IF NOT EXISTS bid_decision_event (
+    event_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    decision_id UUID NOT NULL REFERENCES bid_decision(decision_id) ON DELETE CASCADE,
+    action TEXT NOT NULL CHECK (action IN ('SUBMITTED', 'APPROVED', 'REJECTED')),
+    actor_id UUID REFERENCES "user"(user_id),
+    decision TEXT,
+    total_score NUMERIC(5, 2),
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bid_decision_organization_id ON bid_decision(organization_id, status);
+CREATE INDEX IF NOT EXISTS idx_bid_decision_event_decision_id ON bid_decision_event(decision_id);
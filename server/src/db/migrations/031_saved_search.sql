@@ -0,0 +1,34 @@
+-- Migration: Saved searches and tender alerts
+-- Bidders save discovery searches (keywords, sector, value range, deadline window, authority)
+-- and subscribe to them. Each published tender that matches a subscribed search is recorded
+-- once as an alert, read in-app and bundled into a daily digest email.
+
+CREATE TABLE IF NOT EXISTS saved_search (
+    saved_search_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    name VARCHAR(150) NOT NULL,
+    keywords TEXT,
+    sector VARCHAR(100),
+    min_value NUMERIC(15, 2),
+    max_value NUMERIC(15, 2),
+    min_days_to_deadline INT,
+    max_days_to_deadline INT,
+    authority VARCHAR(255),
+    alerts_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    email_digest BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS tender_alert (
+    alert_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    saved_search_id UUID NOT NULL REFERENCES saved_search(saved_search_id) ON DELETE CASCADE,
+    tender_id UUID NOT NULL REFERENCES tender(tender_id) ON DELETE CASCADE,
+    matched_at TIMESTAMP DEFAULT NOW(),
+    read_at TIMESTAMP,
+    emailed_at TIMESTAMP,
+    UNIQUE (saved_search_id, tender_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_user_id ON saved_search(user_id);
+CREATE INDEX IF NOT EXISTS idx_tender_alert_saved_search_id ON tender_alert(saved_search_id, read_at);
@@ -0,0 +1,30 @@
+-- Migration: In-app notifications and delivery preferences
+-- One row per notification and recipient, including email-only deliveries (in_app = FALSE).
+-- dedupe_key keeps scheduled notifications (e.g. deadline reminders) from being sent twice.
+-- notification_preference overrides the per-type defaults for in-app and email delivery.
+
+CREATE TABLE IF NOT EXISTS notification (
+    notification_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT,
+    link TEXT,
+    dedupe_key TEXT,
+    in_app BOOLEAN NOT NULL DEFAULT TRUE,
+    read_at TIMESTAMP,
+    emailed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS notification_preference (
+    user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    in_app BOOLEAN NOT NULL,
+    email BOOLEAN NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (user_id, type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_user_id ON notification(user_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_dedupe ON notification(user_id, dedupe_key) WHERE dedupe_key IS NOT NULL;
@@ -0,0 +1,6 @@
+-- Migration: Revision counter for proposal section responses
+-- Incremented on every save. Saves carry the revision the editor last saw and are
+-- rejected when the stored revision has moved on (optimistic concurrency).
+
+ALTER TABLE proposal_section_response
+  ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
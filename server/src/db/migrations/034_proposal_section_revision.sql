@@ -0,0 +1,25 @@
+-- Migration: Revision history for proposal section responses
+-- One row per save of a section, keyed by the response's revision counter.
+-- source records where the content came from; restored_from is set when a save
+-- restored an earlier revision. Existing responses are backfilled as their
+-- current revision.
+
+CREATE TABLE IF NOT EXISTS proposal_section_revision (
+    revision_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    proposal_id UUID NOT NULL REFERENCES proposal(proposal_id) ON DELETE CASCADE,
+    section_id UUID NOT NULL REFERENCES tender_section(section_id),
+    revision INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'HUMAN' CHECK (source IN ('HUMAN', 'AI_DRAFT', 'ASSISTER')),
+    restored_from INTEGER,
+    created_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (proposal_id, section_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_section_revision_section ON proposal_section_revision(proposal_id, section_id, revision DESC);
+
+INSERT INTO proposal_section_revision (proposal_id, section_id, revision, content, created_by, created_at)
+SELECT proposal_id, section_id, revision, content, last_edited_by, updated_at
+FROM proposal_section_response
+ON CONFLICT (proposal_id, section_id, revision) DO NOTHING;
@@ -0,0 +1,30 @@
+-- Migration: Organization members, org-scoped roles and invitations
+-- Every user holds one role inside their organization. Existing users each
+-- signed up with their own organization, so they are backfilled as OWNER;
+-- users added later default to CONTRIBUTOR unless a role is given.
+-- Invitations store a SHA-256 hash of the emailed token, never the token itself.
+
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS org_role TEXT NOT NULL DEFAULT 'OWNER'
+    CHECK (org_role IN ('OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR', 'VIEWER'));
+
+ALTER TABLE "user" ALTER COLUMN org_role SET DEFAULT 'CONTRIBUTOR';
+
+CREATE TABLE IF NOT EXISTS organization_invitation (
+    invitation_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    org_role TEXT NOT NULL CHECK (org_role IN ('OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR', 'VIEWER')),
+    token_hash TEXT NOT NULL UNIQUE,
+    invited_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    accepted_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- At most one open invitation per email and organization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_org_invitation_pending
+ON organization_invitation(organization_id, LOWER(email))
+WHERE accepted_at IS NULL AND revoked_at IS NULL;
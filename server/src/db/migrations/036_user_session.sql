@@ -0,0 +1,21 @@
+-- Migration: Server-side login sessions with rotating refresh tokens
+-- Access tokens are short-lived JWTs naming their session (sid); a session
+-- stays valid until it expires or is revoked (logout, revoke from the
+-- sessions list, password change). Only SHA-256 hashes of refresh tokens are
+-- stored. The previous hash is kept to detect reuse of a rotated token.
+
+CREATE TABLE IF NOT EXISTS user_session (
+    session_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    refresh_token_hash TEXT NOT NULL UNIQUE,
+    previous_token_hash TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    last_seen_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_session_user ON user_session(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_session_previous ON user_session(previous_token_hash);
@@ -0,0 +1,29 @@
+-- Migration: TOTP two-factor authentication and step-up re-authentication
+-- totp_secret is encrypted (AES-256-GCM, key derived from JWT_SECRET); it is
+-- set when enrollment starts and only active once totp_enabled_at is set.
+-- totp_last_step stops a code from being used twice. Recovery codes are
+-- stored as SHA-256 hashes and work once each.
+-- Organizations can require every member to enable two-factor.
+-- reauthenticated_at records the last password/code check of a session;
+-- sensitive actions require it to be recent.
+
+ALTER TABLE "user"
+ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS user_recovery_code (
+    code_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_code_user ON user_recovery_code(user_id);
+
+ALTER TABLE organization
+ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE user_session
+ADD COLUMN IF NOT EXISTS reauthenticated_at TIMESTAMP DEFAULT NOW();
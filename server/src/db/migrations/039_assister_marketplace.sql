@@ -0,0 +1,72 @@
+-- Migration: Assister marketplace
+-- assister_profile holds what bidders see in the assister directory
+-- (headline, bio, expertise tags and sectors from fixed lists, availability).
+-- assister_engagement is the request/accept handshake between a bidding
+-- organization and an assister; bidders can only assign sections to assisters
+-- with an ACCEPTED engagement. At most one open (PENDING or ACCEPTED)
+-- engagement exists per pair.
+-- assister_review: one rating (1-5) per completed engagement.
+
+CREATE TABLE IF NOT EXISTS assister_profile (
+    user_id UUID PRIMARY KEY REFERENCES "user"(user_id) ON DELETE CASCADE,
+    headline TEXT,
+    bio TEXT,
+    expertise_tags TEXT[] NOT NULL DEFAULT '{}',
+    sectors TEXT[] NOT NULL DEFAULT '{}',
+    available BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assister_profile_tags ON assister_profile USING GIN (expertise_tags);
+CREATE INDEX IF NOT EXISTS idx_assister_profile_sectors ON assister_profile USING GIN (sectors);
+
+-- Existing assisters start with their signup specialty as headline
+INSERT INTO assister_profile (user_id, headline)
+SELECT user_id, specialty FROM "user" WHERE role = 'ASSISTER'
+ON CONFLICT (user_id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS assister_engagement (
+    engagement_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    assister_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organization(organization_id) ON DELETE CASCADE,
+    requested_by UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+    message TEXT,
+    response_message TEXT,
+    status TEXT NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'ACCEPTED', 'DECLINED', 'CANCELLED', 'COMPLETED')),
+    created_at TIMESTAMP DEFAULT NOW(),
+    responded_at TIMESTAMP,
+    ended_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assister_engagement_open
+    ON assister_engagement(assister_id, organization_id)
+    WHERE status IN ('PENDING', 'ACCEPTED');
+CREATE INDEX IF NOT EXISTS idx_assister_engagement_org ON assister_engagement(organization_id, status);
+
+-- Assisters already working on an organization's sections keep their access
+INSERT INTO assister_engagement (assister_id, organization_id, requested_by, status, responded_at)
+SELECT DISTINCT ON (a.user_id, a.organization_id) a.user_id, a.organization_id, a.assigned_by, 'ACCEPTED', NOW()
+FROM (
+    SELECT pc.user_id, p.organization_id, pc.assigned_by
+    FROM proposal_collaborator pc
+    JOIN proposal p ON pc.proposal_id = p.proposal_id
+    UNION ALL
+    SELECT upc.user_id, ut.organization_id, upc.assigned_by
+    FROM uploaded_proposal_collaborator upc
+    JOIN uploaded_tender ut ON upc.uploaded_tender_id = ut.uploaded_tender_id
+) a
+JOIN "user" u ON u.user_id = a.user_id AND u.role = 'ASSISTER'
+ON CONFLICT (assister_id, organization_id) WHERE status IN ('PENDING', 'ACCEPTED') DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS assister_review (
+    review_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    engagement_id UUID NOT NULL UNIQUE REFERENCES assister_engagement(engagement_id) ON DELETE CASCADE,
+    assister_id UUID NOT NULL REFERENCES "user"(user_id) ON DELETE CASCADE,
+    reviewer_id UUID REFERENCES "user"(user_id) ON DELETE SET NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assister_review_assister ON assister_review(assister_id);
@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
 import { env } from '../config/env.js';
 import { pool } from '../config/db.js';
+import { SessionService } from '../services/session.service.js';
 
 export async function requireAuth(req, res, next) {
   const header = req.headers.authorization || '';
@@ -13,9 +14,15 @@ export async function requireAuth(req, res, next) {
   try {
     const payload = jwt.verify(token, env.JWT_SECRET);
 
+    // Tokens die with their session (logout, revoked from another device, password change)
+    if (!(await SessionService.isActive(payload.sid, payload.userId))) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+
     // Get full user from database
     const result = await pool.query(
-      `SELECT u.user_id, u.name, u.email, u.role, u.organization_id, o.name as organization_name
+      `SELECT u.user_id, u.name, u.email, u.role, u.org_role, u.email_verified_at, u.totp_enabled_at,
+              u.organization_id, o.name as organization_name, o.require_two_factor
        FROM "user" u
        JOIN organization o ON u.organization_id = o.organization_id
        WHERE u.user_id = $1`,
@@ -34,8 +41,13 @@ export async function requireAuth(req, res, next) {
       name: user.name,
       email: user.email,
       role: user.role,
+      orgRole: user.org_role,
+      emailVerified: Boolean(user.email_verified_at),
+      twoFactorEnabled: Boolean(user.totp_enabled_at),
+      twoFactorRequired: user.require_two_factor,
       organizationId: user.organization_id,
       organization: user.organization_name,
+      sessionId: payload.sid,
     };
 
     next();
@@ -46,3 +58,32 @@ export async function requireAuth(req, res, next) {
     return res.status(401).json({ error: 'Invalid token' });
   }
 }
+
+/**
+ * Step-up for sensitive actions (publishing tenders, opening bids, completing
+ * evaluations): the session must have passed a password or two-factor check
+ * recently, and members of organizations that require two-factor must have it on.
+ * Clients answer STEP_UP_REQUIRED with POST /api/auth/step-up and retry.
+ */
+export async function requireRecentAuth(req, res, next) {
+  try {
+    if (req.user.twoFactorRequired && !req.user.twoFactorEnabled) {
+      return res.status(403).json({
+        error: 'Your organization requires two-factor authentication. Enable it in your profile to continue.',
+        code: 'TWO_FACTOR_REQUIRED',
+      });
+    }
+
+    if (!(await SessionService.isRecentlyAuthenticated(req.user.sessionId))) {
+      return res.status(403).json({
+        error: 'Please confirm your identity to continue',
+        code: 'STEP_UP_REQUIRED',
+        method: req.user.twoFactorEnabled ? 'totp' : 'password',
+      });
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -14,4 +14,13 @@ export const aiRateLimiter = rateLimit({
     const ipKey = ipKeyGenerator(req, res);
     return req.user?.id ? `${req.user.id}:${ipKey}` : ipKey;
   },
-});
\ No newline at end of file
+});
+// Password and email-verification endpoints: a few attempts per window, per account or IP
+export const accountRateLimiter = rateLimit({
+  windowMs: parseInt(env.AUTH_RATE_LIMIT_WINDOW_MS || '900000', 10),
+  max: parseInt(env.AUTH_RATE_LIMIT_MAX || '10', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many attempts, please try again later.' },
+  keyGenerator: (req, res) => (req.user?.id ? `user:${req.user.id}` : ipKeyGenerator(req, res)),
+});
@@ -1,3 +1,5 @@
+import { PermissionService } from '../services/permission.service.js';
+
 export function requireRole(role) {
   return (req, res, next) => {
     if (!req.user || req.user.role !== role) {
@@ -6,3 +8,18 @@ export function requireRole(role) {
     next();
   };
 }
+
+/**
+ * Require a feature the user's role and org role allow (see PermissionService.canAccessFeature)
+ */
+export function requireFeature(feature) {
+  return (req, res, next) => {
+    if (!PermissionService.canAccessFeature(req.user, feature)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Your role in this organization does not allow this action',
+      });
+    }
+    next();
+  };
+}
@@ -3,10 +3,10 @@
  * Enforces section-level access control for collaborative proposal drafting
  *
  * Permission Hierarchy:
- * - OWNER: Full access (user's organization owns the proposal)
+ * - OWNER: Full access (owner, admin or bid manager of the organization that owns the proposal)
  * - EDIT: Can edit content and use AI drafting
  * - READ_AND_COMMENT: Can only view and add comments
- * - READ_ONLY: Can only view (not explicitly assigned)
+ * - READ_ONLY: Can only view (not explicitly assigned, e.g. contributors and viewers of the owning organization)
  */
 
 import { CollaborationService } from '../services/collaboration.service.js';
@@ -1,5 +1,5 @@
 import { Router } from 'express';
-import { queryTenderAI, generateTenderAI, assistTenderDrafting } from '../controllers/ai.controller.js';
+import { queryTenderAI, queryTenderAIStream, generateTenderAI, assistTenderDrafting } from '../controllers/ai.controller.js';
 import { requireAuth } from '../middlewares/auth.middleware.js';
 import { requireRole } from '../middlewares/role.middleware.js';
 import { aiRateLimiter } from '../middlewares/rate-limit.middleware.js';
@@ -8,6 +8,7 @@ const router = Router();
 
 // Both AUTHORITY and BIDDER can query published tenders
 router.post('/query', requireAuth, aiRateLimiter, queryTenderAI);
+router.post('/query/stream', requireAuth, aiRateLimiter, queryTenderAIStream);
 
 // Admin assistance (no embeddings), AUTHORITY only
 router.post('/generate', requireAuth, requireRole('AUTHORITY'), aiRateLimiter, generateTenderAI);
@@ -0,0 +1,46 @@
+/**
+ * Assister Marketplace Routes
+ * Directory of assisters, their profiles, engagement requests and reviews
+ */
+
+import { Router } from 'express';
+import {
+  getOptions,
+  listDirectory,
+  getProfile,
+  getMyProfile,
+  updateMyProfile,
+  listEngagements,
+  requestEngagement,
+  acceptEngagement,
+  declineEngagement,
+  cancelEngagement,
+  completeEngagement,
+  reviewEngagement,
+} from '../controllers/assister.controller.js';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+import { requireRole, requireFeature } from '../middlewares/role.middleware.js';
+
+const router = Router();
+
+// Expertise tags and sectors (directory filters and profile form)
+router.get('/options', requireAuth, getOptions);
+
+// Assisters edit their own directory profile
+router.get('/me', requireAuth, requireRole('ASSISTER'), getMyProfile);
+router.put('/me', requireAuth, requireRole('ASSISTER'), updateMyProfile);
+
+// Engagements: bidders see their organization's, assisters their own
+router.get('/engagements', requireAuth, listEngagements);
+router.post('/engagements/:engagementId/accept', requireAuth, requireRole('ASSISTER'), acceptEngagement);
+router.post('/engagements/:engagementId/decline', requireAuth, requireRole('ASSISTER'), declineEngagement);
+router.post('/engagements/:engagementId/cancel', requireAuth, requireRole('BIDDER'), requireFeature('section_assign'), cancelEngagement);
+router.post('/engagements/:engagementId/complete', requireAuth, completeEngagement);
+router.post('/engagements/:engagementId/review', requireAuth, requireRole('BIDDER'), requireFeature('section_assign'), reviewEngagement);
+
+// Directory (bidders)
+router.get('/', requireAuth, requireRole('BIDDER'), listDirectory);
+router.get('/:assisterId', requireAuth, requireRole('BIDDER'), getProfile);
+router.post('/:assisterId/engagements', requireAuth, requireRole('BIDDER'), requireFeature('section_assign'), requestEngagement);
+
+export default router;
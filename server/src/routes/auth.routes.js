@@ -1,11 +1,54 @@
 import { Router } from 'express';
-import { login, signup, me } from '../controllers/auth.controller.js';
+import {
+  login,
+  signup,
+  me,
+  refresh,
+  logout,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+} from '../controllers/auth.controller.js';
+import {
+  getStatus as getTwoFactorStatus,
+  beginSetup as beginTwoFactorSetup,
+  confirmSetup as confirmTwoFactorSetup,
+  disable as disableTwoFactor,
+  regenerateRecoveryCodes,
+  stepUp,
+} from '../controllers/twoFactor.controller.js';
 import { requireAuth } from '../middlewares/auth.middleware.js';
+import { accountRateLimiter } from '../middlewares/rate-limit.middleware.js';
 
 const router = Router();
 
 router.post('/signup', signup);
 router.post('/login', login);
+router.post('/login/2fa', accountRateLimiter, loginTwoFactor);
 router.get('/me', requireAuth, me);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.get('/sessions', requireAuth, listSessions);
+router.delete('/sessions', requireAuth, revokeOtherSessions);
+router.delete('/sessions/:sessionId', requireAuth, revokeSession);
+router.post('/password/forgot', accountRateLimiter, forgotPassword);
+router.post('/password/reset', accountRateLimiter, resetPassword);
+router.put('/password', requireAuth, accountRateLimiter, changePassword);
+router.post('/verify-email', accountRateLimiter, verifyEmail);
+router.post('/verify-email/resend', requireAuth, accountRateLimiter, resendVerification);
+
+// Two-factor authentication (TOTP) and step-up re-authentication for sensitive actions
+router.get('/2fa', requireAuth, getTwoFactorStatus);
+router.post('/2fa/setup', requireAuth, beginTwoFactorSetup);
+router.post('/2fa/confirm', requireAuth, accountRateLimiter, confirmTwoFactorSetup);
+router.post('/2fa/disable', requireAuth, accountRateLimiter, disableTwoFactor);
+router.post('/2fa/recovery-codes', requireAuth, accountRateLimiter, regenerateRecoveryCodes);
+router.post('/step-up', requireAuth, accountRateLimiter, stepUp);
 
 export default router;
@@ -1,4 +1,5 @@
 import { Router } from 'express';
+import multer from 'multer';
 import { TenderService } from '../services/tender.service.js';
 import { ProposalService } from '../services/proposal.service.js';
 import { ProposalExportService } from '../services/proposal-export.service.js';
@@ -12,10 +13,17 @@ import { UploadedProposalDraftService } from '../services/uploadedProposalDraft.
 import { RiskAssessmentService } from '../services/riskAssessment.service.js';
 import { ComplianceCheckService } from '../services/complianceCheck.service.js';
 import { AuditLogService } from '../services/auditLog.service.js';
+import { CorrigendumService } from '../services/corrigendum.service.js';
+import { OrganizationService } from '../services/organization.service.js';
+import { DocumentVaultService, DOCUMENT_MIME_TYPES } from '../services/documentVault.service.js';
+import { EligibilityService } from '../services/eligibility.service.js';
+import { BidDecisionService } from '../services/bidDecision.service.js';
+import { SavedSearchService, tenderMatchesSearch } from '../services/savedSearch.service.js';
 import { requireAuth } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requireRole, requireFeature } from '../middlewares/role.middleware.js';
 import { aiRateLimiter } from '../middlewares/rate-limit.middleware.js';
 import { pool } from '../config/db.js';
+import { streamSSE } from '../utils/sse.js';
 
 const router = Router();
 
@@ -27,10 +35,21 @@ const router = Router();
  * GET /api/bidder/tenders
  * List published tenders for bidder with real statistics
  * Now includes uploaded tenders mixed with platform tenders
+ * Filters (same criteria as saved searches): search, sector, authority, minValue, maxValue,
+ * minDaysToDeadline, maxDaysToDeadline
  */
 router.get('/tenders', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
   try {
-    const { search = '', sector = '' } = req.query;
+    const { search = '', sector = '', authority = '' } = req.query;
+    const criteria = {
+      keywords: search,
+      sector,
+      authority,
+      min_value: req.query.minValue || null,
+      max_value: req.query.maxValue || null,
+      min_days_to_deadline: req.query.minDaysToDeadline ? parseInt(req.query.minDaysToDeadline, 10) : null,
+      max_days_to_deadline: req.query.maxDaysToDeadline ? parseInt(req.query.maxDaysToDeadline, 10) : null,
+    };
 
     // Get platform tenders
     const tenders = await TenderService.listTenders(req.user, { status: 'PUBLISHED' });
@@ -73,6 +92,7 @@ router.get('/tenders', requireAuth, requireRole('BIDDER'), async (req, res, next
           organizationName: t.organization_name,
           industryDomain: t.sector || 'General'
         },
+        authorityName: t.authority_name || t.organization_name,
         createdAt: t.created_at,
         proposalCount: proposalCounts[t.tender_id] || 0,
         // Mark as platform tender
@@ -94,19 +114,30 @@ router.get('/tenders', requireAuth, requireRole('BIDDER'), async (req, res, next
       // Continue without uploaded tenders if query fails
     }
 
-    // Merge platform and uploaded tenders
-    const allTenders = [...transformedTenders, ...uploadedTenders];
+    // Merge platform and uploaded tenders, then apply the search criteria to both
+    const allTenders = [...transformedTenders, ...uploadedTenders].filter((t) =>
+      tenderMatchesSearch(criteria, {
+        title: t.title,
+        description: t.description,
+        sector: t.category,
+        estimatedValue: t.estimatedValue,
+        deadline: t.deadline,
+        authority: t.authorityName || t.organizationId.organizationName,
+      })
+    );
+    const platformMatches = allTenders.filter((t) => !t.isUploaded);
+    const uploadedMatches = allTenders.filter((t) => t.isUploaded);
 
     // Sort by creation date (newest first)
     allTenders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     // Calculate aggregate statistics including uploaded tenders
-    const platformValue = tenders.reduce((sum, t) => sum + (parseFloat(t.estimated_value) || 0), 0);
-    const uploadedValue = uploadedTenders.reduce((sum, t) => sum + (t.estimatedValue || 0), 0);
+    const platformValue = platformMatches.reduce((sum, t) => sum + (parseFloat(t.estimatedValue) || 0), 0);
+    const uploadedValue = uploadedMatches.reduce((sum, t) => sum + (t.estimatedValue || 0), 0);
     const totalValue = platformValue + uploadedValue;
 
-    const avgCompetition = transformedTenders.length > 0
-      ? Math.round(transformedTenders.reduce((sum, t) => sum + t.proposalCount, 0) / transformedTenders.length)
+    const avgCompetition = platformMatches.length > 0
+      ? Math.round(platformMatches.reduce((sum, t) => sum + t.proposalCount, 0) / platformMatches.length)
       : 0;
 
     const closingSoon = allTenders.filter(t => t.daysRemaining <= 14).length;
@@ -115,8 +146,8 @@ router.get('/tenders', requireAuth, requireRole('BIDDER'), async (req, res, next
       tenders: allTenders,
       statistics: {
         totalTenders: allTenders.length,
-        platformTenders: transformedTenders.length,
-        uploadedTenders: uploadedTenders.length,
+        platformTenders: platformMatches.length,
+        uploadedTenders: uploadedMatches.length,
         totalValue,
         avgCompetition,
         closingSoon
@@ -240,6 +271,17 @@ router.get('/tenders/:id', requireAuth, requireRole('BIDDER'), async (req, res,
       };
     });
 
+    // Evaluation rubric the bids will be scored against
+    const evaluationCriteria = (tenderData.evaluation_criteria || []).map((c) => ({
+      _id: c.criterion_id,
+      name: c.name,
+      description: c.description || '',
+      type: c.criterion_type,
+      maxMarks: c.max_marks,
+      sectionId: c.section_id,
+      sectionTitle: c.section_title
+    }));
+
     // Check if bidder already has a proposal for this tender
     const existingProposalQuery = await pool.query(
       `SELECT proposal_id FROM proposal WHERE tender_id = $1 AND organization_id = $2 LIMIT 1`,
@@ -254,6 +296,7 @@ router.get('/tenders/:id', requireAuth, requireRole('BIDDER'), async (req, res,
       data: {
         tender,
         sections,
+        evaluationCriteria,
         existingProposal
       }
     });
@@ -578,7 +621,7 @@ router.get('/tenders/:id/quick-summary', requireAuth, requireRole('BIDDER'), asy
 /**
  * POST /api/bidder/tenders/:id/generate-section-draft
  * Generate AI draft for a specific tender section
- * Body: { sectionId, sectionType, tenderRequirement, organizationContext?, customInstructions? }
+ * Body: { sectionId, sectionType, tenderRequirement, organizationContext? (defaults to the organization profile), customInstructions? }
  */
 router.post('/tenders/:id/generate-section-draft', requireAuth, requireRole('BIDDER'), aiRateLimiter, async (req, res, next) => {
   try {
@@ -594,7 +637,7 @@ router.post('/tenders/:id/generate-section-draft', requireAuth, requireRole('BID
       sectionId,
       sectionType: sectionType.toUpperCase(),
       tenderRequirement,
-      organizationContext,
+      organizationContext: organizationContext || (await OrganizationService.getDraftingContext(req.user.organizationId)),
       customInstructions,
     });
 
@@ -608,17 +651,50 @@ router.post('/tenders/:id/generate-section-draft', requireAuth, requireRole('BID
   }
 });
 
+/**
+ * POST /api/bidder/tenders/:id/generate-section-draft/stream
+ * Streaming variant (text/event-stream): token { text } ... done { ...draft } | error { error }
+ * Body: same as generate-section-draft
+ */
+router.post('/tenders/:id/generate-section-draft/stream', requireAuth, requireRole('BIDDER'), aiRateLimiter, async (req, res, next) => {
+  try {
+    const { id: tenderId } = req.params;
+    const { sectionId, sectionType, tenderRequirement, organizationContext, customInstructions } = req.body;
+
+    if (!sectionType) {
+      return res.status(400).json({ error: 'sectionType is required' });
+    }
+
+    const bidderContext = organizationContext || (await OrganizationService.getDraftingContext(req.user.organizationId));
+
+    await streamSSE(res, (signal) => ProposalDrafterService.streamSectionDraft({
+      tenderId,
+      sectionId,
+      sectionType: sectionType.toUpperCase(),
+      tenderRequirement,
+      organizationContext: bidderContext,
+      customInstructions,
+    }, signal));
+  } catch (err) {
+    console.error('[Generate Draft Stream] Error:', err.message);
+    next(err);
+  }
+});
+
 /**
  * POST /api/bidder/tenders/:id/generate-full-draft
  * Generate AI draft for all sections of a tender
- * Body: { organizationContext? }
+ * Body: { organizationContext? } (defaults to the organization profile)
  */
 router.post('/tenders/:id/generate-full-draft', requireAuth, requireRole('BIDDER'), aiRateLimiter, async (req, res, next) => {
   try {
     const { id: tenderId } = req.params;
     const { organizationContext } = req.body;
 
-    const drafts = await ProposalDrafterService.generateFullProposalDraft(tenderId, organizationContext);
+    const drafts = await ProposalDrafterService.generateFullProposalDraft(
+      tenderId,
+      organizationContext || (await OrganizationService.getDraftingContext(req.user.organizationId))
+    );
 
     res.json({
       success: true,
@@ -660,6 +736,31 @@ router.post('/proposals/:id/improve-draft', requireAuth, requireRole('BIDDER'),
   }
 });
 
+/**
+ * POST /api/bidder/proposals/:id/improve-draft/stream
+ * Streaming variant (text/event-stream): token { text } ... done { ...improved } | error { error }
+ * Body: same as improve-draft
+ */
+router.post('/proposals/:id/improve-draft/stream', requireAuth, requireRole('BIDDER'), aiRateLimiter, async (req, res, next) => {
+  try {
+    const { existingDraft, sectionType, tenderRequirement, improvementFocus } = req.body;
+
+    if (!existingDraft) {
+      return res.status(400).json({ error: 'existingDraft is required' });
+    }
+
+    await streamSSE(res, (signal) => ProposalDrafterService.streamImproveDraft({
+      existingDraft,
+      sectionType: sectionType?.toUpperCase() || 'TECHNICAL',
+      tenderRequirement,
+      improvementFocus: improvementFocus || 'professional',
+    }, signal));
+  } catch (err) {
+    console.error('[Improve Draft Stream] Error:', err.message);
+    next(err);
+  }
+});
+
 /**
  * POST /api/bidder/proposals/generate-snippet
  * Generate a content snippet for inline assistance
@@ -698,7 +799,7 @@ router.post('/proposals/generate-snippet', requireAuth, requireRole('BIDDER'), a
  * Create a new proposal draft for a tender
  * Body: { tenderId }
  */
-router.post('/proposals', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+router.post('/proposals', requireAuth, requireRole('BIDDER'), requireFeature('proposal_create'), async (req, res, next) => {
   try {
     const { tenderId } = req.body;
     console.log('[POST /api/bidder/proposals] Request body:', req.body);
@@ -794,7 +895,7 @@ router.get('/proposals/tender/:tenderId', requireAuth, requireRole('BIDDER'), as
       
       // Fetch section responses
       const responsesQuery = await pool.query(
-        `SELECT psr.section_id, psr.content, ts.title as section_name
+        `SELECT psr.section_id, psr.content, psr.revision, ts.title as section_name
          FROM proposal_section_response psr
          JOIN tender_section ts ON psr.section_id = ts.section_id
          WHERE psr.proposal_id = $1
@@ -833,7 +934,8 @@ router.get('/proposals/tender/:tenderId', requireAuth, requireRole('BIDDER'), as
         sections: responsesQuery.rows.map(r => ({
           sectionId: r.section_id,
           sectionName: r.section_name,
-          content: r.content || ''
+          content: r.content || '',
+          revision: r.revision
         }))
       };
 
@@ -895,12 +997,14 @@ router.get('/proposals/:id', requireAuth, requireRole('BIDDER'), async (req, res
 /**
  * PUT /api/bidder/proposals/:id/sections/:sectionId
  * Update proposal section response (draft only - HARD LOCK after submission)
- * Body: { content }
+ * Body: { content, baseRevision, source? } - 409 with the stored `current` response when baseRevision is stale
+ *   (omitted = 0, so saving over an existing section without its revision is a conflict too);
+ * source 'AI_DRAFT' marks the revision as an applied AI draft (default 'HUMAN')
  */
-router.put('/proposals/:id/sections/:sectionId', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+router.put('/proposals/:id/sections/:sectionId', requireAuth, requireRole('BIDDER'), requireFeature('proposal_edit'), async (req, res, next) => {
   try {
     const { id, sectionId } = req.params;
-    const { content } = req.body;
+    const { content, baseRevision, source } = req.body;
 
     if (!content || !content.trim()) {
       return res.status(400).json({ error: 'content is required' });
@@ -923,7 +1027,9 @@ router.put('/proposals/:id/sections/:sectionId', requireAuth, requireRole('BIDDE
       });
     }
 
-    const response = await ProposalService.upsertSectionResponse(id, sectionId, content, req.user);
+    const response = await ProposalService.upsertSectionResponse(id, sectionId, content, req.user, baseRevision, {
+      source: source === 'AI_DRAFT' ? 'AI_DRAFT' : 'HUMAN',
+    });
 
     // Log audit action (non-blocking)
     AuditLogService.logSectionEdit(id, req.user.userId, sectionId, null, req).catch(() => {});
@@ -934,6 +1040,7 @@ router.put('/proposals/:id/sections/:sectionId', requireAuth, requireRole('BIDDE
     if (err.message === 'Section does not belong to this tender') return res.status(400).json({ error: err.message });
     if (err.message === 'Forbidden') return res.status(403).json({ error: err.message });
     if (err.message === 'Cannot edit a non-draft proposal') return res.status(403).json({ error: err.message, message: 'Submitted proposals cannot be edited.' });
+    if (err.message === 'Section was modified by someone else') return res.status(409).json({ error: err.message, current: err.current });
     next(err);
   }
 });
@@ -942,7 +1049,7 @@ router.put('/proposals/:id/sections/:sectionId', requireAuth, requireRole('BIDDE
  * POST /api/bidder/proposals/:id/submit
  * Submit a draft proposal (DRAFT → SUBMITTED) with full validation
  */
-router.post('/proposals/:id/submit', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+router.post('/proposals/:id/submit', requireAuth, requireRole('BIDDER'), requireFeature('proposal_submit'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const proposalData = await ProposalService.submitProposal(id, req.user);
@@ -974,6 +1081,7 @@ router.post('/proposals/:id/submit', requireAuth, requireRole('BIDDER'), async (
     if (err.message === 'Proposal not found') return res.status(404).json({ error: err.message });
     if (err.message === 'Forbidden') return res.status(403).json({ error: err.message });
     if (err.message === 'Proposal already submitted') return res.status(400).json({ error: err.message, details: err.details });
+    if (err.message === 'Submission deadline has passed') return res.status(409).json({ error: err.message, details: err.details });
     
     next(err);
   }
@@ -1132,7 +1240,7 @@ router.get('/proposals/:id/export/preview', requireAuth, requireRole('BIDDER'),
  * POST /api/bidder/proposals/:id/finalize
  * Finalize a proposal (DRAFT -> FINAL)
  */
-router.post('/proposals/:id/finalize', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+router.post('/proposals/:id/finalize', requireAuth, requireRole('BIDDER'), requireFeature('proposal_submit'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const proposal = await ProposalPublishService.finalizeProposal(id, req.user);
@@ -1168,7 +1276,7 @@ router.post('/proposals/:id/finalize', requireAuth, requireRole('BIDDER'), async
  * POST /api/bidder/proposals/:id/publish
  * Publish a proposal (FINAL -> PUBLISHED)
  */
-router.post('/proposals/:id/publish', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+router.post('/proposals/:id/publish', requireAuth, requireRole('BIDDER'), requireFeature('proposal_submit'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const proposal = await ProposalPublishService.publishProposal(id, req.user);
@@ -1198,7 +1306,7 @@ router.post('/proposals/:id/publish', requireAuth, requireRole('BIDDER'), async
  * POST /api/bidder/proposals/:id/revert
  * Revert a finalized proposal back to draft (FINAL -> DRAFT)
  */
-router.post('/proposals/:id/revert', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+router.post('/proposals/:id/revert', requireAuth, requireRole('BIDDER'), requireFeature('proposal_submit'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const proposal = await ProposalPublishService.revertToDraft(id, req.user);
@@ -1231,7 +1339,7 @@ router.post('/proposals/:id/revert', requireAuth, requireRole('BIDDER'), async (
  * POST /api/bidder/proposals/:id/new-version
  * Create a new version of a published proposal
  */
-router.post('/proposals/:id/new-version', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+router.post('/proposals/:id/new-version', requireAuth, requireRole('BIDDER'), requireFeature('proposal_submit'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const newProposal = await ProposalPublishService.createNewVersion(id, req.user);
@@ -1278,6 +1386,81 @@ router.get('/proposals/:id/versions', requireAuth, requireRole('BIDDER'), async
   }
 });
 
+const versionCompareErrorStatus = (err) => {
+  if (err.message === 'Proposal not found' || err.message === 'Version not found') return 404;
+  if (err.message === 'Forbidden') return 403;
+  return null;
+};
+
+const parseCompareVersions = (query) => {
+  const from = parseInt(query.from, 10);
+  const to = parseInt(query.to, 10);
+  return Number.isInteger(from) && Number.isInteger(to) ? { from, to } : null;
+};
+
+/**
+ * GET /api/bidder/proposals/:id/versions/compare?from=&to=
+ * Compare two versions of a proposal (any versions of its chain): sections aligned by
+ * section, with text diffs, word-count and compliance score deltas
+ */
+router.get('/proposals/:id/versions/compare', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const versions = parseCompareVersions(req.query);
+    if (!versions) {
+      return res.status(400).json({ error: 'from and to version numbers are required' });
+    }
+
+    const comparison = await ProposalPublishService.compareVersions(id, versions.from, versions.to, req.user);
+
+    res.json({
+      success: true,
+      data: comparison
+    });
+  } catch (err) {
+    const status = versionCompareErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bidder/proposals/:id/versions/compare/export?from=&to=&format=pdf|docx
+ * Download the comparison as a change summary for the tendering authority
+ */
+router.get('/proposals/:id/versions/compare/export', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format = 'pdf' } = req.query;
+    const versions = parseCompareVersions(req.query);
+    if (!versions) {
+      return res.status(400).json({ error: 'from and to version numbers are required' });
+    }
+    if (!['pdf', 'docx'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Use pdf or docx.' });
+    }
+
+    const comparison = await ProposalPublishService.compareVersions(id, versions.from, versions.to, req.user);
+
+    const buffer = format === 'pdf'
+      ? await ProposalExportService.generateChangeSummaryPDF(comparison)
+      : await ProposalExportService.generateChangeSummaryDOCX(comparison);
+    const contentType = format === 'pdf'
+      ? 'application/pdf'
+      : 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    const filename = `proposal_${id}_changes_v${versions.from}_v${versions.to}.${format}`;
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+  } catch (err) {
+    const status = versionCompareErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
 /**
  * GET /api/bidder/proposals/:id/versions/:versionNumber
  * Get a specific version snapshot
@@ -1449,6 +1632,70 @@ router.delete('/uploaded-tenders/:id', requireAuth, requireRole('BIDDER'), async
   }
 });
 
+// ==========================================
+// CORRIGENDUM NOTICE ENDPOINTS
+// ==========================================
+
+/**
+ * GET /api/bidder/tenders/:id/corrigenda
+ * Amendments issued for a published tender, with section diffs
+ */
+router.get('/tenders/:id/corrigenda', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const corrigenda = await CorrigendumService.listCorrigenda(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: corrigenda
+    });
+  } catch (err) {
+    if (err.message === 'Tender not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bidder/corrigenda/notices
+ * Change notices for tenders the bidder has a proposal for or has saved
+ * Query: unread=true to return only unacknowledged notices
+ */
+router.get('/corrigenda/notices', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const notices = await CorrigendumService.listNoticesForBidder(req.user, {
+      unreadOnly: req.query.unread === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: notices
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/bidder/corrigenda/:id/acknowledge
+ * Mark a change notice as read
+ */
+router.post('/corrigenda/:id/acknowledge', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await CorrigendumService.acknowledgeNotice(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    if (err.message === 'Corrigendum not found') {
+      return res.status(404).json({ error: err.message });
+    }
+    next(err);
+  }
+});
+
 // ==========================================
 // SAVED TENDER ENDPOINTS
 // ==========================================
@@ -1896,4 +2143,580 @@ router.get('/proposals/:id/audit', requireAuth, requireRole('BIDDER'), async (re
   }
 });
 
+// ==========================================
+// DOCUMENT VAULT ENDPOINTS
+// ==========================================
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Document must be a PDF, PNG or JPEG file'), false);
+    }
+  },
+});
+
+/**
+ * Status code for vault / attachment errors
+ */
+function vaultErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === 'Forbidden') return 403;
+  if (err.message.includes('cannot be deleted') || err.message.startsWith('Documents can only be attached')) return 409;
+  if (
+    err.message.includes('is required') ||
+    err.message.includes('must be') ||
+    err.message === 'No fields to update'
+  ) {
+    return 400;
+  }
+  return null;
+}
+
+/**
+ * GET /api/bidder/documents
+ * List the organization's vault documents
+ * Query params: category (CERTIFICATE|FINANCIAL|REGISTRATION|EXPERIENCE|LEGAL|OTHER)
+ */
+router.get('/documents', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const documents = await DocumentVaultService.listDocuments(req.user.organizationId, {
+      category: req.query.category,
+    });
+
+    res.json({
+      success: true,
+      data: documents,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bidder/documents/expiring
+ * Expiry reminders: documents expired or expiring within `days` (default 60)
+ */
+router.get('/documents/expiring', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const days = req.query.days ? parseInt(req.query.days) : undefined;
+    const documents = await DocumentVaultService.listExpiringDocuments(req.user.organizationId, days);
+
+    res.json({
+      success: true,
+      data: documents,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/bidder/documents
+ * Upload a document to the vault (multipart: file, title?, category, valid_from?, valid_until?)
+ */
+router.post('/documents', requireAuth, requireRole('BIDDER'), (req, res, next) => {
+  documentUpload.single('file')(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      const message = uploadErr.code === 'LIMIT_FILE_SIZE' ? 'Document must be 10MB or smaller' : uploadErr.message;
+      return res.status(400).json({ error: message });
+    }
+
+    try {
+      const document = await DocumentVaultService.uploadDocument(req.user.organizationId, req.file, req.body, req.user);
+
+      res.status(201).json({
+        success: true,
+        data: document,
+      });
+    } catch (err) {
+      const status = vaultErrorStatus(err);
+      if (status) return res.status(status).json({ error: err.message });
+      next(err);
+    }
+  });
+});
+
+/**
+ * PUT /api/bidder/documents/:id
+ * Update title, category or validity dates
+ */
+router.put('/documents/:id', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const document = await DocumentVaultService.updateDocument(req.params.id, req.user.organizationId, req.body);
+
+    res.json({
+      success: true,
+      data: document,
+    });
+  } catch (err) {
+    const status = vaultErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/bidder/documents/:id
+ * Delete a vault document (not while attached to a submitted proposal)
+ */
+router.delete('/documents/:id', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    await DocumentVaultService.deleteDocument(req.params.id, req.user.organizationId);
+
+    res.json({
+      success: true,
+      message: 'Document deleted',
+    });
+  } catch (err) {
+    const status = vaultErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bidder/documents/:id/download
+ * Download the stored file
+ */
+router.get('/documents/:id/download', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const file = await DocumentVaultService.getDocumentFile(req.params.id, req.user.organizationId);
+
+    res.setHeader('Content-Type', file.mime_type);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.file_name.replace(/"/g, '')}"`);
+    res.setHeader('Content-Length', file.content.length);
+    res.send(file.content);
+  } catch (err) {
+    const status = vaultErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bidder/proposals/:id/documents
+ * Vault documents attached to the proposal, grouped by section_id
+ */
+router.get('/proposals/:id/documents', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const attachments = await DocumentVaultService.listProposalAttachments(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: attachments,
+    });
+  } catch (err) {
+    const status = vaultErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * POST /api/bidder/proposals/:id/sections/:sectionId/documents
+ * Attach a vault document to a section of a draft proposal
+ * Body: { document_id }
+ */
+router.post('/proposals/:id/sections/:sectionId/documents', requireAuth, requireRole('BIDDER'), requireFeature('proposal_edit'), async (req, res, next) => {
+  try {
+    const { id, sectionId } = req.params;
+    const { document_id } = req.body;
+
+    if (!document_id) {
+      return res.status(400).json({ error: 'document_id is required' });
+    }
+
+    const document = await DocumentVaultService.attachToSection(id, sectionId, document_id, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: document,
+    });
+  } catch (err) {
+    const status = vaultErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/bidder/proposals/:id/sections/:sectionId/documents/:documentId
+ * Detach a vault document from a section of a draft proposal
+ */
+router.delete('/proposals/:id/sections/:sectionId/documents/:documentId', requireAuth, requireRole('BIDDER'), requireFeature('proposal_edit'), async (req, res, next) => {
+  try {
+    const { id, sectionId, documentId } = req.params;
+    await DocumentVaultService.detachFromSection(id, sectionId, documentId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Document detached',
+    });
+  } catch (err) {
+    const status = vaultErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+// ==========================================
+// ELIGIBILITY ENDPOINTS
+// ==========================================
+
+/**
+ * Status code for eligibility check errors
+ */
+function eligibilityErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === 'This tender is not available') return 403;
+  return null;
+}
+
+/**
+ * GET /api/bidder/tenders/:id/eligibility
+ * Pass/fail/unknown checklist of the tender's eligibility criteria against the organization profile
+ */
+router.get('/tenders/:id/eligibility', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await EligibilityService.checkTender(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = eligibilityErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bidder/uploaded-tenders/:id/eligibility
+ * Eligibility checklist for a tender uploaded as a PDF
+ */
+router.get('/uploaded-tenders/:id/eligibility', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await EligibilityService.checkUploadedTender(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = eligibilityErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+// ==========================================
+// BID / NO-BID DECISION ENDPOINTS
+// ==========================================
+
+/**
+ * Status code for bid decision errors
+ */
+function bidDecisionErrorStatus(err) {
+  if (err.message.includes('not found')) return 404;
+  if (err.message === 'Forbidden' || err.message === 'This tender is not available') return 403;
+  if (err.message.includes('cannot be changed') || err.message === 'Bid decision is not awaiting approval') return 409;
+  if (
+    err.message.includes('must be') ||
+    err.message.includes('is required') ||
+    err.message.startsWith('Unknown scorecard criterion') ||
+    err.message.startsWith('Score all criteria') ||
+    err.message.startsWith('At least one criterion')
+  ) {
+    return 400;
+  }
+  return null;
+}
+
+/**
+ * GET /api/bidder/bid-scorecard
+ * Scorecard weights and bid threshold of the organization
+ */
+router.get('/bid-scorecard', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await BidDecisionService.getScorecard(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = bidDecisionErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/bidder/bid-scorecard
+ * Configure scorecard weights (0-100 per criterion) and the bid threshold (%)
+ */
+router.put('/bid-scorecard', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await BidDecisionService.updateScorecard(req.user.organizationId, req.body, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = bidDecisionErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bidder/bid-decisions
+ * Bid decisions of the organization (?status=PENDING_APPROVAL for the approval queue)
+ */
+router.get('/bid-decisions', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await BidDecisionService.listDecisions(req.user.organizationId, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = bidDecisionErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bidder/tenders/:id/bid-decision
+ * Bid/no-bid decision for the tender with its approval history (null when not started)
+ */
+router.get('/tenders/:id/bid-decision', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await BidDecisionService.getDecision(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = bidDecisionErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/bidder/tenders/:id/bid-decision
+ * Save scores, decision and justification: { scores: { [criterion]: { score, note } }, decision, justification }
+ */
+router.put('/tenders/:id/bid-decision', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await BidDecisionService.saveDecision(req.params.id, req.body, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = bidDecisionErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * POST /api/bidder/tenders/:id/bid-decision/prefill
+ * Pre-fill the scorecard and recommendation from the tender summary, eligibility and workload
+ */
+router.post('/tenders/:id/bid-decision/prefill', requireAuth, requireRole('BIDDER'), aiRateLimiter, async (req, res, next) => {
+  try {
+    const result = await BidDecisionService.prefillDecision(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = bidDecisionErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * POST /api/bidder/tenders/:id/bid-decision/submit
+ * Submit the decision for approval
+ */
+router.post('/tenders/:id/bid-decision/submit', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await BidDecisionService.submitDecision(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = bidDecisionErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * POST /api/bidder/tenders/:id/bid-decision/review
+ * Approve or reject a submitted decision: { approve, comment }
+ */
+router.post('/tenders/:id/bid-decision/review', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await BidDecisionService.reviewDecision(req.params.id, { approve: req.body.approve === true, comment: req.body.comment }, req.user);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    const status = bidDecisionErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+// ==========================================
+// SAVED SEARCH & TENDER ALERT ENDPOINTS
+// ==========================================
+
+/**
+ * Status code for saved search errors
+ */
+function savedSearchErrorStatus(err) {
+  if (err.message === 'Saved search not found') return 404;
+  if (err.message.startsWith('Forbidden')) return 403;
+  if (err.message.includes('must be') || err.message.includes('is required') || err.message.includes('cannot exceed')) {
+    return 400;
+  }
+  return null;
+}
+
+/**
+ * GET /api/bidder/saved-searches
+ * Saved searches of the current user with alert counts
+ */
+router.get('/saved-searches', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const searches = await SavedSearchService.listSearches(req.user.id);
+
+    res.json({
+      success: true,
+      data: searches,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/bidder/saved-searches
+ * Save a search: { name, keywords?, sector?, min_value?, max_value?, min_days_to_deadline?,
+ * max_days_to_deadline?, authority?, alerts_enabled?, email_digest? }
+ */
+router.post('/saved-searches', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const search = await SavedSearchService.createSearch(req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: search,
+    });
+  } catch (err) {
+    const status = savedSearchErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * PUT /api/bidder/saved-searches/:id
+ * Update criteria or subscription settings of a saved search
+ */
+router.put('/saved-searches/:id', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const search = await SavedSearchService.updateSearch(req.params.id, req.user.id, req.body);
+
+    res.json({
+      success: true,
+      data: search,
+    });
+  } catch (err) {
+    const status = savedSearchErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/bidder/saved-searches/:id
+ * Delete a saved search and its alerts
+ */
+router.delete('/saved-searches/:id', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    await SavedSearchService.deleteSearch(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted',
+    });
+  } catch (err) {
+    const status = savedSearchErrorStatus(err);
+    if (status) return res.status(status).json({ error: err.message });
+    next(err);
+  }
+});
+
+/**
+ * GET /api/bidder/tender-alerts?unread=true
+ * Published tenders that matched the user's subscribed searches, with the unread count
+ */
+router.get('/tender-alerts', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const result = await SavedSearchService.listAlerts(req.user.id, {
+      unreadOnly: req.query.unread === 'true',
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/bidder/tender-alerts/read
+ * Mark alerts as read: { alert_ids } or every alert when omitted
+ */
+router.post('/tender-alerts/read', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
+  try {
+    const alertIds = Array.isArray(req.body?.alert_ids) ? req.body.alert_ids : null;
+    const updated = await SavedSearchService.markAlertsRead(req.user.id, alertIds);
+
+    res.json({
+      success: true,
+      data: { updated },
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 export default router;
@@ -1,7 +1,7 @@
 /**
  * Collaboration Routes
- * Handles section assignments, comments, AI drafting, and validation
- * for collaborative proposal drafting
+ * Handles section assignments, comments, AI drafting, revision history,
+ * and validation for collaborative proposal drafting
  */
 
 import { Router } from 'express';
@@ -14,9 +14,13 @@ import {
   requireUploadedSectionPermission,
   requireUploadedTenderOwner,
 } from '../middlewares/sectionPermission.middleware.js';
-import { CollaborationService } from '../services/collaboration.service.js';
+import { CollaborationService, ENGAGEMENT_REQUIRED } from '../services/collaboration.service.js';
 import { CommentService } from '../services/comment.service.js';
 import { CollaborativeDrafterService } from '../services/collaborativeDrafter.service.js';
+import { OrganizationService } from '../services/organization.service.js';
+import { BidDecisionService, BID_APPROVAL_REQUIRED } from '../services/bidDecision.service.js';
+import { ProposalService } from '../services/proposal.service.js';
+import { SectionRevisionService } from '../services/sectionRevision.service.js';
 
 const router = Router();
 
@@ -26,7 +30,8 @@ const router = Router();
 
 /**
  * GET /api/collaboration/users/search
- * Search assisters by email (can be from any organization)
+ * Search people who can be assigned to sections by email: contributors and
+ * viewers of the user's organization (with org_role), then engaged assisters
  * Query params: email (min 3 chars)
  */
 router.get('/users/search', requireAuth, requireRole('BIDDER'), async (req, res, next) => {
@@ -39,8 +44,12 @@ router.get('/users/search', requireAuth, requireRole('BIDDER'), async (req, res,
       });
     }
 
-    // Search ALL assisters system-wide (not limited to same organization)
-    const users = await CollaborationService.searchAssistersByEmail(email, 10);
+    // Teammates first, then assisters who accepted an engagement with the organization
+    const [members, assisters] = await Promise.all([
+      CollaborationService.searchUsersByEmail(email, req.user.organizationId, 10),
+      CollaborationService.searchAssistersByEmail(email, req.user.organizationId, 10),
+    ]);
+    const users = [...members, ...assisters];
 
     // Filter out the current user from results
     const filteredUsers = users.filter(u => u.user_id !== req.user.id);
@@ -105,6 +114,8 @@ router.post(
         });
       }
 
+      await BidDecisionService.assertBidApprovedForProposal(proposalId);
+
       const assignment = await CollaborationService.assignUserToSection(
         proposalId,
         sectionId,
@@ -119,9 +130,18 @@ router.post(
         message: 'User assigned to section',
       });
     } catch (err) {
-      if (err.message.includes('does not belong')) {
+      if (err.message.includes('does not belong') || err.message.startsWith('Viewers can only')) {
         return res.status(400).json({ error: err.message });
       }
+      if (err.message === 'User not found') {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.message === ENGAGEMENT_REQUIRED) {
+        return res.status(403).json({ error: err.message, code: 'ENGAGEMENT_REQUIRED' });
+      }
+      if (err.message === BID_APPROVAL_REQUIRED) {
+        return res.status(403).json({ error: err.message, code: 'BID_APPROVAL_REQUIRED' });
+      }
       next(err);
     }
   }
@@ -383,12 +403,15 @@ router.post(
         });
       }
 
+      await BidDecisionService.assertBidApprovedForProposal(proposalId);
+
       const result = await CollaborativeDrafterService.generateSectionDraft({
         proposalId,
         sectionId,
         userId: req.user.id,
         customInstructions,
         tenderType: 'platform',
+        organizationContext: await OrganizationService.getDraftingContext(req.user.organizationId),
       });
 
       res.json({
@@ -400,6 +423,9 @@ router.post(
       if (err.message.includes('not found')) {
         return res.status(404).json({ error: err.message });
       }
+      if (err.message === BID_APPROVAL_REQUIRED) {
+        return res.status(403).json({ error: err.message, code: 'BID_APPROVAL_REQUIRED' });
+      }
       next(err);
     }
   }
@@ -443,6 +469,141 @@ router.post(
   }
 );
 
+// ==========================================
+// PLATFORM TENDER - SECTION REVISIONS
+// ==========================================
+
+const revisionErrorStatus = (err) => {
+  if (err.message === 'Revision not found' || err.message === 'Proposal not found') return 404;
+  if (err.message === 'Cannot edit a non-draft proposal') return 403;
+  if (err.message === 'Section was modified by someone else') return 409;
+  return null;
+};
+
+/**
+ * GET /api/collaboration/proposals/:id/sections/:sectionId/revisions
+ * Revision history of a section, newest first (author, source, timestamp)
+ */
+router.get(
+  '/proposals/:id/sections/:sectionId/revisions',
+  requireAuth,
+  requireRole('BIDDER'),
+  requireSectionPermission('READ_ONLY'),
+  async (req, res, next) => {
+    try {
+      const { id: proposalId, sectionId } = req.params;
+
+      const revisions = await SectionRevisionService.listRevisions(proposalId, sectionId);
+
+      res.json({
+        success: true,
+        data: revisions,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/collaboration/proposals/:id/sections/:sectionId/revisions/diff?from=&to=
+ * Word-level diff between two revisions of a section
+ */
+router.get(
+  '/proposals/:id/sections/:sectionId/revisions/diff',
+  requireAuth,
+  requireRole('BIDDER'),
+  requireSectionPermission('READ_ONLY'),
+  async (req, res, next) => {
+    try {
+      const { id: proposalId, sectionId } = req.params;
+      const from = parseInt(req.query.from, 10);
+      const to = parseInt(req.query.to, 10);
+
+      if (!Number.isInteger(from) || !Number.isInteger(to)) {
+        return res.status(400).json({ error: 'from and to revisions are required' });
+      }
+
+      const data = await SectionRevisionService.diffRevisions(proposalId, sectionId, from, to);
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (err) {
+      const status = revisionErrorStatus(err);
+      if (status) return res.status(status).json({ error: err.message });
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /api/collaboration/proposals/:id/sections/:sectionId/revisions/:revision
+ * A single revision with its content
+ */
+router.get(
+  '/proposals/:id/sections/:sectionId/revisions/:revision',
+  requireAuth,
+  requireRole('BIDDER'),
+  requireSectionPermission('READ_ONLY'),
+  async (req, res, next) => {
+    try {
+      const { id: proposalId, sectionId } = req.params;
+      const revision = parseInt(req.params.revision, 10);
+
+      if (!Number.isInteger(revision)) {
+        return res.status(400).json({ error: 'Invalid revision' });
+      }
+
+      const data = await SectionRevisionService.getRevision(proposalId, sectionId, revision);
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (err) {
+      const status = revisionErrorStatus(err);
+      if (status) return res.status(status).json({ error: err.message });
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /api/collaboration/proposals/:id/sections/:sectionId/revisions/:revision/restore
+ * Restore a revision by saving its content as the newest revision (draft proposals only)
+ * Requires EDIT permission
+ */
+router.post(
+  '/proposals/:id/sections/:sectionId/revisions/:revision/restore',
+  requireAuth,
+  requireRole('BIDDER'),
+  requireSectionPermission('EDIT'),
+  async (req, res, next) => {
+    try {
+      const { id: proposalId, sectionId } = req.params;
+      const revision = parseInt(req.params.revision, 10);
+
+      if (!Number.isInteger(revision)) {
+        return res.status(400).json({ error: 'Invalid revision' });
+      }
+
+      const response = await ProposalService.restoreSectionRevision(proposalId, sectionId, revision, req.user);
+
+      res.json({
+        success: true,
+        data: response,
+      });
+    } catch (err) {
+      const status = revisionErrorStatus(err);
+      if (status === 409) return res.status(409).json({ error: err.message, current: err.current });
+      if (status) return res.status(status).json({ error: err.message });
+      next(err);
+    }
+  }
+);
+
 // ==========================================
 // PLATFORM TENDER - ACTIVITY
 // ==========================================
@@ -545,6 +706,15 @@ router.post(
         message: 'User assigned to section',
       });
     } catch (err) {
+      if (err.message.includes('does not belong') || err.message.startsWith('Viewers can only')) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (err.message === 'User not found') {
+        return res.status(404).json({ error: err.message });
+      }
+      if (err.message === ENGAGEMENT_REQUIRED) {
+        return res.status(403).json({ error: err.message, code: 'ENGAGEMENT_REQUIRED' });
+      }
       next(err);
     }
   }
@@ -690,6 +860,7 @@ router.post(
         customInstructions,
         tenderType: 'uploaded',
         uploadedTenderId,
+        organizationContext: await OrganizationService.getDraftingContext(req.user.organizationId),
       });
 
       res.json({
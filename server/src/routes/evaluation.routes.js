@@ -5,19 +5,35 @@ import {
   initializeTenderEvaluation,
   updateBidEvaluation,
   completeEvaluation,
-  getTenderEvaluationDetails
+  getTenderEvaluationDetails,
+  getEvaluationConfig,
+  updateEvaluationConfig,
+  getRanking,
+  getCommittee,
+  setCommittee,
+  saveMyScores,
+  submitMyScores,
+  getCommitteeScores,
+  signOffEvaluation,
+  getBidOpening,
+  openBids
 } from '../controllers/evaluation.controller.js';
-import { requireAuth } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requireAuth, requireRecentAuth } from '../middlewares/auth.middleware.js';
+import { requireRole, requireFeature } from '../middlewares/role.middleware.js';
 
 const router = Router();
 
-// All routes require AUTHORITY role
-router.use(requireAuth, requireRole('AUTHORITY'));
+// All routes require AUTHORITY role and an org role with bid evaluation (not VIEWER)
+// Opening bids, signing off and completing an evaluation also need a recent step-up check
+router.use(requireAuth, requireRole('AUTHORITY'), requireFeature('bid_evaluation'));
 
 // Get list of tenders ready for evaluation
 router.get('/tenders', getTendersForEvaluation);
 
+// Sealed-bid opening: bids stay inaccessible until opened after the deadline
+router.get('/tenders/:tenderId/bid-opening', getBidOpening);
+router.post('/tenders/:tenderId/bid-opening', requireRecentAuth, openBids);
+
 // Get bids for a specific tender
 router.get('/tenders/:tenderId/bids', getBidsForTender);
 
@@ -27,10 +43,25 @@ router.post('/tenders/:tenderId/initialize', initializeTenderEvaluation);
 // Get evaluation details for a tender
 router.get('/tenders/:tenderId/details', getTenderEvaluationDetails);
 
-// Update bid evaluation
+// Evaluation method (L1 / QCBS), weights and cutoff; the criteria rubric comes from the tender
+router.get('/tenders/:tenderId/config', getEvaluationConfig);
+router.put('/tenders/:tenderId/config', updateEvaluationConfig);
+
+// Bid ranking with scoring formula (live preview until completed)
+router.get('/tenders/:tenderId/ranking', getRanking);
+
+// Evaluation committee: appointment, independent scoring, variance review and sign-off
+router.get('/tenders/:tenderId/committee', getCommittee);
+router.put('/tenders/:tenderId/committee', setCommittee);
+router.post('/tenders/:tenderId/committee/submit', submitMyScores);
+router.get('/tenders/:tenderId/committee/scores', getCommitteeScores);
+router.post('/tenders/:tenderId/committee/sign-off', requireRecentAuth, signOffEvaluation);
+router.put('/bids/:proposalId/my-scores', saveMyScores);
+
+// Update bid evaluation (consensus by the chair when a committee is appointed)
 router.put('/bids/:proposalId', updateBidEvaluation);
 
 // Complete evaluation for a tender
-router.post('/tenders/:tenderId/complete', completeEvaluation);
+router.post('/tenders/:tenderId/complete', requireRecentAuth, completeEvaluation);
 
 export default router;
@@ -15,6 +15,7 @@ import { RiskAssessmentService } from '../services/riskAssessment.service.js';
 import { AuditLogService } from '../services/auditLog.service.js';
 import { RSSFeedService } from '../services/rssFeed.service.js';
 import { ComplianceCheckService } from '../services/complianceCheck.service.js';
+import { BidOpeningService, SEALED_ERROR } from '../services/bidOpening.service.js';
 import { pool } from '../config/db.js';
 
 const router = Router();
@@ -33,7 +34,7 @@ router.get('/risk/:proposalId', requireAuth, async (req, res, next) => {
 
     // Verify access (bidder owns proposal OR authority owns tender)
     const accessCheck = await pool.query(
-      `SELECT p.organization_id, t.organization_id as tender_org_id
+      `SELECT p.organization_id, p.tender_id, t.organization_id as tender_org_id
        FROM proposal p
        JOIN tender t ON p.tender_id = t.tender_id
        WHERE p.proposal_id = $1`,
@@ -44,7 +45,7 @@ router.get('/risk/:proposalId', requireAuth, async (req, res, next) => {
       return res.status(404).json({ error: 'Proposal not found' });
     }
 
-    const { organization_id, tender_org_id } = accessCheck.rows[0];
+    const { organization_id, tender_id, tender_org_id } = accessCheck.rows[0];
 
     if (req.user.role === 'BIDDER' && organization_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Forbidden' });
@@ -52,6 +53,9 @@ router.get('/risk/:proposalId', requireAuth, async (req, res, next) => {
     if (req.user.role === 'AUTHORITY' && tender_org_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Forbidden' });
     }
+    if (req.user.role === 'AUTHORITY' && (await BidOpeningService.isSealed(tender_id))) {
+      return res.status(403).json({ error: SEALED_ERROR });
+    }
 
     const assessment = await RiskAssessmentService.calculateRiskScore(proposalId);
 
@@ -267,7 +271,7 @@ router.get('/compliance/:proposalId', requireAuth, async (req, res, next) => {
 
     // Verify access
     const accessCheck = await pool.query(
-      `SELECT p.organization_id, t.organization_id as tender_org_id
+      `SELECT p.organization_id, p.tender_id, t.organization_id as tender_org_id
        FROM proposal p
        JOIN tender t ON p.tender_id = t.tender_id
        WHERE p.proposal_id = $1`,
@@ -278,7 +282,7 @@ router.get('/compliance/:proposalId', requireAuth, async (req, res, next) => {
       return res.status(404).json({ error: 'Proposal not found' });
     }
 
-    const { organization_id, tender_org_id } = accessCheck.rows[0];
+    const { organization_id, tender_id, tender_org_id } = accessCheck.rows[0];
 
     if (req.user.role === 'BIDDER' && organization_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Forbidden' });
@@ -286,6 +290,9 @@ router.get('/compliance/:proposalId', requireAuth, async (req, res, next) => {
     if (req.user.role === 'AUTHORITY' && tender_org_id !== req.user.organizationId) {
       return res.status(403).json({ error: 'Forbidden' });
     }
+    if (req.user.role === 'AUTHORITY' && (await BidOpeningService.isSealed(tender_id))) {
+      return res.status(403).json({ error: SEALED_ERROR });
+    }
 
     const compliance = await ComplianceCheckService.checkProposalCompliance(proposalId);
 
@@ -0,0 +1,22 @@
+import { Router } from 'express';
+import {
+  listNotifications,
+  getUnreadCount,
+  markNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from '../controllers/notification.controller.js';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+
+const router = Router();
+
+// Every role: the signed-in user's own notifications
+router.get('/', requireAuth, listNotifications);
+router.get('/unread-count', requireAuth, getUnreadCount);
+router.post('/read', requireAuth, markNotificationsRead);
+
+// Delivery preferences (in-app / email per notification type)
+router.get('/preferences', requireAuth, getNotificationPreferences);
+router.put('/preferences', requireAuth, updateNotificationPreferences);
+
+export default router;
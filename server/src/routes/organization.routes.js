@@ -0,0 +1,77 @@
+import { Router } from 'express';
+import multer from 'multer';
+import {
+  getMyOrganization,
+  updateMyOrganization,
+  getMyOrganizationLogo,
+  uploadMyOrganizationLogo,
+  deleteMyOrganizationLogo,
+} from '../controllers/organization.controller.js';
+import {
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  listInvitations,
+  inviteMember,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
+} from '../controllers/team.controller.js';
+import { getOrganizationRequirement, updateOrganizationRequirement } from '../controllers/twoFactor.controller.js';
+import { requireAuth } from '../middlewares/auth.middleware.js';
+import { requireFeature } from '../middlewares/role.middleware.js';
+import { LOGO_MIME_TYPES } from '../services/organization.service.js';
+
+const router = Router();
+
+// Logos are stored in the database, so keep them small
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 1024 * 1024, // 1MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (LOGO_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Logo must be a PNG or JPEG image'), false);
+    }
+  },
+});
+
+// Upload errors (wrong type, too large) are client errors, not server errors
+const uploadLogo = (req, res, next) =>
+  upload.single('logo')(req, res, (err) => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'Logo must be 1MB or smaller' : err.message;
+    res.status(400).json({ error: message });
+  });
+
+// AUTHORITY and BIDDER: profile of the user's own organization (any member reads; owners and admins edit)
+router.get('/me', requireAuth, getMyOrganization);
+router.put('/me', requireAuth, requireFeature('team_manage'), updateMyOrganization);
+
+// Organization logo (PNG / JPEG)
+router.get('/me/logo', requireAuth, getMyOrganizationLogo);
+router.put('/me/logo', requireAuth, requireFeature('team_manage'), uploadLogo, uploadMyOrganizationLogo);
+router.delete('/me/logo', requireAuth, requireFeature('team_manage'), deleteMyOrganizationLogo);
+
+// Members and org roles (any member can list; owners and admins manage)
+router.get('/me/members', requireAuth, listMembers);
+router.put('/me/members/:userId', requireAuth, requireFeature('team_manage'), updateMemberRole);
+router.delete('/me/members/:userId', requireAuth, requireFeature('team_manage'), removeMember);
+
+// Email invitations
+router.get('/me/invitations', requireAuth, requireFeature('team_manage'), listInvitations);
+router.post('/me/invitations', requireAuth, requireFeature('team_manage'), inviteMember);
+router.delete('/me/invitations/:invitationId', requireAuth, requireFeature('team_manage'), revokeInvitation);
+
+// Two-factor policy: owners and admins can require it for every member
+router.get('/me/two-factor', requireAuth, getOrganizationRequirement);
+router.put('/me/two-factor', requireAuth, requireFeature('team_manage'), updateOrganizationRequirement);
+
+// Invitation links: details are public (shown before sign-up), accepting needs an account
+router.get('/invitations/:token', getInvitation);
+router.post('/invitations/:token/accept', requireAuth, acceptInvitation);
+
+export default router;
@@ -11,12 +11,12 @@ import {
   listMyProposals,
 } from '../controllers/proposal.controller.js';
 import { requireAuth } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requireRole, requireFeature } from '../middlewares/role.middleware.js';
 
 const router = Router();
 
 // BIDDER: create proposal draft for a published tender
-router.post('/', requireAuth, requireRole('BIDDER'), createProposal);
+router.post('/', requireAuth, requireRole('BIDDER'), requireFeature('proposal_create'), createProposal);
 
 // BIDDER: list own proposals
 router.get('/mine', requireAuth, requireRole('BIDDER'), listMyProposals);
@@ -25,10 +25,10 @@ router.get('/mine', requireAuth, requireRole('BIDDER'), listMyProposals);
 router.get('/:id', requireAuth, getProposal);
 
 // BIDDER: upsert section response for draft proposals they own
-router.put('/:id/sections/:sectionId', requireAuth, requireRole('BIDDER'), upsertSectionResponse);
+router.put('/:id/sections/:sectionId', requireAuth, requireRole('BIDDER'), requireFeature('proposal_edit'), upsertSectionResponse);
 
 // BIDDER: submit draft
-router.post('/:id/submit', requireAuth, requireRole('BIDDER'), submitProposal);
+router.post('/:id/submit', requireAuth, requireRole('BIDDER'), requireFeature('proposal_submit'), submitProposal);
 
 // AUTHORITY: list submitted proposals for tenders they own
 router.get('/', requireAuth, requireRole('AUTHORITY'), listSubmittedProposals);
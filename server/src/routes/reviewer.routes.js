@@ -12,6 +12,7 @@ import { Router } from 'express';
 import { requireAuth } from '../middlewares/auth.middleware.js';
 import { pool } from '../config/db.js';
 import { PermissionService } from '../services/permission.service.js';
+import { ProposalService } from '../services/proposal.service.js';
 
 const router = Router();
 
@@ -134,6 +135,7 @@ router.get('/proposals/:proposalId/sections/:sectionId', requireAuth, async (req
         ts.content as requirements,
         ts.is_mandatory,
         psr.content as draft_content,
+        psr.revision,
         psr.updated_at as last_updated,
         t.title as tender_title,
         p.proposal_id,
@@ -168,11 +170,13 @@ router.get('/proposals/:proposalId/sections/:sectionId', requireAuth, async (req
 /**
  * PUT /api/reviewer/proposals/:proposalId/sections/:sectionId
  * Update section content (requires EDIT permission)
+ * Body: { content, baseRevision } - 409 with the stored `current` response when baseRevision is stale or omitted
+ *   for a section that was already saved
  */
 router.put('/proposals/:proposalId/sections/:sectionId', requireAuth, async (req, res, next) => {
   try {
     const { proposalId, sectionId } = req.params;
-    const { content } = req.body;
+    const { content, baseRevision } = req.body;
     const userId = req.user.id;
 
     // Check if user has EDIT permission
@@ -197,21 +201,19 @@ router.put('/proposals/:proposalId/sections/:sectionId', requireAuth, async (req
     }
 
     // Update or insert section content
-    const result = await pool.query(
-      `INSERT INTO proposal_section_response (proposal_id, section_id, content, last_edited_by)
-       VALUES ($1, $2, $3, $4)
-       ON CONFLICT (proposal_id, section_id)
-       DO UPDATE SET content = $3, last_edited_by = $4, updated_at = NOW()
-       RETURNING *`,
-      [proposalId, sectionId, content, userId]
-    );
+    const response = await ProposalService.saveSectionContent(proposalId, sectionId, content, req.user, baseRevision, {
+      source: 'ASSISTER',
+    });
 
     res.json({
       success: true,
-      data: result.rows[0],
+      data: response,
       message: 'Section updated successfully',
     });
   } catch (err) {
+    if (err.message === 'Section was modified by someone else') {
+      return res.status(409).json({ error: err.message, current: err.current });
+    }
     console.error('[Reviewer/Commenter] Update section error:', err);
     next(err);
   }
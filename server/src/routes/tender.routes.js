@@ -10,9 +10,17 @@ import {
   updateSection,
   deleteSection,
   reorderSections,
+  getEvaluationCriteria,
+  setEvaluationCriteria,
+  issueCorrigendum,
+  listCorrigenda,
+  listClarifications,
+  askClarification,
+  answerClarification,
+  setClarificationCutoff,
 } from '../controllers/tender.controller.js';
-import { requireAuth } from '../middlewares/auth.middleware.js';
-import { requireRole } from '../middlewares/role.middleware.js';
+import { requireAuth, requireRecentAuth } from '../middlewares/auth.middleware.js';
+import { requireRole, requireFeature } from '../middlewares/role.middleware.js';
 
 const router = Router();
 
@@ -20,16 +28,30 @@ const router = Router();
 router.get('/', requireAuth, listTenders);
 
 // Tender CRUD
-router.post('/', requireAuth, requireRole('AUTHORITY'), createTender);
-router.put('/:id', requireAuth, requireRole('AUTHORITY'), updateTender);
+router.post('/', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_create'), createTender);
+router.put('/:id', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_edit'), updateTender);
 router.get('/:id', requireAuth, getTender); // Both AUTHORITY and BIDDER can read
-router.delete('/:id', requireAuth, requireRole('AUTHORITY'), deleteTender);
-router.post('/:id/publish', requireAuth, requireRole('AUTHORITY'), publishTender);
+router.delete('/:id', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_delete'), deleteTender);
+router.post('/:id/publish', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_edit'), requireRecentAuth, publishTender);
 
 // Section Management
-router.post('/:id/sections', requireAuth, requireRole('AUTHORITY'), addSection);
-router.put('/sections/:id', requireAuth, requireRole('AUTHORITY'), updateSection);
-router.delete('/sections/:id', requireAuth, requireRole('AUTHORITY'), deleteSection);
-router.put('/:id/sections/order', requireAuth, requireRole('AUTHORITY'), reorderSections);
+router.post('/:id/sections', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_edit'), addSection);
+router.put('/sections/:id', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_edit'), updateSection);
+router.delete('/sections/:id', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_edit'), deleteSection);
+router.put('/:id/sections/order', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_edit'), reorderSections);
+
+// Evaluation criteria rubric (bidders can read it for published tenders)
+router.get('/:id/criteria', requireAuth, getEvaluationCriteria);
+router.put('/:id/criteria', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_edit'), setEvaluationCriteria);
+
+// Corrigenda: numbered amendments to published tenders (bidders can read them)
+router.get('/:id/corrigenda', requireAuth, listCorrigenda);
+router.post('/:id/corrigenda', requireAuth, requireRole('AUTHORITY'), requireFeature('tender_edit'), issueCorrigendum);
+
+// Pre-bid clarifications: bidders ask until the cut-off, the authority answers publicly or privately
+router.get('/:id/clarifications', requireAuth, listClarifications);
+router.post('/:id/clarifications', requireAuth, requireRole('BIDDER'), askClarification);
+router.put('/:id/clarifications/cutoff', requireAuth, requireRole('AUTHORITY'), setClarificationCutoff);
+router.put('/clarifications/:id/answer', requireAuth, requireRole('AUTHORITY'), answerClarification);
 
 export default router;
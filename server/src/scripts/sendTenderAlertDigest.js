@@ -0,0 +1,21 @@
+/**
+ * Send the daily tender alert digest emails once and exit.
+ * For cron deployments that set TENDER_ALERT_DIGEST=false on the API server.
+ *
+ * Usage:
+ *   node src/scripts/sendTenderAlertDigest.js
+ */
+
+import { pool } from '../config/db.js';
+import { SavedSearchService } from '../services/savedSearch.service.js';
+
+try {
+  const { sent, failed } = await SavedSearchService.sendDailyDigests();
+  console.log(`Tender alert digest: ${sent} sent, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+} catch (err) {
+  console.error('Tender alert digest failed:', err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
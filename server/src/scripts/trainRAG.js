@@ -10,45 +10,24 @@
  *   node src/scripts/trainRAG.js --action=test-retrieval --query="eligibility requirements"
  *   node src/scripts/trainRAG.js --action=stats
  *   node src/scripts/trainRAG.js --action=clear-embeddings
+ *   node src/scripts/trainRAG.js --action=reembed [--force=true]
  *   node src/scripts/trainRAG.js --action=export-training-data
  */
 
 import { pool } from '../config/db.js';
-import { env } from '../config/env.js';
+import { EmbeddingService } from '../services/embedding.service.js';
+import { EmbeddingIndexService } from '../services/embeddingIndex.service.js';
 import fs from 'fs';
 import path from 'path';
 
-const OPENAI_EMBEDDING_MODEL = 'text-embedding-3-small';
 const CHUNK_SIZE = 512;
 const CHUNK_OVERLAP = 50;
 
 /**
- * Generate embeddings using OpenAI API
+ * Generate embeddings with the configured provider (EMBEDDING_PROVIDER)
  */
 async function generateEmbedding(text) {
-  if (!env.OPENAI_API_KEY) {
-    throw new Error('OPENAI_API_KEY is not configured');
-  }
-
-  const response = await fetch('https://api.openai.com/v1/embeddings', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${env.OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: OPENAI_EMBEDDING_MODEL,
-      input: text,
-    }),
-  });
-
-  if (!response.ok) {
-    const errorBody = await response.text();
-    throw new Error(`Embedding API failed: ${response.status} - ${errorBody}`);
-  }
-
-  const data = await response.json();
-  return data?.data?.[0]?.embedding;
+  return EmbeddingService.embed(text);
 }
 
 /**
@@ -109,6 +88,8 @@ async function ingestTender(tenderId) {
 
   try {
     await client.query('BEGIN');
+    // Same per-tender lock as AIService.ingestTender, so a run here never interleaves with the server's
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('tender_ingest:' || $1))`, [tenderId]);
 
     // Get tender details
     const tenderRes = await client.query(
@@ -165,9 +146,9 @@ async function ingestTender(tenderId) {
       for (const chunk of overviewChunks) {
         const embedding = await generateEmbedding(chunk.content);
         await client.query(
-          `INSERT INTO tender_content_chunk (tender_id, section_id, content, embedding)
-           VALUES ($1, $2, $3, $4::vector)`,
-          [tenderId, null, chunk.content, embedding]
+          `INSERT INTO tender_content_chunk (tender_id, section_id, content, embedding, embedding_model)
+           VALUES ($1, $2, $3, $4::vector, $5)`,
+          [tenderId, null, chunk.content, embedding, EmbeddingService.getConfig().signature]
         );
         chunkCount++;
       }
@@ -193,9 +174,9 @@ async function ingestTender(tenderId) {
       for (const chunk of sectionChunks) {
         const embedding = await generateEmbedding(chunk.content);
         await client.query(
-          `INSERT INTO tender_content_chunk (tender_id, section_id, content, embedding)
-           VALUES ($1, $2, $3, $4::vector)`,
-          [tenderId, section.section_id, chunk.content, embedding]
+          `INSERT INTO tender_content_chunk (tender_id, section_id, content, embedding, embedding_model)
+           VALUES ($1, $2, $3, $4::vector, $5)`,
+          [tenderId, section.section_id, chunk.content, embedding, EmbeddingService.getConfig().signature]
         );
         chunkCount++;
       }
@@ -353,6 +334,31 @@ async function clearEmbeddings() {
   console.log(`✅ Deleted ${result.rowCount} chunks`);
 }
 
+/**
+ * Rebuild embeddings after the provider, model or dimension changed
+ */
+async function reembedChunks(force = false) {
+  const state = await EmbeddingIndexService.getIndexState();
+
+  console.log(`\n🔁 Embedding provider: ${state.config.signature}`);
+  console.log(`   Column dimension: ${state.columnDimension ?? 'unset'}`);
+  console.log(`   Stale chunks: ${state.staleChunks} / ${state.totalChunks}`);
+
+  if (!state.needsReindex && !force) {
+    console.log('✅ Index already up to date');
+    return;
+  }
+
+  const result = await EmbeddingIndexService.reembedAll({
+    force,
+    onProgress: ({ processed, failed, total }) => {
+      console.log(`   ${processed + failed}/${total} processed (${failed} failed)`);
+    },
+  });
+
+  console.log(`✅ Re-embedded ${result.processed} chunks${result.resized ? ' (column resized)' : ''}`);
+}
+
 /**
  * Export training data for fine-tuning
  */
@@ -524,6 +530,10 @@ async function main() {
       await clearEmbeddings();
       break;
 
+    case 'reembed':
+      await reembedChunks(params.force === 'true');
+      break;
+
     case 'export-training-data':
       await exportTrainingData();
       break;
@@ -543,6 +553,7 @@ Actions:
   test-retrieval       Test retrieval with a query (requires --query)
   stats                Show RAG system statistics
   clear-embeddings     Clear all embeddings (use with caution!)
+  reembed              Re-embed chunks from an old provider/model/dimension (--force=true for all)
   export-training-data Export Q&A pairs for fine-tuning
   generate-synthetic   Generate synthetic similarity pairs
 
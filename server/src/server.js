@@ -1,10 +1,18 @@
 import app from './app.js';
 import { loadEnv, getEnv } from './config/env.js';
 import { logger } from './utils/logger.js';
+import { SavedSearchService } from './services/savedSearch.service.js';
+import { NotificationService } from './services/notification.service.js';
+import { ProposalChannelService } from './services/proposalChannel.service.js';
 
 loadEnv();
 
 const port = getEnv('PORT', '5000');
-app.listen(port, () => {
+const server = app.listen(port, () => {
   logger.info(`Server listening on http://localhost:${port}`);
+  SavedSearchService.startDigestSchedule();
+  NotificationService.startReminderSchedule();
 });
+
+// Live presence and updates for collaborative proposal drafting
+ProposalChannelService.attach(server);
@@ -0,0 +1,237 @@
+/**
+ * Account Service
+ * Password reset, email verification and password change
+ *
+ * Reset and verification links carry a random one-time token. Only an HMAC of
+ * the token (keyed with JWT_SECRET) is stored, so a copy of the database
+ * cannot be turned into working links. Issuing a new token voids the user's
+ * unused tokens of the same purpose.
+ */
+
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { pool } from '../config/db.js';
+import { env } from '../config/env.js';
+import { MailService } from './mail.service.js';
+import { SessionService } from './session.service.js';
+import { logger } from '../utils/logger.js';
+
+export const SALT_ROUNDS = 10;
+export const MIN_PASSWORD_LENGTH = 6;
+
+const TOKEN_TTL_MINUTES = {
+  PASSWORD_RESET: 60,
+  EMAIL_VERIFICATION: 48 * 60,
+};
+
+const signToken = (token) => crypto.createHmac('sha256', env.JWT_SECRET).update(token).digest('hex');
+
+export const AccountService = {
+  // ==========================================
+  // PASSWORD RESET
+  // ==========================================
+
+  /**
+   * Email a reset link. Does nothing for unknown addresses, so callers can't
+   * tell which emails have accounts.
+   */
+  async requestPasswordReset(email) {
+    const result = await pool.query(
+      'SELECT user_id, name, email FROM "user" WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+    if (result.rows.length === 0) {
+      return;
+    }
+
+    const user = result.rows[0];
+    const token = await this._issueToken(user.user_id, 'PASSWORD_RESET');
+
+    try {
+      await MailService.send({
+        to: user.email,
+        subject: 'Reset your TenderFlow password',
+        text: [
+          `Hello ${user.name},`,
+          '',
+          'We received a request to reset your password. Choose a new one here:',
+          `${env.APP_URL}/reset-password/${token}`,
+          '',
+          `The link can be used once and expires in ${TOKEN_TTL_MINUTES.PASSWORD_RESET} minutes.`,
+          'If you did not ask for this, you can ignore this email; your password stays the same.',
+        ].join('\n'),
+      });
+    } catch (err) {
+      logger.warn(`[Account] Password reset email to ${user.email} failed:`, err.message);
+    }
+  },
+
+  /**
+   * Set a new password from a reset link. Signs the user out everywhere,
+   * and confirms the email address since the link was delivered to it.
+   */
+  async resetPassword(token, newPassword) {
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const userId = await this._consumeToken(client, token, 'PASSWORD_RESET');
+      await client.query(
+        `UPDATE "user"
+         SET password_hash = $2, email_verified_at = COALESCE(email_verified_at, NOW())
+         WHERE user_id = $1`,
+        [userId, passwordHash]
+      );
+      await SessionService.revokeAll(userId, null, client);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Change the password of a signed-in user after checking the current one.
+   * Other sessions are signed out; the caller's session stays.
+   * @returns {Promise<number>} number of other sessions revoked
+   */
+  async changePassword(userId, currentPassword, newPassword, currentSessionId) {
+    const result = await pool.query('SELECT password_hash FROM "user" WHERE user_id = $1', [userId]);
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const { password_hash: passwordHash } = result.rows[0];
+    const isValid = passwordHash ? await bcrypt.compare(currentPassword, passwordHash) : false;
+    if (!isValid) {
+      throw new Error('Current password is incorrect');
+    }
+    if (currentPassword === newPassword) {
+      throw new Error('New password must be different from the current password');
+    }
+
+    const nextHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE "user" SET password_hash = $2 WHERE user_id = $1', [userId, nextHash]);
+      // A reset link requested before the change must not undo it
+      await client.query(
+        `UPDATE user_token SET used_at = NOW()
+         WHERE user_id = $1 AND purpose = 'PASSWORD_RESET' AND used_at IS NULL`,
+        [userId]
+      );
+      const revoked = await SessionService.revokeAll(userId, currentSessionId, client);
+      await client.query('COMMIT');
+      return revoked;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  // ==========================================
+  // EMAIL VERIFICATION
+  // ==========================================
+
+  /**
+   * Email a verification link to a user whose address isn't verified yet
+   * @param {Object} user - { user_id, name, email }
+   */
+  async sendVerification(user) {
+    const result = await pool.query('SELECT email_verified_at FROM "user" WHERE user_id = $1', [user.user_id]);
+    if (result.rows[0]?.email_verified_at) {
+      throw new Error('Email is already verified');
+    }
+
+    const token = await this._issueToken(user.user_id, 'EMAIL_VERIFICATION');
+    await MailService.send({
+      to: user.email,
+      subject: 'Confirm your email address for TenderFlow',
+      text: [
+        `Hello ${user.name},`,
+        '',
+        'Please confirm your email address:',
+        `${env.APP_URL}/verify-email/${token}`,
+        '',
+        `The link expires in ${TOKEN_TTL_MINUTES.EMAIL_VERIFICATION / 60} hours.`,
+      ].join('\n'),
+    });
+  },
+
+  async verifyEmail(token) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const userId = await this._consumeToken(client, token, 'EMAIL_VERIFICATION');
+      await client.query(
+        'UPDATE "user" SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE user_id = $1',
+        [userId]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  // ==========================================
+  // TOKENS
+  // ==========================================
+
+  async _issueToken(userId, purpose) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await pool.query(
+      'DELETE FROM user_token WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+      [userId, purpose]
+    );
+    await pool.query(
+      `INSERT INTO user_token (user_id, purpose, token_hash, expires_at)
+       VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+      [userId, purpose, signToken(token), TOKEN_TTL_MINUTES[purpose]]
+    );
+
+    return token;
+  },
+
+  /**
+   * Mark a token used and return its user id
+   * @param {Object} client - database client inside a transaction
+   */
+  async _consumeToken(client, token, purpose) {
+    if (!token) {
+      throw new Error('This link is not valid');
+    }
+
+    const result = await client.query(
+      `SELECT token_id, user_id, expires_at, used_at
+       FROM user_token
+       WHERE token_hash = $1 AND purpose = $2
+       FOR UPDATE`,
+      [signToken(token), purpose]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('This link is not valid');
+    }
+
+    const row = result.rows[0];
+    if (row.used_at) {
+      throw new Error('This link has already been used');
+    }
+    if (new Date(row.expires_at) <= new Date()) {
+      throw new Error('This link has expired');
+    }
+
+    await client.query('UPDATE user_token SET used_at = NOW() WHERE token_id = $1', [row.token_id]);
+    return row.user_id;
+  },
+};
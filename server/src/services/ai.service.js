@@ -8,6 +8,7 @@ import { TokenCounter } from '../utils/tokenCounter.js';
 import { ContextCompressor } from '../utils/contextCompressor.js';
 
 const CHAT_MODEL = env.GROQ_MODEL || 'llama-3.3-70b-versatile';
+const NO_ANSWER = "I don't have enough information from the tender content to answer that question.";
 
 // DEPRECATED: Use LLMCaller instead
 async function callChatCompletion(prompt, systemPrompt = 'You are a tender assistant. Use ONLY the provided context. If the answer is not in the context, say you do not know.') {
@@ -19,6 +20,37 @@ async function callChatCompletion(prompt, systemPrompt = 'You are a tender assis
   });
 }
 
+/**
+ * Keep only citation markers that point at a real source and list the sources they reference.
+ * Unknown markers (e.g. [7] when there are 5 sources) are stripped from the answer.
+ */
+function extractCitations(answer, sources) {
+  const byMarker = new Map(sources.map((s) => [s.marker, s]));
+  const used = new Set();
+
+  const cleaned = answer.replace(/\[(\d{1,2})\]/g, (match, num) => {
+    const marker = Number(num);
+    if (!byMarker.has(marker)) return '';
+    used.add(marker);
+    return match;
+  });
+
+  const citations = [...used]
+    .sort((a, b) => a - b)
+    .map((marker) => {
+      const source = byMarker.get(marker);
+      return {
+        marker,
+        chunkId: source.chunkId,
+        sectionId: source.sectionId,
+        sectionTitle: source.sectionTitle,
+        excerpt: source.excerpt,
+      };
+    });
+
+  return { answer: cleaned.replace(/[ \t]+([.,;:])/g, '$1').trim(), citations };
+}
+
 /**
  * Fallback mock response for testing without API key
  */
@@ -98,7 +130,11 @@ function generateMockSuggestion(sectionType, userQuestion) {
 export const AIService = {
   /**
    * Ingest tender content: chunk + embed + store in tender_content_chunk.
+   * Covers the overview, every section and publicly answered clarifications.
    * Runs in a single transaction when no external client is provided.
+   * Runs for the same tender are serialised with a transaction-scoped advisory lock,
+   * so overlapping re-ingests (quick corrigenda, answers) cannot interleave their
+   * delete + insert; each one reads the tender only after the previous one committed.
    */
   async ingestTender(tenderId, options = {}) {
     const { client: externalClient, skipTransaction = false } = options;
@@ -107,6 +143,7 @@ export const AIService = {
 
     try {
       if (manageTx) await client.query('BEGIN');
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('tender_ingest:' || $1))`, [tenderId]);
 
       const tenderRes = await client.query(
         `SELECT tender_id, title, description, status
@@ -126,7 +163,7 @@ export const AIService = {
       }
 
       const sectionsRes = await client.query(
-        `SELECT section_id, title, order_index, is_mandatory
+        `SELECT section_id, title, content, order_index, is_mandatory
          FROM tender_section
          WHERE tender_id = $1
          ORDER BY order_index ASC`,
@@ -136,7 +173,22 @@ export const AIService = {
       const sections = sectionsRes.rows.map((row) => ({
         sectionId: row.section_id,
         title: row.title,
-        content: row.content || '', // content column may not exist; fallback to empty
+        content: row.content || '',
+      }));
+
+      // Publicly answered pre-bid clarifications are part of the tender record
+      const clarificationsRes = await client.query(
+        `SELECT section_id, question, answer
+         FROM tender_clarification
+         WHERE tender_id = $1 AND visibility = 'PUBLIC' AND answer IS NOT NULL
+         ORDER BY answered_at ASC`,
+        [tenderId]
+      );
+
+      const clarifications = clarificationsRes.rows.map((row) => ({
+        sectionId: row.section_id,
+        question: row.question,
+        answer: row.answer,
       }));
 
       const chunks = ChunkingService.chunkTender({
@@ -144,6 +196,7 @@ export const AIService = {
         tenderTitle: tender.title,
         tenderDescription: tender.description || '',
         sections,
+        clarifications,
       });
 
       if (!chunks.length) {
@@ -153,13 +206,14 @@ export const AIService = {
       // Remove existing embeddings for this tender
       await client.query('DELETE FROM tender_content_chunk WHERE tender_id = $1', [tenderId]);
 
-      // Insert new chunks with embeddings
+      // Insert new chunks with embeddings, tagged with the provider signature for re-embedding
+      const { signature } = EmbeddingService.getConfig();
       for (const chunk of chunks) {
         const embedding = await EmbeddingService.embed(chunk.content);
         await client.query(
-          `INSERT INTO tender_content_chunk (tender_id, section_id, content, embedding)
-           VALUES ($1, $2, $3, $4::vector)`,
-          [tenderId, chunk.sectionId, chunk.content, embedding]
+          `INSERT INTO tender_content_chunk (tender_id, section_id, content, embedding, embedding_model)
+           VALUES ($1, $2, $3, $4::vector, $5)`,
+          [tenderId, chunk.sectionId, chunk.content, embedding, signature]
         );
       }
 
@@ -177,8 +231,84 @@ export const AIService = {
   /**
    * Answer a user question using RAG over tender content.
    * UPDATED: Uses RAGOrchestrator with strict limits and compression
+   * @returns {Promise<string>} Answer text (citation markers included)
    */
   async queryTenderAI(tenderId, question) {
+    const { answer } = await this.queryTenderAIWithCitations(tenderId, question);
+    return answer;
+  },
+
+  /**
+   * Answer a user question with inline citation markers ([1], [2]) that map to
+   * the tender chunks/sections used as evidence.
+   * @returns {Promise<{answer: string, citations: Array<Object>}>}
+   *   citations: { marker, chunkId, sectionId, sectionTitle, excerpt } for every marker used
+   */
+  async queryTenderAIWithCitations(tenderId, question) {
+    const prepared = await this._prepareTenderQuery(tenderId, question);
+
+    if (prepared.answer) {
+      return { answer: prepared.answer, citations: [] };
+    }
+
+    const answer = await LLMCaller.call({
+      systemPrompt: prepared.systemPrompt,
+      userPrompt: prepared.userPrompt,
+      model: CHAT_MODEL,
+      temperature: 0,
+      maxTokens: 1000,
+    });
+
+    if (!answer) {
+      return { answer: NO_ANSWER, citations: [] };
+    }
+
+    return extractCitations(answer, prepared.sources);
+  },
+
+  /**
+   * Streaming variant of queryTenderAIWithCitations.
+   * Yields { type: 'token', text } as the model produces output, then a single
+   * { type: 'done', answer, citations } once citations have been resolved.
+   * @param {AbortSignal} signal - Aborts the upstream LLM request
+   */
+  async *streamTenderAIWithCitations(tenderId, question, signal) {
+    // Validation/retrieval errors are thrown before the first event so callers can map them to HTTP status
+    const prepared = await this._prepareTenderQuery(tenderId, question);
+
+    if (prepared.answer) {
+      yield { type: 'token', text: prepared.answer };
+      yield { type: 'done', answer: prepared.answer, citations: [] };
+      return;
+    }
+
+    let answer = '';
+    for await (const text of LLMCaller.stream({
+      systemPrompt: prepared.systemPrompt,
+      userPrompt: prepared.userPrompt,
+      model: CHAT_MODEL,
+      temperature: 0,
+      maxTokens: 1000,
+      signal,
+    })) {
+      answer += text;
+      yield { type: 'token', text };
+    }
+
+    if (!answer.trim()) {
+      yield { type: 'done', answer: NO_ANSWER, citations: [] };
+      return;
+    }
+
+    yield { type: 'done', ...extractCitations(answer, prepared.sources) };
+  },
+
+  /**
+   * Validate the tender, run retrieval and build the cited-answer prompts.
+   * @returns {Promise<{answer?: string, sources?: Array, systemPrompt?: string, userPrompt?: string}>}
+   *   answer is set when there is no usable context and the LLM should not be called
+   */
+  async _prepareTenderQuery(tenderId, question) {
     if (!question || !question.trim()) {
       throw new Error('Question is required');
     }
@@ -208,27 +338,33 @@ export const AIService = {
     });
 
     if (!ragResult.context || ragResult.stats.compressed.total === 0) {
-      return "I don't have enough information from the tender content to answer that question.";
+      return { answer: NO_ANSWER };
     }
 
+    // Number this tender's chunks as citable sources; other tenders are reference-only
+    const sources = (ragResult.sessionChunks || []).map((chunk, idx) => ({ ...chunk, marker: idx + 1 }));
+
+    const sourceContext = sources
+      .map((s) => `[${s.marker}] (Section: ${s.sectionTitle || 'Tender Overview'}) ${s.excerpt}`)
+      .join('\n\n');
+
+    const context = [
+      sourceContext ? `TENDER SOURCES:\n${sourceContext}` : '',
+      ragResult.globalContext ? `REFERENCE (other tenders, do not cite):\n${ragResult.globalContext}` : '',
+    ].filter(Boolean).join('\n\n');
+
     const systemPrompt = `You are a tender analysis assistant. Use ONLY the provided context to answer questions.
 
 RULES:
 - If the answer is not in the context, say: "Not specified in the tender document."
 - Do not hallucinate or make assumptions
-- Be precise and cite specific requirements when available`;
-
-    const userPrompt = `CONTEXT:\n${ragResult.context}\n\nQUESTION:\n${question}\n\nANSWER:`;
+- Be precise and cite specific requirements when available
+- After every claim taken from TENDER SOURCES, add its source number in square brackets, e.g. [1] or [2][3]
+- Only cite numbers that appear in TENDER SOURCES. Never cite REFERENCE material`;
 
-    const answer = await LLMCaller.call({
-      systemPrompt,
-      userPrompt,
-      model: CHAT_MODEL,
-      temperature: 0,
-      maxTokens: 1000,
-    });
+    const userPrompt = `CONTEXT:\n${context}\n\nQUESTION:\n${question}\n\nANSWER:`;
 
-    return answer || "I don't have enough information from the tender content to answer that question.";
+    return { sources, systemPrompt, userPrompt };
   },
 
   /**
@@ -0,0 +1,470 @@
+/**
+ * Assister Service
+ * Assister marketplace: directory profiles, engagement requests between bidding
+ * organizations and assisters, and reviews after an engagement
+ *
+ * Engagement lifecycle:
+ * - PENDING: a bidder requested the assister; the bidder can cancel (CANCELLED)
+ * - ACCEPTED / DECLINED: the assister's answer. Only while ACCEPTED can the
+ *   organization assign the assister to proposal sections.
+ * - COMPLETED: either side ends the engagement; the assister loses section access
+ *   and the organization can leave one review
+ */
+
+import { pool } from '../config/db.js';
+import { NotificationService } from './notification.service.js';
+import { logger } from '../utils/logger.js';
+
+export const EXPERTISE_TAGS = [
+  'Technical writing',
+  'Pricing & BOQ',
+  'Financial proposals',
+  'Compliance & legal',
+  'Project planning',
+  'Quality & HSE',
+  'Design & architecture',
+  'Software & IT',
+  'Cybersecurity',
+  'Engineering',
+  'Proofreading & editing',
+  'Translation',
+];
+
+// Same sectors authorities choose from when creating a tender
+export const ASSISTER_SECTORS = [
+  'Construction & Infrastructure',
+  'IT & Software Development',
+  'Consulting Services',
+  'Supply & Procurement',
+  'Healthcare & Medical',
+  'Education & Training',
+  'Security Services',
+  'Maintenance & Facilities',
+  'Transportation',
+  'Utilities',
+  'Other',
+];
+
+const OPEN_STATUSES = ['PENDING', 'ACCEPTED'];
+const HEADLINE_MAX_LENGTH = 120;
+const BIO_MAX_LENGTH = 2000;
+const REVIEW_MAX_LENGTH = 2000;
+const DIRECTORY_PAGE_SIZE = 24;
+
+const DIRECTORY_SORTS = {
+  rating: 'r.rating DESC NULLS LAST, r.review_count DESC, u.name ASC',
+  engagements: 'e.completed_engagements DESC, u.name ASC',
+  name: 'u.name ASC',
+};
+
+/**
+ * Keep only known values, without duplicates
+ */
+function pickFromList(values, allowed, label) {
+  if (values === undefined || values === null) return [];
+  if (!Array.isArray(values)) {
+    throw new Error(`${label} must be a list`);
+  }
+
+  const unknown = values.find((value) => !allowed.includes(value));
+  if (unknown !== undefined) {
+    throw new Error(`Unknown ${label.toLowerCase()}: ${unknown}`);
+  }
+  return [...new Set(values)];
+}
+
+function trimmedOrNull(value, maxLength, label) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (text.length > maxLength) {
+    throw new Error(`${label} must be at most ${maxLength} characters`);
+  }
+  return text || null;
+}
+
+export const AssisterService = {
+  getOptions() {
+    return { expertiseTags: EXPERTISE_TAGS, sectors: ASSISTER_SECTORS };
+  },
+
+  // ==========================================
+  // PROFILES
+  // ==========================================
+
+  /**
+   * Directory profile for a new assister, starting from the signup specialty
+   */
+  async createProfile(userId, headline, client = pool) {
+    await client.query(
+      `INSERT INTO assister_profile (user_id, headline) VALUES ($1, $2)
+       ON CONFLICT (user_id) DO NOTHING`,
+      [userId, headline || null]
+    );
+  },
+
+  /**
+   * Update the signed-in assister's directory profile
+   * @param {Object} data - { headline, bio, expertiseTags[], sectors[], available }
+   */
+  async updateProfile(userId, data) {
+    const headline = trimmedOrNull(data.headline, HEADLINE_MAX_LENGTH, 'Headline');
+    const bio = trimmedOrNull(data.bio, BIO_MAX_LENGTH, 'Bio');
+    const expertiseTags = pickFromList(data.expertiseTags, EXPERTISE_TAGS, 'Expertise tag');
+    const sectors = pickFromList(data.sectors, ASSISTER_SECTORS, 'Sector');
+
+    await pool.query(
+      `INSERT INTO assister_profile (user_id, headline, bio, expertise_tags, sectors, available, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (user_id) DO UPDATE
+       SET headline = $2, bio = $3, expertise_tags = $4, sectors = $5, available = $6, updated_at = NOW()`,
+      [userId, headline, bio, expertiseTags, sectors, data.available !== false]
+    );
+
+    return this.getProfile(userId);
+  },
+
+  /**
+   * Browse assisters. Each row carries rating, review count, completed
+   * engagements and the open engagement (if any) with the viewer's organization.
+   * @param {Object} filters - { q, tag, sector, minRating, available, sort, limit, offset }
+   * @returns {Promise<{ assisters: Object[], total: number }>}
+   */
+  async listDirectory(filters = {}, organizationId = null) {
+    const params = [organizationId];
+    const conditions = [];
+
+    if (filters.q && filters.q.trim()) {
+      params.push(`%${filters.q.trim()}%`);
+      const p = `$${params.length}`;
+      conditions.push(`(u.name ILIKE ${p} OR ap.headline ILIKE ${p} OR ap.bio ILIKE ${p} OR u.specialty ILIKE ${p})`);
+    }
+    if (filters.tag) {
+      params.push(filters.tag);
+      conditions.push(`$${params.length} = ANY(ap.expertise_tags)`);
+    }
+    if (filters.sector) {
+      params.push(filters.sector);
+      conditions.push(`$${params.length} = ANY(ap.sectors)`);
+    }
+    if (filters.minRating) {
+      const minRating = Number(filters.minRating);
+      if (!Number.isFinite(minRating) || minRating < 1 || minRating > 5) {
+        throw new Error('Minimum rating must be between 1 and 5');
+      }
+      params.push(minRating);
+      conditions.push(`r.rating >= $${params.length}`);
+    }
+    if (filters.available === true || filters.available === 'true') {
+      conditions.push('COALESCE(ap.available, TRUE)');
+    }
+
+    const orderBy = DIRECTORY_SORTS[filters.sort] || DIRECTORY_SORTS.rating;
+    const limit = Math.min(parseInt(filters.limit, 10) || DIRECTORY_PAGE_SIZE, 100);
+    const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+    params.push(limit, offset);
+
+    const result = await pool.query(
+      `${this._profileSelect(conditions)}
+       ORDER BY ${orderBy}
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return {
+      assisters: result.rows.map(({ total_count, ...row }) => row),
+      total: result.rows[0]?.total_count || 0,
+    };
+  },
+
+  /**
+   * One assister with their latest reviews
+   * @param {string} [organizationId] - viewer's organization, for its open engagement
+   */
+  async getProfile(assisterId, organizationId = null) {
+    const result = await pool.query(this._profileSelect(['u.user_id = $2']), [organizationId, assisterId]);
+    if (result.rows.length === 0) {
+      throw new Error('Assister not found');
+    }
+
+    const reviews = await pool.query(
+      `SELECT r.review_id, r.rating, r.comment, r.created_at, o.name as organization_name
+       FROM assister_review r
+       JOIN assister_engagement e ON r.engagement_id = e.engagement_id
+       JOIN organization o ON e.organization_id = o.organization_id
+       WHERE r.assister_id = $1
+       ORDER BY r.created_at DESC
+       LIMIT 20`,
+      [assisterId]
+    );
+
+    const { total_count, ...profile } = result.rows[0];
+    return { ...profile, reviews: reviews.rows };
+  },
+
+  // ==========================================
+  // ENGAGEMENTS
+  // ==========================================
+
+  /**
+   * Ask an assister to work with the requester's organization
+   */
+  async requestEngagement(assisterId, requester, message) {
+    const assister = await pool.query(
+      `SELECT u.user_id, COALESCE(ap.available, TRUE) as available
+       FROM "user" u
+       LEFT JOIN assister_profile ap ON ap.user_id = u.user_id
+       WHERE u.user_id = $1 AND u.role = 'ASSISTER'`,
+      [assisterId]
+    );
+    if (assister.rows.length === 0) {
+      throw new Error('Assister not found');
+    }
+    if (!assister.rows[0].available) {
+      throw new Error('This assister is not taking new requests');
+    }
+
+    let engagement;
+    try {
+      const result = await pool.query(
+        `INSERT INTO assister_engagement (assister_id, organization_id, requested_by, message)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [assisterId, requester.organizationId, requester.id, trimmedOrNull(message, BIO_MAX_LENGTH, 'Message')]
+      );
+      engagement = result.rows[0];
+    } catch (err) {
+      if (err.code === '23505') {
+        throw new Error('Your organization already has an open engagement with this assister');
+      }
+      throw err;
+    }
+
+    NotificationService.notify([assisterId], {
+      type: 'ASSISTER_ENGAGEMENT',
+      title: `${requester.organization || 'A bidder'} wants to work with you`,
+      body: engagement.message,
+      link: '/assister/profile',
+    }).catch((err) => logger.warn('[Assister] Request notification failed:', err.message));
+
+    return engagement;
+  },
+
+  /**
+   * Assister accepts or declines a pending request
+   */
+  async respondToEngagement(engagementId, assister, accept, responseMessage) {
+    const result = await pool.query(
+      `UPDATE assister_engagement
+       SET status = $3, response_message = $4, responded_at = NOW()
+       WHERE engagement_id = $1 AND assister_id = $2 AND status = 'PENDING'
+       RETURNING *`,
+      [engagementId, assister.id, accept ? 'ACCEPTED' : 'DECLINED', trimmedOrNull(responseMessage, BIO_MAX_LENGTH, 'Message')]
+    );
+    if (result.rows.length === 0) {
+      await this._assertEngagement(engagementId, { assisterId: assister.id });
+      throw new Error('This request is no longer pending');
+    }
+
+    const engagement = result.rows[0];
+    NotificationService.notify([engagement.requested_by], {
+      type: 'ASSISTER_ENGAGEMENT',
+      title: `${assister.name} ${accept ? 'accepted' : 'declined'} your request`,
+      body: accept ? 'You can now assign them to proposal sections.' : engagement.response_message,
+      link: '/bidder/assisters',
+    }).catch((err) => logger.warn('[Assister] Response notification failed:', err.message));
+
+    return engagement;
+  },
+
+  /**
+   * Bidder withdraws a request the assister hasn't answered yet
+   */
+  async cancelEngagement(engagementId, organizationId) {
+    const result = await pool.query(
+      `UPDATE assister_engagement SET status = 'CANCELLED', ended_at = NOW()
+       WHERE engagement_id = $1 AND organization_id = $2 AND status = 'PENDING'
+       RETURNING *`,
+      [engagementId, organizationId]
+    );
+    if (result.rows.length === 0) {
+      await this._assertEngagement(engagementId, { organizationId });
+      throw new Error('Only pending requests can be cancelled');
+    }
+    return result.rows[0];
+  },
+
+  /**
+   * End an accepted engagement (bidder organization or assister).
+   * The assister's section assignments on the organization's proposals are removed.
+   */
+  async completeEngagement(engagementId, user) {
+    const isAssister = user.role === 'ASSISTER';
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE assister_engagement SET status = 'COMPLETED', ended_at = NOW()
+         WHERE engagement_id = $1 AND status = 'ACCEPTED'
+           AND ${isAssister ? 'assister_id = $2' : 'organization_id = $2'}
+         RETURNING *`,
+        [engagementId, isAssister ? user.id : user.organizationId]
+      );
+      if (result.rows.length === 0) {
+        await this._assertEngagement(
+          engagementId,
+          isAssister ? { assisterId: user.id } : { organizationId: user.organizationId }
+        );
+        throw new Error('Only accepted engagements can be completed');
+      }
+
+      const engagement = result.rows[0];
+      await this._removeSectionAccess(client, engagement.organization_id, engagement.assister_id);
+      await client.query('COMMIT');
+
+      NotificationService.notify([isAssister ? engagement.requested_by : engagement.assister_id], {
+        type: 'ASSISTER_ENGAGEMENT',
+        title: `${user.name} ended the engagement`,
+        body: isAssister ? 'Leave a review of their work from the assister directory.' : null,
+        link: isAssister ? '/bidder/assisters' : '/assister/profile',
+      }).catch((err) => logger.warn('[Assister] Completion notification failed:', err.message));
+
+      return engagement;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Engagements of an assister, or of a bidder's organization, newest first
+   */
+  async listEngagements(user) {
+    const isAssister = user.role === 'ASSISTER';
+    const result = await pool.query(
+      `SELECT e.*, a.name as assister_name, a.email as assister_email,
+              o.name as organization_name, req.name as requested_by_name,
+              r.rating as review_rating, r.comment as review_comment
+       FROM assister_engagement e
+       JOIN "user" a ON e.assister_id = a.user_id
+       JOIN organization o ON e.organization_id = o.organization_id
+       LEFT JOIN "user" req ON e.requested_by = req.user_id
+       LEFT JOIN assister_review r ON r.engagement_id = e.engagement_id
+       WHERE ${isAssister ? 'e.assister_id = $1' : 'e.organization_id = $1'}
+       ORDER BY (e.status = ANY($2)) DESC, e.created_at DESC`,
+      [isAssister ? user.id : user.organizationId, OPEN_STATUSES]
+    );
+    return result.rows;
+  },
+
+  /**
+   * Whether an organization may assign the assister to its sections
+   */
+  async hasActiveEngagement(assisterId, organizationId) {
+    const result = await pool.query(
+      `SELECT 1 FROM assister_engagement
+       WHERE assister_id = $1 AND organization_id = $2 AND status = 'ACCEPTED'`,
+      [assisterId, organizationId]
+    );
+    return result.rows.length > 0;
+  },
+
+  // ==========================================
+  // REVIEWS
+  // ==========================================
+
+  /**
+   * Rate an assister after a completed engagement (once per engagement)
+   */
+  async reviewEngagement(engagementId, reviewer, { rating, comment }) {
+    const score = Number(rating);
+    if (!Number.isInteger(score) || score < 1 || score > 5) {
+      throw new Error('Rating must be a whole number between 1 and 5');
+    }
+
+    const engagement = await this._assertEngagement(engagementId, { organizationId: reviewer.organizationId });
+    if (engagement.status !== 'COMPLETED') {
+      throw new Error('Only completed engagements can be reviewed');
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO assister_review (engagement_id, assister_id, reviewer_id, rating, comment)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [engagementId, engagement.assister_id, reviewer.id, score, trimmedOrNull(comment, REVIEW_MAX_LENGTH, 'Review')]
+      );
+      return result.rows[0];
+    } catch (err) {
+      if (err.code === '23505') {
+        throw new Error('This engagement has already been reviewed');
+      }
+      throw err;
+    }
+  },
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  /**
+   * Directory columns for assisters matching the conditions; $1 is the viewer's organization
+   */
+  _profileSelect(conditions) {
+    return `SELECT u.user_id, u.name, COALESCE(ap.headline, u.specialty) as headline, ap.bio,
+                   COALESCE(ap.expertise_tags, '{}') as expertise_tags, COALESCE(ap.sectors, '{}') as sectors,
+                   COALESCE(ap.available, TRUE) as available, u.created_at as member_since,
+                   r.rating, r.review_count, e.completed_engagements,
+                   mine.engagement_id, mine.status as engagement_status,
+                   COUNT(*) OVER()::int as total_count
+            FROM "user" u
+            LEFT JOIN assister_profile ap ON ap.user_id = u.user_id
+            LEFT JOIN LATERAL (
+              SELECT ROUND(AVG(rating)::numeric, 1)::float as rating, COUNT(*)::int as review_count
+              FROM assister_review WHERE assister_id = u.user_id
+            ) r ON TRUE
+            LEFT JOIN LATERAL (
+              SELECT COUNT(*)::int as completed_engagements
+              FROM assister_engagement WHERE assister_id = u.user_id AND status = 'COMPLETED'
+            ) e ON TRUE
+            LEFT JOIN assister_engagement mine
+              ON mine.assister_id = u.user_id AND mine.organization_id = $1
+             AND mine.status IN ('PENDING', 'ACCEPTED')
+            WHERE ${["u.role = 'ASSISTER'", ...conditions].join(' AND ')}`;
+  },
+
+  /**
+   * Engagement visible to the caller (by assister or organization), or 'Engagement not found'
+   */
+  async _assertEngagement(engagementId, { assisterId = null, organizationId = null }) {
+    const result = await pool.query(
+      `SELECT * FROM assister_engagement
+       WHERE engagement_id = $1
+         AND ($2::uuid IS NULL OR assister_id = $2::uuid)
+         AND ($3::uuid IS NULL OR organization_id = $3::uuid)`,
+      [engagementId, assisterId, organizationId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Engagement not found');
+    }
+    return result.rows[0];
+  },
+
+  async _removeSectionAccess(client, organizationId, assisterId) {
+    await client.query(
+      `DELETE FROM proposal_collaborator pc
+       USING proposal p
+       WHERE pc.proposal_id = p.proposal_id AND p.organization_id = $1 AND pc.user_id = $2`,
+      [organizationId, assisterId]
+    );
+    await client.query(
+      `DELETE FROM uploaded_proposal_collaborator upc
+       USING uploaded_tender ut
+       WHERE upc.uploaded_tender_id = ut.uploaded_tender_id AND ut.organization_id = $1 AND upc.user_id = $2`,
+      [organizationId, assisterId]
+    );
+  },
+};
+
+export default AssisterService;
@@ -2,6 +2,7 @@
  * Audit Log Service
  * Tracks and stores audit logs for proposal actions including:
  * - CREATE, EDIT, SUBMIT, EXPORT, VIEW, AI_ASSIST
+ * - BID_OPENING (sealed bid unsealed by the authority)
  *
  * Stores logs in database with optional in-memory caching for performance
  */
@@ -139,11 +140,11 @@ export const AuditLogService = {
       const validActions = [
         'CREATE', 'EDIT', 'SUBMIT', 'EXPORT', 'VIEW', 'DELETE',
         'AI_DRAFT', 'AI_ANALYZE', 'COMMENT_ADD', 'COMMENT_RESOLVE',
-        'ASSIGN_COLLABORATOR', 'FINALIZE', 'PUBLISH', 'REVERT'
+        'ASSIGN_COLLABORATOR', 'FINALIZE', 'PUBLISH', 'REVERT', 'BID_OPENING'
       ];
 
       const validCategories = [
-        'PROPOSAL', 'SECTION', 'AI_ASSISTANCE', 'EXPORT', 'COLLABORATION', 'STATUS_CHANGE'
+        'PROPOSAL', 'SECTION', 'AI_ASSISTANCE', 'EXPORT', 'COLLABORATION', 'STATUS_CHANGE', 'EVALUATION'
       ];
 
       if (!validActions.includes(action)) {
@@ -340,7 +341,8 @@ export const AuditLogService = {
       ASSIGN_COLLABORATOR: 'assigned a collaborator',
       FINALIZE: 'finalized the proposal',
       PUBLISH: 'published the proposal',
-      REVERT: 'reverted to draft'
+      REVERT: 'reverted to draft',
+      BID_OPENING: 'opened the sealed bids'
     };
 
     const description = actionDescriptions[log.action] || log.action.toLowerCase().replace(/_/g, ' ');
@@ -480,6 +482,18 @@ export const AuditLogService = {
       ipAddress: req?.ip,
       userAgent: req?.headers?.['user-agent']
     });
+  },
+
+  async logBidOpening(proposalId, userId, { tenderId, openingId, bidsOpened }, req = null) {
+    return this.logAction({
+      proposalId,
+      userId,
+      action: 'BID_OPENING',
+      actionCategory: 'EVALUATION',
+      details: { tenderId, openingId, bidsOpened },
+      ipAddress: req?.ip,
+      userAgent: req?.headers?.['user-agent']
+    });
   }
 };
 
@@ -2,9 +2,16 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { pool } from '../config/db.js';
 import { env } from '../config/env.js';
+import { AccountService, SALT_ROUNDS } from './account.service.js';
+import { AssisterService } from './assister.service.js';
+import { SessionService } from './session.service.js';
+import { TeamService } from './team.service.js';
+import { TwoFactorService } from './twoFactor.service.js';
+import { logger } from '../utils/logger.js';
 
-const SALT_ROUNDS = 10;
-const TOKEN_EXPIRY = '24h';
+// Short-lived token that links the password step of a login to the two-factor step
+const TWO_FACTOR_CHALLENGE = 'two_factor_login';
+const TWO_FACTOR_CHALLENGE_EXPIRY = '5m';
 
 async function ensureAssisterConstraints() {
   const constraints = await pool.query(
@@ -42,7 +49,14 @@ async function ensureAssisterConstraints() {
 }
 
 export const AuthService = {
-  async signup({ name, email, password, role, organizationName, specialty }) {
+  /**
+   * @param {Object} meta - { userAgent, ip } of the request, recorded on the new session
+   */
+  async signup({ name, email, password, role, organizationName, specialty, invitationToken }, meta = {}) {
+    if (invitationToken) {
+      return this._signupWithInvitation({ name, email, password, invitationToken }, meta);
+    }
+
     // Validate role
     if (!['AUTHORITY', 'BIDDER', 'ASSISTER'].includes(role)) {
       throw new Error('Invalid role. Must be AUTHORITY, BIDDER, or ASSISTER');
@@ -80,12 +94,18 @@ export const AuthService = {
 
     // Create user with specialty if ASSISTER
     // Use insert that returns the whole row, then normalize fields so it works with either schema
+    // The person who creates an organization owns it
     const userResult = await pool.query(
-      'INSERT INTO "user" (name, email, password_hash, role, organization_id, specialty) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      `INSERT INTO "user" (name, email, password_hash, role, organization_id, specialty, org_role)
+       VALUES ($1, $2, $3, $4, $5, $6, 'OWNER') RETURNING *`,
       [name, email, passwordHash, role, organizationId, specialty || null]
     );
 
     const created = userResult.rows[0];
+    if (role === 'ASSISTER') {
+      await AssisterService.createProfile(created.user_id, specialty);
+    }
+
     const normalizedCreated = {
       user_id: created.user_id || created.id,
       name: created.name || created.full_name,
@@ -93,22 +113,20 @@ export const AuthService = {
       role: created.role,
       organization_id: created.organization_id || null,
       organization_name: orgName,
+      org_role: created.org_role || null,
       specialty: created.specialty || (created.metadata && created.metadata.specialty) || null,
     };
 
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: normalizedCreated.user_id,
-        role: normalizedCreated.role,
-        organizationId: normalizedCreated.organization_id,
-      },
-      env.JWT_SECRET,
-      { expiresIn: TOKEN_EXPIRY }
-    );
+    // New accounts start unverified; the signup succeeds even if the email can't be sent
+    AccountService.sendVerification(normalizedCreated).catch((err) => {
+      logger.warn(`[Auth] Verification email to ${normalizedCreated.email} failed:`, err.message);
+    });
+
+    const { token, refreshToken } = await SessionService.create(normalizedCreated, meta);
 
     return {
       token,
+      refreshToken,
       user: {
         id: normalizedCreated.user_id,
         name: normalizedCreated.name,
@@ -116,29 +134,146 @@ export const AuthService = {
         role: normalizedCreated.role ? normalizedCreated.role.toLowerCase() : null,
         organization: normalizedCreated.organization_name,
         organizationId: normalizedCreated.organization_id,
+        orgRole: normalizedCreated.org_role,
+        emailVerified: false,
         specialty: normalizedCreated.specialty,
       },
     };
   },
 
-  async login(email, password) {
+  /**
+   * Create an account from an organization invitation: the user joins the
+   * inviting organization with the invited role instead of creating one.
+   * The invitation was delivered to the address, so it counts as verified.
+   */
+  async _signupWithInvitation({ name, email, password, invitationToken }, meta = {}) {
+    const invitation = await TeamService.findOpenInvitation(invitationToken);
+
+    if (invitation.email.toLowerCase() !== email.toLowerCase()) {
+      throw new Error('This invitation was sent to a different email address');
+    }
+
+    const existingUser = await pool.query(
+      'SELECT user_id FROM "user" WHERE email = $1',
+      [email]
+    );
+
+    if (existingUser.rows.length > 0) {
+      throw new Error('Email already registered');
+    }
+
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+    const client = await pool.connect();
+    let created;
+    try {
+      await client.query('BEGIN');
+      const userResult = await client.query(
+        `INSERT INTO "user" (name, email, password_hash, role, organization_id, org_role, email_verified_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         RETURNING user_id, name, email, role, organization_id, org_role`,
+        [name, email, passwordHash, invitation.organization_type, invitation.organization_id, invitation.org_role]
+      );
+      created = userResult.rows[0];
+      await TeamService.markAccepted(client, invitation.invitation_id, created.user_id);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const { token, refreshToken } = await SessionService.create(created, meta);
+
+    return {
+      token,
+      refreshToken,
+      user: {
+        id: created.user_id,
+        name: created.name,
+        email: created.email,
+        role: created.role.toLowerCase(),
+        organization: invitation.organization_name,
+        organizationId: created.organization_id,
+        orgRole: created.org_role,
+        emailVerified: true,
+        specialty: null,
+      },
+    };
+  },
+
+  /**
+   * Check email and password. With two-factor enabled, no session is created
+   * yet: the result is { twoFactorRequired, challengeToken } for
+   * completeTwoFactorLogin.
+   */
+  async login(email, password, meta = {}) {
     // Find user with organization
     // Use available columns (compat with Supabase-auth table where columns may be id/full_name)
+    const normalizedUser = await this._findLoginUser('u.email = $1', [email]);
+    if (!normalizedUser) {
+      throw new Error('Invalid email or password');
+    }
+
+    // Verify password
+    const isValidPassword = normalizedUser.password_hash ? await bcrypt.compare(password, normalizedUser.password_hash) : false;
+    if (!isValidPassword) {
+      throw new Error('Invalid email or password');
+    }
+
+    if (normalizedUser.totp_enabled_at) {
+      const challengeToken = jwt.sign(
+        { userId: normalizedUser.user_id, purpose: TWO_FACTOR_CHALLENGE },
+        env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+      );
+      return { twoFactorRequired: true, challengeToken };
+    }
+
+    return this._startSession(normalizedUser, meta);
+  },
+
+  /**
+   * Second login step: the challenge from login() plus an authenticator or recovery code
+   */
+  async completeTwoFactorLogin(challengeToken, code, meta = {}) {
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, env.JWT_SECRET);
+    } catch {
+      throw new Error('Login attempt expired, please sign in again');
+    }
+    if (payload.purpose !== TWO_FACTOR_CHALLENGE) {
+      throw new Error('Login attempt expired, please sign in again');
+    }
+
+    await TwoFactorService.verify(payload.userId, code);
+
+    const normalizedUser = await this._findLoginUser('u.user_id = $1', [payload.userId]);
+    if (!normalizedUser) {
+      throw new Error('Invalid email or password');
+    }
+
+    return this._startSession(normalizedUser, meta);
+  },
+
+  async _findLoginUser(condition, params) {
     const result = await pool.query(
-      `SELECT u.*, o.name as organization_name
+      `SELECT u.*, o.name as organization_name, o.require_two_factor
        FROM "user" u
        LEFT JOIN organization o ON u.organization_id = o.organization_id
-       WHERE u.email = $1`,
-      [email]
+       WHERE ${condition}`,
+      params
     );
 
     if (result.rows.length === 0) {
-      throw new Error('Invalid email or password');
+      return null;
     }
 
     const user = result.rows[0];
     // Normalize fields for application
-    const normalizedUser = {
+    return {
       user_id: user.user_id || user.id,
       name: user.name || user.full_name,
       email: user.email,
@@ -146,28 +281,20 @@ export const AuthService = {
       role: user.role,
       organization_id: user.organization_id || null,
       organization_name: user.organization_name || null,
+      org_role: user.org_role || null,
+      email_verified_at: user.email_verified_at || null,
+      totp_enabled_at: user.totp_enabled_at || null,
+      require_two_factor: Boolean(user.require_two_factor),
       specialty: user.specialty || (user.metadata && user.metadata.specialty) || null,
     };
+  },
 
-    // Verify password
-    const isValidPassword = normalizedUser.password_hash ? await bcrypt.compare(password, normalizedUser.password_hash) : false;
-    if (!isValidPassword) {
-      throw new Error('Invalid email or password');
-    }
-
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: normalizedUser.user_id,
-        role: normalizedUser.role,
-        organizationId: normalizedUser.organization_id,
-      },
-      env.JWT_SECRET,
-      { expiresIn: TOKEN_EXPIRY }
-    );
+  async _startSession(normalizedUser, meta) {
+    const { token, refreshToken } = await SessionService.create(normalizedUser, meta);
 
     return {
       token,
+      refreshToken,
       user: {
         id: normalizedUser.user_id,
         name: normalizedUser.name,
@@ -175,6 +302,11 @@ export const AuthService = {
         role: normalizedUser.role ? normalizedUser.role.toLowerCase() : null,
         organization: normalizedUser.organization_name,
         organizationId: normalizedUser.organization_id,
+        orgRole: normalizedUser.org_role,
+        emailVerified: Boolean(normalizedUser.email_verified_at),
+        twoFactorEnabled: Boolean(normalizedUser.totp_enabled_at),
+        // The organization requires two-factor but the user hasn't set it up yet
+        twoFactorSetupRequired: normalizedUser.require_two_factor && !normalizedUser.totp_enabled_at,
         specialty: normalizedUser.specialty,
       },
     };
@@ -0,0 +1,524 @@
+/**
+ * Bid Decision Service
+ * Structured bid/no-bid step before a bid is pursued:
+ * - Organization-configurable weighted scorecard (1-5 rating per criterion)
+ * - AI pre-filled scores and recommendation from the tender summary,
+ *   eligibility checklist, competition, workload and deadline
+ * - Submission for approval and an approval / rejection record
+ *
+ * An approved BID decision is required before collaborative drafting opens.
+ */
+
+import { pool } from '../config/db.js';
+import { PermissionService } from './permission.service.js';
+import { LLMCaller } from '../utils/llmCaller.js';
+import { EligibilityService } from './eligibility.service.js';
+import { OrganizationService } from './organization.service.js';
+import { TenderSummarizerService } from './tenderSummarizer.service.js';
+
+export const SCORECARD_CRITERIA = {
+  FIT: 'Strategic and technical fit',
+  ELIGIBILITY: 'Eligibility match',
+  COMPETITION: 'Competition',
+  MARGIN: 'Expected margin',
+  CAPACITY: 'Team capacity',
+  DEADLINE: 'Time to deadline',
+};
+
+export const DEFAULT_WEIGHTS = {
+  FIT: 25,
+  ELIGIBILITY: 25,
+  COMPETITION: 15,
+  MARGIN: 15,
+  CAPACITY: 10,
+  DEADLINE: 10,
+};
+
+export const DEFAULT_BID_THRESHOLD = 60;
+
+export const BID_APPROVAL_REQUIRED = 'An approved bid decision is required before collaborative drafting';
+
+const MAX_SCORE = 5;
+
+/**
+ * Weighted total as a percentage over the scored criteria (null when nothing is scored)
+ */
+const computeTotal = (scores, weights) => {
+  let weighted = 0;
+  let weightSum = 0;
+
+  for (const [criterion, weight] of Object.entries(weights)) {
+    const score = scores[criterion]?.score;
+    if (!score || !weight) continue;
+    weighted += weight * (score / MAX_SCORE);
+    weightSum += weight;
+  }
+
+  return weightSum > 0 ? Math.round((weighted / weightSum) * 10000) / 100 : null;
+};
+
+/**
+ * Map a value onto the 1-5 scale using ascending limits: [[limit, score], ...]
+ */
+const scaleScore = (value, bands, fallback = 1) => {
+  for (const [limit, score] of bands) {
+    if (value <= limit) return score;
+  }
+  return fallback;
+};
+
+const parseJSON = (response) => {
+  const match = String(response || '').match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+};
+
+export const BidDecisionService = {
+  /**
+   * Scorecard weights and bid threshold of an organization (defaults when not configured)
+   */
+  async getScorecard(organizationId) {
+    const result = await pool.query(
+      'SELECT weights, bid_threshold, updated_at FROM bid_scorecard WHERE organization_id = $1',
+      [organizationId]
+    );
+
+    const row = result.rows[0];
+    return {
+      criteria: SCORECARD_CRITERIA,
+      weights: { ...DEFAULT_WEIGHTS, ...(row?.weights || {}) },
+      bid_threshold: row ? row.bid_threshold : DEFAULT_BID_THRESHOLD,
+      updated_at: row?.updated_at || null,
+    };
+  },
+
+  async updateScorecard(organizationId, { weights, bid_threshold }, user) {
+    const current = await this.getScorecard(organizationId);
+    const nextWeights = { ...current.weights };
+
+    if (weights !== undefined) {
+      if (!weights || typeof weights !== 'object') {
+        throw new Error('weights must be an object');
+      }
+      for (const [criterion, weight] of Object.entries(weights)) {
+        if (!SCORECARD_CRITERIA[criterion]) {
+          throw new Error(`Unknown scorecard criterion: ${criterion}`);
+        }
+        const value = Number(weight);
+        if (!Number.isFinite(value) || value < 0 || value > 100) {
+          throw new Error(`Weight of ${criterion} must be between 0 and 100`);
+        }
+        nextWeights[criterion] = value;
+      }
+      if (Object.values(nextWeights).every((w) => w === 0)) {
+        throw new Error('At least one criterion must have a weight');
+      }
+    }
+
+    let threshold = current.bid_threshold;
+    if (bid_threshold !== undefined) {
+      threshold = Number(bid_threshold);
+      if (!Number.isInteger(threshold) || threshold < 0 || threshold > 100) {
+        throw new Error('Bid threshold must be a whole number between 0 and 100');
+      }
+    }
+
+    await pool.query(
+      `INSERT INTO bid_scorecard (organization_id, weights, bid_threshold, updated_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (organization_id)
+       DO UPDATE SET weights = EXCLUDED.weights, bid_threshold = EXCLUDED.bid_threshold,
+                     updated_by = EXCLUDED.updated_by, updated_at = NOW()`,
+      [organizationId, JSON.stringify(nextWeights), threshold, user.id]
+    );
+
+    return this.getScorecard(organizationId);
+  },
+
+  /**
+   * Decision of the user's organization for a tender with its approval history
+   * @returns {Object|null} null when no decision has been started
+   */
+  async getDecision(tenderId, user) {
+    const result = await pool.query(
+      `SELECT d.*, t.title as tender_title, t.submission_deadline,
+              prep.name as prepared_by_name, rev.name as reviewed_by_name
+       FROM bid_decision d
+       JOIN tender t ON d.tender_id = t.tender_id
+       LEFT JOIN "user" prep ON d.prepared_by = prep.user_id
+       LEFT JOIN "user" rev ON d.reviewed_by = rev.user_id
+       WHERE d.tender_id = $1 AND d.organization_id = $2`,
+      [tenderId, user.organizationId]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const decision = result.rows[0];
+    const events = await pool.query(
+      `SELECT e.event_id, e.action, e.decision, e.total_score, e.comment, e.created_at, u.name as actor_name
+       FROM bid_decision_event e
+       LEFT JOIN "user" u ON e.actor_id = u.user_id
+       WHERE e.decision_id = $1
+       ORDER BY e.created_at ASC`,
+      [decision.decision_id]
+    );
+
+    return {
+      ...decision,
+      total_score: decision.total_score !== null ? Number(decision.total_score) : null,
+      can_approve: decision.status === 'PENDING_APPROVAL' && this._canApprove(user, decision),
+      events: events.rows.map((e) => ({ ...e, total_score: e.total_score !== null ? Number(e.total_score) : null })),
+    };
+  },
+
+  /**
+   * Save scores, decision and justification of a draft (or rejected) decision
+   * @param {Object} data - { scores: { [criterion]: { score: 1-5, note } }, decision, justification }
+   */
+  async saveDecision(tenderId, data, user) {
+    const existing = await this._getOrCreateDraft(tenderId, user);
+
+    const scores = { ...existing.scores };
+    if (data.scores !== undefined) {
+      for (const [criterion, entry] of Object.entries(data.scores || {})) {
+        if (!SCORECARD_CRITERIA[criterion]) {
+          throw new Error(`Unknown scorecard criterion: ${criterion}`);
+        }
+        const score = Number(entry?.score);
+        if (!Number.isInteger(score) || score < 1 || score > MAX_SCORE) {
+          throw new Error(`Score of ${criterion} must be a whole number from 1 to ${MAX_SCORE}`);
+        }
+        const note = entry.note !== undefined ? String(entry.note || '').trim() : scores[criterion]?.note;
+        scores[criterion] = { score, note: note || null };
+      }
+    }
+
+    if (data.decision !== undefined && data.decision !== null && !['BID', 'NO_BID'].includes(data.decision)) {
+      throw new Error('Decision must be BID or NO_BID');
+    }
+
+    const { weights } = await this.getScorecard(user.organizationId);
+
+    await pool.query(
+      `UPDATE bid_decision
+       SET scores = $1, weights = $2, total_score = $3,
+           decision = COALESCE($4, decision), justification = COALESCE($5, justification),
+           status = 'DRAFT', prepared_by = $6, updated_at = NOW()
+       WHERE decision_id = $7`,
+      [
+        JSON.stringify(scores),
+        JSON.stringify(weights),
+        computeTotal(scores, weights),
+        data.decision ?? null,
+        data.justification !== undefined ? String(data.justification).trim() : null,
+        user.id,
+        existing.decision_id,
+      ]
+    );
+
+    return this.getDecision(tenderId, user);
+  },
+
+  /**
+   * Pre-fill every criterion with a suggested score and note, plus an overall
+   * recommendation. ELIGIBILITY, COMPETITION, CAPACITY and DEADLINE are computed;
+   * FIT and MARGIN are assessed by the LLM from the tender summary.
+   */
+  async prefillDecision(tenderId, user) {
+    const existing = await this._getOrCreateDraft(tenderId, user);
+    const { weights, bid_threshold } = await this.getScorecard(user.organizationId);
+
+    const tenderRes = await pool.query(
+      `SELECT t.title, t.estimated_value, t.submission_deadline,
+              (SELECT COUNT(*) FROM proposal p WHERE p.tender_id = t.tender_id AND p.organization_id <> $2)::int as competitor_count,
+              (SELECT COUNT(*) FROM proposal p
+                 JOIN tender ot ON p.tender_id = ot.tender_id
+               WHERE p.organization_id = $2 AND p.status = 'DRAFT' AND ot.submission_deadline > NOW())::int as open_drafts
+       FROM tender t WHERE t.tender_id = $1`,
+      [tenderId, user.organizationId]
+    );
+    const tender = tenderRes.rows[0];
+
+    const scores = {};
+
+    const eligibility = await EligibilityService.checkTender(tenderId, user);
+    const { passed, failed, unknown, total } = eligibility.summary;
+    scores.ELIGIBILITY = {
+      score: total === 0 ? 3 : failed > 0 ? 1 : Math.max(1, Math.round(1 + (4 * passed) / total)),
+      note: total === 0
+        ? 'No structured eligibility criteria found in the tender'
+        : `${passed} met, ${failed} not met, ${unknown} unknown of ${total} criteria`,
+    };
+
+    scores.COMPETITION = {
+      score: scaleScore(tender.competitor_count, [[2, 5], [5, 4], [10, 3], [20, 2]]),
+      note: `${tender.competitor_count} other organization(s) have started a proposal`,
+    };
+
+    scores.CAPACITY = {
+      score: scaleScore(tender.open_drafts, [[1, 5], [2, 4], [4, 3], [6, 2]]),
+      note: `${tender.open_drafts} proposal draft(s) already in progress`,
+    };
+
+    const daysLeft = tender.submission_deadline
+      ? Math.floor((new Date(tender.submission_deadline) - new Date()) / (24 * 60 * 60 * 1000))
+      : null;
+    scores.DEADLINE = daysLeft === null
+      ? { score: 3, note: 'No submission deadline published' }
+      : {
+          score: scaleScore(daysLeft, [[6, 1], [13, 2], [20, 3], [29, 4]], 5),
+          note: daysLeft < 0 ? 'Submission deadline has passed' : `${daysLeft} day(s) until the submission deadline`,
+        };
+
+    const assessment = await this._assessFitAndMargin(tenderId, tender, user.organizationId);
+    scores.FIT = assessment.FIT;
+    scores.MARGIN = assessment.MARGIN;
+
+    const totalScore = computeTotal(scores, weights);
+    const recommendation = failed > 0 || totalScore < bid_threshold ? 'NO_BID' : 'BID';
+    const rationale = [
+      `Weighted score ${totalScore}% against a bid threshold of ${bid_threshold}%.`,
+      failed > 0 ? `${failed} eligibility criteria are not met.` : null,
+      assessment.rationale,
+    ].filter(Boolean).join(' ');
+
+    await pool.query(
+      `UPDATE bid_decision
+       SET scores = $1, weights = $2, total_score = $3, recommendation = $4, ai_rationale = $5,
+           ai_generated_at = NOW(), decision = COALESCE(decision, $4), status = 'DRAFT',
+           prepared_by = $6, updated_at = NOW()
+       WHERE decision_id = $7`,
+      [JSON.stringify(scores), JSON.stringify(weights), totalScore, recommendation, rationale, user.id, existing.decision_id]
+    );
+
+    return this.getDecision(tenderId, user);
+  },
+
+  /**
+   * Submit the decision for approval; every weighted criterion must be scored
+   */
+  async submitDecision(tenderId, user) {
+    const decision = await this.getDecision(tenderId, user);
+
+    if (!decision) {
+      throw new Error('Bid decision not found');
+    }
+    this._assertEditable(decision);
+
+    const { weights } = await this.getScorecard(user.organizationId);
+    const missing = Object.keys(weights).filter((c) => weights[c] > 0 && !decision.scores[c]?.score);
+    if (missing.length > 0) {
+      throw new Error(`Score all criteria before submitting: ${missing.map((c) => SCORECARD_CRITERIA[c]).join(', ')}`);
+    }
+    if (!decision.decision) {
+      throw new Error('Decision must be BID or NO_BID');
+    }
+    if (!decision.justification) {
+      throw new Error('Justification is required');
+    }
+
+    await pool.query(
+      `UPDATE bid_decision
+       SET status = 'PENDING_APPROVAL', submitted_at = NOW(), reviewed_by = NULL, reviewed_at = NULL,
+           review_comment = NULL, updated_at = NOW()
+       WHERE decision_id = $1`,
+      [decision.decision_id]
+    );
+    await this._recordEvent(decision, 'SUBMITTED', user, null);
+
+    return this.getDecision(tenderId, user);
+  },
+
+  /**
+   * Approve or reject a submitted decision; a rejection needs a comment
+   */
+  async reviewDecision(tenderId, { approve, comment }, user) {
+    const decision = await this.getDecision(tenderId, user);
+
+    if (!decision) {
+      throw new Error('Bid decision not found');
+    }
+    if (decision.status !== 'PENDING_APPROVAL') {
+      throw new Error('Bid decision is not awaiting approval');
+    }
+    if (!this._canApprove(user, decision)) {
+      throw new Error('Forbidden');
+    }
+
+    const reviewComment = comment?.trim() || null;
+    if (!approve && !reviewComment) {
+      throw new Error('A comment is required to reject a bid decision');
+    }
+
+    const status = approve ? 'APPROVED' : 'REJECTED';
+    await pool.query(
+      `UPDATE bid_decision
+       SET status = $1, reviewed_by = $2, reviewed_at = NOW(), review_comment = $3, updated_at = NOW()
+       WHERE decision_id = $4`,
+      [status, user.id, reviewComment, decision.decision_id]
+    );
+    await this._recordEvent(decision, status, user, reviewComment);
+
+    return this.getDecision(tenderId, user);
+  },
+
+  /**
+   * Decisions of an organization, optionally filtered by status (e.g. the approval queue)
+   */
+  async listDecisions(organizationId, { status } = {}) {
+    const params = [organizationId];
+    let filter = '';
+
+    if (status) {
+      params.push(status);
+      filter = 'AND d.status = $2';
+    }
+
+    const result = await pool.query(
+      `SELECT d.decision_id, d.tender_id, d.total_score, d.recommendation, d.decision, d.status,
+              d.submitted_at, d.reviewed_at, d.updated_at,
+              t.title as tender_title, t.submission_deadline, prep.name as prepared_by_name
+       FROM bid_decision d
+       JOIN tender t ON d.tender_id = t.tender_id
+       LEFT JOIN "user" prep ON d.prepared_by = prep.user_id
+       WHERE d.organization_id = $1 ${filter}
+       ORDER BY d.updated_at DESC`,
+      params
+    );
+
+    return result.rows.map((d) => ({ ...d, total_score: d.total_score !== null ? Number(d.total_score) : null }));
+  },
+
+  /**
+   * Gate for collaborative drafting: the organization must have an approved BID decision
+   */
+  async assertBidApproved(tenderId, organizationId) {
+    const result = await pool.query(
+      `SELECT 1 FROM bid_decision
+       WHERE tender_id = $1 AND organization_id = $2 AND status = 'APPROVED' AND decision = 'BID'`,
+      [tenderId, organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(BID_APPROVAL_REQUIRED);
+    }
+  },
+
+  async assertBidApprovedForProposal(proposalId) {
+    const result = await pool.query('SELECT tender_id, organization_id FROM proposal WHERE proposal_id = $1', [proposalId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Proposal not found');
+    }
+
+    await this.assertBidApproved(result.rows[0].tender_id, result.rows[0].organization_id);
+  },
+
+  /**
+   * Owners, admins and bid managers of the bidding organization approve its decisions
+   */
+  _canApprove(user, decision) {
+    return user.organizationId === decision.organization_id && PermissionService.canAccessFeature(user, 'bid_approve');
+  },
+
+  _assertEditable(decision) {
+    if (decision.status === 'PENDING_APPROVAL') {
+      throw new Error('Bid decision is awaiting approval and cannot be changed');
+    }
+    if (decision.status === 'APPROVED') {
+      throw new Error('Bid decision is already approved and cannot be changed');
+    }
+  },
+
+  async _getOrCreateDraft(tenderId, user) {
+    const tenderRes = await pool.query('SELECT status FROM tender WHERE tender_id = $1', [tenderId]);
+
+    if (tenderRes.rows.length === 0) {
+      throw new Error('Tender not found');
+    }
+    if (tenderRes.rows[0].status !== 'PUBLISHED') {
+      throw new Error('This tender is not available');
+    }
+
+    const { weights } = await this.getScorecard(user.organizationId);
+    await pool.query(
+      `INSERT INTO bid_decision (tender_id, organization_id, weights, prepared_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (tender_id, organization_id) DO NOTHING`,
+      [tenderId, user.organizationId, JSON.stringify(weights), user.id]
+    );
+
+    const result = await pool.query(
+      'SELECT decision_id, scores, status FROM bid_decision WHERE tender_id = $1 AND organization_id = $2',
+      [tenderId, user.organizationId]
+    );
+
+    this._assertEditable(result.rows[0]);
+    return result.rows[0];
+  },
+
+  async _recordEvent(decision, action, user, comment) {
+    await pool.query(
+      `INSERT INTO bid_decision_event (decision_id, action, actor_id, decision, total_score, comment)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [decision.decision_id, action, user.id, decision.decision, decision.total_score, comment]
+    );
+  },
+
+  /**
+   * LLM assessment of strategic fit and expected margin; neutral scores when the LLM is unavailable
+   */
+  async _assessFitAndMargin(tenderId, tender, organizationId) {
+    const fallback = {
+      FIT: { score: 3, note: 'Not assessed automatically; rate manually' },
+      MARGIN: { score: 3, note: 'Not assessed automatically; rate manually' },
+      rationale: null,
+    };
+
+    try {
+      const summary = await TenderSummarizerService.generateQuickSummary(tenderId);
+      const bidder = await OrganizationService.getDraftingContext(organizationId);
+
+      const response = await LLMCaller.call({
+        systemPrompt: 'You are a bid manager assessing whether a company should bid for a public tender. Respond with JSON only.',
+        userPrompt: `TENDER: ${tender.title}
+SUMMARY: ${summary.quickSummary}
+ESTIMATED VALUE: ${tender.estimated_value ? `INR ${Number(tender.estimated_value).toLocaleString('en-IN')}` : 'not published'}
+
+BIDDER PROFILE:
+${bidder}
+
+Rate on a 1-5 scale (5 = best for the bidder):
+- FIT: how well the work matches the bidder's profile, experience and certifications
+- MARGIN: expected profitability given the value and scope
+
+Respond as: {"FIT": {"score": n, "note": "one sentence"}, "MARGIN": {"score": n, "note": "one sentence"}, "rationale": "two sentences on whether to bid"}`,
+        temperature: 0.2,
+        maxTokens: 400,
+      });
+
+      const parsed = parseJSON(response);
+      if (!parsed) return fallback;
+
+      const clamp = (entry, defaults) => {
+        const score = Math.round(Number(entry?.score));
+        return Number.isInteger(score) && score >= 1 && score <= MAX_SCORE
+          ? { score, note: String(entry.note || '').slice(0, 300) || null }
+          : defaults;
+      };
+
+      return {
+        FIT: clamp(parsed.FIT, fallback.FIT),
+        MARGIN: clamp(parsed.MARGIN, fallback.MARGIN),
+        rationale: parsed.rationale ? String(parsed.rationale).slice(0, 600) : null,
+      };
+    } catch (err) {
+      console.error('[BidDecision] Fit/margin assessment failed:', err.message);
+      return fallback;
+    }
+  },
+};
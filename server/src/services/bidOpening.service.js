@@ -0,0 +1,178 @@
+import { pool } from '../config/db.js';
+import { AuditLogService } from './auditLog.service.js';
+
+export const SEALED_ERROR = 'Sealed bids cannot be accessed before the bid opening';
+
+export const BidOpeningService = {
+  /**
+   * Whether the submitted bids of a tender are still sealed
+   * (sealed-bid mode and no bid opening executed yet)
+   */
+  async isSealed(tenderId) {
+    const result = await pool.query(
+      `SELECT t.sealed_bids, o.opening_id
+       FROM tender t
+       LEFT JOIN tender_bid_opening o ON o.tender_id = t.tender_id
+       WHERE t.tender_id = $1`,
+      [tenderId]
+    );
+
+    const row = result.rows[0];
+    return Boolean(row && row.sealed_bids && !row.opening_id);
+  },
+
+  /**
+   * Throw when the tender's bids are still sealed; called before any authority read of bid content
+   */
+  async assertOpened(tenderId) {
+    if (await this.isSealed(tenderId)) {
+      throw new Error(SEALED_ERROR);
+    }
+  },
+
+  /**
+   * Bid opening status for the owning authority: sealed bid count before the opening,
+   * the opening record (who, when, which bids) after it
+   */
+  async getStatus(tenderId, user) {
+    const tender = await this._getOwnedTender(tenderId, user);
+
+    const countRes = await pool.query(
+      `SELECT COUNT(*) as count FROM proposal WHERE tender_id = $1 AND status = 'SUBMITTED'`,
+      [tenderId]
+    );
+
+    const openingRes = await pool.query(
+      `SELECT o.opening_id, o.opened_at, o.bid_count, o.bids, u.name as opened_by_name
+       FROM tender_bid_opening o
+       LEFT JOIN "user" u ON o.opened_by = u.user_id
+       WHERE o.tender_id = $1`,
+      [tenderId]
+    );
+
+    const opening = openingRes.rows[0] || null;
+    const deadlinePassed = new Date() > new Date(tender.submission_deadline);
+
+    return {
+      sealed_bids: tender.sealed_bids,
+      submission_deadline: tender.submission_deadline,
+      deadline_passed: deadlinePassed,
+      submitted_bid_count: parseInt(countRes.rows[0].count),
+      opened: Boolean(opening),
+      opening,
+      can_open: tender.sealed_bids && !opening && deadlinePassed && (await this._isAuthorisedOpener(tenderId, user)),
+    };
+  },
+
+  /**
+   * Execute the bid opening: unseals every submitted bid of the tender and records
+   * the opening, with the list of bids opened, in the audit log
+   * Only after the submission deadline; when an evaluation committee is appointed only its chair may open
+   */
+  async openBids(tenderId, user, req = null) {
+    const tender = await this._getOwnedTender(tenderId, user);
+
+    if (!tender.sealed_bids) {
+      throw new Error('This tender does not use sealed bids');
+    }
+
+    if (new Date() <= new Date(tender.submission_deadline)) {
+      throw new Error('Bids cannot be opened before the submission deadline');
+    }
+
+    if (!(await this._isAuthorisedOpener(tenderId, user))) {
+      throw new Error('Unauthorized: Only the evaluation committee chair can open the bids');
+    }
+
+    const client = await pool.connect();
+    let opening;
+
+    try {
+      await client.query('BEGIN');
+
+      // Lock the tender so two concurrent openings cannot both record the bids
+      await client.query('SELECT tender_id FROM tender WHERE tender_id = $1 FOR UPDATE', [tenderId]);
+
+      const existing = await client.query(
+        'SELECT opening_id FROM tender_bid_opening WHERE tender_id = $1',
+        [tenderId]
+      );
+
+      if (existing.rows.length > 0) {
+        throw new Error('Bids have already been opened for this tender');
+      }
+
+      const bidsRes = await client.query(
+        `SELECT p.proposal_id, p.organization_id, o.name as organization_name, p.submitted_at
+         FROM proposal p
+         JOIN organization o ON p.organization_id = o.organization_id
+         WHERE p.tender_id = $1 AND p.status = 'SUBMITTED'
+         ORDER BY p.submitted_at ASC`,
+        [tenderId]
+      );
+
+      const openingRes = await client.query(
+        `INSERT INTO tender_bid_opening (tender_id, opened_by, bid_count, bids)
+         VALUES ($1, $2, $3, $4)
+         RETURNING opening_id, tender_id, opened_at, bid_count, bids`,
+        [tenderId, user.id, bidsRes.rows.length, JSON.stringify(bidsRes.rows)]
+      );
+
+      await client.query('COMMIT');
+      opening = openingRes.rows[0];
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // One audit entry per opened bid so it appears in each proposal's trail
+    for (const bid of opening.bids) {
+      await AuditLogService.logBidOpening(bid.proposal_id, user.id, {
+        tenderId,
+        openingId: opening.opening_id,
+        bidsOpened: opening.bids.map((b) => ({
+          proposalId: b.proposal_id,
+          organizationName: b.organization_name,
+          submittedAt: b.submitted_at,
+        })),
+      }, req);
+    }
+
+    return opening;
+  },
+
+  async _getOwnedTender(tenderId, user) {
+    const result = await pool.query(
+      'SELECT tender_id, organization_id, submission_deadline, sealed_bids FROM tender WHERE tender_id = $1',
+      [tenderId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Tender not found');
+    }
+
+    if (result.rows[0].organization_id !== user.organizationId) {
+      throw new Error('Unauthorized: Tender belongs to another organization');
+    }
+
+    return result.rows[0];
+  },
+
+  /**
+   * Any authority user of the owning organization, or only the chair once a committee is appointed
+   */
+  async _isAuthorisedOpener(tenderId, user) {
+    const result = await pool.query(
+      `SELECT user_id, committee_role FROM evaluation_committee_member WHERE tender_id = $1`,
+      [tenderId]
+    );
+
+    if (result.rows.length === 0) {
+      return user.role === 'AUTHORITY';
+    }
+
+    return result.rows.some((m) => m.user_id === user.id && m.committee_role === 'CHAIR');
+  },
+};
@@ -382,10 +382,12 @@ export const ChunkingService = {
    * @param {string} tenderData.tenderTitle
    * @param {string} tenderData.tenderDescription
    * @param {Array<{sectionId:string, title:string, content?:string}>} tenderData.sections
+   * @param {Array<{sectionId:string|null, question:string, answer:string}>} [tenderData.clarifications]
+   *   Published pre-bid clarifications, one chunk source each
    * @returns {Array<{tenderId:string, sectionId:string|null, content:string}>}
    */
   chunkTender(tenderData) {
-    const { tenderId, tenderTitle = '', tenderDescription = '', sections = [] } = tenderData;
+    const { tenderId, tenderTitle = '', tenderDescription = '', sections = [], clarifications = [] } = tenderData;
 
     const results = [];
 
@@ -405,6 +407,13 @@ export const ChunkingService = {
       });
     });
 
+    clarifications.forEach((clarification) => {
+      const combined = `Pre-bid clarification\n\nQuestion: ${clarification.question}\n\nAnswer: ${clarification.answer}`;
+      chunkTextByTokens(combined).forEach((content) => {
+        results.push({ tenderId, sectionId: clarification.sectionId || null, content });
+      });
+    });
+
     return results;
   },
 
@@ -0,0 +1,214 @@
+import { pool } from '../config/db.js';
+import { AIService } from './ai.service.js';
+
+export const VISIBILITIES = ['PUBLIC', 'PRIVATE'];
+
+/**
+ * Questions close at the clarification cut-off, or at the submission deadline when none is set
+ */
+const getCutoff = (tender) => new Date(tender.clarification_cutoff || tender.submission_deadline);
+
+export const ClarificationService = {
+  /**
+   * Post a question about a PUBLISHED tender, optionally about one of its sections (BIDDER)
+   */
+  async askQuestion(tenderId, data, user) {
+    const { question, section_id } = data;
+
+    if (!question || !question.trim()) {
+      throw new Error('Question is required');
+    }
+
+    const tenderRes = await pool.query(
+      'SELECT status, submission_deadline, clarification_cutoff FROM tender WHERE tender_id = $1',
+      [tenderId]
+    );
+
+    if (tenderRes.rows.length === 0 || tenderRes.rows[0].status !== 'PUBLISHED') {
+      throw new Error('Tender not found');
+    }
+
+    if (new Date() > getCutoff(tenderRes.rows[0])) {
+      throw new Error('The clarification period for this tender has closed');
+    }
+
+    if (section_id) {
+      const sectionRes = await pool.query(
+        'SELECT section_id FROM tender_section WHERE section_id = $1 AND tender_id = $2',
+        [section_id, tenderId]
+      );
+      if (sectionRes.rows.length === 0) {
+        throw new Error('Section not found in this tender');
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO tender_clarification (tender_id, section_id, organization_id, asked_by, question)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING clarification_id, tender_id, section_id, question, answer, visibility, answered_at, created_at`,
+      [tenderId, section_id || null, user.organizationId, user.id, question.trim()]
+    );
+
+    return { ...result.rows[0], is_mine: true };
+  },
+
+  /**
+   * Clarification board for a tender
+   * AUTHORITY (owner): every question with the asking organization
+   * BIDDER: public answers without the asker's identity, plus their organization's own questions
+   */
+  async listClarifications(tenderId, user) {
+    const tenderRes = await pool.query(
+      `SELECT status, organization_id, submission_deadline, clarification_cutoff
+       FROM tender WHERE tender_id = $1`,
+      [tenderId]
+    );
+
+    const tender = tenderRes.rows[0];
+    const isOwner = user.role === 'AUTHORITY' && tender && tender.organization_id === user.organizationId;
+
+    if (!tender || (!isOwner && tender.status !== 'PUBLISHED')) {
+      throw new Error('Tender not found');
+    }
+
+    const cutoff = getCutoff(tender);
+    const board = { cutoff, is_open: tender.status === 'PUBLISHED' && new Date() <= cutoff };
+
+    if (isOwner) {
+      const result = await pool.query(
+        `SELECT c.clarification_id, c.section_id, ts.title as section_title, c.question, c.answer,
+                c.visibility, c.answered_at, c.created_at,
+                o.name as organization_name, u.name as asked_by_name, au.name as answered_by_name
+         FROM tender_clarification c
+         LEFT JOIN tender_section ts ON c.section_id = ts.section_id
+         JOIN organization o ON c.organization_id = o.organization_id
+         LEFT JOIN "user" u ON c.asked_by = u.user_id
+         LEFT JOIN "user" au ON c.answered_by = au.user_id
+         WHERE c.tender_id = $1
+         ORDER BY (c.answer IS NULL) DESC, c.created_at ASC`,
+        [tenderId]
+      );
+      return { ...board, clarifications: result.rows };
+    }
+
+    const result = await pool.query(
+      `SELECT c.clarification_id, c.section_id, ts.title as section_title, c.question, c.answer,
+              c.visibility, c.answered_at, c.created_at,
+              (c.organization_id = $2) as is_mine
+       FROM tender_clarification c
+       LEFT JOIN tender_section ts ON c.section_id = ts.section_id
+       WHERE c.tender_id = $1
+         AND ((c.visibility = 'PUBLIC' AND c.answer IS NOT NULL) OR c.organization_id = $2)
+       ORDER BY c.answered_at ASC NULLS LAST, c.created_at ASC`,
+      [tenderId, user.organizationId]
+    );
+    return { ...board, clarifications: result.rows };
+  },
+
+  /**
+   * Answer (or revise the answer to) a question on the authority's own tender.
+   * PUBLIC answers are shown to every bidder and ingested for AI answers.
+   */
+  async answerClarification(clarificationId, data, user) {
+    const { answer, visibility = 'PUBLIC' } = data;
+
+    if (!answer || !answer.trim()) {
+      throw new Error('Answer is required');
+    }
+
+    if (!VISIBILITIES.includes(visibility)) {
+      throw new Error(`Visibility must be one of ${VISIBILITIES.join(', ')}`);
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const check = await client.query(
+        `SELECT c.clarification_id, c.tender_id, c.visibility, t.organization_id, t.status, t.submission_deadline
+         FROM tender_clarification c
+         JOIN tender t ON c.tender_id = t.tender_id
+         WHERE c.clarification_id = $1
+         FOR UPDATE OF c`,
+        [clarificationId]
+      );
+
+      if (check.rows.length === 0) {
+        throw new Error('Clarification not found');
+      }
+
+      const current = check.rows[0];
+
+      if (current.organization_id !== user.organizationId) {
+        throw new Error('Unauthorized: Tender belongs to another organization');
+      }
+
+      if (current.status !== 'PUBLISHED' || new Date() > new Date(current.submission_deadline)) {
+        throw new Error('Clarifications can only be answered while the tender is open for submissions');
+      }
+
+      const result = await client.query(
+        `UPDATE tender_clarification
+         SET answer = $1, visibility = $2, answered_by = $3, answered_at = NOW()
+         WHERE clarification_id = $4
+         RETURNING clarification_id, tender_id, section_id, question, answer, visibility, answered_at, created_at`,
+        [answer.trim(), visibility, user.id, clarificationId]
+      );
+
+      await client.query('COMMIT');
+
+      // Public answers (or answers that stopped being public) change what the AI may cite;
+      // re-ingest outside the transaction so embedding never holds the row lock
+      if (visibility === 'PUBLIC' || current.visibility === 'PUBLIC') {
+        AIService.ingestTender(current.tender_id).catch((aiErr) => {
+          console.warn('AI re-ingestion after clarification failed:', aiErr.message);
+        });
+      }
+
+      return result.rows[0];
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Change the clarification cut-off of a published tender (owner only)
+   */
+  async setCutoff(tenderId, clarificationCutoff, user) {
+    const tenderRes = await pool.query(
+      'SELECT organization_id, submission_deadline FROM tender WHERE tender_id = $1',
+      [tenderId]
+    );
+
+    if (tenderRes.rows.length === 0) {
+      throw new Error('Tender not found');
+    }
+
+    const tender = tenderRes.rows[0];
+
+    if (tender.organization_id !== user.organizationId) {
+      throw new Error('Unauthorized: Tender belongs to another organization');
+    }
+
+    const cutoff = clarificationCutoff ? new Date(clarificationCutoff) : null;
+
+    if (cutoff && Number.isNaN(cutoff.getTime())) {
+      throw new Error('Clarification cut-off must be a valid date');
+    }
+
+    if (cutoff && cutoff > new Date(tender.submission_deadline)) {
+      throw new Error('Clarification cut-off must be on or before the submission deadline');
+    }
+
+    const result = await pool.query(
+      'UPDATE tender SET clarification_cutoff = $1 WHERE tender_id = $2 RETURNING clarification_cutoff',
+      [cutoff, tenderId]
+    );
+
+    return result.rows[0];
+  },
+};
@@ -5,6 +5,12 @@
  */
 
 import { pool } from '../config/db.js';
+import { NotificationService } from './notification.service.js';
+import { PermissionService } from './permission.service.js';
+import { AssisterService } from './assister.service.js';
+
+export const ENGAGEMENT_REQUIRED =
+  'Assisters can only be assigned after they accept an engagement request from your organization';
 
 export const CollaborationService = {
   // ==========================================
@@ -12,8 +18,9 @@ export const CollaborationService = {
   // ==========================================
 
   /**
-   * Search users by email within the same organization
-   * Returns: [{user_id, name, email, role}] - filtered to ASSISTER role
+   * Search members of an organization by email for section assignment
+   * Members whose org role already manages proposals are left out (they own every section)
+   * Returns: [{user_id, name, email, role, org_role}] - VIEWERs can only be given READ_AND_COMMENT
    */
   async searchUsersByEmail(email, organizationId, limit = 10) {
     if (!email || email.length < 3) {
@@ -21,10 +28,10 @@ export const CollaborationService = {
     }
 
     const result = await pool.query(
-      `SELECT user_id, name, email, role
+      `SELECT user_id, name, email, role, org_role
        FROM "user"
        WHERE organization_id = $1
-         AND role = 'ASSISTER'
+         AND org_role IN ('CONTRIBUTOR', 'VIEWER')
          AND LOWER(email) LIKE LOWER($2)
        ORDER BY name ASC
        LIMIT $3`,
@@ -35,22 +42,26 @@ export const CollaborationService = {
   },
 
   /**
-   * Search assisters by email across all organizations
-   * Returns: [{user_id, name, email, role}] - filtered to ASSISTER role
+   * Search assisters by email among those with an accepted engagement with the organization
+   * (others are found in the assister directory and requested first)
+   * Returns: [{user_id, name, email, role, specialty}] - filtered to ASSISTER role
    */
-  async searchAssistersByEmail(email, limit = 10) {
+  async searchAssistersByEmail(email, organizationId, limit = 10) {
     if (!email || email.length < 3) {
       return [];
     }
 
     const result = await pool.query(
-      `SELECT user_id, name, email, role
-       FROM "user"
-       WHERE role = 'ASSISTER'
-         AND LOWER(email) LIKE LOWER($1)
-       ORDER BY name ASC
-       LIMIT $2`,
-      [`%${email}%`, limit]
+      `SELECT u.user_id, u.name, u.email, u.role, COALESCE(ap.headline, u.specialty) as specialty
+       FROM "user" u
+       JOIN assister_engagement e
+         ON e.assister_id = u.user_id AND e.organization_id = $2 AND e.status = 'ACCEPTED'
+       LEFT JOIN assister_profile ap ON ap.user_id = u.user_id
+       WHERE u.role = 'ASSISTER'
+         AND LOWER(u.email) LIKE LOWER($1)
+       ORDER BY u.name ASC
+       LIMIT $3`,
+      [`%${email}%`, organizationId, limit]
     );
 
     return result.rows;
@@ -85,7 +96,7 @@ export const CollaborationService = {
 
     // Verify section belongs to the tender of this proposal
     const validation = await pool.query(
-      `SELECT p.proposal_id, ts.section_id
+      `SELECT p.proposal_id, ts.section_id, ts.title as section_title, t.tender_id, t.title as tender_title
        FROM proposal p
        JOIN tender t ON p.tender_id = t.tender_id
        JOIN tender_section ts ON ts.tender_id = t.tender_id
@@ -97,6 +108,13 @@ export const CollaborationService = {
       throw new Error('Section does not belong to this proposal\'s tender');
     }
 
+    await this._assertAssignable(
+      userId,
+      `SELECT organization_id FROM proposal WHERE proposal_id = $2`,
+      proposalId,
+      permission
+    );
+
     // Upsert assignment (update if exists, insert if not)
     const result = await pool.query(
       `INSERT INTO proposal_collaborator (proposal_id, section_id, user_id, permission, assigned_by)
@@ -113,6 +131,17 @@ export const CollaborationService = {
       permission,
     });
 
+    if (userId !== assignedBy) {
+      const { section_title, tender_id, tender_title } = validation.rows[0];
+      NotificationService.notify([userId], {
+        type: 'SECTION_ASSIGNED',
+        title: `You were assigned to "${section_title}"`,
+        body: `${permission === 'EDIT' ? 'Edit' : 'Review and comment'} access to the proposal for "${tender_title}".`,
+        link: (recipient) =>
+          recipient.role === 'ASSISTER' ? '/assister/dashboard' : `/bidder/proposal/${tender_id}/collaborate`,
+      }).catch((err) => console.warn('Assignment notification failed:', err.message));
+    }
+
     // Get user details for response
     const user = await this.getUserById(userId);
 
@@ -199,34 +228,24 @@ export const CollaborationService = {
 
   /**
    * Check user's permission for a specific section
-   * Returns: 'OWNER' | 'EDIT' | 'READ_AND_COMMENT' | null
+   * Returns: 'OWNER' | 'EDIT' | 'READ_AND_COMMENT' | 'READ_ONLY' | null
+   * (READ_ONLY for members of the owning organization who are not assigned)
    */
   async checkSectionPermission(userId, proposalId, sectionId) {
-    // First check if user is owner (belongs to organization that owns the proposal)
-    const isOwner = await this.isProposalOwner(userId, proposalId);
-    if (isOwner) {
-      return 'OWNER';
-    }
-
-    // Check section-specific assignment
-    const result = await pool.query(
-      `SELECT permission
-       FROM proposal_collaborator
-       WHERE proposal_id = $1 AND section_id = $2 AND user_id = $3`,
-      [proposalId, sectionId, userId]
-    );
-
-    if (result.rows.length > 0) {
-      return result.rows[0].permission;
-    }
-
-    return null;
+    return PermissionService.getProposalSectionPermission(userId, proposalId, sectionId);
   },
 
   /**
-   * Check if user's organization owns the proposal
+   * Check if user's organization owns the proposal and their org role manages proposals
    */
   async isProposalOwner(userId, proposalId) {
+    return PermissionService.isProposalOwner(userId, proposalId);
+  },
+
+  /**
+   * Check if user belongs to the organization that owns the proposal (any org role)
+   */
+  async isProposalMember(userId, proposalId) {
     const result = await pool.query(
       `SELECT 1
        FROM proposal p
@@ -244,7 +263,7 @@ export const CollaborationService = {
   async getProposalWithOwnership(proposalId, userId) {
     const result = await pool.query(
       `SELECT p.*, t.title as tender_title, t.tender_id,
-              (p.organization_id = u.organization_id) as is_owner
+              (p.organization_id = u.organization_id) as is_member, u.role as user_role, u.org_role
        FROM proposal p
        JOIN tender t ON p.tender_id = t.tender_id
        JOIN "user" u ON u.user_id = $2
@@ -267,6 +286,13 @@ export const CollaborationService = {
       throw new Error('Invalid permission. Must be EDIT or READ_AND_COMMENT');
     }
 
+    await this._assertAssignable(
+      userId,
+      `SELECT organization_id FROM uploaded_tender WHERE id = $2`,
+      uploadedTenderId,
+      permission
+    );
+
     const result = await pool.query(
       `INSERT INTO uploaded_proposal_collaborator (uploaded_tender_id, section_key, user_id, permission, assigned_by)
        VALUES ($1, $2, $3, $4, $5)
@@ -337,42 +363,17 @@ export const CollaborationService = {
 
   /**
    * Check user's permission for an uploaded tender section
+   * (READ_ONLY for members of the owning organization who are not assigned)
    */
   async checkUploadedSectionPermission(userId, uploadedTenderId, sectionKey) {
-    // Check if user owns the uploaded tender
-    const isOwner = await this.isUploadedTenderOwner(userId, uploadedTenderId);
-    if (isOwner) {
-      return 'OWNER';
-    }
-
-    // Check section-specific assignment
-    const result = await pool.query(
-      `SELECT permission
-       FROM uploaded_proposal_collaborator
-       WHERE uploaded_tender_id = $1 AND section_key = $2 AND user_id = $3`,
-      [uploadedTenderId, sectionKey, userId]
-    );
-
-    if (result.rows.length > 0) {
-      return result.rows[0].permission;
-    }
-
-    return null;
+    return PermissionService.getUploadedSectionPermission(userId, uploadedTenderId, sectionKey);
   },
 
   /**
-   * Check if user's organization owns the uploaded tender
+   * Check if user's organization owns the uploaded tender and their org role manages proposals
    */
   async isUploadedTenderOwner(userId, uploadedTenderId) {
-    const result = await pool.query(
-      `SELECT 1
-       FROM uploaded_tender ut
-       JOIN "user" u ON ut.organization_id = u.organization_id
-       WHERE ut.id = $1 AND u.user_id = $2`,
-      [uploadedTenderId, userId]
-    );
-
-    return result.rows.length > 0;
+    return PermissionService.isUploadedTenderOwner(userId, uploadedTenderId);
   },
 
   /**
@@ -381,7 +382,7 @@ export const CollaborationService = {
   async getUploadedTenderWithOwnership(uploadedTenderId, userId) {
     const result = await pool.query(
       `SELECT ut.*,
-              (ut.organization_id = u.organization_id) as is_owner
+              (ut.organization_id = u.organization_id) as is_member, u.role as user_role, u.org_role
        FROM uploaded_tender ut
        JOIN "user" u ON u.user_id = $2
        WHERE ut.id = $1`,
@@ -480,7 +481,9 @@ export const CollaborationService = {
     }
 
     return {
-      isOwner: proposalInfo.is_owner,
+      isOwner: this._managesAsMember(proposalInfo),
+      isMember: proposalInfo.is_member,
+      orgRole: proposalInfo.is_member ? proposalInfo.org_role : null,
       proposal: {
         id: proposalInfo.proposal_id,
         tenderId: proposalInfo.tender_id,
@@ -520,7 +523,9 @@ export const CollaborationService = {
     });
 
     return {
-      isOwner: tenderInfo.is_owner,
+      isOwner: this._managesAsMember(tenderInfo),
+      isMember: tenderInfo.is_member,
+      orgRole: tenderInfo.is_member ? tenderInfo.org_role : null,
       tender: {
         id: tenderInfo.id,
         title: tenderInfo.title,
@@ -531,6 +536,46 @@ export const CollaborationService = {
       userPermissions,
     };
   },
+
+  /**
+   * Assignees are members of the owning organization, or assisters who accepted
+   * an engagement with it; viewers stay read-only
+   * @param {string} ownerOrgQuery - selects the owning organization_id of the entity ($2)
+   */
+  async _assertAssignable(userId, ownerOrgQuery, entityId, permission) {
+    const result = await pool.query(
+      `SELECT u.role, u.org_role, (u.organization_id = owner.organization_id) as is_member,
+              owner.organization_id as owner_organization_id
+       FROM "user" u, (${ownerOrgQuery}) owner
+       WHERE u.user_id = $1`,
+      [userId, entityId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const { role, org_role, is_member, owner_organization_id } = result.rows[0];
+    if (!is_member && role !== 'ASSISTER') {
+      throw new Error('User does not belong to your organization and is not an assister');
+    }
+    if (!is_member && !(await AssisterService.hasActiveEngagement(userId, owner_organization_id))) {
+      throw new Error(ENGAGEMENT_REQUIRED);
+    }
+    if (is_member && org_role === 'VIEWER' && permission === 'EDIT') {
+      throw new Error('Viewers can only be given READ_AND_COMMENT access');
+    }
+  },
+
+  /**
+   * Whether a row from get*WithOwnership belongs to a member whose org role manages proposals
+   */
+  _managesAsMember(info) {
+    return info.is_member && PermissionService.canAccessFeature(
+      { role: info.user_role, orgRole: info.org_role },
+      'section_assign'
+    );
+  },
 };
 
 export default CollaborationService;
@@ -101,6 +101,7 @@ export const CollaborativeDrafterService = {
     customInstructions = '',
     tenderType = 'platform', // 'platform' or 'uploaded'
     uploadedTenderId = null,
+    organizationContext = '', // bidder profile summary from OrganizationService
   }) {
     console.log(`[CollaborativeDrafter] Generating draft for section ${sectionId}`);
 
@@ -191,7 +192,7 @@ export const CollaborativeDrafterService = {
     }
 
     // Build grounded system prompt
-    const systemPrompt = this._buildGroundedSystemPrompt(sectionInfo.type, tenderContext);
+    const systemPrompt = this._buildGroundedSystemPrompt(sectionInfo.type, tenderContext, organizationContext);
 
     // Build user prompt with RAG context
     const userPrompt = this._buildUserPrompt({
@@ -236,7 +237,7 @@ export const CollaborativeDrafterService = {
    * Build grounded system prompt
    * Enforces that AI only uses provided context
    */
-  _buildGroundedSystemPrompt(sectionType, tenderContext) {
+  _buildGroundedSystemPrompt(sectionType, tenderContext, organizationContext = '') {
     const typeConfig = SECTION_TYPE_MAPPING[sectionType] || SECTION_TYPE_MAPPING.GENERAL;
 
     return `You are an expert proposal writer for government and corporate tenders.
@@ -246,11 +247,11 @@ TENDER CONTEXT:
 - Sector: ${tenderContext.sector || 'Not specified'}
 - Issuing Authority: ${tenderContext.organization || 'Not specified'}
 - Estimated Value: ${tenderContext.estimatedValue ? `₹${Number(tenderContext.estimatedValue).toLocaleString()}` : 'Not specified'}
-
+${organizationContext ? `\nBIDDER PROFILE (facts you may use about the bidder):\n${organizationContext}\n` : ''}
 CRITICAL RULES - YOU MUST FOLLOW:
 1. Use ONLY information from the provided context and requirements
 2. NEVER invent facts, figures, company names, or specific numbers
-3. If specific information is not available, use placeholder phrases like "[Company Name]", "[X years]", "[Specify amount]"
+3. If specific information is not available in the context or bidder profile, use placeholder phrases like "[Company Name]", "[X years]", "[Specify amount]"
 4. Reference tender requirements explicitly where applicable
 5. Structure content using the provided section structure
 6. Use formal, professional language appropriate for tender submissions
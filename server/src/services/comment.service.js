@@ -5,6 +5,8 @@
 
 import { pool } from '../config/db.js';
 import { CollaborationService } from './collaboration.service.js';
+import { NotificationService } from './notification.service.js';
+import { ProposalChannelService } from './proposalChannel.service.js';
 
 export const CommentService = {
   // ==========================================
@@ -75,11 +77,48 @@ export const CommentService = {
     // Get user details
     const user = await CollaborationService.getUserById(userId);
 
-    return {
+    this._notifyComment(result.rows[0], user).catch((err) => {
+      console.warn('Comment notification failed:', err.message);
+    });
+
+    const comment = {
       ...result.rows[0],
       user,
       replies: [],
     };
+    ProposalChannelService.broadcast(proposalId, 'comment_added', { sectionId, comment });
+
+    return comment;
+  },
+
+  /**
+   * Notify the proposal team and the author of the parent comment (not the commenter)
+   */
+  async _notifyComment(comment, author) {
+    const context = await pool.query(
+      `SELECT t.tender_id, t.title as tender_title, ts.title as section_title, parent.user_id as parent_author_id
+       FROM proposal p
+       JOIN tender t ON p.tender_id = t.tender_id
+       JOIN tender_section ts ON ts.section_id = $2
+       LEFT JOIN proposal_comment parent ON parent.comment_id = $3
+       WHERE p.proposal_id = $1`,
+      [comment.proposal_id, comment.section_id, comment.parent_comment_id]
+    );
+    if (context.rows.length === 0) return;
+
+    const { tender_id, tender_title, section_title, parent_author_id } = context.rows[0];
+    const recipients = await NotificationService.getProposalRecipients(comment.proposal_id);
+
+    await NotificationService.notify(
+      [...recipients, parent_author_id].filter((id) => id && id !== comment.user_id),
+      {
+        type: 'COMMENT_ADDED',
+        title: `${author?.name || 'Someone'} ${comment.parent_comment_id ? 'replied' : 'commented'} on "${section_title}"`,
+        body: `${comment.content.slice(0, 200)}${comment.content.length > 200 ? '…' : ''}\n\nProposal for "${tender_title}"`,
+        link: (recipient) =>
+          recipient.role === 'ASSISTER' ? '/assister/dashboard' : `/bidder/proposal/${tender_id}/collaborate`,
+      }
+    );
   },
 
   /**
@@ -176,10 +215,13 @@ export const CommentService = {
 
     const user = await CollaborationService.getUserById(userId);
 
-    return {
+    const comment = {
       ...result.rows[0],
       user,
     };
+    ProposalChannelService.broadcast(comment.proposal_id, 'comment_updated', { sectionId: comment.section_id, comment });
+
+    return comment;
   },
 
   /**
@@ -237,6 +279,13 @@ export const CommentService = {
       [deleteCount, comment.proposal_id, comment.section_id]
     );
 
+    ProposalChannelService.broadcast(comment.proposal_id, 'comment_deleted', {
+      sectionId: comment.section_id,
+      commentId,
+      count: deleteCount,
+      userId,
+    });
+
     return { deleted: true, count: deleteCount };
   },
 
@@ -279,6 +328,13 @@ export const CommentService = {
       { commentId }
     );
 
+    ProposalChannelService.broadcast(comment.proposal_id, 'comment_resolved', {
+      sectionId: comment.section_id,
+      commentId,
+      resolved: true,
+      userId,
+    });
+
     return { resolved: true };
   },
 
@@ -312,6 +368,13 @@ export const CommentService = {
       [commentId]
     );
 
+    ProposalChannelService.broadcast(comment.proposal_id, 'comment_resolved', {
+      sectionId: comment.section_id,
+      commentId,
+      resolved: false,
+      userId,
+    });
+
     return { resolved: false };
   },
 
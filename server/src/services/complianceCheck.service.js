@@ -5,9 +5,13 @@
  * - Keyword compliance (eligibility, financial, technical requirements)
  * - Format and content requirements
  * - Document completeness
+ * - Responses drafted against tender text superseded by a corrigendum
+ * - Supporting documents attached from the organization's document vault
  */
 
 import { pool } from '../config/db.js';
+import { CorrigendumService } from './corrigendum.service.js';
+import { DocumentVaultService } from './documentVault.service.js';
 
 // Compliance rules configuration
 const COMPLIANCE_RULES = {
@@ -54,9 +58,12 @@ export const ComplianceCheckService = {
   /**
    * Run comprehensive compliance check on a proposal
    * @param {string} proposalId - The proposal ID
+   * @param {Object} [options]
+   * @param {Array} [options.responses] - Section responses to check instead of the stored ones
+   *   ([{ section_id, content, updated_at }], e.g. from a version snapshot)
    * @returns {Object} Compliance check results
    */
-  async checkProposalCompliance(proposalId) {
+  async checkProposalCompliance(proposalId, { responses: responsesOverride } = {}) {
     // Fetch proposal with tender details
     const proposalRes = await pool.query(
       `SELECT p.proposal_id, p.tender_id, p.organization_id, p.status, p.created_at,
@@ -85,16 +92,19 @@ export const ComplianceCheckService = {
     const tenderSections = sectionsRes.rows;
 
     // Fetch proposal responses
-    const responsesRes = await pool.query(
+    const responses = responsesOverride || (await pool.query(
       `SELECT section_id, content, updated_at
        FROM proposal_section_response
        WHERE proposal_id = $1`,
       [proposalId]
-    );
-
-    const responses = responsesRes.rows;
+    )).rows;
     const responseMap = new Map(responses.map(r => [r.section_id, r]));
 
+    // Vault documents attached per section (proof for DOCUMENTATION requirements)
+    const attachments = await DocumentVaultService.getProposalAttachments(proposalId);
+    const submissionDeadline = proposal.submission_deadline ? new Date(proposal.submission_deadline) : null;
+    const isValidAtDeadline = (doc) => !doc.valid_until || !submissionDeadline || new Date(doc.valid_until) >= submissionDeadline;
+
     // Initialize compliance results
     const complianceIssues = [];
     const complianceWarnings = [];
@@ -153,6 +163,18 @@ export const ComplianceCheckService = {
         const foundInTender = keywords.filter(kw => tenderContent.includes(kw));
 
         if (foundInTender.length > 0) {
+          // Proof requirements are met by attached documents still valid at the deadline
+          const validAttachments = (attachments.get(section.section_id) || []).filter(isValidAtDeadline);
+          if (category === 'DOCUMENTATION' && validAttachments.length > 0) {
+            compliancePassed.push({
+              type: 'DOCUMENTS_ATTACHED',
+              sectionId: section.section_id,
+              sectionTitle: section.title,
+              message: `${validAttachments.length} supporting document(s) attached to "${section.title}"`
+            });
+            continue;
+          }
+
           // Check if response addresses these requirements
           const addressedInResponse = foundInTender.filter(kw => responseContent.includes(kw));
           const missingKeywords = foundInTender.filter(kw => !responseContent.includes(kw));
@@ -263,6 +285,50 @@ export const ComplianceCheckService = {
       }
     }
 
+    // ==========================================
+    // CHECK 5: Responses Drafted Against Superseded Text
+    // ==========================================
+    const amendments = await CorrigendumService.getLatestSectionAmendments(proposal.tender_id);
+
+    for (const section of tenderSections) {
+      const amendment = amendments.get(section.section_id);
+      const response = responseMap.get(section.section_id);
+
+      if (amendment && response && response.content && response.content.trim() &&
+          new Date(response.updated_at) < new Date(amendment.issued_at)) {
+        complianceWarnings.push({
+          type: 'SUPERSEDED_TENDER_TEXT',
+          severity: COMPLIANCE_RULES.SEVERITY.HIGH,
+          sectionId: section.section_id,
+          sectionTitle: section.title,
+          message: `Section "${section.title}" was amended by Corrigendum #${amendment.corrigendum_number} after this response was drafted`,
+          corrigendumNumber: amendment.corrigendum_number,
+          amendedAt: amendment.issued_at,
+          recommendation: 'Review the corrigendum changes and update this response',
+          autoFixable: false
+        });
+      }
+    }
+
+    // ==========================================
+    // CHECK 6: Attached Documents Expired By The Deadline
+    // ==========================================
+    for (const section of tenderSections) {
+      for (const doc of (attachments.get(section.section_id) || []).filter(d => !isValidAtDeadline(d))) {
+        complianceWarnings.push({
+          type: 'ATTACHED_DOCUMENT_EXPIRED',
+          severity: COMPLIANCE_RULES.SEVERITY.HIGH,
+          sectionId: section.section_id,
+          sectionTitle: section.title,
+          documentId: doc.document_id,
+          message: `Attached document "${doc.title}" is valid only until ${new Date(doc.valid_until).toLocaleDateString('en-IN')}, before the submission deadline`,
+          validUntil: doc.valid_until,
+          recommendation: 'Upload a renewed copy to the document vault and attach it instead',
+          autoFixable: false
+        });
+      }
+    }
+
     // ==========================================
     // Calculate overall compliance status
     // ==========================================
@@ -323,7 +389,9 @@ export const ComplianceCheckService = {
         mandatorySectionsTotal: mandatorySections.length,
         hasPlaceholders: complianceWarnings.some(w => w.type === 'PLACEHOLDER_DETECTED'),
         hasDeadlineIssue: complianceIssues.some(i => i.type === 'DEADLINE_PASSED') ||
-                          complianceWarnings.some(w => w.type === 'DEADLINE_IMMINENT')
+                          complianceWarnings.some(w => w.type === 'DEADLINE_IMMINENT'),
+        hasSupersededSections: complianceWarnings.some(w => w.type === 'SUPERSEDED_TENDER_TEXT'),
+        hasExpiredDocuments: complianceWarnings.some(w => w.type === 'ATTACHED_DOCUMENT_EXPIRED')
       },
 
       // Metadata
@@ -431,6 +499,37 @@ export const ComplianceCheckService = {
       issues.push(`Only ${daysRemaining} days remaining`);
     }
 
+    // Responses last edited before their section was amended
+    const supersededRes = await pool.query(
+      `SELECT COUNT(DISTINCT psr.section_id) as count
+       FROM proposal_section_response psr
+       JOIN tender_corrigendum_change ch ON ch.section_id = psr.section_id AND ch.change_type = 'SECTION'
+       JOIN tender_corrigendum c ON ch.corrigendum_id = c.corrigendum_id
+       WHERE psr.proposal_id = $1 AND psr.updated_at < c.issued_at AND LENGTH(TRIM(psr.content)) > 0`,
+      [proposalId]
+    );
+    const supersededCount = parseInt(supersededRes.rows[0].count) || 0;
+
+    if (supersededCount > 0) {
+      if (status !== 'CRITICAL') status = 'NEEDS_ATTENTION';
+      issues.push(`${supersededCount} section(s) drafted against superseded tender text`);
+    }
+
+    // Attached vault documents that lapse before the deadline
+    const expiredDocsRes = await pool.query(
+      `SELECT COUNT(DISTINCT psd.document_id) as count
+       FROM proposal_section_document psd
+       JOIN organization_document d ON psd.document_id = d.document_id
+       WHERE psd.proposal_id = $1 AND d.valid_until IS NOT NULL AND d.valid_until < $2::date`,
+      [proposalId, data.submission_deadline || new Date()]
+    );
+    const expiredDocsCount = parseInt(expiredDocsRes.rows[0].count) || 0;
+
+    if (expiredDocsCount > 0) {
+      if (status !== 'CRITICAL') status = 'NEEDS_ATTENTION';
+      issues.push(`${expiredDocsCount} attached document(s) expire before the deadline`);
+    }
+
     return {
       proposalId,
       status,
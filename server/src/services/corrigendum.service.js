@@ -0,0 +1,303 @@
+import { pool } from '../config/db.js';
+import { AIService } from './ai.service.js';
+import { diffText } from '../utils/textDiff.js';
+
+export const CorrigendumService = {
+  /**
+   * Issue a numbered corrigendum for a PUBLISHED tender (owner organization only)
+   * data: { title, reason?, submission_deadline?, sections?: [{ section_id, title?, content? }] }
+   * Previous values are kept on each change row; the tender and sections are updated in place.
+   */
+  async issueCorrigendum(tenderId, data, user) {
+    const { title, reason, submission_deadline, sections = [] } = data;
+
+    if (!title || !title.trim()) {
+      throw new Error('Corrigendum title is required');
+    }
+
+    if (!Array.isArray(sections)) {
+      throw new Error('sections must be an array');
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const tenderCheck = await client.query(
+        `SELECT tender_id, status, organization_id, submission_deadline
+         FROM tender WHERE tender_id = $1 FOR UPDATE`,
+        [tenderId]
+      );
+
+      if (tenderCheck.rows.length === 0) {
+        throw new Error('Tender not found');
+      }
+
+      const tender = tenderCheck.rows[0];
+
+      if (tender.organization_id !== user.organizationId) {
+        throw new Error('Unauthorized: Tender belongs to another organization');
+      }
+
+      if (tender.status !== 'PUBLISHED') {
+        throw new Error('Corrigenda can only be issued for published tenders');
+      }
+
+      // Reopening submissions after the deadline or the bid opening would let late
+      // bidders in alongside already-opened bids
+      const openingRes = await client.query(
+        'SELECT 1 FROM tender_bid_opening WHERE tender_id = $1',
+        [tenderId]
+      );
+      if (openingRes.rows.length > 0 || (tender.submission_deadline && new Date(tender.submission_deadline) <= new Date())) {
+        throw new Error('Corrigenda can only be issued before the submission deadline and bid opening');
+      }
+
+      // Work out the actual changes before writing anything
+      let deadlineChange = null;
+      if (submission_deadline) {
+        const newDeadline = new Date(submission_deadline);
+        if (Number.isNaN(newDeadline.getTime())) {
+          throw new Error('Submission deadline must be a valid date');
+        }
+        if (newDeadline <= new Date()) {
+          throw new Error('Submission deadline must be in the future');
+        }
+        const previous = tender.submission_deadline ? new Date(tender.submission_deadline) : null;
+        if (!previous || previous.getTime() !== newDeadline.getTime()) {
+          deadlineChange = { previous, next: newDeadline };
+        }
+      }
+
+      const sectionChanges = [];
+      for (const change of sections) {
+        const sectionRes = await client.query(
+          'SELECT section_id, title, content FROM tender_section WHERE section_id = $1 AND tender_id = $2',
+          [change.section_id, tenderId]
+        );
+
+        if (sectionRes.rows.length === 0) {
+          throw new Error('Section not found in this tender');
+        }
+
+        const current = sectionRes.rows[0];
+        const newTitle = change.title !== undefined ? change.title.trim() : current.title;
+        const newContent = change.content !== undefined ? change.content : current.content;
+
+        if (!newTitle) {
+          throw new Error('Section title is required');
+        }
+
+        if (newTitle !== current.title || (newContent || '') !== (current.content || '')) {
+          sectionChanges.push({ current, newTitle, newContent });
+        }
+      }
+
+      if (!deadlineChange && sectionChanges.length === 0) {
+        throw new Error('Corrigendum must change the deadline or at least one section');
+      }
+
+      const numberRes = await client.query(
+        'SELECT COALESCE(MAX(corrigendum_number), 0) + 1 as next_number FROM tender_corrigendum WHERE tender_id = $1',
+        [tenderId]
+      );
+
+      const corrigendumRes = await client.query(
+        `INSERT INTO tender_corrigendum (tender_id, corrigendum_number, title, reason, issued_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING corrigendum_id, tender_id, corrigendum_number, title, reason, issued_at`,
+        [tenderId, numberRes.rows[0].next_number, title.trim(), reason || null, user.id]
+      );
+      const corrigendum = corrigendumRes.rows[0];
+
+      if (deadlineChange) {
+        await client.query(
+          `INSERT INTO tender_corrigendum_change (corrigendum_id, change_type, previous_deadline, new_deadline)
+           VALUES ($1, 'DEADLINE', $2, $3)`,
+          [corrigendum.corrigendum_id, deadlineChange.previous, deadlineChange.next]
+        );
+        await client.query(
+          'UPDATE tender SET submission_deadline = $1 WHERE tender_id = $2',
+          [deadlineChange.next, tenderId]
+        );
+      }
+
+      for (const { current, newTitle, newContent } of sectionChanges) {
+        await client.query(
+          `INSERT INTO tender_corrigendum_change
+             (corrigendum_id, change_type, section_id, previous_title, new_title, previous_content, new_content)
+           VALUES ($1, 'SECTION', $2, $3, $4, $5, $6)`,
+          [corrigendum.corrigendum_id, current.section_id, current.title, newTitle, current.content, newContent]
+        );
+        await client.query(
+          'UPDATE tender_section SET title = $1, content = $2 WHERE section_id = $3',
+          [newTitle, newContent, current.section_id]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      // Re-ingest amended text for AI answers (outside the transaction, never blocks the corrigendum)
+      if (sectionChanges.length > 0) {
+        AIService.ingestTender(tenderId).catch((aiErr) => {
+          console.warn('AI re-ingestion after corrigendum failed:', aiErr.message);
+        });
+      }
+
+      return (await this._loadCorrigenda(tenderId, corrigendum.corrigendum_id))[0];
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * List corrigenda of a tender, newest first, with a diff for each section change
+   * and when the current user acknowledged it
+   * AUTHORITY: own tenders; BIDDER: PUBLISHED tenders
+   */
+  async listCorrigenda(tenderId, user) {
+    const tenderCheck = await pool.query(
+      'SELECT status, organization_id FROM tender WHERE tender_id = $1',
+      [tenderId]
+    );
+
+    const tender = tenderCheck.rows[0];
+    const visible = tender && (user.role === 'AUTHORITY'
+      ? tender.organization_id === user.organizationId
+      : tender.status === 'PUBLISHED');
+
+    if (!visible) {
+      throw new Error('Tender not found');
+    }
+
+    const corrigenda = await this._loadCorrigenda(tenderId);
+
+    const acksRes = await pool.query(
+      `SELECT a.corrigendum_id, a.acknowledged_at
+       FROM tender_corrigendum_ack a
+       JOIN tender_corrigendum c ON a.corrigendum_id = c.corrigendum_id
+       WHERE c.tender_id = $1 AND a.user_id = $2`,
+      [tenderId, user.id]
+    );
+    const acks = new Map(acksRes.rows.map((row) => [row.corrigendum_id, row.acknowledged_at]));
+
+    return corrigenda.map((corrigendum) => ({
+      ...corrigendum,
+      acknowledged_at: acks.get(corrigendum.corrigendum_id) || null,
+    }));
+  },
+
+  /**
+   * Change notices for a bidder: corrigenda on tenders the organization has a proposal for
+   * or the user has saved, with whether the user has acknowledged each one
+   */
+  async listNoticesForBidder(user, { unreadOnly = false } = {}) {
+    const result = await pool.query(
+      `SELECT c.corrigendum_id, c.tender_id, c.corrigendum_number, c.title, c.reason, c.issued_at,
+              t.title as tender_title, t.submission_deadline,
+              a.acknowledged_at,
+              (SELECT COUNT(*) FROM tender_corrigendum_change ch
+               WHERE ch.corrigendum_id = c.corrigendum_id) as change_count
+       FROM tender_corrigendum c
+       JOIN tender t ON c.tender_id = t.tender_id
+       LEFT JOIN tender_corrigendum_ack a ON a.corrigendum_id = c.corrigendum_id AND a.user_id = $1
+       WHERE (
+         EXISTS (SELECT 1 FROM proposal p WHERE p.tender_id = c.tender_id AND p.organization_id = $2)
+         OR EXISTS (SELECT 1 FROM saved_tender st WHERE st.tender_id = c.tender_id AND st.user_id = $1)
+       )
+       ${unreadOnly ? 'AND a.acknowledged_at IS NULL' : ''}
+       ORDER BY c.issued_at DESC
+       LIMIT 50`,
+      [user.id, user.organizationId]
+    );
+
+    return result.rows.map((row) => ({
+      ...row,
+      change_count: parseInt(row.change_count),
+      acknowledged: Boolean(row.acknowledged_at),
+    }));
+  },
+
+  /**
+   * Mark a change notice as read for the user
+   */
+  async acknowledgeNotice(corrigendumId, user) {
+    const check = await pool.query(
+      `SELECT c.corrigendum_id FROM tender_corrigendum c
+       JOIN tender t ON c.tender_id = t.tender_id
+       WHERE c.corrigendum_id = $1 AND t.status = 'PUBLISHED'`,
+      [corrigendumId]
+    );
+
+    if (check.rows.length === 0) {
+      throw new Error('Corrigendum not found');
+    }
+
+    await pool.query(
+      `INSERT INTO tender_corrigendum_ack (corrigendum_id, user_id)
+       VALUES ($1, $2)
+       ON CONFLICT (corrigendum_id, user_id) DO NOTHING`,
+      [corrigendumId, user.id]
+    );
+
+    return { corrigendum_id: corrigendumId, acknowledged: true };
+  },
+
+  /**
+   * Latest amendment per section: sectionId -> { corrigendum_number, issued_at }
+   * Used to detect proposal responses drafted against superseded text
+   */
+  async getLatestSectionAmendments(tenderId) {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (ch.section_id) ch.section_id, c.corrigendum_number, c.issued_at
+       FROM tender_corrigendum_change ch
+       JOIN tender_corrigendum c ON ch.corrigendum_id = c.corrigendum_id
+       WHERE c.tender_id = $1 AND ch.change_type = 'SECTION' AND ch.section_id IS NOT NULL
+       ORDER BY ch.section_id, c.issued_at DESC`,
+      [tenderId]
+    );
+
+    return new Map(result.rows.map((row) => [row.section_id, row]));
+  },
+
+  /**
+   * Load corrigenda (optionally one) with their changes and section diffs
+   */
+  async _loadCorrigenda(tenderId, corrigendumId = null) {
+    const corrigendaRes = await pool.query(
+      `SELECT c.corrigendum_id, c.tender_id, c.corrigendum_number, c.title, c.reason, c.issued_at,
+              u.name as issued_by_name
+       FROM tender_corrigendum c
+       LEFT JOIN "user" u ON c.issued_by = u.user_id
+       WHERE c.tender_id = $1 AND ($2::uuid IS NULL OR c.corrigendum_id = $2)
+       ORDER BY c.corrigendum_number DESC`,
+      [tenderId, corrigendumId]
+    );
+
+    if (corrigendaRes.rows.length === 0) {
+      return [];
+    }
+
+    const changesRes = await pool.query(
+      `SELECT change_id, corrigendum_id, change_type, section_id,
+              previous_deadline, new_deadline, previous_title, new_title, previous_content, new_content
+       FROM tender_corrigendum_change
+       WHERE corrigendum_id = ANY($1::uuid[])
+       ORDER BY change_type ASC, previous_title ASC`,
+      [corrigendaRes.rows.map((c) => c.corrigendum_id)]
+    );
+
+    return corrigendaRes.rows.map((corrigendum) => ({
+      ...corrigendum,
+      changes: changesRes.rows
+        .filter((change) => change.corrigendum_id === corrigendum.corrigendum_id)
+        .map((change) => (change.change_type === 'SECTION'
+          ? { ...change, diff: diffText(change.previous_content, change.new_content) }
+          : change)),
+    }));
+  },
+};
@@ -0,0 +1,313 @@
+import { pool } from '../config/db.js';
+import { validityStatus, EXPIRY_WARNING_DAYS } from './organization.service.js';
+
+export const DOCUMENT_CATEGORIES = ['CERTIFICATE', 'FINANCIAL', 'REGISTRATION', 'EXPERIENCE', 'LEGAL', 'OTHER'];
+export const DOCUMENT_MIME_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+
+/**
+ * Document metadata columns (the file content is only read for downloads and exports)
+ */
+const DOCUMENT_COLUMNS = `d.document_id, d.category, d.title, d.file_name, d.mime_type, d.file_size,
+  d.valid_from, d.valid_until, d.created_at, d.updated_at, u.name as uploaded_by_name`;
+
+const withStatus = (doc) => ({ ...doc, status: validityStatus(doc.valid_until) });
+
+const normalizeMetadata = (data, { partial = false } = {}) => {
+  const metadata = {};
+
+  if (!partial || data.title !== undefined) {
+    const title = String(data.title || '').trim();
+    if (!title) throw new Error('Document title is required');
+    metadata.title = title;
+  }
+
+  if (!partial || data.category !== undefined) {
+    const category = data.category || 'OTHER';
+    if (!DOCUMENT_CATEGORIES.includes(category)) {
+      throw new Error(`Category must be one of ${DOCUMENT_CATEGORIES.join(', ')}`);
+    }
+    metadata.category = category;
+  }
+
+  for (const field of ['valid_from', 'valid_until']) {
+    if (!partial || data[field] !== undefined) {
+      const value = data[field] || null;
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        throw new Error(`${field === 'valid_from' ? 'Valid from' : 'Valid until'} must be a valid date`);
+      }
+      metadata[field] = value;
+    }
+  }
+
+  if (metadata.valid_from && metadata.valid_until && new Date(metadata.valid_until) < new Date(metadata.valid_from)) {
+    throw new Error('Valid until must be on or after valid from');
+  }
+
+  return metadata;
+};
+
+export const DocumentVaultService = {
+  /**
+   * Vault documents of the organization, optionally filtered by category
+   */
+  async listDocuments(organizationId, { category } = {}) {
+    const params = [organizationId];
+    let filter = '';
+
+    if (category) {
+      params.push(category);
+      filter = 'AND d.category = $2';
+    }
+
+    const result = await pool.query(
+      `SELECT ${DOCUMENT_COLUMNS},
+              (SELECT COUNT(*) FROM proposal_section_document psd WHERE psd.document_id = d.document_id)::int as attachment_count
+       FROM organization_document d
+       LEFT JOIN "user" u ON d.uploaded_by = u.user_id
+       WHERE d.organization_id = $1 ${filter}
+       ORDER BY d.category, d.title`,
+      params
+    );
+
+    return result.rows.map(withStatus);
+  },
+
+  /**
+   * Expiry reminders: documents already expired or expiring within `days`
+   */
+  async listExpiringDocuments(organizationId, days = EXPIRY_WARNING_DAYS) {
+    const result = await pool.query(
+      `SELECT ${DOCUMENT_COLUMNS}
+       FROM organization_document d
+       LEFT JOIN "user" u ON d.uploaded_by = u.user_id
+       WHERE d.organization_id = $1
+         AND d.valid_until IS NOT NULL
+         AND d.valid_until <= CURRENT_DATE + $2::int
+       ORDER BY d.valid_until ASC`,
+      [organizationId, days]
+    );
+
+    return result.rows.map((doc) => ({ ...doc, status: validityStatus(doc.valid_until, days) }));
+  },
+
+  /**
+   * Store an uploaded file in the vault
+   */
+  async uploadDocument(organizationId, file, data, user) {
+    if (!file) {
+      throw new Error('Document file is required');
+    }
+
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      throw new Error('Document must be a PDF, PNG or JPEG file');
+    }
+
+    const metadata = normalizeMetadata({ ...data, title: data.title || file.originalname });
+
+    const result = await pool.query(
+      `INSERT INTO organization_document
+         (organization_id, category, title, file_name, mime_type, file_size, content, valid_from, valid_until, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING document_id`,
+      [
+        organizationId,
+        metadata.category,
+        metadata.title,
+        file.originalname,
+        file.mimetype,
+        file.size,
+        file.buffer,
+        metadata.valid_from,
+        metadata.valid_until,
+        user.id,
+      ]
+    );
+
+    return this.getDocument(result.rows[0].document_id, organizationId);
+  },
+
+  async getDocument(documentId, organizationId) {
+    const result = await pool.query(
+      `SELECT ${DOCUMENT_COLUMNS}
+       FROM organization_document d
+       LEFT JOIN "user" u ON d.uploaded_by = u.user_id
+       WHERE d.document_id = $1 AND d.organization_id = $2`,
+      [documentId, organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Document not found');
+    }
+
+    return withStatus(result.rows[0]);
+  },
+
+  /**
+   * Update title, category or validity dates (the file itself is immutable; upload a new version instead)
+   */
+  async updateDocument(documentId, organizationId, data) {
+    const metadata = normalizeMetadata(data, { partial: true });
+    const fields = Object.keys(metadata);
+
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
+    const existing = await this.getDocument(documentId, organizationId);
+    const validFrom = metadata.valid_from !== undefined ? metadata.valid_from : existing.valid_from;
+    const validUntil = metadata.valid_until !== undefined ? metadata.valid_until : existing.valid_until;
+    if (validFrom && validUntil && new Date(validUntil) < new Date(validFrom)) {
+      throw new Error('Valid until must be on or after valid from');
+    }
+
+    await pool.query(
+      `UPDATE organization_document
+       SET ${fields.map((f, i) => `${f} = $${i + 1}`).join(', ')}, updated_at = NOW()
+       WHERE document_id = $${fields.length + 1}`,
+      [...fields.map((f) => metadata[f]), documentId]
+    );
+
+    return this.getDocument(documentId, organizationId);
+  },
+
+  /**
+   * Delete a vault document; refused while it is part of a submitted proposal
+   */
+  async deleteDocument(documentId, organizationId) {
+    await this.getDocument(documentId, organizationId);
+
+    const submitted = await pool.query(
+      `SELECT 1 FROM proposal_section_document psd
+       JOIN proposal p ON psd.proposal_id = p.proposal_id
+       WHERE psd.document_id = $1 AND p.status <> 'DRAFT'
+       LIMIT 1`,
+      [documentId]
+    );
+
+    if (submitted.rows.length > 0) {
+      throw new Error('Document is attached to a submitted proposal and cannot be deleted');
+    }
+
+    await pool.query('DELETE FROM organization_document WHERE document_id = $1', [documentId]);
+  },
+
+  /**
+   * File content for download; the owning organization only
+   */
+  async getDocumentFile(documentId, organizationId) {
+    const result = await pool.query(
+      `SELECT file_name, mime_type, content FROM organization_document
+       WHERE document_id = $1 AND organization_id = $2`,
+      [documentId, organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Document not found');
+    }
+
+    return result.rows[0];
+  },
+
+  /**
+   * Vault documents attached to a proposal, grouped by tender section
+   * Pass includeContent for exports that embed the files
+   * @returns {Map<string, Object[]>} section_id -> documents
+   */
+  async getProposalAttachments(proposalId, { includeContent = false } = {}) {
+    const result = await pool.query(
+      `SELECT psd.section_id, psd.attached_at, d.document_id, d.category, d.title, d.file_name,
+              d.mime_type, d.file_size, d.valid_from, d.valid_until
+              ${includeContent ? ', d.content' : ''}
+       FROM proposal_section_document psd
+       JOIN organization_document d ON psd.document_id = d.document_id
+       WHERE psd.proposal_id = $1
+       ORDER BY psd.attached_at ASC`,
+      [proposalId]
+    );
+
+    const bySection = new Map();
+    for (const row of result.rows) {
+      if (!bySection.has(row.section_id)) bySection.set(row.section_id, []);
+      bySection.get(row.section_id).push(withStatus(row));
+    }
+    return bySection;
+  },
+
+  /**
+   * Attachments of the user's own proposal as { [section_id]: documents[] }
+   */
+  async listProposalAttachments(proposalId, user) {
+    const result = await pool.query('SELECT organization_id FROM proposal WHERE proposal_id = $1', [proposalId]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Proposal not found');
+    }
+
+    if (result.rows[0].organization_id !== user.organizationId) {
+      throw new Error('Forbidden');
+    }
+
+    return Object.fromEntries(await this.getProposalAttachments(proposalId));
+  },
+
+  /**
+   * Attach a vault document to a section of a draft proposal of the same organization
+   */
+  async attachToSection(proposalId, sectionId, documentId, user) {
+    await this._getEditableProposal(proposalId, sectionId, user);
+    const document = await this.getDocument(documentId, user.organizationId);
+
+    await pool.query(
+      `INSERT INTO proposal_section_document (proposal_id, section_id, document_id, attached_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (proposal_id, section_id, document_id) DO NOTHING`,
+      [proposalId, sectionId, documentId, user.id]
+    );
+
+    return document;
+  },
+
+  async detachFromSection(proposalId, sectionId, documentId, user) {
+    await this._getEditableProposal(proposalId, sectionId, user);
+
+    const result = await pool.query(
+      `DELETE FROM proposal_section_document
+       WHERE proposal_id = $1 AND section_id = $2 AND document_id = $3`,
+      [proposalId, sectionId, documentId]
+    );
+
+    if (result.rowCount === 0) {
+      throw new Error('Attachment not found');
+    }
+  },
+
+  async _getEditableProposal(proposalId, sectionId, user) {
+    const result = await pool.query(
+      `SELECT p.organization_id, p.status, ts.section_id
+       FROM proposal p
+       LEFT JOIN tender_section ts ON ts.tender_id = p.tender_id AND ts.section_id = $2
+       WHERE p.proposal_id = $1`,
+      [proposalId, sectionId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Proposal not found');
+    }
+
+    const proposal = result.rows[0];
+
+    if (proposal.organization_id !== user.organizationId) {
+      throw new Error('Forbidden');
+    }
+
+    if (!proposal.section_id) {
+      throw new Error('Section not found in this tender');
+    }
+
+    if (proposal.status !== 'DRAFT') {
+      throw new Error('Documents can only be attached to draft proposals');
+    }
+
+    return proposal;
+  },
+};
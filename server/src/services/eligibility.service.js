@@ -0,0 +1,404 @@
+/**
+ * Eligibility Service
+ * Extracts structured eligibility criteria from tender text and matches them
+ * against the capability facts recorded on the bidder's organization profile:
+ * - Minimum annual / average turnover
+ * - Years of experience (time since establishment)
+ * - Similar completed works above a value
+ * - Certifications (ISO, CMMI, ...)
+ * - Statutory registrations (GST, PAN, company incorporation, MSME, EPF, ESI)
+ *
+ * Each criterion resolves to PASS / FAIL / UNKNOWN with the evidence used.
+ */
+
+import { OrganizationService } from './organization.service.js';
+import { DocumentVaultService } from './documentVault.service.js';
+import { TenderService } from './tender.service.js';
+import { UploadedTenderService } from './uploadedTender.service.js';
+
+const AMOUNT_MULTIPLIERS = {
+  crore: 1e7,
+  crores: 1e7,
+  cr: 1e7,
+  lakh: 1e5,
+  lakhs: 1e5,
+  lac: 1e5,
+  lacs: 1e5,
+  million: 1e6,
+  mn: 1e6,
+};
+
+const NUMBER_WORDS = {
+  one: 1, single: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, fifteen: 15, twenty: 20,
+};
+
+const NUMBER_PATTERN = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const AMOUNT_REGEX = /(?:(?:\brs\.?|\binr|₹)\s*([\d,]+(?:\.\d+)?)\s*(crores?|cr\b\.?|lakhs?|lacs?|million|mn\b)?|([\d,]+(?:\.\d+)?)\s*(crores?|cr\b\.?|lakhs?|lacs?|million))/gi;
+
+const REGISTRATIONS = [
+  { key: 'GST', label: 'GST registration', pattern: /\bgst(?:in)?\b/i, profileField: 'gstin' },
+  { key: 'PAN', label: 'PAN', pattern: /\bpan\b/i, profileField: 'pan' },
+  { key: 'COMPANY', label: 'Company incorporation', pattern: /companies act|incorporat|\bcin\b/i, profileField: 'cin' },
+  { key: 'MSME', label: 'MSME / Udyam registration', pattern: /\bmsme\b|udyam|\bnsic\b/i, keywords: ['msme', 'udyam', 'nsic'] },
+  { key: 'EPF', label: 'EPF registration', pattern: /\bepfo?\b|provident fund/i, keywords: ['epf', 'providentfund'] },
+  { key: 'ESI', label: 'ESI registration', pattern: /\besic?\b|employees.? state insurance/i, keywords: ['esi', 'employeesstateinsurance'] },
+];
+
+const REGISTRATION_CONTEXT = /regist|number|card|certificate|incorporat|enrol/i;
+
+const STATUS = {
+  PASS: 'PASS',
+  FAIL: 'FAIL',
+  UNKNOWN: 'UNKNOWN',
+};
+
+const toNumber = (word) => NUMBER_WORDS[word.toLowerCase()] || parseInt(word, 10);
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const formatINR = (amount) => `INR ${Math.round(amount).toLocaleString('en-IN')}`;
+
+/**
+ * All INR amounts mentioned in a sentence, in rupees
+ */
+function parseAmounts(sentence) {
+  const amounts = [];
+  for (const match of sentence.matchAll(AMOUNT_REGEX)) {
+    const raw = match[1] || match[3];
+    const unit = (match[2] || match[4] || '').toLowerCase().replace('.', '');
+    const value = parseFloat(raw.replace(/,/g, ''));
+    if (Number.isNaN(value) || value <= 0) continue;
+    amounts.push({ value: value * (AMOUNT_MULTIPLIERS[unit] || 1), index: match.index });
+  }
+  return amounts;
+}
+
+/**
+ * "last three financial years" -> 3
+ */
+function parsePeriodYears(sentence) {
+  const match = sentence.match(new RegExp(`(?:last|preceding|past|previous)\\s+${NUMBER_PATTERN}\\s+(?:\\(\\d+\\)\\s+)?(?:financial\\s+|calendar\\s+)?years`, 'i'));
+  return match ? toNumber(match[1]) : null;
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .split(/\n+|(?<=[.;])\s+(?=[A-Z(])/)
+    .map((s) => s.replace(/\s+/g, ' ').trim())
+    .filter((s) => s.length > 10);
+}
+
+export const EligibilityService = {
+  /**
+   * Extract structured eligibility criteria from tender sections
+   * @param {Array<{title: string, content: string}>} sections
+   * @returns {Array<Object>} criteria, de-duplicated by type and key
+   */
+  extractCriteria(sections) {
+    const criteria = new Map();
+    const add = (criterion) => {
+      const id = `${criterion.type}:${criterion.key}`;
+      if (!criteria.has(id)) criteria.set(id, { id, ...criterion });
+    };
+
+    for (const section of sections) {
+      for (const sentence of splitSentences(section.content)) {
+        const requirement = sentence.length > 300 ? `${sentence.slice(0, 297)}...` : sentence;
+        const base = { requirement, source: section.title || null };
+        const amounts = parseAmounts(sentence);
+
+        // Turnover
+        if (/turn\s?-?over/i.test(sentence) && amounts.length > 0) {
+          const average = /average/i.test(sentence);
+          const any = /any\s+(?:one\s+)?(?:of\s+the\s+)?(?:last|preceding|past)/i.test(sentence);
+          add({
+            ...base,
+            type: 'TURNOVER',
+            key: average ? 'AVERAGE' : any ? 'ANY' : 'EACH',
+            amount: amounts[0].value,
+            years: parsePeriodYears(sentence) || (average ? 3 : 1),
+            mode: average ? 'AVERAGE' : any ? 'ANY' : 'EACH',
+          });
+          continue;
+        }
+
+        // Similar completed works
+        if (/similar\s+(?:nature\s+of\s+)?works?/i.test(sentence) && amounts.length > 0) {
+          const options = [];
+          const optionRegex = new RegExp(
+            `${NUMBER_PATTERN}\\s+(?:completed\\s+)?similar\\s+(?:nature\\s+of\\s+)?works?[^;]*?(?:rs\\.?|inr|₹)\\s*[\\d,.]+\\s*(?:crores?|cr\\b|lakhs?|lacs?|million)?`,
+            'gi'
+          );
+          for (const match of sentence.matchAll(optionRegex)) {
+            const [amount] = parseAmounts(match[0]);
+            if (amount) options.push({ count: toNumber(match[1]), value: amount.value });
+          }
+          if (options.length === 0) options.push({ count: 1, value: amounts[0].value });
+
+          add({
+            ...base,
+            type: 'SIMILAR_WORK',
+            key: options.map((o) => `${o.count}x${o.value}`).join('|'),
+            options,
+            years: parsePeriodYears(sentence),
+          });
+          continue;
+        }
+
+        // Years of experience / existence
+        const experience =
+          sentence.match(new RegExp(`${NUMBER_PATTERN}\\s*\\+?\\s*(?:\\(\\d+\\)\\s*)?years?\\s+(?:of\\s+)?(?:relevant\\s+|proven\\s+|work\\s+)?(?:experience|existence|in\\s+(?:existence|business|operation))`, 'i')) ||
+          sentence.match(new RegExp(`(?:experience|existence|in\\s+business)\\s+of\\s+(?:at\\s+least\\s+|minimum\\s+|not\\s+less\\s+than\\s+)?${NUMBER_PATTERN}\\s+years`, 'i'));
+        if (experience) {
+          const years = toNumber(experience[1]);
+          add({ ...base, type: 'EXPERIENCE_YEARS', key: String(years), years });
+        }
+
+        // Certifications
+        for (const match of sentence.matchAll(/\biso\s*(?:\/\s*iec\s*)?[:/-]?\s*(\d{4,5})/gi)) {
+          add({ ...base, type: 'CERTIFICATION', key: `ISO ${match[1]}`, name: `ISO ${match[1]}` });
+        }
+        const cmmi = sentence.match(/\bcmmi\b(?:\s*[- ]?\s*(?:level|ml)\s*[- ]?\s*(\d))?/i);
+        if (cmmi) {
+          const name = cmmi[1] ? `CMMI Level ${cmmi[1]}` : 'CMMI';
+          add({ ...base, type: 'CERTIFICATION', key: name, name, minLevel: cmmi[1] ? Number(cmmi[1]) : null });
+        }
+
+        // Statutory registrations
+        if (REGISTRATION_CONTEXT.test(sentence)) {
+          for (const registration of REGISTRATIONS) {
+            if (registration.pattern.test(sentence)) {
+              add({ ...base, type: 'REGISTRATION', key: registration.key, name: registration.label });
+            }
+          }
+        }
+      }
+    }
+
+    return [...criteria.values()];
+  },
+
+  /**
+   * Capability facts of an organization: profile, turnover, projects,
+   * certifications and vault documents
+   */
+  async getCapabilityFacts(organizationId) {
+    const profile = await OrganizationService.getProfile(organizationId);
+    const documents = await DocumentVaultService.listDocuments(organizationId);
+    return { profile, documents };
+  },
+
+  /**
+   * Match criteria against capability facts
+   * @returns {Array<Object>} checklist items: criterion + status + evidence
+   */
+  matchCriteria(criteria, { profile, documents }) {
+    return criteria.map((criterion) => {
+      const matcher = {
+        TURNOVER: this._matchTurnover,
+        SIMILAR_WORK: this._matchSimilarWork,
+        EXPERIENCE_YEARS: this._matchExperience,
+        CERTIFICATION: this._matchCertification,
+        REGISTRATION: this._matchRegistration,
+      }[criterion.type];
+
+      return { ...criterion, ...matcher(criterion, profile, documents) };
+    });
+  },
+
+  /**
+   * Eligibility checklist for a published platform tender
+   */
+  async checkTender(tenderId, user) {
+    const tender = await TenderService.getTenderById(tenderId, user);
+
+    if (tender.status !== 'PUBLISHED') {
+      throw new Error('This tender is not available');
+    }
+
+    const sections = [
+      { title: 'Tender description', content: tender.description },
+      ...(tender.sections || []).map((s) => ({ title: s.title, content: s.content || s.description })),
+    ];
+
+    return this._buildChecklist(sections, user.organizationId);
+  },
+
+  /**
+   * Eligibility checklist for a tender uploaded as a PDF
+   */
+  async checkUploadedTender(uploadedTenderId, user) {
+    const tender = await UploadedTenderService.getById(uploadedTenderId, user.userId);
+
+    if (!tender) {
+      throw new Error('Uploaded tender not found');
+    }
+
+    const parsedSections = tender.parsedData?.sections || [];
+    const eligibility = tender.analysisData?.summary?.bulletPoints?.eligibilityCriteria || [];
+
+    const sections = parsedSections.length > 0
+      ? parsedSections.map((s) => ({ title: s.title, content: s.content }))
+      : [{ title: 'Tender document', content: tender.parsedData?.fullText || tender.description }];
+
+    // AI-summarised eligibility bullets often restate the criteria more compactly
+    if (eligibility.length > 0) {
+      sections.push({ title: 'Eligibility summary', content: eligibility.join('\n') });
+    }
+
+    return this._buildChecklist(sections, user.organizationId);
+  },
+
+  async _buildChecklist(sections, organizationId) {
+    const criteria = this.extractCriteria(sections);
+    const facts = await this.getCapabilityFacts(organizationId);
+    const checklist = this.matchCriteria(criteria, facts);
+
+    const summary = {
+      total: checklist.length,
+      passed: checklist.filter((c) => c.status === STATUS.PASS).length,
+      failed: checklist.filter((c) => c.status === STATUS.FAIL).length,
+      unknown: checklist.filter((c) => c.status === STATUS.UNKNOWN).length,
+    };
+
+    summary.verdict = summary.total === 0
+      ? 'NO_CRITERIA'
+      : summary.failed > 0
+        ? 'NOT_ELIGIBLE'
+        : summary.unknown > 0
+          ? 'REVIEW'
+          : 'ELIGIBLE';
+
+    return { summary, checklist, organization: facts.profile.name };
+  },
+
+  _matchTurnover(criterion, profile) {
+    const records = [...profile.turnover].sort((a, b) => b.financial_year.localeCompare(a.financial_year));
+
+    if (records.length === 0) {
+      return { status: STATUS.UNKNOWN, evidence: 'No turnover recorded on the organization profile' };
+    }
+
+    const considered = records.slice(0, criterion.years);
+    const listing = considered.map((t) => `FY ${t.financial_year}: ${formatINR(t.amount)}`).join('; ');
+
+    if (criterion.mode !== 'ANY' && considered.length < criterion.years) {
+      return {
+        status: STATUS.UNKNOWN,
+        evidence: `Only ${considered.length} of ${criterion.years} year(s) recorded (${listing})`,
+      };
+    }
+
+    const amounts = considered.map((t) => t.amount);
+    const value = criterion.mode === 'AVERAGE'
+      ? amounts.reduce((sum, a) => sum + a, 0) / amounts.length
+      : criterion.mode === 'ANY'
+        ? Math.max(...amounts)
+        : Math.min(...amounts);
+
+    const label = { AVERAGE: 'Average', ANY: 'Best year', EACH: 'Lowest year' }[criterion.mode];
+    return {
+      status: value >= criterion.amount ? STATUS.PASS : STATUS.FAIL,
+      evidence: `${label} ${formatINR(value)} vs required ${formatINR(criterion.amount)} (${listing})`,
+    };
+  },
+
+  _matchSimilarWork(criterion, profile) {
+    if (profile.projects.length === 0) {
+      return { status: STATUS.UNKNOWN, evidence: 'No completed projects recorded on the organization profile' };
+    }
+
+    const cutoff = criterion.years ? new Date() : null;
+    if (cutoff) cutoff.setFullYear(cutoff.getFullYear() - criterion.years);
+
+    const inPeriod = profile.projects.filter(
+      (p) => !cutoff || (p.completed_on && new Date(p.completed_on) >= cutoff)
+    );
+
+    for (const option of criterion.options) {
+      const qualifying = inPeriod.filter((p) => p.contract_value >= option.value);
+      if (qualifying.length >= option.count) {
+        return {
+          status: STATUS.PASS,
+          evidence: `${qualifying.slice(0, option.count).map((p) => `${p.title} (${formatINR(p.contract_value)})`).join(', ')}` +
+            ' - confirm the works are similar in nature',
+        };
+      }
+    }
+
+    const requirement = criterion.options.map((o) => `${o.count} work(s) of ${formatINR(o.value)}`).join(' or ');
+    return {
+      status: STATUS.FAIL,
+      evidence: `No combination of recorded projects${criterion.years ? ` completed in the last ${criterion.years} years` : ''} meets ${requirement}`,
+    };
+  },
+
+  _matchExperience(criterion, profile) {
+    if (!profile.year_established) {
+      return { status: STATUS.UNKNOWN, evidence: 'Year of establishment not recorded on the organization profile' };
+    }
+
+    const years = new Date().getFullYear() - profile.year_established;
+    return {
+      status: years >= criterion.years ? STATUS.PASS : STATUS.FAIL,
+      evidence: `Established ${profile.year_established} (${years} years) vs required ${criterion.years} years`,
+    };
+  },
+
+  _matchCertification(criterion, profile, documents) {
+    const key = normalize(criterion.name.replace(/level\s*\d/i, ''));
+    const matches = (name) => {
+      const normalized = normalize(name);
+      if (!normalized.includes(key)) return false;
+      if (!criterion.minLevel) return true;
+      const level = String(name).match(/(?:level|ml)\s*[- ]?\s*(\d)/i);
+      return level ? Number(level[1]) >= criterion.minLevel : false;
+    };
+
+    const certs = profile.certifications.filter((c) => matches(c.name));
+    const docs = documents.filter((d) => d.category === 'CERTIFICATE' && matches(d.title));
+    const valid = [...certs.filter((c) => c.status !== 'EXPIRED'), ...docs.filter((d) => d.status !== 'EXPIRED')];
+
+    if (valid.length > 0) {
+      const first = valid[0];
+      const expiry = first.expires_on || first.valid_until;
+      return {
+        status: STATUS.PASS,
+        evidence: `${first.name || first.title}${expiry ? ` valid until ${new Date(expiry).toLocaleDateString('en-IN')}` : ''}`,
+      };
+    }
+
+    if (certs.length > 0 || docs.length > 0) {
+      return { status: STATUS.FAIL, evidence: `${criterion.name} is recorded but has expired` };
+    }
+
+    if (profile.certifications.length === 0 && !documents.some((d) => d.category === 'CERTIFICATE')) {
+      return { status: STATUS.UNKNOWN, evidence: 'No certifications recorded on the organization profile' };
+    }
+
+    return { status: STATUS.FAIL, evidence: `${criterion.name} not found among recorded certifications` };
+  },
+
+  _matchRegistration(criterion, profile, documents) {
+    const registration = REGISTRATIONS.find((r) => r.key === criterion.key);
+
+    if (registration.profileField) {
+      const value = profile[registration.profileField];
+      return value
+        ? { status: STATUS.PASS, evidence: `${registration.profileField.toUpperCase()} ${value}` }
+        : { status: STATUS.UNKNOWN, evidence: `${registration.profileField.toUpperCase()} not recorded on the organization profile` };
+    }
+
+    const matches = (name) => registration.keywords.some((k) => normalize(name).includes(k));
+    const record = [
+      ...profile.certifications.filter((c) => c.status !== 'EXPIRED').map((c) => c.name),
+      ...documents.filter((d) => d.status !== 'EXPIRED').map((d) => d.title),
+    ].find(matches);
+
+    return record
+      ? { status: STATUS.PASS, evidence: record }
+      : { status: STATUS.UNKNOWN, evidence: `No ${registration.label} found in certifications or the document vault` };
+  },
+};
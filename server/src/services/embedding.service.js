@@ -1,12 +1,42 @@
+/**
+ * Embedding Service
+ * Provider-agnostic text embeddings for RAG retrieval over tender_content_chunk
+ *
+ * Providers (selected with EMBEDDING_PROVIDER):
+ * - openai: Any OpenAI-compatible /embeddings endpoint (OpenAI, Azure proxy, Ollama, vLLM, TEI)
+ * - local:  Transformers model running on CPU via ONNX (no API key, no network after first download)
+ * - hash:   Deterministic hash vector with NO semantic meaning. Only for tests and offline smoke runs.
+ *
+ * When EMBEDDING_PROVIDER is not set, openai is used if an API key is configured, otherwise local.
+ * hash is never picked automatically. A dimension change is handled at startup by resizing the
+ * index column and re-embedding (see runMigrations in app.js).
+ */
+
 import { env } from '../config/env.js';
 
-// Note: GROQ doesn't provide embeddings. Using mock embeddings for now.
-// For production, consider using a dedicated embedding service like HuggingFace or OpenAI embeddings.
+const PROVIDER_CONFIGS = {
+  openai: {
+    url: () => `${env.EMBEDDING_API_URL.replace(/\/+$/, '')}/embeddings`,
+    apiKey: () => env.EMBEDDING_API_KEY || env.OPENAI_API_KEY,
+    defaultModel: () => env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    defaultDimension: 1536,
+  },
+  local: {
+    defaultModel: () => 'Xenova/all-MiniLM-L6-v2',
+    defaultDimension: 384,
+  },
+  hash: {
+    defaultModel: () => 'hash-v1',
+    defaultDimension: 1536,
+  },
+};
+
+// Lazily created transformers feature-extraction pipeline (model load is expensive)
+let localPipelinePromise = null;
 
 export const EmbeddingService = {
   /**
-   * Generate mock embedding for text.
-   * Returns a 1536-dimensional vector as pgvector-compatible string format
+   * Generate an embedding for text using the configured provider.
    * @param {string} text
    * @returns {Promise<string>} pgvector format: "[0.1, 0.2, ...]"
    */
@@ -15,22 +45,183 @@ export const EmbeddingService = {
       throw new Error('Cannot generate embedding for empty text');
     }
 
-    // Generate a simple deterministic embedding based on text hash
-    // This is NOT semantic embedding - just for compatibility
-    const hash = simpleHash(text);
-    const embedding = new Array(1536).fill(0);
+    const [vector] = await this.embedBatch([text]);
+    return vector;
+  },
 
-    // Distribute hash value across embedding dimensions for some variance
-    for (let i = 0; i < 10; i++) {
-      embedding[hash % 1536] = ((hash >> i) & 0xFF) / 255;
-      embedding[(hash * (i + 1)) % 1536] = ((hash >> (i + 8)) & 0xFF) / 255;
+  /**
+   * Generate embeddings for several texts in one provider round-trip.
+   * @param {string[]} texts
+   * @returns {Promise<string[]>} pgvector-formatted vectors, same order as input
+   */
+  async embedBatch(texts = []) {
+    if (texts.length === 0) return [];
+
+    if (texts.some((t) => !t || !t.trim())) {
+      throw new Error('Cannot generate embedding for empty text');
     }
 
-    // Return as pgvector-compatible string format
-    return '[' + embedding.join(',') + ']';
+    const { provider, model, dimension } = this.getConfig();
+
+    let vectors;
+    if (provider === 'openai') {
+      vectors = await this._embedOpenAI(texts, model, dimension);
+    } else if (provider === 'local') {
+      vectors = await this._embedLocal(texts, model);
+    } else if (provider === 'hash') {
+      vectors = texts.map((t) => hashEmbedding(t, dimension));
+    } else {
+      throw new Error(`Unsupported embedding provider: ${provider}`);
+    }
+
+    for (const vector of vectors) {
+      if (vector.length !== dimension) {
+        throw new Error(
+          `Embedding dimension mismatch: provider "${provider}" returned ${vector.length}, ` +
+          `expected ${dimension}. Set EMBEDDING_DIMENSION to match the model.`
+        );
+      }
+    }
+
+    return vectors.map(toPgVector);
+  },
+
+  /**
+   * Resolve the active provider, model and vector dimension from env
+   * @returns {{provider: string, model: string, dimension: number, signature: string}}
+   */
+  getConfig() {
+    const provider = this._detectProvider();
+    const config = PROVIDER_CONFIGS[provider];
+
+    if (!config) {
+      throw new Error(`Unsupported embedding provider: ${provider}`);
+    }
+
+    const model = env.EMBEDDING_MODEL || config.defaultModel();
+    const dimension = parseInt(env.EMBEDDING_DIMENSION, 10) || config.defaultDimension;
+
+    return {
+      provider,
+      model,
+      dimension,
+      // Stored per chunk so the re-embedding job can find vectors from another provider/model
+      signature: `${provider}:${model}:${dimension}`,
+    };
+  },
+
+  /**
+   * Call an OpenAI-compatible embeddings endpoint
+   */
+  async _embedOpenAI(texts, model, dimension) {
+    const config = PROVIDER_CONFIGS.openai;
+    const apiKey = config.apiKey();
+
+    if (!apiKey) {
+      throw new Error('API key not configured for embedding provider: openai');
+    }
+
+    const body = { model, input: texts };
+    // Only text-embedding-3-* accepts a reduced output dimension
+    if (model.startsWith('text-embedding-3')) {
+      body.dimensions = dimension;
+    }
+
+    const response = await fetch(config.url(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`Embedding API failed: ${response.status} - ${errorBody}`);
+    }
+
+    const data = await response.json();
+    const items = Array.isArray(data?.data) ? [...data.data] : [];
+
+    if (items.length !== texts.length) {
+      throw new Error(`Embedding API returned ${items.length} vectors for ${texts.length} inputs`);
+    }
+
+    return items
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map((item) => item.embedding);
+  },
+
+  /**
+   * Run a local transformers model (mean-pooled, L2-normalized sentence embeddings)
+   */
+  async _embedLocal(texts, model) {
+    if (!localPipelinePromise) {
+      localPipelinePromise = (async () => {
+        let transformers;
+        try {
+          transformers = await import('@huggingface/transformers');
+        } catch (err) {
+          throw new Error(
+            'Local embedding provider requires the "@huggingface/transformers" package. ' +
+            'Run npm install in the server directory or set EMBEDDING_PROVIDER=openai.'
+          );
+        }
+
+        if (env.EMBEDDING_CACHE_DIR) {
+          transformers.env.cacheDir = env.EMBEDDING_CACHE_DIR;
+        }
+
+        console.log(`[Embedding] Loading local model ${model} (CPU)...`);
+        return transformers.pipeline('feature-extraction', model, { device: 'cpu', dtype: 'fp32' });
+      })().catch((err) => {
+        // Allow a later call to retry instead of caching the failure forever
+        localPipelinePromise = null;
+        throw err;
+      });
+    }
+
+    const extractor = await localPipelinePromise;
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+
+    return output.tolist();
+  },
+
+  /**
+   * Detect embedding provider from explicit config or available API keys.
+   * Defaults are always semantic; hash must be opted into explicitly.
+   */
+  _detectProvider() {
+    if (env.EMBEDDING_PROVIDER) return env.EMBEDDING_PROVIDER.toLowerCase();
+    if (env.EMBEDDING_API_KEY || env.OPENAI_API_KEY) return 'openai';
+    return 'local';
   },
 };
 
+/**
+ * Convert a numeric array to pgvector literal
+ */
+function toPgVector(vector) {
+  return '[' + vector.join(',') + ']';
+}
+
+/**
+ * Deterministic hash-based vector (test provider only - NOT semantic)
+ */
+function hashEmbedding(text, dimension) {
+  const hash = simpleHash(text);
+  const embedding = new Array(dimension).fill(0);
+
+  // Distribute hash value across embedding dimensions for some variance
+  for (let i = 0; i < 10; i++) {
+    embedding[hash % dimension] = ((hash >> i) & 0xFF) / 255;
+    embedding[(hash * (i + 1)) % dimension] = ((hash >> (i + 8)) & 0xFF) / 255;
+  }
+
+  return embedding;
+}
+
 /**
  * Simple hash function for deterministic embedding generation
  */
@@ -0,0 +1,179 @@
+/**
+ * Embedding Index Service
+ * Keeps tender_content_chunk.embedding in sync with the configured embedding provider
+ *
+ * Every chunk stores the signature (provider:model:dimension) it was embedded with.
+ * When the provider, model or dimension changes, the re-embedding job:
+ * 1. Resizes the VECTOR column if the dimension changed (existing vectors are dropped)
+ * 2. Re-embeds every chunk whose signature differs from the active one, in batches
+ */
+
+import { pool } from '../config/db.js';
+import { EmbeddingService } from './embedding.service.js';
+
+const DEFAULT_BATCH_SIZE = 32;
+
+export const EmbeddingIndexService = {
+  /**
+   * Compare stored embeddings against the active provider config
+   * @returns {Promise<Object>} { config, columnDimension, totalChunks, staleChunks, needsReindex }
+   */
+  async getIndexState() {
+    const config = EmbeddingService.getConfig();
+    const columnDimension = await this._getColumnDimension();
+
+    const countRes = await pool.query(
+      `SELECT COUNT(*)::int AS total,
+              COUNT(*) FILTER (WHERE embedding IS NULL OR embedding_model IS DISTINCT FROM $1)::int AS stale
+       FROM tender_content_chunk`,
+      [config.signature]
+    );
+
+    const { total, stale } = countRes.rows[0];
+
+    return {
+      config,
+      columnDimension,
+      totalChunks: total,
+      staleChunks: columnDimension === config.dimension ? stale : total,
+      needsReindex: columnDimension !== config.dimension || stale > 0,
+    };
+  },
+
+  /**
+   * Re-embed chunks that were produced by a different provider/model/dimension
+   * @param {Object} options
+   * @param {boolean} options.force - Re-embed every chunk, even if its signature matches
+   * @param {number} options.batchSize - Chunks per provider request
+   * @param {Function} options.onProgress - Called with { processed, total } after each batch
+   * @returns {Promise<Object>} { signature, resized, processed, failed }
+   */
+  async reembedAll(options = {}) {
+    const { force = false, batchSize = DEFAULT_BATCH_SIZE, onProgress } = options;
+    const config = EmbeddingService.getConfig();
+
+    const resized = await this._ensureColumnDimension(config.dimension);
+    const state = await this.getIndexState();
+    const total = force ? state.totalChunks : state.staleChunks;
+
+    console.log(
+      `[EmbeddingIndex] Re-embedding ${total} chunk(s) with ${config.signature}` +
+      (resized ? ' (column resized)' : '')
+    );
+
+    let processed = 0;
+    let failed = 0;
+    let lastChunkId = null;
+
+    // Keyset pagination over chunk_id so updated rows never shift the window
+    for (;;) {
+      const batchRes = await pool.query(
+        `SELECT chunk_id, content
+         FROM tender_content_chunk
+         WHERE ($1::uuid IS NULL OR chunk_id > $1::uuid)
+           AND ($2::boolean OR embedding IS NULL OR embedding_model IS DISTINCT FROM $3)
+         ORDER BY chunk_id ASC
+         LIMIT $4`,
+        [lastChunkId, force, config.signature, batchSize]
+      );
+
+      if (batchRes.rows.length === 0) break;
+
+      lastChunkId = batchRes.rows[batchRes.rows.length - 1].chunk_id;
+
+      const rows = batchRes.rows.filter((r) => r.content && r.content.trim());
+      failed += batchRes.rows.length - rows.length;
+
+      if (rows.length > 0) {
+        try {
+          const vectors = await EmbeddingService.embedBatch(rows.map((r) => r.content));
+
+          for (let i = 0; i < rows.length; i++) {
+            await pool.query(
+              `UPDATE tender_content_chunk
+               SET embedding = $1::vector, embedding_model = $2
+               WHERE chunk_id = $3`,
+              [vectors[i], config.signature, rows[i].chunk_id]
+            );
+          }
+          processed += rows.length;
+        } catch (err) {
+          console.error(`[EmbeddingIndex] Batch ending at ${lastChunkId} failed:`, err.message);
+          failed += rows.length;
+        }
+      }
+
+      if (onProgress) onProgress({ processed, failed, total });
+    }
+
+    console.log(`[EmbeddingIndex] Done: ${processed} re-embedded, ${failed} failed`);
+
+    return { signature: config.signature, resized, processed, failed };
+  },
+
+  /**
+   * Run the re-embedding job only when the index is out of date
+   * Used on startup when EMBEDDING_REINDEX_ON_STARTUP=true
+   */
+  async reembedIfStale() {
+    const state = await this.getIndexState();
+
+    if (!state.needsReindex) {
+      console.log(`[EmbeddingIndex] Index up to date (${state.config.signature})`);
+      return { skipped: true, ...state };
+    }
+
+    return this.reembedAll();
+  },
+
+  /**
+   * Read the declared dimension of tender_content_chunk.embedding (pgvector stores it in atttypmod)
+   */
+  async _getColumnDimension() {
+    const res = await pool.query(
+      `SELECT atttypmod
+       FROM pg_attribute
+       WHERE attrelid = 'tender_content_chunk'::regclass
+         AND attname = 'embedding'
+         AND NOT attisdropped`
+    );
+
+    const typmod = res.rows[0]?.atttypmod;
+    return typmod && typmod > 0 ? typmod : null;
+  },
+
+  /**
+   * Resize the embedding column when the provider dimension changes.
+   * Existing vectors cannot be cast across dimensions, so they are cleared and re-embedded.
+   * @returns {Promise<boolean>} true if the column was altered
+   */
+  async _ensureColumnDimension(dimension) {
+    const current = await this._getColumnDimension();
+    if (current === dimension) return false;
+
+    if (!Number.isInteger(dimension) || dimension <= 0 || dimension > 16000) {
+      throw new Error(`Invalid embedding dimension: ${dimension}`);
+    }
+
+    console.warn(`[EmbeddingIndex] Resizing embedding column: ${current ?? 'unset'} -> ${dimension}`);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // dimension is validated as an integer above; DDL cannot take bind parameters
+      await client.query(
+        `ALTER TABLE tender_content_chunk
+         ALTER COLUMN embedding TYPE VECTOR(${dimension}) USING NULL`
+      );
+      await client.query('UPDATE tender_content_chunk SET embedding_model = NULL');
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return true;
+  },
+};
@@ -1,4 +1,136 @@
 import { pool } from '../config/db.js';
+import { TenderService } from './tender.service.js';
+import { BidOpeningService } from './bidOpening.service.js';
+
+const EVALUATION_METHODS = ['L1', 'QCBS'];
+
+const round = (value, digits = 2) => Number(Number(value).toFixed(digits));
+
+/**
+ * Human-readable scoring formula stored with the ranking
+ */
+function describeFormula(config) {
+  if (config.evaluation_method !== 'QCBS') {
+    return 'L1: technically qualified bids ranked by bid amount, lowest first';
+  }
+
+  const wT = Number(config.technical_weight);
+  const wF = Number(config.financial_weight);
+  return (
+    `Combined score S = ${wT / 100} × Tn + ${wF / 100} × Fn, ` +
+    `where Tn = 100 × T / T(highest) and Fn = 100 × F(lowest) / F; ` +
+    `T = technical score out of 100, F = bid amount; ` +
+    `bids with T below ${Number(config.technical_cutoff)} are not financially evaluated`
+  );
+}
+
+/**
+ * Rank bids under L1 or QCBS.
+ * @param {Array<Object>} bids - { proposal_id, organization_name, bid_amount, technical_status, technical_score }
+ * @param {Object} config - { evaluation_method, technical_weight, financial_weight, technical_cutoff }
+ * @returns {{ ranking: Array<Object>, l1: Object|null, h1: Object|null, formula: string }}
+ *   ranking entries: { rank, proposal_id, organization_name, bid_amount, technical_score,
+ *   normalized_technical, normalized_financial, combined_score, qualified, reason }
+ */
+export function computeRanking(bids, config) {
+  const isQCBS = config.evaluation_method === 'QCBS';
+  const cutoff = isQCBS ? Number(config.technical_cutoff) || 0 : 0;
+
+  const entries = bids.map((bid) => {
+    const amount = bid.bid_amount === null || bid.bid_amount === undefined ? null : Number(bid.bid_amount);
+    const score = bid.technical_score === null || bid.technical_score === undefined ? null : Number(bid.technical_score);
+
+    let reason = null;
+    if (bid.technical_status === 'DISQUALIFIED') reason = 'Technically disqualified';
+    else if (bid.technical_status !== 'QUALIFIED') reason = 'Technical evaluation pending';
+    else if (isQCBS && score === null) reason = 'Technical score missing';
+    else if (isQCBS && score < cutoff) reason = `Below technical cutoff (${cutoff})`;
+    else if (!amount || amount <= 0) reason = 'Bid amount missing';
+
+    return {
+      proposal_id: bid.proposal_id,
+      organization_name: bid.organization_name,
+      bid_amount: amount,
+      technical_score: score,
+      normalized_technical: null,
+      normalized_financial: null,
+      combined_score: null,
+      qualified: reason === null,
+      reason,
+    };
+  });
+
+  const qualified = entries.filter((e) => e.qualified);
+  const lowestAmount = qualified.length ? Math.min(...qualified.map((e) => e.bid_amount)) : null;
+
+  if (isQCBS && qualified.length) {
+    const highestScore = Math.max(...qualified.map((e) => e.technical_score));
+    const wT = Number(config.technical_weight) / 100;
+    const wF = Number(config.financial_weight) / 100;
+
+    for (const entry of qualified) {
+      const tn = highestScore > 0 ? (100 * entry.technical_score) / highestScore : 0;
+      const fn = (100 * lowestAmount) / entry.bid_amount;
+      entry.normalized_technical = round(tn);
+      entry.normalized_financial = round(fn);
+      entry.combined_score = round(wT * tn + wF * fn, 3);
+    }
+
+    // Highest combined score first; ties go to the cheaper bid
+    qualified.sort((a, b) => b.combined_score - a.combined_score || a.bid_amount - b.bid_amount);
+  } else {
+    qualified.sort((a, b) => a.bid_amount - b.bid_amount);
+  }
+
+  qualified.forEach((entry, idx) => {
+    entry.rank = idx + 1;
+  });
+
+  const unranked = entries
+    .filter((e) => !e.qualified)
+    .map((e) => ({ ...e, rank: null }));
+
+  const l1 = qualified.find((e) => e.bid_amount === lowestAmount) || null;
+  const h1 = isQCBS ? qualified[0] || null : null;
+
+  return {
+    ranking: [...qualified, ...unranked],
+    l1,
+    h1,
+    formula: describeFormula(config),
+  };
+}
+
+/**
+ * Validate one criterion score entry against its criterion.
+ * Returns null when nothing was entered, otherwise { marks, passed, justification }.
+ */
+export function normalizeCriterionScore(criterion, entry) {
+  const isBlank = (value) => value === '' || value === null || typeof value === 'undefined';
+  const isPassFail = criterion.criterion_type === 'PASS_FAIL';
+
+  if (isBlank(isPassFail ? entry.passed : entry.marks)) {
+    return null;
+  }
+
+  let marks = null;
+  let passed = null;
+  if (isPassFail) {
+    passed = entry.passed === true || entry.passed === 'true';
+  } else {
+    marks = Number(entry.marks);
+    if (Number.isNaN(marks) || marks < 0 || marks > Number(criterion.max_marks)) {
+      throw new Error(`Marks for "${criterion.name}" must be between 0 and ${Number(criterion.max_marks)}`);
+    }
+  }
+
+  const justification = (entry.justification || '').trim();
+  if (!justification) {
+    throw new Error(`Justification for "${criterion.name}" is required`);
+  }
+
+  return { marks, passed, justification };
+}
 
 export const EvaluationService = {
   /**
@@ -49,20 +181,32 @@ export const EvaluationService = {
       throw new Error('Unauthorized: Tender belongs to another organization');
     }
 
+    await BidOpeningService.assertOpened(tenderId);
+
     // Get all bids with evaluation status
     const result = await pool.query(
       `SELECT p.proposal_id, p.organization_id, o.name as organization_name,
               bes.evaluation_id, bes.bid_amount, bes.technical_status, 
               bes.technical_score, bes.remarks, bes.status as evaluation_progress,
               bes.evaluated_at, p.created_at,
-              tes.l1_proposal_id, tes.l1_amount
+              tes.l1_proposal_id, tes.l1_amount, tes.h1_proposal_id,
+              (SELECT COALESCE(json_agg(json_build_object(
+                        'criterion_id', bcs.criterion_id, 'marks', bcs.marks,
+                        'passed', bcs.passed, 'justification', bcs.justification)), '[]'::json)
+               FROM bid_criterion_score bcs
+               WHERE bcs.proposal_id = p.proposal_id) as criterion_scores,
+              (SELECT COALESCE(json_agg(json_build_object(
+                        'criterion_id', ecs.criterion_id, 'marks', ecs.marks,
+                        'passed', ecs.passed, 'justification', ecs.justification)), '[]'::json)
+               FROM evaluator_criterion_score ecs
+               WHERE ecs.proposal_id = p.proposal_id AND ecs.evaluator_user_id = $2) as my_scores
        FROM proposal p
        JOIN organization o ON p.organization_id = o.organization_id
        LEFT JOIN bid_evaluation bes ON p.proposal_id = bes.proposal_id
        LEFT JOIN tender_evaluation_status tes ON bes.tender_id = tes.tender_id
        WHERE p.tender_id = $1
        ORDER BY CASE WHEN bes.bid_amount IS NOT NULL THEN bes.bid_amount ELSE 999999999 END ASC`,
-      [tenderId]
+      [tenderId, user.id]
     );
 
     return result.rows;
@@ -90,6 +234,8 @@ export const EvaluationService = {
       throw new Error('Unauthorized');
     }
 
+    await BidOpeningService.assertOpened(tenderId);
+
     // Check if evaluation already exists
     const existing = await pool.query(
       'SELECT evaluation_status_id FROM tender_evaluation_status WHERE tender_id = $1',
@@ -145,13 +291,17 @@ export const EvaluationService = {
 
   /**
    * Update bid evaluation
+   * evaluationData: { technical_status, technical_score, remarks, bid_amount?, criterion_scores? }
+   * criterion_scores: [{ criterion_id, marks?, passed?, justification }] - scored against the
+   * tender's rubric; technical_score rolls up as marks obtained / total max marks x 100 and a
+   * failed pass/fail criterion disqualifies the bid
    */
   async updateBidEvaluation(proposalId, evaluationData, user) {
     if (user.role !== 'AUTHORITY') {
       throw new Error('Only authorities can evaluate bids');
     }
 
-    const { technical_status, technical_score, remarks } = evaluationData;
+    const { technical_status, technical_score, remarks, bid_amount, criterion_scores } = evaluationData;
     const normalizedScore =
       technical_score === '' || technical_score === null || typeof technical_score === 'undefined'
         ? null
@@ -161,9 +311,18 @@ export const EvaluationService = {
       throw new Error('Technical score must be a number');
     }
 
+    const normalizedAmount =
+      bid_amount === '' || bid_amount === null || typeof bid_amount === 'undefined'
+        ? null
+        : Number(bid_amount);
+
+    if (normalizedAmount !== null && (Number.isNaN(normalizedAmount) || normalizedAmount <= 0)) {
+      throw new Error('Bid amount must be a positive number');
+    }
+
     // Verify authority owns the tender for this proposal
     const verify = await pool.query(
-      `SELECT t.organization_id FROM proposal p
+      `SELECT t.organization_id, t.tender_id FROM proposal p
        JOIN tender t ON p.tender_id = t.tender_id
        WHERE p.proposal_id = $1`,
       [proposalId]
@@ -177,26 +336,135 @@ export const EvaluationService = {
       throw new Error('Unauthorized');
     }
 
-    // Update bid evaluation
-    const result = await pool.query(
-      `UPDATE bid_evaluation 
-       SET technical_status = COALESCE($1, technical_status),
-           technical_score = COALESCE(NULLIF($2::text, '')::numeric, technical_score),
-           remarks = COALESCE($3, remarks),
-           status = 'IN_PROGRESS',
-           evaluator_user_id = $4,
-           evaluated_at = NOW(),
-           updated_at = NOW()
-       WHERE proposal_id = $5
-       RETURNING evaluation_id, proposal_id, technical_status, technical_score, remarks`,
-      [technical_status, normalizedScore, remarks, user.id, proposalId]
+    await BidOpeningService.assertOpened(verify.rows[0].tender_id);
+
+    // With a committee, only the chair records the consensus, after everyone scored independently
+    const committee = await this._getCommittee(verify.rows[0].tender_id);
+    if (committee.length > 0) {
+      const chair = committee.find((m) => m.committee_role === 'CHAIR');
+      if (chair?.user_id !== user.id) {
+        throw new Error('Only the committee chair can record consensus scores');
+      }
+      if (committee.some((m) => !m.submitted_at)) {
+        throw new Error('Consensus can be recorded once all committee members have submitted their scores');
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      let derivedScore = normalizedScore;
+      let derivedStatus = technical_status;
+      let rollup = null;
+      if (Array.isArray(criterion_scores) && criterion_scores.length > 0) {
+        rollup = await this._saveCriterionScores(
+          client, verify.rows[0].tender_id, proposalId, criterion_scores, user
+        );
+        derivedScore = rollup.technical_score;
+        if (rollup.failed_criteria.length > 0) {
+          derivedStatus = 'DISQUALIFIED';
+        }
+      }
+
+      // Update bid evaluation
+      const result = await client.query(
+        `UPDATE bid_evaluation 
+         SET technical_status = COALESCE($1, technical_status),
+             technical_score = COALESCE(NULLIF($2::text, '')::numeric, technical_score),
+             remarks = COALESCE($3, remarks),
+             bid_amount = COALESCE($6, bid_amount),
+             status = 'IN_PROGRESS',
+             evaluator_user_id = $4,
+             evaluated_at = NOW(),
+             updated_at = NOW()
+         WHERE proposal_id = $5
+         RETURNING evaluation_id, proposal_id, technical_status, technical_score, remarks, bid_amount`,
+        [derivedStatus, derivedScore, remarks, user.id, proposalId, normalizedAmount]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Evaluation record not found');
+      }
+
+      // A changed consensus has to be signed off again
+      if (committee.length > 0) {
+        await client.query(
+          'UPDATE evaluation_committee_member SET signed_off_at = NULL WHERE tender_id = $1',
+          [verify.rows[0].tender_id]
+        );
+      }
+
+      await client.query('COMMIT');
+      return { ...result.rows[0], rollup };
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Upsert per-criterion scores for a bid and roll them up:
+   * technical_score (0-100) over SCORED criteria, plus the PASS_FAIL criteria the bid failed
+   */
+  async _saveCriterionScores(client, tenderId, proposalId, criterionScores, user) {
+    const criteriaRes = await client.query(
+      `SELECT criterion_id, name, criterion_type, max_marks
+       FROM tender_evaluation_criterion WHERE tender_id = $1`,
+      [tenderId]
     );
+    const criteria = new Map(criteriaRes.rows.map((c) => [c.criterion_id, c]));
 
-    if (result.rows.length === 0) {
-      throw new Error('Evaluation record not found');
+    for (const entry of criterionScores) {
+      const criterion = criteria.get(entry.criterion_id);
+      if (!criterion) {
+        throw new Error('Evaluation criterion not found for this tender');
+      }
+
+      const score = normalizeCriterionScore(criterion, entry);
+      if (!score) {
+        continue;
+      }
+
+      await client.query(
+        `INSERT INTO bid_criterion_score (proposal_id, criterion_id, marks, passed, justification, evaluator_user_id)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (proposal_id, criterion_id)
+         DO UPDATE SET marks = EXCLUDED.marks, passed = EXCLUDED.passed,
+                       justification = EXCLUDED.justification,
+                       evaluator_user_id = EXCLUDED.evaluator_user_id, updated_at = NOW()`,
+        [proposalId, entry.criterion_id, score.marks, score.passed, score.justification, user.id]
+      );
     }
 
-    return result.rows[0];
+    // Unmarked criteria count as zero
+    const totals = await client.query(
+      `SELECT COALESCE(SUM(c.max_marks), 0) as max_total, COALESCE(SUM(s.marks), 0) as obtained
+       FROM tender_evaluation_criterion c
+       LEFT JOIN bid_criterion_score s ON s.criterion_id = c.criterion_id AND s.proposal_id = $2
+       WHERE c.tender_id = $1 AND c.criterion_type = 'SCORED'`,
+      [tenderId, proposalId]
+    );
+
+    const failed = await client.query(
+      `SELECT c.name
+       FROM tender_evaluation_criterion c
+       JOIN bid_criterion_score s ON s.criterion_id = c.criterion_id AND s.proposal_id = $2
+       WHERE c.tender_id = $1 AND c.criterion_type = 'PASS_FAIL' AND s.passed = false
+       ORDER BY c.order_index ASC`,
+      [tenderId, proposalId]
+    );
+
+    const maxTotal = Number(totals.rows[0].max_total);
+    const obtained = Number(totals.rows[0].obtained);
+    return {
+      marks_obtained: obtained,
+      max_marks: maxTotal,
+      technical_score: maxTotal > 0 ? round((obtained / maxTotal) * 100) : null,
+      failed_criteria: failed.rows.map((row) => row.name),
+    };
   },
 
   /**
@@ -221,18 +489,54 @@ export const EvaluationService = {
       throw new Error('Unauthorized');
     }
 
-    // Get L1 (lowest bid that is qualified)
-    const l1Result = await pool.query(
-      `SELECT p.proposal_id, bes.bid_amount FROM bid_evaluation bes
-       JOIN proposal p ON bes.proposal_id = p.proposal_id
-       WHERE bes.tender_id = $1 AND bes.technical_status = 'QUALIFIED'
-       ORDER BY bes.bid_amount ASC
-       LIMIT 1`,
+    const committee = await this._getCommittee(tenderId);
+    if (committee.length > 0) {
+      const chair = committee.find((m) => m.committee_role === 'CHAIR');
+      if (chair?.user_id !== user.id) {
+        throw new Error('Only the committee chair can complete evaluation');
+      }
+      if (committee.some((m) => !m.signed_off_at)) {
+        throw new Error('All committee members must sign off before completing evaluation');
+      }
+    }
+
+    const config = await this._getScoringConfig(tenderId);
+
+    if (config.evaluation_method === 'QCBS') {
+      this._validateQCBSConfig(config);
+    }
+
+    // Every bid still in the running must be scored against the full rubric
+    if (config.criteria.length > 0) {
+      const unscored = await pool.query(
+        `SELECT COUNT(*) as count
+         FROM bid_evaluation be
+         JOIN tender_evaluation_criterion c ON c.tender_id = be.tender_id
+         LEFT JOIN bid_criterion_score s ON s.proposal_id = be.proposal_id AND s.criterion_id = c.criterion_id
+         WHERE be.tender_id = $1
+           AND COALESCE(be.technical_status, 'PENDING') <> 'DISQUALIFIED'
+           AND (CASE WHEN c.criterion_type = 'PASS_FAIL' THEN s.passed IS NULL ELSE s.marks IS NULL END)`,
+        [tenderId]
+      );
+
+      if (parseInt(unscored.rows[0].count) > 0) {
+        throw new Error('All evaluation criteria must be scored for every bid that is not disqualified');
+      }
+    }
+
+    // Rank bids: L1 = lowest qualified bid; under QCBS also H1 = highest combined score
+    const bidsRes = await pool.query(
+      `SELECT bes.proposal_id, bes.organization_name, bes.bid_amount,
+              bes.technical_status, bes.technical_score
+       FROM bid_evaluation bes
+       WHERE bes.tender_id = $1`,
       [tenderId]
     );
 
-    const l1ProposalId = l1Result.rows[0]?.proposal_id || null;
-    const l1Amount = l1Result.rows[0]?.bid_amount || null;
+    const { ranking, l1, h1, formula } = computeRanking(bidsRes.rows, config);
+
+    const l1ProposalId = l1?.proposal_id || null;
+    const l1Amount = l1?.bid_amount || null;
 
     // Count statistics
     const stats = await pool.query(
@@ -254,11 +558,28 @@ export const EvaluationService = {
            bids_disqualified = $2,
            l1_proposal_id = $3,
            l1_amount = $4,
+           evaluation_method = $6,
+           h1_proposal_id = $7,
+           h1_score = $8,
+           ranking = $9,
+           scoring_formula = $10,
            completed_at = NOW(),
            updated_at = NOW()
        WHERE tender_id = $5
-       RETURNING evaluation_status_id, evaluation_status`,
-      [stats_row.qualified, stats_row.disqualified, l1ProposalId, l1Amount, tenderId]
+       RETURNING evaluation_status_id, evaluation_status, evaluation_method,
+                 l1_proposal_id, l1_amount, h1_proposal_id, h1_score`,
+      [
+        stats_row.qualified,
+        stats_row.disqualified,
+        l1ProposalId,
+        l1Amount,
+        tenderId,
+        config.evaluation_method,
+        h1?.proposal_id || null,
+        h1?.combined_score ?? null,
+        JSON.stringify(ranking),
+        formula,
+      ]
     );
 
     if (result.rows.length === 0) {
@@ -268,6 +589,204 @@ export const EvaluationService = {
     return result.rows[0];
   },
 
+  /**
+   * Get the tender's evaluation method, QCBS weights/cutoff and criteria rubric
+   */
+  async getEvaluationConfig(tenderId, user) {
+    if (user.role !== 'AUTHORITY') {
+      throw new Error('Only authorities can view evaluations');
+    }
+
+    await this._verifyTenderOwnership(tenderId, user);
+    return this._getScoringConfig(tenderId);
+  },
+
+  /**
+   * Set evaluation method (L1 | QCBS), weights (percent, summing to 100) and technical cutoff (0-100).
+   * The criteria rubric itself is authored with the tender (TenderService.setEvaluationCriteria).
+   */
+  async updateEvaluationConfig(tenderId, configData, user) {
+    if (user.role !== 'AUTHORITY') {
+      throw new Error('Only authorities can configure evaluation');
+    }
+
+    await this._verifyTenderOwnership(tenderId, user);
+
+    const status = await pool.query(
+      'SELECT evaluation_status FROM tender_evaluation_status WHERE tender_id = $1',
+      [tenderId]
+    );
+    if (status.rows[0]?.evaluation_status === 'COMPLETED') {
+      throw new Error('Evaluation already completed');
+    }
+
+    const method = (configData.evaluation_method || 'L1').toUpperCase();
+    if (!EVALUATION_METHODS.includes(method)) {
+      throw new Error('Evaluation method must be L1 or QCBS');
+    }
+
+    const config = {
+      evaluation_method: method,
+      technical_weight: method === 'QCBS' ? Number(configData.technical_weight) : null,
+      financial_weight: method === 'QCBS' ? Number(configData.financial_weight) : null,
+      technical_cutoff: method === 'QCBS' ? Number(configData.technical_cutoff ?? 0) : null,
+    };
+
+    if (method === 'QCBS') {
+      this._validateQCBSConfig(config);
+    }
+
+    await pool.query(
+      `UPDATE tender
+       SET evaluation_method = $1, technical_weight = $2, financial_weight = $3,
+           technical_cutoff = $4, updated_at = NOW()
+       WHERE tender_id = $5`,
+      [method, config.technical_weight, config.financial_weight, config.technical_cutoff, tenderId]
+    );
+
+    return this._getScoringConfig(tenderId);
+  },
+
+  /**
+   * Get the bid ranking: the stored snapshot once evaluation is completed,
+   * otherwise a live preview from current marks and bid amounts
+   */
+  async getRanking(tenderId, user) {
+    if (user.role !== 'AUTHORITY') {
+      throw new Error('Only authorities can view evaluations');
+    }
+
+    await this._verifyTenderOwnership(tenderId, user);
+
+    const statusRes = await pool.query(
+      `SELECT evaluation_status, evaluation_method, ranking, scoring_formula,
+              l1_proposal_id, l1_amount, h1_proposal_id, h1_score, completed_at
+       FROM tender_evaluation_status
+       WHERE tender_id = $1`,
+      [tenderId]
+    );
+    const status = statusRes.rows[0];
+
+    if (status?.evaluation_status === 'COMPLETED' && status.ranking) {
+      return {
+        evaluation_status: status.evaluation_status,
+        evaluation_method: status.evaluation_method,
+        formula: status.scoring_formula,
+        ranking: status.ranking,
+        l1_proposal_id: status.l1_proposal_id,
+        l1_amount: status.l1_amount,
+        h1_proposal_id: status.h1_proposal_id,
+        h1_score: status.h1_score,
+        completed_at: status.completed_at,
+        is_final: true,
+      };
+    }
+
+    const config = await this._getScoringConfig(tenderId);
+    const bidsRes = await pool.query(
+      `SELECT proposal_id, organization_name, bid_amount, technical_status, technical_score
+       FROM bid_evaluation
+       WHERE tender_id = $1`,
+      [tenderId]
+    );
+
+    const { ranking, l1, h1, formula } = computeRanking(bidsRes.rows, config);
+
+    return {
+      evaluation_status: status?.evaluation_status || 'PENDING',
+      evaluation_method: config.evaluation_method,
+      formula,
+      ranking,
+      l1_proposal_id: l1?.proposal_id || null,
+      l1_amount: l1?.bid_amount || null,
+      h1_proposal_id: h1?.proposal_id || null,
+      h1_score: h1?.combined_score ?? null,
+      completed_at: null,
+      is_final: false,
+    };
+  },
+
+  /**
+   * Load tender title, scoring method/weights and the criteria rubric
+   */
+  async _getScoringConfig(tenderId) {
+    const tenderRes = await pool.query(
+      `SELECT tender_id, title, evaluation_method, technical_weight, financial_weight, technical_cutoff
+       FROM tender
+       WHERE tender_id = $1`,
+      [tenderId]
+    );
+
+    if (tenderRes.rows.length === 0) {
+      throw new Error('Tender not found');
+    }
+
+    const criteria = await TenderService.listEvaluationCriteria(tenderId);
+
+    const tender = tenderRes.rows[0];
+    return {
+      tender_id: tender.tender_id,
+      title: tender.title,
+      evaluation_method: tender.evaluation_method || 'L1',
+      technical_weight: tender.technical_weight === null ? null : Number(tender.technical_weight),
+      financial_weight: tender.financial_weight === null ? null : Number(tender.financial_weight),
+      technical_cutoff: tender.technical_cutoff === null ? null : Number(tender.technical_cutoff),
+      criteria,
+    };
+  },
+
+  /**
+   * QCBS needs weights that add up to 100 and a cutoff between 0 and 100
+   */
+  _validateQCBSConfig(config) {
+    const wT = Number(config.technical_weight);
+    const wF = Number(config.financial_weight);
+    const cutoff = Number(config.technical_cutoff ?? 0);
+
+    if (!(wT > 0) || !(wF > 0) || Math.abs(wT + wF - 100) > 0.001) {
+      throw new Error('QCBS technical and financial weights must be positive and add up to 100');
+    }
+
+    if (Number.isNaN(cutoff) || cutoff < 0 || cutoff > 100) {
+      throw new Error('QCBS technical cutoff must be between 0 and 100');
+    }
+  },
+
+  /**
+   * Evaluation committee members of a tender (empty when a single evaluator is used)
+   */
+  async _getCommittee(tenderId) {
+    const result = await pool.query(
+      `SELECT m.member_id, m.user_id, m.committee_role, m.submitted_at, m.signed_off_at,
+              u.name, u.email
+       FROM evaluation_committee_member m
+       JOIN "user" u ON m.user_id = u.user_id
+       WHERE m.tender_id = $1
+       ORDER BY CASE WHEN m.committee_role = 'CHAIR' THEN 0 ELSE 1 END, u.name ASC`,
+      [tenderId]
+    );
+
+    return result.rows;
+  },
+
+  /**
+   * Ensure the tender exists and belongs to the user's organization
+   */
+  async _verifyTenderOwnership(tenderId, user) {
+    const tenderCheck = await pool.query(
+      'SELECT organization_id FROM tender WHERE tender_id = $1',
+      [tenderId]
+    );
+
+    if (tenderCheck.rows.length === 0) {
+      throw new Error('Tender not found');
+    }
+
+    if (tenderCheck.rows[0].organization_id !== user.organizationId) {
+      throw new Error('Unauthorized');
+    }
+  },
+
   /**
    * Get evaluation details for a tender
    */
@@ -0,0 +1,410 @@
+import { pool } from '../config/db.js';
+import { EvaluationService, normalizeCriterionScore } from './evaluation.service.js';
+import { TenderService } from './tender.service.js';
+import { BidOpeningService } from './bidOpening.service.js';
+
+const COMMITTEE_ROLES = ['CHAIR', 'MEMBER'];
+
+const round = (value, digits = 2) => Number(Number(value).toFixed(digits));
+
+/**
+ * Spread of independent scores for one criterion of one bid
+ */
+function summarizeScores(criterion, scores) {
+  if (criterion.criterion_type === 'PASS_FAIL') {
+    return {
+      pass_count: scores.filter((s) => s.passed === true).length,
+      fail_count: scores.filter((s) => s.passed === false).length,
+      unanimous: scores.length > 0 && scores.every((s) => s.passed === scores[0].passed),
+    };
+  }
+
+  const marks = scores.map((s) => Number(s.marks)).filter((m) => !Number.isNaN(m));
+  if (marks.length === 0) {
+    return { mean: null, min: null, max: null, spread: null, std_dev: null };
+  }
+
+  const mean = marks.reduce((sum, m) => sum + m, 0) / marks.length;
+  const variance = marks.reduce((sum, m) => sum + (m - mean) ** 2, 0) / marks.length;
+  return {
+    mean: round(mean),
+    min: Math.min(...marks),
+    max: Math.max(...marks),
+    spread: round(Math.max(...marks) - Math.min(...marks)),
+    std_dev: round(Math.sqrt(variance)),
+  };
+}
+
+export const EvaluationCommitteeService = {
+  /**
+   * Get the committee with each member's progress, the caller's own membership and
+   * the organization's authority users that can be appointed
+   */
+  async getCommittee(tenderId, user) {
+    await EvaluationService._verifyTenderOwnership(tenderId, user);
+
+    const members = await EvaluationService._getCommittee(tenderId);
+
+    const candidates = await pool.query(
+      `SELECT user_id, name, email
+       FROM "user"
+       WHERE organization_id = $1 AND role = 'AUTHORITY'
+       ORDER BY name ASC`,
+      [user.organizationId]
+    );
+
+    return {
+      members,
+      my_membership: members.find((m) => m.user_id === user.id) || null,
+      candidates: candidates.rows,
+    };
+  },
+
+  /**
+   * Appoint the committee: members [{ user_id, committee_role: CHAIR|MEMBER }].
+   * Needs at least two authority users of the organization with exactly one chair;
+   * an empty list returns the tender to single-evaluator mode.
+   * Locked once any member has submitted scores.
+   */
+  async setCommittee(tenderId, members, user) {
+    if (!Array.isArray(members)) {
+      throw new Error('members must be an array');
+    }
+
+    await EvaluationService._verifyTenderOwnership(tenderId, user);
+
+    const current = await EvaluationService._getCommittee(tenderId);
+    if (current.some((m) => m.submitted_at)) {
+      throw new Error('Committee cannot be changed after members have submitted scores');
+    }
+
+    const status = await pool.query(
+      'SELECT evaluation_status FROM tender_evaluation_status WHERE tender_id = $1',
+      [tenderId]
+    );
+    if (status.rows[0]?.evaluation_status === 'COMPLETED') {
+      throw new Error('Evaluation already completed');
+    }
+
+    if (members.length > 0) {
+      const userIds = members.map((m) => m.user_id);
+      if (new Set(userIds).size !== userIds.length) {
+        throw new Error('Each committee member can only be appointed once');
+      }
+      if (members.length < 2) {
+        throw new Error('An evaluation committee must have at least two members');
+      }
+      if (members.some((m) => !COMMITTEE_ROLES.includes(m.committee_role))) {
+        throw new Error('Committee role must be CHAIR or MEMBER');
+      }
+      if (members.filter((m) => m.committee_role === 'CHAIR').length !== 1) {
+        throw new Error('An evaluation committee must have exactly one chair');
+      }
+
+      const valid = await pool.query(
+        `SELECT user_id FROM "user"
+         WHERE user_id = ANY($1::uuid[]) AND organization_id = $2 AND role = 'AUTHORITY'`,
+        [userIds, user.organizationId]
+      );
+      if (valid.rows.length !== userIds.length) {
+        throw new Error('Committee members must be authority users of your organization');
+      }
+
+      const criteria = await TenderService.listEvaluationCriteria(tenderId);
+      if (criteria.length === 0) {
+        throw new Error('Committee evaluation needs an evaluation criteria rubric on the tender');
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      await client.query('DELETE FROM evaluation_committee_member WHERE tender_id = $1', [tenderId]);
+
+      for (const member of members) {
+        await client.query(
+          `INSERT INTO evaluation_committee_member (tender_id, user_id, committee_role)
+           VALUES ($1, $2, $3)`,
+          [tenderId, member.user_id, member.committee_role]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return this.getCommittee(tenderId, user);
+  },
+
+  /**
+   * Save the caller's independent scores for one bid
+   * scores: [{ criterion_id, marks?, passed?, justification }]
+   */
+  async saveMyScores(proposalId, scores, user) {
+    if (!Array.isArray(scores)) {
+      throw new Error('scores must be an array');
+    }
+
+    const proposal = await pool.query(
+      `SELECT t.tender_id, t.organization_id FROM proposal p
+       JOIN tender t ON p.tender_id = t.tender_id
+       WHERE p.proposal_id = $1`,
+      [proposalId]
+    );
+
+    if (proposal.rows.length === 0) {
+      throw new Error('Proposal not found');
+    }
+
+    const { tender_id: tenderId } = proposal.rows[0];
+    await BidOpeningService.assertOpened(tenderId);
+    const member = await this._requireMember(tenderId, user);
+    if (member.submitted_at) {
+      throw new Error('Scores already submitted');
+    }
+
+    const criteria = new Map(
+      (await TenderService.listEvaluationCriteria(tenderId)).map((c) => [c.criterion_id, c])
+    );
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const entry of scores) {
+        const criterion = criteria.get(entry.criterion_id);
+        if (!criterion) {
+          throw new Error('Evaluation criterion not found for this tender');
+        }
+
+        const score = normalizeCriterionScore(criterion, entry);
+        if (!score) {
+          continue;
+        }
+
+        await client.query(
+          `INSERT INTO evaluator_criterion_score
+             (proposal_id, criterion_id, evaluator_user_id, marks, passed, justification)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (proposal_id, criterion_id, evaluator_user_id)
+           DO UPDATE SET marks = EXCLUDED.marks, passed = EXCLUDED.passed,
+                         justification = EXCLUDED.justification, updated_at = NOW()`,
+          [proposalId, entry.criterion_id, user.id, score.marks, score.passed, score.justification]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const saved = await pool.query(
+      `SELECT criterion_id, marks, passed, justification
+       FROM evaluator_criterion_score
+       WHERE proposal_id = $1 AND evaluator_user_id = $2`,
+      [proposalId, user.id]
+    );
+
+    return saved.rows;
+  },
+
+  /**
+   * Submit the caller's scores; every criterion of every bid must be scored.
+   * Submitted scores are final and become visible to the other members who have submitted.
+   */
+  async submitMyScores(tenderId, user) {
+    await EvaluationService._verifyTenderOwnership(tenderId, user);
+
+    const member = await this._requireMember(tenderId, user);
+    if (member.submitted_at) {
+      throw new Error('Scores already submitted');
+    }
+
+    const initialized = await pool.query(
+      'SELECT 1 FROM tender_evaluation_status WHERE tender_id = $1',
+      [tenderId]
+    );
+    if (initialized.rows.length === 0) {
+      throw new Error('Evaluation must be initialized before scores can be submitted');
+    }
+
+    // Counted from the submitted bids themselves, so a missing bid_evaluation row cannot hide a bid
+    const bids = await pool.query(
+      `SELECT COUNT(*) as count FROM proposal WHERE tender_id = $1 AND status <> 'DRAFT'`,
+      [tenderId]
+    );
+    if (parseInt(bids.rows[0].count) === 0) {
+      throw new Error('There must be at least one submitted bid before scores can be submitted');
+    }
+
+    const missing = await pool.query(
+      `SELECT COUNT(*) as count
+       FROM proposal p
+       JOIN tender_evaluation_criterion c ON c.tender_id = p.tender_id
+       LEFT JOIN evaluator_criterion_score s
+         ON s.proposal_id = p.proposal_id AND s.criterion_id = c.criterion_id AND s.evaluator_user_id = $2
+       WHERE p.tender_id = $1 AND p.status <> 'DRAFT'
+         AND (CASE WHEN c.criterion_type = 'PASS_FAIL' THEN s.passed IS NULL ELSE s.marks IS NULL END)`,
+      [tenderId, user.id]
+    );
+
+    if (parseInt(missing.rows[0].count) > 0) {
+      throw new Error('Score every criterion for every bid before submitting');
+    }
+
+    await pool.query(
+      'UPDATE evaluation_committee_member SET submitted_at = NOW() WHERE member_id = $1',
+      [member.member_id]
+    );
+
+    return this.getCommittee(tenderId, user);
+  },
+
+  /**
+   * Per-bid, per-criterion view of the submitted independent scores with their spread
+   * and the chair's consensus. Only available to members who have submitted their own scores.
+   */
+  async getCommitteeScores(tenderId, user) {
+    await EvaluationService._verifyTenderOwnership(tenderId, user);
+
+    const member = await this._requireMember(tenderId, user);
+    if (!member.submitted_at) {
+      throw new Error('Submit your own scores before viewing the committee scores');
+    }
+
+    const members = await EvaluationService._getCommittee(tenderId);
+    const submittedIds = members.filter((m) => m.submitted_at).map((m) => m.user_id);
+    const criteria = await TenderService.listEvaluationCriteria(tenderId);
+
+    const bidsRes = await pool.query(
+      `SELECT be.proposal_id, be.organization_name
+       FROM bid_evaluation be
+       WHERE be.tender_id = $1
+       ORDER BY be.organization_name ASC`,
+      [tenderId]
+    );
+
+    const scoresRes = await pool.query(
+      `SELECT s.proposal_id, s.criterion_id, s.evaluator_user_id, u.name as evaluator_name,
+              s.marks, s.passed, s.justification
+       FROM evaluator_criterion_score s
+       JOIN "user" u ON s.evaluator_user_id = u.user_id
+       JOIN bid_evaluation be ON be.proposal_id = s.proposal_id
+       WHERE be.tender_id = $1 AND s.evaluator_user_id = ANY($2::uuid[])`,
+      [tenderId, submittedIds]
+    );
+
+    const consensusRes = await pool.query(
+      `SELECT s.proposal_id, s.criterion_id, s.marks, s.passed, s.justification
+       FROM bid_criterion_score s
+       JOIN bid_evaluation be ON be.proposal_id = s.proposal_id
+       WHERE be.tender_id = $1`,
+      [tenderId]
+    );
+
+    const key = (row) => `${row.proposal_id}:${row.criterion_id}`;
+    const consensus = new Map(consensusRes.rows.map((row) => [key(row), row]));
+    const grouped = new Map();
+    for (const row of scoresRes.rows) {
+      const list = grouped.get(key(row)) || [];
+      list.push({
+        evaluator_user_id: row.evaluator_user_id,
+        evaluator_name: row.evaluator_name,
+        marks: row.marks === null ? null : Number(row.marks),
+        passed: row.passed,
+        justification: row.justification,
+      });
+      grouped.set(key(row), list);
+    }
+
+    const bids = bidsRes.rows.map((bid) => ({
+      ...bid,
+      criteria: criteria.map((criterion) => {
+        const k = `${bid.proposal_id}:${criterion.criterion_id}`;
+        const scores = grouped.get(k) || [];
+        const agreed = consensus.get(k);
+        return {
+          criterion_id: criterion.criterion_id,
+          name: criterion.name,
+          criterion_type: criterion.criterion_type,
+          max_marks: criterion.max_marks,
+          scores,
+          summary: summarizeScores(criterion, scores),
+          consensus: agreed
+            ? {
+                marks: agreed.marks === null ? null : Number(agreed.marks),
+                passed: agreed.passed,
+                justification: agreed.justification,
+              }
+            : null,
+        };
+      }),
+    }));
+
+    return {
+      members,
+      all_submitted: members.every((m) => m.submitted_at),
+      bids,
+    };
+  },
+
+  /**
+   * Sign off the consensus. Needs the caller's scores submitted and a consensus for
+   * every criterion of every bid; changing the consensus later clears all sign-offs.
+   */
+  async signOff(tenderId, user) {
+    await EvaluationService._verifyTenderOwnership(tenderId, user);
+
+    const member = await this._requireMember(tenderId, user);
+    if (!member.submitted_at) {
+      throw new Error('Submit your own scores before signing off');
+    }
+
+    const missing = await pool.query(
+      `SELECT COUNT(*) as count
+       FROM bid_evaluation be
+       JOIN tender_evaluation_criterion c ON c.tender_id = be.tender_id
+       LEFT JOIN bid_criterion_score s ON s.proposal_id = be.proposal_id AND s.criterion_id = c.criterion_id
+       WHERE be.tender_id = $1
+         AND (CASE WHEN c.criterion_type = 'PASS_FAIL' THEN s.passed IS NULL ELSE s.marks IS NULL END)`,
+      [tenderId]
+    );
+
+    if (parseInt(missing.rows[0].count) > 0) {
+      throw new Error('The chair has not recorded a consensus for every criterion yet');
+    }
+
+    await pool.query(
+      'UPDATE evaluation_committee_member SET signed_off_at = NOW() WHERE member_id = $1',
+      [member.member_id]
+    );
+
+    return this.getCommittee(tenderId, user);
+  },
+
+  /**
+   * Committee membership of the user for this tender
+   */
+  async _requireMember(tenderId, user) {
+    const result = await pool.query(
+      `SELECT member_id, committee_role, submitted_at, signed_off_at
+       FROM evaluation_committee_member
+       WHERE tender_id = $1 AND user_id = $2`,
+      [tenderId, user.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Unauthorized: You are not on the evaluation committee for this tender');
+    }
+
+    return result.rows[0];
+  },
+};
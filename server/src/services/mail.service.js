@@ -0,0 +1,99 @@
+/**
+ * Mail Service
+ * Outgoing email through a pluggable transport
+ *
+ * Transports (selected with MAIL_TRANSPORT):
+ * - smtp: Any SMTP relay via nodemailer (optional dependency, SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASSWORD)
+ * - file: Writes each message as an .eml file to MAIL_FILE_DIR. For local development and tests.
+ * - console: Prints each message to the server log. For local development without a mail setup.
+ *
+ * When MAIL_TRANSPORT is not set, smtp is used if SMTP_HOST is configured, otherwise file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { env } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+// Lazily created nodemailer transporter (reused across messages)
+let smtpTransporterPromise = null;
+
+export const MailService = {
+  /**
+   * Send a plain-text email (optionally with an HTML alternative)
+   * @param {{ to: string, subject: string, text: string, html?: string }} message
+   * @returns {Promise<{ transport: string, messageId: string }>}
+   */
+  async send({ to, subject, text, html }) {
+    if (!to || !subject || !text) {
+      throw new Error('Email requires a recipient, subject and text');
+    }
+
+    const transport = this.getTransport();
+    const message = { from: env.MAIL_FROM, to, subject, text, html };
+
+    if (transport === 'smtp') {
+      return this._sendSmtp(message);
+    }
+    if (transport === 'file') {
+      return this._sendFile(message);
+    }
+    if (transport === 'console') {
+      return this._sendConsole(message);
+    }
+    throw new Error(`Unsupported mail transport: ${transport}`);
+  },
+
+  getTransport() {
+    return env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'file');
+  },
+
+  async _sendSmtp(message) {
+    if (!smtpTransporterPromise) {
+      smtpTransporterPromise = (async () => {
+        let nodemailer;
+        try {
+          nodemailer = (await import('nodemailer')).default;
+        } catch {
+          throw new Error('SMTP mail transport requires the optional "nodemailer" package. Run: npm install nodemailer');
+        }
+        return nodemailer.createTransport({
+          host: env.SMTP_HOST,
+          port: parseInt(env.SMTP_PORT, 10),
+          secure: env.SMTP_SECURE === 'true',
+          auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined,
+        });
+      })();
+      smtpTransporterPromise.catch(() => {
+        smtpTransporterPromise = null;
+      });
+    }
+
+    const transporter = await smtpTransporterPromise;
+    const info = await transporter.sendMail(message);
+    return { transport: 'smtp', messageId: info.messageId };
+  },
+
+  async _sendFile(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const headers = [
+      `Message-ID: <${messageId}@tms.local>`,
+      `Date: ${new Date().toUTCString()}`,
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      'Content-Type: text/plain; charset=utf-8',
+    ];
+
+    await fs.mkdir(env.MAIL_FILE_DIR, { recursive: true });
+    await fs.writeFile(path.join(env.MAIL_FILE_DIR, `${messageId}.eml`), `${headers.join('\r\n')}\r\n\r\n${message.text}\n`);
+    return { transport: 'file', messageId };
+  },
+
+  async _sendConsole(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    logger.info(`[Mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    return { transport: 'console', messageId };
+  },
+};
@@ -0,0 +1,248 @@
+/**
+ * Notification Service
+ * In-app notifications and email delivery according to per-user preferences
+ */
+
+import { pool } from '../config/db.js';
+import { env } from '../config/env.js';
+import { MailService } from './mail.service.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Notification types with their default delivery. Digest types are emailed in a
+ * periodic digest by their own service instead of one email per notification.
+ */
+export const NOTIFICATION_TYPES = {
+  SECTION_ASSIGNED: { label: 'Section assignments', inApp: true, email: true },
+  COMMENT_ADDED: { label: 'New comments on proposals', inApp: true, email: false },
+  PROPOSAL_STATUS: { label: 'Proposal status changes', inApp: true, email: true },
+  DEADLINE_APPROACHING: { label: 'Approaching submission deadlines', inApp: true, email: true },
+  ASSISTER_ENGAGEMENT: { label: 'Assister engagement requests and replies', inApp: true, email: true },
+  TENDER_ALERT: { label: 'Tenders matching saved searches', inApp: true, email: true, digest: true },
+};
+
+// Reminders go out when a draft proposal's tender closes within these many days
+const DEADLINE_REMINDER_DAYS = [3, 1];
+const REMINDER_CHECK_INTERVAL_MS = 1000 * 60 * 60;
+
+export const NotificationService = {
+  /**
+   * Notify users. Delivery per recipient follows their preferences for the type.
+   * @param {string[]} userIds
+   * @param {Object} notification
+   * @param {string} notification.type - key of NOTIFICATION_TYPES
+   * @param {string} notification.title
+   * @param {string} [notification.body]
+   * @param {string|Function} [notification.link] - client path, or (recipient) => path for role-specific links
+   * @param {string} [notification.dedupeKey] - skip recipients already notified with this key
+   * @returns {Promise<number>} number of recipients notified
+   */
+  async notify(userIds, { type, title, body = null, link = null, dedupeKey = null }) {
+    const config = NOTIFICATION_TYPES[type];
+    if (!config) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) return 0;
+
+    const recipients = await pool.query(
+      `SELECT u.user_id, u.email, u.role, np.in_app, np.email as email_enabled
+       FROM "user" u
+       LEFT JOIN notification_preference np ON np.user_id = u.user_id AND np.type = $2
+       WHERE u.user_id = ANY($1::uuid[])`,
+      [ids, type]
+    );
+
+    let notified = 0;
+    for (const recipient of recipients.rows) {
+      const inApp = recipient.in_app ?? config.inApp;
+      const email = !config.digest && (recipient.email_enabled ?? config.email);
+      if (!inApp && !email) continue;
+
+      const recipientLink = typeof link === 'function' ? link(recipient) : link;
+      const result = await pool.query(
+        `INSERT INTO notification (user_id, type, title, body, link, dedupe_key, in_app)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (user_id, dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING
+         RETURNING notification_id`,
+        [recipient.user_id, type, title, body, recipientLink, dedupeKey, inApp]
+      );
+      if (result.rows.length === 0) continue;
+
+      notified++;
+      if (email && recipient.email) {
+        this._sendEmail(result.rows[0].notification_id, recipient.email, { title, body, link: recipientLink }).catch((err) => {
+          logger.warn(`[Notifications] Email to ${recipient.email} failed:`, err.message);
+        });
+      }
+    }
+
+    return notified;
+  },
+
+  /**
+   * Bidder users of the proposal's organization plus everyone assigned to one of its sections
+   */
+  async getProposalRecipients(proposalId) {
+    const result = await pool.query(
+      `SELECT u.user_id
+       FROM proposal p
+       JOIN "user" u ON u.organization_id = p.organization_id AND u.role = 'BIDDER'
+       WHERE p.proposal_id = $1
+       UNION
+       SELECT pc.user_id FROM proposal_collaborator pc WHERE pc.proposal_id = $1`,
+      [proposalId]
+    );
+    return result.rows.map((r) => r.user_id);
+  },
+
+  /**
+   * In-app notifications for a user, newest first
+   */
+  async listNotifications(userId, { unreadOnly = false, limit = 30 } = {}) {
+    const result = await pool.query(
+      `SELECT notification_id, type, title, body, link, read_at, created_at
+       FROM notification
+       WHERE user_id = $1 AND in_app = TRUE ${unreadOnly ? 'AND read_at IS NULL' : ''}
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+
+    return { notifications: result.rows, unread_count: await this.getUnreadCount(userId) };
+  },
+
+  async getUnreadCount(userId) {
+    const result = await pool.query(
+      'SELECT COUNT(*)::int as count FROM notification WHERE user_id = $1 AND in_app = TRUE AND read_at IS NULL',
+      [userId]
+    );
+    return result.rows[0].count;
+  },
+
+  /**
+   * Mark the given notifications (or all of the user's notifications when none are given) as read
+   */
+  async markRead(userId, notificationIds = null) {
+    const params = [userId];
+    let filter = '';
+
+    if (Array.isArray(notificationIds)) {
+      if (notificationIds.length === 0) return 0;
+      params.push(notificationIds);
+      filter = 'AND notification_id = ANY($2::uuid[])';
+    }
+
+    const result = await pool.query(
+      `UPDATE notification SET read_at = NOW()
+       WHERE user_id = $1 AND read_at IS NULL ${filter}`,
+      params
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Delivery preferences for every notification type (defaults where the user has none)
+   */
+  async getPreferences(userId) {
+    const result = await pool.query('SELECT type, in_app, email FROM notification_preference WHERE user_id = $1', [userId]);
+    const saved = Object.fromEntries(result.rows.map((r) => [r.type, r]));
+
+    return Object.entries(NOTIFICATION_TYPES).map(([type, config]) => ({
+      type,
+      label: config.label,
+      in_app: saved[type]?.in_app ?? config.inApp,
+      email: saved[type]?.email ?? config.email,
+      digest: !!config.digest,
+    }));
+  },
+
+  /**
+   * @param {Object} preferences - { [type]: { in_app?, email? } }
+   */
+  async updatePreferences(userId, preferences = {}) {
+    const current = Object.fromEntries((await this.getPreferences(userId)).map((p) => [p.type, p]));
+
+    for (const type of Object.keys(preferences)) {
+      if (!NOTIFICATION_TYPES[type]) {
+        throw new Error(`Unknown notification type: ${type}`);
+      }
+    }
+
+    for (const [type, value] of Object.entries(preferences)) {
+      const inApp = value?.in_app !== undefined ? Boolean(value.in_app) : current[type].in_app;
+      const email = value?.email !== undefined ? Boolean(value.email) : current[type].email;
+
+      await pool.query(
+        `INSERT INTO notification_preference (user_id, type, in_app, email)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, type)
+         DO UPDATE SET in_app = EXCLUDED.in_app, email = EXCLUDED.email, updated_at = NOW()`,
+        [userId, type, inApp, email]
+      );
+    }
+
+    return this.getPreferences(userId);
+  },
+
+  /**
+   * Remind proposal teams of draft proposals whose tender closes soon (once per threshold)
+   * @returns {Promise<number>} number of recipients notified
+   */
+  async sendDeadlineReminders() {
+    const maxDays = Math.max(...DEADLINE_REMINDER_DAYS);
+    const result = await pool.query(
+      `SELECT p.proposal_id, t.tender_id, t.title, t.submission_deadline
+       FROM proposal p
+       JOIN tender t ON p.tender_id = t.tender_id
+       WHERE p.status = 'DRAFT' AND t.status = 'PUBLISHED'
+         AND t.submission_deadline > NOW()
+         AND t.submission_deadline <= NOW() + make_interval(days => $1)`,
+      [maxDays]
+    );
+
+    let notified = 0;
+    for (const proposal of result.rows) {
+      const daysLeft = Math.ceil((new Date(proposal.submission_deadline) - Date.now()) / (1000 * 60 * 60 * 24));
+      const threshold = Math.min(...DEADLINE_REMINDER_DAYS.filter((d) => d >= daysLeft));
+      const recipients = await this.getProposalRecipients(proposal.proposal_id);
+
+      notified += await this.notify(recipients, {
+        type: 'DEADLINE_APPROACHING',
+        title: `Submission closes in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+        body: `Your proposal for "${proposal.title}" is still a draft. The tender closes on ${new Date(proposal.submission_deadline).toDateString()}.`,
+        link: (recipient) =>
+          recipient.role === 'ASSISTER' ? '/assister/dashboard' : `/bidder/proposal/${proposal.tender_id}`,
+        dedupeKey: `deadline:${proposal.proposal_id}:${threshold}`,
+      });
+    }
+
+    return notified;
+  },
+
+  /**
+   * Check for due deadline reminders every hour
+   */
+  startReminderSchedule() {
+    const run = () =>
+      this.sendDeadlineReminders()
+        .then((notified) => {
+          if (notified) logger.info(`[Notifications] Sent ${notified} deadline reminder(s)`);
+        })
+        .catch((err) => logger.error('[Notifications] Deadline reminders failed:', err.message));
+
+    const timer = setInterval(run, REMINDER_CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  },
+
+  async _sendEmail(notificationId, to, { title, body, link }) {
+    const text = [body, link ? `${env.APP_URL}${link}` : null, 'Change which emails you receive in your notification settings.']
+      .filter(Boolean)
+      .join('\n\n');
+
+    await MailService.send({ to, subject: title, text });
+    await pool.query('UPDATE notification SET emailed_at = NOW() WHERE notification_id = $1', [notificationId]);
+  },
+};
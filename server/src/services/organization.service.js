@@ -0,0 +1,389 @@
+import { pool } from '../config/db.js';
+
+/**
+ * Editable profile fields with their validation pattern (if any)
+ */
+const PROFILE_FIELDS = {
+  name: null,
+  gstin: /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/,
+  pan: /^[A-Z]{5}[0-9]{4}[A-Z]$/,
+  cin: /^[LU][0-9]{5}[A-Z]{2}[0-9]{4}[A-Z]{3}[0-9]{6}$/,
+  year_established: null,
+  address_line: null,
+  city: null,
+  state: null,
+  postal_code: null,
+  country: null,
+  contact_person: null,
+  contact_email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  contact_phone: null,
+  website: null,
+  description: null,
+  signatory_name: null,
+  signatory_designation: null,
+};
+
+const FIELD_LABELS = {
+  gstin: 'GSTIN',
+  pan: 'PAN',
+  cin: 'CIN',
+  contact_email: 'Contact email',
+};
+
+export const LOGO_MIME_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Certificates and vault documents expiring within this many days are flagged EXPIRING
+ */
+export const EXPIRY_WARNING_DAYS = 60;
+
+/**
+ * VALID / EXPIRING / EXPIRED for a validity end date (no date = does not expire)
+ */
+export const validityStatus = (expiresOn, warningDays = EXPIRY_WARNING_DAYS) => {
+  if (!expiresOn) return 'VALID';
+  const daysLeft = (new Date(expiresOn) - new Date()) / (24 * 60 * 60 * 1000);
+  if (daysLeft < 0) return 'EXPIRED';
+  if (daysLeft <= warningDays) return 'EXPIRING';
+  return 'VALID';
+};
+
+const formatAddress = (org) =>
+  [org.address_line, org.city, org.state, org.postal_code, org.country].filter(Boolean).join(', ');
+
+export const OrganizationService = {
+  /**
+   * Full profile of an organization: registration details, address, contact,
+   * signatory, turnover history, completed projects and certifications (logo bytes excluded)
+   */
+  async getProfile(organizationId) {
+    const result = await pool.query(
+      `SELECT organization_id, name, type, gstin, pan, cin, year_established,
+              address_line, city, state, postal_code, country,
+              contact_person, contact_email, contact_phone, website, description,
+              signatory_name, signatory_designation, (logo IS NOT NULL) as has_logo,
+              created_at, updated_at
+       FROM organization WHERE organization_id = $1`,
+      [organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Organization not found');
+    }
+
+    const turnoverRes = await pool.query(
+      `SELECT turnover_id, financial_year, amount
+       FROM organization_turnover WHERE organization_id = $1
+       ORDER BY financial_year DESC`,
+      [organizationId]
+    );
+
+    const projectRes = await pool.query(
+      `SELECT project_id, title, client_name, contract_value, completed_on
+       FROM organization_project WHERE organization_id = $1
+       ORDER BY completed_on DESC NULLS LAST, title ASC`,
+      [organizationId]
+    );
+
+    const certRes = await pool.query(
+      `SELECT certification_id, name, issuing_body, certificate_number, issued_on, expires_on
+       FROM organization_certification WHERE organization_id = $1
+       ORDER BY expires_on ASC NULLS LAST, name ASC`,
+      [organizationId]
+    );
+
+    return {
+      ...result.rows[0],
+      turnover: turnoverRes.rows.map((t) => ({ ...t, amount: Number(t.amount) })),
+      projects: projectRes.rows.map((p) => ({ ...p, contract_value: Number(p.contract_value) })),
+      certifications: certRes.rows.map((c) => ({ ...c, status: validityStatus(c.expires_on) })),
+    };
+  },
+
+  /**
+   * Update the profile of the user's organization.
+   * turnover / projects / certifications, when given, replace the existing lists.
+   */
+  async updateProfile(organizationId, data) {
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+
+    for (const [field, pattern] of Object.entries(PROFILE_FIELDS)) {
+      if (data[field] === undefined) continue;
+
+      let value = typeof data[field] === 'string' ? data[field].trim() : data[field];
+      if (value === '') value = null;
+
+      if (field === 'name' && !value) {
+        throw new Error('Organization name is required');
+      }
+
+      if (['gstin', 'pan', 'cin'].includes(field) && value) {
+        value = value.toUpperCase();
+      }
+
+      if (field === 'year_established' && value !== null) {
+        value = Number(value);
+        if (!Number.isInteger(value) || value < 1800 || value > new Date().getFullYear()) {
+          throw new Error('Year established must be a valid year');
+        }
+      }
+
+      if (pattern && value && !pattern.test(value)) {
+        throw new Error(`${FIELD_LABELS[field]} is not valid`);
+      }
+
+      updates.push(`${field} = $${paramIndex++}`);
+      values.push(value);
+    }
+
+    const turnover = data.turnover !== undefined ? this._normalizeTurnover(data.turnover) : null;
+    const projects = data.projects !== undefined ? this._normalizeProjects(data.projects) : null;
+    const certifications =
+      data.certifications !== undefined ? this._normalizeCertifications(data.certifications) : null;
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      values.push(organizationId);
+      const result = await client.query(
+        `UPDATE organization SET ${[...updates, 'updated_at = NOW()'].join(', ')}
+         WHERE organization_id = $${paramIndex}
+         RETURNING organization_id`,
+        values
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Organization not found');
+      }
+
+      if (turnover) {
+        await client.query('DELETE FROM organization_turnover WHERE organization_id = $1', [organizationId]);
+        for (const row of turnover) {
+          await client.query(
+            `INSERT INTO organization_turnover (organization_id, financial_year, amount) VALUES ($1, $2, $3)`,
+            [organizationId, row.financial_year, row.amount]
+          );
+        }
+      }
+
+      if (projects) {
+        await client.query('DELETE FROM organization_project WHERE organization_id = $1', [organizationId]);
+        for (const project of projects) {
+          await client.query(
+            `INSERT INTO organization_project (organization_id, title, client_name, contract_value, completed_on)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [organizationId, project.title, project.client_name, project.contract_value, project.completed_on]
+          );
+        }
+      }
+
+      if (certifications) {
+        await client.query('DELETE FROM organization_certification WHERE organization_id = $1', [organizationId]);
+        for (const cert of certifications) {
+          await client.query(
+            `INSERT INTO organization_certification
+               (organization_id, name, issuing_body, certificate_number, issued_on, expires_on)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [organizationId, cert.name, cert.issuing_body, cert.certificate_number, cert.issued_on, cert.expires_on]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return this.getProfile(organizationId);
+  },
+
+  /**
+   * Replace the organization logo (PNG or JPEG)
+   */
+  async setLogo(organizationId, file) {
+    if (!file) {
+      throw new Error('Logo file is required');
+    }
+
+    if (!LOGO_MIME_TYPES.includes(file.mimetype)) {
+      throw new Error('Logo must be a PNG or JPEG image');
+    }
+
+    await pool.query(
+      'UPDATE organization SET logo = $1, logo_mime_type = $2, updated_at = NOW() WHERE organization_id = $3',
+      [file.buffer, file.mimetype, organizationId]
+    );
+  },
+
+  async removeLogo(organizationId) {
+    await pool.query(
+      'UPDATE organization SET logo = NULL, logo_mime_type = NULL, updated_at = NOW() WHERE organization_id = $1',
+      [organizationId]
+    );
+  },
+
+  /**
+   * Logo bytes and MIME type, or null when none is uploaded
+   */
+  async getLogo(organizationId) {
+    const result = await pool.query(
+      'SELECT logo, logo_mime_type FROM organization WHERE organization_id = $1 AND logo IS NOT NULL',
+      [organizationId]
+    );
+
+    if (result.rows.length === 0) return null;
+    return { buffer: result.rows[0].logo, mimeType: result.rows[0].logo_mime_type };
+  },
+
+  /**
+   * Company details in the shape ProposalPdfExportService expects
+   */
+  async getCompanyInfo(organizationId) {
+    const profile = await this.getProfile(organizationId);
+    const logo = await this.getLogo(organizationId);
+
+    return {
+      name: profile.name,
+      registrationNumber: profile.cin || '',
+      gstNumber: profile.gstin || '',
+      panNumber: profile.pan || '',
+      yearEstablished: profile.year_established || '',
+      address: formatAddress(profile),
+      contactPerson: profile.contact_person || '',
+      email: profile.contact_email || '',
+      phone: profile.contact_phone || '',
+      experience: profile.description || '',
+      signatoryName: profile.signatory_name || '',
+      signatoryDesignation: profile.signatory_designation || '',
+      logo: logo?.buffer || null,
+    };
+  },
+
+  /**
+   * Plain-text bidder context for AI drafting prompts; only valid certifications are listed
+   */
+  async getDraftingContext(organizationId) {
+    const profile = await this.getProfile(organizationId);
+
+    const lines = [`Organization: ${profile.name}`];
+    if (profile.year_established) lines.push(`Established: ${profile.year_established}`);
+    if (profile.city || profile.state) lines.push(`Location: ${[profile.city, profile.state].filter(Boolean).join(', ')}`);
+    if (profile.description) lines.push(`About: ${profile.description}`);
+
+    if (profile.turnover.length > 0) {
+      const turnover = profile.turnover
+        .slice(0, 3)
+        .map((t) => `FY ${t.financial_year}: INR ${t.amount.toLocaleString('en-IN')}`)
+        .join('; ');
+      lines.push(`Annual turnover: ${turnover}`);
+    }
+
+    if (profile.projects.length > 0) {
+      const projects = profile.projects
+        .slice(0, 3)
+        .map((p) => `${p.title}${p.client_name ? ` for ${p.client_name}` : ''} (INR ${p.contract_value.toLocaleString('en-IN')})`)
+        .join('; ');
+      lines.push(`Completed projects: ${projects}`);
+    }
+
+    const certifications = profile.certifications.filter((c) => c.status !== 'EXPIRED');
+    if (certifications.length > 0) {
+      lines.push(`Certifications: ${certifications.map((c) => c.name).join(', ')}`);
+    }
+
+    if (profile.signatory_name) {
+      lines.push(
+        `Authorised signatory: ${profile.signatory_name}${profile.signatory_designation ? `, ${profile.signatory_designation}` : ''}`
+      );
+    }
+
+    return lines.join('\n');
+  },
+
+  _normalizeTurnover(turnover) {
+    if (!Array.isArray(turnover)) {
+      throw new Error('turnover must be an array');
+    }
+
+    const seen = new Set();
+    return turnover.map((row) => {
+      const financialYear = String(row.financial_year || '').trim();
+      const amount = Number(row.amount);
+
+      if (!financialYear) {
+        throw new Error('Turnover financial year is required');
+      }
+      if (seen.has(financialYear)) {
+        throw new Error(`Turnover for ${financialYear} is listed more than once`);
+      }
+      if (row.amount === '' || row.amount === null || Number.isNaN(amount) || amount < 0) {
+        throw new Error(`Turnover for ${financialYear} must be a non-negative number`);
+      }
+
+      seen.add(financialYear);
+      return { financial_year: financialYear, amount };
+    });
+  },
+
+  _normalizeProjects(projects) {
+    if (!Array.isArray(projects)) {
+      throw new Error('projects must be an array');
+    }
+
+    return projects.map((project) => {
+      const title = String(project.title || '').trim();
+      const contractValue = Number(project.contract_value);
+
+      if (!title) {
+        throw new Error('Project title is required');
+      }
+      if (project.contract_value === '' || project.contract_value === null || Number.isNaN(contractValue) || contractValue < 0) {
+        throw new Error(`Contract value of ${title} must be a non-negative number`);
+      }
+      if (project.completed_on && Number.isNaN(new Date(project.completed_on).getTime())) {
+        throw new Error(`Completion date of ${title} must be a valid date`);
+      }
+
+      return {
+        title,
+        client_name: project.client_name?.trim() || null,
+        contract_value: contractValue,
+        completed_on: project.completed_on || null,
+      };
+    });
+  },
+
+  _normalizeCertifications(certifications) {
+    if (!Array.isArray(certifications)) {
+      throw new Error('certifications must be an array');
+    }
+
+    return certifications.map((cert) => {
+      const name = String(cert.name || '').trim();
+      if (!name) {
+        throw new Error('Certification name is required');
+      }
+
+      const issuedOn = cert.issued_on || null;
+      const expiresOn = cert.expires_on || null;
+      if (issuedOn && expiresOn && new Date(expiresOn) < new Date(issuedOn)) {
+        throw new Error(`Expiry date of ${name} must be after its issue date`);
+      }
+
+      return {
+        name,
+        issuing_body: cert.issuing_body?.trim() || null,
+        certificate_number: cert.certificate_number?.trim() || null,
+        issued_on: issuedOn,
+        expires_on: expiresOn,
+      };
+    });
+  },
+};
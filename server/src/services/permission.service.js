@@ -5,13 +5,14 @@
  * IMPORTANT: Roles are INTERNAL ONLY - never exposed in API responses
  * Permission checks use:
  * - user.role (internal database role)
+ * - user.orgRole (the member's role inside their organization, shown on the members page)
  * - section assignment permissions (EDIT / READ_AND_COMMENT)
  *
  * Permission Hierarchy:
- * - OWNER: Full access (user's organization owns the entity)
+ * - OWNER: Full access (owner, admin or bid manager of the organization that owns the entity)
  * - EDIT: Can edit content and use AI drafting
  * - READ_AND_COMMENT: Can view and add comments
- * - READ_ONLY: Can only view
+ * - READ_ONLY: Can only view (unassigned contributors and viewers of the owning organization)
  */
 
 import { pool } from '../config/db.js';
@@ -31,6 +32,23 @@ const INTERNAL_ROLES = {
   BIDDER: 'bidder',
 };
 
+// Member roles inside an organization, most privileged first
+export const ORG_ROLES = ['OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR', 'VIEWER'];
+
+// Features restricted by org role (features not listed are open to every member)
+const ORG_ROLE_FEATURES = {
+  team_manage: ['OWNER', 'ADMIN'],
+  bid_approve: ['OWNER', 'ADMIN', 'BID_MANAGER'],
+  section_assign: ['OWNER', 'ADMIN', 'BID_MANAGER'],
+  proposal_create: ['OWNER', 'ADMIN', 'BID_MANAGER'],
+  proposal_submit: ['OWNER', 'ADMIN', 'BID_MANAGER'],
+  proposal_edit: ['OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR'],
+  tender_create: ['OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR'],
+  tender_edit: ['OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR'],
+  tender_delete: ['OWNER', 'ADMIN', 'BID_MANAGER'],
+  bid_evaluation: ['OWNER', 'ADMIN', 'BID_MANAGER', 'CONTRIBUTOR'],
+};
+
 export const PermissionService = {
   // ==========================================
   // SECTION PERMISSION CHECKS
@@ -117,16 +135,18 @@ export const PermissionService = {
    * Get permission for a proposal section (platform tender)
    */
   async getProposalSectionPermission(userId, proposalId, sectionId) {
-    // Check if user is owner (same organization)
-    const ownerCheck = await pool.query(
-      `SELECT 1
+    // Check if user is a member of the owning organization
+    const memberCheck = await pool.query(
+      `SELECT u.role, u.org_role
        FROM proposal p
        JOIN "user" u ON p.organization_id = u.organization_id
        WHERE p.proposal_id = $1 AND u.user_id = $2`,
       [proposalId, userId]
     );
+    const member = memberCheck.rows[0];
 
-    if (ownerCheck.rows.length > 0) {
+    // Members who manage proposals own every section
+    if (member && this.canAccessFeature({ role: member.role, orgRole: member.org_role }, 'section_assign')) {
       return 'OWNER';
     }
 
@@ -142,22 +162,25 @@ export const PermissionService = {
       return assignmentCheck.rows[0].permission;
     }
 
-    return null;
+    // Other members can read sections they are not assigned to
+    return member ? 'READ_ONLY' : null;
   },
 
   /**
-   * Check if user is proposal owner (organization membership)
+   * Check if user is proposal owner (member of the owning organization whose
+   * org role manages proposals)
    */
   async isProposalOwner(userId, proposalId) {
     const result = await pool.query(
-      `SELECT 1
+      `SELECT u.role, u.org_role
        FROM proposal p
        JOIN "user" u ON p.organization_id = u.organization_id
        WHERE p.proposal_id = $1 AND u.user_id = $2`,
       [proposalId, userId]
     );
 
-    return result.rows.length > 0;
+    const member = result.rows[0];
+    return !!member && this.canAccessFeature({ role: member.role, orgRole: member.org_role }, 'section_assign');
   },
 
   // ==========================================
@@ -168,16 +191,17 @@ export const PermissionService = {
    * Get permission for an uploaded tender section
    */
   async getUploadedSectionPermission(userId, uploadedTenderId, sectionKey) {
-    // Check if user is owner (same organization)
-    const ownerCheck = await pool.query(
-      `SELECT 1
+    // Check if user is a member of the owning organization
+    const memberCheck = await pool.query(
+      `SELECT u.role, u.org_role
        FROM uploaded_tender ut
        JOIN "user" u ON ut.organization_id = u.organization_id
        WHERE ut.id = $1 AND u.user_id = $2`,
       [uploadedTenderId, userId]
     );
+    const member = memberCheck.rows[0];
 
-    if (ownerCheck.rows.length > 0) {
+    if (member && this.canAccessFeature({ role: member.role, orgRole: member.org_role }, 'section_assign')) {
       return 'OWNER';
     }
 
@@ -193,7 +217,7 @@ export const PermissionService = {
       return assignmentCheck.rows[0].permission;
     }
 
-    return null;
+    return member ? 'READ_ONLY' : null;
   },
 
   /**
@@ -201,14 +225,15 @@ export const PermissionService = {
    */
   async isUploadedTenderOwner(userId, uploadedTenderId) {
     const result = await pool.query(
-      `SELECT 1
+      `SELECT u.role, u.org_role
        FROM uploaded_tender ut
        JOIN "user" u ON ut.organization_id = u.organization_id
        WHERE ut.id = $1 AND u.user_id = $2`,
       [uploadedTenderId, userId]
     );
 
-    return result.rows.length > 0;
+    const member = result.rows[0];
+    return !!member && this.canAccessFeature({ role: member.role, orgRole: member.org_role }, 'section_assign');
   },
 
   // ==========================================
@@ -232,14 +257,19 @@ export const PermissionService = {
   },
 
   /**
-   * Check if user can access a specific feature based on role
-   * @param {Object} user - User object
+   * Check if user can access a specific feature based on role and org role
+   * @param {Object} user - User object with role and orgRole
    * @param {string} feature - Feature identifier
    * @returns {boolean}
    */
   canAccessFeature(user, feature) {
     if (!user?.role) return false;
 
+    const orgRoles = ORG_ROLE_FEATURES[feature];
+    if (orgRoles && !orgRoles.includes(user.orgRole)) {
+      return false;
+    }
+
     const roleFeatures = {
       [INTERNAL_ROLES.AUTHORITY]: [
         'tender_create',
@@ -248,6 +278,7 @@ export const PermissionService = {
         'bid_evaluation',
         'analytics',
         'admin_dashboard',
+        'team_manage',
       ],
       [INTERNAL_ROLES.BIDDER]: [
         'proposal_create',
@@ -257,6 +288,10 @@ export const PermissionService = {
         'pdf_upload',
         'collaboration',
         'bidder_dashboard',
+        'proposal_submit',
+        'section_assign',
+        'bid_approve',
+        'team_manage',
       ],
     };
 
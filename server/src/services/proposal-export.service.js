@@ -6,6 +6,46 @@
 import PDFDocument from 'pdfkit';
 import { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle } from 'docx';
 import { pool } from '../config/db.js';
+import { OrganizationService } from './organization.service.js';
+import { DocumentVaultService } from './documentVault.service.js';
+
+/**
+ * Bidder address and registration numbers from the organization profile, for the cover page
+ */
+function bidderDetailLines(companyInfo) {
+  const registration = [
+    companyInfo.gstNumber && `GSTIN: ${companyInfo.gstNumber}`,
+    companyInfo.panNumber && `PAN: ${companyInfo.panNumber}`,
+    companyInfo.registrationNumber && `CIN: ${companyInfo.registrationNumber}`,
+  ].filter(Boolean);
+
+  return [companyInfo.address, registration.join(' | ')].filter(Boolean);
+}
+
+const CHANGE_LABELS = {
+  ADDED: 'Added',
+  REMOVED: 'Removed',
+  CHANGED: 'Changed',
+  UNCHANGED: 'Unchanged'
+};
+
+const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+
+/**
+ * Summary lines of a version comparison, shared by the PDF and DOCX change summaries.
+ * Plain ASCII arrows: the built-in PDF fonts cannot encode '→'.
+ */
+function changeSummaryLines(comparison) {
+  const { from, to, summary } = comparison;
+  const score = (v) => (v.complianceScore === null ? 'n/a' : `${v.complianceScore}%`);
+
+  return [
+    `Sections added: ${summary.added} | changed: ${summary.changed} | removed: ${summary.removed} | unchanged: ${summary.unchanged}`,
+    `Word count: ${summary.fromWordCount} -> ${summary.toWordCount} (${signed(summary.wordCountDelta)})`,
+    `Compliance score: ${score(from)} -> ${score(to)}` +
+      (summary.complianceScoreDelta === null ? '' : ` (${signed(summary.complianceScoreDelta)})`)
+  ];
+}
 
 /**
  * Template configurations
@@ -75,9 +115,16 @@ export const ProposalExportService = {
       [proposalId, proposal.tender_id]
     );
 
+    // Vault documents attached to each section are bundled as annexures
+    const attachments = await DocumentVaultService.getProposalAttachments(proposalId, { includeContent: true });
+
     return {
       ...proposal,
-      sections: sectionsRes.rows
+      company_info: await OrganizationService.getCompanyInfo(proposal.organization_id),
+      sections: sectionsRes.rows.map((section) => ({
+        ...section,
+        attachments: attachments.get(section.section_id) || []
+      }))
     };
   },
 
@@ -140,6 +187,10 @@ export const ProposalExportService = {
            .fillColor(config.colors.secondary)
            .text(`Submitted by: ${proposal.organization_name}`, { align: 'center' });
 
+        bidderDetailLines(proposal.company_info).forEach((line) => {
+          doc.fontSize(10).fillColor(config.colors.accent).text(line, { align: 'center' });
+        });
+
         doc.moveDown(0.5);
         doc.fontSize(12)
            .fillColor(config.colors.accent)
@@ -176,6 +227,7 @@ export const ProposalExportService = {
         });
 
         // Content sections
+        const annexures = [];
         proposal.sections.forEach((section, index) => {
           doc.addPage();
 
@@ -210,6 +262,48 @@ export const ProposalExportService = {
                align: 'justify',
                lineGap: 2
              });
+
+          if (section.attachments.length > 0) {
+            doc.moveDown(0.5);
+            doc.fontSize(10)
+               .font(config.fonts.heading)
+               .fillColor(config.colors.primary)
+               .text('Supporting documents:');
+            section.attachments.forEach((attachment) => {
+              annexures.push(attachment);
+              doc.fontSize(10)
+                 .font(config.fonts.body)
+                 .fillColor(config.colors.secondary)
+                 .text(`Annexure ${annexures.length}: ${attachment.title} (${attachment.file_name})`, { indent: 15 });
+            });
+          }
+        });
+
+        // Annexures: images are embedded, PDFs are enclosed alongside the export
+        annexures.forEach((attachment, index) => {
+          doc.addPage();
+          doc.fontSize(14)
+             .font(config.fonts.heading)
+             .fillColor(config.colors.primary)
+             .text(`Annexure ${index + 1}: ${attachment.title}`);
+          doc.fontSize(9)
+             .font(config.fonts.body)
+             .fillColor(config.colors.accent)
+             .text(
+               `${attachment.file_name}${attachment.valid_until ? ` | Valid until ${new Date(attachment.valid_until).toLocaleDateString('en-IN')}` : ''}`
+             );
+          doc.moveDown();
+
+          if (attachment.mime_type.startsWith('image/')) {
+            doc.image(attachment.content, {
+              fit: [doc.page.width - 100, doc.page.height - doc.y - 60],
+              align: 'center'
+            });
+          } else {
+            doc.fontSize(11)
+               .fillColor(config.colors.secondary)
+               .text('This document is enclosed as a separate PDF file with the proposal submission.');
+          }
         });
 
         // Footer on all pages
@@ -279,6 +373,16 @@ export const ProposalExportService = {
       })
     );
 
+    bidderDetailLines(proposal.company_info).forEach((line) => {
+      children.push(
+        new Paragraph({
+          children: [new TextRun({ text: line, size: 20, color: '666666' })],
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 100 }
+        })
+      );
+    });
+
     children.push(
       new Paragraph({
         children: [
@@ -341,6 +445,7 @@ export const ProposalExportService = {
     );
 
     // Content sections
+    let annexureCount = 0;
     proposal.sections.forEach((section, index) => {
       // Section header
       children.push(
@@ -390,6 +495,27 @@ export const ProposalExportService = {
         );
       });
 
+      if (section.attachments.length > 0) {
+        children.push(
+          new Paragraph({
+            children: [new TextRun({ text: 'Supporting documents:', bold: true })],
+            spacing: { before: 120, after: 60 }
+          })
+        );
+        section.attachments.forEach((attachment) => {
+          annexureCount += 1;
+          children.push(
+            new Paragraph({
+              children: [
+                new TextRun({ text: `Annexure ${annexureCount}: ${attachment.title} (${attachment.file_name})` })
+              ],
+              indent: { left: 360 },
+              spacing: { after: 60 }
+            })
+          );
+        });
+      }
+
       // Add spacing between sections
       children.push(
         new Paragraph({
@@ -409,6 +535,179 @@ export const ProposalExportService = {
     return await Packer.toBuffer(doc);
   },
 
+  /**
+   * Change summary between two proposal versions as a PDF, for the tendering authority
+   * @param {Object} comparison - result of ProposalPublishService.compareVersions
+   */
+  async generateChangeSummaryPDF(comparison) {
+    const config = TEMPLATES.formal;
+    const { from, to } = comparison;
+
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ size: 'A4', margins: config.margins });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.fontSize(20)
+           .font(config.fonts.heading)
+           .fillColor(config.colors.primary)
+           .text('PROPOSAL CHANGE SUMMARY', { align: 'center' });
+
+        doc.moveDown(0.5);
+        doc.fontSize(14)
+           .fillColor(config.colors.secondary)
+           .text(comparison.tenderTitle || '', { align: 'center' });
+
+        doc.moveDown(0.5);
+        doc.fontSize(11)
+           .font(config.fonts.body)
+           .fillColor(config.colors.accent)
+           .text(`Submitted by: ${comparison.organizationName || ''}`, { align: 'center' })
+           .text(`Version ${from.version} (${new Date(from.createdAt).toLocaleDateString()}) -> Version ${to.version} (${new Date(to.createdAt).toLocaleDateString()})`, { align: 'center' })
+           .text(`Date: ${new Date().toLocaleDateString()}`, { align: 'center' });
+
+        doc.moveDown(1.5);
+        doc.fontSize(14).font(config.fonts.heading).fillColor(config.colors.primary).text('Summary');
+        doc.moveDown(0.3);
+        changeSummaryLines(comparison).forEach((line) => {
+          doc.fontSize(11).font(config.fonts.body).fillColor(config.colors.secondary).text(line);
+        });
+
+        const changedSections = comparison.sections.filter(s => s.change !== 'UNCHANGED');
+        changedSections.forEach((section) => {
+          doc.moveDown(1.2);
+          doc.fontSize(13)
+             .font(config.fonts.heading)
+             .fillColor(config.colors.primary)
+             .text(`${section.title} — ${CHANGE_LABELS[section.change]}`);
+          doc.fontSize(9)
+             .font(config.fonts.body)
+             .fillColor(config.colors.accent)
+             .text(`Words: ${section.fromWordCount} -> ${section.toWordCount} (${signed(section.wordCountDelta)})`);
+          doc.moveDown(0.4);
+
+          // Removed text struck through in red, added text underlined in green
+          const segments = section.diff?.segments || [];
+          segments.forEach((segment, idx) => {
+            const style = {
+              added: { color: '#15803d', underline: true, strike: false },
+              removed: { color: '#b91c1c', underline: false, strike: true },
+              equal: { color: config.colors.secondary, underline: false, strike: false }
+            }[segment.type];
+            doc.fontSize(10)
+               .font(config.fonts.body)
+               .fillColor(style.color)
+               .text(segment.text, {
+                 continued: idx < segments.length - 1,
+                 underline: style.underline,
+                 strike: style.strike,
+                 lineGap: 2
+               });
+          });
+        });
+
+        if (changedSections.length === 0) {
+          doc.moveDown(1);
+          doc.fontSize(11).fillColor(config.colors.accent).text('No section content changed between these versions.');
+        }
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  },
+
+  /**
+   * Change summary between two proposal versions as a DOCX document
+   * @param {Object} comparison - result of ProposalPublishService.compareVersions
+   */
+  async generateChangeSummaryDOCX(comparison) {
+    const { from, to } = comparison;
+    const children = [
+      new Paragraph({
+        text: 'PROPOSAL CHANGE SUMMARY',
+        heading: HeadingLevel.TITLE,
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 200 }
+      }),
+      new Paragraph({
+        children: [new TextRun({ text: comparison.tenderTitle || '', bold: true, size: 28 })],
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 200 }
+      }),
+      new Paragraph({
+        children: [
+          new TextRun({ text: 'Submitted by: ', bold: true }),
+          new TextRun({ text: comparison.organizationName || '' })
+        ],
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 100 }
+      }),
+      new Paragraph({
+        children: [
+          new TextRun({
+            text: `Version ${from.version} (${new Date(from.createdAt).toLocaleDateString()}) -> Version ${to.version} (${new Date(to.createdAt).toLocaleDateString()}) | Date: ${new Date().toLocaleDateString()}`,
+            size: 20,
+            color: '666666'
+          })
+        ],
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 400 }
+      }),
+      new Paragraph({ text: 'Summary', heading: HeadingLevel.HEADING_1, spacing: { after: 200 } }),
+      ...changeSummaryLines(comparison).map(line => new Paragraph({ text: line, spacing: { after: 100 } }))
+    ];
+
+    const changedSections = comparison.sections.filter(s => s.change !== 'UNCHANGED');
+    changedSections.forEach((section) => {
+      children.push(
+        new Paragraph({
+          text: `${section.title} — ${CHANGE_LABELS[section.change]}`,
+          heading: HeadingLevel.HEADING_2,
+          spacing: { before: 300, after: 100 }
+        }),
+        new Paragraph({
+          children: [
+            new TextRun({
+              text: `Words: ${section.fromWordCount} -> ${section.toWordCount} (${signed(section.wordCountDelta)})`,
+              size: 18,
+              color: '666666'
+            })
+          ],
+          spacing: { after: 150 }
+        }),
+        new Paragraph({
+          // Line breaks inside a segment become breaks in the run sequence
+          children: (section.diff?.segments || []).flatMap(segment => segment.text.split('\n').map((text, idx) => new TextRun({
+            text,
+            break: idx > 0 ? 1 : undefined,
+            ...(segment.type === 'added' ? { color: '15803D', underline: {} } : {}),
+            ...(segment.type === 'removed' ? { color: 'B91C1C', strike: true } : {})
+          }))),
+          spacing: { after: 200 }
+        })
+      );
+    });
+
+    if (changedSections.length === 0) {
+      children.push(new Paragraph({ text: 'No section content changed between these versions.', spacing: { before: 300 } }));
+    }
+
+    const doc = new Document({
+      sections: [{
+        properties: {},
+        children
+      }]
+    });
+
+    return await Packer.toBuffer(doc);
+  },
+
   /**
    * Get export preview data
    */
@@ -430,7 +729,8 @@ export const ProposalExportService = {
         title: s.section_title,
         isMandatory: s.is_mandatory,
         hasContent: !!(s.content && s.content.trim()),
-        contentPreview: s.content ? s.content.substring(0, 200) + (s.content.length > 200 ? '...' : '') : null
+        contentPreview: s.content ? s.content.substring(0, 200) + (s.content.length > 200 ? '...' : '') : null,
+        attachments: s.attachments.map(a => ({ title: a.title, fileName: a.file_name, status: a.status }))
       })),
       generatedAt: new Date().toISOString()
     };
@@ -4,6 +4,8 @@
  */
 
 import { pool } from '../config/db.js';
+import { ComplianceCheckService } from './complianceCheck.service.js';
+import { diffText } from '../utils/textDiff.js';
 
 /**
  * Valid status transitions
@@ -18,6 +20,26 @@ const STATUS_TRANSITIONS = {
   REJECTED: []
 };
 
+const countWords = (text) => (text || '').trim().split(/\s+/).filter(Boolean).length;
+
+/**
+ * Compliance result reduced to what a version snapshot keeps: the score, status,
+ * counts and the number of issues and warnings per section
+ */
+function summarizeCompliance(result) {
+  const sectionIssues = {};
+  [...result.issues, ...result.warnings].forEach((issue) => {
+    if (issue.sectionId) sectionIssues[issue.sectionId] = (sectionIssues[issue.sectionId] || 0) + 1;
+  });
+
+  return {
+    score: result.complianceScore,
+    overallStatus: result.overallStatus,
+    counts: result.counts,
+    sectionIssues,
+  };
+}
+
 export const ProposalPublishService = {
   /**
    * Check if proposal belongs to user's organization
@@ -204,7 +226,7 @@ export const ProposalPublishService = {
   async createVersionSnapshot(proposalId, versionNumber, status, userId, notes = null) {
     // Get section responses for snapshot
     const responsesRes = await pool.query(
-      `SELECT psr.section_id, psr.content, ts.title as section_title, ts.order_index
+      `SELECT psr.section_id, psr.content, psr.updated_at, ts.title as section_title, ts.order_index
        FROM proposal_section_response psr
        JOIN tender_section ts ON psr.section_id = ts.section_id
        WHERE psr.proposal_id = $1
@@ -212,8 +234,17 @@ export const ProposalPublishService = {
       [proposalId]
     );
 
+    // Compliance at snapshot time, for score deltas between versions
+    const compliance = await ComplianceCheckService.checkProposalCompliance(proposalId, { responses: responsesRes.rows })
+      .then(summarizeCompliance)
+      .catch((err) => {
+        console.error('[ProposalPublish] Compliance check for snapshot failed:', err.message);
+        return null;
+      });
+
     const snapshotData = {
       sections: responsesRes.rows,
+      compliance,
       createdAt: new Date().toISOString()
     };
 
@@ -233,26 +264,26 @@ export const ProposalPublishService = {
     // Verify access
     const proposal = await this.verifyOwnership(proposalId, user);
 
-    // Get all versions from the version table
+    const chainIds = await this.getVersionChainIds(proposalId);
+
+    // Get all versions from the version table, across every proposal of the chain
     const versionsRes = await pool.query(
-      `SELECT pv.version_id, pv.version_number, pv.status, pv.created_at, pv.notes,
+      `SELECT pv.version_id, pv.proposal_id, pv.version_number, pv.status, pv.created_at, pv.notes,
               u.email as created_by_email
        FROM proposal_version pv
        LEFT JOIN "user" u ON pv.created_by = u.user_id
-       WHERE pv.proposal_id = $1
+       WHERE pv.proposal_id = ANY($1)
        ORDER BY pv.version_number DESC`,
-      [proposalId]
+      [chainIds]
     );
 
     // Also get related proposals (different versions of same proposal)
     const relatedProposalsRes = await pool.query(
       `SELECT proposal_id, version, status, created_at, finalized_at, published_at
        FROM proposal
-       WHERE proposal_id = $1 OR parent_proposal_id = $1 OR proposal_id = (
-         SELECT parent_proposal_id FROM proposal WHERE proposal_id = $1
-       )
+       WHERE proposal_id = ANY($1)
        ORDER BY version DESC`,
-      [proposalId]
+      [chainIds]
     );
 
     return {
@@ -278,11 +309,45 @@ export const ProposalPublishService = {
     // Verify access
     await this.verifyOwnership(proposalId, user);
 
+    const chainIds = await this.getVersionChainIds(proposalId);
+    return this._findSnapshot(chainIds, versionNumber);
+  },
+
+  /**
+   * IDs of every proposal in the version chain of a proposal (the original and
+   * all versions created from it, directly or through later versions)
+   */
+  async getVersionChainIds(proposalId) {
+    const res = await pool.query(
+      `WITH RECURSIVE ancestors AS (
+         SELECT proposal_id, parent_proposal_id FROM proposal WHERE proposal_id = $1
+         UNION ALL
+         SELECT p.proposal_id, p.parent_proposal_id
+         FROM proposal p JOIN ancestors a ON p.proposal_id = a.parent_proposal_id
+       ),
+       chain AS (
+         SELECT proposal_id FROM ancestors WHERE parent_proposal_id IS NULL
+         UNION ALL
+         SELECT p.proposal_id FROM proposal p JOIN chain c ON p.parent_proposal_id = c.proposal_id
+       )
+       SELECT proposal_id FROM chain`,
+      [proposalId]
+    );
+
+    return res.rows.map(r => r.proposal_id);
+  },
+
+  /**
+   * Latest snapshot of a version number within a version chain
+   */
+  async _findSnapshot(chainIds, versionNumber) {
     const res = await pool.query(
-      `SELECT pv.version_id, pv.version_number, pv.status, pv.snapshot_data, pv.created_at, pv.notes
+      `SELECT pv.version_id, pv.proposal_id, pv.version_number, pv.status, pv.snapshot_data, pv.created_at, pv.notes
        FROM proposal_version pv
-       WHERE pv.proposal_id = $1 AND pv.version_number = $2`,
-      [proposalId, versionNumber]
+       WHERE pv.proposal_id = ANY($1) AND pv.version_number = $2
+       ORDER BY pv.created_at DESC
+       LIMIT 1`,
+      [chainIds, versionNumber]
     );
 
     if (res.rows.length === 0) {
@@ -290,5 +355,109 @@ export const ProposalPublishService = {
     }
 
     return res.rows[0];
+  },
+
+  /**
+   * Compare two version snapshots of a proposal chain.
+   * Sections are aligned by section_id; each gets a word-level diff, word counts and
+   * compliance issue counts. Snapshots taken before compliance was recorded are
+   * checked on the fly against their stored content.
+   * @returns {Object} { proposalId, tenderTitle, organizationName, from, to, sections, summary }
+   */
+  async compareVersions(proposalId, fromVersion, toVersion, user) {
+    await this.verifyOwnership(proposalId, user);
+
+    const chainIds = await this.getVersionChainIds(proposalId);
+    const [fromSnapshot, toSnapshot] = await Promise.all([
+      this._findSnapshot(chainIds, fromVersion),
+      this._findSnapshot(chainIds, toVersion),
+    ]);
+
+    const infoRes = await pool.query(
+      `SELECT t.title as tender_title, o.name as organization_name
+       FROM proposal p
+       JOIN tender t ON p.tender_id = t.tender_id
+       JOIN organization o ON p.organization_id = o.organization_id
+       WHERE p.proposal_id = $1`,
+      [proposalId]
+    );
+
+    const complianceOf = async (snapshot) => {
+      if (snapshot.snapshot_data.compliance) return snapshot.snapshot_data.compliance;
+      return ComplianceCheckService.checkProposalCompliance(snapshot.proposal_id, {
+        responses: snapshot.snapshot_data.sections || [],
+      })
+        .then(summarizeCompliance)
+        .catch(() => null);
+    };
+    const [fromCompliance, toCompliance] = await Promise.all([complianceOf(fromSnapshot), complianceOf(toSnapshot)]);
+
+    const fromSections = new Map((fromSnapshot.snapshot_data.sections || []).map(s => [s.section_id, s]));
+    const toSections = new Map((toSnapshot.snapshot_data.sections || []).map(s => [s.section_id, s]));
+    const sectionIds = [...new Set([...toSections.keys(), ...fromSections.keys()])];
+
+    const sections = sectionIds
+      .map((sectionId) => {
+        const before = fromSections.get(sectionId);
+        const after = toSections.get(sectionId);
+        const beforeText = before?.content || '';
+        const afterText = after?.content || '';
+
+        let change = 'UNCHANGED';
+        if (!beforeText.trim() && afterText.trim()) change = 'ADDED';
+        else if (beforeText.trim() && !afterText.trim()) change = 'REMOVED';
+        else if (beforeText !== afterText) change = 'CHANGED';
+
+        const fromWordCount = countWords(beforeText);
+        const toWordCount = countWords(afterText);
+        const fromIssues = fromCompliance?.sectionIssues?.[sectionId] ?? null;
+        const toIssues = toCompliance?.sectionIssues?.[sectionId] ?? null;
+
+        return {
+          sectionId,
+          title: after?.section_title || before?.section_title,
+          orderIndex: after?.order_index ?? before?.order_index ?? 0,
+          change,
+          fromWordCount,
+          toWordCount,
+          wordCountDelta: toWordCount - fromWordCount,
+          fromIssues,
+          toIssues,
+          diff: change === 'UNCHANGED' ? null : diffText(beforeText, afterText),
+        };
+      })
+      .sort((a, b) => a.orderIndex - b.orderIndex);
+
+    const countChange = (type) => sections.filter(s => s.change === type).length;
+    const fromWordCount = sections.reduce((sum, s) => sum + s.fromWordCount, 0);
+    const toWordCount = sections.reduce((sum, s) => sum + s.toWordCount, 0);
+    const versionInfo = (snapshot, compliance) => ({
+      version: snapshot.version_number,
+      proposalId: snapshot.proposal_id,
+      status: snapshot.status,
+      createdAt: snapshot.created_at,
+      notes: snapshot.notes,
+      complianceScore: compliance?.score ?? null,
+      complianceStatus: compliance?.overallStatus ?? null,
+    });
+
+    return {
+      proposalId,
+      tenderTitle: infoRes.rows[0]?.tender_title,
+      organizationName: infoRes.rows[0]?.organization_name,
+      from: versionInfo(fromSnapshot, fromCompliance),
+      to: versionInfo(toSnapshot, toCompliance),
+      sections,
+      summary: {
+        added: countChange('ADDED'),
+        removed: countChange('REMOVED'),
+        changed: countChange('CHANGED'),
+        unchanged: countChange('UNCHANGED'),
+        fromWordCount,
+        toWordCount,
+        wordCountDelta: toWordCount - fromWordCount,
+        complianceScoreDelta: fromCompliance && toCompliance ? toCompliance.score - fromCompliance.score : null,
+      },
+    };
   }
 };
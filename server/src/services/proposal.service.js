@@ -1,4 +1,9 @@
 import { pool } from '../config/db.js';
+import { BidOpeningService } from './bidOpening.service.js';
+import { NotificationService } from './notification.service.js';
+import { CollaborationService } from './collaboration.service.js';
+import { ProposalChannelService } from './proposalChannel.service.js';
+import { SectionRevisionService } from './sectionRevision.service.js';
 
 export const ProposalService = {
   /**
@@ -69,11 +74,12 @@ export const ProposalService = {
       if (proposal.tender_org_id !== user.organizationId) {
         throw new Error('Forbidden');
       }
+      await BidOpeningService.assertOpened(proposal.tender_id);
     }
 
     // Fetch section responses
     const responsesRes = await pool.query(
-      `SELECT response_id, proposal_id, section_id, content, updated_at
+      `SELECT response_id, proposal_id, section_id, content, revision, updated_at
        FROM proposal_section_response
        WHERE proposal_id = $1
        ORDER BY section_id`,
@@ -85,8 +91,10 @@ export const ProposalService = {
 
   /**
    * Upsert a section response (only when proposal is DRAFT and belongs to bidder org).
+   * @param {number} [baseRevision] - revision the editor started from; see saveSectionContent
+   * @param {Object} [options] - revision metadata; see saveSectionContent
    */
-  async upsertSectionResponse(proposalId, sectionId, content, user) {
+  async upsertSectionResponse(proposalId, sectionId, content, user, baseRevision, options = {}) {
     if (!content || !content.trim()) {
       throw new Error('Content is required');
     }
@@ -123,17 +131,115 @@ export const ProposalService = {
       throw new Error('Section does not belong to this tender');
     }
 
-    // Upsert response
+    // Members who do not manage proposals (contributors) edit only sections assigned to them
+    const permission = await CollaborationService.checkSectionPermission(user.id, proposalId, sectionId);
+    if (permission !== 'OWNER' && permission !== 'EDIT') {
+      throw new Error('Forbidden');
+    }
+
+    return this.saveSectionContent(proposalId, sectionId, content, user, baseRevision, options);
+  },
+
+  /**
+   * Write section content with optimistic concurrency. The write only succeeds while
+   * the stored revision still matches baseRevision; a missing baseRevision counts as 0
+   * (section not saved yet), so a saved section is never overwritten blindly. On a
+   * mismatch it throws 'Section was modified by someone else' with the stored response
+   * on `error.current`. Callers check access and proposal status first.
+   * @param {Object} [options] - { source: 'HUMAN' | 'AI_DRAFT' | 'ASSISTER', restoredFrom } kept on the revision
+   */
+  async saveSectionContent(proposalId, sectionId, content, user, baseRevision, options = {}) {
+    const base = Number(baseRevision) || 0;
+
+    // An existing section can only move on from the revision the editor saw
+    const result = base > 0
+      ? await pool.query(
+        `UPDATE proposal_section_response
+         SET content = $3, last_edited_by = $4, revision = revision + 1, updated_at = NOW()
+         WHERE proposal_id = $1 AND section_id = $2 AND revision = $5
+         RETURNING response_id, proposal_id, section_id, content, revision, updated_at`,
+        [proposalId, sectionId, content, user.id, base]
+      )
+      : await pool.query(
+        `INSERT INTO proposal_section_response (proposal_id, section_id, content, last_edited_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (proposal_id, section_id) DO NOTHING
+         RETURNING response_id, proposal_id, section_id, content, revision, updated_at`,
+        [proposalId, sectionId, content, user.id]
+      );
+
+    if (result.rows.length === 0) {
+      const current = await this.getSectionResponse(proposalId, sectionId);
+      const error = new Error('Section was modified by someone else');
+      error.current = current || { content: '', revision: 0 };
+      throw error;
+    }
+
+    await this.recordSectionEdit(result.rows[0], user, options);
+
+    return result.rows[0];
+  },
+
+  /**
+   * Stored response for a section with who saved it last, or null
+   */
+  async getSectionResponse(proposalId, sectionId) {
     const result = await pool.query(
-      `INSERT INTO proposal_section_response (proposal_id, section_id, content)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (proposal_id, section_id)
-       DO UPDATE SET content = EXCLUDED.content, updated_at = NOW()
-       RETURNING response_id, proposal_id, section_id, content, updated_at`,
-      [proposalId, sectionId, content]
+      `SELECT psr.section_id, psr.content, psr.revision, psr.updated_at,
+              psr.last_edited_by, u.name as last_edited_by_name
+       FROM proposal_section_response psr
+       LEFT JOIN "user" u ON psr.last_edited_by = u.user_id
+       WHERE psr.proposal_id = $1 AND psr.section_id = $2`,
+      [proposalId, sectionId]
     );
 
-    return result.rows[0];
+    return result.rows[0] || null;
+  },
+
+  /**
+   * Restore an earlier revision of a section by saving its content as a new revision
+   * on top of the stored one. Only DRAFT proposals can be changed.
+   */
+  async restoreSectionRevision(proposalId, sectionId, revision, user) {
+    const proposalRes = await pool.query('SELECT status FROM proposal WHERE proposal_id = $1', [proposalId]);
+    if (proposalRes.rows.length === 0) {
+      throw new Error('Proposal not found');
+    }
+    if (proposalRes.rows[0].status !== 'DRAFT') {
+      throw new Error('Cannot edit a non-draft proposal');
+    }
+
+    const target = await SectionRevisionService.getRevision(proposalId, sectionId, revision);
+    const current = await this.getSectionResponse(proposalId, sectionId);
+
+    return this.saveSectionContent(proposalId, sectionId, target.content, user, current?.revision ?? 0, {
+      restoredFrom: target.revision,
+    });
+  },
+
+  /**
+   * Record a section save: keep it as a revision, log it in the activity feed and
+   * push the new content to collaborators connected to the proposal channel
+   * @param {Object} response - saved proposal_section_response row
+   * @param {Object} user - editor ({ id, name })
+   * @param {Object} [options] - { source, restoredFrom }
+   */
+  async recordSectionEdit(response, user, { source = 'HUMAN', restoredFrom = null } = {}) {
+    await SectionRevisionService.recordRevision(response, user.id, { source, restoredFrom });
+    await CollaborationService.logActivity(response.proposal_id, response.section_id, user.id, 'EDIT', {
+      revision: response.revision,
+      source,
+      ...(restoredFrom ? { restoredFrom } : {}),
+    });
+
+    ProposalChannelService.broadcast(response.proposal_id, 'section_updated', {
+      sectionId: response.section_id,
+      content: response.content,
+      revision: response.revision,
+      source,
+      updated_at: response.updated_at,
+      user: { user_id: user.id, name: user.name },
+    });
   },
 
   /**
@@ -177,6 +283,30 @@ export const ProposalService = {
       };
     }
 
+    // Sealed bids are opened once after the deadline, so late submissions cannot be accepted
+    const tenderRes = await pool.query(
+      `SELECT t.sealed_bids, t.submission_deadline, o.opening_id
+       FROM tender t
+       LEFT JOIN tender_bid_opening o ON o.tender_id = t.tender_id
+       WHERE t.tender_id = $1`,
+      [proposal.tender_id]
+    );
+    const tender = tenderRes.rows[0];
+    if (tender.opening_id) {
+      return {
+        valid: false,
+        error: 'Bids have been opened',
+        details: 'The bids for this tender have already been opened, so it no longer accepts submissions.'
+      };
+    }
+    if (tender.sealed_bids && new Date() > new Date(tender.submission_deadline)) {
+      return {
+        valid: false,
+        error: 'Submission deadline has passed',
+        details: 'This tender uses sealed bids and no longer accepts submissions.'
+      };
+    }
+
     // Get all mandatory sections for the tender
     const mandatorySectionsRes = await pool.query(
       `SELECT section_id, title, is_mandatory
@@ -260,6 +390,7 @@ export const ProposalService = {
 
   /**
    * List submitted proposals for tenders owned by an authority organization.
+   * Sealed bids are left out until their tender's bid opening.
    */
   async listSubmittedForAuthority(user) {
     const res = await pool.query(
@@ -270,6 +401,8 @@ export const ProposalService = {
        JOIN tender t ON p.tender_id = t.tender_id
        JOIN organization org ON p.organization_id = org.organization_id
        WHERE p.status = 'SUBMITTED' AND t.organization_id = $1
+         AND (t.sealed_bids = false
+              OR EXISTS (SELECT 1 FROM tender_bid_opening o WHERE o.tender_id = t.tender_id))
        ORDER BY p.created_at DESC`,
       [user.organizationId]
     );
@@ -316,6 +449,8 @@ export const ProposalService = {
       throw new Error('Forbidden');
     }
 
+    await BidOpeningService.assertOpened(tenderId);
+
     const res = await pool.query(
       `SELECT p.proposal_id, p.tender_id, p.organization_id, p.status, p.created_at,
               org.name as bidder_organization,
@@ -362,6 +497,8 @@ export const ProposalService = {
       throw new Error('Proposal is not submitted');
     }
 
+    await BidOpeningService.assertOpened(proposal.tender_id);
+
     const responsesRes = await pool.query(
       `SELECT r.response_id, r.section_id, r.content, r.updated_at,
               s.title as section_title, s.is_mandatory, s.order_index
@@ -415,6 +552,26 @@ export const ProposalService = {
       [newStatus, proposalId]
     );
 
+    if (newStatus !== proposal.status) {
+      this._notifyStatusChange(result.rows[0]).catch((err) => {
+        console.warn('Proposal status notification failed:', err.message);
+      });
+    }
+
     return result.rows[0];
   },
+
+  async _notifyStatusChange(proposal) {
+    const tender = await pool.query('SELECT title FROM tender WHERE tender_id = $1', [proposal.tender_id]);
+    const statusLabel = proposal.status.replace('_', ' ').toLowerCase();
+    const recipients = await NotificationService.getProposalRecipients(proposal.proposal_id);
+
+    await NotificationService.notify(recipients, {
+      type: 'PROPOSAL_STATUS',
+      title: `Proposal ${statusLabel}`,
+      body: `Your proposal for "${tender.rows[0]?.title}" is now ${statusLabel}.`,
+      link: (recipient) =>
+        recipient.role === 'ASSISTER' ? '/assister/dashboard' : `/bidder/proposal/published/${proposal.proposal_id}`,
+    });
+  },
 };
\ No newline at end of file
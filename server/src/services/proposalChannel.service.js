@@ -0,0 +1,288 @@
+/**
+ * Proposal Channel Service
+ * WebSocket channel per proposal for collaborative drafting:
+ * - Presence (who is viewing which section, who is typing)
+ * - Section edit locks
+ * - Live broadcasts of section edits, comments and resolve events
+ *
+ * Clients connect to /ws/proposals/:proposalId?token=<jwt>. Locks and presence
+ * live in memory, so they are per server process.
+ */
+
+import jwt from 'jsonwebtoken';
+import { WebSocketServer, WebSocket } from 'ws';
+import { pool } from '../config/db.js';
+import { env } from '../config/env.js';
+import { CollaborationService } from './collaboration.service.js';
+import { SessionService } from './session.service.js';
+import { logger } from '../utils/logger.js';
+
+const CHANNEL_PATH = /^\/ws\/proposals\/([0-9a-f-]{36})\/?$/i;
+const HEARTBEAT_MS = 30000;
+// Locks are renewed while the holder types; an idle lock frees up after this long
+const LOCK_TTL_MS = 60000;
+
+// proposalId -> { clients: Set<client>, locks: Map<sectionId, { user_id, name, expires_at }> }
+const rooms = new Map();
+
+export const ProposalChannelService = {
+  /**
+   * Accept WebSocket upgrades for proposal channels on the HTTP server
+   * @param {import('http').Server} server
+   */
+  attach(server) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+      const match = pathname.match(CHANNEL_PATH);
+      if (!match) {
+        socket.destroy();
+        return;
+      }
+
+      const proposalId = match[1];
+      this._authenticate(searchParams.get('token'), proposalId)
+        .then((user) => {
+          wss.handleUpgrade(req, socket, head, (ws) => this._join(ws, proposalId, user));
+        })
+        .catch((err) => {
+          const status = err.message === 'Access denied' ? '403 Forbidden' : '401 Unauthorized';
+          socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+        });
+    });
+
+    const timer = setInterval(() => this._heartbeat(), HEARTBEAT_MS);
+    timer.unref();
+    wss.on('close', () => clearInterval(timer));
+
+    return wss;
+  },
+
+  /**
+   * Send an event to everyone connected to a proposal's channel. Events that
+   * carry a sectionId (section edits, comments) only go to clients who can
+   * read that section, since assisters may be assigned to a single section.
+   * @param {string} proposalId
+   * @param {string} type - e.g. 'section_updated', 'comment_added', 'comment_resolved'
+   * @param {Object} payload
+   */
+  broadcast(proposalId, type, payload = {}) {
+    const room = rooms.get(proposalId);
+    if (!room) return;
+
+    const message = JSON.stringify({ type, ...payload });
+    if (payload.sectionId) {
+      this._sendToSectionReaders(proposalId, payload.sectionId, message).catch((err) => {
+        logger.warn(`[ProposalChannel] ${type} broadcast failed:`, err.message);
+      });
+      return;
+    }
+
+    for (const client of room.clients) {
+      if (client.ws.readyState === WebSocket.OPEN) client.ws.send(message);
+    }
+  },
+
+  /**
+   * Permissions are looked up at send time (once per user) so assignment
+   * changes made while a client is connected take effect immediately
+   */
+  async _sendToSectionReaders(proposalId, sectionId, message) {
+    const room = rooms.get(proposalId);
+    if (!room) return;
+
+    const access = new Map();
+    for (const client of [...room.clients]) {
+      const userId = client.user.user_id;
+      if (!access.has(userId)) {
+        access.set(userId, !!(await CollaborationService.checkSectionPermission(userId, proposalId, sectionId)));
+      }
+      if (access.get(userId) && client.ws.readyState === WebSocket.OPEN) client.ws.send(message);
+    }
+  },
+
+  /**
+   * Verify the JWT, its session, and that the user belongs to the owning organization (any
+   * org role) or is assigned to at least one section
+   */
+  async _authenticate(token, proposalId) {
+    if (!token) throw new Error('No token provided');
+
+    const payload = jwt.verify(token, env.JWT_SECRET);
+    if (!(await SessionService.isActive(payload.sid, payload.userId))) throw new Error('Session expired');
+
+    const result = await pool.query('SELECT user_id, name FROM "user" WHERE user_id = $1', [payload.userId]);
+    if (result.rows.length === 0) throw new Error('User not found');
+
+    const user = result.rows[0];
+    const isMember = await CollaborationService.isProposalMember(user.user_id, proposalId);
+    if (!isMember) {
+      const permissions = await CollaborationService.getUserPermissions(user.user_id, proposalId);
+      if (Object.keys(permissions).length === 0) throw new Error('Access denied');
+    }
+
+    return user;
+  },
+
+  _join(ws, proposalId, user) {
+    if (!rooms.has(proposalId)) {
+      rooms.set(proposalId, { clients: new Set(), locks: new Map() });
+    }
+    const room = rooms.get(proposalId);
+    const client = { ws, user, sectionId: null, typing: false, alive: true };
+    room.clients.add(client);
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+    ws.on('message', (data) => {
+      this._handleMessage(proposalId, client, data).catch((err) => {
+        logger.warn(`[ProposalChannel] Message from ${user.user_id} failed:`, err.message);
+        this._send(ws, 'error', { error: 'Could not process message' });
+      });
+    });
+    ws.on('close', () => this._leave(proposalId, client));
+
+    this._broadcastPresence(proposalId);
+  },
+
+  _leave(proposalId, client) {
+    const room = rooms.get(proposalId);
+    if (!room) return;
+
+    room.clients.delete(client);
+    const stillConnected = [...room.clients].some((c) => c.user.user_id === client.user.user_id);
+    if (!stillConnected) {
+      for (const [sectionId, lock] of room.locks) {
+        if (lock.user_id === client.user.user_id) room.locks.delete(sectionId);
+      }
+    }
+
+    if (room.clients.size === 0) {
+      rooms.delete(proposalId);
+      return;
+    }
+    this._broadcastPresence(proposalId);
+  },
+
+  /**
+   * Client messages:
+   * - { type: 'view', sectionId }            section the user has open (null when none)
+   * - { type: 'typing', typing }             typing indicator for the viewed section
+   * - { type: 'lock', sectionId }            take or renew the edit lock (EDIT or OWNER only)
+   * - { type: 'unlock', sectionId }          release the edit lock
+   */
+  async _handleMessage(proposalId, client, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch {
+      this._send(client.ws, 'error', { error: 'Invalid message' });
+      return;
+    }
+
+    const room = rooms.get(proposalId);
+    const userId = client.user.user_id;
+    const { sectionId = null } = message;
+
+    switch (message.type) {
+      case 'view': {
+        if (sectionId && !(await CollaborationService.checkSectionPermission(userId, proposalId, sectionId))) {
+          this._send(client.ws, 'error', { error: 'You do not have access to this section' });
+          return;
+        }
+        client.sectionId = sectionId;
+        client.typing = false;
+        break;
+      }
+
+      case 'typing': {
+        client.typing = Boolean(message.typing) && !!client.sectionId;
+        const lock = room.locks.get(client.sectionId);
+        if (client.typing && lock?.user_id === userId) lock.expires_at = Date.now() + LOCK_TTL_MS;
+        break;
+      }
+
+      case 'lock': {
+        const permission = sectionId && (await CollaborationService.checkSectionPermission(userId, proposalId, sectionId));
+        if (permission !== 'OWNER' && permission !== 'EDIT') {
+          this._send(client.ws, 'lock_denied', { sectionId, error: 'You do not have edit access to this section' });
+          return;
+        }
+
+        const lock = room.locks.get(sectionId);
+        if (lock && lock.user_id !== userId && lock.expires_at > Date.now()) {
+          this._send(client.ws, 'lock_denied', { sectionId, lockedBy: lock });
+          return;
+        }
+        room.locks.set(sectionId, { user_id: userId, name: client.user.name, expires_at: Date.now() + LOCK_TTL_MS });
+        break;
+      }
+
+      case 'unlock': {
+        if (room.locks.get(sectionId)?.user_id === userId) room.locks.delete(sectionId);
+        break;
+      }
+
+      default:
+        this._send(client.ws, 'error', { error: `Unknown message type: ${message.type}` });
+        return;
+    }
+
+    this._broadcastPresence(proposalId);
+  },
+
+  /**
+   * Presence snapshot: one entry per user (merged across their open tabs) plus active locks
+   */
+  _broadcastPresence(proposalId) {
+    const room = rooms.get(proposalId);
+    if (!room) return;
+
+    const users = new Map();
+    for (const client of room.clients) {
+      const existing = users.get(client.user.user_id);
+      users.set(client.user.user_id, {
+        user_id: client.user.user_id,
+        name: client.user.name,
+        section_id: client.sectionId || existing?.section_id || null,
+        typing: client.typing || !!existing?.typing,
+      });
+    }
+
+    this.broadcast(proposalId, 'presence', {
+      users: [...users.values()],
+      locks: Object.fromEntries(room.locks),
+    });
+  },
+
+  /**
+   * Drop connections that stopped answering pings and expire idle locks
+   */
+  _heartbeat() {
+    for (const [proposalId, room] of rooms) {
+      for (const client of room.clients) {
+        if (!client.alive) {
+          client.ws.terminate();
+          continue;
+        }
+        client.alive = false;
+        client.ws.ping();
+      }
+
+      let expired = false;
+      for (const [sectionId, lock] of room.locks) {
+        if (lock.expires_at <= Date.now()) {
+          room.locks.delete(sectionId);
+          expired = true;
+        }
+      }
+      if (expired) this._broadcastPresence(proposalId);
+    }
+  },
+
+  _send(ws, type, payload = {}) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type, ...payload }));
+  },
+};
@@ -1,6 +1,7 @@
 import { pool } from '../config/db.js';
 import { env } from '../config/env.js';
 import { EmbeddingService } from './embedding.service.js';
+import { LLMCaller } from '../utils/llmCaller.js';
 
 const CHAT_MODEL = 'gpt-3.5-turbo';
 
@@ -38,6 +39,25 @@ async function callLLM(systemPrompt, userPrompt, options = {}) {
   return data?.choices?.[0]?.message?.content?.trim() || '';
 }
 
+/**
+ * Stream OpenAI Chat Completion output (same model/provider as callLLM)
+ */
+function streamLLM(systemPrompt, userPrompt, options = {}) {
+  if (!env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY is not configured');
+  }
+
+  return LLMCaller.stream({
+    systemPrompt,
+    userPrompt,
+    provider: 'openai',
+    model: options.model || CHAT_MODEL,
+    temperature: options.temperature || 0.4,
+    maxTokens: options.maxTokens || 1500,
+    signal: options.signal,
+  });
+}
+
 /**
  * Parse JSON from LLM response
  */
@@ -166,59 +186,8 @@ export const ProposalDrafterService = {
    * @returns {Promise<Object>} - Generated draft with metadata
    */
   async generateSectionDraft(options) {
-    const {
-      tenderId,
-      sectionId,
-      sectionType,
-      tenderRequirement,
-      organizationContext,
-      customInstructions,
-    } = options;
-
-    // 1. Get tender context
-    const tenderContext = await this._getTenderContext(tenderId);
-
-    // 2. Get similar proposals from RAG (if available)
-    let ragContext = '';
-    try {
-      ragContext = await this._getRAGContext(tenderRequirement, sectionType);
-    } catch (err) {
-      console.warn('RAG context retrieval failed:', err.message);
-    }
-
-    // 3. Get section template
-    const template = SECTION_TEMPLATES[sectionType] || SECTION_TEMPLATES.TECHNICAL;
-
-    // 4. Build the generation prompt
-    const systemPrompt = template.systemPrompt + `
-
-OUTPUT FORMAT:
-- Write in formal proposal language
-- Use clear paragraphs with logical flow
-- Include specific details and evidence
-- Length: 300-600 words
-- Structure content with clear sections
-- Do NOT use markdown headers, use plain text with line breaks`;
-
-    const userPrompt = `Generate a professional proposal response for this government tender section:
-
-TENDER: ${tenderContext.title}
-AUTHORITY: ${tenderContext.authorityName || 'Government Authority'}
-SECTOR: ${tenderContext.sector || 'General'}
-VALUE: ${tenderContext.formattedValue || 'As specified'}
-
-SECTION TYPE: ${sectionType}
-SECTION REQUIREMENT:
-${tenderRequirement || 'Respond to section requirements as per tender document'}
-
-${organizationContext ? `BIDDER CONTEXT:\n${organizationContext}\n` : ''}
-${customInstructions ? `SPECIFIC INSTRUCTIONS:\n${customInstructions}\n` : ''}
-${ragContext ? `REFERENCE (similar successful proposals):\n${ragContext}\n` : ''}
-
-SUGGESTED STRUCTURE:
-${template.structure.map((s, i) => `${i + 1}. ${s}`).join('\n')}
-
-Generate a comprehensive, professional proposal response:`;
+    // 1-4. Tender context, RAG reference, section template and prompts
+    const { template, systemPrompt, userPrompt } = await this._buildSectionDraftPrompts(options);
 
     // 5. Generate with AI
     try {
@@ -228,37 +197,42 @@ Generate a comprehensive, professional proposal response:`;
       });
 
       // 6. Post-process the draft
-      const processedDraft = this._postProcessDraft(draft, sectionType);
-
-      return {
-        success: true,
-        sectionId,
-        sectionType,
-        draft: processedDraft,
-        wordCount: processedDraft.split(/\s+/).filter(w => w).length,
-        suggestedStructure: template.structure,
-        isAIGenerated: true,
-        generatedAt: new Date().toISOString(),
-        disclaimer: 'AI-generated draft. Please review and customize before submission.',
-      };
+      return this._buildSectionDraftResult(options, template, draft);
     } catch (err) {
       console.error('Draft generation failed:', err.message);
 
       // Return fallback template
-      return {
-        success: true,
-        sectionId,
-        sectionType,
-        draft: this._generateFallbackDraft(sectionType, tenderRequirement, template),
-        wordCount: 0,
-        suggestedStructure: template.structure,
-        isAIGenerated: false,
-        generatedAt: new Date().toISOString(),
-        disclaimer: 'Template-based draft. AI generation unavailable.',
-      };
+      return this._buildSectionDraftResult(options, template, null);
     }
   },
 
+  /**
+   * Streaming variant of generateSectionDraft.
+   * Yields { type: 'token', text } while the model writes, then { type: 'done', ...draftResult }
+   * with the post-processed draft. Falls back to the template draft if the model fails before
+   * producing any output; failures mid-stream are rethrown.
+   * @param {Object} options - Same as generateSectionDraft
+   * @param {AbortSignal} signal - Aborts the upstream LLM request
+   */
+  async *streamSectionDraft(options, signal) {
+    const { template, systemPrompt, userPrompt } = await this._buildSectionDraftPrompts(options);
+
+    let draft = '';
+    try {
+      for await (const text of streamLLM(systemPrompt, userPrompt, { temperature: 0.4, maxTokens: 1500, signal })) {
+        draft += text;
+        yield { type: 'token', text };
+      }
+    } catch (err) {
+      if (draft || signal?.aborted) throw err;
+      console.error('Draft generation failed:', err.message);
+      yield { type: 'done', ...this._buildSectionDraftResult(options, template, null) };
+      return;
+    }
+
+    yield { type: 'done', ...this._buildSectionDraftResult(options, template, draft) };
+  },
+
   /**
    * Generate draft for all sections of a proposal
    */
@@ -322,39 +296,8 @@ Generate a comprehensive, professional proposal response:`;
    * Improve existing draft content
    */
   async improveDraft(options) {
-    const {
-      existingDraft,
-      sectionType,
-      tenderRequirement,
-      improvementFocus, // 'clarity' | 'detail' | 'compliance' | 'professional'
-    } = options;
-
-    const focusInstructions = {
-      clarity: 'Make the content clearer and easier to understand. Simplify complex sentences.',
-      detail: 'Add more specific details, examples, and evidence to strengthen the response.',
-      compliance: 'Ensure all tender requirements are explicitly addressed. Add compliance statements.',
-      professional: 'Enhance professional tone. Use formal language and industry terminology.',
-    };
-
-    const systemPrompt = `You are a professional proposal editor. Improve the draft content while maintaining its core message.
-
-IMPROVEMENT FOCUS: ${focusInstructions[improvementFocus] || focusInstructions.professional}
-
-RULES:
-- Preserve key information from original
-- Enhance without completely rewriting
-- Maintain formal proposal language
-- Keep similar length (±20%)`;
-
-    const userPrompt = `Improve this proposal section draft:
-
-SECTION TYPE: ${sectionType}
-TENDER REQUIREMENT: ${tenderRequirement || 'As per tender document'}
-
-CURRENT DRAFT:
-${existingDraft}
-
-Provide improved version:`;
+    const { existingDraft } = options;
+    const { systemPrompt, userPrompt } = this._buildImprovePrompts(options);
 
     try {
       const improved = await callLLM(systemPrompt, userPrompt, {
@@ -362,14 +305,7 @@ Provide improved version:`;
         maxTokens: 1500,
       });
 
-      return {
-        success: true,
-        improvedDraft: improved,
-        originalWordCount: existingDraft.split(/\s+/).filter(w => w).length,
-        improvedWordCount: improved.split(/\s+/).filter(w => w).length,
-        improvementFocus,
-        isAIGenerated: true,
-      };
+      return this._buildImproveResult(options, improved);
     } catch (err) {
       return {
         success: false,
@@ -379,6 +315,30 @@ Provide improved version:`;
     }
   },
 
+  /**
+   * Streaming variant of improveDraft.
+   * Yields { type: 'token', text } then { type: 'done', ...improveResult }.
+   * @param {Object} options - Same as improveDraft
+   * @param {AbortSignal} signal - Aborts the upstream LLM request
+   */
+  async *streamImproveDraft(options, signal) {
+    const { systemPrompt, userPrompt } = this._buildImprovePrompts(options);
+
+    let improved = '';
+    try {
+      for await (const text of streamLLM(systemPrompt, userPrompt, { temperature: 0.3, maxTokens: 1500, signal })) {
+        improved += text;
+        yield { type: 'token', text };
+      }
+    } catch (err) {
+      if (improved || signal?.aborted) throw err;
+      yield { type: 'done', success: false, error: err.message, improvedDraft: options.existingDraft };
+      return;
+    }
+
+    yield { type: 'done', ...this._buildImproveResult(options, improved.trim()) };
+  },
+
   /**
    * Generate specific content snippet (for inline assistance)
    */
@@ -430,6 +390,158 @@ Generate a ${length || 'medium'} length professional snippet:`;
     }
   },
 
+  /**
+   * Build section draft prompts from tender context, RAG reference and section template
+   */
+  async _buildSectionDraftPrompts(options) {
+    const {
+      tenderId,
+      sectionType,
+      tenderRequirement,
+      organizationContext,
+      customInstructions,
+    } = options;
+
+    // 1. Get tender context
+    const tenderContext = await this._getTenderContext(tenderId);
+
+    // 2. Get similar proposals from RAG (if available)
+    let ragContext = '';
+    try {
+      ragContext = await this._getRAGContext(tenderRequirement, sectionType);
+    } catch (err) {
+      console.warn('RAG context retrieval failed:', err.message);
+    }
+
+    // 3. Get section template
+    const template = SECTION_TEMPLATES[sectionType] || SECTION_TEMPLATES.TECHNICAL;
+
+    // 4. Build the generation prompt
+    const systemPrompt = template.systemPrompt + `
+
+OUTPUT FORMAT:
+- Write in formal proposal language
+- Use clear paragraphs with logical flow
+- Include specific details and evidence
+- Length: 300-600 words
+- Structure content with clear sections
+- Do NOT use markdown headers, use plain text with line breaks`;
+
+    const userPrompt = `Generate a professional proposal response for this government tender section:
+
+TENDER: ${tenderContext.title}
+AUTHORITY: ${tenderContext.authorityName || 'Government Authority'}
+SECTOR: ${tenderContext.sector || 'General'}
+VALUE: ${tenderContext.formattedValue || 'As specified'}
+
+SECTION TYPE: ${sectionType}
+SECTION REQUIREMENT:
+${tenderRequirement || 'Respond to section requirements as per tender document'}
+
+${organizationContext ? `BIDDER CONTEXT:\n${organizationContext}\n` : ''}
+${customInstructions ? `SPECIFIC INSTRUCTIONS:\n${customInstructions}\n` : ''}
+${ragContext ? `REFERENCE (similar successful proposals):\n${ragContext}\n` : ''}
+
+SUGGESTED STRUCTURE:
+${template.structure.map((s, i) => `${i + 1}. ${s}`).join('\n')}
+
+Generate a comprehensive, professional proposal response:`;
+
+    return { template, systemPrompt, userPrompt };
+  },
+
+  /**
+   * Shape a generated (or fallback, when draft is null) section draft response
+   */
+  _buildSectionDraftResult(options, template, draft) {
+    const { sectionId, sectionType, tenderRequirement } = options;
+
+    if (draft === null) {
+      return {
+        success: true,
+        sectionId,
+        sectionType,
+        draft: this._generateFallbackDraft(sectionType, tenderRequirement, template),
+        wordCount: 0,
+        suggestedStructure: template.structure,
+        isAIGenerated: false,
+        generatedAt: new Date().toISOString(),
+        disclaimer: 'Template-based draft. AI generation unavailable.',
+      };
+    }
+
+    const processedDraft = this._postProcessDraft(draft, sectionType);
+
+    return {
+      success: true,
+      sectionId,
+      sectionType,
+      draft: processedDraft,
+      wordCount: processedDraft.split(/\s+/).filter(w => w).length,
+      suggestedStructure: template.structure,
+      isAIGenerated: true,
+      generatedAt: new Date().toISOString(),
+      disclaimer: 'AI-generated draft. Please review and customize before submission.',
+    };
+  },
+
+  /**
+   * Build improve-draft prompts for the requested focus
+   */
+  _buildImprovePrompts(options) {
+    const {
+      existingDraft,
+      sectionType,
+      tenderRequirement,
+      improvementFocus, // 'clarity' | 'detail' | 'compliance' | 'professional'
+    } = options;
+
+    const focusInstructions = {
+      clarity: 'Make the content clearer and easier to understand. Simplify complex sentences.',
+      detail: 'Add more specific details, examples, and evidence to strengthen the response.',
+      compliance: 'Ensure all tender requirements are explicitly addressed. Add compliance statements.',
+      professional: 'Enhance professional tone. Use formal language and industry terminology.',
+    };
+
+    const systemPrompt = `You are a professional proposal editor. Improve the draft content while maintaining its core message.
+
+IMPROVEMENT FOCUS: ${focusInstructions[improvementFocus] || focusInstructions.professional}
+
+RULES:
+- Preserve key information from original
+- Enhance without completely rewriting
+- Maintain formal proposal language
+- Keep similar length (±20%)`;
+
+    const userPrompt = `Improve this proposal section draft:
+
+SECTION TYPE: ${sectionType}
+TENDER REQUIREMENT: ${tenderRequirement || 'As per tender document'}
+
+CURRENT DRAFT:
+${existingDraft}
+
+Provide improved version:`;
+
+    return { systemPrompt, userPrompt };
+  },
+
+  /**
+   * Shape an improved draft response
+   */
+  _buildImproveResult(options, improved) {
+    const { existingDraft, improvementFocus } = options;
+
+    return {
+      success: true,
+      improvedDraft: improved,
+      originalWordCount: existingDraft.split(/\s+/).filter(w => w).length,
+      improvedWordCount: improved.split(/\s+/).filter(w => w).length,
+      improvementFocus,
+      isAIGenerated: true,
+    };
+  },
+
   /**
    * Get tender context for generation
    */
@@ -260,6 +260,15 @@ export const ProposalPdfExportService = {
          .text(`Ref: ${tenderInfo.referenceNumber}`, centerX - 100, 72, { width: 200, align: 'center' });
     }
 
+    // Bidder logo from the organization profile
+    if (companyInfo.logo) {
+      try {
+        doc.image(companyInfo.logo, centerX - 60, 106, { fit: [120, 38], align: 'center' });
+      } catch (err) {
+        console.warn('[PDF Export] Skipping unreadable logo:', err.message);
+      }
+    }
+
     // Main content
     doc.y = 150;
 
@@ -727,8 +736,8 @@ export const ProposalPdfExportService = {
     doc.moveTo(config.margins.left, doc.y).lineTo(config.margins.left + 200, doc.y).stroke();
     doc.moveDown(0.3);
     doc.text('Authorized Signatory');
-    doc.text('Name: _________________________');
-    doc.text('Designation: _________________________');
+    doc.text(`Name: ${companyInfo.signatoryName || '_________________________'}`);
+    doc.text(`Designation: ${companyInfo.signatoryDesignation || '_________________________'}`);
     doc.text('Date: _________________________');
 
     // Seal box
@@ -747,7 +756,7 @@ export const ProposalPdfExportService = {
 
     const text = `AFFIDAVIT
 
-I, _________________________ (Name), _________________________ (Designation), of ${companyInfo.name || '[COMPANY NAME]'}, do solemnly affirm and declare as under:
+I, ${companyInfo.signatoryName || '_________________________'} (Name), ${companyInfo.signatoryDesignation || '_________________________'} (Designation), of ${companyInfo.name || '[COMPANY NAME]'}, do solemnly affirm and declare as under:
 
 1. That I am authorized to sign this affidavit on behalf of ${companyInfo.name || '[COMPANY NAME]'}.
 
@@ -0,0 +1,159 @@
+/**
+ * Rerank Service
+ * Second-stage relevance scoring for retrieved tender chunks
+ *
+ * Rerankers (selected with RAG_RERANKER):
+ * - keyword:       Blends the first-stage (vector + full-text) score with query term overlap
+ *                  and a bonus for exact figures/codes (EMD amounts, ISO numbers)
+ * - cross-encoder: Local transformers cross-encoder scoring (query, chunk) pairs on CPU
+ * - none:          Keep first-stage order
+ */
+
+import { env } from '../config/env.js';
+
+const DEFAULT_CROSS_ENCODER = 'Xenova/ms-marco-MiniLM-L-6-v2';
+// Share of the keyword rerank score taken from the normalised first-stage score; the
+// rest comes from term overlap, so retrieval order leads and overlap adjusts it
+const FIRST_STAGE_WEIGHT = 0.6;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'in', 'is', 'it', 'of', 'on', 'or', 'the', 'this', 'that', 'to', 'what', 'when', 'where',
+  'which', 'who', 'will', 'with', 'there', 'any', 'all', 'should', 'must', 'tender',
+]);
+
+// Lazily created cross-encoder pipeline (model load is expensive)
+let crossEncoderPromise = null;
+
+export const RerankService = {
+  /**
+   * Rerank chunks for a query. Each chunk gets scores.rerank; result is sorted by it.
+   * Falls back to keyword overlap if the cross-encoder cannot be loaded.
+   * @param {string} query
+   * @param {Array<Object>} chunks - Objects with at least { content, scores }
+   * @param {string} method - 'keyword' | 'cross-encoder' | 'none'
+   * @returns {Promise<Array<Object>>}
+   */
+  async rerank(query, chunks, method = env.RAG_RERANKER) {
+    if (!chunks.length || method === 'none') return chunks;
+
+    let scores;
+    if (method === 'cross-encoder') {
+      try {
+        scores = await this._crossEncoderScores(query, chunks);
+      } catch (err) {
+        console.warn('[Rerank] Cross-encoder unavailable, using keyword overlap:', err.message);
+        scores = this._keywordScores(query, chunks);
+      }
+    } else {
+      scores = this._keywordScores(query, chunks);
+    }
+
+    return chunks
+      .map((chunk, idx) => ({
+        ...chunk,
+        scores: { ...chunk.scores, rerank: Number(scores[idx].toFixed(4)) },
+      }))
+      .sort((a, b) => b.scores.rerank - a.scores.rerank);
+  },
+
+  /**
+   * Extract terms that must match literally: amounts, clause numbers, standard codes, acronyms
+   * e.g. "EMD of ₹2,00,000 as per ISO 9001:2015" -> ['₹2,00,000', 'ISO', '9001:2015', 'EMD']
+   * @param {string} query
+   * @returns {string[]}
+   */
+  extractExactTerms(query = '') {
+    const terms = new Set();
+
+    for (const match of query.match(/[₹$]?\d[\d,./:-]*\d%?|[₹$]?\d/g) || []) {
+      terms.add(match);
+    }
+    for (const match of query.match(/\b[A-Z]{2,}[A-Z0-9-]*\b/g) || []) {
+      terms.add(match);
+    }
+
+    return [...terms];
+  },
+
+  /**
+   * Tokenize query into lowercase content words
+   */
+  tokenize(text = '') {
+    return text
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+  },
+
+  /**
+   * Weighted blend of the first-stage score (scaled to 0..1 by the best chunk) and the
+   * keyword score (fraction of query terms present plus a bonus per exact term hit, 0..1)
+   */
+  _keywordScores(query, chunks) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    const exactTerms = this.extractExactTerms(query).map((t) => t.replace(/[₹$]/g, ''));
+    const maxFirstStage = Math.max(...chunks.map((chunk) => chunk.scores?.fused || 0));
+
+    return chunks.map((chunk) => {
+      const content = (chunk.content || '').toLowerCase();
+      const chunkTerms = new Set(this.tokenize(content));
+
+      const overlap = queryTerms.length
+        ? queryTerms.filter((t) => chunkTerms.has(t)).length / queryTerms.length
+        : 0;
+
+      const exactHits = exactTerms.filter((t) => content.includes(t.toLowerCase())).length;
+      const exactBonus = exactTerms.length ? (exactHits / exactTerms.length) * 0.5 : 0;
+      const keyword = (overlap + exactBonus) / 1.5;
+
+      const firstStage = maxFirstStage > 0 ? (chunk.scores?.fused || 0) / maxFirstStage : 0;
+
+      return FIRST_STAGE_WEIGHT * firstStage + (1 - FIRST_STAGE_WEIGHT) * keyword;
+    });
+  },
+
+  /**
+   * Score (query, chunk) pairs with a local cross-encoder model
+   */
+  async _crossEncoderScores(query, chunks) {
+    if (!crossEncoderPromise) {
+      crossEncoderPromise = (async () => {
+        let transformers;
+        try {
+          transformers = await import('@huggingface/transformers');
+        } catch (err) {
+          throw new Error('Cross-encoder reranking requires the "@huggingface/transformers" package');
+        }
+
+        const model = env.RAG_RERANKER_MODEL || DEFAULT_CROSS_ENCODER;
+        console.log(`[Rerank] Loading cross-encoder ${model} (CPU)...`);
+
+        const tokenizer = await transformers.AutoTokenizer.from_pretrained(model);
+        const classifier = await transformers.AutoModelForSequenceClassification.from_pretrained(model, {
+          device: 'cpu',
+          dtype: 'fp32',
+        });
+
+        return { tokenizer, classifier };
+      })().catch((err) => {
+        crossEncoderPromise = null;
+        throw err;
+      });
+    }
+
+    const { tokenizer, classifier } = await crossEncoderPromise;
+
+    const inputs = tokenizer(
+      chunks.map(() => query),
+      {
+        text_pair: chunks.map((c) => c.content || ''),
+        padding: true,
+        truncation: true,
+      }
+    );
+
+    const { logits } = await classifier(inputs);
+    return logits.tolist().map(([logit]) => 1 / (1 + Math.exp(-logit)));
+  },
+};
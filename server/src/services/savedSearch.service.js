@@ -0,0 +1,380 @@
+import { pool } from '../config/db.js';
+import { env } from '../config/env.js';
+import { MailService } from './mail.service.js';
+import { NotificationService } from './notification.service.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DIGEST_CHECK_INTERVAL_MS = 1000 * 60 * 60;
+
+/**
+ * Whether a tender satisfies a saved search. Every criterion that is set must match.
+ * @param {Object} search - saved_search row (or the same fields from a discovery query)
+ * @param {{ title, description, sector, estimatedValue, deadline, authority }} tender
+ */
+export function tenderMatchesSearch(search, tender, now = new Date()) {
+  const terms = (search.keywords || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (terms.length > 0) {
+    const text = `${tender.title || ''} ${tender.description || ''} ${tender.authority || ''}`.toLowerCase();
+    if (!terms.every((term) => text.includes(term))) return false;
+  }
+
+  if (search.sector && (tender.sector || '').toLowerCase() !== search.sector.toLowerCase()) {
+    return false;
+  }
+
+  if (search.authority && !(tender.authority || '').toLowerCase().includes(search.authority.toLowerCase())) {
+    return false;
+  }
+
+  const value = tender.estimatedValue != null ? Number(tender.estimatedValue) : null;
+  if (search.min_value != null && (value === null || value < Number(search.min_value))) return false;
+  if (search.max_value != null && (value === null || value > Number(search.max_value))) return false;
+
+  if (search.min_days_to_deadline != null || search.max_days_to_deadline != null) {
+    if (!tender.deadline) return false;
+    const daysLeft = Math.ceil((new Date(tender.deadline) - now) / DAY_MS);
+    if (search.min_days_to_deadline != null && daysLeft < search.min_days_to_deadline) return false;
+    if (search.max_days_to_deadline != null && daysLeft > search.max_days_to_deadline) return false;
+  }
+
+  return true;
+}
+
+const toNumberOrNull = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${label} must be a non-negative number`);
+  }
+  return number;
+};
+
+const toDaysOrNull = (value, label) => {
+  const number = toNumberOrNull(value, label);
+  if (number !== null && !Number.isInteger(number)) {
+    throw new Error(`${label} must be a whole number of days`);
+  }
+  return number;
+};
+
+const toTextOrNull = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+export const SavedSearchService = {
+  async listSearches(userId) {
+    const result = await pool.query(
+      `SELECT s.*,
+              COUNT(a.alert_id)::int as alert_count,
+              COUNT(a.alert_id) FILTER (WHERE a.read_at IS NULL)::int as unread_count
+       FROM saved_search s
+       LEFT JOIN tender_alert a ON a.saved_search_id = s.saved_search_id
+       WHERE s.user_id = $1
+       GROUP BY s.saved_search_id
+       ORDER BY s.created_at DESC`,
+      [userId]
+    );
+    return result.rows.map((s) => this._format(s));
+  },
+
+  async createSearch(userId, data) {
+    const search = this._normalize(data);
+
+    const result = await pool.query(
+      `INSERT INTO saved_search (user_id, name, keywords, sector, min_value, max_value,
+                                 min_days_to_deadline, max_days_to_deadline, authority, alerts_enabled, email_digest)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        userId, search.name, search.keywords, search.sector, search.min_value, search.max_value,
+        search.min_days_to_deadline, search.max_days_to_deadline, search.authority,
+        search.alerts_enabled, search.email_digest,
+      ]
+    );
+    return this._format(result.rows[0]);
+  },
+
+  async updateSearch(searchId, userId, data) {
+    const existing = await this._getOwnSearch(searchId, userId);
+    const search = this._normalize({ ...existing, ...data });
+
+    const result = await pool.query(
+      `UPDATE saved_search
+       SET name = $1, keywords = $2, sector = $3, min_value = $4, max_value = $5,
+           min_days_to_deadline = $6, max_days_to_deadline = $7, authority = $8,
+           alerts_enabled = $9, email_digest = $10, updated_at = NOW()
+       WHERE saved_search_id = $11
+       RETURNING *`,
+      [
+        search.name, search.keywords, search.sector, search.min_value, search.max_value,
+        search.min_days_to_deadline, search.max_days_to_deadline, search.authority,
+        search.alerts_enabled, search.email_digest, searchId,
+      ]
+    );
+    return this._format(result.rows[0]);
+  },
+
+  async deleteSearch(searchId, userId) {
+    await this._getOwnSearch(searchId, userId);
+    await pool.query('DELETE FROM saved_search WHERE saved_search_id = $1', [searchId]);
+  },
+
+  /**
+   * Record an alert for every subscribed search the newly published tender matches.
+   * Called after TenderService.publishTender commits; never throws into the publish flow.
+   * @returns {Promise<number>} number of alerts created
+   */
+  async matchPublishedTender(tenderId) {
+    const tenderResult = await pool.query(
+      `SELECT t.tender_id, t.title, t.description, t.sector, t.estimated_value, t.submission_deadline,
+              COALESCE(NULLIF(t.authority_name, ''), o.name) as authority
+       FROM tender t
+       JOIN organization o ON t.organization_id = o.organization_id
+       WHERE t.tender_id = $1 AND t.status = 'PUBLISHED'`,
+      [tenderId]
+    );
+    if (tenderResult.rows.length === 0) return 0;
+
+    const row = tenderResult.rows[0];
+    const tender = {
+      title: row.title,
+      description: row.description,
+      sector: row.sector,
+      estimatedValue: row.estimated_value,
+      deadline: row.submission_deadline,
+      authority: row.authority,
+    };
+
+    const searches = await pool.query(
+      `SELECT s.*
+       FROM saved_search s
+       JOIN "user" u ON s.user_id = u.user_id
+       WHERE s.alerts_enabled = TRUE AND u.role = 'BIDDER'`
+    );
+
+    const matching = searches.rows.filter((s) => tenderMatchesSearch(s, tender));
+    if (matching.length === 0) return 0;
+
+    const inserted = await pool.query(
+      `INSERT INTO tender_alert (saved_search_id, tender_id)
+       SELECT UNNEST($1::uuid[]), $2::uuid
+       ON CONFLICT (saved_search_id, tender_id) DO NOTHING
+       RETURNING saved_search_id`,
+      [matching.map((s) => s.saved_search_id), tenderId]
+    );
+
+    // One in-app notification per user, naming the first of their searches that matched
+    const insertedIds = new Set(inserted.rows.map((r) => r.saved_search_id));
+    const searchByUser = new Map();
+    for (const search of matching) {
+      if (insertedIds.has(search.saved_search_id) && !searchByUser.has(search.user_id)) {
+        searchByUser.set(search.user_id, search);
+      }
+    }
+    for (const [userId, search] of searchByUser) {
+      await NotificationService.notify([userId], {
+        type: 'TENDER_ALERT',
+        title: `New tender matches "${search.name}"`,
+        body: row.title,
+        link: `/bidder/tenders/${tenderId}/analyze`,
+        dedupeKey: `tender-alert:${tenderId}`,
+      });
+    }
+
+    return inserted.rowCount;
+  },
+
+  /**
+   * In-app tender alerts for a user, newest first
+   */
+  async listAlerts(userId, { unreadOnly = false, limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT a.alert_id, a.tender_id, a.matched_at, a.read_at,
+              s.saved_search_id, s.name as search_name,
+              t.title as tender_title, t.sector, t.estimated_value, t.submission_deadline
+       FROM tender_alert a
+       JOIN saved_search s ON a.saved_search_id = s.saved_search_id
+       JOIN tender t ON a.tender_id = t.tender_id
+       WHERE s.user_id = $1 ${unreadOnly ? 'AND a.read_at IS NULL' : ''}
+       ORDER BY a.matched_at DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+
+    const unread = await pool.query(
+      `SELECT COUNT(*)::int as count
+       FROM tender_alert a
+       JOIN saved_search s ON a.saved_search_id = s.saved_search_id
+       WHERE s.user_id = $1 AND a.read_at IS NULL`,
+      [userId]
+    );
+
+    return { alerts: result.rows, unread_count: unread.rows[0].count };
+  },
+
+  /**
+   * Mark the given alerts (or all of the user's alerts when none are given) as read
+   */
+  async markAlertsRead(userId, alertIds = null) {
+    const params = [userId];
+    let filter = '';
+
+    if (Array.isArray(alertIds)) {
+      if (alertIds.length === 0) return 0;
+      params.push(alertIds);
+      filter = 'AND a.alert_id = ANY($2::uuid[])';
+    }
+
+    const result = await pool.query(
+      `UPDATE tender_alert a SET read_at = NOW()
+       FROM saved_search s
+       WHERE a.saved_search_id = s.saved_search_id AND s.user_id = $1 AND a.read_at IS NULL ${filter}`,
+      params
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Email each subscriber the unread alerts not emailed yet, at most once per 24 hours
+   * @returns {Promise<{ sent: number, failed: number }>}
+   */
+  async sendDailyDigests() {
+    const result = await pool.query(
+      `SELECT a.alert_id, a.tender_id, s.name as search_name,
+              t.title as tender_title, t.estimated_value, t.submission_deadline,
+              u.user_id, u.email, u.name as user_name
+       FROM tender_alert a
+       JOIN saved_search s ON a.saved_search_id = s.saved_search_id
+       JOIN tender t ON a.tender_id = t.tender_id
+       JOIN "user" u ON s.user_id = u.user_id
+       LEFT JOIN notification_preference np ON np.user_id = u.user_id AND np.type = 'TENDER_ALERT'
+       WHERE a.emailed_at IS NULL AND a.read_at IS NULL AND s.email_digest = TRUE
+         AND COALESCE(np.email, TRUE)
+         AND NOT EXISTS (
+           SELECT 1 FROM tender_alert prev
+           JOIN saved_search ps ON prev.saved_search_id = ps.saved_search_id
+           WHERE ps.user_id = s.user_id AND prev.emailed_at > NOW() - INTERVAL '24 hours'
+         )
+       ORDER BY u.user_id, a.matched_at`
+    );
+
+    const byUser = new Map();
+    for (const row of result.rows) {
+      if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+      byUser.get(row.user_id).push(row);
+    }
+
+    let sent = 0;
+    let failed = 0;
+    for (const alerts of byUser.values()) {
+      try {
+        await MailService.send(this._composeDigest(alerts));
+        await pool.query('UPDATE tender_alert SET emailed_at = NOW() WHERE alert_id = ANY($1::uuid[])', [
+          alerts.map((a) => a.alert_id),
+        ]);
+        sent++;
+      } catch (err) {
+        logger.warn(`[TenderAlerts] Digest to ${alerts[0].email} failed:`, err.message);
+        failed++;
+      }
+    }
+
+    return { sent, failed };
+  },
+
+  /**
+   * Check for due digests every hour (TENDER_ALERT_DIGEST=false to run src/scripts/sendTenderAlertDigest.js from cron instead)
+   */
+  startDigestSchedule() {
+    if (env.TENDER_ALERT_DIGEST !== 'true') return null;
+
+    const run = () =>
+      this.sendDailyDigests()
+        .then(({ sent, failed }) => {
+          if (sent || failed) logger.info(`[TenderAlerts] Daily digest: ${sent} sent, ${failed} failed`);
+        })
+        .catch((err) => logger.error('[TenderAlerts] Daily digest failed:', err.message));
+
+    const timer = setInterval(run, DIGEST_CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  },
+
+  _composeDigest(alerts) {
+    const [{ email, user_name }] = alerts;
+    const lines = alerts.map((a) => {
+      const details = [`Saved search: ${a.search_name}`];
+      if (a.estimated_value) details.push(`Value: INR ${Number(a.estimated_value).toLocaleString('en-IN')}`);
+      if (a.submission_deadline) details.push(`Closes: ${new Date(a.submission_deadline).toDateString()}`);
+      return `- ${a.tender_title}\n  ${details.join(' | ')}\n  ${env.APP_URL}/bidder/tenders/${a.tender_id}/analyze`;
+    });
+
+    return {
+      to: email,
+      subject: `${alerts.length} new tender${alerts.length === 1 ? '' : 's'} matching your saved searches`,
+      text: [
+        `Hello ${user_name || ''},`.trim(),
+        '',
+        'These tenders were published since your last digest:',
+        '',
+        ...lines,
+        '',
+        `Manage your saved searches at ${env.APP_URL}/bidder/saved-searches`,
+      ].join('\n'),
+    };
+  },
+
+  async _getOwnSearch(searchId, userId) {
+    const result = await pool.query('SELECT * FROM saved_search WHERE saved_search_id = $1', [searchId]);
+    if (result.rows.length === 0) {
+      throw new Error('Saved search not found');
+    }
+    if (result.rows[0].user_id !== userId) {
+      throw new Error('Forbidden: This saved search belongs to another user');
+    }
+    return result.rows[0];
+  },
+
+  _normalize(data) {
+    const name = toTextOrNull(data.name);
+    if (!name) {
+      throw new Error('Saved search name is required');
+    }
+    if (name.length > 150) {
+      throw new Error('Saved search name must be at most 150 characters');
+    }
+
+    const search = {
+      name,
+      keywords: toTextOrNull(data.keywords),
+      sector: toTextOrNull(data.sector),
+      authority: toTextOrNull(data.authority),
+      min_value: toNumberOrNull(data.min_value, 'Minimum value'),
+      max_value: toNumberOrNull(data.max_value, 'Maximum value'),
+      min_days_to_deadline: toDaysOrNull(data.min_days_to_deadline, 'Minimum days to deadline'),
+      max_days_to_deadline: toDaysOrNull(data.max_days_to_deadline, 'Maximum days to deadline'),
+      alerts_enabled: data.alerts_enabled !== undefined ? Boolean(data.alerts_enabled) : true,
+      email_digest: data.email_digest !== undefined ? Boolean(data.email_digest) : true,
+    };
+
+    if (search.min_value !== null && search.max_value !== null && search.min_value > search.max_value) {
+      throw new Error('Minimum value cannot exceed maximum value');
+    }
+    if (
+      search.min_days_to_deadline !== null &&
+      search.max_days_to_deadline !== null &&
+      search.min_days_to_deadline > search.max_days_to_deadline
+    ) {
+      throw new Error('Minimum days to deadline cannot exceed maximum days');
+    }
+
+    return search;
+  },
+
+  _format(row) {
+    return {
+      ...row,
+      min_value: row.min_value !== null ? Number(row.min_value) : null,
+      max_value: row.max_value !== null ? Number(row.max_value) : null,
+    };
+  },
+};
@@ -0,0 +1,92 @@
+import { pool } from '../config/db.js';
+import { diffText } from '../utils/textDiff.js';
+
+export const REVISION_SOURCES = ['HUMAN', 'AI_DRAFT', 'ASSISTER'];
+
+/**
+ * Section Revision Service
+ * Every save of a proposal section is kept as a revision (content, author, source),
+ * numbered by the response's revision counter.
+ */
+export const SectionRevisionService = {
+  /**
+   * Store the revision written by a section save
+   * @param {Object} response - saved proposal_section_response row
+   * @param {string} userId - author
+   * @param {Object} [options] - { source: 'HUMAN' | 'AI_DRAFT' | 'ASSISTER', restoredFrom }
+   */
+  async recordRevision(response, userId, { source = 'HUMAN', restoredFrom = null } = {}) {
+    await pool.query(
+      `INSERT INTO proposal_section_revision
+       (proposal_id, section_id, revision, content, source, restored_from, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (proposal_id, section_id, revision) DO NOTHING`,
+      [
+        response.proposal_id,
+        response.section_id,
+        response.revision,
+        response.content,
+        REVISION_SOURCES.includes(source) ? source : 'HUMAN',
+        restoredFrom,
+        userId,
+        response.updated_at,
+      ]
+    );
+  },
+
+  /**
+   * Revisions of a section, newest first, without content
+   */
+  async listRevisions(proposalId, sectionId) {
+    const result = await pool.query(
+      `SELECT r.revision, r.source, r.restored_from, r.created_at,
+              r.created_by, u.name as created_by_name,
+              LENGTH(r.content) as length
+       FROM proposal_section_revision r
+       LEFT JOIN "user" u ON r.created_by = u.user_id
+       WHERE r.proposal_id = $1 AND r.section_id = $2
+       ORDER BY r.revision DESC`,
+      [proposalId, sectionId]
+    );
+
+    return result.rows;
+  },
+
+  /**
+   * A single revision with its content
+   */
+  async getRevision(proposalId, sectionId, revision) {
+    const result = await pool.query(
+      `SELECT r.revision, r.content, r.source, r.restored_from, r.created_at,
+              r.created_by, u.name as created_by_name
+       FROM proposal_section_revision r
+       LEFT JOIN "user" u ON r.created_by = u.user_id
+       WHERE r.proposal_id = $1 AND r.section_id = $2 AND r.revision = $3`,
+      [proposalId, sectionId, revision]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Revision not found');
+    }
+
+    return result.rows[0];
+  },
+
+  /**
+   * Word-level diff from one revision to another (either order)
+   * @returns {{ from, to, diff: { segments, added, removed } }}
+   */
+  async diffRevisions(proposalId, sectionId, fromRevision, toRevision) {
+    const from = await this.getRevision(proposalId, sectionId, fromRevision);
+    const to = await this.getRevision(proposalId, sectionId, toRevision);
+
+    const { content: fromContent, ...fromMeta } = from;
+    const { content: toContent, ...toMeta } = to;
+
+    return {
+      from: fromMeta,
+      to: toMeta,
+      diff: diffText(fromContent, toContent),
+    };
+  },
+};
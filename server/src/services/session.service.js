@@ -0,0 +1,221 @@
+/**
+ * Session Service
+ * Server-side login sessions with short-lived access tokens and rotating refresh tokens
+ *
+ * - Access tokens are JWTs (ACCESS_TOKEN_TTL) carrying the session id (`sid`);
+ *   requireAuth rejects them as soon as their session is revoked or expired.
+ * - Refresh tokens are random, stored as SHA-256 hashes and replaced on every
+ *   refresh. Presenting an already rotated token revokes the whole session,
+ *   since either the client or an attacker holds a copy.
+ * - reauthenticated_at is set at login and by step-up checks; sensitive
+ *   actions require it to be within STEP_UP_WINDOW_MINUTES.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { pool } from '../config/db.js';
+import { env } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// last_seen_at is only written when older than this, so requests don't all write
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+// Sensitive actions need a password or two-factor check this recent
+const STEP_UP_WINDOW_MINUTES = 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+export const SessionService = {
+  /**
+   * Start a session for a user who just signed in
+   * @param {Object} user - { user_id, role, organization_id }
+   * @param {Object} meta - { userAgent, ip }
+   * @param {Object} [client] - database client when called inside a transaction
+   * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+   */
+  async create(user, meta = {}, client = pool) {
+    const refreshToken = newRefreshToken();
+    const result = await client.query(
+      `INSERT INTO user_session (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+       RETURNING session_id`,
+      [user.user_id, hashToken(refreshToken), meta.userAgent || null, meta.ip || null, REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    const sessionId = result.rows[0].session_id;
+    return { token: this.signAccessToken(user, sessionId), refreshToken, sessionId };
+  },
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        userId: user.user_id,
+        role: user.role,
+        organizationId: user.organization_id,
+        sid: sessionId,
+      },
+      env.JWT_SECRET,
+      { expiresIn: env.ACCESS_TOKEN_TTL }
+    );
+  },
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @returns {Promise<{ token: string, refreshToken: string }>}
+   */
+  async refresh(refreshToken, meta = {}) {
+    if (!refreshToken) {
+      throw new Error('Refresh token is required');
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT s.session_id, s.refresh_token_hash, s.expires_at, s.revoked_at,
+                u.user_id, u.role, u.organization_id
+         FROM user_session s
+         JOIN "user" u ON s.user_id = u.user_id
+         WHERE s.refresh_token_hash = $1 OR s.previous_token_hash = $1
+         FOR UPDATE OF s`,
+        [tokenHash]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error('Invalid refresh token');
+      }
+
+      const session = result.rows[0];
+      if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        throw new Error('Session expired');
+      }
+
+      if (session.refresh_token_hash !== tokenHash) {
+        await client.query('UPDATE user_session SET revoked_at = NOW() WHERE session_id = $1', [session.session_id]);
+        await client.query('COMMIT');
+        logger.warn(`[Session] Rotated refresh token reused; revoked session ${session.session_id}`);
+        throw new Error('Session expired');
+      }
+
+      const nextToken = newRefreshToken();
+      await client.query(
+        `UPDATE user_session
+         SET refresh_token_hash = $2, previous_token_hash = $3, last_seen_at = NOW(),
+             user_agent = COALESCE($4, user_agent), ip_address = COALESCE($5, ip_address)
+         WHERE session_id = $1`,
+        [session.session_id, hashToken(nextToken), tokenHash, meta.userAgent || null, meta.ip || null]
+      );
+
+      await client.query('COMMIT');
+      return { token: this.signAccessToken(session, session.session_id), refreshToken: nextToken };
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Whether a session is still usable; refreshes its last-seen time now and then
+   */
+  async isActive(sessionId, userId) {
+    if (!sessionId) return false;
+
+    const result = await pool.query(
+      `SELECT last_seen_at FROM user_session
+       WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [sessionId, userId]
+    );
+    if (result.rows.length === 0) return false;
+
+    if (Date.now() - new Date(result.rows[0].last_seen_at).getTime() > LAST_SEEN_RESOLUTION_MS) {
+      pool
+        .query('UPDATE user_session SET last_seen_at = NOW() WHERE session_id = $1', [sessionId])
+        .catch((err) => logger.warn('[Session] Failed to update last seen:', err.message));
+    }
+
+    return true;
+  },
+
+  /**
+   * Record a successful step-up check (password or two-factor code) on a session
+   * @returns {Promise<Date>} until when sensitive actions are allowed
+   */
+  async markReauthenticated(sessionId) {
+    const result = await pool.query(
+      `UPDATE user_session SET reauthenticated_at = NOW()
+       WHERE session_id = $1
+       RETURNING reauthenticated_at + make_interval(mins => $2) as step_up_until`,
+      [sessionId, STEP_UP_WINDOW_MINUTES]
+    );
+    return result.rows[0]?.step_up_until || null;
+  },
+
+  async isRecentlyAuthenticated(sessionId) {
+    const result = await pool.query(
+      `SELECT 1 FROM user_session
+       WHERE session_id = $1 AND reauthenticated_at > NOW() - make_interval(mins => $2)`,
+      [sessionId, STEP_UP_WINDOW_MINUTES]
+    );
+    return result.rows.length > 0;
+  },
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  async list(userId, currentSessionId) {
+    const result = await pool.query(
+      `SELECT session_id, user_agent, ip_address, created_at, last_seen_at, expires_at
+       FROM user_session
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [userId]
+    );
+
+    return result.rows.map((row) => ({ ...row, current: row.session_id === currentSessionId }));
+  },
+
+  async revoke(userId, sessionId) {
+    const result = await pool.query(
+      `UPDATE user_session SET revoked_at = NOW()
+       WHERE session_id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING session_id`,
+      [sessionId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Session not found');
+    }
+  },
+
+  /**
+   * End every session of a user, optionally keeping one (the caller's)
+   * @returns {Promise<number>} number of sessions revoked
+   */
+  async revokeAll(userId, exceptSessionId = null, client = pool) {
+    const result = await client.query(
+      `UPDATE user_session SET revoked_at = NOW()
+       WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR session_id <> $2::uuid)`,
+      [userId, exceptSessionId]
+    );
+
+    return result.rowCount;
+  },
+
+  /**
+   * Logout: end the session a refresh token belongs to. Unknown tokens are ignored.
+   */
+  async revokeByRefreshToken(refreshToken) {
+    if (!refreshToken) return;
+
+    await pool.query(
+      `UPDATE user_session SET revoked_at = NOW()
+       WHERE refresh_token_hash = $1 AND revoked_at IS NULL`,
+      [hashToken(refreshToken)]
+    );
+  },
+};
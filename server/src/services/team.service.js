@@ -0,0 +1,473 @@
+/**
+ * Team Service
+ * Members of an organization, their org-scoped roles and email invitations
+ *
+ * Org roles (most privileged first):
+ * - OWNER: everything, including managing owners and admins
+ * - ADMIN: manages members below admin, approves bids, manages proposals
+ * - BID_MANAGER: approves bids, creates/submits proposals, assigns sections
+ * - CONTRIBUTOR: edits the sections assigned to them
+ * - VIEWER: read-only; can only be given comment access on sections
+ *
+ * Invitations are emailed as a one-time link; only a SHA-256 hash of the token is stored.
+ */
+
+import crypto from 'crypto';
+import { pool } from '../config/db.js';
+import { env } from '../config/env.js';
+import { MailService } from './mail.service.js';
+import { ORG_ROLES, PermissionService } from './permission.service.js';
+import { logger } from '../utils/logger.js';
+
+const INVITATION_TTL_DAYS = 7;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Roles only an OWNER may grant, change or remove
+const OWNER_MANAGED_ROLES = ['OWNER', 'ADMIN'];
+
+export const ORG_ROLE_LABELS = {
+  OWNER: 'Owner',
+  ADMIN: 'Admin',
+  BID_MANAGER: 'Bid manager',
+  CONTRIBUTOR: 'Contributor',
+  VIEWER: 'Viewer',
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export const TeamService = {
+  // ==========================================
+  // MEMBERS
+  // ==========================================
+
+  /**
+   * Members of an organization, owners first
+   */
+  async listMembers(organizationId) {
+    const result = await pool.query(
+      `SELECT user_id, name, email, org_role, created_at
+       FROM "user"
+       WHERE organization_id = $1
+       ORDER BY array_position($2::text[], org_role), name ASC`,
+      [organizationId, ORG_ROLES]
+    );
+
+    return result.rows;
+  },
+
+  /**
+   * Change a member's org role
+   * Viewers keep only comment access, so their EDIT section assignments are downgraded.
+   */
+  async updateMemberRole(organizationId, userId, orgRole, actor) {
+    this._assertManager(actor);
+    this._assertRole(orgRole);
+
+    const member = await this._getMember(organizationId, userId);
+    this._assertCanManage(actor, member.org_role);
+    this._assertCanManage(actor, orgRole);
+
+    if (member.org_role === orgRole) {
+      return member;
+    }
+    if (member.org_role === 'OWNER') {
+      await this._assertAnotherOwner(organizationId, userId);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE "user" SET org_role = $1
+         WHERE user_id = $2
+         RETURNING user_id, name, email, org_role, created_at`,
+        [orgRole, userId]
+      );
+
+      if (orgRole === 'VIEWER') {
+        await client.query(
+          `UPDATE proposal_collaborator pc SET permission = 'READ_AND_COMMENT'
+           FROM proposal p
+           WHERE pc.proposal_id = p.proposal_id AND p.organization_id = $1
+             AND pc.user_id = $2 AND pc.permission = 'EDIT'`,
+          [organizationId, userId]
+        );
+        await client.query(
+          `UPDATE uploaded_proposal_collaborator upc SET permission = 'READ_AND_COMMENT'
+           FROM uploaded_tender ut
+           WHERE upc.uploaded_tender_id = ut.uploaded_tender_id AND ut.organization_id = $1
+             AND upc.user_id = $2 AND upc.permission = 'EDIT'`,
+          [organizationId, userId]
+        );
+      }
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Remove a member from the organization
+   * The account is kept: it moves to a new organization of its own (as OWNER)
+   * and loses its section assignments on this organization's proposals.
+   */
+  async removeMember(organizationId, userId, actor) {
+    this._assertManager(actor);
+
+    if (userId === actor.id) {
+      throw new Error('You cannot remove yourself from the organization');
+    }
+
+    const member = await this._getMember(organizationId, userId);
+    this._assertCanManage(actor, member.org_role);
+    if (member.org_role === 'OWNER') {
+      await this._assertAnotherOwner(organizationId, userId);
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this._leaveOrganization(client, organizationId, userId);
+
+      const orgResult = await client.query(
+        `INSERT INTO organization (name, type)
+         SELECT u.name, o.type FROM "user" u
+         JOIN organization o ON o.organization_id = u.organization_id
+         WHERE u.user_id = $1
+         RETURNING organization_id`,
+        [userId]
+      );
+
+      await client.query(
+        `UPDATE "user" SET organization_id = $1, org_role = 'OWNER' WHERE user_id = $2`,
+        [orgResult.rows[0].organization_id, userId]
+      );
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  // ==========================================
+  // INVITATIONS
+  // ==========================================
+
+  /**
+   * Open (not accepted or revoked) invitations of an organization
+   */
+  async listInvitations(organizationId) {
+    const result = await pool.query(
+      `SELECT i.invitation_id, i.email, i.org_role, i.expires_at, i.created_at,
+              (i.expires_at < NOW()) as expired, u.name as invited_by_name
+       FROM organization_invitation i
+       LEFT JOIN "user" u ON i.invited_by = u.user_id
+       WHERE i.organization_id = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+       ORDER BY i.created_at DESC`,
+      [organizationId]
+    );
+
+    return result.rows;
+  },
+
+  /**
+   * Invite someone by email; replaces any open invitation for the same address
+   * @returns {Promise<Object>} invitation with email_sent
+   */
+  async inviteMember(organizationId, { email, orgRole }, actor) {
+    this._assertManager(actor);
+
+    const address = email?.trim().toLowerCase();
+    if (!address || !EMAIL_REGEX.test(address)) {
+      throw new Error('A valid email is required');
+    }
+    this._assertRole(orgRole);
+    this._assertCanManage(actor, orgRole);
+
+    const orgResult = await pool.query(
+      'SELECT name, type FROM organization WHERE organization_id = $1',
+      [organizationId]
+    );
+    if (orgResult.rows.length === 0) {
+      throw new Error('Organization not found');
+    }
+    const organization = orgResult.rows[0];
+    if (organization.type === 'ASSISTER') {
+      throw new Error('Assister accounts cannot invite members');
+    }
+
+    const existing = await pool.query(
+      'SELECT 1 FROM "user" WHERE organization_id = $1 AND LOWER(email) = $2',
+      [organizationId, address]
+    );
+    if (existing.rows.length > 0) {
+      throw new Error('This person is already a member of your organization');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const client = await pool.connect();
+    let invitation;
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE organization_invitation SET revoked_at = NOW()
+         WHERE organization_id = $1 AND LOWER(email) = $2
+           AND accepted_at IS NULL AND revoked_at IS NULL`,
+        [organizationId, address]
+      );
+      const result = await client.query(
+        `INSERT INTO organization_invitation
+         (organization_id, email, org_role, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(days => $6))
+         RETURNING invitation_id, email, org_role, expires_at, created_at`,
+        [organizationId, address, orgRole, hashToken(token), actor.id, INVITATION_TTL_DAYS]
+      );
+      invitation = result.rows[0];
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    // The invitation stays valid if the email fails; the inviter can send it again
+    let emailSent = true;
+    try {
+      await MailService.send(this._composeInvitation(invitation, token, organization.name, actor.name));
+    } catch (err) {
+      logger.warn(`[Team] Invitation email to ${address} failed:`, err.message);
+      emailSent = false;
+    }
+
+    return { ...invitation, expired: false, invited_by_name: actor.name, email_sent: emailSent };
+  },
+
+  /**
+   * Revoke an open invitation
+   */
+  async revokeInvitation(organizationId, invitationId, actor) {
+    this._assertManager(actor);
+
+    const result = await pool.query(
+      `UPDATE organization_invitation SET revoked_at = NOW()
+       WHERE invitation_id = $1 AND organization_id = $2
+         AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING invitation_id, org_role`,
+      [invitationId, organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Invitation not found');
+    }
+  },
+
+  /**
+   * Public details of an open invitation (for the accept page)
+   */
+  async getInvitation(token) {
+    const invitation = await this.findOpenInvitation(token);
+
+    return {
+      email: invitation.email,
+      org_role: invitation.org_role,
+      organization_name: invitation.organization_name,
+      organization_type: invitation.organization_type,
+      invited_by_name: invitation.invited_by_name,
+      expires_at: invitation.expires_at,
+    };
+  },
+
+  /**
+   * Open, unexpired invitation for a token
+   * @param {Object} [client] - database client when called inside a transaction
+   */
+  async findOpenInvitation(token, client = pool) {
+    if (!token) {
+      throw new Error('Invitation not found');
+    }
+
+    const result = await client.query(
+      `SELECT i.*, o.name as organization_name, o.type as organization_type, u.name as invited_by_name
+       FROM organization_invitation i
+       JOIN organization o ON i.organization_id = o.organization_id
+       LEFT JOIN "user" u ON i.invited_by = u.user_id
+       WHERE i.token_hash = $1`,
+      [hashToken(token)]
+    );
+
+    const invitation = result.rows[0];
+    if (!invitation || invitation.revoked_at) {
+      throw new Error('Invitation not found');
+    }
+    if (invitation.accepted_at) {
+      throw new Error('Invitation has already been used');
+    }
+    if (new Date(invitation.expires_at) < new Date()) {
+      throw new Error('Invitation has expired');
+    }
+
+    return invitation;
+  },
+
+  /**
+   * Mark an invitation as accepted by a user (inside the caller's transaction).
+   * Guarded on the row itself so two concurrent accepts cannot both succeed.
+   */
+  async markAccepted(client, invitationId, userId) {
+    const result = await client.query(
+      `UPDATE organization_invitation SET accepted_at = NOW(), accepted_by = $2
+       WHERE invitation_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [invitationId, userId]
+    );
+
+    if (result.rowCount === 0) {
+      throw new Error('Invitation has already been used');
+    }
+  },
+
+  /**
+   * Accept an invitation with an existing account: the user moves to the
+   * inviting organization with the invited role
+   * @returns {Promise<{ organizationId, organization, orgRole }>}
+   */
+  async acceptInvitation(token, user) {
+    const invitation = await this.findOpenInvitation(token);
+
+    if (invitation.email.toLowerCase() !== user.email.toLowerCase()) {
+      throw new Error('This invitation was sent to a different email address');
+    }
+    if (invitation.organization_id === user.organizationId) {
+      throw new Error('You are already a member of this organization');
+    }
+    if (invitation.organization_type !== user.role) {
+      throw new Error(`This invitation is for a ${invitation.organization_type.toLowerCase()} organization`);
+    }
+    if (user.orgRole === 'OWNER') {
+      const others = await pool.query(
+        `SELECT COUNT(*) FILTER (WHERE org_role = 'OWNER')::int as owners, COUNT(*)::int as members
+         FROM "user" WHERE organization_id = $1 AND user_id <> $2`,
+        [user.organizationId, user.id]
+      );
+      const { owners, members } = others.rows[0];
+      if (members > 0 && owners === 0) {
+        throw new Error('Make another member an owner of your current organization before joining another');
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this._leaveOrganization(client, user.organizationId, user.id);
+      await client.query(
+        'UPDATE "user" SET organization_id = $1, org_role = $2 WHERE user_id = $3',
+        [invitation.organization_id, invitation.org_role, user.id]
+      );
+      await this.markAccepted(client, invitation.invitation_id, user.id);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return {
+      organizationId: invitation.organization_id,
+      organization: invitation.organization_name,
+      orgRole: invitation.org_role,
+    };
+  },
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  _assertManager(actor) {
+    if (!PermissionService.canAccessFeature(actor, 'team_manage')) {
+      throw new Error('Forbidden');
+    }
+  },
+
+  _assertRole(orgRole) {
+    if (!ORG_ROLES.includes(orgRole)) {
+      throw new Error(`Role must be one of: ${ORG_ROLES.join(', ')}`);
+    }
+  },
+
+  _assertCanManage(actor, orgRole) {
+    if (OWNER_MANAGED_ROLES.includes(orgRole) && actor.orgRole !== 'OWNER') {
+      throw new Error('Only owners can manage owners and admins');
+    }
+  },
+
+  async _assertAnotherOwner(organizationId, userId) {
+    const result = await pool.query(
+      `SELECT 1 FROM "user"
+       WHERE organization_id = $1 AND org_role = 'OWNER' AND user_id <> $2
+       LIMIT 1`,
+      [organizationId, userId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('An organization needs at least one owner');
+    }
+  },
+
+  async _getMember(organizationId, userId) {
+    const result = await pool.query(
+      `SELECT user_id, name, email, org_role, created_at
+       FROM "user" WHERE user_id = $1 AND organization_id = $2`,
+      [userId, organizationId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error('Member not found');
+    }
+    return result.rows[0];
+  },
+
+  /**
+   * Drop a user's section assignments on an organization's proposals
+   */
+  async _leaveOrganization(client, organizationId, userId) {
+    await client.query(
+      `DELETE FROM proposal_collaborator pc
+       USING proposal p
+       WHERE pc.proposal_id = p.proposal_id AND p.organization_id = $1 AND pc.user_id = $2`,
+      [organizationId, userId]
+    );
+    await client.query(
+      `DELETE FROM uploaded_proposal_collaborator upc
+       USING uploaded_tender ut
+       WHERE upc.uploaded_tender_id = ut.uploaded_tender_id AND ut.organization_id = $1 AND upc.user_id = $2`,
+      [organizationId, userId]
+    );
+  },
+
+  _composeInvitation(invitation, token, organizationName, inviterName) {
+    const expires = new Date(invitation.expires_at).toDateString();
+
+    return {
+      to: invitation.email,
+      subject: `${inviterName} invited you to join ${organizationName} on TenderFlow`,
+      text: [
+        'Hello,',
+        '',
+        `${inviterName} invited you to join ${organizationName} as ${ORG_ROLE_LABELS[invitation.org_role]}.`,
+        '',
+        `Accept the invitation: ${env.APP_URL}/invite/${token}`,
+        '',
+        `This link can be used once and expires on ${expires}.`,
+        'If you were not expecting this invitation, you can ignore this email.',
+      ].join('\n'),
+    };
+  },
+};
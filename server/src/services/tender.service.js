@@ -1,5 +1,8 @@
 import { pool } from '../config/db.js';
 import { AIService } from './ai.service.js';
+import { SavedSearchService } from './savedSearch.service.js';
+
+const CRITERION_TYPES = ['SCORED', 'PASS_FAIL'];
 
 export const TenderService = {
   /**
@@ -16,6 +19,7 @@ export const TenderService = {
     const baseQuery = `
       SELECT t.tender_id, t.organization_id, t.title, t.description, 
              t.status, t.submission_deadline, t.created_at,
+             t.sector, t.estimated_value, t.authority_name,
              o.name as organization_name
       FROM tender t
       JOIN organization o ON t.organization_id = o.organization_id
@@ -57,7 +61,9 @@ export const TenderService = {
       tender_type,
       sector,
       estimated_value,
-      submission_start_date
+      submission_start_date,
+      clarification_cutoff,
+      sealed_bids
     } = data;
 
     if (!title || !description || !submission_deadline) {
@@ -76,12 +82,14 @@ export const TenderService = {
         tender_type,
         sector,
         estimated_value,
-        submission_start_date
+        submission_start_date,
+        clarification_cutoff,
+        sealed_bids
       )
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
        RETURNING tender_id, organization_id, title, description, status, submission_deadline, 
                  authority_name, reference_id, tender_type, sector, estimated_value, 
-                 submission_start_date, created_at`,
+                 submission_start_date, clarification_cutoff, sealed_bids, created_at`,
       [
         user.organizationId, 
         title, 
@@ -93,7 +101,9 @@ export const TenderService = {
         tender_type || null,
         sector || null,
         estimated_value || null,
-        submission_start_date || null
+        submission_start_date || null,
+        clarification_cutoff || null,
+        Boolean(sealed_bids)
       ]
     );
 
@@ -133,7 +143,9 @@ export const TenderService = {
       tender_type,
       sector,
       estimated_value,
-      submission_start_date
+      submission_start_date,
+      clarification_cutoff,
+      sealed_bids
     } = data;
     const updates = [];
     const values = [];
@@ -175,6 +187,14 @@ export const TenderService = {
       updates.push(`submission_start_date = $${paramIndex++}`);
       values.push(submission_start_date);
     }
+    if (clarification_cutoff !== undefined) {
+      updates.push(`clarification_cutoff = $${paramIndex++}`);
+      values.push(clarification_cutoff || null);
+    }
+    if (sealed_bids !== undefined) {
+      updates.push(`sealed_bids = $${paramIndex++}`);
+      values.push(Boolean(sealed_bids));
+    }
 
     if (updates.length === 0) {
       throw new Error('No fields to update');
@@ -186,7 +206,7 @@ export const TenderService = {
        WHERE tender_id = $${paramIndex}
        RETURNING tender_id, organization_id, title, description, status, submission_deadline, 
                  authority_name, reference_id, tender_type, sector, estimated_value, 
-                 submission_start_date, created_at`,
+                 submission_start_date, clarification_cutoff, sealed_bids, created_at`,
       values
     );
 
@@ -208,7 +228,7 @@ export const TenderService = {
         SELECT t.tender_id, t.organization_id, t.title, t.description, 
                t.status, t.submission_deadline, t.authority_name, t.reference_id,
                t.tender_type, t.sector, t.estimated_value, t.submission_start_date,
-               t.created_at, o.name as organization_name
+               t.clarification_cutoff, t.sealed_bids, t.created_at, o.name as organization_name
         FROM tender t
         JOIN organization o ON t.organization_id = o.organization_id
         WHERE t.tender_id = $1 AND t.organization_id = $2
@@ -220,7 +240,7 @@ export const TenderService = {
         SELECT t.tender_id, t.organization_id, t.title, t.description, 
                t.status, t.submission_deadline, t.authority_name, t.reference_id,
                t.tender_type, t.sector, t.estimated_value, t.submission_start_date,
-               t.created_at,
+               t.clarification_cutoff, t.sealed_bids, t.created_at,
                o.name as organization_name
         FROM tender t
         JOIN organization o ON t.organization_id = o.organization_id
@@ -247,6 +267,7 @@ export const TenderService = {
     );
 
     tender.sections = sectionsResult.rows;
+    tender.evaluation_criteria = await this.listEvaluationCriteria(tenderId);
 
     return tender;
   },
@@ -307,6 +328,11 @@ export const TenderService = {
 
       await client.query('COMMIT');
 
+      // Tender alerts for matching saved searches (outside the transaction, never blocks publishing)
+      SavedSearchService.matchPublishedTender(tenderId).catch((alertErr) => {
+        console.warn('Tender alert matching failed:', alertErr.message);
+      });
+
       return publishResult.rows[0];
     } catch (err) {
       await client.query('ROLLBACK');
@@ -493,6 +519,165 @@ export const TenderService = {
     return { message: 'Section deleted successfully' };
   },
 
+  /**
+   * Get the evaluation criteria rubric of a tender
+   * AUTHORITY: own tenders; BIDDER: PUBLISHED tenders
+   */
+  async getEvaluationCriteria(tenderId, user) {
+    const tenderCheck = await pool.query(
+      'SELECT tender_id, status, organization_id FROM tender WHERE tender_id = $1',
+      [tenderId]
+    );
+
+    const tender = tenderCheck.rows[0];
+    const visible = tender && (user.role === 'AUTHORITY'
+      ? tender.organization_id === user.organizationId
+      : tender.status === 'PUBLISHED');
+
+    if (!visible) {
+      throw new Error('Tender not found');
+    }
+
+    return this.listEvaluationCriteria(tenderId);
+  },
+
+  /**
+   * Replace the evaluation criteria rubric (only if tender is DRAFT)
+   * criteria: [{ criterion_id?, name, description?, criterion_type: SCORED|PASS_FAIL, max_marks?, section_id? }]
+   * Criteria missing from the list are removed.
+   */
+  async setEvaluationCriteria(tenderId, criteria, user) {
+    if (!Array.isArray(criteria)) {
+      throw new Error('criteria must be an array');
+    }
+
+    const tenderCheck = await pool.query(
+      'SELECT tender_id, status, organization_id FROM tender WHERE tender_id = $1',
+      [tenderId]
+    );
+
+    if (tenderCheck.rows.length === 0) {
+      throw new Error('Tender not found');
+    }
+
+    const tender = tenderCheck.rows[0];
+
+    if (tender.organization_id !== user.organizationId) {
+      throw new Error('Unauthorized: Tender belongs to another organization');
+    }
+
+    if (tender.status !== 'DRAFT') {
+      throw new Error('Cannot change evaluation criteria of published tender');
+    }
+
+    const sectionsResult = await pool.query(
+      'SELECT section_id FROM tender_section WHERE tender_id = $1',
+      [tenderId]
+    );
+    const sectionIds = new Set(sectionsResult.rows.map((row) => row.section_id));
+
+    const normalized = criteria.map((criterion) => {
+      const name = (criterion.name || '').trim();
+      if (!name) {
+        throw new Error('Each evaluation criterion needs a name');
+      }
+
+      const type = (criterion.criterion_type || 'SCORED').toUpperCase();
+      if (!CRITERION_TYPES.includes(type)) {
+        throw new Error(`Criterion type for "${name}" must be SCORED or PASS_FAIL`);
+      }
+
+      const maxMarks = type === 'SCORED' ? Number(criterion.max_marks) : null;
+      if (type === 'SCORED' && !(maxMarks > 0)) {
+        throw new Error(`Max marks for "${name}" must be greater than 0`);
+      }
+
+      const sectionId = criterion.section_id || null;
+      if (sectionId && !sectionIds.has(sectionId)) {
+        throw new Error(`Linked section for "${name}" does not belong to this tender`);
+      }
+
+      return {
+        criterion_id: criterion.criterion_id || null,
+        name,
+        description: criterion.description?.trim() || null,
+        criterion_type: type,
+        max_marks: maxMarks,
+        section_id: sectionId,
+      };
+    });
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const keepIds = normalized.map((c) => c.criterion_id).filter(Boolean);
+      await client.query(
+        `DELETE FROM tender_evaluation_criterion
+         WHERE tender_id = $1 AND NOT (criterion_id = ANY($2::uuid[]))`,
+        [tenderId, keepIds]
+      );
+
+      for (const [idx, criterion] of normalized.entries()) {
+        const values = [
+          criterion.name,
+          criterion.description,
+          criterion.criterion_type,
+          criterion.max_marks,
+          criterion.section_id,
+          idx + 1,
+        ];
+
+        if (criterion.criterion_id) {
+          await client.query(
+            `UPDATE tender_evaluation_criterion
+             SET name = $1, description = $2, criterion_type = $3, max_marks = $4,
+                 section_id = $5, order_index = $6, updated_at = NOW()
+             WHERE criterion_id = $7 AND tender_id = $8`,
+            [...values, criterion.criterion_id, tenderId]
+          );
+        } else {
+          await client.query(
+            `INSERT INTO tender_evaluation_criterion
+               (name, description, criterion_type, max_marks, section_id, order_index, tender_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+            [...values, tenderId]
+          );
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    return this.listEvaluationCriteria(tenderId);
+  },
+
+  /**
+   * Criteria in rubric order, with the title of the linked section
+   */
+  async listEvaluationCriteria(tenderId) {
+    const result = await pool.query(
+      `SELECT c.criterion_id, c.name, c.description, c.criterion_type, c.max_marks,
+              c.section_id, s.title as section_title, c.order_index
+       FROM tender_evaluation_criterion c
+       LEFT JOIN tender_section s ON c.section_id = s.section_id
+       WHERE c.tender_id = $1
+       ORDER BY c.order_index ASC, c.created_at ASC`,
+      [tenderId]
+    );
+
+    return result.rows.map((c) => ({
+      ...c,
+      criterion_type: c.criterion_type || 'SCORED',
+      max_marks: c.max_marks === null ? null : Number(c.max_marks),
+    }));
+  },
+
   /**
    * Reorder sections
    */
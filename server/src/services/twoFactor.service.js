@@ -0,0 +1,394 @@
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) two-factor authentication with recovery codes
+ *
+ * - Enrollment: a new secret is stored (encrypted) and shown as an otpauth://
+ *   URI and QR code; two-factor turns on once the user confirms a code from
+ *   their authenticator app, which also issues 10 single-use recovery codes.
+ * - Codes are 6 digits over 30-second steps; one step of clock drift is
+ *   accepted and each step is accepted only once.
+ * - Organizations can require two-factor for all of their members.
+ *
+ * QR codes are rendered with the optional "qrcode" package; without it the
+ * client shows the secret for manual entry.
+ */
+
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { pool } from '../config/db.js';
+import { env } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+const ISSUER = 'TenderFlow';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Secrets are encrypted at rest with a key derived from JWT_SECRET
+const encryptionKey = crypto.createHash('sha256').update(`${env.JWT_SECRET}:totp`).digest();
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// HOTP (RFC 4226) value for a time step
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Time step a code belongs to, or null when it matches none within the drift window
+ */
+function matchStep(secret, code, now = Date.now()) {
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+const isTotpCode = (code) => new RegExp(`^\\d{${DIGITS}}$`).test(code);
+
+export const TwoFactorService = {
+  /**
+   * Two-factor state of a user and whether their organization requires it
+   */
+  async getStatus(userId) {
+    const result = await pool.query(
+      `SELECT u.totp_enabled_at, o.require_two_factor,
+              (SELECT COUNT(*)::int FROM user_recovery_code c
+               WHERE c.user_id = u.user_id AND c.used_at IS NULL) as recovery_codes_remaining
+       FROM "user" u
+       JOIN organization o ON u.organization_id = o.organization_id
+       WHERE u.user_id = $1`,
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('User not found');
+    }
+
+    const row = result.rows[0];
+    return {
+      enabled: Boolean(row.totp_enabled_at),
+      enabled_at: row.totp_enabled_at,
+      required: row.require_two_factor,
+      recovery_codes_remaining: row.totp_enabled_at ? row.recovery_codes_remaining : 0,
+    };
+  },
+
+  // ==========================================
+  // ENROLLMENT
+  // ==========================================
+
+  /**
+   * Start enrollment with a new secret (replaces an unconfirmed one)
+   * @returns {Promise<{ secret: string, otpauth_url: string, qr_code: string|null }>}
+   */
+  async beginEnrollment(user) {
+    const status = await this.getStatus(user.id);
+    if (status.enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await pool.query(
+      'UPDATE "user" SET totp_secret = $2, totp_last_step = NULL WHERE user_id = $1',
+      [user.id, encryptSecret(secret)]
+    );
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUrl =
+      `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}` +
+      `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+    return { secret, otpauth_url: otpauthUrl, qr_code: await this._renderQrCode(otpauthUrl) };
+  },
+
+  /**
+   * Turn two-factor on with a code from the authenticator app
+   * @returns {Promise<string[]>} recovery codes, shown to the user only now
+   */
+  async confirmEnrollment(userId, code) {
+    const result = await pool.query(
+      'SELECT totp_secret, totp_enabled_at FROM "user" WHERE user_id = $1',
+      [userId]
+    );
+    const row = result.rows[0];
+    if (!row?.totp_secret) {
+      throw new Error('Start two-factor setup first');
+    }
+    if (row.totp_enabled_at) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const step = isTotpCode(code) ? matchStep(decryptSecret(row.totp_secret), code) : null;
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE "user" SET totp_enabled_at = NOW(), totp_last_step = $2 WHERE user_id = $1',
+        [userId, step]
+      );
+      const codes = await this._replaceRecoveryCodes(client, userId);
+      await client.query('COMMIT');
+      return codes;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  },
+
+  /**
+   * Turn two-factor off; needs a current code or recovery code.
+   * Not allowed while the organization requires two-factor.
+   */
+  async disable(userId, code) {
+    const status = await this.getStatus(userId);
+    if (!status.enabled) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+    if (status.required) {
+      throw new Error('Your organization requires two-factor authentication');
+    }
+
+    await this.verify(userId, code);
+    await pool.query(
+      'UPDATE "user" SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE user_id = $1',
+      [userId]
+    );
+    await pool.query('DELETE FROM user_recovery_code WHERE user_id = $1', [userId]);
+  },
+
+  /**
+   * Replace the recovery codes (the old ones stop working)
+   * @returns {Promise<string[]>}
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    await this.verify(userId, code);
+    return this._replaceRecoveryCodes(pool, userId);
+  },
+
+  // ==========================================
+  // VERIFICATION
+  // ==========================================
+
+  /**
+   * Check a 6-digit code or a recovery code of a user with two-factor enabled.
+   * Recovery codes are used up.
+   * @returns {Promise<'totp'|'recovery_code'>}
+   */
+  async verify(userId, code) {
+    const input = String(code || '').trim();
+    if (!input) {
+      throw new Error('Verification code is required');
+    }
+
+    const result = await pool.query(
+      'SELECT totp_secret, totp_enabled_at, totp_last_step FROM "user" WHERE user_id = $1',
+      [userId]
+    );
+    const row = result.rows[0];
+    if (!row?.totp_enabled_at) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    if (isTotpCode(input)) {
+      const step = matchStep(decryptSecret(row.totp_secret), input);
+      // Only a step later than the last accepted one counts, so a code works once
+      const accepted = step !== null && await pool.query(
+        `UPDATE "user" SET totp_last_step = $2
+         WHERE user_id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+         RETURNING user_id`,
+        [userId, step]
+      );
+      if (accepted && accepted.rows.length > 0) {
+        return 'totp';
+      }
+      throw new Error('Invalid verification code');
+    }
+
+    const used = await pool.query(
+      `UPDATE user_recovery_code SET used_at = NOW()
+       WHERE code_id = (
+         SELECT code_id FROM user_recovery_code
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+         LIMIT 1
+       )
+       RETURNING code_id`,
+      [userId, hashRecoveryCode(input)]
+    );
+    if (used.rows.length === 0) {
+      throw new Error('Invalid verification code');
+    }
+
+    logger.info(`[TwoFactor] User ${userId} signed in with a recovery code`);
+    return 'recovery_code';
+  },
+
+  /**
+   * Step-up check for a sensitive action: the two-factor code when enabled,
+   * otherwise the account password
+   */
+  async reauthenticate(userId, { code, password }) {
+    const result = await pool.query(
+      'SELECT password_hash, totp_enabled_at FROM "user" WHERE user_id = $1',
+      [userId]
+    );
+    const row = result.rows[0];
+    if (!row) {
+      throw new Error('User not found');
+    }
+
+    if (row.totp_enabled_at) {
+      await this.verify(userId, code);
+      return;
+    }
+
+    const isValid = password && row.password_hash ? await bcrypt.compare(password, row.password_hash) : false;
+    if (!isValid) {
+      throw new Error('Incorrect password');
+    }
+  },
+
+  // ==========================================
+  // ORGANIZATION POLICY
+  // ==========================================
+
+  /**
+   * Require (or stop requiring) two-factor for every member of an organization.
+   * Whoever turns it on must have two-factor enabled, so they can't lock themselves out.
+   */
+  async setOrganizationRequirement(organizationId, required, actor) {
+    if (required) {
+      const status = await this.getStatus(actor.id);
+      if (!status.enabled) {
+        throw new Error('Enable two-factor authentication on your own account first');
+      }
+    }
+
+    await pool.query(
+      'UPDATE organization SET require_two_factor = $2 WHERE organization_id = $1',
+      [organizationId, Boolean(required)]
+    );
+
+    const members = await pool.query(
+      `SELECT COUNT(*)::int as total, COUNT(totp_enabled_at)::int as enrolled
+       FROM "user" WHERE organization_id = $1`,
+      [organizationId]
+    );
+
+    return { require_two_factor: Boolean(required), ...members.rows[0] };
+  },
+
+  async getOrganizationRequirement(organizationId) {
+    const result = await pool.query(
+      `SELECT o.require_two_factor,
+              COUNT(u.user_id)::int as total, COUNT(u.totp_enabled_at)::int as enrolled
+       FROM organization o
+       LEFT JOIN "user" u ON u.organization_id = o.organization_id
+       WHERE o.organization_id = $1
+       GROUP BY o.organization_id`,
+      [organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error('Organization not found');
+    }
+    return result.rows[0];
+  },
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  async _replaceRecoveryCodes(client, userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await client.query('DELETE FROM user_recovery_code WHERE user_id = $1', [userId]);
+    await client.query(
+      `INSERT INTO user_recovery_code (user_id, code_hash)
+       SELECT $1, UNNEST($2::text[])`,
+      [userId, codes.map(hashRecoveryCode)]
+    );
+
+    return codes;
+  },
+
+  async _renderQrCode(text) {
+    try {
+      const QRCode = (await import('qrcode')).default;
+      return await QRCode.toDataURL(text, { margin: 1, width: 220 });
+    } catch (err) {
+      logger.warn('[TwoFactor] QR code unavailable (install the optional "qrcode" package):', err.message);
+      return null;
+    }
+  },
+};
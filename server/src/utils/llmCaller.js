@@ -35,6 +35,35 @@ const PROVIDER_CONFIGS = {
 
 };
 
+/**
+ * Parse a fetch() body stream of server-sent events and yield each `data:` payload
+ * @param {ReadableStream<Uint8Array>} body
+ */
+async function* readSSEData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, boundary).replace(/\r$/, '');
+      buffer = buffer.slice(boundary + 1);
+
+      if (line.startsWith('data:')) {
+        const data = line.slice(5).trim();
+        if (data) yield data;
+      }
+    }
+  }
+
+  const rest = buffer.trim();
+  if (rest.startsWith('data:') && rest.slice(5).trim()) {
+    yield rest.slice(5).trim();
+  }
+}
+
 // Proxy export for compatibility
 export const callLLM = (...args) => LLMCaller.call(...args);
 
@@ -121,6 +150,141 @@ export const LLMCaller = {
     }
   },
 
+  /**
+   * Stream LLM output token-by-token (same token guard as call)
+   * Supported for OpenAI-format (Groq, OpenAI) and Gemini providers; other formats
+   * fall back to a single chunk containing the full completion.
+   * @param {Object} options - Same as call(), plus:
+   * @param {AbortSignal} options.signal - Aborts the upstream request (e.g. client disconnected)
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *stream(options = {}) {
+    const {
+      systemPrompt = 'You are a helpful assistant.',
+      provider = this._detectProvider(),
+      model = this._getDefaultModel(provider),
+      temperature = 0,
+      maxTokens = 2000,
+      signal,
+    } = options;
+    let { userPrompt } = options;
+
+    if (!userPrompt) {
+      throw new Error('User prompt is required');
+    }
+
+    const config = PROVIDER_CONFIGS[provider];
+    if (!config) {
+      throw new Error(`Unsupported provider: ${provider}`);
+    }
+
+    if (!config.apiKey()) {
+      throw new Error(`API key not configured for provider: ${provider}`);
+    }
+
+    // HARD TOKEN GUARD
+    const tokenCheck = TokenCounter.isSafe(`${systemPrompt}\n\n${userPrompt}`, model);
+
+    console.log(`[LLM] Streaming - Provider: ${provider}, Model: ${model}`);
+    console.log(`[LLM] Token count: ${tokenCheck.tokenCount} / ${tokenCheck.safeLimit} (${tokenCheck.safe ? 'SAFE' : 'OVERFLOW'})`);
+
+    if (!tokenCheck.safe) {
+      const budget = TokenCounter.getBudget(model, maxTokens);
+      const availableForUser = budget.prompt - TokenCounter.estimate(systemPrompt) - 100; // 100 token safety margin
+
+      if (availableForUser <= 500) {
+        throw new Error(
+          `Prompt exceeds token limit by ${tokenCheck.overflow} tokens. ` +
+          `Cannot safely truncate. Please reduce context size.`
+        );
+      }
+
+      console.warn(`[LLM] Truncating user prompt to ${availableForUser} tokens...`);
+      userPrompt = TokenCounter.truncate(userPrompt, availableForUser);
+    }
+
+    if (config.format === 'openai') {
+      yield* this._streamOpenAIFormat(config, model, systemPrompt, userPrompt, temperature, maxTokens, signal);
+    } else if (config.format === 'gemini') {
+      yield* this._streamGemini(config, model, systemPrompt, userPrompt, temperature, maxTokens, signal);
+    } else {
+      yield await this.call({ ...options, userPrompt, provider, model });
+    }
+  },
+
+  /**
+   * Stream OpenAI-format API (Groq, OpenAI)
+   */
+  async *_streamOpenAIFormat(config, model, systemPrompt, userPrompt, temperature, maxTokens, signal) {
+    const response = await fetch(config.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${config.apiKey()}`,
+      },
+      body: JSON.stringify({
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userPrompt },
+        ],
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`LLM API failed: ${response.status} - ${errorBody}`);
+    }
+
+    for await (const data of readSSEData(response.body)) {
+      if (data === '[DONE]') return;
+      const delta = JSON.parse(data)?.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  },
+
+  /**
+   * Stream Gemini API (streamGenerateContent with alt=sse)
+   */
+  async *_streamGemini(config, model, systemPrompt, userPrompt, temperature, maxTokens, signal) {
+    const url = config.url(model).replace(':generateContent', ':streamGenerateContent') +
+      `?alt=sse&key=${config.apiKey()}`;
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        contents: [
+          {
+            parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }],
+          },
+        ],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens,
+        },
+      }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`Gemini API failed: ${response.status} - ${errorBody}`);
+    }
+
+    for await (const data of readSSEData(response.body)) {
+      const parts = JSON.parse(data)?.candidates?.[0]?.content?.parts || [];
+      const text = parts.map((p) => p.text || '').join('');
+      if (text) yield text;
+    }
+  },
+
   /**
    * Call OpenAI-format API (Groq, OpenAI)
    */
@@ -1,10 +1,18 @@
 /**
  * RAG Retrieval Orchestrator
  * Manages hybrid retrieval with strict limits and section-wise analysis
+ *
+ * Modes (RAG_RETRIEVAL_MODE):
+ * - hybrid: Postgres full-text search + vector similarity, fused with reciprocal rank fusion (RRF)
+ * - vector: Pure vector nearest-neighbour (previous behaviour)
+ *
+ * Fused candidates are optionally reranked (RAG_RERANKER) before the strict limits are applied.
  */
 
 import { pool } from '../config/db.js';
+import { env } from '../config/env.js';
 import { EmbeddingService } from '../services/embedding.service.js';
+import { RerankService } from '../services/rerank.service.js';
 import { ContextCompressor } from './contextCompressor.js';
 import { TokenCounter } from './tokenCounter.js';
 
@@ -17,6 +25,12 @@ const RETRIEVAL_LIMITS = {
   ABSOLUTE_MAX: 10,
 };
 
+// Each first-stage retriever fetches this many times the final limit for fusion/reranking
+const CANDIDATE_MULTIPLIER = 4;
+
+// Standard RRF damping constant (Cormack et al.); higher = flatter rank contribution
+const RRF_K = 60;
+
 export const RAGOrchestrator = {
   /**
    * Perform hybrid retrieval with strict limits
@@ -25,20 +39,37 @@ export const RAGOrchestrator = {
    * @param {string} options.sessionId - Session tender ID (uploaded tender)
    * @param {string} options.analysisType - Type of analysis (eligibility, technical, financial, risk)
    * @param {string} options.modelName - LLM model name
-   * @returns {Promise<Object>} Retrieved and compressed context
+   * @param {string} options.mode - 'hybrid' | 'vector' (default: RAG_RETRIEVAL_MODE)
+   * @param {string} options.reranker - 'keyword' | 'cross-encoder' | 'none' (default: RAG_RERANKER)
+   * @returns {Promise<Object>} Retrieved and compressed context, plus per-chunk scores and sections
    */
   async retrieve(options = {}) {
-    const { query, sessionId, analysisType = 'general', modelName = 'default' } = options;
+    const {
+      query,
+      sessionId,
+      analysisType = 'general',
+      modelName = 'default',
+      mode = env.RAG_RETRIEVAL_MODE,
+      reranker = env.RAG_RERANKER,
+    } = options;
 
     if (!query) {
       throw new Error('Query is required for retrieval');
     }
 
-    console.log(`[RAG] Starting retrieval for: ${analysisType}`);
+    console.log(`[RAG] Starting ${mode} retrieval for: ${analysisType}`);
     console.log(`[RAG] Query: ${query.substring(0, 100)}...`);
 
-    // Step 1: Generate query embedding
-    const queryEmbedding = await EmbeddingService.embed(query);
+    // Step 1: Generate query embedding (hybrid mode can degrade to lexical-only)
+    let queryEmbedding = null;
+    try {
+      queryEmbedding = await EmbeddingService.embed(query);
+    } catch (err) {
+      if (mode !== 'hybrid') throw err;
+      console.warn('[RAG] Query embedding failed, using lexical retrieval only:', err.message);
+    }
+
+    const searchOptions = { query, queryEmbedding, sessionId, mode, reranker };
 
     // Step 2: Retrieve session chunks (from uploaded tender)
     let sessionChunks = [];
@@ -46,16 +77,7 @@ export const RAGOrchestrator = {
       const sessionLimit = this._getSessionLimit(analysisType);
       console.log(`[RAG] Retrieving ${sessionLimit} session chunks...`);
 
-      const sessionRes = await pool.query(
-        `SELECT content
-         FROM tender_content_chunk
-         WHERE tender_id = $1
-         ORDER BY embedding <-> $2::vector
-         LIMIT $3`,
-        [sessionId, queryEmbedding, sessionLimit]
-      );
-
-      sessionChunks = sessionRes.rows.map(r => r.content).filter(Boolean);
+      sessionChunks = await this._searchScope({ ...searchOptions, scope: 'session', limit: sessionLimit });
       console.log(`[RAG] Retrieved ${sessionChunks.length} session chunks`);
     }
 
@@ -63,18 +85,7 @@ export const RAGOrchestrator = {
     const globalLimit = this._getGlobalLimit(analysisType);
     console.log(`[RAG] Retrieving ${globalLimit} global chunks...`);
 
-    const globalRes = await pool.query(
-      `SELECT tcc.content
-       FROM tender_content_chunk tcc
-       JOIN tender t ON tcc.tender_id = t.tender_id
-       WHERE t.status = 'PUBLISHED'
-         ${sessionId ? 'AND t.tender_id != $1' : ''}
-       ORDER BY tcc.embedding <-> $${sessionId ? '2' : '1'}::vector
-       LIMIT $${sessionId ? '3' : '2'}`,
-      sessionId ? [sessionId, queryEmbedding, globalLimit] : [queryEmbedding, globalLimit]
-    );
-
-    const globalChunks = globalRes.rows.map(r => r.content).filter(Boolean);
+    const globalChunks = await this._searchScope({ ...searchOptions, scope: 'global', limit: globalLimit });
     console.log(`[RAG] Retrieved ${globalChunks.length} global chunks`);
 
     // Step 4: Enforce absolute limit
@@ -100,12 +111,12 @@ export const RAGOrchestrator = {
     console.log(`[RAG] Context token budget: ${contextBudget}`);
 
     const compressedSession = ContextCompressor.compressToFit(
-      sessionChunks,
+      sessionChunks.map(c => c.content),
       Math.floor(contextBudget * 0.6) // 60% of context for session
     );
 
     const compressedGlobal = ContextCompressor.compressToFit(
-      globalChunks,
+      globalChunks.map(c => c.content),
       Math.floor(contextBudget * 0.4) // 40% of context for global
     );
 
@@ -116,6 +127,8 @@ export const RAGOrchestrator = {
     const finalContext = [sessionContext, globalContext].filter(Boolean).join('\n\n');
 
     const stats = {
+      mode: queryEmbedding ? mode : 'lexical',
+      reranker,
       retrieved: {
         session: sessionChunks.length,
         global: globalChunks.length,
@@ -139,10 +152,190 @@ export const RAGOrchestrator = {
       context: finalContext,
       sessionContext,
       globalContext,
+      // Chunks that made it into the context; label matches the [SESSION-n]/[REFERENCE-n] markers
+      sessionChunks: this._describeChunks(sessionChunks, compressedSession, 'SESSION'),
+      globalChunks: this._describeChunks(globalChunks, compressedGlobal, 'REFERENCE'),
       stats,
     };
   },
 
+  /**
+   * Retrieve, fuse and rerank chunks for one scope
+   * @param {Object} options
+   * @param {'session'|'global'} options.scope - Session tender only, or other published tenders
+   * @returns {Promise<Array<Object>>} Top `limit` chunks with scores
+   */
+  async _searchScope({ query, queryEmbedding, sessionId, mode, reranker, scope, limit }) {
+    const candidateLimit = limit * CANDIDATE_MULTIPLIER;
+
+    const vectorRows = queryEmbedding
+      ? await this._vectorSearch({ queryEmbedding, sessionId, scope, limit: mode === 'hybrid' ? candidateLimit : limit })
+      : [];
+
+    let candidates;
+    if (mode === 'hybrid') {
+      let lexicalRows = [];
+      try {
+        lexicalRows = await this._lexicalSearch({ query, sessionId, scope, limit: candidateLimit });
+      } catch (err) {
+        // content_tsv missing on an un-migrated database: keep vector results
+        console.warn(`[RAG] Lexical search failed (${scope}), using vector results only:`, err.message);
+      }
+      candidates = this._fuseRankings(vectorRows, lexicalRows);
+    } else {
+      candidates = vectorRows.map((row) => this._toChunk(row, { vectorRank: row.rank }));
+    }
+
+    const reranked = await RerankService.rerank(query, candidates, reranker);
+    return reranked.slice(0, limit);
+  },
+
+  /**
+   * Vector nearest-neighbour search (L2 distance)
+   */
+  async _vectorSearch({ queryEmbedding, sessionId, scope, limit }) {
+    const { where, params } = this._scopeFilter(scope, sessionId, 2);
+
+    const res = await pool.query(
+      `SELECT tcc.chunk_id, tcc.tender_id, tcc.section_id, tcc.content,
+              ts.title AS section_title,
+              tcc.embedding <-> $1::vector AS distance
+       FROM tender_content_chunk tcc
+       JOIN tender t ON tcc.tender_id = t.tender_id
+       LEFT JOIN tender_section ts ON tcc.section_id = ts.section_id
+       WHERE tcc.embedding IS NOT NULL AND ${where}
+       ORDER BY tcc.embedding <-> $1::vector
+       LIMIT $${params.length + 2}`,
+      [queryEmbedding, ...params, limit]
+    );
+
+    return res.rows
+      .filter((r) => r.content)
+      .map((r, idx) => ({ ...r, rank: idx + 1 }));
+  },
+
+  /**
+   * Full-text search over content_tsv. Terms are OR-ed so long questions still match;
+   * exact figures and codes are added as phrases so "2,00,000" or "ISO 9001" must appear verbatim.
+   */
+  async _lexicalSearch({ query, sessionId, scope, limit }) {
+    const searchText = this._buildLexicalQuery(query);
+    if (!searchText) return [];
+
+    const { where, params } = this._scopeFilter(scope, sessionId, 2);
+
+    const res = await pool.query(
+      `SELECT tcc.chunk_id, tcc.tender_id, tcc.section_id, tcc.content,
+              ts.title AS section_title,
+              ts_rank_cd(tcc.content_tsv, q.query) AS lexical_score
+       FROM tender_content_chunk tcc
+       JOIN tender t ON tcc.tender_id = t.tender_id
+       LEFT JOIN tender_section ts ON tcc.section_id = ts.section_id
+       CROSS JOIN websearch_to_tsquery('english', $1) AS q(query)
+       WHERE tcc.content_tsv @@ q.query AND ${where}
+       ORDER BY lexical_score DESC
+       LIMIT $${params.length + 2}`,
+      [searchText, ...params, limit]
+    );
+
+    return res.rows
+      .filter((r) => r.content)
+      .map((r, idx) => ({ ...r, rank: idx + 1 }));
+  },
+
+  /**
+   * Build a websearch_to_tsquery string: quoted exact terms OR-ed with content words
+   */
+  _buildLexicalQuery(query) {
+    const exactTerms = RerankService.extractExactTerms(query)
+      .map((t) => t.replace(/[₹$"]/g, ''))
+      .filter(Boolean)
+      .map((t) => `"${t}"`);
+
+    const words = RerankService.tokenize(query).filter((w) => !/^\d+$/.test(w));
+
+    return [...new Set([...exactTerms, ...words])].join(' or ');
+  },
+
+  /**
+   * SQL filter for session vs global scope. Placeholders start at $startIndex.
+   */
+  _scopeFilter(scope, sessionId, startIndex) {
+    if (scope === 'session') {
+      return { where: `tcc.tender_id = $${startIndex}`, params: [sessionId] };
+    }
+
+    if (sessionId) {
+      return {
+        where: `t.status = 'PUBLISHED' AND t.tender_id != $${startIndex}`,
+        params: [sessionId],
+      };
+    }
+
+    return { where: `t.status = 'PUBLISHED'`, params: [] };
+  },
+
+  /**
+   * Reciprocal rank fusion: score = sum over retrievers of 1 / (RRF_K + rank)
+   */
+  _fuseRankings(vectorRows, lexicalRows) {
+    const byId = new Map();
+
+    for (const row of vectorRows) {
+      byId.set(row.chunk_id, { row, vectorRank: row.rank, distance: row.distance });
+    }
+
+    for (const row of lexicalRows) {
+      const entry = byId.get(row.chunk_id) || { row };
+      entry.lexicalRank = row.rank;
+      entry.lexicalScore = row.lexical_score;
+      byId.set(row.chunk_id, entry);
+    }
+
+    return [...byId.values()]
+      .map(({ row, ...ranks }) => this._toChunk(row, ranks))
+      .sort((a, b) => b.scores.fused - a.scores.fused);
+  },
+
+  /**
+   * Normalize a DB row + ranks into the chunk shape returned to callers
+   */
+  _toChunk(row, { vectorRank = null, lexicalRank = null, distance = row.distance, lexicalScore = null } = {}) {
+    const fused =
+      (vectorRank ? 1 / (RRF_K + vectorRank) : 0) +
+      (lexicalRank ? 1 / (RRF_K + lexicalRank) : 0);
+
+    return {
+      chunkId: row.chunk_id,
+      tenderId: row.tender_id,
+      sectionId: row.section_id,
+      sectionTitle: row.section_title || null,
+      content: row.content,
+      scores: {
+        vectorRank,
+        vectorDistance: distance != null ? Number(Number(distance).toFixed(4)) : null,
+        lexicalRank,
+        lexicalScore: lexicalScore != null ? Number(Number(lexicalScore).toFixed(4)) : null,
+        fused: Number(fused.toFixed(6)),
+      },
+    };
+  },
+
+  /**
+   * Attach context labels to the chunks that survived compression
+   */
+  _describeChunks(chunks, compressed, label) {
+    return compressed.map((text, idx) => ({
+      label: `${label}-${idx + 1}`,
+      chunkId: chunks[idx].chunkId,
+      tenderId: chunks[idx].tenderId,
+      sectionId: chunks[idx].sectionId,
+      sectionTitle: chunks[idx].sectionTitle,
+      excerpt: text,
+      scores: chunks[idx].scores,
+    }));
+  },
+
   /**
    * Get session chunk limit based on analysis type
    * @param {string} analysisType - Type of analysis
@@ -0,0 +1,65 @@
+/**
+ * Server-Sent Events helper
+ * Streams events from an async iterable to the client and aborts the producer
+ * (e.g. the upstream LLM request) when the client disconnects or cancels.
+ */
+
+import { logger } from './logger.js';
+
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Stream events to the response as text/event-stream.
+ * Each yielded value is an object { type, ...data } sent as `event: type` with JSON data.
+ *
+ * Errors thrown before the first event propagate to the caller (headers not yet sent),
+ * so controllers can still answer with a normal JSON error and status code.
+ * Errors after that are reported as an `error` event.
+ *
+ * @param {import('express').Response} res
+ * @param {(signal: AbortSignal) => AsyncIterable<Object>} createStream
+ */
+export async function streamSSE(res, createStream) {
+  const controller = new AbortController();
+
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  const iterator = createStream(controller.signal)[Symbol.asyncIterator]();
+  let step = await iterator.next();
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable proxy buffering (nginx) so tokens reach the browser immediately
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  try {
+    while (!step.done && !controller.signal.aborted) {
+      const { type = 'message', ...data } = step.value;
+      writeEvent(res, type, data);
+      step = await iterator.next();
+    }
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      logger.error(`[SSE] Stream failed: ${err.stack || err.message}`);
+      writeEvent(res, 'error', { error: 'AI service unavailable. Please try again.' });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    if (controller.signal.aborted) {
+      await iterator.return?.().catch(() => {});
+    }
+    res.end();
+  }
+}
+
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -0,0 +1,100 @@
+/**
+ * Text Diff Utility
+ * Word-level diff (longest common subsequence) for showing what changed between two
+ * versions of a text. Falls back to line-level for very large inputs.
+ */
+
+// Upper bound on LCS table cells (~8 MB) before falling back to line-level diffing
+const MAX_CELLS = 2_000_000;
+
+const tokenizeWords = (text) => (text || '').split(/(\s+)/).filter((t) => t.length > 0);
+const tokenizeLines = (text) => (text || '').split(/(?<=\n)/).filter((t) => t.length > 0);
+
+function lcsDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push(['equal', a[i++]]);
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      ops.push(['removed', a[i++]]);
+    } else {
+      ops.push(['added', b[j++]]);
+    }
+  }
+  while (i < n) ops.push(['removed', a[i++]]);
+  while (j < m) ops.push(['added', b[j++]]);
+  return ops;
+}
+
+/**
+ * Diff two texts into consecutive segments
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{ segments: Array<{ type: 'equal'|'added'|'removed', text: string }>, added: number, removed: number }}
+ *   added/removed count changed words (or lines in line mode)
+ */
+export function diffText(oldText, newText) {
+  let a = tokenizeWords(oldText);
+  let b = tokenizeWords(newText);
+
+  // Strip the common prefix/suffix so the LCS table only covers the changed middle
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const head = a.slice(0, prefix);
+  const tail = a.slice(a.length - suffix);
+  a = a.slice(prefix, a.length - suffix);
+  b = b.slice(prefix, b.length - suffix);
+
+  if ((a.length + 1) * (b.length + 1) > MAX_CELLS) {
+    a = tokenizeLines(a.join(''));
+    b = tokenizeLines(b.join(''));
+  }
+
+  const ops = [
+    ...head.map((t) => ['equal', t]),
+    ...((a.length + 1) * (b.length + 1) > MAX_CELLS
+      ? [...a.map((t) => ['removed', t]), ...b.map((t) => ['added', t])]
+      : lcsDiff(a, b)),
+    ...tail.map((t) => ['equal', t]),
+  ];
+
+  const segments = [];
+  let added = 0;
+  let removed = 0;
+  for (const [type, text] of ops) {
+    const isWord = text.trim().length > 0;
+    if (type === 'added' && isWord) added++;
+    if (type === 'removed' && isWord) removed++;
+
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      segments.push({ type, text });
+    }
+  }
+
+  return { segments, added, removed };
+}